@@ -0,0 +1,72 @@
+/**
+ * Rental availability
+ *
+ * Keeps propertyAvailability/{propertyId}.bookedRanges in step with the rental requests of the
+ * property, whoever changed the request: the owner, an admin or another function (resolveDispute,
+ * payment settlement). The owner's accept in the app already adds the range in the same transaction
+ * as the status (src/services/availabilityService.js confirmBooking), which is what prevents double
+ * bookings; this makes sure ranges are released when a booking ends on any path.
+ */
+
+const admin = require('firebase-admin');
+
+// Rental request statuses that hold the property's dates (legacy 'Approved' included); same list
+// as BOOKED_STATUSES in src/services/availabilityService.js
+const BOOKED_STATUSES = ['Accepted', 'Approved', 'Paid', 'On Hold', 'Disputed'];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Date range a rental request holds, or null when it holds none
+ * @param {(Object|null)} request - Rental request data (null when deleted)
+ * @return {({startDate: string, endDate: string}|null)}
+ */
+function getHeldRange(request) {
+  if (!request || !BOOKED_STATUSES.includes(request.status)) return null;
+  const {startDate, endDate} = request;
+  if (!DATE_KEY_PATTERN.test(startDate || '') || !DATE_KEY_PATTERN.test(endDate || '') || endDate <= startDate) {
+    return null;
+  }
+  return {startDate, endDate};
+}
+
+/**
+ * Add, move or remove the booked range of one rental request
+ * @param {string} propertyId - Property the request is for
+ * @param {string} requestId - Rental request ID
+ * @param {(Object|null)} request - Rental request data after the write (null when deleted)
+ * @return {Promise<boolean>} - Whether bookedRanges changed
+ */
+async function syncBookedRange(propertyId, requestId, request) {
+  const db = admin.firestore();
+  const availabilityRef = db.collection('propertyAvailability').doc(propertyId);
+  const range = getHeldRange(request);
+
+  return db.runTransaction(async (transaction) => {
+    const availabilitySnap = await transaction.get(availabilityRef);
+    const bookedRanges = availabilitySnap.exists ? availabilitySnap.data().bookedRanges || [] : [];
+    const current = bookedRanges.find((r) => r.requestId === requestId);
+
+    if (!range && !current) return false;
+    if (range && current && current.startDate === range.startDate && current.endDate === range.endDate) {
+      return false;
+    }
+
+    const others = bookedRanges.filter((r) => r.requestId !== requestId);
+    if (range && others.some((r) => r.startDate < range.endDate && range.startDate < r.endDate)) {
+      console.warn(`Rental request ${requestId} holds dates that overlap another booking of property ${propertyId}`);
+    }
+
+    transaction.set(availabilityRef, {
+      propertyId,
+      bookedRanges: range ? [...others, {requestId, ...range}] : others,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    return true;
+  });
+}
+
+module.exports = {
+  BOOKED_STATUSES,
+  syncBookedRange,
+};
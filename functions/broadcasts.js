@@ -0,0 +1,299 @@
+/**
+ * Admin broadcasts
+ *
+ * An announcement is stored in `broadcasts` and fanned out to one notification per recipient in the
+ * chosen segment. Broadcasts scheduled for later are delivered by the sendScheduledBroadcasts job;
+ * a broadcast is claimed (scheduled → sending) in a transaction so it is never delivered twice.
+ */
+
+const admin = require('firebase-admin');
+const {toCityKey} = require('./searchIndex');
+const {isChannelEnabled, resolveNotificationPrefs} = require('./notificationPrefs');
+
+const SEGMENTS = ['all', 'constructors', 'renovators', 'owners', 'city'];
+
+// Firestore allows 500 writes per batch; stay below it
+const BATCH_SIZE = 400;
+
+/**
+ * User IDs of approved providers of one service type
+ * @param {string} serviceType - 'Construction' or 'Renovation'
+ * @param {string} role - Matching users.role ('constructor' or 'renovator')
+ * @return {Promise<Set<string>>}
+ */
+async function getProviderUserIds(serviceType, role) {
+  const db = admin.firestore();
+  const [providersSnapshot, usersSnapshot] = await Promise.all([
+    db.collection('serviceProviders')
+        .where('serviceType', 'in', [serviceType, serviceType.toLowerCase()])
+        .get(),
+    db.collection('users').where('role', '==', role).select().get(),
+  ]);
+
+  const userIds = new Set(usersSnapshot.docs.map((doc) => doc.id));
+  providersSnapshot.docs.forEach((doc) => {
+    const provider = doc.data();
+    if ((provider.isApproved === true || provider.approved === true) && provider.userId) {
+      userIds.add(provider.userId);
+    }
+  });
+  return userIds;
+}
+
+/**
+ * Owners of published listings, optionally only in one city
+ * @param {(string|null)} cityKey - Normalized city, or null for every city
+ * @return {Promise<Set<string>>}
+ */
+async function getListingOwnerIds(cityKey) {
+  let propertiesQuery = admin.firestore().collection('properties').where('status', '==', 'published');
+  if (cityKey) {
+    propertiesQuery = propertiesQuery.where('cityKey', '==', cityKey);
+  }
+  const snapshot = await propertiesQuery.select('ownerId').get();
+  return new Set(snapshot.docs.map((doc) => doc.data().ownerId).filter(Boolean));
+}
+
+/**
+ * Users in a city: users and providers whose profile city matches, and owners listing there
+ * @param {string} city - City name, any casing
+ * @return {Promise<Set<string>>}
+ */
+async function getCityUserIds(city) {
+  const db = admin.firestore();
+  const cityKey = toCityKey(city);
+  const [usersSnapshot, providersSnapshot, ownerIds] = await Promise.all([
+    db.collection('users').select('city').get(),
+    db.collection('serviceProviders').select('city', 'userId').get(),
+    getListingOwnerIds(cityKey),
+  ]);
+
+  const userIds = new Set(ownerIds);
+  usersSnapshot.docs.forEach((doc) => {
+    if (toCityKey(doc.data().city) === cityKey) {
+      userIds.add(doc.id);
+    }
+  });
+  providersSnapshot.docs.forEach((doc) => {
+    const provider = doc.data();
+    if (provider.userId && toCityKey(provider.city) === cityKey) {
+      userIds.add(provider.userId);
+    }
+  });
+  return userIds;
+}
+
+/**
+ * Resolve a segment to recipient user IDs
+ * @param {string} segment - One of SEGMENTS
+ * @param {string} city - City name for the 'city' segment
+ * @return {Promise<Array<string>>}
+ */
+async function resolveSegment(segment, city) {
+  switch (segment) {
+    case 'all': {
+      const snapshot = await admin.firestore().collection('users').select().get();
+      return snapshot.docs.map((doc) => doc.id);
+    }
+    case 'constructors':
+      return [...await getProviderUserIds('Construction', 'constructor')];
+    case 'renovators':
+      return [...await getProviderUserIds('Renovation', 'renovator')];
+    case 'owners':
+      return [...await getListingOwnerIds(null)];
+    case 'city':
+      return [...await getCityUserIds(city)];
+    default:
+      throw new Error(`Unknown segment: ${segment}`);
+  }
+}
+
+/**
+ * Drop recipients who turned off in-app marketing notifications
+ * @param {Array<string>} userIds - Segment recipients
+ * @return {Promise<Array<string>>}
+ */
+async function filterByPrefs(userIds) {
+  const db = admin.firestore();
+  const allowed = [];
+  for (let i = 0; i < userIds.length; i += BATCH_SIZE) {
+    const refs = userIds.slice(i, i + BATCH_SIZE).map((userId) => db.collection('users').doc(userId));
+    const userDocs = await db.getAll(...refs, {fieldMask: ['notificationPrefs']});
+    userDocs.forEach((userDoc) => {
+      const prefs = resolveNotificationPrefs(userDoc.exists ? userDoc.data().notificationPrefs : null);
+      if (isChannelEnabled(prefs, 'marketing', 'inApp')) allowed.push(userDoc.id);
+    });
+  }
+  return allowed;
+}
+
+/**
+ * Write one notification per recipient in batches and record the delivery count
+ * @param {FirebaseFirestore.DocumentReference} broadcastRef - Claimed broadcast (status 'sending')
+ * @param {Object} broadcast - Broadcast data
+ * @return {Promise<number>} - Notifications written
+ */
+async function deliver(broadcastRef, broadcast) {
+  const db = admin.firestore();
+
+  try {
+    const userIds = await filterByPrefs(await resolveSegment(broadcast.segment, broadcast.city));
+    await broadcastRef.update({recipientCount: userIds.length});
+
+    let deliveredCount = 0;
+    for (let i = 0; i < userIds.length; i += BATCH_SIZE) {
+      const batch = db.batch();
+      userIds.slice(i, i + BATCH_SIZE).forEach((userId) => {
+        batch.set(db.collection('notifications').doc(), {
+          userId,
+          title: broadcast.title,
+          message: broadcast.message,
+          type: 'admin',
+          category: 'marketing',
+          read: false,
+          link: broadcast.link || null,
+          broadcastId: broadcastRef.id,
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      });
+      await batch.commit();
+      deliveredCount += Math.min(BATCH_SIZE, userIds.length - i);
+      await broadcastRef.update({deliveredCount});
+    }
+
+    await broadcastRef.update({
+      status: 'sent',
+      sentAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return deliveredCount;
+  } catch (error) {
+    await broadcastRef.update({status: 'failed', error: error.message || 'Delivery failed'});
+    throw error;
+  }
+}
+
+/**
+ * Move a broadcast from 'scheduled' to 'sending'; null if another run already claimed it
+ * @param {FirebaseFirestore.DocumentReference} broadcastRef - Broadcast document
+ * @return {Promise<(Object|null)>} - Broadcast data when claimed
+ */
+async function claim(broadcastRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snap = await transaction.get(broadcastRef);
+    if (!snap.exists || snap.data().status !== 'scheduled') {
+      return null;
+    }
+    transaction.update(broadcastRef, {status: 'sending'});
+    return snap.data();
+  });
+}
+
+/**
+ * Create a broadcast and deliver it now, or schedule it
+ * @param {string} adminId - Sending admin
+ * @param {Object} data - {title, message, link, segment, city, scheduledAt (ISO string or millis)}
+ * @return {Promise<{broadcastId: string, status: string, deliveredCount: number}>}
+ */
+async function createBroadcast(adminId, data) {
+  const title = String(data.title || '').trim();
+  const message = String(data.message || '').trim();
+  const segment = data.segment || 'all';
+  const city = String(data.city || '').trim();
+  const link = typeof data.link === 'string' && data.link.startsWith('/') ? data.link : null;
+
+  if (!title || !message) {
+    throw new Error('Title and message are required');
+  }
+  if (!SEGMENTS.includes(segment)) {
+    throw new Error(`Segment must be one of: ${SEGMENTS.join(', ')}`);
+  }
+  if (segment === 'city' && !toCityKey(city)) {
+    throw new Error('Enter a city for the city segment');
+  }
+
+  let scheduledAt = null;
+  if (data.scheduledAt) {
+    scheduledAt = new Date(data.scheduledAt);
+    if (isNaN(scheduledAt.getTime())) {
+      throw new Error('Invalid schedule time');
+    }
+  }
+  const isScheduled = !!scheduledAt && scheduledAt.getTime() > Date.now();
+
+  const broadcast = {
+    title,
+    message,
+    link,
+    segment,
+    city: segment === 'city' ? city : null,
+    status: isScheduled ? 'scheduled' : 'sending',
+    scheduledAt: isScheduled ? admin.firestore.Timestamp.fromDate(scheduledAt) : null,
+    recipientCount: null,
+    deliveredCount: 0,
+    createdBy: adminId,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const broadcastRef = await admin.firestore().collection('broadcasts').add(broadcast);
+
+  if (isScheduled) {
+    return {broadcastId: broadcastRef.id, status: 'scheduled', deliveredCount: 0};
+  }
+  const deliveredCount = await deliver(broadcastRef, broadcast);
+  return {broadcastId: broadcastRef.id, status: 'sent', deliveredCount};
+}
+
+/**
+ * Cancel a broadcast that has not been delivered yet
+ * @param {string} broadcastId - Broadcast document ID
+ * @return {Promise<void>}
+ */
+async function cancelBroadcast(broadcastId) {
+  const broadcastRef = admin.firestore().collection('broadcasts').doc(broadcastId);
+  const cancelled = await admin.firestore().runTransaction(async (transaction) => {
+    const snap = await transaction.get(broadcastRef);
+    if (!snap.exists || snap.data().status !== 'scheduled') {
+      return false;
+    }
+    transaction.update(broadcastRef, {
+      status: 'cancelled',
+      cancelledAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  });
+  if (!cancelled) {
+    throw new Error('Only scheduled broadcasts can be cancelled');
+  }
+}
+
+/**
+ * Deliver every scheduled broadcast whose time has come
+ * @return {Promise<number>} - Broadcasts delivered
+ */
+async function sendDueBroadcasts() {
+  const snapshot = await admin.firestore().collection('broadcasts')
+      .where('status', '==', 'scheduled')
+      .where('scheduledAt', '<=', admin.firestore.Timestamp.now())
+      .get();
+
+  let sent = 0;
+  for (const doc of snapshot.docs) {
+    const broadcast = await claim(doc.ref);
+    if (!broadcast) {
+      continue;
+    }
+    try {
+      await deliver(doc.ref, broadcast);
+      sent++;
+    } catch (error) {
+      console.error(`Error delivering broadcast ${doc.id}:`, error);
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  SEGMENTS,
+  cancelBroadcast,
+  createBroadcast,
+  sendDueBroadcasts,
+};
@@ -0,0 +1,84 @@
+/**
+ * Email digests
+ *
+ * Users who pick a daily or weekly digest (users/{uid}.notificationDigest) get the emails of the
+ * low-priority DIGEST_CATEGORIES as one summary instead of one email each; createNotification holds
+ * those emails back. The summary lists the user's notifications of those categories since the last
+ * digest (users/{uid}.lastDigestAt), skipping categories whose email channel is off.
+ */
+
+const admin = require('firebase-admin');
+const {enqueueEmail, DIGEST_UNSUBSCRIBE} = require('./mailer');
+const {DIGEST_CATEGORIES, isChannelEnabled, resolveNotificationPrefs} = require('./notificationPrefs');
+
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Build and send one user's digest
+ * @param {Object} mailConfig - Mail settings
+ * @param {FirebaseFirestore.QueryDocumentSnapshot} userDoc - users/{uid}
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @return {Promise<boolean>} - Whether an email was sent
+ */
+async function sendUserDigest(mailConfig, userDoc, frequency) {
+  const user = userDoc.data();
+  const now = admin.firestore.Timestamp.now();
+  const since = user.lastDigestAt || admin.firestore.Timestamp.fromMillis(now.toMillis() - DIGEST_PERIOD_MS[frequency]);
+  const prefs = resolveNotificationPrefs(user.notificationPrefs);
+
+  const snapshot = await admin.firestore().collection('notifications')
+      .where('userId', '==', userDoc.id)
+      .where('createdAt', '>', since)
+      .orderBy('createdAt', 'desc')
+      .get();
+  const items = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((notification) => DIGEST_CATEGORIES.includes(notification.category) &&
+        isChannelEnabled(prefs, notification.category, 'email'))
+      .map(({title, message}) => ({title: title || 'Notification', message: message || ''}));
+
+  await userDoc.ref.update({lastDigestAt: now});
+  if (items.length === 0 || !user.email) {
+    return false;
+  }
+
+  const {status} = await enqueueEmail(mailConfig, {
+    to: user.email,
+    template: 'digest',
+    data: {frequency, items},
+    userId: userDoc.id,
+    category: DIGEST_UNSUBSCRIBE,
+  });
+  return status === 'sent';
+}
+
+/**
+ * Send the digest to every user on this frequency
+ * @param {Object} mailConfig - Mail settings
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @return {Promise<number>} - Number of digests sent
+ */
+async function sendDigests(mailConfig, frequency) {
+  const usersSnapshot = await admin.firestore().collection('users')
+      .where('notificationDigest', '==', frequency)
+      .get();
+
+  let sent = 0;
+  for (const userDoc of usersSnapshot.docs) {
+    try {
+      if (await sendUserDigest(mailConfig, userDoc, frequency)) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Error sending ${frequency} digest to user ${userDoc.id}:`, error);
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  sendDigests,
+};
@@ -0,0 +1,345 @@
+/**
+ * Disputes between clients and providers
+ *
+ * Either party opens a dispute on a project or booking; the target moves to `Disputed` and payments
+ * to it are refused until an admin records a resolution (refund, partial payout or close). Dispute
+ * documents are written only here, in the same transaction as the target's status change.
+ */
+
+const admin = require('firebase-admin');
+const {REQUEST_COLLECTIONS} = require('./payments');
+const {canTransition, normalizeStatus, transitionStatus} = require('./projectStatus');
+const {creditDisputeRefund} = require('./wallet');
+
+const RESOLUTION_OUTCOMES = ['refund', 'partial_payout', 'close'];
+
+// Status the target moves to for each outcome unless the admin picks another
+const DEFAULT_FINAL_STATUS = {
+  construction: {refund: 'Cancelled', partial_payout: 'Completed', close: 'In Progress'},
+  renovation: {refund: 'Cancelled', partial_payout: 'Completed', close: 'In Progress'},
+  rental: {refund: 'Cancelled', partial_payout: 'Completed', close: 'Accepted'},
+  buySell: {refund: 'Cancelled', partial_payout: 'Completed', close: 'Accepted'},
+};
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Convert Firestore timestamps in a plain object to milliseconds, for callable responses
+ * @param {Object} data - Document data
+ * @return {Object}
+ */
+function serialize(data) {
+  return Object.fromEntries(Object.entries(data || {}).map(([key, value]) => [
+    key,
+    value && typeof value.toMillis === 'function' ? value.toMillis() : value,
+  ]));
+}
+
+/**
+ * Resolve the client and provider user IDs of a project/booking
+ * @param {string} targetType - 'construction', 'renovation', 'rental' or 'buySell'
+ * @param {Object} target - Target document data
+ * @return {Promise<{clientId: (string|null), providerUserId: (string|null)}>}
+ */
+async function getParties(targetType, target) {
+  const db = admin.firestore();
+  const clientId = target.userId || target.clientId || null;
+
+  if (targetType === 'construction' || targetType === 'renovation') {
+    if (!target.providerId) {
+      return {clientId, providerUserId: null};
+    }
+    // providerId is a user ID, or a serviceProviders document ID on older direct requests
+    const profileSnap = await db.collection('serviceProviders').doc(target.providerId).get();
+    const providerUserId = profileSnap.exists && profileSnap.data().userId ?
+      profileSnap.data().userId :
+      target.providerId;
+    return {clientId, providerUserId};
+  }
+
+  if (!target.propertyId) {
+    return {clientId, providerUserId: null};
+  }
+  const propertySnap = await db.collection('properties').doc(target.propertyId).get();
+  return {clientId, providerUserId: propertySnap.exists ? propertySnap.data().ownerId || null : null};
+}
+
+/**
+ * Load a dispute target
+ * @param {string} targetType - 'construction', 'renovation', 'rental' or 'buySell'
+ * @param {string} targetId - Target document ID
+ * @return {Promise<{collectionName: string, target: Object}>}
+ */
+async function loadTarget(targetType, targetId) {
+  const collectionName = REQUEST_COLLECTIONS[targetType];
+  if (!collectionName || !targetId) {
+    throw new Error('A valid targetType and targetId are required');
+  }
+  const snap = await admin.firestore().collection(collectionName).doc(targetId).get();
+  if (!snap.exists) {
+    throw new Error('Project or booking not found');
+  }
+  return {collectionName, target: snap.data()};
+}
+
+/**
+ * Throw if payments to a target are frozen by an open dispute
+ * @param {string} targetType - Transaction target type
+ * @param {string} targetId - Target document ID
+ * @return {Promise<void>}
+ */
+async function assertPaymentsAllowed(targetType, targetId) {
+  const collectionName = REQUEST_COLLECTIONS[targetType];
+  if (!collectionName) {
+    return;
+  }
+  const snap = await admin.firestore().collection(collectionName).doc(targetId).get();
+  if (snap.exists && normalizeStatus(snap.data().status) === 'Disputed') {
+    throw new Error('Payments are on hold while a dispute is open');
+  }
+}
+
+/**
+ * Successful payments for a target (card and wallet payments)
+ * @param {string} targetType - Transaction target type
+ * @param {string} targetId - Target document ID
+ * @return {Promise<Array<FirebaseFirestore.QueryDocumentSnapshot>>}
+ */
+async function getPaidTransactions(targetType, targetId) {
+  const snapshot = await admin.firestore().collection('transactions')
+      .where('targetType', '==', targetType)
+      .where('targetId', '==', targetId)
+      .where('status', '==', 'success')
+      .get();
+  return snapshot.docs;
+}
+
+/**
+ * Total of a list of payments
+ * @param {Array<FirebaseFirestore.QueryDocumentSnapshot>} transactions - Transaction documents
+ * @return {number}
+ */
+function sumPaid(transactions) {
+  return roundAmount(transactions.reduce((sum, doc) => sum + (Number(doc.data().amount) || 0), 0));
+}
+
+/**
+ * Total successfully paid for a target (card and wallet payments)
+ * @param {string} targetType - Transaction target type
+ * @param {string} targetId - Target document ID
+ * @return {Promise<number>}
+ */
+async function getPaidTotal(targetType, targetId) {
+  return sumPaid(await getPaidTransactions(targetType, targetId));
+}
+
+/**
+ * Open a dispute (client or provider)
+ * @param {string} userId - Caller, who must be the client or provider of the target
+ * @param {Object} data - {targetType, targetId, reason, description, evidence: [imageUrl]}
+ * @return {Promise<{disputeId: string, dispute: Object}>}
+ */
+async function openDispute(userId, data) {
+  const db = admin.firestore();
+  const {targetType, targetId} = data;
+  const reason = String(data.reason || '').trim();
+  const description = String(data.description || '').trim();
+  const evidence = Array.isArray(data.evidence) ?
+    data.evidence.filter((url) => typeof url === 'string' && url.startsWith('https://')).slice(0, 10) :
+    [];
+
+  if (!reason) {
+    throw new Error('Please give a reason for the dispute');
+  }
+
+  const {collectionName, target} = await loadTarget(targetType, targetId);
+  const {clientId, providerUserId} = await getParties(targetType, target);
+  if (userId !== clientId && userId !== providerUserId) {
+    throw new Error('Only the client or provider can open a dispute');
+  }
+  if (!providerUserId) {
+    throw new Error('This request has no provider to dispute with yet');
+  }
+
+  const disputeRef = db.collection('disputes').doc();
+  const dispute = {
+    targetType,
+    targetId,
+    targetCollection: collectionName,
+    openedBy: userId,
+    openedByRole: userId === clientId ? 'client' : 'provider',
+    clientId,
+    providerUserId,
+    participantIds: [clientId, providerUserId],
+    reason,
+    description,
+    evidence,
+    status: 'open',
+    resolution: null,
+  };
+
+  await transitionStatus(collectionName, targetId, 'Disputed', {
+    role: 'system',
+    updatedBy: userId,
+    note: `Dispute opened: ${reason}`,
+    extraFields: {activeDisputeId: disputeRef.id},
+    extraWrites: (transaction, current) => {
+      if (current.activeDisputeId) {
+        throw new Error('A dispute is already open for this request');
+      }
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      transaction.set(disputeRef, {
+        ...dispute,
+        previousStatus: normalizeStatus(current.status) || current.status || 'Pending',
+        createdAt: now,
+        updatedAt: now,
+      });
+    },
+  });
+
+  return {disputeId: disputeRef.id, dispute};
+}
+
+/**
+ * Everything an admin needs to review a dispute: the dispute, its target, the projectUpdates
+ * timeline, the payments and the chat between the two parties
+ * @param {string} disputeId - Dispute document ID
+ * @return {Promise<Object>}
+ */
+async function getDisputeCase(disputeId) {
+  const db = admin.firestore();
+  const disputeSnap = await db.collection('disputes').doc(disputeId).get();
+  if (!disputeSnap.exists) {
+    throw new Error('Dispute not found');
+  }
+  const dispute = disputeSnap.data();
+  const targetRef = db.collection(dispute.targetCollection).doc(dispute.targetId);
+
+  const [targetSnap, updatesSnap, transactionsSnap, chatsSnap] = await Promise.all([
+    targetRef.get(),
+    targetRef.collection('projectUpdates').orderBy('createdAt', 'asc').get(),
+    db.collection('transactions')
+        .where('targetType', '==', dispute.targetType)
+        .where('targetId', '==', dispute.targetId)
+        .get(),
+    db.collection('chats').where('participants', 'array-contains', dispute.clientId).get(),
+  ]);
+
+  // Prefer the chat scoped to the disputed request, then the pair's general chat
+  const target = targetSnap.exists ? targetSnap.data() : {};
+  const contextKey = dispute.targetType === 'buySell' ?
+    `property:${target.propertyId}` :
+    `${dispute.targetType}:${dispute.targetId}`;
+  const pairChats = chatsSnap.docs.filter((doc) => (doc.data().participants || []).includes(dispute.providerUserId));
+  const chatDoc = pairChats.find((doc) => doc.data().contextKey === contextKey) ||
+    pairChats.find((doc) => (doc.data().contextKey || 'general') === 'general') ||
+    pairChats[0];
+  let messages = [];
+  if (chatDoc) {
+    const messagesSnap = await chatDoc.ref.collection('messages').orderBy('createdAt', 'asc').limitToLast(200).get();
+    messages = messagesSnap.docs.map((doc) => ({id: doc.id, ...serialize(doc.data())}));
+  }
+
+  return {
+    dispute: {id: disputeSnap.id, ...serialize(dispute)},
+    target: targetSnap.exists ? {id: targetSnap.id, ...serialize(targetSnap.data())} : null,
+    updates: updatesSnap.docs.map((doc) => ({id: doc.id, ...serialize(doc.data())})),
+    transactions: transactionsSnap.docs.map((doc) => ({id: doc.id, ...serialize(doc.data())})),
+    paidTotal: await getPaidTotal(dispute.targetType, dispute.targetId),
+    messages,
+  };
+}
+
+/**
+ * Record an admin's resolution and release the target from `Disputed`
+ * @param {string} adminId - Resolving admin
+ * @param {Object} data - {disputeId, outcome, refundAmount, finalStatus, notes}
+ * @return {Promise<{dispute: Object, refunded: number, finalStatus: string}>}
+ */
+async function resolveDispute(adminId, data) {
+  const db = admin.firestore();
+  const disputeRef = db.collection('disputes').doc(String(data.disputeId || ''));
+  const disputeSnap = await disputeRef.get();
+  if (!disputeSnap.exists) {
+    throw new Error('Dispute not found');
+  }
+  const dispute = {id: disputeSnap.id, ...disputeSnap.data()};
+  if (dispute.status === 'resolved') {
+    throw new Error('This dispute is already resolved');
+  }
+
+  const outcome = data.outcome;
+  if (!RESOLUTION_OUTCOMES.includes(outcome)) {
+    throw new Error('Outcome must be refund, partial_payout or close');
+  }
+  const finalStatus = data.finalStatus || DEFAULT_FINAL_STATUS[dispute.targetType][outcome];
+  if (!canTransition(dispute.targetCollection, 'Disputed', finalStatus, 'admin')) {
+    throw new Error(`A disputed request cannot move to "${finalStatus}"`);
+  }
+
+  // Refund goes to the client's wallet; for a partial payout the provider keeps the rest
+  const paidTransactions = await getPaidTransactions(dispute.targetType, dispute.targetId);
+  const paidTotal = sumPaid(paidTransactions);
+  let refundAmount = 0;
+  if (outcome === 'refund') {
+    refundAmount = paidTotal;
+  } else if (outcome === 'partial_payout') {
+    refundAmount = roundAmount(data.refundAmount);
+    if (!(refundAmount >= 0) || refundAmount > paidTotal) {
+      throw new Error(`Refund must be between 0 and the ${paidTotal} paid`);
+    }
+  }
+  const notes = String(data.notes || '').trim();
+  const resolution = {
+    outcome,
+    paidTotal,
+    refundAmount,
+    providerPayout: outcome === 'refund' ? 0 : roundAmount(paidTotal - refundAmount),
+    finalStatus,
+    notes,
+    resolvedBy: adminId,
+  };
+
+  await transitionStatus(dispute.targetCollection, dispute.targetId, finalStatus, {
+    role: 'admin',
+    updatedBy: adminId,
+    note: `Dispute resolved (${outcome.replace('_', ' ')})${notes ? `: ${notes}` : ''}`,
+    extraFields: {activeDisputeId: admin.firestore.FieldValue.delete()},
+    // Re-check inside the transaction so two admins resolving at once cannot both refund
+    check: async (transaction, target) => {
+      const current = await transaction.get(disputeRef);
+      if (current.data().status === 'resolved') {
+        throw new Error('This dispute is already resolved');
+      }
+      if (target.activeDisputeId !== disputeRef.id) {
+        throw new Error('This dispute is no longer active on the request');
+      }
+    },
+    extraWrites: (transaction) => {
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      transaction.update(disputeRef, {
+        status: 'resolved',
+        resolution: {...resolution, resolvedAt: now},
+        updatedAt: now,
+      });
+      // The refund is paid from the wallet, so refundPayment must not refund these payments again
+      if (refundAmount > 0) {
+        paidTransactions.forEach((doc) => {
+          transaction.update(doc.ref, {refundedByDispute: disputeRef.id, updatedAt: now});
+        });
+      }
+    },
+  });
+
+  const refunded = refundAmount > 0 ? await creditDisputeRefund(dispute.clientId, refundAmount, dispute) : 0;
+
+  return {dispute: {...dispute, status: 'resolved', resolution}, refunded, finalStatus};
+}
+
+module.exports = {
+  RESOLUTION_OUTCOMES,
+  assertPaymentsAllowed,
+  getDisputeCase,
+  openDispute,
+  resolveDispute,
+};
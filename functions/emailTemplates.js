@@ -0,0 +1,217 @@
+/**
+ * Email templates
+ *
+ * One template per event type. Each renders {subject, html, text} from plain data; the shared
+ * layout adds the Aptify header, a call-to-action button and, when the mailer passes one, the
+ * unsubscribe link. Values are HTML-escaped here, so callers pass raw user content.
+ */
+
+const APP_URL = process.env.APP_URL || 'https://aptify.com';
+
+/**
+ * Escape a value for use in HTML
+ * @param {*} value - Any value
+ * @return {string}
+ */
+function escapeHtml(value) {
+  return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+}
+
+/**
+ * Absolute URL for an app link such as '/account'
+ * @param {(string|null)} link - App path or absolute URL
+ * @return {string}
+ */
+function toAppUrl(link) {
+  if (!link) return APP_URL;
+  return /^https?:\/\//.test(link) ? link : `${APP_URL}${link.startsWith('/') ? '' : '/'}${link}`;
+}
+
+const STYLES = {
+  body: 'font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; ' +
+    'padding: 20px;',
+  header: 'background: linear-gradient(135deg, #0D9488 0%, #14B8A6 100%); padding: 30px; text-align: center; ' +
+    'border-radius: 8px 8px 0 0;',
+  content: 'background: #fff; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 8px 8px;',
+  button: 'display: inline-block; background: #0D9488; color: #fff; padding: 12px 30px; text-decoration: none; ' +
+    'border-radius: 6px; font-weight: bold;',
+};
+
+/**
+ * Wrap template content in the shared layout
+ * @param {Object} parts - {heading, paragraphs: Array<string>, action: {label, url}, footer}
+ * @param {(string|null)} unsubscribeUrl - One-click unsubscribe link, if any
+ * @return {{html: string, text: string}}
+ */
+function renderLayout({heading, paragraphs, action, footer}, unsubscribeUrl) {
+  const body = paragraphs
+      .map((paragraph) => `<p style="font-size: 16px; margin: 0 0 16px;">${escapeHtml(paragraph)}</p>`)
+      .join('\n        ');
+  const button = action ?
+    `<div style="text-align: center; margin: 30px 0;">
+          <a href="${escapeHtml(action.url)}" style="${STYLES.button}">${escapeHtml(action.label)}</a>
+        </div>` :
+    '';
+  const unsubscribe = unsubscribeUrl ?
+    `<p style="color: #666; font-size: 12px; margin: 8px 0 0;">
+          Don't want these emails? <a href="${escapeHtml(unsubscribeUrl)}" style="color: #0D9488;">Unsubscribe</a>
+        </p>` :
+    '';
+
+  const html = `
+    <!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="utf-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    </head>
+    <body style="${STYLES.body}">
+      <div style="${STYLES.header}">
+        <h1 style="color: #fff; margin: 0; font-size: 24px;">${escapeHtml(heading)}</h1>
+      </div>
+      <div style="${STYLES.content}">
+        ${body}
+        ${button}
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
+        <p style="color: #666; font-size: 12px; margin: 0;">${escapeHtml(footer)}</p>
+        ${unsubscribe}
+      </div>
+    </body>
+    </html>
+  `;
+
+  const text = [
+    heading,
+    '',
+    ...paragraphs,
+    ...(action ? ['', `${action.label}: ${action.url}`] : []),
+    '',
+    footer,
+    ...(unsubscribeUrl ? [`Unsubscribe: ${unsubscribeUrl}`] : []),
+  ].join('\n');
+
+  return {html, text};
+}
+
+const MAX_DIGEST_ITEMS = 20;
+
+const NOTIFICATION_FOOTER = 'You are receiving this email because of your Aptify notification settings.';
+
+const TEMPLATES = {
+  /**
+   * Newsletter confirmation for footer/landing page subscribers
+   * @return {Object}
+   */
+  newsletterWelcome: () => ({
+    subject: 'Welcome to Aptify Newsletter! 🏠',
+    heading: 'Welcome to Aptify!',
+    paragraphs: [
+      'Thank you for subscribing to our newsletter!',
+      'You\'ll receive the latest new property listings, renovation service offers, real estate ' +
+        'insights and tips, and exclusive deals and promotions.',
+      'We\'re excited to keep you informed about the best real estate opportunities!',
+    ],
+    action: {label: 'Visit Aptify', url: APP_URL},
+    footer: 'If you didn\'t subscribe to this newsletter, please ignore this email.',
+  }),
+
+  /**
+   * Construction/renovation request submitted or status changed
+   * @param {Object} data - {title, message, link, status}
+   * @return {Object}
+   */
+  projectUpdate: ({title, message, link, status}) => ({
+    subject: status ? `${title}: ${status}` : title,
+    heading: title,
+    paragraphs: [message],
+    action: {label: 'View project', url: toAppUrl(link)},
+    footer: NOTIFICATION_FOOTER,
+  }),
+
+  /**
+   * New review on a provider profile
+   * @param {Object} data - {title, message, link, rating, comment}
+   * @return {Object}
+   */
+  newReview: ({title, message, link, rating, comment}) => ({
+    subject: rating ? `${title} (${rating}★)` : title,
+    heading: title,
+    paragraphs: comment ? [message, `“${comment}”`] : [message],
+    action: {label: 'See your reviews', url: toAppUrl(link)},
+    footer: NOTIFICATION_FOOTER,
+  }),
+
+  /**
+   * Rental booking requested, accepted, rejected or cancelled
+   * @param {Object} data - {title, message, link, startDate, endDate}
+   * @return {Object}
+   */
+  bookingUpdate: ({title, message, link, startDate, endDate}) => ({
+    subject: title,
+    heading: title,
+    paragraphs: startDate && endDate ? [message, `Dates: ${startDate} – ${endDate}`] : [message],
+    action: {label: 'View booking', url: toAppUrl(link)},
+    footer: NOTIFICATION_FOOTER,
+  }),
+
+  /**
+   * New message in a user or support chat
+   * @param {Object} data - {title, message, link, senderName}
+   * @return {Object}
+   */
+  chatMessage: ({title, message, link, senderName}) => ({
+    subject: senderName ? `New message from ${senderName}` : title,
+    heading: title,
+    paragraphs: [message],
+    action: {label: 'Reply', url: toAppUrl(link)},
+    footer: NOTIFICATION_FOOTER,
+  }),
+
+  /**
+   * Daily or weekly summary of low-priority notifications (see digests.js)
+   * @param {Object} data - {frequency: 'daily'|'weekly', items: Array<{title, message}>}
+   * @return {Object}
+   */
+  digest: ({frequency, items}) => {
+    const shown = items.slice(0, MAX_DIGEST_ITEMS);
+    const more = items.length - shown.length;
+    return {
+      subject: `Your ${frequency} Aptify summary: ${items.length} update${items.length === 1 ? '' : 's'}`,
+      heading: frequency === 'weekly' ? 'Your week on Aptify' : 'Your day on Aptify',
+      paragraphs: [
+        ...shown.map((item) => `${item.title}: ${item.message}`),
+        ...(more > 0 ? [`…and ${more} more.`] : []),
+      ],
+      action: {label: 'Open notifications', url: toAppUrl('/notifications')},
+      footer: 'You get this summary instead of separate emails for reviews, listing updates and news. ' +
+        'Change it under Notifications in your account.',
+    };
+  },
+};
+
+/**
+ * Render an email
+ * @param {string} template - Template name (key of TEMPLATES)
+ * @param {Object} data - Template data
+ * @param {(string|null)} unsubscribeUrl - Unsubscribe link to include in the footer
+ * @return {{subject: string, html: string, text: string}}
+ */
+function renderEmail(template, data = {}, unsubscribeUrl = null) {
+  const build = TEMPLATES[template];
+  if (!build) {
+    throw new Error(`Unknown email template: ${template}`);
+  }
+  const parts = build(data);
+  return {subject: parts.subject, ...renderLayout(parts, unsubscribeUrl)};
+}
+
+module.exports = {
+  EMAIL_TEMPLATES: Object.keys(TEMPLATES),
+  escapeHtml,
+  renderEmail,
+};
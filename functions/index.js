@@ -1,5 +1,25 @@
 const functions = require('firebase-functions');
 const admin = require('firebase-admin');
+const { buildPropertySearchIndex, isSearchIndexCurrent, toCityKey } = require('./searchIndex');
+const { buildMessageSearchPrefixes, isMessageSearchIndexCurrent } = require('./messageSearch');
+const { isNewlyPublished, matchesSavedSearch } = require('./savedSearches');
+const { debitWalletPayment, refundTargetPayments } = require('./wallet');
+const { SIGNATURE_HEADER, getPaymentProvider, verifySignature } = require('./paymentProviders');
+const { REQUEST_COLLECTIONS, applySuccessfulPayment, getRequestAmount, handlePaymentEvent } = require('./payments');
+const { PROJECT_COLLECTIONS, getPayableMilestone } = require('./milestones');
+const { acceptQuote } = require('./quotes');
+const { assertPaymentsAllowed, getDisputeCase, openDispute, resolveDispute } = require('./disputes');
+const { cancelBroadcast, createBroadcast, sendDueBroadcasts } = require('./broadcasts');
+const { getNotificationPrefs, isChannelEnabled, isDigestedForUser } = require('./notificationPrefs');
+const { sendDigests } = require('./digests');
+const { deleteExpiredNotifications, READ_NOTIFICATION_TTL_DAYS } = require('./notificationCleanup');
+const { sendPushToUser } = require('./push');
+const { expireHiddenPresence } = require('./presence');
+const { syncBookedRange } = require('./availability');
+const { recomputeReviewSummary } = require('./reviewSummaries');
+const { buildProviderGeoUpdate, recordProviderResponse } = require('./providerSearch');
+const { checkReviewContent, flagReview, isReviewVisible, moderateReview, recordReport } = require('./reviewModeration');
+const { applyUnsubscribe, enqueueEmail, enqueueUserEmail, retryOutboxEmails, verifyUnsubscribeToken } = require('./mailer');
 
 admin.initializeApp();
 
@@ -7,19 +27,52 @@ const db = admin.firestore();
 
 /**
  * Helper function to create a notification
+ * Every notification from the functions goes through here, so the recipient's notification
+ * preferences (functions/notificationPrefs.js) are checked in one place. The push copy is sent by
+ * onNotificationCreated once the notification document exists.
  * @param {string} userId - Target user UID
  * @param {string} title - Notification title
  * @param {string} message - Notification message
  * @param {string} type - Notification type: 'info', 'success', 'warning', 'error', 'service-request', 'status-update', 'admin'
  * @param {string} link - Optional link URL
+ * @param {string} category - Preference category ('chat', 'projectStatus', 'reviews', 'propertyModeration',
+ *   'savedSearches', 'marketing'); omit for payment, wallet, dispute and account notices, which are always delivered
+ * @param {Object} options - Optional:
+ *   - email: { template, data } to also email the notification (see functions/emailTemplates.js);
+ *     title, message and link are passed to the template along with data
+ *   - groupKey: thread/entity the notification belongs to (e.g. 'chat:<chatId>'), so lists can group them
+ *   - actorName: who caused it, for group summaries such as "5 new messages from Ali"
  */
-async function createNotification(userId, title, message, type = 'info', link = null) {
+async function createNotification(userId, title, message, type = 'info', link = null, category = null, options = {}) {
+  const { email = null, groupKey = null, actorName = null } = options;
   try {
+    const prefs = await getNotificationPrefs(userId);
+
+    if (email && isChannelEnabled(prefs, category, 'email')) {
+      if (await isDigestedForUser(userId, category)) {
+        console.log(`Held back ${category} email for user ${userId}: included in their digest`);
+      } else {
+        await sendNotificationEmail(userId, email.template, { title, message, link, ...email.data }, category);
+      }
+    }
+
+    if (!isChannelEnabled(prefs, category, 'inApp')) {
+      console.log(`Skipped ${category} notification for user ${userId}: in-app notifications are turned off`);
+      // Pushes normally go out from onNotificationCreated; without a notification document send it here
+      if (isChannelEnabled(prefs, category, 'push')) {
+        await sendPushToUser(userId, { title, message, link, category });
+      }
+      return;
+    }
+
     await db.collection('notifications').add({
       userId,
       title,
       message,
       type,
+      category,
+      groupKey,
+      actorName,
       read: false,
       link,
       createdAt: admin.firestore.FieldValue.serverTimestamp(),
@@ -30,6 +83,101 @@ async function createNotification(userId, title, message, type = 'info', link =
   }
 }
 
+/**
+ * Helper function to email a user through the mailer outbox
+ * Callers check the email preference first; a failed send is left in the outbox for retryEmailOutbox.
+ * @param {string} userId - Target user UID
+ * @param {string} template - Template name from functions/emailTemplates.js
+ * @param {Object} data - Template data
+ * @param {string} category - Preference category, used for the unsubscribe link
+ */
+async function sendNotificationEmail(userId, template, data, category = null) {
+  try {
+    const result = await enqueueUserEmail(getMailConfig(), userId, template, data, category);
+    if (!result) {
+      console.log(`Skipped ${template} email for user ${userId}: no email address on profile`);
+    }
+  } catch (error) {
+    console.error(`Error emailing user ${userId}:`, error);
+  }
+}
+
+/**
+ * Helper function to email a notification whose in-app copy is created elsewhere (e.g. by the client)
+ * @param {string} userId - Target user UID
+ * @param {string} category - Preference category
+ * @param {string} template - Template name from functions/emailTemplates.js
+ * @param {Object} data - Template data
+ */
+async function emailIfEnabled(userId, category, template, data) {
+  try {
+    const prefs = await getNotificationPrefs(userId);
+    if (isChannelEnabled(prefs, category, 'email')) {
+      await sendNotificationEmail(userId, template, data, category);
+    }
+  } catch (error) {
+    console.error(`Error emailing user ${userId}:`, error);
+  }
+}
+
+/**
+ * Helper function to read mail settings
+ * Providers are set with `firebase functions:config:set resend.api_key=... sendgrid.api_key=... email.user=...`
+ * or the matching env vars. MAIL_TRANSPORT=local sends everything to the local SMTP stand-in
+ * (scripts/local-smtp-server.js) instead.
+ * @returns {Object}
+ */
+function getMailConfig() {
+  const config = functions.config();
+  const mail = config.mail || {};
+  const project = process.env.GCLOUD_PROJECT;
+  return {
+    transport: mail.transport || process.env.MAIL_TRANSPORT || null,
+    localSmtpHost: mail.local_smtp_host || process.env.LOCAL_SMTP_HOST,
+    localSmtpPort: mail.local_smtp_port || process.env.LOCAL_SMTP_PORT,
+    resendApiKey: config.resend?.api_key || process.env.RESEND_API_KEY,
+    resendFrom: config.resend?.from || process.env.RESEND_FROM || 'Aptify <onboarding@resend.dev>',
+    sendgridApiKey: config.sendgrid?.api_key || process.env.SENDGRID_API_KEY,
+    sendgridFrom: config.sendgrid?.from || process.env.SENDGRID_FROM || 'noreply@aptify.com',
+    smtpUser: config.email?.user || process.env.EMAIL_USER,
+    smtpPass: config.email?.pass || process.env.EMAIL_PASS,
+    smtpFrom: config.email?.from || process.env.EMAIL_FROM || 'noreply@aptify.com',
+    smtpHost: process.env.SMTP_HOST,
+    smtpPort: process.env.SMTP_PORT,
+    smtpSecure: process.env.SMTP_SECURE === 'true',
+    unsubscribeSecret: mail.unsubscribe_secret || process.env.MAIL_UNSUBSCRIBE_SECRET,
+    unsubscribeUrl: mail.unsubscribe_url || process.env.MAIL_UNSUBSCRIBE_URL ||
+      (project ? `https://us-central1-${project}.cloudfunctions.net/unsubscribe` : null),
+  };
+}
+
+/**
+ * Helper function to read payment gateway settings
+ * Set with `firebase functions:config:set payments.provider=local ...` or PAYMENT_* env vars
+ * @returns {{provider: string, gatewayUrl: string, gatewayKey: string, webhookSecret: string}}
+ */
+function getPaymentConfig() {
+  const config = functions.config().payments || {};
+  return {
+    provider: config.provider || process.env.PAYMENT_PROVIDER || 'mock',
+    gatewayUrl: config.gateway_url || process.env.PAYMENT_GATEWAY_URL,
+    gatewayKey: config.gateway_key || process.env.PAYMENT_GATEWAY_KEY,
+    webhookSecret: config.webhook_secret || process.env.PAYMENT_WEBHOOK_SECRET,
+  };
+}
+
+/**
+ * Helper function to check admin access for callable functions
+ * @param {Object} auth - context.auth of the callable request
+ * @returns {Promise<boolean>}
+ */
+async function isAdminCaller(auth) {
+  if (!auth) return false;
+  if (auth.token && auth.token.admin === true) return true;
+  const userDoc = await db.collection('users').doc(auth.uid).get();
+  return userDoc.exists && userDoc.data().role === 'admin';
+}
+
 /**
  * Helper function to get all admin user IDs
  * @returns {Promise<Array<string>>} - Array of admin user IDs
@@ -69,7 +217,8 @@ exports.onPropertyCreated = functions.firestore
         'New Property Listed',
         `A new property "${property.title || 'Untitled'}" has been listed and is pending approval.`,
         'info',
-        `/admin`
+        `/admin`,
+        'propertyModeration'
       )
     );
 
@@ -83,12 +232,131 @@ exports.onPropertyCreated = functions.firestore
         'Property Listed Successfully',
         `Your property "${property.title || 'Untitled'}" has been submitted and is pending admin approval.`,
         'status-update',
-        `/properties/${propertyId}`
+        `/properties/${propertyId}`,
+        'propertyModeration'
       );
       console.log(`Notified owner ${ownerId} about property submission`);
     }
   });
 
+/**
+ * 1b. On property created/updated → maintain the search index fields
+ * Writes searchTokens/searchGrams/cityKey only when they changed, so the update it makes
+ * re-triggers this function once and then stops.
+ */
+exports.onPropertyWritten = functions.firestore
+  .document('properties/{propertyId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return;
+    }
+
+    const property = change.after.data();
+    const index = buildPropertySearchIndex(property);
+
+    if (isSearchIndexCurrent(property, index)) {
+      return;
+    }
+
+    try {
+      await change.after.ref.update(index);
+      console.log(`Search index updated for property ${context.params.propertyId}`);
+    } catch (error) {
+      console.error(`Error updating search index for property ${context.params.propertyId}:`, error);
+    }
+  });
+
+/**
+ * 1c. On property published → alert users whose saved searches match
+ * Instant searches get a notification now; daily searches queue the property for the digest.
+ */
+exports.matchSavedSearches = functions.firestore
+  .document('properties/{propertyId}')
+  .onWrite(async (change, context) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+
+    if (!isNewlyPublished(before, after)) {
+      return;
+    }
+
+    const propertyId = context.params.propertyId;
+    const ownerId = after.ownerId || after.userId;
+    const cityKey = after.cityKey || toCityKey(after.address && after.address.city);
+
+    try {
+      // Searches for this city plus searches with no city filter
+      const searchesRef = db.collection('savedSearches').where('alertsEnabled', '==', true);
+      const snapshots = await Promise.all([
+        cityKey ? searchesRef.where('cityKey', '==', cityKey).get() : null,
+        searchesRef.where('cityKey', '==', null).get(),
+      ]);
+
+      const matches = snapshots
+        .filter(Boolean)
+        .flatMap((snapshot) => snapshot.docs)
+        .filter((doc) => doc.data().userId !== ownerId && matchesSavedSearch(after, doc.data()));
+
+      await Promise.all(matches.map((doc) => {
+        const savedSearch = doc.data();
+        if (savedSearch.alertMode === 'daily') {
+          return doc.ref.update({
+            pendingMatches: admin.firestore.FieldValue.arrayUnion(propertyId),
+          });
+        }
+        return createNotification(
+          savedSearch.userId,
+          `New listing for "${savedSearch.name}"`,
+          `"${after.title || 'A new property'}" matches your saved search.`,
+          'saved-search',
+          `/properties/${propertyId}`,
+          'savedSearches'
+        );
+      }));
+
+      console.log(`Property ${propertyId} matched ${matches.length} saved search(es)`);
+    } catch (error) {
+      console.error(`Error matching saved searches for property ${propertyId}:`, error);
+    }
+  });
+
+/**
+ * 1d. Daily → send one digest notification per saved search with queued matches
+ */
+exports.sendSavedSearchDigests = functions.pubsub
+  .schedule('every day 09:00')
+  .timeZone('Asia/Karachi')
+  .onRun(async () => {
+    const snapshot = await db.collection('savedSearches')
+      .where('alertMode', '==', 'daily')
+      .get();
+
+    const pending = snapshot.docs.filter((doc) => (doc.data().pendingMatches || []).length > 0);
+
+    await Promise.all(pending.map(async (doc) => {
+      const savedSearch = doc.data();
+      const count = savedSearch.pendingMatches.length;
+      // A single match links straight to the listing; several link back to the search list
+      const link = count === 1 ? `/properties/${savedSearch.pendingMatches[0]}` : '/account';
+
+      await createNotification(
+        savedSearch.userId,
+        `${count} new listing${count === 1 ? '' : 's'} for "${savedSearch.name}"`,
+        `Your saved search has ${count} new match${count === 1 ? '' : 'es'} since the last digest.`,
+        'saved-search',
+        link,
+        'savedSearches'
+      );
+
+      await doc.ref.update({
+        pendingMatches: [],
+        lastNotifiedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+    }));
+
+    console.log(`Sent ${pending.length} saved search digest(s)`);
+  });
+
 /**
  * 2. On new construction project created → notify provider + confirm to user
  */
@@ -102,6 +370,11 @@ exports.onConstructionProjectCreated = functions.firestore
 
     console.log(`New construction project created: ${projectId}`);
 
+    // Projects converted from an accepted quote are announced by acceptQuote
+    if (project.jobRequestId) {
+      return;
+    }
+
     // Confirm to user (client)
     if (userId) {
       await createNotification(
@@ -109,7 +382,9 @@ exports.onConstructionProjectCreated = functions.firestore
         'Construction Request Submitted',
         `Your construction request has been submitted successfully. ${providerId ? 'The provider will review it soon.' : 'We will match you with a provider soon.'}`,
         'service-request',
-        `/account`
+        `/account`,
+        'projectStatus',
+        { email: { template: 'projectUpdate' }, groupKey: `project:${projectId}` }
       );
       console.log(`Notified client ${userId} about construction request submission`);
     }
@@ -132,7 +407,9 @@ exports.onConstructionProjectCreated = functions.firestore
                 currency: 'PKR',
               }).format(project.budget || 0)}`,
               'service-request',
-              `/constructor-dashboard`
+              `/constructor-dashboard`,
+              'projectStatus',
+              { email: { template: 'projectUpdate' }, groupKey: `project:${projectId}` }
             );
             console.log(`Notified provider ${providerUserId} about construction request`);
           }
@@ -159,7 +436,8 @@ exports.onConstructionProjectCreated = functions.firestore
                 currency: 'PKR',
               }).format(project.budget || 0)}`,
               'service-request',
-              `/constructor-dashboard`
+              `/constructor-dashboard`,
+              'projectStatus'
             );
           }
         });
@@ -185,6 +463,11 @@ exports.onRenovationProjectCreated = functions.firestore
 
     console.log(`New renovation project created: ${projectId}`);
 
+    // Projects converted from an accepted quote are announced by acceptQuote
+    if (project.jobRequestId) {
+      return;
+    }
+
     // Confirm to user (client)
     if (userId) {
       await createNotification(
@@ -192,7 +475,9 @@ exports.onRenovationProjectCreated = functions.firestore
         'Renovation Request Submitted',
         `Your renovation request has been submitted successfully. ${providerId ? 'The provider will review it soon.' : 'We will match you with a provider soon.'}`,
         'service-request',
-        `/account`
+        `/account`,
+        'projectStatus',
+        { email: { template: 'projectUpdate' }, groupKey: `project:${projectId}` }
       );
       console.log(`Notified client ${userId} about renovation request submission`);
     }
@@ -215,7 +500,9 @@ exports.onRenovationProjectCreated = functions.firestore
                 currency: 'PKR',
               }).format(project.budget || 0)}`,
               'service-request',
-              `/renovator-dashboard`
+              `/renovator-dashboard`,
+              'projectStatus',
+              { email: { template: 'projectUpdate' }, groupKey: `project:${projectId}` }
             );
             console.log(`Notified provider ${providerUserId} about renovation request`);
           }
@@ -242,7 +529,8 @@ exports.onRenovationProjectCreated = functions.firestore
                 currency: 'PKR',
               }).format(project.budget || 0)}`,
               'service-request',
-              `/renovator-dashboard`
+              `/renovator-dashboard`,
+              'projectStatus'
             );
           }
         });
@@ -272,6 +560,13 @@ exports.onConstructionProjectUpdated = functions.firestore
 
     console.log(`Construction project ${projectId} status changed: ${before.status} → ${after.status}`);
 
+    // The provider's first answer to a request feeds their average response time in search rankings
+    try {
+      await recordProviderResponse('construction', before, after);
+    } catch (error) {
+      console.error(`Error recording provider response time for project ${projectId}:`, error);
+    }
+
     const userId = after.userId || after.clientId;
     const providerId = after.providerId;
 
@@ -282,7 +577,9 @@ exports.onConstructionProjectUpdated = functions.firestore
         'Construction Project Status Updated',
         `Your construction project status has been updated to "${after.status || 'Unknown'}".`,
         'status-update',
-        `/account`
+        `/account`,
+        'projectStatus',
+        { email: { template: 'projectUpdate', data: { status: after.status } }, groupKey: `project:${projectId}` }
       );
       console.log(`Notified client ${userId} about construction project status update`);
     }
@@ -301,7 +598,9 @@ exports.onConstructionProjectUpdated = functions.firestore
               'Construction Project Status Updated',
               `Construction project status has been updated to "${after.status || 'Unknown'}".`,
               'status-update',
-              `/constructor-dashboard`
+              `/constructor-dashboard`,
+              'projectStatus',
+              { email: { template: 'projectUpdate', data: { status: after.status } }, groupKey: `project:${projectId}` }
             );
             console.log(`Notified provider ${providerUserId} about construction project status update`);
           }
@@ -329,6 +628,13 @@ exports.onRenovationProjectUpdated = functions.firestore
 
     console.log(`Renovation project ${projectId} status changed: ${before.status} → ${after.status}`);
 
+    // The provider's first answer to a request feeds their average response time in search rankings
+    try {
+      await recordProviderResponse('renovation', before, after);
+    } catch (error) {
+      console.error(`Error recording provider response time for project ${projectId}:`, error);
+    }
+
     const userId = after.userId || after.clientId;
     const providerId = after.providerId;
 
@@ -339,7 +645,9 @@ exports.onRenovationProjectUpdated = functions.firestore
         'Renovation Project Status Updated',
         `Your renovation project status has been updated to "${after.status || 'Unknown'}".`,
         'status-update',
-        `/account`
+        `/account`,
+        'projectStatus',
+        { email: { template: 'projectUpdate', data: { status: after.status } }, groupKey: `project:${projectId}` }
       );
       console.log(`Notified client ${userId} about renovation project status update`);
     }
@@ -358,7 +666,9 @@ exports.onRenovationProjectUpdated = functions.firestore
               'Renovation Project Status Updated',
               `Renovation project status has been updated to "${after.status || 'Unknown'}".`,
               'status-update',
-              `/renovator-dashboard`
+              `/renovator-dashboard`,
+              'projectStatus',
+              { email: { template: 'projectUpdate', data: { status: after.status } }, groupKey: `project:${projectId}` }
             );
             console.log(`Notified provider ${providerUserId} about renovation project status update`);
           }
@@ -370,7 +680,8 @@ exports.onRenovationProjectUpdated = functions.firestore
   });
 
 /**
- * 6. On new review created → notify provider
+ * 6. On new review created → hold it for moderation if the content filter trips, else update the
+ * target's rating summary and notify provider
  */
 exports.onReviewCreated = functions.firestore
   .document('reviews/{reviewId}')
@@ -380,6 +691,22 @@ exports.onReviewCreated = functions.firestore
 
     console.log(`New review created: ${reviewId}`);
 
+    // onReviewUpdated notifies the author and admins once the review is held
+    const contentFlags = checkReviewContent(review.comment);
+    if (contentFlags.length > 0) {
+      await flagReview(snap.ref, contentFlags);
+      console.log(`Review ${reviewId} held for moderation: ${contentFlags.join(', ')}`);
+      return;
+    }
+
+    if (review.targetId) {
+      try {
+        await recomputeReviewSummary(review.targetId, review.targetType);
+      } catch (error) {
+        console.error(`Error updating rating summary for ${review.targetId}:`, error);
+      }
+    }
+
     // Only notify if review is for a provider
     if (review.targetType !== 'provider') {
       return;
@@ -435,7 +762,13 @@ exports.onReviewCreated = functions.firestore
         'New Review Received',
         `${reviewerName} left a ${review.rating}-star review for your ${serviceType.toLowerCase()} service.`,
         'info',
-        dashboardLink
+        dashboardLink,
+        'reviews',
+        {
+          email: { template: 'newReview', data: { rating: review.rating, comment: review.comment } },
+          groupKey: `reviews:${targetId}`,
+          actorName: reviewerName,
+        }
       );
 
       console.log(`Notified provider ${providerUserId} about new review`);
@@ -508,7 +841,13 @@ exports.onSupportChatMessageCreated = functions.firestore
             'New Support Chat Message',
             `You have a new message from support: "${message.text?.substring(0, 50) || 'New message'}${message.text?.length > 50 ? '...' : ''}"`,
             'info',
-            `/chatbot`
+            `/chatbot`,
+            'chat',
+            {
+              email: { template: 'chatMessage', data: { senderName: 'Aptify Support' } },
+              groupKey: `supportChat:${chatId}`,
+              actorName: 'Aptify Support',
+            }
           );
           console.log(`Notified user ${userId} about support chat message`);
         }
@@ -521,7 +860,8 @@ exports.onSupportChatMessageCreated = functions.firestore
             'New Support Chat Message',
             `You have a new message from a user: "${message.text?.substring(0, 50) || 'New message'}${message.text?.length > 50 ? '...' : ''}"`,
             'info',
-            `/admin`
+            `/admin`,
+            'chat'
           );
           console.log(`Notified admin ${adminId} about support chat message`);
         } else {
@@ -533,7 +873,8 @@ exports.onSupportChatMessageCreated = functions.firestore
               'New Support Chat Message',
               `You have a new message from a user: "${message.text?.substring(0, 50) || 'New message'}${message.text?.length > 50 ? '...' : ''}"`,
               'info',
-              '/admin'
+              '/admin',
+              'chat'
             )
           );
           await Promise.all(notificationPromises);
@@ -578,13 +919,43 @@ exports.onChatMessageCreated = functions.firestore
         console.error('Error fetching sender name:', error);
       }
 
+      // Attachment-only messages are previewed as "Sent a photo", "Sent 3 photos", "Sent invoice.pdf", ...
+      const attachments = Array.isArray(message.attachments) ? message.attachments : [];
+      let preview = (message.text || '').trim();
+      if (!preview && attachments.length > 0) {
+        const allImages = attachments.every((attachment) => attachment?.type?.startsWith('image/'));
+        if (allImages) {
+          preview = attachments.length === 1 ? 'Sent a photo' : `Sent ${attachments.length} photos`;
+        } else {
+          preview = attachments.length === 1 ? `Sent ${attachments[0].name || 'a file'}` : `Sent ${attachments.length} files`;
+        }
+      }
+
+      // Archive, mute and pin are per user (archivedFor / mutedFor / pinnedFor on the chat).
+      // A new message brings an archived chat back unless the receiver also muted it.
+      const chatRef = db.collection('chats').doc(chatId);
+      const chatDoc = await chatRef.get();
+      const chat = chatDoc.exists ? chatDoc.data() : {};
+      const muted = chat.mutedFor?.[receiverId] === true;
+
+      if (chat.archivedFor?.[receiverId] === true && !muted) {
+        await chatRef.update({ [`archivedFor.${receiverId}`]: false });
+      }
+
+      if (muted) {
+        console.log(`Chat ${chatId} is muted by ${receiverId}; skipping notification`);
+        return;
+      }
+
       // Create notification for receiver
       await createNotification(
         receiverId,
         'New Chat Message',
-        `${senderName}: ${message.text?.substring(0, 50) || 'New message'}${message.text?.length > 50 ? '...' : ''}`,
+        `${senderName}: ${preview.substring(0, 50) || 'New message'}${preview.length > 50 ? '...' : ''}`,
         'info',
-        `/chats?chatId=${chatId}`
+        `/chats?chatId=${chatId}`,
+        'chat',
+        { email: { template: 'chatMessage', data: { senderName } }, groupKey: `chat:${chatId}`, actorName: senderName }
       );
 
       console.log(`Notified ${receiverId} about new chat message`);
@@ -594,399 +965,1305 @@ exports.onChatMessageCreated = functions.firestore
   });
 
 /**
- * REAL EMAIL SUBSCRIPTION: Callable function that validates, stores, and sends email synchronously
- * Returns success only after email is actually sent
+ * 9b. On chat message created/edited/deleted → maintain the searchPrefixes used by message search
  */
-exports.subscribeEmail = functions.https.onCall(async (data, context) => {
-  const email = data.email;
-  const source = data.source || 'footer';
+exports.onChatMessageWritten = functions.firestore
+  .document('chats/{chatId}/messages/{messageId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return;
+    }
 
-  // Validate input
-  if (!email || typeof email !== 'string' || !email.trim()) {
-    throw new functions.https.HttpsError('invalid-argument', 'Please enter a valid email address');
-  }
+    const message = change.after.data();
+    const prefixes = message.deleted ? [] : buildMessageSearchPrefixes(message.text);
 
-  const trimmedEmail = email.trim().toLowerCase();
-  
-  // Enhanced email validation
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  if (!emailRegex.test(trimmedEmail)) {
-    throw new functions.https.HttpsError('invalid-argument', 'Please enter a valid email address');
-  }
+    if (isMessageSearchIndexCurrent(message, prefixes)) {
+      return;
+    }
 
-  try {
-    // Check for duplicate email
-    const existingQuery = await db.collection('email_subscriptions')
-      .where('email', '==', trimmedEmail)
-      .limit(1)
-      .get();
+    try {
+      await change.after.ref.update({ searchPrefixes: prefixes });
+    } catch (error) {
+      console.error(`Error updating search index for message ${context.params.messageId}:`, error);
+    }
+  });
 
-    if (!existingQuery.empty) {
-      const existingDoc = existingQuery.docs[0];
-      const existingData = existingDoc.data();
-      
-      if (existingData.status === 'active') {
-        throw new functions.https.HttpsError('already-exists', 'This email is already subscribed');
+/**
+ * 10. On rental request rejected/cancelled → refund wallet payments made for it
+ */
+exports.refundWalletPayments = functions.firestore
+  .document('rentalRequests/{requestId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    const requestId = context.params.requestId;
+
+    if (before.status === after.status || !['Rejected', 'Cancelled'].includes(after.status)) {
+      return;
+    }
+    // A cancelled dispute is refunded by resolveDispute according to the admin's decision
+    if (before.status === 'Disputed') {
+      return;
+    }
+
+    try {
+      const { userId, amount } = await refundTargetPayments(
+        'rental',
+        requestId,
+        `Refund for ${after.status.toLowerCase()} rental booking`,
+      );
+
+      if (userId && amount > 0) {
+        await createNotification(
+          userId,
+          'Wallet Refund',
+          `${amount.toFixed(2)} has been refunded to your wallet for your ${after.status.toLowerCase()} booking.`,
+          'success',
+          '/account',
+        );
+        console.log(`Refunded ${amount} to ${userId} for rental request ${requestId}`);
       }
+    } catch (error) {
+      console.error(`Error refunding wallet payments for rental request ${requestId}:`, error);
     }
+  });
 
-    // Store subscription in Firestore
-    const subscriptionRef = db.collection('email_subscriptions').doc();
-    await subscriptionRef.set({
-      email: trimmedEmail,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      source: source,
-      status: 'pending', // Will be updated to 'active' after email sent
-    });
+const PAYMENT_TARGET_TYPES = ['construction', 'renovation', 'rental', 'buySell', 'property', 'wallet'];
 
-    console.log(`[Subscribe Email] Subscription created: ${subscriptionRef.id} for ${trimmedEmail}`);
+/**
+ * 11. Callable: create a pending transaction and a payment intent with the configured gateway
+ */
+exports.createPaymentIntent = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Please log in to make a payment');
+  }
 
-    // Send confirmation email - try Resend first, then SendGrid, then Gmail SMTP
-    let emailSent = false;
-    let emailError = null;
-    let emailMessageId = null;
+  let amount = Math.round(Number(data.amount) * 100) / 100;
+  const targetType = data.targetType;
+  // Top-ups always go to the caller's own wallet
+  const targetId = targetType === 'wallet' ? context.auth.uid : data.targetId;
+  const milestoneId = typeof data.milestoneId === 'string' && data.milestoneId ? data.milestoneId : null;
 
-    // Option 1: Try Resend (modern, recommended)
-    const resendApiKey = functions.config().resend?.api_key || process.env.RESEND_API_KEY;
-    if (resendApiKey) {
-      try {
-        const { Resend } = require('resend');
-        const resend = new Resend(resendApiKey);
-        
-        const result = await resend.emails.send({
-          from: functions.config().resend?.from || process.env.RESEND_FROM || 'Aptify <onboarding@resend.dev>',
-          to: trimmedEmail,
-          subject: 'Welcome to Aptify Newsletter! 🏠',
-          html: getEmailTemplate(trimmedEmail),
-        });
+  if (!PAYMENT_TARGET_TYPES.includes(targetType) || !targetId || typeof targetId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'A valid targetType and targetId are required');
+  }
 
-        emailSent = true;
-        emailMessageId = result.data?.id || result.id || 'sent';
-        console.log(`[Subscribe Email] ✅ Email sent via Resend to ${trimmedEmail}. MessageId: ${emailMessageId}`);
-      } catch (resendError) {
-        console.warn(`[Subscribe Email] Resend failed: ${resendError.message}`);
-        emailError = resendError.message;
-      }
-    }
+  try {
+    await assertPaymentsAllowed(targetType, targetId);
+  } catch (error) {
+    throw new functions.https.HttpsError('failed-precondition', error.message);
+  }
 
-    // Option 2: Try SendGrid if Resend failed or not configured
-    if (!emailSent) {
-      const sendGridApiKey = functions.config().sendgrid?.api_key || process.env.SENDGRID_API_KEY;
-      if (sendGridApiKey) {
-        try {
-          const sgMail = require('@sendgrid/mail');
-          sgMail.setApiKey(sendGridApiKey);
-          
-          const msg = {
-            to: trimmedEmail,
-            from: functions.config().sendgrid?.from || process.env.SENDGRID_FROM || 'noreply@aptify.com',
-            subject: 'Welcome to Aptify Newsletter! 🏠',
-            html: getEmailTemplate(trimmedEmail),
-            text: getEmailTextTemplate(trimmedEmail),
-          };
-
-          const result = await sgMail.send(msg);
-          emailSent = true;
-          emailMessageId = result[0]?.headers?.['x-message-id'] || 'sent';
-          console.log(`[Subscribe Email] ✅ Email sent via SendGrid to ${trimmedEmail}. MessageId: ${emailMessageId}`);
-        } catch (sendGridError) {
-          console.warn(`[Subscribe Email] SendGrid failed: ${sendGridError.message}`);
-          emailError = sendGridError.message;
-        }
-      }
+  // Milestone payments are charged the approved milestone amount, and request payments the price
+  // of the request, whatever the client sent
+  if (milestoneId) {
+    try {
+      const milestone = await getPayableMilestone(targetType, targetId, milestoneId, context.auth.uid);
+      amount = milestone.amount;
+    } catch (error) {
+      throw new functions.https.HttpsError('failed-precondition', error.message);
+    }
+  } else if (REQUEST_COLLECTIONS[targetType]) {
+    const requestSnap = await db.collection(REQUEST_COLLECTIONS[targetType]).doc(targetId).get();
+    if (!requestSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Request not found');
     }
+    amount = getRequestAmount(targetType, requestSnap.data());
+    if (!amount) {
+      throw new functions.https.HttpsError('failed-precondition', 'This request has no amount to pay');
+    }
+  }
+  if (!amount || amount <= 0) {
+    throw new functions.https.HttpsError('invalid-argument', 'Amount must be greater than 0');
+  }
 
-    // Option 3: Try Gmail SMTP if Resend and SendGrid failed or not configured
-    if (!emailSent) {
-      const emailUser = functions.config().email?.user || process.env.EMAIL_USER;
-      const emailPass = functions.config().email?.pass || process.env.EMAIL_PASS;
-      const emailFrom = functions.config().email?.from || process.env.EMAIL_FROM || 'noreply@aptify.com';
-      
-      if (emailUser && emailPass) {
-        try {
-          const nodemailer = require('nodemailer');
-          
-          let transporter;
-          if (emailUser.includes('@gmail.com')) {
-            transporter = nodemailer.createTransport({
-              service: 'gmail',
-              auth: {
-                user: emailUser,
-                pass: emailPass,
-              },
-            });
-          } else {
-            transporter = nodemailer.createTransport({
-              host: process.env.SMTP_HOST || 'smtp.gmail.com',
-              port: parseInt(process.env.SMTP_PORT || '587'),
-              secure: process.env.SMTP_SECURE === 'true',
-              auth: {
-                user: emailUser,
-                pass: emailPass,
-              },
-            });
-          }
+  const provider = getPaymentProvider(getPaymentConfig());
+  const transactionRef = db.collection('transactions').doc();
 
-          const info = await transporter.sendMail({
-            from: `"Aptify" <${emailFrom}>`,
-            to: trimmedEmail,
-            subject: 'Welcome to Aptify Newsletter! 🏠',
-            html: getEmailTemplate(trimmedEmail),
-            text: getEmailTextTemplate(trimmedEmail),
-          });
+  try {
+    const intent = await provider.createIntent({
+      amount,
+      currency: data.currency || 'PKR',
+      transactionId: transactionRef.id,
+      userId: context.auth.uid,
+    });
 
-          emailSent = true;
-          emailMessageId = info.messageId;
-          console.log(`[Subscribe Email] ✅ Email sent via Gmail SMTP to ${trimmedEmail}. MessageId: ${emailMessageId}`);
-        } catch (smtpError) {
-          console.error(`[Subscribe Email] Gmail SMTP failed: ${smtpError.message}`);
-          emailError = smtpError.message;
-        }
-      }
-    }
+    await transactionRef.set({
+      userId: context.auth.uid,
+      targetType,
+      targetId,
+      milestoneId,
+      amount,
+      currency: data.currency || 'PKR',
+      status: 'pending',
+      paymentMethod: 'card',
+      provider: provider.name,
+      providerIntentId: intent.intentId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
 
-    // If email was sent, update status to active
-    if (emailSent) {
-      await subscriptionRef.update({
-        status: 'active',
-        emailSentAt: admin.firestore.FieldValue.serverTimestamp(),
-        emailMessageId: emailMessageId,
-      });
-      console.log(`[Subscribe Email] ✅ Subscription ${subscriptionRef.id} marked as active`);
-      
-      return {
-        success: true,
-        message: 'Successfully subscribed! Please check your email for confirmation.',
-        subscriptionId: subscriptionRef.id,
-      };
-    } else {
-      // Email failed - update status with error
-      await subscriptionRef.update({
-        status: 'pending',
-        emailError: emailError || 'Email service not configured',
-        emailErrorAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
-      
-      throw new functions.https.HttpsError(
-        'internal',
-        'Subscription saved, but confirmation email could not be sent. Please contact support.',
-      );
-    }
+    return { transactionId: transactionRef.id, clientSecret: intent.clientSecret };
   } catch (error) {
-    console.error('[Subscribe Email] Error:', error);
-    
-    if (error instanceof functions.https.HttpsError) {
-      throw error;
-    }
-    
-    throw new functions.https.HttpsError('internal', 'Failed to subscribe. Please try again later.');
+    console.error('Error creating payment intent:', error);
+    throw new functions.https.HttpsError('unavailable', 'Payment gateway is unavailable. Please try again.');
   }
 });
 
 /**
- * Helper function to generate email HTML template
- */
-function getEmailTemplate(email) {
-  return `
-    <!DOCTYPE html>
-    <html>
-    <head>
-      <meta charset="utf-8">
-      <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    </head>
-    <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
-      <div style="background: linear-gradient(135deg, #0D9488 0%, #14B8A6 100%); padding: 30px; text-align: center; border-radius: 8px 8px 0 0;">
-        <h1 style="color: #fff; margin: 0; font-size: 28px;">Welcome to Aptify!</h1>
-      </div>
-      <div style="background: #fff; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 8px 8px;">
-        <p style="font-size: 16px; margin-bottom: 20px;">Thank you for subscribing to our newsletter!</p>
-        <p style="font-size: 16px; margin-bottom: 20px;">You're now part of the Aptify community and will receive the latest updates on:</p>
-        <ul style="font-size: 16px; margin-bottom: 20px; padding-left: 20px;">
-          <li style="margin-bottom: 10px;">🏠 New property listings</li>
-          <li style="margin-bottom: 10px;">🔨 Renovation service offers</li>
-          <li style="margin-bottom: 10px;">💡 Real estate insights and tips</li>
-          <li style="margin-bottom: 10px;">🎯 Exclusive deals and promotions</li>
-        </ul>
-        <p style="font-size: 16px; margin-bottom: 30px;">We're excited to keep you informed about the best real estate opportunities!</p>
-        <div style="text-align: center; margin: 30px 0;">
-          <a href="https://aptify.com" style="display: inline-block; background: #0D9488; color: #fff; padding: 12px 30px; text-decoration: none; border-radius: 6px; font-weight: bold;">Visit Aptify</a>
-        </div>
-        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 30px 0;">
-        <p style="color: #666; font-size: 12px; margin: 0;">
-          If you didn't subscribe to this newsletter, please ignore this email.
-        </p>
-      </div>
-    </body>
-    </html>
-  `;
-}
-
-/**
- * Helper function to generate email text template
+ * 12. Callable: confirm a payment intent with card details
+ * The transaction is settled by gateway events (returned directly by the mock provider, or
+ * delivered later to paymentWebhook), never by the client.
  */
-function getEmailTextTemplate(email) {
-  return `Welcome to Aptify!
+exports.confirmPayment = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Please log in to make a payment');
+  }
 
-Thank you for subscribing to our newsletter!
+  const transactionSnap = await db.collection('transactions').doc(String(data.transactionId || '')).get();
+  if (!transactionSnap.exists || transactionSnap.data().userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('not-found', 'Transaction not found');
+  }
+
+  const transaction = transactionSnap.data();
+  if (transaction.status !== 'pending') {
+    throw new functions.https.HttpsError('failed-precondition', `Transaction is already ${transaction.status}`);
+  }
+  try {
+    await assertPaymentsAllowed(transaction.targetType, transaction.targetId);
+  } catch (error) {
+    throw new functions.https.HttpsError('failed-precondition', error.message);
+  }
 
-You're now part of the Aptify community and will receive the latest updates on:
-- New property listings
-- Renovation service offers
-- Real estate insights and tips
-- Exclusive deals and promotions
+  const provider = getPaymentProvider({ ...getPaymentConfig(), provider: transaction.provider });
+  const card = data.card || {};
 
-We're excited to keep you informed about the best real estate opportunities!
+  try {
+    const result = await provider.confirmIntent(transaction.providerIntentId, {
+      number: String(card.number || '').replace(/\s+/g, ''),
+      expiry: card.expiry,
+      cvc: card.cvc,
+      name: card.name,
+    });
 
-Visit us at: https://aptify.com
+    let status = 'pending';
+    for (const event of result.events) {
+      const outcome = await handlePaymentEvent(event, provider.name);
+      status = outcome.status || status;
+    }
 
-If you didn't subscribe to this newsletter, please ignore this email.`;
-}
+    return { transactionId: transactionSnap.id, status };
+  } catch (error) {
+    console.error(`Error confirming payment ${transactionSnap.id}:`, error);
+    throw new functions.https.HttpsError('unavailable', 'Payment could not be confirmed. Please try again.');
+  }
+});
 
 /**
- * EMAIL SUBSCRIPTION TRIGGER (Backend - Firestore onCreate)
- * 
- * This trigger fires when a new document is created in email_subscriptions collection.
- * It sends a confirmation email using Resend → SendGrid → Gmail SMTP (fallback chain).
- * 
- * Frontend: subscriptionService.js writes to Firestore
- * Backend: This function sends email automatically
+ * 13. Callable (admin): refund a successful card payment through its gateway
  */
-exports.onEmailSubscription = functions.firestore
-  .document('email_subscriptions/{subscriptionId}')
+exports.refundPayment = functions.https.onCall(async (data, context) => {
+  if (!(await isAdminCaller(context.auth))) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can issue refunds');
+  }
+
+  const transactionSnap = await db.collection('transactions').doc(String(data.transactionId || '')).get();
+  if (!transactionSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Transaction not found');
+  }
+
+  const transaction = transactionSnap.data();
+  if (transaction.status !== 'success' || !transaction.providerIntentId) {
+    throw new functions.https.HttpsError('failed-precondition', 'Only successful card payments can be refunded');
+  }
+  if (transaction.refundedByDispute) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      `This payment was already refunded through dispute ${transaction.refundedByDispute}`
+    );
+  }
+
+  const provider = getPaymentProvider({ ...getPaymentConfig(), provider: transaction.provider });
+
+  try {
+    const result = await provider.refund(transaction.providerIntentId, transaction.amount);
+    let status = 'success';
+    for (const event of result.events) {
+      const outcome = await handlePaymentEvent(event, provider.name);
+      status = outcome.status || status;
+    }
+
+    await createNotification(
+      transaction.userId,
+      'Payment Refund',
+      `A refund of ${transaction.amount} ${transaction.currency || 'PKR'} has been issued.`,
+      'info',
+      '/account'
+    );
+
+    return { transactionId: transactionSnap.id, refundId: result.refundId, status };
+  } catch (error) {
+    console.error(`Error refunding payment ${transactionSnap.id}:`, error);
+    throw new functions.https.HttpsError('unavailable', 'Refund could not be issued. Please try again.');
+  }
+});
+
+/**
+ * 14. HTTPS: gateway callback (webhook) endpoint
+ * Verifies the HMAC signature of the raw body before applying the event.
+ */
+exports.paymentWebhook = functions.https.onRequest(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).send('Method Not Allowed');
+    return;
+  }
+
+  const { webhookSecret } = getPaymentConfig();
+  if (!verifySignature(req.rawBody, req.get(SIGNATURE_HEADER), webhookSecret)) {
+    console.warn('Rejected payment webhook with an invalid signature');
+    res.status(401).json({ error: 'Invalid signature' });
+    return;
+  }
+
+  const event = req.body || {};
+  if (!event.id || !event.type || !event.data) {
+    res.status(400).json({ error: 'Malformed event' });
+    return;
+  }
+
+  try {
+    const outcome = await handlePaymentEvent(event, 'local');
+    res.status(200).json({ received: true, applied: outcome.applied });
+  } catch (error) {
+    console.error(`Error handling payment webhook ${event.id}:`, error);
+    // Non-2xx makes the gateway retry; paymentEvents keeps the retry idempotent
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+/**
+ * Resolve a project's providerId to the provider's user ID
+ * Projects store either the provider's UID or their serviceProviders document ID.
+ * @param {string} providerId - providerId from the project
+ * @returns {Promise<string|null>}
+ */
+async function getProviderUserId(providerId) {
+  if (!providerId) {
+    return null;
+  }
+  try {
+    const providerDoc = await db.collection('serviceProviders').doc(providerId).get();
+    if (providerDoc.exists && providerDoc.data().userId) {
+      return providerDoc.data().userId;
+    }
+  } catch (error) {
+    console.error('Error resolving provider user:', error);
+  }
+  return providerId;
+}
+
+/**
+ * Notify the other party when a project milestone is proposed, approved or paid
+ * @param {string} projectType - 'construction' or 'renovation'
+ * @param {Object} change - Firestore change for the milestone
+ * @param {Object} context - Trigger context
+ */
+async function notifyMilestoneChange(projectType, change, context) {
+  const before = change.before.exists ? change.before.data() : null;
+  const after = change.after.exists ? change.after.data() : null;
+  if (!after || (before && before.status === after.status)) {
+    return;
+  }
+
+  const { projectId } = context.params;
+  const projectDoc = await db.collection(PROJECT_COLLECTIONS[projectType]).doc(projectId).get();
+  if (!projectDoc.exists) {
+    return;
+  }
+  const project = projectDoc.data();
+  const clientId = project.userId || project.clientId;
+  const providerUserId = await getProviderUserId(project.providerId);
+  const clientLink = projectType === 'construction' ?
+    `/construction/project/${projectId}` :
+    `/renovation/my-renovations/${projectId}`;
+  const providerLink = projectType === 'construction' ?
+    `/constructor/projects/${projectId}` :
+    `/renovator/project/${projectId}`;
+  const amount = `${after.amount} PKR`;
+
+  if (!before && clientId) {
+    await createNotification(
+      clientId,
+      'New Payment Milestone',
+      `Your provider proposed the milestone "${after.name}" (${amount}). Review and approve it to pay.`,
+      'milestone',
+      clientLink
+    );
+  } else if (after.status === 'approved' && providerUserId) {
+    await createNotification(
+      providerUserId,
+      'Milestone Approved',
+      `The client approved the milestone "${after.name}" (${amount}).`,
+      'milestone',
+      providerLink
+    );
+  } else if (after.status === 'paid') {
+    if (providerUserId) {
+      await createNotification(
+        providerUserId,
+        'Milestone Paid',
+        `The client paid the milestone "${after.name}" (${amount}).`,
+        'payment',
+        providerLink
+      );
+    }
+    if (clientId) {
+      await createNotification(
+        clientId,
+        'Milestone Payment Received',
+        `Your payment for the milestone "${after.name}" (${amount}) was successful.`,
+        'payment',
+        clientLink
+      );
+    }
+  }
+}
+
+/**
+ * 15. On construction/renovation milestone proposed, approved or paid → notify client or provider
+ */
+exports.onConstructionMilestoneWritten = functions.firestore
+  .document('constructionProjects/{projectId}/milestones/{milestoneId}')
+  .onWrite(async (change, context) => {
+    try {
+      await notifyMilestoneChange('construction', change, context);
+    } catch (error) {
+      console.error('Error in onConstructionMilestoneWritten:', error);
+    }
+  });
+
+exports.onRenovationMilestoneWritten = functions.firestore
+  .document('renovationProjects/{projectId}/milestones/{milestoneId}')
+  .onWrite(async (change, context) => {
+    try {
+      await notifyMilestoneChange('renovation', change, context);
+    } catch (error) {
+      console.error('Error in onRenovationMilestoneWritten:', error);
+    }
+  });
+
+const formatPKR = (amount) => new Intl.NumberFormat('en-PK', {
+  style: 'currency',
+  currency: 'PKR',
+}).format(amount || 0);
+
+/**
+ * 16. On open job request posted → notify approved providers of that service type
+ */
+exports.onJobRequestCreated = functions.firestore
+  .document('jobRequests/{jobRequestId}')
   .onCreate(async (snap, context) => {
-    const subscription = snap.data();
-    const subscriptionId = context.params.subscriptionId;
-    const email = subscription.email;
-    const source = subscription.source || 'unknown';
+    const job = snap.data();
+    const serviceType = job.projectType === 'renovation' ? 'Renovation' : 'Construction';
+    const link = job.projectType === 'renovation' ? '/renovator/open-jobs' : '/constructor/open-jobs';
 
-    console.log(`[Email Subscription] New subscription: ${subscriptionId} for ${email} from ${source}`);
+    try {
+      const providersSnapshot = await db.collection('serviceProviders')
+        .where('serviceType', 'in', [serviceType, serviceType.toLowerCase()])
+        .get();
+
+      const providerUserIds = new Set();
+      providersSnapshot.docs.forEach((providerDoc) => {
+        const provider = providerDoc.data();
+        if ((provider.isApproved === true || provider.approved === true) && provider.userId && provider.userId !== job.userId) {
+          providerUserIds.add(provider.userId);
+        }
+      });
 
-    if (!email || typeof email !== 'string' || !email.trim()) {
-      console.error('[Email Subscription] No valid email found in subscription');
+      await Promise.all([...providerUserIds].map((providerUserId) => createNotification(
+        providerUserId,
+        `New ${serviceType} Job Open for Quotes`,
+        `A client posted a ${job.projectType} job (budget ${formatPKR(job.budget)}). Submit your quote.`,
+        'job-request',
+        link,
+        'projectStatus'
+      )));
+      console.log(`Notified ${providerUserIds.size} provider(s) about job request ${context.params.jobRequestId}`);
+    } catch (error) {
+      console.error('Error notifying providers about job request:', error);
+    }
+  });
+
+/**
+ * 17. On quote submitted, updated or withdrawn → keep quoteCount current and notify the client
+ */
+exports.onQuoteWritten = functions.firestore
+  .document('jobRequests/{jobRequestId}/quotes/{quoteId}')
+  .onWrite(async (change, context) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    const { jobRequestId } = context.params;
+    const jobRef = db.collection('jobRequests').doc(jobRequestId);
+
+    try {
+      const activeQuotes = await jobRef.collection('quotes')
+        .where('status', 'in', ['submitted', 'accepted'])
+        .get();
+      await jobRef.update({ quoteCount: activeQuotes.size });
+
+      const isNewSubmission = after && after.status === 'submitted' && (!before || before.status !== 'submitted');
+      if (!isNewSubmission) {
+        return;
+      }
+
+      const jobSnap = await jobRef.get();
+      if (jobSnap.exists) {
+        await createNotification(
+          jobSnap.data().userId,
+          'New Quote Received',
+          `${after.providerName || 'A provider'} quoted ${formatPKR(after.total)} for your job request.`,
+          'job-request',
+          `/job-requests/${jobRequestId}`,
+          'projectStatus'
+        );
+      }
+    } catch (error) {
+      console.error(`Error handling quote for job request ${jobRequestId}:`, error);
+    }
+  });
+
+/**
+ * 18. Callable: accept a quote → create the project, decline the other quotes and notify providers
+ */
+exports.acceptQuote = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Please log in to accept a quote');
+  }
+  if (!data.jobRequestId || !data.quoteId) {
+    throw new functions.https.HttpsError('invalid-argument', 'jobRequestId and quoteId are required');
+  }
+
+  let result;
+  try {
+    result = await acceptQuote(String(data.jobRequestId), String(data.quoteId), context.auth.uid);
+  } catch (error) {
+    console.error(`Error accepting quote ${data.quoteId}:`, error);
+    throw new functions.https.HttpsError('failed-precondition', error.message || 'Failed to accept quote');
+  }
+
+  const { projectId, jobRequest, quote, declinedProviderIds } = result;
+  const providerLink = jobRequest.projectType === 'renovation' ?
+    `/renovator/project/${projectId}` :
+    `/constructor/projects/${projectId}`;
+
+  try {
+    await createNotification(
+      quote.providerId,
+      'Quote Accepted',
+      `Your quote of ${formatPKR(quote.total)} was accepted. The project has been added to your dashboard.`,
+      'job-request',
+      providerLink,
+      'projectStatus'
+    );
+    await Promise.all(declinedProviderIds.map((providerUserId) => createNotification(
+      providerUserId,
+      'Quote Not Selected',
+      `The client chose another quote for their ${jobRequest.projectType} job.`,
+      'job-request',
+      jobRequest.projectType === 'renovation' ? '/renovator/open-jobs' : '/constructor/open-jobs',
+      'projectStatus'
+    )));
+  } catch (error) {
+    console.error('Error notifying providers about accepted quote:', error);
+  }
+
+  return { projectId };
+});
+
+/**
+ * Link to a dispute target for one of its parties
+ * @param {Object} dispute - Dispute document data
+ * @param {string} userId - Party being notified
+ * @returns {string}
+ */
+function getDisputeLink(dispute, userId) {
+  const isProvider = userId === dispute.providerUserId;
+  switch (dispute.targetType) {
+    case 'construction':
+      return isProvider ? `/constructor/projects/${dispute.targetId}` : `/construction/project/${dispute.targetId}`;
+    case 'renovation':
+      return isProvider ? `/renovator/project/${dispute.targetId}` : `/renovation/my-renovations/${dispute.targetId}`;
+    default:
+      return '/account';
+  }
+}
+
+/**
+ * 19. Callable: client or provider opens a dispute → target moves to Disputed, payments freeze,
+ * the other party and admins are notified
+ */
+exports.openDispute = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Please log in to open a dispute');
+  }
+
+  let result;
+  try {
+    result = await openDispute(context.auth.uid, data || {});
+  } catch (error) {
+    console.error(`Error opening dispute on ${data && data.targetType}/${data && data.targetId}:`, error);
+    throw new functions.https.HttpsError('failed-precondition', error.message || 'Failed to open dispute');
+  }
+
+  const { disputeId, dispute } = result;
+  const otherPartyId = dispute.openedByRole === 'client' ? dispute.providerUserId : dispute.clientId;
+
+  try {
+    await createNotification(
+      otherPartyId,
+      'Dispute Opened',
+      `A dispute was opened on your ${dispute.targetType} request: ${dispute.reason}. Payments are on hold until an admin resolves it.`,
+      'dispute',
+      getDisputeLink(dispute, otherPartyId)
+    );
+    const adminIds = await getAdminUserIds();
+    await Promise.all(adminIds.map((adminId) => createNotification(
+      adminId,
+      'New Dispute',
+      `A ${dispute.openedByRole} opened a dispute on a ${dispute.targetType} request: ${dispute.reason}`,
+      'dispute',
+      '/admin'
+    )));
+  } catch (error) {
+    console.error(`Error sending notifications for dispute ${disputeId}:`, error);
+  }
+
+  return { disputeId };
+});
+
+/**
+ * 20. Callable (admin): resolve a dispute with a refund, partial payout or close → notify both parties
+ */
+exports.resolveDispute = functions.https.onCall(async (data, context) => {
+  if (!(await isAdminCaller(context.auth))) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can resolve disputes');
+  }
+
+  let result;
+  try {
+    result = await resolveDispute(context.auth.uid, data || {});
+  } catch (error) {
+    console.error(`Error resolving dispute ${data && data.disputeId}:`, error);
+    throw new functions.https.HttpsError('failed-precondition', error.message || 'Failed to resolve dispute');
+  }
+
+  const { dispute, refunded, finalStatus } = result;
+  const refundText = refunded > 0 ? ` ${formatPKR(refunded)} was refunded to the client's wallet.` : '';
+
+  try {
+    await Promise.all([dispute.clientId, dispute.providerUserId].map((userId) => createNotification(
+      userId,
+      'Dispute Resolved',
+      `The dispute on your ${dispute.targetType} request was resolved (${dispute.resolution.outcome.replace('_', ' ')}). Status is now ${finalStatus}.${refundText}`,
+      'dispute',
+      getDisputeLink(dispute, userId)
+    )));
+  } catch (error) {
+    console.error(`Error sending notifications for resolved dispute ${dispute.id}:`, error);
+  }
+
+  return { disputeId: dispute.id, refunded, status: finalStatus };
+});
+
+/**
+ * 21. Callable (admin): dispute case file → dispute, target, status timeline, payments and the
+ * parties' chat history (chats are not readable by admins from the client)
+ */
+exports.getDisputeCase = functions.https.onCall(async (data, context) => {
+  if (!(await isAdminCaller(context.auth))) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can review disputes');
+  }
+  if (!data || !data.disputeId) {
+    throw new functions.https.HttpsError('invalid-argument', 'disputeId is required');
+  }
+
+  try {
+    return await getDisputeCase(String(data.disputeId));
+  } catch (error) {
+    console.error(`Error loading dispute ${data.disputeId}:`, error);
+    throw new functions.https.HttpsError('not-found', error.message || 'Dispute not found');
+  }
+});
+
+/**
+ * 22. Callable (admin): send an announcement to a segment now, or schedule it
+ */
+exports.sendBroadcast = functions.https.onCall(async (data, context) => {
+  if (!(await isAdminCaller(context.auth))) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can send broadcasts');
+  }
+
+  try {
+    return await createBroadcast(context.auth.uid, data || {});
+  } catch (error) {
+    console.error('Error sending broadcast:', error);
+    throw new functions.https.HttpsError('invalid-argument', error.message || 'Failed to send broadcast');
+  }
+});
+
+/**
+ * 23. Callable (admin): cancel a scheduled broadcast
+ */
+exports.cancelBroadcast = functions.https.onCall(async (data, context) => {
+  if (!(await isAdminCaller(context.auth))) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can cancel broadcasts');
+  }
+  if (!data || !data.broadcastId) {
+    throw new functions.https.HttpsError('invalid-argument', 'broadcastId is required');
+  }
+
+  try {
+    await cancelBroadcast(String(data.broadcastId));
+    return { broadcastId: data.broadcastId, status: 'cancelled' };
+  } catch (error) {
+    throw new functions.https.HttpsError('failed-precondition', error.message || 'Failed to cancel broadcast');
+  }
+});
+
+/**
+ * 24. Every 5 minutes → deliver scheduled broadcasts that are due
+ */
+exports.sendScheduledBroadcasts = functions.pubsub
+  .schedule('every 5 minutes')
+  .onRun(async () => {
+    const sent = await sendDueBroadcasts();
+    if (sent > 0) {
+      console.log(`Delivered ${sent} scheduled broadcast(s)`);
+    }
+  });
+
+/**
+ * 25. Every 10 minutes → retry outbox emails whose send failed
+ */
+exports.retryEmailOutbox = functions.pubsub
+  .schedule('every 10 minutes')
+  .onRun(async () => {
+    const sent = await retryOutboxEmails(getMailConfig());
+    if (sent > 0) {
+      console.log(`Sent ${sent} email(s) from the outbox on retry`);
+    }
+  });
+
+/**
+ * 26. HTTP: unsubscribe link from an email footer
+ * Notification emails turn off the email channel of their category; newsletter emails end the subscription.
+ */
+exports.unsubscribe = functions.https.onRequest(async (req, res) => {
+  const target = {
+    type: String(req.query.type || ''),
+    id: String(req.query.id || ''),
+    category: req.query.category ? String(req.query.category) : undefined,
+  };
+  const page = (heading, text) => `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Aptify</title></head>
+    <body style="font-family: Arial, sans-serif; max-width: 480px; margin: 60px auto; text-align: center; color: #333;">
+    <h1 style="color: #0D9488;">${heading}</h1><p>${text}</p></body></html>`;
+
+  if (!target.id || !verifyUnsubscribeToken(getMailConfig(), target, req.query.token)) {
+    res.status(400).send(page('Invalid link', 'This unsubscribe link is invalid or has expired.'));
+    return;
+  }
+
+  try {
+    await applyUnsubscribe(target);
+    res.status(200).send(page(
+      'You are unsubscribed',
+      target.type === 'subscription' ?
+        'You will no longer receive the Aptify newsletter.' :
+        'You will no longer receive these emails. You can change this any time under Notifications in your account.',
+    ));
+  } catch (error) {
+    console.error('[Unsubscribe] Error:', error);
+    res.status(500).send(page('Something went wrong', 'Please try again later.'));
+  }
+});
+
+const BOOKING_EMAIL_STATUSES = ['Accepted', 'Rejected', 'Cancelled', 'Completed'];
+
+/**
+ * 27. On rental request created or status changed → email owner/renter
+ * The in-app notifications for bookings are created by the client (rentalRequestService);
+ * this only sends the matching emails.
+ */
+exports.onRentalRequestWritten = functions.firestore
+  .document('rentalRequests/{requestId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
       return;
     }
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.data();
+    const requestId = context.params.requestId;
 
-    const trimmedEmail = email.trim().toLowerCase();
+    try {
+      const propertyDoc = after.propertyId ? await db.collection('properties').doc(after.propertyId).get() : null;
+      const property = propertyDoc?.exists ? propertyDoc.data() : {};
+      const propertyTitle = property.title || 'your property';
+      const dates = { startDate: after.startDate, endDate: after.endDate };
+
+      if (!before && property.ownerId) {
+        await emailIfEnabled(property.ownerId, 'projectStatus', 'bookingUpdate', {
+          title: 'New Booking Request',
+          message: `You have a new booking request for "${propertyTitle}".`,
+          link: '/account',
+          ...dates,
+        });
+        return;
+      }
+
+      if (before && before.status !== after.status && BOOKING_EMAIL_STATUSES.includes(after.status) && after.userId) {
+        await emailIfEnabled(after.userId, 'projectStatus', 'bookingUpdate', {
+          title: `Booking ${after.status}`,
+          message: `Your booking for "${propertyTitle}" is now ${after.status.toLowerCase()}.`,
+          link: '/account',
+          ...dates,
+        });
+      }
+    } catch (error) {
+      console.error(`Error emailing about rental request ${requestId}:`, error);
+    }
+  });
+
+/**
+ * 28. On notification created → browser push to the user's devices
+ * Covers notifications written by createNotification, broadcasts and the client alike.
+ */
+exports.onNotificationCreated = functions.firestore
+  .document('notifications/{notificationId}')
+  .onCreate(async (snap, context) => {
+    const notification = snap.data();
+    if (!notification.userId) {
+      return;
+    }
+
+    try {
+      const prefs = await getNotificationPrefs(notification.userId);
+      if (!isChannelEnabled(prefs, notification.category, 'push')) {
+        return;
+      }
+
+      const delivered = await sendPushToUser(notification.userId, {
+        title: notification.title,
+        message: notification.message,
+        link: notification.link,
+        category: notification.category,
+        notificationId: context.params.notificationId,
+      });
+      if (delivered > 0) {
+        console.log(`Pushed notification ${context.params.notificationId} to ${delivered} device(s)`);
+      }
+    } catch (error) {
+      console.error(`Error sending push for notification ${context.params.notificationId}:`, error);
+    }
+  });
+
+/**
+ * 29. Every day at 08:00 → daily email digest of reviews, listing updates and news
+ */
+exports.sendDailyDigests = functions.pubsub
+  .schedule('every day 08:00')
+  .onRun(async () => {
+    const sent = await sendDigests(getMailConfig(), 'daily');
+    console.log(`Sent ${sent} daily digest(s)`);
+  });
+
+/**
+ * 30. Every Monday at 08:00 → weekly email digest
+ */
+exports.sendWeeklyDigests = functions.pubsub
+  .schedule('every monday 08:00')
+  .onRun(async () => {
+    const sent = await sendDigests(getMailConfig(), 'weekly');
+    console.log(`Sent ${sent} weekly digest(s)`);
+  });
+
+/**
+ * 31. Every day → delete read notifications older than READ_NOTIFICATION_TTL_DAYS
+ */
+exports.cleanupReadNotifications = functions.pubsub
+  .schedule('every 24 hours')
+  .onRun(async () => {
+    const deleted = await deleteExpiredNotifications();
+    if (deleted > 0) {
+      console.log(`Deleted ${deleted} read notification(s) older than ${READ_NOTIFICATION_TTL_DAYS} days`);
+    }
+  });
+
+/**
+ * Page showing a review: the reviewed property or provider
+ * @param {Object} review - Review data
+ * @returns {string}
+ */
+function getReviewLink(review) {
+  return review.targetType === 'property'
+    ? `/properties/${review.targetId}`
+    : `/${review.projectType === 'renovation' ? 'renovation' : 'construction'}-provider/${review.targetId}`;
+}
+
+/**
+ * 32. On review updated → keep the previous version for admins, re-check edited comments, update the
+ * rating summary; notify the author (and admins) when it is held for moderation or gets a response
+ * Authors can only change the ratings and comment (firestore.rules), so every edit lands in reviews/{id}/history.
+ */
+exports.onReviewUpdated = functions.firestore
+  .document('reviews/{reviewId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    const reviewId = context.params.reviewId;
+
+    const ratingsChanged = before.rating !== after.rating ||
+      JSON.stringify(before.categoryRatings || {}) !== JSON.stringify(after.categoryRatings || {});
 
-    // Send confirmation email - try Resend first, then SendGrid, then Gmail SMTP
-    let emailSent = false;
-    let emailError = null;
-    let emailMessageId = null;
+    const photosChanged = JSON.stringify(before.photos || []) !== JSON.stringify(after.photos || []);
 
-    // Option 1: Try Resend (modern, recommended)
-    const resendApiKey = functions.config().resend?.api_key || process.env.RESEND_API_KEY;
-    if (resendApiKey) {
+    if (ratingsChanged || photosChanged || before.comment !== after.comment) {
+      await change.after.ref.collection('history').add({
+        rating: before.rating,
+        categoryRatings: before.categoryRatings || null,
+        comment: before.comment,
+        photos: before.photos || [],
+        writtenAt: before.updatedAt || before.createdAt || null,
+        replacedAt: admin.firestore.FieldValue.serverTimestamp(),
+        editedBy: after.authorId || after.reviewerId || null,
+      });
+      console.log(`Recorded previous version of review ${reviewId}`);
+    }
+
+    if (before.comment !== after.comment && isReviewVisible(after)) {
+      const contentFlags = checkReviewContent(after.comment);
+      if (contentFlags.length > 0) {
+        // The next update event recomputes the summary and sends the notifications
+        await flagReview(change.after.ref, contentFlags);
+        console.log(`Edited review ${reviewId} held for moderation: ${contentFlags.join(', ')}`);
+        return;
+      }
+    }
+
+    const visibilityChanged = isReviewVisible(before) !== isReviewVisible(after);
+    if ((ratingsChanged || visibilityChanged) && after.targetId) {
       try {
-        const { Resend } = require('resend');
-        const resend = new Resend(resendApiKey);
-        
-        const result = await resend.emails.send({
-          from: functions.config().resend?.from || process.env.RESEND_FROM || 'Aptify <onboarding@resend.dev>',
-          to: trimmedEmail,
-          subject: 'Welcome to Aptify Newsletter! 🏠',
-          html: getEmailTemplate(trimmedEmail),
-        });
+        await recomputeReviewSummary(after.targetId, after.targetType);
+      } catch (error) {
+        console.error(`Error updating rating summary for ${after.targetId}:`, error);
+      }
+    }
+
+    const authorId = after.authorId || after.reviewerId;
 
-        emailSent = true;
-        emailMessageId = result.data?.id || result.id || 'sent';
-        console.log(`[Email Subscription] ✅ Email sent via Resend to ${trimmedEmail}. MessageId: ${emailMessageId}`);
-      } catch (resendError) {
-        console.warn(`[Email Subscription] Resend failed: ${resendError.message}`);
-        emailError = resendError.message;
+    if (after.moderationStatus === 'pending' && before.moderationStatus !== 'pending') {
+      try {
+        const flags = (after.moderationFlags || []).join(', ');
+        const adminIds = await getAdminUserIds();
+        await Promise.all([
+          authorId && createNotification(
+            authorId,
+            'Review Pending Moderation',
+            'Your review is hidden until our team has checked it. We will let you know the outcome.',
+            'warning',
+            getReviewLink(after),
+            'reviews'
+          ),
+          ...adminIds.map((adminId) => createNotification(
+            adminId,
+            'Review Flagged',
+            `A ${after.rating}-star review was hidden pending moderation (${flags || 'flagged'}).`,
+            'admin',
+            '/admin',
+            null,
+            { groupKey: 'reviewModeration' }
+          )),
+        ]);
+      } catch (error) {
+        console.error(`Error sending moderation notifications for review ${reviewId}:`, error);
       }
     }
 
-    // Option 2: Try SendGrid if Resend failed or not configured
-    if (!emailSent) {
-      const sendGridApiKey = functions.config().sendgrid?.api_key || process.env.SENDGRID_API_KEY;
-      if (sendGridApiKey) {
-        try {
-          const sgMail = require('@sendgrid/mail');
-          sgMail.setApiKey(sendGridApiKey);
-          
-          const msg = {
-            to: trimmedEmail,
-            from: functions.config().sendgrid?.from || process.env.SENDGRID_FROM || 'noreply@aptify.com',
-            subject: 'Welcome to Aptify Newsletter! 🏠',
-            html: getEmailTemplate(trimmedEmail),
-            text: getEmailTextTemplate(trimmedEmail),
-          };
-
-          const result = await sgMail.send(msg);
-          emailSent = true;
-          emailMessageId = result[0]?.headers?.['x-message-id'] || 'sent';
-          console.log(`[Email Subscription] ✅ Email sent via SendGrid to ${trimmedEmail}. MessageId: ${emailMessageId}`);
-        } catch (sendGridError) {
-          console.warn(`[Email Subscription] SendGrid failed: ${sendGridError.message}`);
-          emailError = sendGridError.message;
-        }
+    const responded = after.response && after.response.text && !(before.response && before.response.text);
+    if (!responded || !authorId) {
+      return;
+    }
+
+    try {
+      let responderName = after.targetType === 'property' ? 'The owner' : 'The provider';
+      const responderDoc = await db.collection('users').doc(after.response.authorId).get();
+      if (responderDoc.exists) {
+        const responderData = responderDoc.data();
+        responderName = responderData.name || responderData.displayName || responderName;
       }
+
+      await createNotification(
+        authorId,
+        'Response to Your Review',
+        `${responderName} responded to your review: "${after.response.text.substring(0, 80)}${after.response.text.length > 80 ? '...' : ''}"`,
+        'info',
+        getReviewLink(after),
+        'reviews',
+        { groupKey: `reviewResponse:${reviewId}`, actorName: responderName }
+      );
+    } catch (error) {
+      console.error('Error notifying review author about response:', error);
     }
+  });
 
-    // Option 3: Try Gmail SMTP if Resend and SendGrid failed or not configured
-    if (!emailSent) {
-      const emailUser = functions.config().email?.user || process.env.EMAIL_USER;
-      const emailPass = functions.config().email?.pass || process.env.EMAIL_PASS;
-      const emailFrom = functions.config().email?.from || process.env.EMAIL_FROM || 'noreply@aptify.com';
-      
-      if (emailUser && emailPass) {
-        try {
-          const nodemailer = require('nodemailer');
-          
-          let transporter;
-          if (emailUser.includes('@gmail.com')) {
-            transporter = nodemailer.createTransport({
-              service: 'gmail',
-              auth: {
-                user: emailUser,
-                pass: emailPass,
-              },
-            });
-          } else {
-            transporter = nodemailer.createTransport({
-              host: process.env.SMTP_HOST || 'smtp.gmail.com',
-              port: parseInt(process.env.SMTP_PORT || '587'),
-              secure: process.env.SMTP_SECURE === 'true',
-              auth: {
-                user: emailUser,
-                pass: emailPass,
-              },
-            });
-          }
+/**
+ * 33. On review deleted → update the target's rating summary
+ */
+exports.onReviewDeleted = functions.firestore
+  .document('reviews/{reviewId}')
+  .onDelete(async (snap) => {
+    const review = snap.data();
+    if (!review.targetId) {
+      return;
+    }
+    await recomputeReviewSummary(review.targetId, review.targetType);
+  });
 
-          const info = await transporter.sendMail({
-            from: `"Aptify" <${emailFrom}>`,
-            to: trimmedEmail,
-            subject: 'Welcome to Aptify Newsletter! 🏠',
-            html: getEmailTemplate(trimmedEmail),
-            text: getEmailTextTemplate(trimmedEmail),
-          });
+/**
+ * 34. On review reported → count the report; enough reports hide the review pending moderation
+ */
+exports.onReviewReported = functions.firestore
+  .document('reviews/{reviewId}/reports/{reporterId}')
+  .onCreate(async (snap, context) => {
+    const { reviewId } = context.params;
+    const { reportCount, flagged } = await recordReport(reviewId);
+    console.log(`Review ${reviewId} reported (${snap.data().reason}), ${reportCount} report(s)${flagged ? ', now held for moderation' : ''}`);
+  });
 
-          emailSent = true;
-          emailMessageId = info.messageId;
-          console.log(`[Email Subscription] ✅ Email sent via Gmail SMTP to ${trimmedEmail}. MessageId: ${emailMessageId}`);
-        } catch (smtpError) {
-          console.error(`[Email Subscription] Gmail SMTP failed: ${smtpError.message}`);
-          emailError = smtpError.message;
-        }
+/**
+ * 35. Callable (admin): approve, hide or delete a review from the moderation queue; the author is told why
+ */
+exports.moderateReview = functions.https.onCall(async (data, context) => {
+  if (!(await isAdminCaller(context.auth))) {
+    throw new functions.https.HttpsError('permission-denied', 'Only admins can moderate reviews');
+  }
+
+  let result;
+  try {
+    result = await moderateReview(context.auth.uid, data || {});
+  } catch (error) {
+    console.error(`Error moderating review ${data && data.reviewId}:`, error);
+    throw new functions.https.HttpsError('failed-precondition', error.message || 'Failed to moderate review');
+  }
+
+  const { review, action, reason } = result;
+  const authorId = review.authorId || review.reviewerId;
+  const messages = {
+    approve: ['Review Approved', 'Your review was checked and is visible again.'],
+    hide: ['Review Hidden', `Your review was hidden by our moderators. Reason: ${reason}`],
+    delete: ['Review Removed', `Your review was removed by our moderators. Reason: ${reason}`],
+  };
+
+  if (authorId) {
+    try {
+      const [title, message] = messages[action];
+      await createNotification(
+        authorId,
+        title,
+        action === 'approve' && reason ? `${message} Note: ${reason}` : message,
+        action === 'approve' ? 'success' : 'warning',
+        getReviewLink(review),
+        'reviews'
+      );
+    } catch (error) {
+      console.error(`Error notifying author of moderated review ${review.id}:`, error);
+    }
+  }
+
+  return { success: true, action };
+});
+
+/**
+ * Store the geohash of a provider's pinned coordinates for nearby search.
+ * Writes only when it changed, so its own update re-triggers the function once and then stops.
+ * @param {Object} change - Firestore change
+ * @param {string} path - Document path, for logs
+ * @returns {Promise<void>}
+ */
+async function updateProviderGeohash(change, path) {
+  if (!change.after.exists) {
+    return;
+  }
+
+  const update = buildProviderGeoUpdate(change.after.data());
+  if (!update) {
+    return;
+  }
+
+  try {
+    await change.after.ref.update(update);
+    console.log(`Geohash updated for ${path}`);
+  } catch (error) {
+    console.error(`Error updating geohash for ${path}:`, error);
+  }
+}
+
+/**
+ * 36. On construction provider written → geohash of the provider's location
+ */
+exports.onConstructionProviderWritten = functions.firestore
+  .document('constructionProviders/{providerId}')
+  .onWrite((change, context) =>
+    updateProviderGeohash(change, `constructionProviders/${context.params.providerId}`));
+
+/**
+ * 37. On renovator written → geohash of the provider's location
+ */
+exports.onRenovatorWritten = functions.firestore
+  .document('renovators/{providerId}')
+  .onWrite((change, context) => updateProviderGeohash(change, `renovators/${context.params.providerId}`));
+
+/**
+ * 38. Callable: pay a pending wallet transaction from the caller's wallet
+ * Clients cannot write wallets or walletLedger; the amount and target come from the transaction.
+ */
+exports.payWithWallet = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'Please log in to make a payment');
+  }
+
+  const transactionId = data.transactionId;
+  if (!transactionId || typeof transactionId !== 'string') {
+    throw new functions.https.HttpsError('invalid-argument', 'A transactionId is required');
+  }
+
+  const paymentSnap = await db.collection('transactions').doc(transactionId).get();
+  if (!paymentSnap.exists || paymentSnap.data().userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('not-found', 'Payment not found');
+  }
+
+  try {
+    await assertPaymentsAllowed(paymentSnap.data().targetType, paymentSnap.data().targetId);
+  } catch (error) {
+    throw new functions.https.HttpsError('failed-precondition', error.message);
+  }
+
+  const description = typeof data.description === 'string' ? data.description.slice(0, 200) : '';
+  let entry;
+  try {
+    entry = await debitWalletPayment(context.auth.uid, transactionId, description);
+  } catch (error) {
+    console.error(`Error paying transaction ${transactionId} from wallet:`, error);
+    throw new functions.https.HttpsError('failed-precondition', error.message || 'Wallet payment failed');
+  }
+
+  // Same follow-up as a card payment: mark the milestone paid or move the request forward. The
+  // wallet is already debited, so a failure here is logged rather than reported as a failed payment.
+  try {
+    await applySuccessfulPayment(transactionId, paymentSnap.data());
+  } catch (error) {
+    console.error(`Error applying wallet payment ${transactionId}:`, error);
+  }
+
+  return { entryId: entry.id, amount: entry.amount, balanceAfter: entry.balanceAfter };
+});
+
+/**
+ * 39. On transaction updated → refund a second payment for a milestone that was already paid
+ * markMilestonePaid sets `duplicateOf` on such a transaction when its payment succeeds.
+ */
+exports.refundDuplicateMilestonePayments = functions.firestore
+  .document('transactions/{transactionId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+    if (!after.duplicateOf || before.duplicateOf || after.status !== 'success' || !after.providerIntentId) {
+      return;
+    }
+
+    const transactionId = context.params.transactionId;
+    const provider = getPaymentProvider({ ...getPaymentConfig(), provider: after.provider });
+
+    try {
+      const result = await provider.refund(after.providerIntentId, after.amount);
+      for (const event of result.events) {
+        await handlePaymentEvent(event, provider.name);
       }
+
+      await createNotification(
+        after.userId,
+        'Payment Refund',
+        `This milestone was already paid, so your payment of ${after.amount} ${after.currency || 'PKR'} ` +
+          'has been refunded.',
+        'info',
+        '/account'
+      );
+      console.log(`Refunded duplicate milestone payment ${transactionId} (already paid by ${after.duplicateOf})`);
+    } catch (error) {
+      console.error(`Error refunding duplicate milestone payment ${transactionId}:`, error);
     }
+  });
 
-    // Update subscription status based on email send result
-    if (emailSent) {
-      await snap.ref.update({
-        status: 'active',
-        emailSentAt: admin.firestore.FieldValue.serverTimestamp(),
-        emailMessageId: emailMessageId,
-      });
+/**
+ * 40. Every 5 minutes → mark users who hide their last seen offline once their heartbeat stops
+ */
+exports.expireHiddenPresence = functions.pubsub
+  .schedule('every 5 minutes')
+  .onRun(async () => {
+    const expired = await expireHiddenPresence();
+    if (expired > 0) {
+      console.log(`Marked ${expired} user(s) with a hidden last seen offline`);
+    }
+  });
+
+/**
+ * 41. On rental request written → keep the property's booked date ranges in step with its status
+ * Releases the dates of bookings rejected, cancelled or deleted by anyone (owner, admin, resolveDispute).
+ */
+exports.syncRentalAvailability = functions.firestore
+  .document('rentalRequests/{requestId}')
+  .onWrite(async (change, context) => {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    const propertyId = (after && after.propertyId) || (before && before.propertyId);
+    if (!propertyId) {
+      return;
+    }
+
+    try {
+      await syncBookedRange(propertyId, context.params.requestId, after);
+    } catch (error) {
+      console.error(`Error updating availability for rental request ${context.params.requestId}:`, error);
+    }
+  });
+
+/**
+ * REAL EMAIL SUBSCRIPTION: Callable function that validates, stores, and sends email synchronously
+ * Returns success only after email is actually sent
+ */
+exports.subscribeEmail = functions.https.onCall(async (data, context) => {
+  const email = data.email;
+  const source = data.source || 'footer';
+
+  // Validate input
+  if (!email || typeof email !== 'string' || !email.trim()) {
+    throw new functions.https.HttpsError('invalid-argument', 'Please enter a valid email address');
+  }
+
+  const trimmedEmail = email.trim().toLowerCase();
+  
+  // Enhanced email validation
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(trimmedEmail)) {
+    throw new functions.https.HttpsError('invalid-argument', 'Please enter a valid email address');
+  }
+
+  try {
+    // Check for duplicate email
+    const existingQuery = await db.collection('email_subscriptions')
+      .where('email', '==', trimmedEmail)
+      .limit(1)
+      .get();
+
+    if (!existingQuery.empty) {
+      const existingDoc = existingQuery.docs[0];
+      const existingData = existingDoc.data();
+      
+      if (existingData.status === 'active') {
+        throw new functions.https.HttpsError('already-exists', 'This email is already subscribed');
+      }
+    }
+
+    // Store subscription in Firestore
+    const subscriptionRef = db.collection('email_subscriptions').doc();
+    await subscriptionRef.set({
+      email: trimmedEmail,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      source: source,
+      status: 'pending', // Will be updated to 'active' after email sent
+    });
+
+    console.log(`[Subscribe Email] Subscription created: ${subscriptionRef.id} for ${trimmedEmail}`);
+
+    // Send the confirmation through the mailer, which marks the subscription active once sent
+    const result = await enqueueEmail(getMailConfig(), {
+      to: trimmedEmail,
+      template: 'newsletterWelcome',
+      subscriptionId: subscriptionRef.id,
+    });
+
+    if (result.status === 'sent') {
+      console.log(`[Subscribe Email] ✅ Subscription ${subscriptionRef.id} marked as active`);
+      return {
+        success: true,
+        message: 'Successfully subscribed! Please check your email for confirmation.',
+        subscriptionId: subscriptionRef.id,
+      };
+    }
+
+    // Email failed - the outbox retries it; record the error on the subscription meanwhile
+    await subscriptionRef.update({
+      status: 'pending',
+      emailError: result.error || 'Email service not configured',
+      emailErrorAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    throw new functions.https.HttpsError(
+      'internal',
+      'Subscription saved, but confirmation email could not be sent. Please contact support.',
+    );
+  } catch (error) {
+    console.error('[Subscribe Email] Error:', error);
+    
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    
+    throw new functions.https.HttpsError('internal', 'Failed to subscribe. Please try again later.');
+  }
+});
+
+/**
+ * EMAIL SUBSCRIPTION TRIGGER (Backend - Firestore onCreate)
+ * 
+ * This trigger fires when a new document is created in email_subscriptions collection.
+ * It sends a confirmation email through the mailer (functions/mailer.js: Resend → SendGrid → SMTP).
+ * 
+ * Frontend: subscriptionService.js writes to Firestore
+ * Backend: This function sends email automatically
+ */
+exports.onEmailSubscription = functions.firestore
+  .document('email_subscriptions/{subscriptionId}')
+  .onCreate(async (snap, context) => {
+    const subscription = snap.data();
+    const subscriptionId = context.params.subscriptionId;
+    const email = subscription.email;
+    const source = subscription.source || 'unknown';
+
+    console.log(`[Email Subscription] New subscription: ${subscriptionId} for ${email} from ${source}`);
+
+    if (!email || typeof email !== 'string' || !email.trim()) {
+      console.error('[Email Subscription] No valid email found in subscription');
+      return;
+    }
+
+    const trimmedEmail = email.trim().toLowerCase();
+
+    // Send the confirmation through the mailer, which marks the subscription active once sent
+    const result = await enqueueEmail(getMailConfig(), {
+      to: trimmedEmail,
+      template: 'newsletterWelcome',
+      subscriptionId,
+    });
+
+    if (result.status === 'sent') {
       console.log(`[Email Subscription] ✅ Subscription ${subscriptionId} marked as active`);
     } else {
-      // Email failed - update status with error
+      // Email failed - the outbox retries it; record the error on the subscription meanwhile
       await snap.ref.update({
         status: 'pending',
-        emailError: emailError || 'Email service not configured',
+        emailError: result.error || 'Email service not configured',
         emailErrorAt: admin.firestore.FieldValue.serverTimestamp(),
       });
-      console.warn(`[Email Subscription] ⚠️ Subscription ${subscriptionId} saved but email not sent. Error: ${emailError || 'Email service not configured'}`);
+      console.warn(`[Email Subscription] ⚠️ Subscription ${subscriptionId} saved but email not sent. Error: ${result.error || 'Email service not configured'}`);
     }
   });
@@ -0,0 +1,369 @@
+/**
+ * Mailer
+ *
+ * Every email sent by the functions goes through here. A message is rendered from a template
+ * (emailTemplates.js), recorded in `emailOutbox` and handed to the first transport that accepts
+ * it: Resend, then SendGrid, then SMTP. With `transport: 'local'` only the local SMTP stand-in
+ * (scripts/local-smtp-server.js, or MailHog/Mailpit) is used, so nothing leaves the machine.
+ *
+ * Outbox documents move pending → sent, or → retrying with a backoff until MAX_ATTEMPTS, then
+ * → failed. retryOutboxEmails picks up due retries; each is claimed (retrying → sending) in a
+ * transaction so two runs never send the same email twice.
+ *
+ * Notification emails carry a signed unsubscribe link that turns off the email channel of their
+ * category (all digest categories for a digest); newsletter emails carry one that ends the subscription.
+ */
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const {renderEmail} = require('./emailTemplates');
+const {DIGEST_CATEGORIES, NOTIFICATION_CATEGORIES} = require('./notificationPrefs');
+
+const OUTBOX_COLLECTION = 'emailOutbox';
+const MAX_ATTEMPTS = 5;
+// Retry after 5, 10, 20 and 40 minutes
+const RETRY_BASE_DELAY_MS = 5 * 60 * 1000;
+
+// Unsubscribing from a digest turns off email for every category it summarizes
+const DIGEST_UNSUBSCRIBE = 'digest';
+const UNSUBSCRIBE_CATEGORIES = [...NOTIFICATION_CATEGORIES, DIGEST_UNSUBSCRIBE];
+
+/**
+ * Transports in the order they are tried
+ * @param {Object} config - Mail settings (see getMailConfig in index.js)
+ * @return {Array<{name: string, send: function(Object): Promise<string>}>} - send resolves to the message ID
+ */
+function getTransports(config) {
+  const nodemailer = require('nodemailer');
+
+  if (config.transport === 'local') {
+    const transporter = nodemailer.createTransport({
+      host: config.localSmtpHost || '127.0.0.1',
+      port: Number(config.localSmtpPort || 1025),
+      secure: false,
+      ignoreTLS: true,
+    });
+    return [{
+      name: 'local',
+      send: async (message) => (await transporter.sendMail({from: config.smtpFrom, ...message})).messageId,
+    }];
+  }
+
+  const transports = [];
+
+  if (config.resendApiKey) {
+    transports.push({
+      name: 'resend',
+      send: async (message) => {
+        const {Resend} = require('resend');
+        const result = await new Resend(config.resendApiKey).emails.send({from: config.resendFrom, ...message});
+        if (result.error) {
+          throw new Error(result.error.message || 'Resend rejected the email');
+        }
+        return (result.data && result.data.id) || result.id || 'sent';
+      },
+    });
+  }
+
+  if (config.sendgridApiKey) {
+    transports.push({
+      name: 'sendgrid',
+      send: async (message) => {
+        const sgMail = require('@sendgrid/mail');
+        sgMail.setApiKey(config.sendgridApiKey);
+        const result = await sgMail.send({from: config.sendgridFrom, ...message});
+        return (result[0] && result[0].headers && result[0].headers['x-message-id']) || 'sent';
+      },
+    });
+  }
+
+  if (config.smtpUser && config.smtpPass) {
+    const auth = {user: config.smtpUser, pass: config.smtpPass};
+    const transporter = config.smtpUser.includes('@gmail.com') ?
+      nodemailer.createTransport({service: 'gmail', auth}) :
+      nodemailer.createTransport({
+        host: config.smtpHost || 'smtp.gmail.com',
+        port: Number(config.smtpPort || 587),
+        secure: config.smtpSecure === true,
+        auth,
+      });
+    transports.push({
+      name: 'smtp',
+      send: async (message) => {
+        const info = await transporter.sendMail({from: `"Aptify" <${config.smtpFrom}>`, ...message});
+        return info.messageId;
+      },
+    });
+  }
+
+  return transports;
+}
+
+/**
+ * Send one email through the first transport that accepts it
+ * @param {Object} config - Mail settings
+ * @param {Object} message - {to, subject, html, text, headers}
+ * @return {Promise<{provider: string, messageId: string}>}
+ */
+async function sendMail(config, message) {
+  const transports = getTransports(config);
+  if (transports.length === 0) {
+    throw new Error('Email service not configured');
+  }
+
+  let lastError = null;
+  for (const transport of transports) {
+    try {
+      const messageId = await transport.send(message);
+      return {provider: transport.name, messageId};
+    } catch (error) {
+      console.warn(`[Mailer] ${transport.name} failed: ${error.message}`);
+      lastError = error;
+    }
+  }
+  throw lastError;
+}
+
+/**
+ * Signature of an unsubscribe target
+ * @param {string} secret - config.unsubscribeSecret
+ * @param {Object} target - {type: 'user'|'subscription', id, category}
+ * @return {string}
+ */
+function signUnsubscribe(secret, {type, id, category}) {
+  return crypto.createHmac('sha256', secret)
+      .update(`${type}:${id}:${category || ''}`)
+      .digest('hex')
+      .slice(0, 32);
+}
+
+/**
+ * Unsubscribe link for a target; null when no secret is configured
+ * @param {Object} config - Mail settings
+ * @param {Object} target - {type: 'user'|'subscription', id, category}
+ * @return {(string|null)}
+ */
+function buildUnsubscribeUrl(config, target) {
+  if (!config.unsubscribeSecret || !config.unsubscribeUrl) {
+    return null;
+  }
+  const params = new URLSearchParams({
+    type: target.type,
+    id: target.id,
+    token: signUnsubscribe(config.unsubscribeSecret, target),
+  });
+  if (target.category) {
+    params.set('category', target.category);
+  }
+  return `${config.unsubscribeUrl}?${params.toString()}`;
+}
+
+/**
+ * Check an unsubscribe link's token
+ * @param {Object} config - Mail settings
+ * @param {Object} target - {type, id, category} from the link
+ * @param {string} token - token from the link
+ * @return {boolean}
+ */
+function verifyUnsubscribeToken(config, target, token) {
+  if (!config.unsubscribeSecret || typeof token !== 'string') {
+    return false;
+  }
+  const expected = Buffer.from(signUnsubscribe(config.unsubscribeSecret, target));
+  const received = Buffer.from(token);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Apply a verified unsubscribe: turn off one category's email channel, or end a newsletter subscription
+ * @param {Object} target - {type: 'user'|'subscription', id, category}
+ * @return {Promise<void>}
+ */
+async function applyUnsubscribe({type, id, category}) {
+  const db = admin.firestore();
+  if (type === 'subscription') {
+    await db.collection('email_subscriptions').doc(id).update({
+      status: 'unsubscribed',
+      unsubscribedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return;
+  }
+  if (type === 'user' && UNSUBSCRIBE_CATEGORIES.includes(category)) {
+    const categories = category === DIGEST_UNSUBSCRIBE ? DIGEST_CATEGORIES : [category];
+    const notificationPrefs = {};
+    categories.forEach((name) => {
+      notificationPrefs[name] = {email: false};
+    });
+    await db.collection('users').doc(id).set({
+      notificationPrefs,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    return;
+  }
+  throw new Error('Invalid unsubscribe link');
+}
+
+/**
+ * Try to send an outbox email and record the outcome on its document
+ * @param {Object} config - Mail settings
+ * @param {FirebaseFirestore.DocumentReference} outboxRef - emailOutbox document
+ * @param {Object} email - Its data
+ * @return {Promise<{status: string, messageId: (string|null), error: (string|null)}>}
+ */
+async function deliver(config, outboxRef, email) {
+  const attempts = (email.attempts || 0) + 1;
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  try {
+    const {provider, messageId} = await sendMail(config, {
+      to: email.to,
+      subject: email.subject,
+      html: email.html,
+      text: email.text,
+      headers: email.headers || {},
+    });
+    await outboxRef.update({
+      status: 'sent',
+      attempts,
+      provider,
+      messageId,
+      lastError: null,
+      sentAt: now,
+      updatedAt: now,
+    });
+
+    if (email.subscriptionId) {
+      await admin.firestore().collection('email_subscriptions').doc(email.subscriptionId).update({
+        status: 'active',
+        emailSentAt: now,
+        emailMessageId: messageId,
+      });
+    }
+    console.log(`[Mailer] Sent ${email.template} email ${outboxRef.id} to ${email.to} via ${provider}`);
+    return {status: 'sent', messageId, error: null};
+  } catch (error) {
+    const status = attempts >= MAX_ATTEMPTS ? 'failed' : 'retrying';
+    await outboxRef.update({
+      status,
+      attempts,
+      lastError: error.message || 'Failed to send email',
+      nextAttemptAt: status === 'retrying' ?
+        admin.firestore.Timestamp.fromMillis(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attempts - 1)) :
+        null,
+      updatedAt: now,
+    });
+    console.warn(`[Mailer] Email ${outboxRef.id} to ${email.to} ${status} after attempt ${attempts}: ${error.message}`);
+    return {status, messageId: null, error: error.message || 'Failed to send email'};
+  }
+}
+
+/**
+ * Render an email, record it in the outbox and try to send it right away
+ * Failed sends stay in the outbox and are retried by retryOutboxEmails.
+ * @param {Object} config - Mail settings
+ * @param {Object} options - {to, template, data, userId, subscriptionId, category}
+ * @return {Promise<{id: string, status: string, messageId: (string|null), error: (string|null)}>}
+ */
+async function enqueueEmail(config, {to, template, data = {}, userId = null, subscriptionId = null, category = null}) {
+  let unsubscribeUrl = null;
+  if (subscriptionId) {
+    unsubscribeUrl = buildUnsubscribeUrl(config, {type: 'subscription', id: subscriptionId});
+  } else if (userId && UNSUBSCRIBE_CATEGORIES.includes(category)) {
+    unsubscribeUrl = buildUnsubscribeUrl(config, {type: 'user', id: userId, category});
+  }
+
+  const {subject, html, text} = renderEmail(template, data, unsubscribeUrl);
+  const email = {
+    to,
+    userId,
+    subscriptionId,
+    category,
+    template,
+    subject,
+    html,
+    text,
+    headers: unsubscribeUrl ? {'List-Unsubscribe': `<${unsubscribeUrl}>`} : {},
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+
+  const outboxRef = await admin.firestore().collection(OUTBOX_COLLECTION).add(email);
+  const result = await deliver(config, outboxRef, email);
+  return {id: outboxRef.id, ...result};
+}
+
+/**
+ * Email a user at the address on their profile
+ * @param {Object} config - Mail settings
+ * @param {string} userId - Recipient
+ * @param {string} template - Template name
+ * @param {Object} data - Template data
+ * @param {(string|null)} category - Notification category, for the unsubscribe link
+ * @return {Promise<(Object|null)>} - enqueueEmail result, or null when the user has no email address
+ */
+async function enqueueUserEmail(config, userId, template, data, category = null) {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  const to = userDoc.exists ? userDoc.data().email : null;
+  if (!to) {
+    return null;
+  }
+  return enqueueEmail(config, {to, template, data, userId, category});
+}
+
+/**
+ * Move an outbox email from 'retrying' to 'sending'; null if another run already claimed it
+ * @param {FirebaseFirestore.DocumentReference} outboxRef - emailOutbox document
+ * @return {Promise<(Object|null)>} - Email data when claimed
+ */
+async function claim(outboxRef) {
+  return admin.firestore().runTransaction(async (transaction) => {
+    const snap = await transaction.get(outboxRef);
+    if (!snap.exists || snap.data().status !== 'retrying') {
+      return null;
+    }
+    transaction.update(outboxRef, {status: 'sending'});
+    return snap.data();
+  });
+}
+
+/**
+ * Retry outbox emails whose next attempt is due
+ * @param {Object} config - Mail settings
+ * @param {number} limit - Maximum emails per run
+ * @return {Promise<number>} - Number sent
+ */
+async function retryOutboxEmails(config, limit = 100) {
+  const snapshot = await admin.firestore().collection(OUTBOX_COLLECTION)
+      .where('status', '==', 'retrying')
+      .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+      .limit(limit)
+      .get();
+
+  let sent = 0;
+  for (const doc of snapshot.docs) {
+    const email = await claim(doc.ref);
+    if (!email) {
+      continue;
+    }
+    const {status} = await deliver(config, doc.ref, email);
+    if (status === 'sent') {
+      sent++;
+    }
+  }
+  return sent;
+}
+
+module.exports = {
+  DIGEST_UNSUBSCRIBE,
+  MAX_ATTEMPTS,
+  OUTBOX_COLLECTION,
+  applyUnsubscribe,
+  enqueueEmail,
+  enqueueUserEmail,
+  retryOutboxEmails,
+  sendMail,
+  verifyUnsubscribeToken,
+};
@@ -0,0 +1,55 @@
+/**
+ * Chat message search index
+ *
+ * Produces the `searchPrefixes` array stored on chat messages by onChatMessageWritten and queried
+ * by chatService.searchMessages (array-contains, one chat at a time), so a search only downloads
+ * the messages that match. Every word of the text is indexed by its prefixes, which lets a search
+ * match words as they are typed. Prefix lengths must match src/utils/messageSearch.js - keep both
+ * in sync.
+ */
+
+const {normalizeSearchText} = require('./searchIndex');
+
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 15;
+
+// Bounds the number of index entries a single long message can add to its document
+const MAX_INDEX_PREFIXES = 400;
+
+/**
+ * Word prefixes of a message text
+ * @param {string} text - Message text
+ * @return {Array<string>} - Sorted, without duplicates
+ */
+function buildMessageSearchPrefixes(text) {
+  const prefixes = new Set();
+  const words = normalizeSearchText(text).split(' ').filter((word) => word.length >= MIN_PREFIX_LENGTH);
+
+  for (const word of words) {
+    const longest = Math.min(word.length, MAX_PREFIX_LENGTH);
+    if (prefixes.size + longest - MIN_PREFIX_LENGTH + 1 > MAX_INDEX_PREFIXES) break;
+    for (let length = MIN_PREFIX_LENGTH; length <= longest; length += 1) {
+      prefixes.add(word.slice(0, length));
+    }
+  }
+  return [...prefixes].sort();
+}
+
+/**
+ * Whether the stored prefixes already match the freshly built ones
+ * @param {Object} message - Message document data
+ * @param {Array<string>} prefixes - Output of buildMessageSearchPrefixes
+ * @return {boolean}
+ */
+function isMessageSearchIndexCurrent(message, prefixes) {
+  const stored = message.searchPrefixes;
+  return Array.isArray(stored) && stored.length === prefixes.length &&
+    stored.every((prefix, i) => prefix === prefixes[i]);
+}
+
+module.exports = {
+  MAX_PREFIX_LENGTH,
+  MIN_PREFIX_LENGTH,
+  buildMessageSearchPrefixes,
+  isMessageSearchIndexCurrent,
+};
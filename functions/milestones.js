@@ -0,0 +1,126 @@
+/**
+ * Project payment milestones
+ *
+ * Milestones live in `constructionProjects/{id}/milestones` and `renovationProjects/{id}/milestones`.
+ * Providers propose them and clients approve them from the web app; only the payment functions may
+ * mark one `paid`, after the gateway has confirmed the card payment for it.
+ */
+
+const admin = require('firebase-admin');
+
+const PROJECT_COLLECTIONS = {
+  construction: 'constructionProjects',
+  renovation: 'renovationProjects',
+};
+
+/**
+ * Reference to a project milestone
+ * @param {string} projectType - 'construction' or 'renovation'
+ * @param {string} projectId - Project document ID
+ * @param {string} milestoneId - Milestone document ID
+ * @return {FirebaseFirestore.DocumentReference}
+ */
+function milestoneRef(projectType, projectId, milestoneId) {
+  return admin.firestore()
+      .collection(PROJECT_COLLECTIONS[projectType])
+      .doc(projectId)
+      .collection('milestones')
+      .doc(milestoneId);
+}
+
+/**
+ * Load a milestone the caller is allowed to pay now
+ * @param {string} projectType - 'construction' or 'renovation'
+ * @param {string} projectId - Project document ID
+ * @param {string} milestoneId - Milestone document ID
+ * @param {string} userId - Paying user
+ * @return {Promise<Object>} - Milestone data (amount is authoritative)
+ */
+async function getPayableMilestone(projectType, projectId, milestoneId, userId) {
+  if (!PROJECT_COLLECTIONS[projectType]) {
+    throw new Error('Milestones can only be paid for construction or renovation projects');
+  }
+
+  const projectSnap = await admin.firestore().collection(PROJECT_COLLECTIONS[projectType]).doc(projectId).get();
+  if (!projectSnap.exists) {
+    throw new Error('Project not found');
+  }
+  const project = projectSnap.data();
+  if ((project.userId || project.clientId) !== userId) {
+    throw new Error('Only the project client can pay its milestones');
+  }
+
+  const milestoneSnap = await milestoneRef(projectType, projectId, milestoneId).get();
+  if (!milestoneSnap.exists) {
+    throw new Error('Milestone not found');
+  }
+  const milestone = milestoneSnap.data();
+  if (milestone.status !== 'approved') {
+    throw new Error(milestone.status === 'paid' ?
+      'This milestone has already been paid' :
+      'Approve the milestone before paying it');
+  }
+  return milestone;
+}
+
+/**
+ * Mark a milestone paid for a settled transaction and log it on the project timeline
+ * A second payment for a milestone that is already paid gets `duplicateOf` set on its transaction,
+ * which makes the refundDuplicateMilestonePayments function refund it.
+ * @param {string} transactionId - Successful transaction ID
+ * @param {Object} transaction - Transaction data (targetType, targetId, milestoneId, amount, userId)
+ * @return {Promise<{paid: boolean, milestone: (Object|null)}>}
+ */
+async function markMilestonePaid(transactionId, transaction) {
+  const db = admin.firestore();
+  const ref = milestoneRef(transaction.targetType, transaction.targetId, transaction.milestoneId);
+  const updateRef = db.collection(PROJECT_COLLECTIONS[transaction.targetType])
+      .doc(transaction.targetId)
+      .collection('projectUpdates')
+      .doc();
+
+  return db.runTransaction(async (firestoreTransaction) => {
+    const milestoneSnap = await firestoreTransaction.get(ref);
+    if (!milestoneSnap.exists) {
+      console.warn(`Milestone ${transaction.milestoneId} not found for transaction ${transactionId}`);
+      return {paid: false, milestone: null};
+    }
+
+    const milestone = milestoneSnap.data();
+    if (milestone.status === 'paid') {
+      if (milestone.transactionId !== transactionId) {
+        console.warn(`Milestone ${milestoneSnap.id} was already paid by ${milestone.transactionId}, ` +
+          `refunding ${transactionId}`);
+        firestoreTransaction.update(db.collection('transactions').doc(transactionId), {
+          duplicateOf: milestone.transactionId,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+      }
+      return {paid: false, milestone};
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    firestoreTransaction.update(ref, {
+      status: 'paid',
+      transactionId,
+      paidBy: transaction.userId,
+      paidAt: now,
+      updatedAt: now,
+    });
+    firestoreTransaction.set(updateRef, {
+      projectId: transaction.targetId,
+      updatedBy: transaction.userId,
+      note: `Milestone "${milestone.name}" paid (${transaction.amount} ${transaction.currency || 'PKR'})`,
+      milestoneId: milestoneSnap.id,
+      transactionId,
+      createdAt: now,
+    });
+    return {paid: true, milestone};
+  });
+}
+
+module.exports = {
+  PROJECT_COLLECTIONS,
+  getPayableMilestone,
+  markMilestonePaid,
+};
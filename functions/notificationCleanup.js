@@ -0,0 +1,49 @@
+/**
+ * Notification cleanup
+ *
+ * Read notifications are deleted once they are older than READ_NOTIFICATION_TTL_DAYS so a user's
+ * list does not grow forever. Unread notifications are kept however old they are.
+ */
+
+const admin = require('firebase-admin');
+
+const READ_NOTIFICATION_TTL_DAYS = 30;
+
+// Firestore allows 500 writes per batch; stay below it
+const BATCH_SIZE = 400;
+
+/**
+ * Delete read notifications older than the TTL
+ * @param {number} ttlDays - Age in days after which read notifications are deleted
+ * @return {Promise<number>} - Number deleted
+ */
+async function deleteExpiredNotifications(ttlDays = READ_NOTIFICATION_TTL_DAYS) {
+  const db = admin.firestore();
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - ttlDays * 24 * 60 * 60 * 1000);
+
+  let deleted = 0;
+  let batchCount = 0;
+  do {
+    const snapshot = await db.collection('notifications')
+        .where('read', '==', true)
+        .where('createdAt', '<', cutoff)
+        .limit(BATCH_SIZE)
+        .get();
+    if (snapshot.empty) {
+      break;
+    }
+
+    const batch = db.batch();
+    snapshot.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    batchCount = snapshot.size;
+    deleted += batchCount;
+  } while (batchCount === BATCH_SIZE);
+
+  return deleted;
+}
+
+module.exports = {
+  READ_NOTIFICATION_TTL_DAYS,
+  deleteExpiredNotifications,
+};
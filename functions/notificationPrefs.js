@@ -0,0 +1,113 @@
+/**
+ * Notification preferences
+ *
+ * Server copy of src/utils/notificationPrefs.js; keep the two in sync. Users choose per category
+ * which channels notify them (users/{uid}.notificationPrefs = {[category]: {inApp, email, push}}).
+ * createNotification checks the matrix before delivering on any channel. Notifications without a
+ * category (payments, wallet, disputes, account) are always delivered.
+ *
+ * Emails of the low-priority DIGEST_CATEGORIES can be batched into a daily or weekly digest instead
+ * (users/{uid}.notificationDigest = 'off' | 'daily' | 'weekly'; see digests.js).
+ */
+
+const admin = require('firebase-admin');
+
+const NOTIFICATION_CATEGORIES = [
+  'chat',
+  'projectStatus',
+  'reviews',
+  'propertyModeration',
+  'savedSearches',
+  'marketing',
+];
+
+const NOTIFICATION_CHANNELS = ['inApp', 'email', 'push'];
+
+const DIGEST_CATEGORIES = ['reviews', 'propertyModeration', 'marketing'];
+
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const DEFAULT_NOTIFICATION_PREFS = {
+  chat: {inApp: true, email: true, push: true},
+  projectStatus: {inApp: true, email: true, push: true},
+  reviews: {inApp: true, email: true, push: true},
+  propertyModeration: {inApp: true, email: true, push: true},
+  savedSearches: {inApp: true, email: true, push: true},
+  marketing: {inApp: true, email: false, push: false},
+};
+
+/**
+ * Complete preference matrix from what is stored on the user document
+ * @param {Object} stored - users/{uid}.notificationPrefs (may be missing or partial)
+ * @return {Object} - {[category]: {inApp, email, push}}
+ */
+function resolveNotificationPrefs(stored) {
+  const prefs = {};
+  NOTIFICATION_CATEGORIES.forEach((category) => {
+    const saved = stored && typeof stored[category] === 'object' && stored[category] ?
+      stored[category] :
+      {};
+    prefs[category] = {};
+    NOTIFICATION_CHANNELS.forEach((channel) => {
+      prefs[category][channel] = typeof saved[channel] === 'boolean' ?
+        saved[channel] :
+        DEFAULT_NOTIFICATION_PREFS[category][channel];
+    });
+  });
+  return prefs;
+}
+
+/**
+ * Whether a channel may deliver a notification of this category
+ * @param {Object} prefs - Resolved preference matrix
+ * @param {(string|null)} category - Notification category
+ * @param {string} channel - 'inApp', 'email' or 'push'
+ * @return {boolean}
+ */
+function isChannelEnabled(prefs, category, channel) {
+  if (!category || !NOTIFICATION_CATEGORIES.includes(category)) return true;
+  return prefs[category][channel] !== false;
+}
+
+/**
+ * Digest frequency from what is stored on the user document
+ * @param {*} stored - users/{uid}.notificationDigest
+ * @return {string} - 'off', 'daily' or 'weekly'
+ */
+function resolveDigestFrequency(stored) {
+  return DIGEST_FREQUENCIES.includes(stored) ? stored : 'off';
+}
+
+/**
+ * Whether an email of this category waits for the user's digest instead of going out now
+ * @param {string} userId - User ID
+ * @param {(string|null)} category - Notification category
+ * @return {Promise<boolean>}
+ */
+async function isDigestedForUser(userId, category) {
+  if (!DIGEST_CATEGORIES.includes(category)) return false;
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  return resolveDigestFrequency(userDoc.exists ? userDoc.data().notificationDigest : null) !== 'off';
+}
+
+/**
+ * Read a user's resolved preference matrix
+ * @param {string} userId - User ID
+ * @return {Promise<Object>}
+ */
+async function getNotificationPrefs(userId) {
+  const userDoc = await admin.firestore().collection('users').doc(userId).get();
+  return resolveNotificationPrefs(userDoc.exists ? userDoc.data().notificationPrefs : null);
+}
+
+module.exports = {
+  DIGEST_CATEGORIES,
+  DIGEST_FREQUENCIES,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  resolveDigestFrequency,
+  resolveNotificationPrefs,
+  isChannelEnabled,
+  isDigestedForUser,
+  getNotificationPrefs,
+};
@@ -0,0 +1,183 @@
+/**
+ * Payment providers
+ *
+ * Every provider implements the same interface so the payment Cloud Functions do not care which
+ * gateway is behind them:
+ *   - createIntent({amount, currency, transactionId, userId}) → {intentId, clientSecret}
+ *   - confirmIntent(intentId, card) → {status, events}
+ *   - refund(intentId, amount) → {refundId, status, events}
+ * Outcomes are reported as gateway events ({id, type, data}) with types `payment.succeeded`,
+ * `payment.failed` and `refund.succeeded`. The in-process `mock` provider returns its events
+ * straight from confirm/refund; the `local` provider talks to scripts/local-payment-gateway.cjs,
+ * which delivers them later to the `paymentWebhook` endpoint, signed with the shared secret.
+ *
+ * This module has no Firebase dependencies so the local gateway script can reuse the test-card
+ * rules and the signature helpers.
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-aptify-signature';
+
+/**
+ * Outcome of a test card, shared by the mock provider and the local gateway
+ * 4000 0000 0000 0002 declines, 4000 0000 0000 9995 fails with insufficient funds, any other
+ * Luhn-valid number succeeds.
+ * @param {string} cardNumber - Card number (spaces allowed)
+ * @return {{approved: boolean, reason: (string|null)}}
+ */
+function evaluateTestCard(cardNumber) {
+  const digits = String(cardNumber || '').replace(/\s+/g, '');
+  if (!/^\d{12,19}$/.test(digits)) return {approved: false, reason: 'invalid_number'};
+
+  let sum = 0;
+  digits.split('').reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  if (sum % 10 !== 0) return {approved: false, reason: 'invalid_number'};
+
+  if (digits.endsWith('0002')) return {approved: false, reason: 'card_declined'};
+  if (digits.endsWith('9995')) return {approved: false, reason: 'insufficient_funds'};
+  return {approved: true, reason: null};
+}
+
+/**
+ * HMAC-SHA256 signature of a webhook body
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} secret - Shared webhook secret
+ * @return {string} - Hex digest
+ */
+function signPayload(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Constant-time check of a webhook signature
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} signature - Value of the signature header
+ * @param {string} secret - Shared webhook secret
+ * @return {boolean}
+ */
+function verifySignature(payload, signature, secret) {
+  if (!signature || !secret) return false;
+  const expected = Buffer.from(signPayload(payload, secret), 'hex');
+  const received = Buffer.from(String(signature), 'hex');
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * In-process provider: decides outcomes from the test card rules, no network calls
+ * @return {Object} - Payment provider
+ */
+function createMockProvider() {
+  return {
+    name: 'mock',
+
+    async createIntent() {
+      const intentId = randomId('mock_pi');
+      return {intentId, clientSecret: `${intentId}_secret`};
+    },
+
+    async confirmIntent(intentId, card) {
+      const {approved, reason} = evaluateTestCard(card && card.number);
+      return {
+        status: 'processing',
+        events: [{
+          id: randomId('mock_evt'),
+          type: approved ? 'payment.succeeded' : 'payment.failed',
+          data: {intentId, failureReason: reason},
+        }],
+      };
+    },
+
+    async refund(intentId, amount) {
+      const refundId = randomId('mock_re');
+      return {
+        refundId,
+        status: 'pending',
+        events: [{
+          id: randomId('mock_evt'),
+          type: 'refund.succeeded',
+          data: {intentId, refundId, amount},
+        }],
+      };
+    },
+  };
+}
+
+/**
+ * Provider backed by the local stand-in gateway (scripts/local-payment-gateway.cjs)
+ * @param {{baseUrl: string, apiKey: string}} options - Gateway URL and API key
+ * @return {Object} - Payment provider
+ */
+function createLocalGatewayProvider({baseUrl, apiKey}) {
+  const request = async (path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const json = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(json.error || `Payment gateway responded with ${response.status}`);
+    }
+    return json;
+  };
+
+  return {
+    name: 'local',
+
+    async createIntent({amount, currency, transactionId, userId}) {
+      const intent = await request('/v1/intents', {
+        amount,
+        currency,
+        metadata: {transactionId, userId},
+      });
+      return {intentId: intent.id, clientSecret: intent.client_secret};
+    },
+
+    async confirmIntent(intentId, card) {
+      const intent = await request(`/v1/intents/${intentId}/confirm`, {card});
+      // Outcome arrives later through the signed webhook
+      return {status: intent.status, events: []};
+    },
+
+    async refund(intentId, amount) {
+      const refund = await request(`/v1/intents/${intentId}/refund`, {amount});
+      return {refundId: refund.id, status: refund.status, events: []};
+    },
+  };
+}
+
+/**
+ * Pick the configured provider
+ * @param {{provider: string, gatewayUrl: string, gatewayKey: string}} config - Payment settings
+ * @return {Object} - Payment provider
+ */
+function getPaymentProvider(config) {
+  if (config.provider === 'local') {
+    return createLocalGatewayProvider({
+      baseUrl: config.gatewayUrl || 'http://127.0.0.1:4242',
+      apiKey: config.gatewayKey || 'sk_local_test',
+    });
+  }
+  return createMockProvider();
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  evaluateTestCard,
+  getPaymentProvider,
+  signPayload,
+  verifySignature,
+};
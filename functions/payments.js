@@ -0,0 +1,184 @@
+/**
+ * Payment settlement
+ *
+ * Applies gateway events to `transactions` documents. This is the only place a card payment
+ * becomes `success`, `failed` or `refunded`; the web app only creates intents and watches the
+ * transaction document. Each event ID is recorded in `paymentEvents`, so a gateway retrying a
+ * webhook cannot apply the same event twice.
+ */
+
+const admin = require('firebase-admin');
+const {markMilestonePaid} = require('./milestones');
+const {canTransition, transitionStatus} = require('./projectStatus');
+const {creditTopUp} = require('./wallet');
+
+const REQUEST_COLLECTIONS = {
+  construction: 'constructionProjects',
+  renovation: 'renovationProjects',
+  rental: 'rentalRequests',
+  buySell: 'buySellRequests',
+};
+
+// Field holding the price of each request type
+const REQUEST_AMOUNT_FIELDS = {
+  construction: 'budget',
+  renovation: 'budget',
+  rental: 'totalCost',
+  buySell: 'offerAmount',
+};
+
+/**
+ * Price of a request: the project budget, the rental total or the buy/sell offer
+ * @param {string} targetType - Transaction target type
+ * @param {Object} request - Request/project document data
+ * @return {(number|null)} - null when the request has no positive price
+ */
+function getRequestAmount(targetType, request) {
+  const amount = Math.round(Number(request[REQUEST_AMOUNT_FIELDS[targetType]]) * 100) / 100;
+  return amount > 0 ? amount : null;
+}
+
+/**
+ * Move the paid request/project forward after a successful payment
+ * A payment short of the request's price (see getRequestAmount) leaves the status unchanged.
+ * @param {string} targetType - Transaction target type
+ * @param {string} targetId - Target document ID
+ * @param {string} userId - Paying user, recorded on the status update
+ * @param {number} paidAmount - Amount of the successful payment
+ * @return {Promise<void>}
+ */
+async function updateRequestStatusOnPayment(targetType, targetId, userId, paidAmount) {
+  const collectionName = REQUEST_COLLECTIONS[targetType];
+  if (!collectionName) {
+    return;
+  }
+
+  const requestSnap = await admin.firestore().collection(collectionName).doc(targetId).get();
+  if (!requestSnap.exists) {
+    console.warn(`Request not found: ${targetId} in ${collectionName}`);
+    return;
+  }
+
+  const price = getRequestAmount(targetType, requestSnap.data());
+  if (!price || !(Number(paidAmount) >= price)) {
+    console.warn(`Payment of ${paidAmount} does not cover ${collectionName}/${targetId} (${price}); ` +
+      'status left unchanged');
+    return;
+  }
+
+  // Pending requests become Confirmed, accepted rentals/offers become Paid; anything already
+  // under way keeps its status
+  const currentStatus = requestSnap.data().status;
+  const nextStatus = ['Confirmed', 'Paid'].find((status) =>
+    canTransition(collectionName, currentStatus, status, 'system'));
+  if (!nextStatus) {
+    return;
+  }
+
+  await transitionStatus(collectionName, targetId, nextStatus, {
+    role: 'system',
+    updatedBy: userId || 'system',
+    note: 'Payment received',
+  });
+}
+
+/**
+ * Apply what a successful payment pays for: credit a top-up, mark the milestone paid or move the
+ * request forward. Shared by card payments (gateway events) and wallet payments (payWithWallet).
+ * @param {string} transactionId - Successful transaction ID
+ * @param {Object} transaction - Transaction data
+ * @return {Promise<void>}
+ */
+async function applySuccessfulPayment(transactionId, transaction) {
+  if (transaction.targetType === 'wallet') {
+    await creditTopUp(transaction.userId, transaction.amount, transactionId);
+  } else if (transaction.milestoneId) {
+    await markMilestonePaid(transactionId, transaction);
+  } else {
+    await updateRequestStatusOnPayment(transaction.targetType, transaction.targetId, transaction.userId,
+        transaction.amount);
+  }
+}
+
+/**
+ * Find the transaction a gateway event belongs to
+ * @param {string} intentId - Gateway payment intent ID
+ * @return {Promise<FirebaseFirestore.DocumentSnapshot|null>}
+ */
+async function findTransactionByIntent(intentId) {
+  const snapshot = await admin.firestore().collection('transactions')
+      .where('providerIntentId', '==', intentId)
+      .limit(1)
+      .get();
+  return snapshot.empty ? null : snapshot.docs[0];
+}
+
+/**
+ * Apply one gateway event
+ * @param {{id: string, type: string, data: Object}} event - Gateway event
+ * @param {string} providerName - Provider that produced the event
+ * @return {Promise<{applied: boolean, transactionId: (string|null), status: (string|null)}>}
+ */
+async function handlePaymentEvent(event, providerName) {
+  const db = admin.firestore();
+  const data = event.data || {};
+
+  const transactionSnap = await findTransactionByIntent(data.intentId);
+  if (!transactionSnap) {
+    console.warn(`No transaction for ${providerName} intent ${data.intentId}`);
+    return {applied: false, transactionId: null, status: null};
+  }
+
+  try {
+    await db.collection('paymentEvents').doc(`${providerName}_${event.id}`).create({
+      type: event.type,
+      transactionId: transactionSnap.id,
+      receivedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+  } catch (error) {
+    // ALREADY_EXISTS: this event was applied before
+    if (error.code === 6) {
+      return {applied: false, transactionId: transactionSnap.id, status: transactionSnap.data().status};
+    }
+    throw error;
+  }
+
+  const transaction = transactionSnap.data();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  if (event.type === 'payment.succeeded' && transaction.status === 'pending') {
+    await transactionSnap.ref.update({status: 'success', paidAt: now, updatedAt: now});
+    await applySuccessfulPayment(transactionSnap.id, transaction);
+    return {applied: true, transactionId: transactionSnap.id, status: 'success'};
+  }
+
+  if (event.type === 'payment.failed' && transaction.status === 'pending') {
+    await transactionSnap.ref.update({
+      status: 'failed',
+      failureReason: data.failureReason || 'payment_failed',
+      updatedAt: now,
+    });
+    return {applied: true, transactionId: transactionSnap.id, status: 'failed'};
+  }
+
+  if (event.type === 'refund.succeeded' && transaction.status === 'success') {
+    await transactionSnap.ref.update({
+      status: 'refunded',
+      providerRefundId: data.refundId || null,
+      refundedAt: now,
+      updatedAt: now,
+    });
+    return {applied: true, transactionId: transactionSnap.id, status: 'refunded'};
+  }
+
+  console.warn(`Ignoring ${event.type} for transaction ${transactionSnap.id} in status ${transaction.status}`);
+  return {applied: false, transactionId: transactionSnap.id, status: transaction.status};
+}
+
+module.exports = {
+  REQUEST_COLLECTIONS,
+  applySuccessfulPayment,
+  getRequestAmount,
+  handlePaymentEvent,
+  updateRequestStatusOnPayment,
+};
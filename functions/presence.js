@@ -0,0 +1,42 @@
+/**
+ * Presence expiry
+ *
+ * Users who hide their last seen only publish a coarse state ('online' / 'offline') on
+ * presence/{uid}; their heartbeat goes to the owner-only presenceHeartbeats/{uid} instead (see
+ * src/services/presenceService.js). A tab that dies without saying goodbye would leave them online
+ * for good, so expireHiddenPresence marks them offline once the heartbeat stops.
+ */
+
+const admin = require('firebase-admin');
+
+// Same window as ONLINE_WINDOW_MS in src/services/presenceService.js
+const ONLINE_WINDOW_MS = 2.5 * 60 * 1000;
+
+/**
+ * Mark users who hide their last seen offline when their heartbeat is older than ONLINE_WINDOW_MS
+ * @return {Promise<number>} - Number of users marked offline
+ */
+async function expireHiddenPresence() {
+  const db = admin.firestore();
+  const snapshot = await db.collection('presence')
+      .where('state', '==', 'online')
+      .where('showLastSeen', '==', false)
+      .get();
+
+  let expired = 0;
+  for (const doc of snapshot.docs) {
+    const heartbeat = await db.collection('presenceHeartbeats').doc(doc.id).get();
+    const lastActiveAt = heartbeat.exists ? heartbeat.data().lastActiveAt : null;
+    if (lastActiveAt && Date.now() - lastActiveAt.toMillis() < ONLINE_WINDOW_MS) continue;
+
+    // No last-seen time is written; the user chose to hide it
+    await doc.ref.update({state: 'offline'});
+    expired += 1;
+  }
+  return expired;
+}
+
+module.exports = {
+  ONLINE_WINDOW_MS,
+  expireHiddenPresence,
+};
@@ -0,0 +1,210 @@
+/**
+ * Project / request status state machine
+ *
+ * Server copy of src/utils/projectStatus.js; the same table is encoded in firestore.rules. Keep the
+ * three in sync. Functions change statuses only through transitionStatus(), which checks the
+ * transition and writes the projectUpdates entry in the same transaction as the status.
+ */
+
+const admin = require('firebase-admin');
+
+const PROJECT_TRANSITIONS = {
+  'Pending': {
+    'Confirmed': ['system'],
+    'Accepted': ['provider', 'admin'],
+    'In Progress': ['provider', 'admin'],
+    'Rejected': ['provider', 'admin'],
+    'Cancelled': ['client', 'admin'],
+  },
+  'Confirmed': {
+    'Accepted': ['provider', 'admin'],
+    'In Progress': ['provider', 'admin'],
+    'Rejected': ['provider', 'admin'],
+    'Cancelled': ['client', 'admin'],
+  },
+  'Accepted': {
+    'In Progress': ['provider', 'admin'],
+    'On Hold': ['provider', 'admin'],
+    'Cancelled': ['client', 'provider', 'admin'],
+  },
+  'In Progress': {
+    'On Hold': ['provider', 'admin'],
+    'Completed': ['provider', 'admin'],
+    'Disputed': ['system'],
+    'Cancelled': ['admin'],
+  },
+  'On Hold': {
+    'In Progress': ['provider', 'admin'],
+    'Disputed': ['system'],
+    'Cancelled': ['client', 'provider', 'admin'],
+  },
+  'Completed': {
+    'Disputed': ['system'],
+  },
+  'Disputed': {
+    'In Progress': ['admin'],
+    'On Hold': ['admin'],
+    'Completed': ['admin'],
+    'Cancelled': ['admin'],
+  },
+  'Rejected': {},
+  'Cancelled': {},
+};
+
+const REQUEST_TRANSITIONS = {
+  'Pending': {
+    'Confirmed': ['system'],
+    'Accepted': ['provider', 'admin'],
+    'Rejected': ['provider', 'admin'],
+    'Cancelled': ['client', 'admin'],
+  },
+  'Confirmed': {
+    'Accepted': ['provider', 'admin'],
+    'Rejected': ['provider', 'admin'],
+    'Cancelled': ['client', 'admin'],
+  },
+  'Accepted': {
+    'Paid': ['system'],
+    'On Hold': ['provider', 'admin'],
+    'Completed': ['provider', 'admin'],
+    'Disputed': ['system'],
+    'Cancelled': ['client', 'provider', 'admin'],
+  },
+  'Paid': {
+    'Completed': ['provider', 'admin'],
+    'Disputed': ['system'],
+    'Cancelled': ['admin'],
+  },
+  'On Hold': {
+    'Accepted': ['provider', 'admin'],
+    'Disputed': ['system'],
+    'Cancelled': ['client', 'provider', 'admin'],
+  },
+  'Completed': {
+    'Disputed': ['system'],
+  },
+  'Disputed': {
+    'Accepted': ['admin'],
+    'Completed': ['admin'],
+    'Cancelled': ['admin'],
+  },
+  'Rejected': {},
+  'Cancelled': {},
+};
+
+const STATUS_MACHINES = {
+  constructionProjects: PROJECT_TRANSITIONS,
+  renovationProjects: PROJECT_TRANSITIONS,
+  rentalRequests: REQUEST_TRANSITIONS,
+  buySellRequests: REQUEST_TRANSITIONS,
+};
+
+const STATUS_ALIASES = {
+  'pending': 'Pending',
+  'confirmed': 'Confirmed',
+  'accepted': 'Accepted',
+  'approved': 'Accepted',
+  'paid': 'Paid',
+  'in progress': 'In Progress',
+  'inprogress': 'In Progress',
+  'on hold': 'On Hold',
+  'onhold': 'On Hold',
+  'completed': 'Completed',
+  'rejected': 'Rejected',
+  'cancelled': 'Cancelled',
+  'canceled': 'Cancelled',
+  'disputed': 'Disputed',
+};
+
+/**
+ * Map any stored status spelling to its canonical form
+ * @param {string} status - Stored status
+ * @return {(string|null)} - Canonical status, or null if unknown
+ */
+function normalizeStatus(status) {
+  if (!status || typeof status !== 'string') {
+    return null;
+  }
+  return STATUS_ALIASES[status.trim().toLowerCase().replace(/[-_]+/g, ' ')] || null;
+}
+
+/**
+ * Check a single transition
+ * @param {string} collectionName - Project/request collection name
+ * @param {string} currentStatus - Current (possibly legacy) status
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - 'client', 'provider', 'admin' or 'system'
+ * @return {boolean}
+ */
+function canTransition(collectionName, currentStatus, nextStatus, role) {
+  const machine = STATUS_MACHINES[collectionName];
+  const from = normalizeStatus(currentStatus) || 'Pending';
+  const to = normalizeStatus(nextStatus);
+  if (!machine || !to) {
+    return false;
+  }
+  const roles = (machine[from] || {})[to] || [];
+  return roles.includes(role);
+}
+
+/**
+ * Change a project/request status and log it in projectUpdates, in one transaction
+ * @param {string} collectionName - Project/request collection name
+ * @param {string} docId - Project/request document ID
+ * @param {string} nextStatus - Requested status
+ * @param {Object} options - {role, updatedBy, note}, plus optional extraFields for the document,
+ *     check(transaction, data), awaited before any write so it can read in the transaction and throw
+ *     to abort, and extraWrites(transaction, data), called with the current data to add writes
+ * @return {Promise<{status: string, previousStatus: string}>}
+ */
+async function transitionStatus(collectionName, docId, nextStatus, options) {
+  const db = admin.firestore();
+  const docRef = db.collection(collectionName).doc(docId);
+
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(docRef);
+    if (!snap.exists) {
+      throw new Error(`${collectionName}/${docId} not found`);
+    }
+
+    const currentStatus = snap.data().status;
+    if (!canTransition(collectionName, currentStatus, nextStatus, options.role)) {
+      throw new Error(`Cannot change status from "${currentStatus}" to "${nextStatus}"`);
+    }
+
+    if (options.check) {
+      await options.check(transaction, snap.data());
+    }
+
+    const status = normalizeStatus(nextStatus);
+    const previousStatus = normalizeStatus(currentStatus) || currentStatus || 'Pending';
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const updateRef = docRef.collection('projectUpdates').doc();
+    transaction.set(updateRef, {
+      projectId: docId,
+      status,
+      previousStatus,
+      updatedBy: options.updatedBy,
+      note: options.note || `Status changed from ${previousStatus} to ${status}`,
+      createdAt: now,
+    });
+    if (options.extraWrites) {
+      options.extraWrites(transaction, snap.data());
+    }
+    transaction.update(docRef, {
+      ...(options.extraFields || {}),
+      status,
+      statusUpdateId: updateRef.id,
+      updatedAt: now,
+    });
+
+    return {status, previousStatus};
+  });
+}
+
+module.exports = {
+  STATUS_MACHINES,
+  normalizeStatus,
+  canTransition,
+  transitionStatus,
+};
@@ -0,0 +1,160 @@
+/**
+ * Provider discovery data
+ *
+ * Keeps the fields the provider search (src/components/providers/ProvidersList.jsx) queries and ranks
+ * on up to date on constructionProviders / renovators documents:
+ * - geohash: encoded from the `coordinates` {lat, lng} the provider pinned with LocationPicker, so
+ *   nearby providers can be found with geohash prefix range queries
+ * - avgResponseHours / responseStats: how long the provider takes to accept or decline a new request
+ *
+ * encodeGeohash is the server copy of src/utils/geo.js; keep the two in sync.
+ */
+
+const admin = require('firebase-admin');
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const GEOHASH_PRECISION = 9;
+
+const PROVIDER_COLLECTIONS = {
+  construction: 'constructionProviders',
+  renovation: 'renovators',
+};
+
+// Statuses a new request waits in, and the ones a provider answers it with
+const WAITING_STATUSES = ['pending', 'confirmed'];
+const ANSWERED_STATUSES = ['accepted', 'in progress', 'rejected'];
+
+/**
+ * Encode coordinates as a geohash
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} precision - Number of characters
+ * @return {string}
+ */
+function encodeGeohash(lat, lng, precision = GEOHASH_PRECISION) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    bitCount += 1;
+    if (bitCount === 5) {
+      hash += GEOHASH_BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+}
+
+/**
+ * Valid coordinates of a provider, or null
+ * @param {Object} provider - Provider document
+ * @return {{lat: number, lng: number}|null}
+ */
+function getProviderCoordinates(provider) {
+  const coordinates = provider.coordinates;
+  if (!coordinates) return null;
+  const lat = Number(coordinates.lat);
+  const lng = Number(coordinates.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return {lat, lng};
+}
+
+/**
+ * Geohash update for a provider document, or null when the stored one is current
+ * @param {Object} provider - Provider document
+ * @return {Object|null} - {geohash}
+ */
+function buildProviderGeoUpdate(provider) {
+  const coordinates = getProviderCoordinates(provider);
+  const geohash = coordinates ? encodeGeohash(coordinates.lat, coordinates.lng) : null;
+  if ((provider.geohash || null) === geohash) {
+    return null;
+  }
+  return {geohash};
+}
+
+/**
+ * Hours between a request being made and the provider answering it, or null if this update is not
+ * the provider's first answer
+ * @param {Object} before - Project before the update
+ * @param {Object} after - Project after the update
+ * @return {number|null}
+ */
+function getResponseHours(before, after) {
+  const from = String(before.status || '').toLowerCase();
+  const to = String(after.status || '').toLowerCase();
+  if (!WAITING_STATUSES.includes(from) || !ANSWERED_STATUSES.includes(to)) {
+    return null;
+  }
+  const createdAt = after.createdAt && after.createdAt.toMillis ? after.createdAt.toMillis() : null;
+  if (!createdAt) {
+    return null;
+  }
+  return Math.max(0, (Date.now() - createdAt) / (60 * 60 * 1000));
+}
+
+/**
+ * Add a response to the provider's running average response time
+ * Projects reference the provider by user ID (the provider document ID) or by serviceProviders ID.
+ * @param {string} kind - 'construction' or 'renovation'
+ * @param {Object} before - Project before the update
+ * @param {Object} after - Project after the update
+ * @return {Promise<number|null>} - The provider's new average, or null if nothing was recorded
+ */
+async function recordProviderResponse(kind, before, after) {
+  const hours = getResponseHours(before, after);
+  if (hours === null || !after.providerId) {
+    return null;
+  }
+
+  const db = admin.firestore();
+  const collection = db.collection(PROVIDER_COLLECTIONS[kind]);
+  let providerRef = collection.doc(after.providerId);
+  if (!(await providerRef.get()).exists) {
+    const serviceProvider = await db.collection('serviceProviders').doc(after.providerId).get();
+    const userId = serviceProvider.exists ? serviceProvider.data().userId : null;
+    if (!userId) {
+      return null;
+    }
+    providerRef = collection.doc(userId);
+  }
+
+  return db.runTransaction(async (transaction) => {
+    const providerDoc = await transaction.get(providerRef);
+    if (!providerDoc.exists) {
+      return null;
+    }
+    const stats = providerDoc.data().responseStats || {count: 0, totalHours: 0};
+    const count = (stats.count || 0) + 1;
+    const totalHours = (stats.totalHours || 0) + hours;
+    const avgResponseHours = Math.round((totalHours / count) * 10) / 10;
+    transaction.update(providerRef, {responseStats: {count, totalHours}, avgResponseHours});
+    return avgResponseHours;
+  });
+}
+
+module.exports = {
+  PROVIDER_COLLECTIONS,
+  buildProviderGeoUpdate,
+  encodeGeohash,
+  getResponseHours,
+  recordProviderResponse,
+};
@@ -0,0 +1,70 @@
+/**
+ * Web push
+ *
+ * Sends browser pushes through Firebase Cloud Messaging to every device a user registered
+ * (pushTokens/{uid}.devices.{deviceId} = {token, userAgent, updatedAt}, written by
+ * src/services/pushService.js; owner-only in firestore.rules). Messages are data-only so
+ * public/firebase-messaging-sw.js decides how they look and opens the notification link on click.
+ * Tokens FCM reports as no longer valid are removed.
+ */
+
+const admin = require('firebase-admin');
+
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
+
+// Keep the payload small; the notification body is a preview anyway
+const MAX_BODY_LENGTH = 200;
+
+/**
+ * Send a push to all of a user's devices
+ * @param {string} userId - Recipient
+ * @param {Object} notification - {title, message, link, category, notificationId}
+ * @return {Promise<number>} - Number of devices that accepted the push
+ */
+async function sendPushToUser(userId, {title, message, link, category, notificationId}) {
+  const tokensRef = admin.firestore().collection('pushTokens').doc(userId);
+  const tokensDoc = await tokensRef.get();
+  const pushTokens = tokensDoc.exists ? tokensDoc.data().devices || {} : {};
+  const devices = Object.entries(pushTokens).filter(([, entry]) => entry && entry.token);
+  if (devices.length === 0) {
+    return 0;
+  }
+
+  const response = await admin.messaging().sendEachForMulticast({
+    tokens: devices.map(([, entry]) => entry.token),
+    data: {
+      title: String(title || 'Aptify'),
+      body: String(message || '').substring(0, MAX_BODY_LENGTH),
+      link: link || '/',
+      category: category || '',
+      notificationId: notificationId || '',
+    },
+    webpush: {
+      headers: {Urgency: 'high', TTL: String(24 * 60 * 60)},
+    },
+  });
+
+  const staleDevices = [];
+  response.responses.forEach((result, index) => {
+    if (!result.success && result.error && INVALID_TOKEN_ERRORS.includes(result.error.code)) {
+      staleDevices.push(devices[index][0]);
+    }
+  });
+  if (staleDevices.length > 0) {
+    const removals = {};
+    staleDevices.forEach((deviceId) => {
+      removals[`devices.${deviceId}`] = admin.firestore.FieldValue.delete();
+    });
+    await tokensRef.update(removals);
+    console.log(`Removed ${staleDevices.length} invalid push token(s) for user ${userId}`);
+  }
+
+  return response.successCount;
+}
+
+module.exports = {
+  sendPushToUser,
+};
@@ -0,0 +1,108 @@
+/**
+ * Open job requests and provider quotes
+ *
+ * A client posts a `jobRequests` document instead of picking one provider; approved providers of
+ * that service type answer with an itemized quote in `jobRequests/{id}/quotes/{providerUserId}`.
+ * Accepting a quote turns the job into a regular construction/renovation project document, so the
+ * rest of the project flow (updates, milestones, status) does not know it started as a job post.
+ */
+
+const admin = require('firebase-admin');
+const {PROJECT_COLLECTIONS} = require('./milestones');
+
+/**
+ * Accept one quote for an open job request and create the project from it
+ * @param {string} jobRequestId - Job request document ID
+ * @param {string} quoteId - Quote document ID (the quoting provider's user ID)
+ * @param {string} userId - Caller, who must own the job request
+ * @return {Promise<{projectId: string, jobRequest: Object, quote: Object, declinedProviderIds: Array<string>}>}
+ */
+async function acceptQuote(jobRequestId, quoteId, userId) {
+  const db = admin.firestore();
+  const jobRef = db.collection('jobRequests').doc(jobRequestId);
+  const quoteRef = jobRef.collection('quotes').doc(quoteId);
+
+  const {projectId, jobRequest, quote} = await db.runTransaction(async (transaction) => {
+    const [jobSnap, quoteSnap] = await Promise.all([transaction.get(jobRef), transaction.get(quoteRef)]);
+
+    if (!jobSnap.exists) {
+      throw new Error('Job request not found');
+    }
+    const job = jobSnap.data();
+    if (job.userId !== userId) {
+      throw new Error('Only the client who posted this job can accept quotes');
+    }
+    if (job.status !== 'open') {
+      throw new Error(`This job request is already ${job.status}`);
+    }
+    if (!quoteSnap.exists || quoteSnap.data().status !== 'submitted') {
+      throw new Error('This quote is no longer available');
+    }
+    const acceptedQuote = quoteSnap.data();
+
+    const collectionName = PROJECT_COLLECTIONS[job.projectType];
+    if (!collectionName) {
+      throw new Error(`Unknown project type: ${job.projectType}`);
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const projectRef = db.collection(collectionName).doc();
+    transaction.set(projectRef, {
+      clientId: job.userId,
+      userId: job.userId,
+      providerId: acceptedQuote.providerId,
+      providerProfileId: acceptedQuote.providerProfileId || null,
+      propertyId: null,
+      details: job.description,
+      description: job.description,
+      location: job.location || null,
+      budget: acceptedQuote.total,
+      timeline: acceptedQuote.timeline,
+      jobRequestId,
+      quote: {
+        id: quoteSnap.id,
+        lineItems: acceptedQuote.lineItems || [],
+        total: acceptedQuote.total,
+        notes: acceptedQuote.notes || '',
+      },
+      status: 'Pending',
+      createdAt: now,
+      updatedAt: now,
+    });
+    transaction.set(projectRef.collection('projectUpdates').doc(), {
+      projectId: projectRef.id,
+      status: 'Pending',
+      updatedBy: userId,
+      note: `Quote from ${acceptedQuote.providerName || 'provider'} accepted`,
+      createdAt: now,
+    });
+    transaction.update(jobRef, {
+      status: 'awarded',
+      acceptedQuoteId: quoteSnap.id,
+      projectId: projectRef.id,
+      updatedAt: now,
+    });
+    transaction.update(quoteRef, {status: 'accepted', updatedAt: now});
+
+    return {projectId: projectRef.id, jobRequest: job, quote: acceptedQuote};
+  });
+
+  // Decline the remaining quotes; the award above is already committed
+  const otherQuotes = await jobRef.collection('quotes').where('status', '==', 'submitted').get();
+  const batch = db.batch();
+  otherQuotes.docs.forEach((doc) => {
+    batch.update(doc.ref, {status: 'declined', updatedAt: admin.firestore.FieldValue.serverTimestamp()});
+  });
+  await batch.commit();
+
+  return {
+    projectId,
+    jobRequest,
+    quote,
+    declinedProviderIds: otherQuotes.docs.map((doc) => doc.data().providerId),
+  };
+}
+
+module.exports = {
+  acceptQuote,
+};
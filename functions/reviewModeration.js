@@ -0,0 +1,165 @@
+/**
+ * Review moderation
+ *
+ * Reviews are hidden pending moderation (moderationStatus 'pending') when users report them
+ * REPORT_THRESHOLD times, or when their comment trips the profanity / contact-info filter. Admins
+ * work through the queue with moderateReview: approve (visible again, reports reset), hide or
+ * delete, always with a reason the author is told about. Reports are stored one per user in
+ * reviews/{reviewId}/reports/{reporterId}.
+ *
+ * REPORT_REASONS and the visibility check are mirrored in src/utils/reviewModeration.js; keep them in sync.
+ */
+
+const admin = require('firebase-admin');
+
+const REPORT_REASONS = ['spam', 'abuse', 'conflictOfInterest'];
+
+const REPORT_THRESHOLD = 3;
+
+const MODERATION_ACTIONS = ['approve', 'hide', 'delete'];
+
+// Statuses that keep a review off the public list and out of the rating summary
+const HIDDEN_STATUSES = ['pending', 'hidden'];
+
+// Insults and swear words only; harsh but fair criticism ("a scam", "terrible") stays visible
+const PROFANITY = [
+  'asshole', 'bastard', 'bitch', 'bullshit', 'dick', 'fuck', 'fucking', 'idiot', 'moron',
+  'motherfucker', 'piss', 'shit', 'slut', 'whore',
+];
+
+const PROFANITY_PATTERN = new RegExp(`\\b(${PROFANITY.join('|')})\\b`, 'i');
+
+const CONTACT_PATTERNS = [
+  /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i, // email
+  /(\+?\d[\d\s().-]{8,}\d)/, // phone number, 10+ digits with separators
+  /(https?:\/\/|www\.)\S+/i, // link
+  /\b(whatsapp|telegram|wa\.me)\b/i,
+];
+
+/**
+ * Whether a review is shown publicly and counted in the rating summary
+ * @param {Object} review - Review data
+ * @return {boolean}
+ */
+function isReviewVisible(review) {
+  return !HIDDEN_STATUSES.includes(review.moderationStatus);
+}
+
+/**
+ * Run the automatic content filter on a review comment
+ * @param {string} text - Review comment
+ * @return {Array<string>} - Flags: 'profanity', 'contactInfo' (empty when clean)
+ */
+function checkReviewContent(text) {
+  const comment = String(text || '');
+  const flags = [];
+  if (PROFANITY_PATTERN.test(comment)) {
+    flags.push('profanity');
+  }
+  if (CONTACT_PATTERNS.some((pattern) => pattern.test(comment))) {
+    flags.push('contactInfo');
+  }
+  return flags;
+}
+
+/**
+ * Hide a review pending moderation
+ * @param {FirebaseFirestore.DocumentReference} reviewRef - Review document
+ * @param {Array<string>} flags - Why: 'reports', 'profanity', 'contactInfo'
+ * @return {Promise<void>}
+ */
+async function flagReview(reviewRef, flags) {
+  await reviewRef.update({
+    moderationStatus: 'pending',
+    moderationFlags: admin.firestore.FieldValue.arrayUnion(...flags),
+    flaggedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+}
+
+/**
+ * Count a new report on a review and hide it once it reaches REPORT_THRESHOLD
+ * @param {string} reviewId - Review document ID
+ * @return {Promise<{reportCount: number, flagged: boolean}>}
+ */
+async function recordReport(reviewId) {
+  const db = admin.firestore();
+  const reviewRef = db.collection('reviews').doc(reviewId);
+
+  return db.runTransaction(async (transaction) => {
+    const reviewSnap = await transaction.get(reviewRef);
+    if (!reviewSnap.exists) {
+      return {reportCount: 0, flagged: false};
+    }
+
+    const review = reviewSnap.data();
+    const reportCount = (review.reportCount || 0) + 1;
+    const flagged = reportCount >= REPORT_THRESHOLD && isReviewVisible(review);
+    const updates = {reportCount};
+    if (flagged) {
+      updates.moderationStatus = 'pending';
+      updates.moderationFlags = admin.firestore.FieldValue.arrayUnion('reports');
+      updates.flaggedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(reviewRef, updates);
+    return {reportCount, flagged};
+  });
+}
+
+/**
+ * Apply an admin decision to a review
+ * @param {string} adminId - Admin user ID
+ * @param {Object} data - {reviewId, action: 'approve' | 'hide' | 'delete', reason}
+ * @return {Promise<{review: Object, action: string, reason: string}>}
+ */
+async function moderateReview(adminId, data) {
+  const action = data.action;
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw new Error('Action must be approve, hide or delete');
+  }
+  const reason = String(data.reason || '').trim();
+  if (action !== 'approve' && !reason) {
+    throw new Error('Give a reason for hiding or deleting the review');
+  }
+
+  const db = admin.firestore();
+  const reviewRef = db.collection('reviews').doc(String(data.reviewId || ''));
+  const reviewSnap = await reviewRef.get();
+  if (!reviewSnap.exists) {
+    throw new Error('Review not found');
+  }
+  const review = {id: reviewSnap.id, ...reviewSnap.data()};
+
+  if (action === 'delete') {
+    // Also removes the reports and edit history subcollections
+    await db.recursiveDelete(reviewRef);
+  } else {
+    const updates = {
+      moderationStatus: action === 'approve' ? 'approved' : 'hidden',
+      moderation: {
+        action,
+        reason,
+        moderatedBy: adminId,
+        moderatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      },
+    };
+    if (action === 'approve') {
+      // Reports so far were reviewed; new ones count towards the threshold again
+      updates.reportCount = 0;
+      updates.moderationFlags = [];
+    }
+    await reviewRef.update(updates);
+  }
+
+  return {review, action, reason};
+}
+
+module.exports = {
+  MODERATION_ACTIONS,
+  REPORT_REASONS,
+  REPORT_THRESHOLD,
+  checkReviewContent,
+  flagReview,
+  isReviewVisible,
+  moderateReview,
+  recordReport,
+};
@@ -0,0 +1,138 @@
+/**
+ * Review summaries
+ *
+ * Recomputes the rating aggregates of a reviewed provider or property whenever one of its reviews
+ * is created, edited, moderated or deleted: overall average, a 1-5 star histogram and the average
+ * of each rating category. Reviews hidden by moderation are left out. The full summary is stored
+ * in reviewSummaries/{targetType}_{targetId} (read by src/components/reviews/RatingSummary.jsx);
+ * averageRating and totalReviews are also copied to the provider or property document for listings.
+ *
+ * RATING_CATEGORIES is the server copy of src/utils/reviewRatings.js; keep the two in sync.
+ */
+
+const admin = require('firebase-admin');
+const {isReviewVisible} = require('./reviewModeration');
+
+const RATING_CATEGORIES = {
+  provider: ['quality', 'timeliness', 'communication', 'value'],
+  property: ['accuracy', 'cleanliness', 'location'],
+};
+
+const SUMMARY_COLLECTION = 'reviewSummaries';
+
+// Provider profiles live in serviceProviders, the listing collections constructionProviders /
+// renovators, or (older ones) renovationProviders
+const TARGET_COLLECTIONS = {
+  provider: ['serviceProviders', 'constructionProviders', 'renovators', 'renovationProviders'],
+  property: ['properties'],
+};
+
+/**
+ * Normalize a review target type; reviews of providers were once stored as 'construction'/'renovation'
+ * @param {string} targetType - Stored target type
+ * @return {string} - 'provider' or 'property'
+ */
+function normalizeTargetType(targetType) {
+  return targetType === 'construction' || targetType === 'renovation' ? 'provider' : targetType;
+}
+
+/**
+ * Round to one decimal
+ * @param {number} value - Value
+ * @return {number}
+ */
+function roundRating(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Aggregate a target's reviews
+ * @param {Array<Object>} reviews - Review documents of one target
+ * @param {string} targetType - 'provider' or 'property'
+ * @return {Object} - {count, average, histogram: {1..5: n}, categories: {[id]: {average, count}}}
+ */
+function summarizeReviews(reviews, targetType) {
+  const histogram = {1: 0, 2: 0, 3: 0, 4: 0, 5: 0};
+  const categoryTotals = {};
+  (RATING_CATEGORIES[targetType] || []).forEach((category) => {
+    categoryTotals[category] = {sum: 0, count: 0};
+  });
+
+  let sum = 0;
+  let count = 0;
+  reviews.forEach((review) => {
+    const rating = Number(review.rating);
+    if (rating >= 1 && rating <= 5) {
+      histogram[Math.round(rating)] += 1;
+      sum += rating;
+      count += 1;
+    }
+
+    const categoryRatings = review.categoryRatings || {};
+    Object.keys(categoryTotals).forEach((category) => {
+      const value = Number(categoryRatings[category]);
+      if (value >= 1 && value <= 5) {
+        categoryTotals[category].sum += value;
+        categoryTotals[category].count += 1;
+      }
+    });
+  });
+
+  const categories = {};
+  Object.keys(categoryTotals).forEach((category) => {
+    const total = categoryTotals[category];
+    categories[category] = {
+      average: total.count > 0 ? roundRating(total.sum / total.count) : 0,
+      count: total.count,
+    };
+  });
+
+  return {
+    count,
+    average: count > 0 ? roundRating(sum / count) : 0,
+    histogram,
+    categories,
+  };
+}
+
+/**
+ * Recompute and store the review summary of a target
+ * @param {string} targetId - Provider or property ID
+ * @param {string} storedTargetType - targetType as stored on the review
+ * @return {Promise<Object>} - The summary
+ */
+async function recomputeReviewSummary(targetId, storedTargetType) {
+  const db = admin.firestore();
+  const targetType = normalizeTargetType(storedTargetType);
+
+  const snapshot = await db.collection('reviews').where('targetId', '==', targetId).get();
+  const reviews = snapshot.docs
+      .map((doc) => doc.data())
+      .filter((review) => normalizeTargetType(review.targetType) === targetType && isReviewVisible(review));
+  const summary = summarizeReviews(reviews, targetType);
+
+  await db.collection(SUMMARY_COLLECTION).doc(`${targetType}_${targetId}`).set({
+    targetId,
+    targetType,
+    ...summary,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+  });
+
+  // Copy the headline numbers to the provider/property document, wherever it lives
+  const refs = (TARGET_COLLECTIONS[targetType] || []).map((name) => db.collection(name).doc(targetId));
+  const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+  await Promise.all(docs.filter((doc) => doc.exists).map((doc) => doc.ref.update({
+    averageRating: summary.average,
+    totalReviews: summary.count,
+  })));
+
+  return summary;
+}
+
+module.exports = {
+  RATING_CATEGORIES,
+  SUMMARY_COLLECTION,
+  normalizeTargetType,
+  recomputeReviewSummary,
+  summarizeReviews,
+};
@@ -0,0 +1,74 @@
+/**
+ * Saved search matching
+ *
+ * Decides whether a newly published property satisfies a user's saved search. Mirrors the
+ * browse filters in src/services/propertyService.js (equality on listing type/city, ranges on price
+ * and rooms) and matches keywords against the property's search tokens. Like the browse filters, the
+ * listing type is listingType, falling back to type on older listings.
+ */
+
+const {buildPropertySearchIndex, toCityKey, tokenize} = require('./searchIndex');
+
+/**
+ * Whether every keyword in the saved search appears in the property (exact or prefix match)
+ * @param {Array<string>} propertyTokens - searchTokens of the property
+ * @param {string} keywords - Saved search keywords
+ * @return {boolean}
+ */
+function matchesKeywords(propertyTokens, keywords) {
+  const queryTokens = tokenize(keywords);
+  return queryTokens.every((queryToken) =>
+    propertyTokens.some((token) => token === queryToken || (queryToken.length >= 3 && token.startsWith(queryToken))),
+  );
+}
+
+/**
+ * Check a property against a saved search's filters
+ * @param {Object} property - Property document data
+ * @param {Object} savedSearch - Saved search document data
+ * @return {boolean}
+ */
+function matchesSavedSearch(property, savedSearch) {
+  const filters = savedSearch.filters || {};
+  const isSet = (value) => value !== null && value !== undefined && value !== '';
+
+  const listingType = String(property.listingType || property.type || '').toLowerCase();
+  if (filters.type && listingType !== filters.type) return false;
+
+  const savedCityKey = toCityKey(filters.city);
+  const propertyCityKey = property.cityKey || toCityKey(property.address && property.address.city);
+  if (savedCityKey && propertyCityKey !== savedCityKey) return false;
+
+  const price = Number(property.price) || 0;
+  if (isSet(filters.minPrice) && price < filters.minPrice) return false;
+  if (isSet(filters.maxPrice) && price > filters.maxPrice) return false;
+  if (isSet(filters.bedrooms) && (property.bedrooms || 0) < filters.bedrooms) return false;
+  if (isSet(filters.bathrooms) && (property.bathrooms || 0) < filters.bathrooms) return false;
+  if (isSet(filters.furnished) && Boolean(property.furnished) !== filters.furnished) return false;
+  if (isSet(filters.parking) && Boolean(property.parking) !== filters.parking) return false;
+
+  if (filters.keywords) {
+    const propertyTokens = Array.isArray(property.searchTokens) ?
+      property.searchTokens :
+      buildPropertySearchIndex(property).searchTokens;
+    if (!matchesKeywords(propertyTokens, filters.keywords)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Whether a property write is the moment it became publicly visible
+ * @param {Object|null} before - Property data before the write (null on create)
+ * @param {Object|null} after - Property data after the write (null on delete)
+ * @return {boolean}
+ */
+function isNewlyPublished(before, after) {
+  if (!after || after.status !== 'published') return false;
+  return !before || before.status !== 'published';
+}
+
+module.exports = {
+  isNewlyPublished,
+  matchesSavedSearch,
+};
@@ -0,0 +1,122 @@
+/**
+ * Property search index builder
+ *
+ * Produces the `searchTokens` / `searchGrams` arrays stored on property documents and queried by
+ * propertyService.search. Normalization must match src/utils/searchIndex.js - keep both in sync
+ * and bump SEARCH_INDEX_VERSION in both when the rules change.
+ */
+
+const SEARCH_INDEX_VERSION = 1;
+
+// Bounds the number of index entries a single long description can add to a document
+const MAX_INDEX_GRAMS = 400;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'near', 'of', 'on', 'or', 'the', 'to', 'with',
+]);
+
+function normalizeSearchText(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+}
+
+function stemToken(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+}
+
+function tokenize(text) {
+  return normalizeSearchText(text)
+      .split(' ')
+      .filter((token) => token && !STOP_WORDS.has(token))
+      .map(stemToken);
+}
+
+function tokenGrams(token) {
+  if (token.length <= 3) return [token];
+  const grams = [];
+  for (let i = 0; i <= token.length - 3; i += 1) {
+    grams.push(token.slice(i, i + 3));
+  }
+  return grams;
+}
+
+/**
+ * Lowercased city key used by equality filters in propertyService.getPage
+ * @param {string} city - City name
+ * @return {string|null}
+ */
+function toCityKey(city) {
+  if (typeof city !== 'string' || !city.trim()) return null;
+  return city.trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/**
+ * Build the search fields for a property document
+ * Tokens from title/city/address/type/amenities are always indexed; description tokens fill the
+ * remaining gram budget.
+ * @param {Object} property - Property document data
+ * @return {{searchTokens: Array<string>, searchGrams: Array<string>, searchIndexVersion: number,
+ *   cityKey: (string|null)}}
+ */
+function buildPropertySearchIndex(property) {
+  const address = property.address && typeof property.address === 'object' ? property.address : {};
+  const primaryText = [
+    property.title,
+    address.city || property.city,
+    address.line1,
+    address.line2,
+    address.state,
+    property.type,
+    property.listingType,
+    property.category,
+    Array.isArray(property.amenities) ? property.amenities.join(' ') : '',
+  ].filter(Boolean).join(' ');
+
+  const tokens = new Set(tokenize(primaryText));
+  const grams = new Set();
+  tokens.forEach((token) => tokenGrams(token).forEach((gram) => grams.add(gram)));
+
+  for (const token of tokenize(property.description)) {
+    const tokenGramList = tokenGrams(token);
+    if (grams.size + tokenGramList.length > MAX_INDEX_GRAMS) break;
+    tokens.add(token);
+    tokenGramList.forEach((gram) => grams.add(gram));
+  }
+
+  return {
+    searchTokens: [...tokens].sort(),
+    searchGrams: [...grams].sort(),
+    searchIndexVersion: SEARCH_INDEX_VERSION,
+    cityKey: toCityKey(address.city || property.city),
+  };
+}
+
+/**
+ * Whether the stored index fields already match the freshly built ones
+ * @param {Object} property - Property document data
+ * @param {Object} index - Output of buildPropertySearchIndex
+ * @return {boolean}
+ */
+function isSearchIndexCurrent(property, index) {
+  const sameArray = (a, b) => Array.isArray(a) && a.length === b.length && a.every((v, i) => v === b[i]);
+  return property.searchIndexVersion === index.searchIndexVersion &&
+    (property.cityKey || null) === index.cityKey &&
+    sameArray(property.searchTokens, index.searchTokens) &&
+    sameArray(property.searchGrams, index.searchGrams);
+}
+
+module.exports = {
+  SEARCH_INDEX_VERSION,
+  buildPropertySearchIndex,
+  isSearchIndexCurrent,
+  normalizeSearchText,
+  toCityKey,
+  tokenize,
+};
@@ -0,0 +1,271 @@
+/**
+ * Wallet ledger helpers (server side)
+ *
+ * `wallets/{userId}` holds the balance and `walletLedger` holds an append-only entry per change, written
+ * in the same transaction. Only these functions write either collection (the rules make both read-only
+ * for clients). Debit, refund and top-up entries are keyed by transaction ID (`debit_<id>`,
+ * `refund_<id>`, `topup_<id>`) and dispute refunds by dispute ID (`dispute_<id>`), so re-applying the
+ * same payment or resolution is a no-op.
+ */
+
+const admin = require('firebase-admin');
+
+const roundAmount = (value) => Math.round(Number(value) * 100) / 100;
+
+/**
+ * Refund one wallet debit back to its owner
+ * @param {FirebaseFirestore.DocumentSnapshot} debitSnap - Debit ledger entry
+ * @param {string} description - Description for the refund entry
+ * @return {Promise<number>} - Amount refunded (0 if it was already refunded)
+ */
+async function refundDebit(debitSnap, description) {
+  const db = admin.firestore();
+  const debit = debitSnap.data();
+  const walletRef = db.collection('wallets').doc(debit.userId);
+  const refundRef = db.collection('walletLedger').doc(`refund_${debit.transactionId}`);
+
+  return db.runTransaction(async (transaction) => {
+    const [walletSnap, refundSnap] = await Promise.all([
+      transaction.get(walletRef),
+      transaction.get(refundRef),
+    ]);
+
+    if (refundSnap.exists) {
+      return 0;
+    }
+
+    const balance = walletSnap.exists ? walletSnap.data().balance || 0 : 0;
+    const balanceAfter = roundAmount(balance + debit.amount);
+
+    transaction.set(refundRef, {
+      userId: debit.userId,
+      type: 'credit',
+      reason: 'refund',
+      amount: debit.amount,
+      transactionId: debit.transactionId,
+      targetType: debit.targetType,
+      targetId: debit.targetId,
+      description,
+      balanceAfter,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.set(walletRef, {
+      userId: debit.userId,
+      balance: balanceAfter,
+      lastEntryId: refundRef.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    if (debit.transactionId) {
+      transaction.set(db.collection('transactions').doc(debit.transactionId), {
+        status: 'refunded',
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      }, {merge: true});
+    }
+
+    return debit.amount;
+  });
+}
+
+/**
+ * Refund every wallet payment made for a target (e.g. a rental request)
+ * @param {string} targetType - Target type recorded on the debit ('rental', ...)
+ * @param {string} targetId - Target document ID
+ * @param {string} description - Description for the refund entries
+ * @return {Promise<{userId: (string|null), amount: number}>} - Total refunded and to whom
+ */
+async function refundTargetPayments(targetType, targetId, description) {
+  const debitsSnapshot = await admin.firestore().collection('walletLedger')
+      .where('targetType', '==', targetType)
+      .where('targetId', '==', targetId)
+      .where('type', '==', 'debit')
+      .get();
+
+  let amount = 0;
+  for (const debitSnap of debitsSnapshot.docs) {
+    amount += await refundDebit(debitSnap, description);
+  }
+
+  return {
+    userId: debitsSnapshot.empty ? null : debitsSnapshot.docs[0].data().userId,
+    amount: roundAmount(amount),
+  };
+}
+
+/**
+ * Credit a settled top-up transaction to the user's wallet
+ * @param {string} userId - Wallet owner
+ * @param {number} amount - Amount paid through the gateway
+ * @param {string} transactionId - Successful top-up transaction
+ * @return {Promise<number>} - Amount credited (0 if this transaction was already credited)
+ */
+async function creditTopUp(userId, amount, transactionId) {
+  const db = admin.firestore();
+  const walletRef = db.collection('wallets').doc(userId);
+  const entryRef = db.collection('walletLedger').doc(`topup_${transactionId}`);
+  const credit = roundAmount(amount);
+
+  return db.runTransaction(async (transaction) => {
+    const [walletSnap, entrySnap] = await Promise.all([
+      transaction.get(walletRef),
+      transaction.get(entryRef),
+    ]);
+
+    if (entrySnap.exists) {
+      return 0;
+    }
+
+    const balance = walletSnap.exists ? walletSnap.data().balance || 0 : 0;
+    const balanceAfter = roundAmount(balance + credit);
+
+    transaction.set(entryRef, {
+      userId,
+      type: 'credit',
+      reason: 'topup',
+      amount: credit,
+      transactionId,
+      targetType: 'wallet',
+      targetId: userId,
+      description: 'Wallet top-up',
+      balanceAfter,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.set(walletRef, {
+      userId,
+      balance: balanceAfter,
+      lastEntryId: entryRef.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    return credit;
+  });
+}
+
+/**
+ * Credit a dispute refund to the client's wallet
+ * @param {string} userId - Wallet owner (the disputing client)
+ * @param {number} amount - Refund decided by the admin
+ * @param {Object} dispute - {id, targetType, targetId}
+ * @return {Promise<number>} - Amount credited (0 if this dispute was already refunded)
+ */
+async function creditDisputeRefund(userId, amount, dispute) {
+  const db = admin.firestore();
+  const walletRef = db.collection('wallets').doc(userId);
+  const entryRef = db.collection('walletLedger').doc(`dispute_${dispute.id}`);
+  const credit = roundAmount(amount);
+
+  return db.runTransaction(async (transaction) => {
+    const [walletSnap, entrySnap] = await Promise.all([
+      transaction.get(walletRef),
+      transaction.get(entryRef),
+    ]);
+
+    if (entrySnap.exists || credit <= 0) {
+      return 0;
+    }
+
+    const balance = walletSnap.exists ? walletSnap.data().balance || 0 : 0;
+    const balanceAfter = roundAmount(balance + credit);
+
+    transaction.set(entryRef, {
+      userId,
+      type: 'credit',
+      reason: 'dispute_refund',
+      amount: credit,
+      disputeId: dispute.id,
+      targetType: dispute.targetType,
+      targetId: dispute.targetId,
+      description: 'Dispute resolution refund',
+      balanceAfter,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    transaction.set(walletRef, {
+      userId,
+      balance: balanceAfter,
+      lastEntryId: entryRef.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+
+    return credit;
+  });
+}
+
+/**
+ * Pay a pending wallet transaction from the owner's wallet
+ * The amount, target and owner come from the transaction document, never from the client. The debit,
+ * the new balance and the transaction's `success` status are written in one transaction.
+ * @param {string} userId - Caller, who must own the transaction
+ * @param {string} transactionId - Pending transaction with paymentMethod 'wallet'
+ * @param {string} description - Description for the ledger entry
+ * @return {Promise<Object>} - The ledger entry
+ */
+async function debitWalletPayment(userId, transactionId, description) {
+  const db = admin.firestore();
+  const walletRef = db.collection('wallets').doc(userId);
+  const entryRef = db.collection('walletLedger').doc(`debit_${transactionId}`);
+  const transactionRef = db.collection('transactions').doc(transactionId);
+
+  return db.runTransaction(async (transaction) => {
+    const [walletSnap, entrySnap, paymentSnap] = await Promise.all([
+      transaction.get(walletRef),
+      transaction.get(entryRef),
+      transaction.get(transactionRef),
+    ]);
+
+    if (!paymentSnap.exists || paymentSnap.data().userId !== userId) {
+      throw new Error('Payment not found');
+    }
+    const payment = paymentSnap.data();
+    if (payment.paymentMethod !== 'wallet') {
+      throw new Error('This payment is not a wallet payment');
+    }
+    if (entrySnap.exists || payment.status !== 'pending') {
+      throw new Error('This payment has already been applied to the wallet');
+    }
+
+    const amount = roundAmount(payment.amount);
+    if (!amount || amount <= 0) {
+      throw new Error('Amount must be greater than 0');
+    }
+    const balance = walletSnap.exists ? walletSnap.data().balance || 0 : 0;
+    const balanceAfter = roundAmount(balance - amount);
+    if (balanceAfter < 0) {
+      throw new Error('Insufficient wallet balance');
+    }
+
+    const entry = {
+      userId,
+      type: 'debit',
+      reason: 'payment',
+      amount,
+      transactionId,
+      targetType: payment.targetType,
+      targetId: payment.targetId,
+      description: description || `Payment for ${payment.targetType}`,
+      balanceAfter,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    transaction.set(entryRef, entry);
+    transaction.set(walletRef, {
+      userId,
+      balance: balanceAfter,
+      lastEntryId: entryRef.id,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    }, {merge: true});
+    transaction.update(transactionRef, {
+      status: 'success',
+      paidAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+
+    return {id: entryRef.id, ...entry};
+  });
+}
+
+module.exports = {
+  creditDisputeRefund,
+  creditTopUp,
+  debitWalletPayment,
+  refundTargetPayments,
+};
@@ -0,0 +1,46 @@
+/* global importScripts, firebase, clients */
+/**
+ * Firebase Cloud Messaging service worker
+ *
+ * Registered by src/services/pushService.js with the Firebase config in the query string (a service
+ * worker cannot read Vite env vars). Pushes are data-only messages sent by the onNotificationCreated
+ * function: { title, body, link, notificationId, category }. Clicking one focuses an open Aptify tab
+ * and navigates it to the link, or opens a new tab.
+ */
+
+// Registered before the Firebase scripts so this handler runs first
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.link || '/', self.location.origin).href;
+
+  event.waitUntil(
+    clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      const existing = windows.find((client) => client.url.startsWith(self.location.origin));
+      if (existing) {
+        return existing.focus().then((client) => client.navigate(url)).catch(() => clients.openWindow(url));
+      }
+      return clients.openWindow(url);
+    })
+  );
+});
+
+importScripts('https://www.gstatic.com/firebasejs/10.14.1/firebase-app-compat.js');
+importScripts('https://www.gstatic.com/firebasejs/10.14.1/firebase-messaging-compat.js');
+
+const params = new URL(self.location.href).searchParams;
+firebase.initializeApp({
+  apiKey: params.get('apiKey'),
+  projectId: params.get('projectId'),
+  messagingSenderId: params.get('messagingSenderId'),
+  appId: params.get('appId'),
+});
+
+firebase.messaging().onBackgroundMessage((payload) => {
+  const { title, body, link, notificationId } = payload.data || {};
+  return self.registration.showNotification(title || 'Aptify', {
+    body: body || '',
+    icon: '/favicon.ico',
+    tag: notificationId || undefined,
+    data: { link: link || '/' },
+  });
+});
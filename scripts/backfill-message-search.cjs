@@ -0,0 +1,80 @@
+/**
+ * Script to build the search index field on existing chat messages
+ *
+ * New and edited messages are indexed by the onChatMessageWritten Cloud Function. Run this once
+ * after deploying it so older messages show up in chat search.
+ *
+ * Usage:
+ * 1. Install Firebase Admin SDK: npm install firebase-admin
+ * 2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ * 3. Run: node scripts/backfill-message-search.cjs
+ */
+
+const admin = require('firebase-admin');
+const { buildMessageSearchPrefixes, isMessageSearchIndexCurrent } = require('../functions/messageSearch');
+
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.applicationDefault(),
+    });
+  } catch (error) {
+    console.error('Failed to initialize Firebase Admin:', error);
+    console.error('Please set GOOGLE_APPLICATION_CREDENTIALS environment variable');
+    process.exit(1);
+  }
+}
+
+const BATCH_SIZE = 400;
+
+/**
+ * Rebuild searchPrefixes for every message of every user chat that is out of date
+ */
+async function backfillMessageSearch() {
+  const db = admin.firestore();
+  const chats = await db.collection('chats').get();
+
+  let batch = db.batch();
+  let pending = 0;
+  let updated = 0;
+  let total = 0;
+
+  for (const chat of chats.docs) {
+    const messages = await chat.ref.collection('messages').get();
+    total += messages.size;
+
+    for (const doc of messages.docs) {
+      const message = doc.data();
+      const prefixes = message.deleted ? [] : buildMessageSearchPrefixes(message.text);
+      if (isMessageSearchIndexCurrent(message, prefixes)) continue;
+
+      batch.update(doc.ref, { searchPrefixes: prefixes });
+      pending += 1;
+      updated += 1;
+
+      if (pending === BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        pending = 0;
+      }
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  console.log(`✅ Search index updated for ${updated} of ${total} messages in ${chats.size} chats`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillMessageSearch()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Error backfilling message search index:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillMessageSearch };
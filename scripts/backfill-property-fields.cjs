@@ -0,0 +1,101 @@
+/**
+ * Script to fill in the fields the property browse queries filter and sort on
+ *
+ * propertyService.getPage filters with Firestore equality filters on status, listingType and
+ * cityKey and sorts on createdAt, so listings missing any of them never match. Older listings can
+ * have no status (treated as published), no or mixed-case listingType (the type is used instead),
+ * no cityKey or no createdAt. Run this once, then set VITE_PROPERTY_FIELDS_BACKFILLED=true for the
+ * app build so the browse pages stop applying those filters client-side.
+ *
+ * Usage:
+ * 1. Install Firebase Admin SDK: npm install firebase-admin
+ * 2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ * 3. Run: node scripts/backfill-property-fields.cjs
+ */
+
+const admin = require('firebase-admin');
+const { toCityKey } = require('../functions/searchIndex');
+
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.applicationDefault(),
+    });
+  } catch (error) {
+    console.error('Failed to initialize Firebase Admin:', error);
+    console.error('Please set GOOGLE_APPLICATION_CREDENTIALS environment variable');
+    process.exit(1);
+  }
+}
+
+const BATCH_SIZE = 400;
+
+/**
+ * Missing or outdated browse fields of a property, with the same rules the legacy client-side
+ * filters used
+ * @param {FirebaseFirestore.DocumentSnapshot} doc - Property document
+ * @returns {Object} - Fields to update (empty when the document is up to date)
+ */
+function getMissingFields(doc) {
+  const data = doc.data();
+  const updates = {};
+
+  if (!data.status) updates.status = 'published';
+
+  const listingType = String(data.listingType || data.type || '').toLowerCase();
+  if (listingType && data.listingType !== listingType) updates.listingType = listingType;
+
+  const address = data.address && typeof data.address === 'object' ? data.address : {};
+  const cityKey = toCityKey(address.city || data.city);
+  if ((data.cityKey || null) !== cityKey) updates.cityKey = cityKey;
+
+  if (!data.createdAt) updates.createdAt = data.updatedAt || doc.createTime;
+
+  return updates;
+}
+
+/**
+ * Set status, listingType, cityKey and createdAt on every property missing them
+ */
+async function backfillPropertyFields() {
+  const db = admin.firestore();
+  const snapshot = await db.collection('properties').get();
+
+  let batch = db.batch();
+  let pending = 0;
+  let updated = 0;
+
+  for (const doc of snapshot.docs) {
+    const updates = getMissingFields(doc);
+    if (Object.keys(updates).length === 0) continue;
+
+    batch.update(doc.ref, updates);
+    pending += 1;
+    updated += 1;
+
+    if (pending === BATCH_SIZE) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  console.log(`✅ Browse fields updated for ${updated} of ${snapshot.size} properties`);
+  console.log('   Set VITE_PROPERTY_FIELDS_BACKFILLED=true and rebuild the app');
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillPropertyFields()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Error backfilling property fields:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillPropertyFields };
@@ -0,0 +1,73 @@
+/**
+ * Script to set moderationStatus on existing reviews
+ *
+ * Reviews held for moderation can only be read by their author and admins, so public review
+ * queries filter on moderationStatus in ['visible', 'approved']. Reviews written before new reviews
+ * were created with moderationStatus 'visible' have no status and drop out of those queries. Run
+ * this once after deploying the rules to mark them 'visible'.
+ *
+ * Usage:
+ * 1. Install Firebase Admin SDK: npm install firebase-admin
+ * 2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ * 3. Run: node scripts/backfill-review-moderation.cjs
+ */
+
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.applicationDefault(),
+    });
+  } catch (error) {
+    console.error('Failed to initialize Firebase Admin:', error);
+    console.error('Please set GOOGLE_APPLICATION_CREDENTIALS environment variable');
+    process.exit(1);
+  }
+}
+
+const BATCH_SIZE = 400;
+
+/**
+ * Mark every review without a moderationStatus as 'visible'
+ */
+async function backfillReviewModeration() {
+  const db = admin.firestore();
+  const snapshot = await db.collection('reviews').get();
+
+  let batch = db.batch();
+  let pending = 0;
+  let updated = 0;
+
+  for (const doc of snapshot.docs) {
+    if (doc.data().moderationStatus) continue;
+
+    batch.update(doc.ref, { moderationStatus: 'visible' });
+    pending += 1;
+    updated += 1;
+
+    if (pending === BATCH_SIZE) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  console.log(`✅ moderationStatus set on ${updated} of ${snapshot.size} reviews`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillReviewModeration()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Error backfilling review moderation status:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillReviewModeration };
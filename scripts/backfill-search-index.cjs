@@ -0,0 +1,73 @@
+/**
+ * Script to build the search index fields on existing properties
+ *
+ * New and edited properties are indexed by the onPropertyWritten Cloud Function. Run this once
+ * after deploying it (or after bumping SEARCH_INDEX_VERSION) so older listings become searchable.
+ *
+ * Usage:
+ * 1. Install Firebase Admin SDK: npm install firebase-admin
+ * 2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ * 3. Run: node scripts/backfill-search-index.cjs
+ */
+
+const admin = require('firebase-admin');
+const { buildPropertySearchIndex, isSearchIndexCurrent } = require('../functions/searchIndex');
+
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.applicationDefault(),
+    });
+  } catch (error) {
+    console.error('Failed to initialize Firebase Admin:', error);
+    console.error('Please set GOOGLE_APPLICATION_CREDENTIALS environment variable');
+    process.exit(1);
+  }
+}
+
+const BATCH_SIZE = 400;
+
+/**
+ * Rebuild searchTokens/searchGrams/cityKey for every property that is out of date
+ */
+async function backfillSearchIndex() {
+  const db = admin.firestore();
+  const snapshot = await db.collection('properties').get();
+
+  let batch = db.batch();
+  let pending = 0;
+  let updated = 0;
+
+  for (const doc of snapshot.docs) {
+    const index = buildPropertySearchIndex(doc.data());
+    if (isSearchIndexCurrent(doc.data(), index)) continue;
+
+    batch.update(doc.ref, index);
+    pending += 1;
+    updated += 1;
+
+    if (pending === BATCH_SIZE) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  console.log(`✅ Search index updated for ${updated} of ${snapshot.size} properties`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  backfillSearchIndex()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Error backfilling search index:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillSearchIndex };
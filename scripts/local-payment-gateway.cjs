@@ -0,0 +1,187 @@
+/**
+ * Local stand-in payment gateway for testing the payment Cloud Functions
+ *
+ * Speaks the small API used by the `local` provider in functions/paymentProviders.js and, like a
+ * real gateway, reports outcomes asynchronously by POSTing signed events to the paymentWebhook
+ * function. Intents are kept in memory, so restarting the server forgets them.
+ *
+ * Test cards: 4242 4242 4242 4242 succeeds, 4000 0000 0000 0002 is declined,
+ * 4000 0000 0000 9995 fails with insufficient funds.
+ *
+ * Usage:
+ * 1. Start the functions emulator: cd functions && npm run serve
+ * 2. Point the functions at this gateway (functions/.env or functions:config):
+ *      PAYMENT_PROVIDER=local
+ *      PAYMENT_GATEWAY_URL=http://127.0.0.1:4242
+ *      PAYMENT_WEBHOOK_SECRET=whsec_local_test
+ * 3. Run:
+ *      WEBHOOK_URL=http://127.0.0.1:5001/<project-id>/us-central1/paymentWebhook \
+ *      node scripts/local-payment-gateway.cjs
+ *
+ * Environment: PORT (default 4242), WEBHOOK_URL, WEBHOOK_SECRET (default whsec_local_test),
+ * GATEWAY_API_KEY (default sk_local_test), WEBHOOK_DELAY_MS (default 1500).
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { SIGNATURE_HEADER, evaluateTestCard, signPayload } = require('../functions/paymentProviders');
+
+const PORT = Number(process.env.PORT || 4242);
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || 'whsec_local_test';
+const API_KEY = process.env.GATEWAY_API_KEY || 'sk_local_test';
+const WEBHOOK_DELAY_MS = Number(process.env.WEBHOOK_DELAY_MS || 1500);
+const MAX_WEBHOOK_ATTEMPTS = 5;
+
+const intents = new Map();
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+
+/**
+ * Deliver a signed event to the webhook, retrying with backoff on failure
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ * @param {number} attempt - Current attempt (1-based)
+ * @param {string} eventId - Event ID, kept the same across retries
+ */
+async function sendWebhook(type, data, attempt = 1, eventId = randomId('evt')) {
+  if (!WEBHOOK_URL) {
+    console.warn(`⚠️ WEBHOOK_URL not set, dropping ${type} for ${data.intentId}`);
+    return;
+  }
+
+  const body = JSON.stringify({ id: eventId, type, data });
+  try {
+    const response = await fetch(WEBHOOK_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        [SIGNATURE_HEADER]: signPayload(body, WEBHOOK_SECRET),
+      },
+      body,
+    });
+    if (!response.ok) throw new Error(`webhook responded with ${response.status}`);
+    console.log(`📨 ${type} delivered for ${data.intentId}`);
+  } catch (error) {
+    if (attempt >= MAX_WEBHOOK_ATTEMPTS) {
+      console.error(`❌ Giving up on ${type} for ${data.intentId}:`, error.message);
+      return;
+    }
+    setTimeout(() => sendWebhook(type, data, attempt + 1, eventId), 1000 * 2 ** attempt);
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+function send(res, status, json) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(json));
+}
+
+async function handleRequest(req, res) {
+  if (req.headers.authorization !== `Bearer ${API_KEY}`) {
+    send(res, 401, { error: 'Invalid API key' });
+    return;
+  }
+
+  const [, version, resource, intentId, action] = req.url.split('?')[0].split('/');
+  if (version !== 'v1' || resource !== 'intents') {
+    send(res, 404, { error: 'Not found' });
+    return;
+  }
+
+  if (req.method === 'GET' && intentId && !action) {
+    const intent = intents.get(intentId);
+    if (!intent) return send(res, 404, { error: 'Intent not found' });
+    return send(res, 200, intent);
+  }
+
+  if (req.method !== 'POST') {
+    send(res, 405, { error: 'Method not allowed' });
+    return;
+  }
+
+  const body = await readJson(req);
+
+  // Create intent
+  if (!intentId) {
+    if (!(Number(body.amount) > 0)) return send(res, 400, { error: 'amount must be greater than 0' });
+    const intent = {
+      id: randomId('pi'),
+      client_secret: randomId('secret'),
+      amount: Number(body.amount),
+      currency: body.currency || 'PKR',
+      metadata: body.metadata || {},
+      status: 'requires_confirmation',
+      refunded: false,
+    };
+    intents.set(intent.id, intent);
+    return send(res, 200, intent);
+  }
+
+  const intent = intents.get(intentId);
+  if (!intent) return send(res, 404, { error: 'Intent not found' });
+
+  if (action === 'confirm') {
+    if (intent.status !== 'requires_confirmation') {
+      return send(res, 409, { error: `Intent is ${intent.status}` });
+    }
+    const { approved, reason } = evaluateTestCard(body.card && body.card.number);
+    intent.status = 'processing';
+    setTimeout(() => {
+      intent.status = approved ? 'succeeded' : 'failed';
+      sendWebhook(approved ? 'payment.succeeded' : 'payment.failed', {
+        intentId: intent.id,
+        failureReason: reason,
+      });
+    }, WEBHOOK_DELAY_MS);
+    return send(res, 200, intent);
+  }
+
+  if (action === 'refund') {
+    if (intent.status !== 'succeeded' || intent.refunded) {
+      return send(res, 409, { error: 'Only succeeded, unrefunded intents can be refunded' });
+    }
+    const refundId = randomId('re');
+    intent.refunded = true;
+    setTimeout(() => {
+      sendWebhook('refund.succeeded', { intentId: intent.id, refundId, amount: intent.amount });
+    }, WEBHOOK_DELAY_MS);
+    return send(res, 200, { id: refundId, status: 'pending' });
+  }
+
+  send(res, 404, { error: 'Not found' });
+}
+
+function createServer() {
+  return http.createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error('❌ Gateway error:', error);
+      send(res, 500, { error: 'Internal gateway error' });
+    });
+  });
+}
+
+// Run if called directly
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`✅ Local payment gateway listening on http://127.0.0.1:${PORT}`);
+    if (!WEBHOOK_URL) console.warn('⚠️ WEBHOOK_URL is not set; payment outcomes will not be delivered');
+  });
+}
+
+module.exports = { createServer };
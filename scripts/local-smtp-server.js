@@ -0,0 +1,129 @@
+/**
+ * Local stand-in SMTP server for testing the mailer offline
+ *
+ * Accepts every message the `local` transport in functions/mailer.js sends (plain SMTP, no TLS,
+ * no auth), prints a one-line summary and saves the raw message as an .eml file that any mail
+ * client or browser can open. Nothing is relayed anywhere. MailHog or Mailpit on port 1025 work
+ * the same way if you prefer a web inbox.
+ *
+ * Usage:
+ * 1. Point the functions at this server (functions/.env or functions:config):
+ *      MAIL_TRANSPORT=local
+ *      LOCAL_SMTP_PORT=1025
+ *      MAIL_UNSUBSCRIBE_SECRET=unsub_local_test
+ *      MAIL_UNSUBSCRIBE_URL=http://127.0.0.1:5001/<project-id>/us-central1/unsubscribe
+ * 2. Run: node scripts/local-smtp-server.js
+ * 3. Start the functions emulator: cd functions && npm run serve
+ *
+ * Environment: PORT (default 1025), MAIL_DIR (default .local-mail).
+ */
+
+import net from 'net';
+import fs from 'fs';
+import path from 'path';
+
+const PORT = Number(process.env.PORT || 1025);
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || '.local-mail');
+
+let received = 0;
+
+/**
+ * Read a header from a raw message (first occurrence, unfolded)
+ * @param {string} raw - Raw message
+ * @param {string} name - Header name
+ * @returns {string}
+ */
+function getHeader(raw, name) {
+  const headers = raw.split(/\r?\n\r?\n/)[0].replace(/\r?\n[ \t]+/g, ' ');
+  const match = headers.match(new RegExp(`^${name}:\\s*(.*)$`, 'im'));
+  return match ? match[1].trim() : '';
+}
+
+/**
+ * Save a received message and log it
+ * @param {Object} envelope - { from, to: Array<string> }
+ * @param {string} raw - Raw message with dot-stuffing removed
+ */
+function storeMessage(envelope, raw) {
+  received += 1;
+  const file = path.join(MAIL_DIR, `${Date.now()}-${received}.eml`);
+  fs.mkdirSync(MAIL_DIR, { recursive: true });
+  fs.writeFileSync(file, raw);
+  console.log(`📧 ${envelope.to.join(', ')} ← "${getHeader(raw, 'Subject')}" (${path.relative(process.cwd(), file)})`);
+}
+
+const server = net.createServer((socket) => {
+  let buffer = '';
+  let envelope = { from: null, to: [] };
+  let data = null; // Array of lines while inside DATA
+
+  const reply = (line) => socket.write(`${line}\r\n`);
+
+  const handleCommand = (line) => {
+    const [verb] = line.split(' ');
+    switch (verb.toUpperCase()) {
+      case 'EHLO':
+        reply('250-localhost');
+        reply('250 8BITMIME');
+        break;
+      case 'HELO':
+        reply('250 localhost');
+        break;
+      case 'MAIL':
+        envelope = { from: line.slice(line.indexOf(':') + 1).trim(), to: [] };
+        reply('250 OK');
+        break;
+      case 'RCPT':
+        envelope.to.push(line.slice(line.indexOf(':') + 1).trim().replace(/^<|>$/g, ''));
+        reply('250 OK');
+        break;
+      case 'DATA':
+        data = [];
+        reply('354 End data with <CR><LF>.<CR><LF>');
+        break;
+      case 'RSET':
+        envelope = { from: null, to: [] };
+        reply('250 OK');
+        break;
+      case 'NOOP':
+        reply('250 OK');
+        break;
+      case 'QUIT':
+        reply('221 Bye');
+        socket.end();
+        break;
+      default:
+        reply('502 Command not implemented');
+    }
+  };
+
+  socket.setEncoding('utf8');
+  reply('220 localhost Aptify local SMTP stand-in');
+
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let index;
+    while ((index = buffer.indexOf('\r\n')) !== -1) {
+      const line = buffer.slice(0, index);
+      buffer = buffer.slice(index + 2);
+
+      if (data) {
+        if (line === '.') {
+          storeMessage(envelope, data.join('\r\n'));
+          data = null;
+          reply('250 OK: queued');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+      } else {
+        handleCommand(line);
+      }
+    }
+  });
+
+  socket.on('error', (error) => console.warn(`⚠️ Connection error: ${error.message}`));
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Local SMTP stand-in listening on 127.0.0.1:${PORT}, saving messages to ${MAIL_DIR}`);
+});
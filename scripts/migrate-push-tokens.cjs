@@ -0,0 +1,84 @@
+/**
+ * Script to move push tokens off the public user profile
+ *
+ * Older versions stored FCM device tokens on users/{uid}.pushTokens, which every signed-in user can
+ * read. They now live in the owner-only pushTokens/{uid}.devices, the only place sendPushToUser
+ * reads. Run this once after deploying so devices registered before the move keep getting pushes.
+ *
+ * Usage:
+ * 1. Install Firebase Admin SDK: npm install firebase-admin
+ * 2. Set GOOGLE_APPLICATION_CREDENTIALS environment variable to your service account key
+ * 3. Run: node scripts/migrate-push-tokens.cjs
+ */
+
+const admin = require('firebase-admin');
+
+if (!admin.apps.length) {
+  try {
+    admin.initializeApp({
+      credential: admin.credential.applicationDefault(),
+    });
+  } catch (error) {
+    console.error('Failed to initialize Firebase Admin:', error);
+    console.error('Please set GOOGLE_APPLICATION_CREDENTIALS environment variable');
+    process.exit(1);
+  }
+}
+
+// Two writes per user
+const BATCH_SIZE = 200;
+
+/**
+ * Copy every profile's pushTokens into pushTokens/{uid}.devices (devices registered there since
+ * keep their newer token) and delete the field from the profile
+ */
+async function migratePushTokens() {
+  const db = admin.firestore();
+  const snapshot = await db.collection('users').get();
+
+  let batch = db.batch();
+  let pending = 0;
+  let migrated = 0;
+
+  for (const doc of snapshot.docs) {
+    const legacyTokens = doc.data().pushTokens;
+    if (legacyTokens === undefined) continue;
+
+    const tokensRef = db.collection('pushTokens').doc(doc.id);
+    const tokensDoc = await tokensRef.get();
+    const devices = tokensDoc.exists ? tokensDoc.data().devices || {} : {};
+
+    batch.set(
+      tokensRef,
+      { userId: doc.id, devices: { ...(legacyTokens || {}), ...devices } },
+      { merge: true }
+    );
+    batch.update(doc.ref, { pushTokens: admin.firestore.FieldValue.delete() });
+    pending += 1;
+    migrated += 1;
+
+    if (pending === BATCH_SIZE) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  console.log(`✅ Push tokens moved for ${migrated} of ${snapshot.size} users`);
+}
+
+// Run if called directly
+if (require.main === module) {
+  migratePushTokens()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error('❌ Error migrating push tokens:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migratePushTokens };
@@ -59,6 +59,8 @@ import UserChatsPage from './pages/UserChatsPage';
 import Chatbot from './pages/Chatbot';
 import OwnerDashboard from './pages/OwnerDashboard';
 import PaymentMock from './pages/PaymentMock';
+import JobRequestQuotes from './pages/JobRequestQuotes';
+import OpenJobs from './pages/OpenJobs';
 
 // Lazy load heavy pages for better performance
 const AdminPanel = lazy(() => import('./pages/AdminPanel'));
@@ -109,6 +111,7 @@ function App() {
               {/* Authenticated user routes */}
               <Route element={<ProtectedRoute />}>
                 <Route path={ROUTES.MY_PROJECTS} element={<MyProjects />} />
+                <Route path={ROUTES.JOB_REQUEST_QUOTES} element={<JobRequestQuotes />} />
                 {/* Project Detail Routes */}
                 <Route
                   path={ROUTES.CONSTRUCTION_PROJECT_DETAIL}
@@ -204,6 +207,10 @@ function App() {
                   element={<ConstructorProjectDetails />}
                 />
                 <Route path={ROUTES.CONSTRUCTOR_PROFILE} element={<ConstructorProfile />} />
+                <Route
+                  path={ROUTES.CONSTRUCTOR_OPEN_JOBS}
+                  element={<OpenJobs projectType="construction" />}
+                />
               </Route>
 
               {/* Renovator-only routes */}
@@ -264,6 +271,10 @@ function App() {
                     </Suspense>
                   }
                 />
+                <Route
+                  path={ROUTES.RENOVATOR_OPEN_JOBS}
+                  element={<OpenJobs projectType="renovation" />}
+                />
               </Route>
 
               {/* 404 Route */}
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { collection, query, where, onSnapshot } from 'firebase/firestore';
 import { db } from '../../firebase';
+import propertyService from '../../services/propertyService';
 import {
   Search,
   Filter,
@@ -16,15 +17,22 @@ import {
   Star,
   X,
   SlidersHorizontal,
+  BookmarkPlus,
 } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import SaveSearchModal from '../property/SaveSearchModal';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
 import { GridSkeleton, PropertyCardSkeleton, ProviderCardSkeleton } from '../common/SkeletonLoader';
 import { EmptySearch } from '../common/EmptyState';
 import toast from 'react-hot-toast';
 
+const LISTING_LIMIT = 60;
+
 const GlobalSearch = () => {
+  const { currentUser } = useAuth();
   const [searchQuery, setSearchQuery] = useState('');
+  const [saveModalOpen, setSaveModalOpen] = useState(false);
   const [loading, setLoading] = useState(false);
   const [showFilters, setShowFilters] = useState(false);
   const [activeTab, setActiveTab] = useState('all'); // 'all', 'rentals', 'buy-sell', 'providers'
@@ -53,132 +61,68 @@ const GlobalSearch = () => {
     { value: 'townhouse', label: 'Townhouse' },
   ];
 
-  // Load all data on mount
+  // Providers are loaded once; property results come from the search index
   useEffect(() => {
     if (!db) return;
 
-    loadRentalListings();
-    loadBuySellListings();
     loadProviders();
   }, []);
 
-  // Load rental listings
-  const loadRentalListings = () => {
-    if (!db) return;
-
-    try {
-      const rentalsQuery = query(collection(db, 'properties'), where('status', '==', 'published'));
-
-      const unsubscribe = onSnapshot(
-        rentalsQuery,
-        (snapshot) => {
-          const listings = snapshot.docs
-            .map((doc) => ({
-              id: doc.id,
-              ...doc.data(),
-            }))
-            .filter(
-              (listing) =>
-                (listing.type === 'rent' || listing.listingType === 'rent') &&
-                listing.status === 'published'
-            );
-          setRentalListings(listings);
-        },
-        (error) => {
-          console.error('Error loading rental listings:', error);
-          // Fallback: fetch all and filter client-side
-          const fallbackQuery = query(collection(db, 'properties'));
-          const fallbackUnsubscribe = onSnapshot(
-            fallbackQuery,
-            (fallbackSnapshot) => {
-              const listings = fallbackSnapshot.docs
-                .map((doc) => ({
-                  id: doc.id,
-                  ...doc.data(),
-                }))
-                .filter(
-                  (listing) =>
-                    (listing.type === 'rent' || listing.listingType === 'rent') &&
-                    listing.status === 'published'
-                );
-              setRentalListings(listings);
-            },
-            (fallbackError) => {
-              console.error('Error loading rental listings (fallback):', fallbackError);
-            }
-          );
-          return () => fallbackUnsubscribe();
-        }
-      );
-
-      return () => unsubscribe();
-    } catch (error) {
-      console.error('Error setting up rental listings listener:', error);
-    }
-  };
+  // Debounce the query so the search index is not queried on every keystroke
+  const [debouncedQuery, setDebouncedQuery] = useState('');
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(searchQuery.trim()), 300);
+    return () => clearTimeout(timer);
+  }, [searchQuery]);
 
-  // Load buy/sell listings
-  const loadBuySellListings = () => {
+  // Load rental and buy/sell listings: ranked search results when there is a query,
+  // otherwise the latest published listings
+  useEffect(() => {
     if (!db) return;
 
-    try {
-      const buySellQuery = query(collection(db, 'properties'), where('status', '==', 'published'));
-
-      const unsubscribe = onSnapshot(
-        buySellQuery,
-        (snapshot) => {
-          const listings = snapshot.docs
-            .map((doc) => ({
-              id: doc.id,
-              ...doc.data(),
-            }))
-            .filter(
-              (listing) =>
-                (listing.type === 'sale' ||
-                  listing.type === 'buy' ||
-                  listing.type === 'sell' ||
-                  listing.listingType === 'sell' ||
-                  listing.listingType === 'buy') &&
-                listing.status === 'published'
-            );
-          setBuySellListings(listings);
-        },
-        (error) => {
-          console.error('Error loading buy/sell listings:', error);
-          // Fallback: fetch all and filter client-side
-          const fallbackQuery = query(collection(db, 'properties'));
-          const fallbackUnsubscribe = onSnapshot(
-            fallbackQuery,
-            (fallbackSnapshot) => {
-              const listings = fallbackSnapshot.docs
-                .map((doc) => ({
-                  id: doc.id,
-                  ...doc.data(),
-                }))
-                .filter(
-                  (listing) =>
-                    (listing.type === 'sale' ||
-                      listing.type === 'buy' ||
-                      listing.type === 'sell' ||
-                      listing.listingType === 'sell' ||
-                      listing.listingType === 'buy') &&
-                    listing.status === 'published'
-                );
-              setBuySellListings(listings);
-            },
-            (fallbackError) => {
-              console.error('Error loading buy/sell listings (fallback):', fallbackError);
-            }
-          );
-          return () => fallbackUnsubscribe();
+    let cancelled = false;
+    const loadListings = async () => {
+      try {
+        setLoading(true);
+        const searchFilters = { status: 'published' };
+        if (filters.city.trim()) searchFilters.city = filters.city.trim();
+        if (filters.minPrice) searchFilters.minPrice = parseFloat(filters.minPrice);
+        if (filters.maxPrice) searchFilters.maxPrice = parseFloat(filters.maxPrice);
+
+        const listings = debouncedQuery
+          ? await propertyService.search(debouncedQuery, searchFilters, { limit: LISTING_LIMIT })
+          : await propertyService.getAll(searchFilters, {
+              sortBy: 'createdAt',
+              sortOrder: 'desc',
+              limit: LISTING_LIMIT,
+            });
+        if (cancelled) return;
+
+        setRentalListings(
+          listings.filter((listing) => (listing.listingType || listing.type) === 'rent')
+        );
+        setBuySellListings(
+          listings.filter((listing) =>
+            ['sale', 'buy', 'sell'].includes(listing.listingType || listing.type)
+          )
+        );
+      } catch (error) {
+        console.error('Error loading listings:', error);
+        if (!cancelled) {
+          setRentalListings([]);
+          setBuySellListings([]);
+          toast.error('Failed to load listings');
         }
-      );
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
 
-      return () => unsubscribe();
-    } catch (error) {
-      console.error('Error setting up buy/sell listings listener:', error);
-    }
-  };
+    loadListings();
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery, filters.city, filters.minPrice, filters.maxPrice]);
 
   // Load providers
   const loadProviders = () => {
@@ -240,16 +184,7 @@ const GlobalSearch = () => {
     // Filter rental listings
     let filteredRentals = [...rentalListings];
 
-    // Text search
-    if (query) {
-      filteredRentals = filteredRentals.filter(
-        (listing) =>
-          listing.title?.toLowerCase().includes(query) ||
-          listing.description?.toLowerCase().includes(query) ||
-          listing.address?.city?.toLowerCase().includes(query) ||
-          listing.address?.line1?.toLowerCase().includes(query)
-      );
-    }
+    // Text search is already applied and ranked by propertyService.search
 
     // Price filter
     if (filters.minPrice) {
@@ -281,16 +216,7 @@ const GlobalSearch = () => {
     // Filter buy/sell listings
     let filteredBuySell = [...buySellListings];
 
-    // Text search
-    if (query) {
-      filteredBuySell = filteredBuySell.filter(
-        (listing) =>
-          listing.title?.toLowerCase().includes(query) ||
-          listing.description?.toLowerCase().includes(query) ||
-          listing.address?.city?.toLowerCase().includes(query) ||
-          listing.address?.line1?.toLowerCase().includes(query)
-      );
-    }
+    // Text search is already applied and ranked by propertyService.search
 
     // Price filter
     if (filters.minPrice) {
@@ -440,6 +366,16 @@ const GlobalSearch = () => {
               <SlidersHorizontal className="w-4 h-4 mr-2" />
               Filters
             </Button>
+            {currentUser && activeTab !== 'providers' && (
+              <Button
+                variant="ghost"
+                onClick={() => setSaveModalOpen(true)}
+                className="flex items-center"
+              >
+                <BookmarkPlus className="w-4 h-4 mr-2" />
+                Save Search
+              </Button>
+            )}
             {hasActiveFilters() && (
               <Button
                 variant="ghost"
@@ -596,6 +532,11 @@ const GlobalSearch = () => {
         </div>
 
         {/* Results */}
+        {loading && activeTab !== 'providers' && (
+          <div className="mb-8">
+            <GridSkeleton count={3} />
+          </div>
+        )}
         {(activeTab === 'all' || activeTab === 'rentals') && displayResults.rentals.length > 0 && (
           <div className="mb-8">
             <h2 className="text-xl font-semibold text-textMain mb-4 flex items-center">
@@ -834,6 +775,18 @@ const GlobalSearch = () => {
         {/* No Results */}
         {totalResults === 0 && <EmptySearch searchQuery={searchQuery} onClear={clearFilters} />}
       </div>
+
+      <SaveSearchModal
+        isOpen={saveModalOpen}
+        onClose={() => setSaveModalOpen(false)}
+        filters={{
+          keywords: searchQuery,
+          type: activeTab === 'rentals' ? 'rent' : activeTab === 'buy-sell' ? 'sale' : '',
+          city: filters.city,
+          minPrice: filters.minPrice,
+          maxPrice: filters.maxPrice,
+        }}
+      />
     </div>
   );
 };
@@ -0,0 +1,41 @@
+import React from 'react';
+import { FileText } from 'lucide-react';
+import { formatFileSize, isImageAttachment } from '../../utils/chatAttachments';
+
+/**
+ * ChatAttachment Component
+ * Renders one sent attachment: an image thumbnail that opens full size, or a document link
+ */
+const ChatAttachment = ({ attachment, isOwn = false }) => {
+  if (isImageAttachment(attachment)) {
+    return (
+      <a href={attachment.url} target="_blank" rel="noopener noreferrer" className="block rounded-lg overflow-hidden">
+        <img
+          src={attachment.url}
+          alt={attachment.name || 'Attachment'}
+          loading="lazy"
+          className="max-w-xs max-h-64 object-cover hover:opacity-90 transition-opacity"
+        />
+      </a>
+    );
+  }
+
+  return (
+    <a
+      href={attachment.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className={`flex items-center gap-2 p-2 rounded-base transition-colors ${
+        isOwn ? 'bg-white/20 hover:bg-white/30' : 'bg-surface hover:bg-accent/50'
+      }`}
+    >
+      <FileText className="w-5 h-5 flex-shrink-0" />
+      <span className="text-sm truncate">{attachment.name || 'Download'}</span>
+      {attachment.size > 0 && (
+        <span className="text-xs opacity-75 flex-shrink-0">{formatFileSize(attachment.size)}</span>
+      )}
+    </a>
+  );
+};
+
+export default ChatAttachment;
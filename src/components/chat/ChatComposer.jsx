@@ -0,0 +1,201 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { FileText, Paperclip, Send, X } from 'lucide-react';
+import Button from '../common/Button';
+import ReplyQuote from './ReplyQuote';
+import toast from 'react-hot-toast';
+import {
+  CHAT_ATTACHMENT_ACCEPT,
+  MAX_CHAT_ATTACHMENTS,
+  formatFileSize,
+  validateChatAttachments,
+} from '../../utils/chatAttachments';
+
+/**
+ * ChatComposer Component
+ * Message input with image/PDF attachments: pick with the paperclip or drop files onto the composer.
+ * Shows thumbnails before sending and upload progress while sending.
+ * onSend(text, files, { onProgress }) must return a promise; the composer clears when it resolves.
+ * onTyping is called on every keystroke and onStopTyping when the draft is sent or cleared
+ * (see useTypingIndicator, which throttles the writes).
+ * While replyTo is set (see useMessageActions) the quoted message is shown above the input and
+ * passed to onSend as options.replyTo; onCancelReply clears it, including after a successful send.
+ */
+const ChatComposer = ({
+  onSend,
+  onTyping,
+  onStopTyping,
+  replyTo = null,
+  onCancelReply,
+  sending = false,
+  disabled = false,
+  placeholder = 'Type your message...',
+}) => {
+  const [text, setText] = useState('');
+  const [files, setFiles] = useState([]);
+  const [previews, setPreviews] = useState([]);
+  const [progress, setProgress] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    const urls = files.map((file) => (file.type.startsWith('image/') ? URL.createObjectURL(file) : null));
+    setPreviews(urls);
+    return () => urls.forEach((url) => url && URL.revokeObjectURL(url));
+  }, [files]);
+
+  const addFiles = (picked) => {
+    const { accepted, errors } = validateChatAttachments(picked, files.length);
+    errors.forEach((error) => toast.error(error));
+    if (accepted.length > 0) {
+      setFiles((prev) => [...prev, ...accepted]);
+    }
+  };
+
+  const handleFileSelect = (e) => {
+    addFiles(e.target.files);
+    e.target.value = '';
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!disabled) setDragActive(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (!disabled && !sending) {
+      addFiles(e.dataTransfer.files);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (sending || disabled || (!text.trim() && files.length === 0)) {
+      return;
+    }
+
+    onStopTyping?.();
+    try {
+      setProgress(files.length > 0 ? 0 : null);
+      await onSend(text, files, { onProgress: files.length > 0 ? setProgress : null, replyTo });
+      setText('');
+      setFiles([]);
+      onCancelReply?.();
+    } catch (error) {
+      toast.error(error.message || 'Failed to send message. Please try again.');
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  return (
+    <div
+      className={`p-4 bg-surface border-t border-muted relative ${dragActive ? 'ring-2 ring-primary ring-inset' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragActive(false)}
+      onDrop={handleDrop}
+    >
+      {dragActive && (
+        <div className="absolute inset-0 flex items-center justify-center bg-primary/10 text-primary text-sm font-medium pointer-events-none">
+          Drop images or PDFs to attach
+        </div>
+      )}
+
+      {replyTo && (
+        <div className="mb-3">
+          <ReplyQuote replyTo={replyTo} onCancel={onCancelReply} />
+        </div>
+      )}
+
+      {files.length > 0 && (
+        <div className="mb-3 flex flex-wrap gap-2">
+          {files.map((file, index) => (
+            <div key={`${file.name}-${index}`} className="relative">
+              {previews[index] ? (
+                <img src={previews[index]} alt={file.name} className="w-16 h-16 object-cover rounded-base border border-muted" />
+              ) : (
+                <div className="w-32 h-16 flex items-center gap-2 px-2 bg-muted rounded-base" title={file.name}>
+                  <FileText className="w-5 h-5 text-error flex-shrink-0" />
+                  <div className="min-w-0">
+                    <p className="text-xs text-textMain truncate">{file.name}</p>
+                    <p className="text-xs text-textSecondary">{formatFileSize(file.size)}</p>
+                  </div>
+                </div>
+              )}
+              {!sending && (
+                <button
+                  type="button"
+                  onClick={() => setFiles((prev) => prev.filter((_, i) => i !== index))}
+                  className="absolute -top-1.5 -right-1.5 bg-red-500 text-white rounded-full p-0.5"
+                  aria-label={`Remove ${file.name}`}
+                >
+                  <X className="w-3 h-3" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {progress !== null && (
+        <div className="mb-3">
+          <div className="flex justify-between text-xs text-textSecondary mb-1">
+            <span>Uploading {files.length === 1 ? 'attachment' : `${files.length} attachments`}</span>
+            <span>{progress}%</span>
+          </div>
+          <div className="h-1.5 bg-muted rounded-full overflow-hidden">
+            <div className="h-full bg-primary transition-all" style={{ width: `${progress}%` }} />
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="flex gap-2">
+        <input
+          type="file"
+          ref={fileInputRef}
+          onChange={handleFileSelect}
+          multiple
+          className="hidden"
+          accept={CHAT_ATTACHMENT_ACCEPT}
+        />
+        <button
+          type="button"
+          onClick={() => fileInputRef.current?.click()}
+          className="p-2 text-textSecondary hover:text-textMain transition-colors disabled:opacity-50"
+          title={`Attach images or PDFs (up to ${MAX_CHAT_ATTACHMENTS})`}
+          disabled={disabled || sending || files.length >= MAX_CHAT_ATTACHMENTS}
+        >
+          <Paperclip className="w-5 h-5" />
+        </button>
+        <textarea
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            if (e.target.value.trim()) {
+              onTyping?.();
+            } else {
+              onStopTyping?.();
+            }
+          }}
+          onBlur={() => onStopTyping?.()}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              handleSubmit(e);
+            }
+          }}
+          rows={2}
+          className="flex-1 px-4 py-2 border border-muted rounded-base focus:border-primary focus:ring-primary resize-none"
+          placeholder={placeholder}
+          disabled={disabled || sending}
+        />
+        <Button type="submit" loading={sending} disabled={disabled || sending || (!text.trim() && files.length === 0)}>
+          <Send className="w-4 h-4" />
+        </Button>
+      </form>
+    </div>
+  );
+};
+
+export default ChatComposer;
@@ -0,0 +1,48 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { Home, Hammer, Wrench, Calendar, ChevronRight } from 'lucide-react';
+import { CHAT_CONTEXT_TYPES, getChatContextLink } from '../../utils/chatHelpers';
+
+export const CHAT_CONTEXT_ICONS = {
+  property: Home,
+  construction: Hammer,
+  renovation: Wrench,
+  rental: Calendar,
+};
+
+/**
+ * ChatContextCard Component
+ * Header card showing what a chat is about (property, project or rental request) with a link back to it.
+ * Renders nothing for general chats.
+ */
+const ChatContextCard = ({ context, currentUserId }) => {
+  const contextType = CHAT_CONTEXT_TYPES[context?.type];
+  if (!contextType) return null;
+
+  const Icon = CHAT_CONTEXT_ICONS[context.type];
+  const link = getChatContextLink(context, currentUserId);
+
+  const content = (
+    <>
+      <div className="w-9 h-9 rounded-base bg-primary/10 flex items-center justify-center flex-shrink-0">
+        <Icon className="w-5 h-5 text-primary" />
+      </div>
+      <div className="flex-1 min-w-0">
+        <p className="text-xs text-textSecondary">{contextType.label}</p>
+        <p className="text-sm font-medium text-textMain truncate">{context.title || contextType.label}</p>
+      </div>
+      {link && <ChevronRight className="w-4 h-4 text-textSecondary flex-shrink-0" />}
+    </>
+  );
+
+  const className = 'flex items-center gap-3 px-4 py-2 bg-background border-b border-muted';
+  return link ? (
+    <Link to={link} className={`${className} hover:bg-muted/50 transition-colors`}>
+      {content}
+    </Link>
+  ) : (
+    <div className={className}>{content}</div>
+  );
+};
+
+export default ChatContextCard;
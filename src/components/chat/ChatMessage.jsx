@@ -1,11 +1,28 @@
 import React from 'react';
-import { File } from 'lucide-react';
+import ChatAttachment from './ChatAttachment';
+import MessageActions from './MessageActions';
+import MessageReactions from './MessageReactions';
+import MessageText from './MessageText';
+import ReplyQuote from './ReplyQuote';
+
+/**
+ * Scroll to a quoted message and flash it
+ * @param {string} messageId - Message document ID
+ */
+export const scrollToMessage = (messageId) => {
+  const element = document.getElementById(`message-${messageId}`);
+  if (!element) return;
+  element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  element.classList.add('animate-pulse');
+  setTimeout(() => element.classList.remove('animate-pulse'), 1500);
+};
 
 /**
  * ChatMessage Component
- * Displays a single message bubble with text, attachments, and timestamp
+ * Displays a single message bubble with reply quote, text, attachments, reactions and timestamp.
+ * Pass `actions` from useMessageActions to enable reply, react, edit and delete.
  */
-const ChatMessage = ({ message, isOwn, senderName }) => {
+const ChatMessage = ({ message, isOwn, senderName, currentUserId, actions }) => {
   const formatTime = (timestamp) => {
     if (!timestamp) return '';
     try {
@@ -16,58 +33,71 @@ const ChatMessage = ({ message, isOwn, senderName }) => {
     }
   };
 
-  const renderAttachment = (attachment, index) => {
-    if (attachment.type?.startsWith('image/')) {
-      return (
-        <div key={index} className="mt-2 rounded-lg overflow-hidden">
-          <img
-            src={attachment.url}
-            alt={attachment.name || 'Attachment'}
-            className="max-w-xs max-h-64 object-cover cursor-pointer hover:opacity-90 transition-opacity"
-            onClick={() => window.open(attachment.url, '_blank')}
-          />
-        </div>
-      );
-    } else {
-      return (
-        <a
-          key={index}
-          href={attachment.url}
-          target="_blank"
-          rel="noopener noreferrer"
-          className="mt-2 flex items-center gap-2 p-2 bg-muted rounded-base hover:bg-accent/50 transition-colors"
-        >
-          <File className="w-4 h-4" />
-          <span className="text-sm truncate">{attachment.name || 'Download'}</span>
-        </a>
-      );
-    }
-  };
+  const hasAttachments = !message.deleted && message.attachments?.length > 0;
 
   return (
-    <div className={`flex ${isOwn ? 'justify-end' : 'justify-start'} mb-4`}>
+    <div id={`message-${message.id}`} className={`flex ${isOwn ? 'justify-end' : 'justify-start'} mb-4`}>
       <div className={`flex flex-col max-w-[70%] ${isOwn ? 'items-end' : 'items-start'}`}>
         {!isOwn && senderName && (
           <span className="text-xs text-textSecondary mb-1 px-2">{senderName}</span>
         )}
-        <div
-          className={`rounded-lg p-3 ${
-            isOwn ? 'bg-primary text-white max-w-xs' : 'bg-muted text-textMain max-w-xs'
-          }`}
-        >
-          <p className="text-sm whitespace-pre-wrap break-words">{message.text}</p>
+        <div className="group flex items-start">
+          <div
+            className={`rounded-lg p-3 ${
+              isOwn ? 'bg-primary text-white max-w-xs' : 'bg-muted text-textMain max-w-xs'
+            }`}
+          >
+            {!message.deleted && message.replyTo && (
+              <div className="mb-2">
+                <ReplyQuote
+                  replyTo={message.replyTo}
+                  isOwn={isOwn}
+                  onClick={() => scrollToMessage(message.replyTo.messageId)}
+                />
+              </div>
+            )}
 
-          {/* Render attachments */}
-          {message.attachments && message.attachments.length > 0 && (
-            <div className="mt-2 space-y-2">
-              {message.attachments.map((attachment, index) => renderAttachment(attachment, index))}
-            </div>
-          )}
+            <MessageText
+              message={message}
+              isOwn={isOwn}
+              editing={actions?.editingId === message.id}
+              onSaveEdit={actions?.saveEdit}
+              onCancelEdit={actions?.cancelEdit}
+            />
+
+            {/* Render attachments */}
+            {hasAttachments && (
+              <div className={`space-y-2 ${message.text ? 'mt-2' : ''}`}>
+                {message.attachments.map((attachment, index) => (
+                  <ChatAttachment key={attachment.url || index} attachment={attachment} isOwn={isOwn} />
+                ))}
+              </div>
+            )}
 
-          <span className={`text-xs mt-1 block ${isOwn ? 'text-white/80' : 'text-textSecondary'}`}>
-            {formatTime(message.createdAt)}
-          </span>
+            <span className={`text-xs mt-1 block ${isOwn ? 'text-white/80' : 'text-textSecondary'}`}>
+              {formatTime(message.createdAt)}
+            </span>
+          </div>
+
+          {actions && (
+            <MessageActions
+              message={message}
+              isOwn={isOwn}
+              currentUserId={currentUserId}
+              onReply={(target) => actions.startReply(target, isOwn ? null : senderName)}
+              onReact={actions.toggleReaction}
+              onEdit={actions.startEdit}
+              onDelete={actions.deleteMessage}
+            />
+          )}
         </div>
+
+        <MessageReactions
+          reactions={message.reactions}
+          currentUserId={currentUserId}
+          isOwn={isOwn}
+          onToggle={actions ? (emoji) => actions.toggleReaction(message, emoji) : undefined}
+        />
       </div>
     </div>
   );
@@ -12,15 +12,31 @@ import {
   serverTimestamp,
 } from 'firebase/firestore';
 import { db } from '../../firebase/firebase';
-import { MessageSquare, User, Check, CheckCheck } from 'lucide-react';
+import { MessageSquare, User, Check, CheckCheck, Search, Pin, BellOff, Archive, ArrowLeft } from 'lucide-react';
 import LoadingSpinner from '../common/LoadingSpinner';
+import PresenceStatus from './PresenceStatus';
+import ConversationMenu from './ConversationMenu';
+import MessageSearchResults from './MessageSearchResults';
+import { CHAT_CONTEXT_ICONS } from './ChatContextCard';
+import { CHAT_CONTEXT_TYPES } from '../../utils/chatHelpers';
+import { getConversationState, sortConversations } from '../../services/chatService';
+import { useChatSearch } from '../../hooks/useChatSearch';
 import toast from 'react-hot-toast';
 
+/**
+ * ConversationList Component
+ * The user's conversations, pinned first, with search (names and message text), context filters
+ * and an archived view. onSelectConversation(chatId, messageId) gets a messageId for search hits.
+ */
 const ConversationList = ({ onSelectConversation, selectedChatId }) => {
   const { currentUser } = useAuth();
   const [conversations, setConversations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [userNames, setUserNames] = useState({});
+  const [contextFilter, setContextFilter] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showArchived, setShowArchived] = useState(false);
+  const { messageResults, searching } = useChatSearch(conversations, searchTerm);
 
   useEffect(() => {
     if (!currentUser) {
@@ -178,6 +194,108 @@ const ConversationList = ({ onSelectConversation, selectedChatId }) => {
     return 1; // Boolean flag, so either 1 (unread) or 0 (read)
   };
 
+  // Group key and label for a conversation's context ('general' for unscoped chats)
+  const getGroup = (conversation) =>
+    CHAT_CONTEXT_TYPES[conversation.context?.type] ? conversation.context.type : 'general';
+  const groupLabel = (key) => (key === 'general' ? 'General' : `${CHAT_CONTEXT_TYPES[key].label}s`);
+
+  // Archived chats are listed separately; a search covers both
+  const archivedCount = conversations.filter(
+    (conversation) => getConversationState(conversation, currentUser?.uid).archived
+  ).length;
+  const term = searchTerm.trim().toLowerCase();
+  const listedConversations = sortConversations(
+    conversations.filter((conversation) =>
+      term
+        ? (userNames[conversation.otherParticipantId] || '').toLowerCase().includes(term)
+        : getConversationState(conversation, currentUser?.uid).archived === showArchived
+    ),
+    currentUser?.uid
+  );
+
+  const availableGroups = ['general', ...Object.keys(CHAT_CONTEXT_TYPES)].filter((key) =>
+    listedConversations.some((conversation) => getGroup(conversation) === key)
+  );
+  // Fall back to "All" if the filtered group has no chats left
+  const activeFilter = availableGroups.includes(contextFilter) ? contextFilter : 'all';
+  const visibleConversations =
+    activeFilter === 'all'
+      ? listedConversations
+      : listedConversations.filter((conversation) => getGroup(conversation) === activeFilter);
+  const groups = availableGroups
+    .map((key) => ({
+      key,
+      label: groupLabel(key),
+      conversations: visibleConversations.filter((conversation) => getGroup(conversation) === key),
+    }))
+    .filter((group) => group.conversations.length > 0);
+  const showGroupHeaders = activeFilter === 'all' && groups.length > 1;
+
+  const renderConversation = (conversation) => {
+    const unreadCount = getUnreadCount(conversation);
+    const isSelected = selectedChatId === conversation.id;
+    const otherUserName = userNames[conversation.otherParticipantId] || 'Loading...';
+    const ContextIcon = CHAT_CONTEXT_ICONS[conversation.context?.type];
+    const { muted, pinned } = getConversationState(conversation, currentUser.uid);
+
+    return (
+      <div key={conversation.id} className="relative group">
+        <button
+          onClick={() => onSelectConversation(conversation.id)}
+          className={`w-full p-4 pr-10 text-left hover:bg-background transition-colors ${
+            isSelected ? 'bg-primary/10 border-l-4 border-primary' : ''
+          }`}
+        >
+          <div className="flex items-start space-x-3">
+            <div className="relative w-12 h-12 rounded-full bg-primary/20 flex items-center justify-center flex-shrink-0">
+              <User className="w-6 h-6 text-primary" />
+              <PresenceStatus
+                userId={conversation.otherParticipantId}
+                variant="dot"
+                className="absolute bottom-0 right-0"
+              />
+            </div>
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between mb-1">
+                <p className="flex items-center gap-1 font-semibold text-textMain min-w-0">
+                  <span className="truncate">{otherUserName}</span>
+                  {pinned && <Pin className="w-3.5 h-3.5 text-textSecondary flex-shrink-0" aria-label="Pinned" />}
+                  {muted && <BellOff className="w-3.5 h-3.5 text-textSecondary flex-shrink-0" aria-label="Muted" />}
+                </p>
+                {conversation.lastMessageAt && (
+                  <span className="text-xs text-textSecondary flex-shrink-0 ml-2">
+                    {formatTime(conversation.lastMessageAt)}
+                  </span>
+                )}
+              </div>
+              {ContextIcon && (
+                <p className="flex items-center gap-1 text-xs text-primary truncate mb-0.5">
+                  <ContextIcon className="w-3 h-3 flex-shrink-0" />
+                  <span className="truncate">{conversation.context.title}</span>
+                </p>
+              )}
+              <div className="flex items-center justify-between">
+                <p className="text-sm text-textSecondary truncate">
+                  {conversation.lastMessage || 'No messages yet'}
+                </p>
+                {unreadCount > 0 && (
+                  <span className="ml-2 flex-shrink-0 bg-primary text-white text-xs font-semibold rounded-full px-2 py-1 min-w-[20px] text-center">
+                    {unreadCount > 99 ? '99+' : unreadCount}
+                  </span>
+                )}
+              </div>
+            </div>
+          </div>
+        </button>
+        <ConversationMenu
+          chat={conversation}
+          currentUserId={currentUser.uid}
+          className="absolute top-3 right-2 opacity-0 group-hover:opacity-100 focus-within:opacity-100"
+        />
+      </div>
+    );
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-full">
@@ -189,60 +307,102 @@ const ConversationList = ({ onSelectConversation, selectedChatId }) => {
   return (
     <div className="h-full flex flex-col bg-surface border-r border-muted">
       <div className="p-4 border-b border-muted">
-        <h2 className="text-xl font-display font-bold text-textMain">Messages</h2>
+        <div className="flex items-center justify-between">
+          <h2 className="flex items-center gap-2 text-xl font-display font-bold text-textMain">
+            {showArchived && !term && (
+              <button
+                type="button"
+                onClick={() => setShowArchived(false)}
+                className="text-textSecondary hover:text-textMain"
+                aria-label="Back to conversations"
+              >
+                <ArrowLeft className="w-5 h-5" />
+              </button>
+            )}
+            {showArchived && !term ? 'Archived' : 'Messages'}
+          </h2>
+          {!showArchived && !term && archivedCount > 0 && (
+            <button
+              type="button"
+              onClick={() => setShowArchived(true)}
+              className="flex items-center gap-1 text-sm text-textSecondary hover:text-textMain"
+            >
+              <Archive className="w-4 h-4" />
+              Archived ({archivedCount})
+            </button>
+          )}
+        </div>
+        <div className="relative mt-3">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-textSecondary" />
+          <input
+            type="text"
+            placeholder="Search people and messages..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-9 pr-3 py-2 text-sm border border-muted rounded-base focus:border-primary focus:ring-primary"
+          />
+        </div>
+        {availableGroups.length > 1 && (
+          <div className="flex flex-wrap gap-1.5 mt-3">
+            {['all', ...availableGroups].map((key) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setContextFilter(key)}
+                className={`px-2.5 py-1 rounded-full text-xs font-medium transition-colors ${
+                  activeFilter === key ? 'bg-primary text-white' : 'bg-muted text-textSecondary hover:text-textMain'
+                }`}
+              >
+                {key === 'all' ? 'All' : groupLabel(key)}
+              </button>
+            ))}
+          </div>
+        )}
       </div>
       <div className="flex-1 overflow-y-auto">
-        {conversations.length === 0 ? (
+        {term ? (
+          <>
+            {groups.length > 0 && (
+              <p className="px-4 py-1.5 text-xs font-semibold uppercase tracking-wide text-textSecondary bg-background">
+                Conversations
+              </p>
+            )}
+            <div className="divide-y divide-muted">{visibleConversations.map(renderConversation)}</div>
+            <MessageSearchResults
+              results={messageResults}
+              term={searchTerm}
+              searching={searching}
+              getChatName={(chatId) =>
+                userNames[conversations.find((conversation) => conversation.id === chatId)?.otherParticipantId] || 'Chat'
+              }
+              onSelect={onSelectConversation}
+            />
+            {!searching && visibleConversations.length === 0 && messageResults.length === 0 && (
+              <p className="p-8 text-center text-sm text-textSecondary">No conversations or messages found</p>
+            )}
+          </>
+        ) : listedConversations.length === 0 ? (
           <div className="flex flex-col items-center justify-center h-full p-8 text-center">
             <MessageSquare className="w-16 h-16 text-textSecondary mb-4" />
-            <p className="text-textSecondary">No conversations yet</p>
-            <p className="text-sm text-textSecondary mt-2">
-              Start a new conversation to get started
-            </p>
+            <p className="text-textSecondary">{showArchived ? 'No archived conversations' : 'No conversations yet'}</p>
+            {!showArchived && (
+              <p className="text-sm text-textSecondary mt-2">
+                Start a new conversation to get started
+              </p>
+            )}
           </div>
         ) : (
-          <div className="divide-y divide-muted">
-            {conversations.map((conversation) => {
-              const unreadCount = getUnreadCount(conversation);
-              const isSelected = selectedChatId === conversation.id;
-              const otherUserName = userNames[conversation.otherParticipantId] || 'Loading...';
-
-              return (
-                <button
-                  key={conversation.id}
-                  onClick={() => onSelectConversation(conversation.id)}
-                  className={`w-full p-4 text-left hover:bg-background transition-colors ${
-                    isSelected ? 'bg-primary/10 border-l-4 border-primary' : ''
-                  }`}
-                >
-                  <div className="flex items-start space-x-3">
-                    <div className="w-12 h-12 rounded-full bg-primary/20 flex items-center justify-center flex-shrink-0">
-                      <User className="w-6 h-6 text-primary" />
-                    </div>
-                    <div className="flex-1 min-w-0">
-                      <div className="flex items-center justify-between mb-1">
-                        <p className="font-semibold text-textMain truncate">{otherUserName}</p>
-                        {conversation.lastMessageAt && (
-                          <span className="text-xs text-textSecondary flex-shrink-0 ml-2">
-                            {formatTime(conversation.lastMessageAt)}
-                          </span>
-                        )}
-                      </div>
-                      <div className="flex items-center justify-between">
-                        <p className="text-sm text-textSecondary truncate">
-                          {conversation.lastMessage || 'No messages yet'}
-                        </p>
-                        {unreadCount > 0 && (
-                          <span className="ml-2 flex-shrink-0 bg-primary text-white text-xs font-semibold rounded-full px-2 py-1 min-w-[20px] text-center">
-                            {unreadCount > 99 ? '99+' : unreadCount}
-                          </span>
-                        )}
-                      </div>
-                    </div>
-                  </div>
-                </button>
-              );
-            })}
+          <div>
+            {groups.map((group) => (
+              <div key={group.key}>
+                {showGroupHeaders && (
+                  <p className="px-4 py-1.5 text-xs font-semibold uppercase tracking-wide text-textSecondary bg-background">
+                    {group.label}
+                  </p>
+                )}
+                <div className="divide-y divide-muted">{group.conversations.map(renderConversation)}</div>
+              </div>
+            ))}
           </div>
         )}
       </div>
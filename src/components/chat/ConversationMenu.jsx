@@ -0,0 +1,77 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { MoreVertical, Pin, PinOff, Bell, BellOff, Archive, ArchiveRestore } from 'lucide-react';
+import chatService, { getConversationState } from '../../services/chatService';
+import toast from 'react-hot-toast';
+
+/**
+ * ConversationMenu Component
+ * Pin, mute and archive options for one conversation. The states are per user and saved on the
+ * chat document, so they follow the user across devices.
+ */
+const ConversationMenu = ({ chat, currentUserId, className = '' }) => {
+  const [open, setOpen] = useState(false);
+  const menuRef = useRef(null);
+  const { archived, muted, pinned } = getConversationState(chat, currentUserId);
+
+  // Close when clicking anywhere else
+  useEffect(() => {
+    if (!open) return undefined;
+    const handleClick = (e) => {
+      if (menuRef.current && !menuRef.current.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const update = async (state, value, successMessage) => {
+    setOpen(false);
+    try {
+      await chatService.setConversationState(chat.id, currentUserId, state, value);
+      toast.success(successMessage);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update conversation');
+    }
+  };
+
+  const items = [
+    pinned
+      ? { icon: PinOff, label: 'Unpin', onClick: () => update('pinned', false, 'Conversation unpinned') }
+      : { icon: Pin, label: 'Pin to top', onClick: () => update('pinned', true, 'Conversation pinned') },
+    muted
+      ? { icon: Bell, label: 'Unmute', onClick: () => update('muted', false, 'Notifications turned on') }
+      : { icon: BellOff, label: 'Mute', onClick: () => update('muted', true, 'Conversation muted') },
+    archived
+      ? { icon: ArchiveRestore, label: 'Unarchive', onClick: () => update('archived', false, 'Conversation unarchived') }
+      : { icon: Archive, label: 'Archive', onClick: () => update('archived', true, 'Conversation archived') },
+  ];
+
+  return (
+    <div ref={menuRef} className={`relative ${className}`}>
+      <button
+        type="button"
+        onClick={() => setOpen((value) => !value)}
+        className="p-1 rounded-full text-textSecondary hover:text-textMain hover:bg-muted"
+        aria-label="Conversation options"
+      >
+        <MoreVertical className="w-4 h-4" />
+      </button>
+      {open && (
+        <div className="absolute right-0 mt-1 w-40 z-20 bg-surface border border-muted rounded-base shadow-lg py-1">
+          {items.map(({ icon: Icon, label, onClick }) => (
+            <button
+              key={label}
+              type="button"
+              onClick={onClick}
+              className="w-full flex items-center gap-2 px-3 py-2 text-sm text-textMain hover:bg-background"
+            >
+              <Icon className="w-4 h-4 text-textSecondary" />
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ConversationMenu;
@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { Reply, Smile, Pencil, Trash2 } from 'lucide-react';
+import { MESSAGE_REACTIONS, canEditMessage } from '../../services/chatService';
+
+/**
+ * MessageActions Component
+ * Hover toolbar beside a message bubble: reply, react, and (own messages) edit within the window / delete.
+ * The parent bubble wrapper needs the `group` class.
+ */
+const MessageActions = ({ message, isOwn, currentUserId, onReply, onReact, onEdit, onDelete }) => {
+  const [showPicker, setShowPicker] = useState(false);
+
+  if (message.deleted) return null;
+
+  const buttonClass = 'p-1 rounded-full text-textSecondary hover:text-textMain hover:bg-muted';
+
+  return (
+    <div
+      className={`relative flex items-center gap-0.5 self-center opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity ${
+        isOwn ? 'order-first mr-1' : 'ml-1'
+      }`}
+    >
+      <button type="button" className={buttonClass} onClick={() => onReply(message)} title="Reply" aria-label="Reply">
+        <Reply className="w-4 h-4" />
+      </button>
+      <button
+        type="button"
+        className={buttonClass}
+        onClick={() => setShowPicker((open) => !open)}
+        title="React"
+        aria-label="React"
+      >
+        <Smile className="w-4 h-4" />
+      </button>
+      {isOwn && canEditMessage(message, currentUserId) && (
+        <button type="button" className={buttonClass} onClick={() => onEdit(message)} title="Edit" aria-label="Edit">
+          <Pencil className="w-4 h-4" />
+        </button>
+      )}
+      {isOwn && (
+        <button
+          type="button"
+          className={buttonClass}
+          onClick={() => onDelete(message)}
+          title="Delete for everyone"
+          aria-label="Delete for everyone"
+        >
+          <Trash2 className="w-4 h-4" />
+        </button>
+      )}
+
+      {showPicker && (
+        <div
+          className={`absolute bottom-full mb-1 z-10 flex gap-1 p-1 bg-surface border border-muted rounded-full shadow-md ${
+            isOwn ? 'right-0' : 'left-0'
+          }`}
+        >
+          {MESSAGE_REACTIONS.map((emoji) => (
+            <button
+              key={emoji}
+              type="button"
+              className={`w-7 h-7 rounded-full hover:bg-muted ${message.reactions?.[currentUserId] === emoji ? 'bg-primary/10' : ''}`}
+              onClick={() => {
+                setShowPicker(false);
+                onReact(message, emoji);
+              }}
+            >
+              {emoji}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MessageActions;
@@ -14,24 +14,44 @@ import {
   getDoc,
 } from 'firebase/firestore';
 // NOTE: updateDoc is only used for chat documents, NOT for messages
-// Messages can only be created (addDoc), never updated per Firestore security rules
+// Messages are created here; edits, deletes and reactions go through chatService (see useMessageActions)
 import { db, auth } from '../../firebase';
 import notificationService from '../../services/notificationService';
-import { Send, Paperclip, Smile } from 'lucide-react';
-import Button from '../common/Button';
+import { uploadChatAttachments, getMessagePreview } from '../../utils/chatAttachments';
+import ChatAttachment from './ChatAttachment';
+import ChatComposer from './ChatComposer';
+import TypingIndicator from './TypingIndicator';
+import ChatContextCard from './ChatContextCard';
+import MessageActions from './MessageActions';
+import MessageReactions from './MessageReactions';
+import MessageText from './MessageText';
+import ReplyQuote from './ReplyQuote';
+import { scrollToMessage } from './ChatMessage';
+import { useTypingIndicator } from '../../hooks/useTypingIndicator';
+import { useMessageActions } from '../../hooks/useMessageActions';
+import { useMessageContext } from '../../hooks/useMessageContext';
 import LoadingSpinner from '../common/LoadingSpinner';
 import toast from 'react-hot-toast';
 
-const MessageBox = ({ chatId, otherParticipantId }) => {
+/**
+ * MessageBox Component
+ * Live message view for one chat. With focusMessageId (e.g. a search hit) it shows that message with
+ * the messages around it until the user jumps back to the latest.
+ */
+const MessageBox = ({ chatId, otherParticipantId, focusMessageId = null }) => {
   const { currentUser } = useAuth();
   const [messages, setMessages] = useState([]);
-  const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(true);
   const [sending, setSending] = useState(false);
   const [userNames, setUserNames] = useState({});
   const [seenStatus, setSeenStatus] = useState({});
+  const [chatContext, setChatContext] = useState(null);
   const messagesEndRef = useRef(null);
   const chatRef = useRef(null);
+  const { typingUserIds, notifyTyping, stopTyping } = useTypingIndicator(chatId);
+  const messageActions = useMessageActions(chatId);
+  const { contextMessages, hasNewer, loadingContext, exitContext } = useMessageContext(chatId, focusMessageId);
+  const displayedMessages = contextMessages || messages;
 
   useEffect(() => {
     if (chatId && currentUser) {
@@ -40,9 +60,24 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
     }
   }, [chatId, currentUser]);
 
+  // Load what this chat is about (property, project or rental request), if anything
   useEffect(() => {
-    scrollToBottom();
-  }, [messages]);
+    setChatContext(null);
+    if (!chatId || !currentUser || !db) return;
+
+    getDoc(doc(db, 'chats', chatId))
+      .then((chatDoc) => setChatContext(chatDoc.exists() ? chatDoc.data().context || null : null))
+      .catch((error) => console.error('Error loading chat context:', error));
+  }, [chatId, currentUser]);
+
+  useEffect(() => {
+    if (!contextMessages) scrollToBottom();
+  }, [messages, contextMessages]);
+
+  // Center the message being jumped to once its surrounding messages are shown
+  useEffect(() => {
+    if (contextMessages && focusMessageId) scrollToMessage(focusMessageId);
+  }, [contextMessages, focusMessageId]);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -235,16 +270,23 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
     }
   };
 
-  const sendMessage = async (e) => {
-    e.preventDefault();
+  // Called by ChatComposer, which shows upload progress and clears itself on success
+  const sendMessage = async (text, files = [], options = {}) => {
+    const messageText = (text || '').trim();
 
     // Check auth and required fields
-    if (!newMessage.trim() || !chatId || !currentUser || !currentUser.uid || !db || !auth?.currentUser || sending) {
+    if ((!messageText && files.length === 0) || !chatId || !currentUser || !currentUser.uid || !db || !auth?.currentUser || sending) {
       return;
     }
 
     setSending(true);
     try {
+      // Upload attachments before writing the message so a failed upload fails the send
+      const attachments = files.length > 0
+        ? await uploadChatAttachments(files, chatId, currentUser.uid, options.onProgress)
+        : [];
+      const preview = getMessagePreview(messageText, attachments);
+
       // Step 1: Verify currentUser is a participant in the chat
       const chatRef = doc(db, 'chats', chatId);
       const chatDoc = await getDoc(chatRef);
@@ -291,7 +333,9 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
       const messageRef = await addDoc(collection(db, 'chats', chatId, 'messages'), {
         senderId: currentUser.uid,
         senderRole: senderRole,
-        text: newMessage.trim(),
+        text: messageText,
+        attachments,
+        replyTo: options.replyTo || null,
         createdAt: serverTimestamp(),
         readBy: readBy,
       });
@@ -301,7 +345,7 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
       const otherParticipant = participants.find((uid) => uid !== currentUser.uid);
       
       await updateDoc(chatRef, {
-        lastMessage: newMessage.trim(),
+        lastMessage: preview.substring(0, 100),
         updatedAt: serverTimestamp(),
         unreadFor: {
           ...unreadFor,
@@ -311,14 +355,16 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
       });
 
       // Step 6: Send notification to other participant
-      if (otherParticipant) {
+      // Muted chats don't notify
+      if (otherParticipant && chatData.mutedFor?.[otherParticipant] !== true) {
         try {
           await notificationService.create(
             otherParticipant,
             'New Message',
             `${userNames[currentUser.uid] || 'Someone'} sent you a message`,
             'info',
-            `/chat?chatId=${chatId}`
+            `/chat?chatId=${chatId}`,
+            'chat'
           );
         } catch (notifError) {
           console.error('Error sending notification:', notifError);
@@ -326,15 +372,13 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
         }
       }
 
-      setNewMessage('');
     } catch (error) {
       console.error('Error sending message:', error);
-      // Handle permission denied
+      // Rethrow for ChatComposer to show; keep the typed message and files for a retry
       if (error.code === 'permission-denied') {
-        toast.error('Failed to send message. Please check your permissions.');
-      } else {
-        toast.error(error.message || 'Failed to send message. Please try again.');
+        throw new Error('Failed to send message. Please check your permissions.');
       }
+      throw error;
     } finally {
       // FIXED: Always reset sending state
       setSending(false);
@@ -350,6 +394,12 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
     return;
   };
 
+  const getSenderLabel = (message) => {
+    if (message.senderRole === 'contractor') return 'Contractor';
+    if (message.senderRole === 'renovator') return 'Renovator';
+    return userNames[message.senderId] || 'User';
+  };
+
   const formatTime = (timestamp) => {
     if (!timestamp) return '';
     const date = timestamp?.toDate ? timestamp.toDate() : new Date(timestamp);
@@ -388,9 +438,24 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
 
   return (
     <div className="h-full flex flex-col bg-surface">
+      <ChatContextCard context={chatContext} currentUserId={currentUser.uid} />
+
+      {contextMessages && (
+        <div className="flex items-center justify-between px-4 py-2 bg-primary/10 text-sm text-textMain">
+          <span>{hasNewer ? 'Viewing an earlier message' : 'Viewing a message from search'}</span>
+          <button type="button" onClick={exitContext} className="font-medium text-primary hover:underline">
+            Jump to latest
+          </button>
+        </div>
+      )}
+
       {/* Messages Area */}
       <div className="flex-1 overflow-y-auto p-4 space-y-4" ref={chatRef}>
-        {messages.length === 0 ? (
+        {loadingContext ? (
+          <div className="flex items-center justify-center h-full">
+            <LoadingSpinner size="md" />
+          </div>
+        ) : displayedMessages.length === 0 ? (
           <div className="flex items-center justify-center h-full">
             <div className="text-center">
               <p className="text-textSecondary">No messages yet</p>
@@ -398,9 +463,9 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
             </div>
           </div>
         ) : (
-          messages.map((message, index) => {
+          displayedMessages.map((message, index) => {
             const isOwn = message.senderId === currentUser.uid;
-            const prevMessage = index > 0 ? messages[index - 1] : null;
+            const prevMessage = index > 0 ? displayedMessages[index - 1] : null;
             const showDate =
               !prevMessage ||
               formatDate(prevMessage.createdAt) !== formatDate(message.createdAt);
@@ -421,7 +486,8 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
                   </div>
                 )}
                 <div
-                  className={`flex ${isOwn ? 'justify-end' : 'justify-start'} mb-2`}
+                  id={`message-${message.id}`}
+                  className={`group flex items-start ${isOwn ? 'justify-end' : 'justify-start'} mb-2`}
                 >
                   <div
                     className={`max-w-[70%] rounded-lg px-4 py-2 ${
@@ -435,20 +501,39 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
                       {isOwn ? (
                         <p className="text-xs font-semibold opacity-90">You</p>
                       ) : (
-                        <p className="text-xs font-semibold opacity-75">
-                          {message.senderRole === 'contractor' 
-                            ? 'Contractor' 
-                            : message.senderRole === 'renovator'
-                            ? 'Renovator'
-                            : userNames[message.senderId] || 'User'}
-                        </p>
+                        <p className="text-xs font-semibold opacity-75">{getSenderLabel(message)}</p>
                       )}
                     </div>
+
+                    {/* Quoted message */}
+                    {!message.deleted && message.replyTo && (
+                      <div className="mb-2">
+                        <ReplyQuote
+                          replyTo={message.replyTo}
+                          isOwn={isOwn}
+                          onClick={() => scrollToMessage(message.replyTo.messageId)}
+                        />
+                      </div>
+                    )}
                     
                     {/* Message text */}
-                    <p className={`text-sm whitespace-pre-wrap break-words ${isOwn ? 'text-white' : 'text-textMain'}`}>
-                      {message.text}
-                    </p>
+                    <MessageText
+                      message={message}
+                      isOwn={isOwn}
+                      editing={messageActions.editingId === message.id}
+                      onSaveEdit={messageActions.saveEdit}
+                      onCancelEdit={messageActions.cancelEdit}
+                      className={isOwn ? 'text-white' : 'text-textMain'}
+                    />
+
+                    {/* Attachments */}
+                    {!message.deleted && message.attachments?.length > 0 && (
+                      <div className={`space-y-2 ${message.text ? 'mt-2' : ''}`}>
+                        {message.attachments.map((attachment, attachmentIndex) => (
+                          <ChatAttachment key={attachment.url || attachmentIndex} attachment={attachment} isOwn={isOwn} />
+                        ))}
+                      </div>
+                    )}
                     
                     {/* Timestamp and read status */}
                     <div className="flex items-center justify-end mt-1 space-x-1">
@@ -470,7 +555,23 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
                       )}
                     </div>
                   </div>
+
+                  <MessageActions
+                    message={message}
+                    isOwn={isOwn}
+                    currentUserId={currentUser.uid}
+                    onReply={(target) => messageActions.startReply(target, getSenderLabel(target))}
+                    onReact={messageActions.toggleReaction}
+                    onEdit={messageActions.startEdit}
+                    onDelete={messageActions.deleteMessage}
+                  />
                 </div>
+                <MessageReactions
+                  reactions={message.reactions}
+                  currentUserId={currentUser.uid}
+                  isOwn={isOwn}
+                  onToggle={(emoji) => messageActions.toggleReaction(message, emoji)}
+                />
               </div>
             );
           })
@@ -478,27 +579,18 @@ const MessageBox = ({ chatId, otherParticipantId }) => {
         <div ref={messagesEndRef} />
       </div>
 
+      <TypingIndicator typingUserIds={typingUserIds} names={userNames} className="px-4 pb-2" />
+
       {/* Message Input */}
-      <div className="border-t border-muted p-4 bg-surface">
-        <form onSubmit={sendMessage} className="flex items-center space-x-2">
-          <input
-            type="text"
-            value={newMessage}
-            onChange={(e) => setNewMessage(e.target.value)}
-            placeholder="Type a message..."
-            className="flex-1 px-4 py-2 border border-muted rounded-base focus:border-primary focus:ring-primary focus:outline-none"
-            disabled={sending}
-          />
-          <Button
-            type="submit"
-            disabled={!newMessage.trim() || sending}
-            loading={sending}
-            className="flex-shrink-0"
-          >
-            <Send className="w-4 h-4" />
-          </Button>
-        </form>
-      </div>
+      <ChatComposer
+        onSend={sendMessage}
+        onTyping={notifyTyping}
+        onStopTyping={stopTyping}
+        replyTo={messageActions.replyingTo}
+        onCancelReply={messageActions.cancelReply}
+        sending={sending}
+        placeholder="Type a message..."
+      />
     </div>
   );
 };
@@ -0,0 +1,35 @@
+import React from 'react';
+import { summarizeReactions } from '../../services/chatService';
+
+/**
+ * MessageReactions Component
+ * Reaction counts under a message; clicking a chip toggles the current user's reaction
+ */
+const MessageReactions = ({ reactions, currentUserId, onToggle, isOwn = false }) => {
+  const summary = summarizeReactions(reactions);
+  if (summary.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-1 mt-1 ${isOwn ? 'justify-end' : 'justify-start'}`}>
+      {summary.map(({ emoji, count, userIds }) => {
+        const mine = userIds.includes(currentUserId);
+        return (
+          <button
+            key={emoji}
+            type="button"
+            onClick={() => onToggle?.(emoji)}
+            className={`flex items-center gap-1 px-1.5 py-0.5 rounded-full text-xs border transition-colors ${
+              mine ? 'bg-primary/10 border-primary text-primary' : 'bg-surface border-muted text-textSecondary'
+            }`}
+            title={mine ? 'Remove your reaction' : 'React'}
+          >
+            <span>{emoji}</span>
+            {count > 1 && <span>{count}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default MessageReactions;
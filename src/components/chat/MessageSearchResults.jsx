@@ -0,0 +1,68 @@
+import React from 'react';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+/**
+ * Highlight the search term in a snippet of the message around its first match
+ */
+const renderSnippet = (text, term) => {
+  const index = text.toLowerCase().indexOf(term.toLowerCase());
+  if (index === -1) return text;
+  const start = Math.max(0, index - 30);
+  return (
+    <>
+      {start > 0 && '…'}
+      {text.slice(start, index)}
+      <mark className="bg-primary/20 text-textMain rounded-sm">{text.slice(index, index + term.length)}</mark>
+      {text.slice(index + term.length, index + term.length + 60)}
+    </>
+  );
+};
+
+const formatDate = (timestamp) => {
+  const date = timestamp?.toDate?.();
+  return date ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '';
+};
+
+/**
+ * MessageSearchResults Component
+ * Messages matching a chat search; selecting one opens the chat at that message
+ * @param {Array} results - From useChatSearch: [{ chatId, message }]
+ * @param {Function} getChatName - (chatId) => name shown for the chat
+ * @param {Function} onSelect - (chatId, messageId)
+ */
+const MessageSearchResults = ({ results, term, searching, getChatName, onSelect }) => {
+  if (searching) {
+    return (
+      <div className="flex justify-center py-4">
+        <LoadingSpinner size="sm" />
+      </div>
+    );
+  }
+  if (results.length === 0) return null;
+
+  return (
+    <div>
+      <p className="px-4 py-1.5 text-xs font-semibold uppercase tracking-wide text-textSecondary bg-background">
+        Messages
+      </p>
+      <div className="divide-y divide-muted">
+        {results.map(({ chatId, message }) => (
+          <button
+            key={`${chatId}-${message.id}`}
+            type="button"
+            onClick={() => onSelect(chatId, message.id)}
+            className="w-full px-4 py-3 text-left hover:bg-background transition-colors"
+          >
+            <div className="flex items-center justify-between gap-2">
+              <p className="text-sm font-semibold text-textMain truncate">{getChatName(chatId)}</p>
+              <span className="text-xs text-textSecondary flex-shrink-0">{formatDate(message.createdAt)}</span>
+            </div>
+            <p className="text-sm text-textSecondary line-clamp-2">{renderSnippet(message.text, term.trim())}</p>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MessageSearchResults;
@@ -0,0 +1,76 @@
+import React, { useEffect, useState } from 'react';
+import { Ban } from 'lucide-react';
+
+/**
+ * MessageText Component
+ * Message body text: the tombstone for deleted messages, an inline editor while editing,
+ * otherwise the text with an "edited" marker
+ */
+const MessageText = ({ message, isOwn, editing = false, onSaveEdit, onCancelEdit, className = '' }) => {
+  const [draft, setDraft] = useState(message.text || '');
+  const [saving, setSaving] = useState(false);
+
+  // Start each edit from the current text
+  useEffect(() => {
+    if (editing) setDraft(message.text || '');
+  }, [editing, message.text]);
+
+  if (message.deleted) {
+    return (
+      <p className={`flex items-center gap-1 text-sm italic opacity-75 ${className}`}>
+        <Ban className="w-3.5 h-3.5" />
+        This message was deleted
+      </p>
+    );
+  }
+
+  if (editing) {
+    const save = async () => {
+      setSaving(true);
+      await onSaveEdit(message, draft);
+      setSaving(false);
+    };
+
+    return (
+      <div className="space-y-1">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+              e.preventDefault();
+              save();
+            } else if (e.key === 'Escape') {
+              onCancelEdit();
+            }
+          }}
+          rows={2}
+          autoFocus
+          disabled={saving}
+          className="w-full min-w-[12rem] px-2 py-1 text-sm text-textMain bg-surface border border-muted rounded-base resize-none"
+        />
+        <div className="flex justify-end gap-2 text-xs">
+          <button type="button" onClick={onCancelEdit} className="opacity-80 hover:opacity-100">
+            Cancel
+          </button>
+          <button type="button" onClick={save} disabled={saving || !draft.trim()} className="font-semibold">
+            {saving ? 'Saving...' : 'Save'}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (!message.text) return null;
+
+  return (
+    <p className={`text-sm whitespace-pre-wrap break-words ${className}`}>
+      {message.text}
+      {message.editedAt && (
+        <span className={`ml-1 text-xs ${isOwn ? 'text-white/70' : 'text-textSecondary'}`}>(edited)</span>
+      )}
+    </p>
+  );
+};
+
+export default MessageText;
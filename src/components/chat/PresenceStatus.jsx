@@ -0,0 +1,28 @@
+import React from 'react';
+import { usePresence } from '../../hooks/usePresence';
+
+/**
+ * PresenceStatus Component
+ * A user's online status: a green dot (variant "dot") or "Online" / "Last seen 5m ago" text (variant "label").
+ * Renders nothing when the user is offline and hides their last seen.
+ */
+const PresenceStatus = ({ userId, variant = 'label', className = '' }) => {
+  const { online, label } = usePresence(userId);
+
+  if (variant === 'dot') {
+    return online ? (
+      <span
+        className={`block w-3 h-3 rounded-full bg-green-500 border-2 border-surface ${className}`}
+        title="Online"
+        aria-label="Online"
+      />
+    ) : null;
+  }
+
+  if (!label) return null;
+  return (
+    <span className={`text-xs ${online ? 'text-green-600' : 'text-textSecondary'} ${className}`}>{label}</span>
+  );
+};
+
+export default PresenceStatus;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { X } from 'lucide-react';
+
+/**
+ * ReplyQuote Component
+ * The quoted message shown inside a reply bubble, or above the composer while replying (with onCancel)
+ */
+const ReplyQuote = ({ replyTo, isOwn = false, onCancel, onClick }) => {
+  if (!replyTo) return null;
+
+  return (
+    <div
+      className={`flex items-start gap-2 border-l-4 rounded-r-base px-2 py-1 text-xs ${
+        isOwn ? 'border-white/70 bg-white/15' : 'border-primary bg-primary/10'
+      } ${onClick ? 'cursor-pointer' : ''}`}
+      onClick={onClick}
+    >
+      <div className="flex-1 min-w-0">
+        <p className="font-semibold truncate">{onCancel ? `Replying to ${replyTo.senderName}` : replyTo.senderName}</p>
+        <p className="truncate opacity-80">{replyTo.text || 'Message'}</p>
+      </div>
+      {onCancel && (
+        <button type="button" onClick={onCancel} className="text-textSecondary hover:text-textMain" aria-label="Cancel reply">
+          <X className="w-4 h-4" />
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ReplyQuote;
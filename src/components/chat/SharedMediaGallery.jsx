@@ -0,0 +1,81 @@
+import React, { useMemo, useState } from 'react';
+import { Image as ImageIcon, FileText } from 'lucide-react';
+import Modal from '../common/Modal';
+import ChatAttachment from './ChatAttachment';
+import { getSharedMedia, isImageAttachment } from '../../utils/chatAttachments';
+
+const formatDate = (timestamp) => {
+  const date = timestamp?.toDate ? timestamp.toDate() : null;
+  return date ? date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' }) : '';
+};
+
+/**
+ * SharedMediaGallery Component
+ * Modal listing every photo and document shared in a chat, newest first
+ */
+const SharedMediaGallery = ({ isOpen, onClose, messages, currentUserId }) => {
+  const [tab, setTab] = useState('photos');
+  const media = useMemo(() => getSharedMedia(messages), [messages]);
+  const photos = media.filter(isImageAttachment);
+  const files = media.filter((item) => !isImageAttachment(item));
+
+  const tabClass = (name) =>
+    `flex items-center gap-2 px-4 py-2 text-sm font-medium border-b-2 transition-colors ${
+      tab === name ? 'border-primary text-primary' : 'border-transparent text-textSecondary hover:text-textMain'
+    }`;
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Shared Media" size="lg">
+      <div className="flex border-b border-muted mb-4">
+        <button type="button" className={tabClass('photos')} onClick={() => setTab('photos')}>
+          <ImageIcon className="w-4 h-4" />
+          Photos ({photos.length})
+        </button>
+        <button type="button" className={tabClass('files')} onClick={() => setTab('files')}>
+          <FileText className="w-4 h-4" />
+          Files ({files.length})
+        </button>
+      </div>
+
+      {tab === 'photos' &&
+        (photos.length === 0 ? (
+          <p className="text-center text-textSecondary py-8">No photos shared yet</p>
+        ) : (
+          <div className="grid grid-cols-3 sm:grid-cols-4 gap-2">
+            {photos.map((photo, index) => (
+              <a
+                key={`${photo.messageId}-${index}`}
+                href={photo.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="block aspect-square rounded-base overflow-hidden bg-muted"
+                title={`${photo.name || 'Photo'} · ${formatDate(photo.createdAt)}`}
+              >
+                <img src={photo.url} alt={photo.name || 'Photo'} loading="lazy" className="w-full h-full object-cover hover:opacity-90" />
+              </a>
+            ))}
+          </div>
+        ))}
+
+      {tab === 'files' &&
+        (files.length === 0 ? (
+          <p className="text-center text-textSecondary py-8">No files shared yet</p>
+        ) : (
+          <div className="space-y-2">
+            {files.map((file, index) => (
+              <div key={`${file.messageId}-${index}`} className="flex items-center gap-3">
+                <div className="flex-1 min-w-0 bg-muted rounded-base">
+                  <ChatAttachment attachment={file} />
+                </div>
+                <span className="text-xs text-textSecondary flex-shrink-0 w-28 text-right">
+                  {file.senderId === currentUserId ? 'You' : 'Them'} · {formatDate(file.createdAt)}
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
+    </Modal>
+  );
+};
+
+export default SharedMediaGallery;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+/**
+ * TypingIndicator Component
+ * "Name is typing…" with animated dots; renders nothing when nobody is typing
+ */
+const TypingIndicator = ({ typingUserIds = [], names = {}, className = '' }) => {
+  if (typingUserIds.length === 0) return null;
+
+  const label =
+    typingUserIds.length === 1
+      ? `${names[typingUserIds[0]] || 'Someone'} is typing`
+      : 'Several people are typing';
+
+  return (
+    <div className={`flex items-center gap-2 text-xs text-textSecondary ${className}`} aria-live="polite">
+      <span className="flex gap-0.5">
+        {[0, 150, 300].map((delay) => (
+          <span
+            key={delay}
+            className="w-1.5 h-1.5 rounded-full bg-textSecondary animate-bounce"
+            style={{ animationDelay: `${delay}ms` }}
+          />
+        ))}
+      </span>
+      {label}…
+    </div>
+  );
+};
+
+export default TypingIndicator;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { normalizeStatus } from '../../utils/projectStatus';
 
 /**
  * ProjectStatusBadge Component
@@ -9,21 +10,24 @@ import React from 'react';
  */
 const ProjectStatusBadge = ({ status }) => {
   // Get status badge styling based on status
-  // Pending → yellow, In Progress → blue, Completed → green
+  // Pending → yellow, In Progress → blue, Completed → green, On Hold/Disputed → orange
   const getStatusBadgeClasses = (status) => {
     const baseClasses = 'px-3 py-1 rounded-full text-xs font-semibold border';
-    const statusLower = status?.toLowerCase() || '';
 
-    switch (statusLower) {
-      case 'pending':
+    switch (normalizeStatus(status)) {
+      case 'Pending':
         return `${baseClasses} bg-accent/20 text-accent border-accent/30`;
-      case 'in progress':
-      case 'inprogress':
+      case 'Confirmed':
+      case 'Accepted':
+      case 'Paid':
+      case 'In Progress':
+      case 'Completed':
         return `${baseClasses} bg-primary/20 text-primary border-primary/30`;
-      case 'completed':
-        return `${baseClasses} bg-primary/20 text-primary border-primary/30`;
-      case 'cancelled':
-      case 'canceled':
+      case 'On Hold':
+      case 'Disputed':
+        return `${baseClasses} bg-orange-100 text-orange-800 border-orange-300`;
+      case 'Rejected':
+      case 'Cancelled':
         return `${baseClasses} bg-red-100 text-red-800 border-red-300`;
       default:
         return `${baseClasses} bg-gray-100 text-gray-800 border-gray-300`;
@@ -33,9 +37,7 @@ const ProjectStatusBadge = ({ status }) => {
   // Format status for display
   const formatStatus = (status) => {
     if (!status) return 'Unknown';
-    const statusLower = status.toLowerCase();
-    if (statusLower === 'inprogress') return 'In Progress';
-    return status.charAt(0).toUpperCase() + status.slice(1).toLowerCase();
+    return normalizeStatus(status) || status.charAt(0).toUpperCase() + status.slice(1).toLowerCase();
   };
 
   return (
@@ -3,7 +3,8 @@ import GoogleMap from './GoogleMap';
 import PlacesAutocomplete from './PlacesAutocomplete';
 import MapErrorBoundary from './MapErrorBoundary';
 import { validateGoogleMapsConfig } from '../../config/googleMapsConfig';
-import { MapPin } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { MapPin, Crosshair } from 'lucide-react';
 
 /**
  * LocationPicker Component
@@ -18,6 +19,12 @@ import { MapPin } from 'lucide-react';
  * - onLocationChange: (location) => void - Callback when location changes
  * - required: boolean - Whether location is required
  * - error: string - Error message to display
+ * - label: string - Field label (default "Property Address")
+ * - allowCurrentLocation: boolean - Show a "Use my current location" button (browser geolocation)
+ *
+ * Locations the user actually chose (autocomplete, map or current location) carry `pinned: true`;
+ * typed addresses keep the previous/default coordinates, so callers that store coordinates should
+ * check `pinned` first.
  * 
  * For FYP: This component provides a complete location selection
  * interface combining address search and map interaction
@@ -27,6 +34,8 @@ const LocationPicker = ({
   onLocationChange,
   required = false,
   error = null,
+  label = 'Property Address',
+  allowCurrentLocation = false,
 }) => {
   // TEMP: Maps disabled due to billing issues
   const mapsEnabled = false;
@@ -35,6 +44,7 @@ const LocationPicker = ({
     location || { lat: 24.8607, lng: 67.0011, address: '' } // Default: Karachi
   );
   const [address, setAddress] = useState(location?.address || '');
+  const [locating, setLocating] = useState(false);
 
   // TEMP: Maps disabled - skip map-related state and effects
   const [envValid, setEnvValid] = useState(true);
@@ -85,6 +95,7 @@ const LocationPicker = ({
       state: data.state,
       country: data.country,
       postalCode: data.postalCode,
+      pinned: true,
     };
 
     setCurrentLocation(newLocation);
@@ -104,6 +115,7 @@ const LocationPicker = ({
       lat: data.lat,
       lng: data.lng,
       address: data.address || currentLocation.address,
+      pinned: true,
     };
 
     setCurrentLocation(newLocation);
@@ -131,6 +143,49 @@ const LocationPicker = ({
     }
   };
 
+  // Works without Maps - coordinates come from the browser
+  const handleUseCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      toast.error('Location is not supported by this browser');
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        const newLocation = {
+          lat: position.coords.latitude,
+          lng: position.coords.longitude,
+          address: address || 'Current location',
+          pinned: true,
+        };
+        setCurrentLocation(newLocation);
+        setAddress(newLocation.address);
+        setLocating(false);
+        if (onLocationChange) {
+          onLocationChange(newLocation);
+        }
+      },
+      (geoError) => {
+        console.error('Error getting current location:', geoError);
+        toast.error('Could not get your current location');
+        setLocating(false);
+      },
+      { timeout: 10000 }
+    );
+  };
+
+  const currentLocationButton = allowCurrentLocation && (
+    <button
+      type="button"
+      onClick={handleUseCurrentLocation}
+      disabled={locating}
+      className="mt-2 inline-flex items-center text-sm text-primary hover:underline disabled:opacity-50"
+    >
+      <Crosshair className="w-4 h-4 mr-1" />
+      {locating ? 'Locating...' : 'Use my current location'}
+    </button>
+  );
+
   // TEMP: Maps disabled - render plain text input only
   if (!mapsEnabled) {
     return (
@@ -138,13 +193,13 @@ const LocationPicker = ({
         <div>
           <label className="block text-sm font-medium text-textSecondary mb-2">
             <MapPin className="w-4 h-4 inline mr-1" />
-            Property Address <span className="text-error">{required ? '*' : ''}</span>
+            {label} <span className="text-error">{required ? '*' : ''}</span>
           </label>
           <input
             type="text"
             value={address}
             onChange={handlePlainTextChange}
-            placeholder="Enter property address..."
+            placeholder={`Enter ${label.toLowerCase()}...`}
             className={`w-full px-3 py-2 border rounded-base focus:border-primary focus:ring-primary ${
               error ? 'border-error' : 'border-muted'
             }`}
@@ -153,6 +208,7 @@ const LocationPicker = ({
           {error && (
             <p className="text-error text-sm mt-1">{error}</p>
           )}
+          {currentLocationButton}
         </div>
       </div>
     );
@@ -183,13 +239,13 @@ const LocationPicker = ({
         <div>
           <label className="block text-sm font-medium text-textSecondary mb-2">
             <MapPin className="w-4 h-4 inline mr-1" />
-            Property Address <span className="text-error">{required ? '*' : ''}</span>
+            {label} <span className="text-error">{required ? '*' : ''}</span>
           </label>
           <input
             type="text"
             value={address}
             onChange={handlePlainTextChange}
-            placeholder="Enter property address manually..."
+            placeholder={`Enter ${label.toLowerCase()} manually...`}
             className={`w-full px-3 py-2 border rounded-base focus:border-primary focus:ring-primary ${
               error ? 'border-error' : 'border-muted'
             }`}
@@ -215,7 +271,7 @@ const LocationPicker = ({
       <div>
         <label className="block text-sm font-medium text-textSecondary mb-2">
           <MapPin className="w-4 h-4 inline mr-1" />
-          Property Address <span className="text-error">{required ? '*' : ''}</span>
+          {label} <span className="text-error">{required ? '*' : ''}</span>
         </label>
         <MapErrorBoundary height="auto">
           <PlacesAutocomplete
@@ -229,6 +285,7 @@ const LocationPicker = ({
         {error && (
           <p className="text-error text-sm mt-1">{error}</p>
         )}
+        {currentLocationButton}
       </div>
 
       {/* TEMP: Maps disabled - Map Display (guarded) */}
@@ -7,10 +7,18 @@ import { Bell, X } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import toast from 'react-hot-toast';
 import notificationService from '../../services/notificationService';
+import NotificationFilterTabs from './NotificationFilterTabs';
+import {
+  countUnreadByFilter,
+  describeGroup,
+  groupNotifications,
+  matchesFilter,
+} from '../../utils/notificationGroups';
 
 /**
  * NotificationBell Component
  * Displays notification bell with unread count and dropdown
+ * The dropdown shows the latest notification groups (one per thread) for the selected category tab.
  */
 const NotificationBell = () => {
   const { currentUser, unreadCount: contextUnreadCount } = useAuth();
@@ -18,6 +26,7 @@ const NotificationBell = () => {
   const [notifications, setNotifications] = useState([]);
   const [isOpen, setIsOpen] = useState(false);
   const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('all');
   const dropdownRef = useRef(null);
   const lastNotificationId = useRef(null);
 
@@ -197,12 +206,17 @@ const NotificationBell = () => {
     };
   }, [currentUser?.uid, db, auth]);
 
-  const handleMarkAsRead = async (notificationId, e) => {
+  const markGroupAsRead = (group) =>
+    Promise.all(
+      group.items.filter((n) => !n.read).map((n) => notificationService.markAsRead(n.id))
+    );
+
+  const handleMarkAsRead = async (group, e) => {
     e.preventDefault();
     e.stopPropagation();
 
     try {
-      await notificationService.markAsRead(notificationId);
+      await markGroupAsRead(group);
     } catch (error) {
       console.error('Error marking notification as read:', error);
       toast.error('Failed to mark notification as read');
@@ -213,10 +227,10 @@ const NotificationBell = () => {
    * Handle notification click - marks as read only, no navigation
    * NOTE: Navigation disabled due to routing issues. Notifications are read-only informational items.
    */
-  const handleNotificationClick = (notification) => {
-    // Mark as read if unread (preserve existing behavior)
-    if (!notification.read) {
-      notificationService.markAsRead(notification.id).catch(console.error);
+  const handleNotificationClick = (group) => {
+    // Mark the whole group as read (preserve existing behavior)
+    if (group.unreadCount > 0) {
+      markGroupAsRead(group).catch(console.error);
     }
     // No navigation - notifications are read-only
   };
@@ -258,7 +272,10 @@ const NotificationBell = () => {
     return null;
   }
 
-  const recentNotifications = notifications.slice(0, 5);
+  const unreadByFilter = countUnreadByFilter(notifications);
+  const recentGroups = groupNotifications(
+    notifications.filter((n) => matchesFilter(n, filter))
+  ).slice(0, 5);
 
   return (
     <div className="relative" ref={dropdownRef}>
@@ -309,72 +326,88 @@ const NotificationBell = () => {
                 <X className="w-4 h-4" />
               </button>
             </div>
+            {notifications.length > 0 && (
+              <div className="border-b border-muted">
+                <NotificationFilterTabs
+                  value={filter}
+                  onChange={setFilter}
+                  counts={unreadByFilter}
+                  compact
+                />
+              </div>
+            )}
 
             {/* Notifications List */}
             <div className="overflow-y-auto flex-1">
               {loading ? (
                 <div className="p-4 text-center text-textSecondary">Loading...</div>
-              ) : recentNotifications.length === 0 ? (
+              ) : recentGroups.length === 0 ? (
                 <div className="p-8 text-center text-textSecondary">
                   <Bell className="w-12 h-12 mx-auto mb-2 text-muted" />
-                  <p>No notifications</p>
+                  <p>
+                    {notifications.length === 0
+                      ? 'No notifications'
+                      : 'No notifications in this category'}
+                  </p>
                 </div>
               ) : (
                 <div className="divide-y divide-muted">
-                  {recentNotifications.map((notification) => (
-                    <div
-                      key={notification.id}
-                      onClick={() => handleNotificationClick(notification)}
-                      onKeyDown={(e) => {
-                        if (e.key === 'Enter' || e.key === ' ') {
-                          e.preventDefault();
-                          handleNotificationClick(notification);
-                        }
-                      }}
-                      role="button"
-                      tabIndex={0}
-                      className={`p-4 hover:bg-muted/30 cursor-pointer transition-colors focus:outline-none focus:ring-2 focus:ring-primary ${
-                        !notification.read ? 'bg-primary/10' : ''
-                      }`}
-                      aria-label={`${notification.title || 'Notification'}: ${notification.message}`}
-                    >
-                      <div className="flex items-start justify-between gap-2">
-                        <div className="flex-1 min-w-0">
-                          <div className="flex items-center gap-2 mb-1">
-                            <span
-                              className={`px-2 py-0.5 text-xs font-medium rounded border ${getTypeColor(
-                                notification.type
-                              )}`}
-                            >
-                              {notification.type || 'info'}
-                            </span>
-                            {!notification.read && (
-                              <span className="w-2 h-2 bg-primary rounded-full"></span>
-                            )}
+                  {recentGroups.map((group) => {
+                    const notification = group.latest;
+                    const { title, message } = describeGroup(group);
+                    return (
+                      <div
+                        key={group.key}
+                        onClick={() => handleNotificationClick(group)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter' || e.key === ' ') {
+                            e.preventDefault();
+                            handleNotificationClick(group);
+                          }
+                        }}
+                        role="button"
+                        tabIndex={0}
+                        className={`p-4 hover:bg-muted/30 cursor-pointer transition-colors focus:outline-none focus:ring-2 focus:ring-primary ${
+                          group.unreadCount > 0 ? 'bg-primary/10' : ''
+                        }`}
+                        aria-label={`${title}: ${message}`}
+                      >
+                        <div className="flex items-start justify-between gap-2">
+                          <div className="flex-1 min-w-0">
+                            <div className="flex items-center gap-2 mb-1">
+                              <span
+                                className={`px-2 py-0.5 text-xs font-medium rounded border ${getTypeColor(
+                                  notification.type
+                                )}`}
+                              >
+                                {notification.type || 'info'}
+                              </span>
+                              {group.unreadCount > 0 && (
+                                <span className="w-2 h-2 bg-primary rounded-full"></span>
+                              )}
+                            </div>
+                            <h4 className="font-semibold text-textMain text-sm mb-1 truncate">
+                              {title}
+                            </h4>
+                            <p className="text-sm text-textSecondary line-clamp-2">{message}</p>
+                            <p className="text-xs text-textSecondary mt-1">
+                              {formatDate(notification.createdAt)}
+                            </p>
                           </div>
-                          <h4 className="font-semibold text-textMain text-sm mb-1 truncate">
-                            {notification.title || 'Notification'}
-                          </h4>
-                          <p className="text-sm text-textSecondary line-clamp-2">
-                            {notification.message}
-                          </p>
-                          <p className="text-xs text-textSecondary mt-1">
-                            {formatDate(notification.createdAt)}
-                          </p>
+                          {group.unreadCount > 0 && (
+                            <button
+                              onClick={(e) => handleMarkAsRead(group, e)}
+                              className="text-primary hover:text-primaryDark text-xs flex-shrink-0 focus:outline-none focus:ring-2 focus:ring-primary rounded px-1"
+                              title="Mark as read"
+                              aria-label="Mark notifications as read"
+                            >
+                              Mark read
+                            </button>
+                          )}
                         </div>
-                        {!notification.read && (
-                          <button
-                            onClick={(e) => handleMarkAsRead(notification.id, e)}
-                            className="text-primary hover:text-primaryDark text-xs flex-shrink-0 focus:outline-none focus:ring-2 focus:ring-primary rounded px-1"
-                            title="Mark as read"
-                            aria-label="Mark notification as read"
-                          >
-                            Mark read
-                          </button>
-                        )}
                       </div>
-                    </div>
-                  ))}
+                    );
+                  })}
                 </div>
               )}
             </div>
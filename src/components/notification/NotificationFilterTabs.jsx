@@ -0,0 +1,35 @@
+import React from 'react';
+import { NOTIFICATION_FILTERS } from '../../utils/notificationGroups';
+
+/**
+ * NotificationFilterTabs Component
+ * Category tabs for the notification bell and page. counts maps filter id → unread count.
+ */
+const NotificationFilterTabs = ({ value, onChange, counts = {}, compact = false }) => (
+  <div className={`flex gap-1 overflow-x-auto ${compact ? 'px-3 py-2' : 'pb-1'}`} role="tablist">
+    {NOTIFICATION_FILTERS.map(({ id, label }) => {
+      const active = value === id;
+      return (
+        <button
+          key={id}
+          type="button"
+          role="tab"
+          aria-selected={active}
+          onClick={() => onChange(id)}
+          className={`flex-shrink-0 rounded-full font-medium transition-colors ${
+            compact ? 'px-2.5 py-0.5 text-xs' : 'px-3 py-1 text-sm'
+          } ${active ? 'bg-primary text-white' : 'bg-muted text-textSecondary hover:text-textMain'}`}
+        >
+          {label}
+          {counts[id] > 0 && (
+            <span className={`ml-1 ${active ? 'text-white/80' : 'text-primary'}`}>
+              {counts[id]}
+            </span>
+          )}
+        </button>
+      );
+    })}
+  </div>
+);
+
+export default NotificationFilterTabs;
@@ -1,14 +1,42 @@
 import React, { useState, useEffect } from 'react';
 import { useSearchParams } from 'react-router-dom';
-import { Grid, List, SortAsc } from 'lucide-react';
+import { Grid, List, SortAsc, BookmarkPlus } from 'lucide-react';
 import propertyService from '../../services/propertyService';
+import { useAuth } from '../../context/AuthContext';
 import PropertyCard from './PropertyCard';
 import PropertyFilters from './PropertyFilters';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
+import SaveSearchModal from './SaveSearchModal';
 import { toast } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
+const SORT_VALUES = ['newest', 'oldest', 'price-low', 'price-high'];
+
+/**
+ * Read initial filters from URL params (used by links from saved searches)
+ * @param {URLSearchParams} searchParams - Current URL params
+ * @param {'all'|'rent'} mode - Browse mode
+ * @returns {Object} - Filter state
+ */
+const getInitialFilters = (searchParams, mode) => {
+  const toNumber = (key) => (searchParams.get(key) ? Number(searchParams.get(key)) : null);
+  const toBoolean = (key) =>
+    searchParams.get(key) === null ? null : searchParams.get(key) === 'true';
+
+  return {
+    type: mode === 'rent' ? 'rent' : searchParams.get('type') || '',
+    status: '',
+    city: searchParams.get('city') || '',
+    minPrice: toNumber('minPrice'),
+    maxPrice: toNumber('maxPrice'),
+    bedrooms: toNumber('bedrooms'),
+    bathrooms: toNumber('bathrooms'),
+    furnished: toBoolean('furnished'),
+    parking: toBoolean('parking'),
+  };
+};
+
 /**
  * BrowsePropertiesBase Component
  * 
@@ -24,7 +52,9 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
   const [searchParams, setSearchParams] = useSearchParams();
   const [properties, setProperties] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [sortBy, setSortBy] = useState('newest');
+  const [sortBy, setSortBy] = useState(
+    SORT_VALUES.includes(searchParams.get('sort')) ? searchParams.get('sort') : 'newest'
+  );
   const [viewMode, setViewMode] = useState('grid');
   const [filtersOpen, setFiltersOpen] = useState(false);
   const [hasMore, setHasMore] = useState(true);
@@ -32,28 +62,8 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
   const ITEMS_PER_PAGE = 12;
   
   // Separate filter state (what user is editing) from applied filters (what's actually used)
-  const [filters, setFilters] = useState({
-    type: mode === 'rent' ? 'rent' : (searchParams.get('type') || ''),
-    status: '',
-    city: '',
-    minPrice: null,
-    maxPrice: null,
-    bedrooms: null,
-    bathrooms: null,
-    furnished: null,
-    parking: null,
-  });
-  const [appliedFilters, setAppliedFilters] = useState({
-    type: mode === 'rent' ? 'rent' : (searchParams.get('type') || ''),
-    status: '',
-    city: '',
-    minPrice: null,
-    maxPrice: null,
-    bedrooms: null,
-    bathrooms: null,
-    furnished: null,
-    parking: null,
-  });
+  const [filters, setFilters] = useState(() => getInitialFilters(searchParams, mode));
+  const [appliedFilters, setAppliedFilters] = useState(() => getInitialFilters(searchParams, mode));
   const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
   const [appliedSearchTerm, setAppliedSearchTerm] = useState(searchParams.get('search') || '');
 
@@ -70,129 +80,54 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
     }
   }, []); // Only run on mount
 
-  // Fetch all properties once on mount, then filter/sort client-side
-  const [allProperties, setAllProperties] = useState([]);
-  
+  // Cursor of the last loaded document, passed to propertyService.getPage for the next page
+  const [cursor, setCursor] = useState(null);
+
+  // Fetch the first page whenever applied filters, sort or search change
   useEffect(() => {
-    const fetchAllProperties = async () => {
+    let cancelled = false;
+
+    const fetchFirstPage = async () => {
       try {
         setLoading(true);
-        // Fetch ALL properties without filters (simple query, no index needed)
-        const allPropertiesData = await propertyService.getAll({}, {});
-        setAllProperties(allPropertiesData || []);
-        setProperties(allPropertiesData || []);
-        setHasMore((allPropertiesData || []).length >= ITEMS_PER_PAGE);
+        const firestoreFilters = buildFirestoreFilters(appliedFilters);
+        const sortOptions = getSortOptions();
+
+        if (appliedSearchTerm.trim()) {
+          // Text search returns a single ranked result set
+          const results = await propertyService.search(appliedSearchTerm, firestoreFilters);
+          if (cancelled) return;
+          setProperties(results || []);
+          setCursor(null);
+          setHasMore(false);
+          return;
+        }
+
+        const page = await propertyService.getPage(firestoreFilters, {
+          ...sortOptions,
+          pageSize: ITEMS_PER_PAGE,
+        });
+        if (cancelled) return;
+        setProperties(page.properties);
+        setCursor(page.cursor);
+        setHasMore(page.hasMore);
       } catch (error) {
         console.error('Error fetching properties:', error);
-        setAllProperties([]);
+        if (cancelled) return;
         setProperties([]);
+        setCursor(null);
+        setHasMore(false);
         toast.error('Failed to load properties');
       } finally {
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
-    fetchAllProperties();
-  }, []); // Only fetch once on mount
-
-  // Apply filters and sorting client-side whenever filters or sort changes
-  useEffect(() => {
-    if (allProperties.length === 0) return;
-
-    let filtered = [...allProperties];
-
-    // For rent mode, always pre-filter for rental properties
-    if (mode === 'rent') {
-      filtered = filtered.filter((p) => {
-        const propertyType = p.listingType || p.type || '';
-        return propertyType.toLowerCase() === 'rent';
-      });
-    }
-
-    // Apply search term filter
-    if (appliedSearchTerm.trim()) {
-      const searchLower = appliedSearchTerm.toLowerCase();
-      filtered = filtered.filter((p) => {
-        const title = (p.title || '').toLowerCase();
-        const description = (p.description || '').toLowerCase();
-        const city = (p.address?.city || p.city || '').toLowerCase();
-        return title.includes(searchLower) || description.includes(searchLower) || city.includes(searchLower);
-      });
-    }
-
-    // Apply all other filters
-    // Force type='rent' for rent mode internally
-    const effectiveFilters = mode === 'rent' 
-      ? { ...appliedFilters, type: 'rent' }
-      : appliedFilters;
-    
-    const firestoreFilters = buildFirestoreFilters(effectiveFilters);
-    
-    if (firestoreFilters.status) {
-      filtered = filtered.filter((p) => p.status === firestoreFilters.status);
-    }
-
-    if (firestoreFilters.type) {
-      filtered = filtered.filter((p) => {
-        const propertyType = p.listingType || p.type || '';
-        return propertyType.toLowerCase() === firestoreFilters.type.toLowerCase();
-      });
-    }
-
-    if (firestoreFilters.city) {
-      const cityLower = firestoreFilters.city.toLowerCase();
-      filtered = filtered.filter((p) => {
-        const propertyCity = p.address?.city?.toLowerCase() || p.city?.toLowerCase() || '';
-        return propertyCity.includes(cityLower);
-      });
-    }
-
-    if (typeof firestoreFilters.minPrice === 'number') {
-      filtered = filtered.filter((p) => (p.price || 0) >= firestoreFilters.minPrice);
-    }
-
-    if (typeof firestoreFilters.maxPrice === 'number') {
-      filtered = filtered.filter((p) => (p.price || 0) <= firestoreFilters.maxPrice);
-    }
-
-    if (typeof firestoreFilters.bedrooms === 'number') {
-      filtered = filtered.filter((p) => (p.bedrooms || 0) >= firestoreFilters.bedrooms);
-    }
-
-    if (typeof firestoreFilters.bathrooms === 'number') {
-      filtered = filtered.filter((p) => (p.bathrooms || 0) >= firestoreFilters.bathrooms);
-    }
-
-    if (firestoreFilters.furnished !== undefined && firestoreFilters.furnished !== null) {
-      filtered = filtered.filter((p) => Boolean(p.furnished) === Boolean(firestoreFilters.furnished));
-    }
-
-    if (firestoreFilters.parking !== undefined && firestoreFilters.parking !== null) {
-      filtered = filtered.filter((p) => Boolean(p.parking) === Boolean(firestoreFilters.parking));
-    }
-
-    // Apply sorting
-    const sortOptions = getSortOptions();
-    if (sortOptions.sortBy === 'createdAt') {
-      filtered.sort((a, b) => {
-        const aTime = a.createdAt?.toMillis?.() || a.createdAt?.seconds || 0;
-        const bTime = b.createdAt?.toMillis?.() || b.createdAt?.seconds || 0;
-        return sortOptions.sortOrder === 'desc' ? bTime - aTime : aTime - bTime;
-      });
-    } else if (sortOptions.sortBy === 'price') {
-      filtered.sort((a, b) => {
-        const aPrice = a.price || 0;
-        const bPrice = b.price || 0;
-        return sortOptions.sortOrder === 'desc' ? bPrice - aPrice : aPrice - bPrice;
-      });
-    }
-
-    // Apply pagination limit
-    const paginated = filtered.slice(0, ITEMS_PER_PAGE);
-    
-    setProperties(paginated);
-    setHasMore(filtered.length > ITEMS_PER_PAGE);
-  }, [allProperties, appliedFilters, sortBy, appliedSearchTerm, mode]);
+    fetchFirstPage();
+    return () => {
+      cancelled = true;
+    };
+  }, [appliedFilters, sortBy, appliedSearchTerm, mode]);
 
   const buildFirestoreFilters = (filterState = appliedFilters) => {
     const firestoreFilters = {};
@@ -204,10 +139,9 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
       firestoreFilters.type = filterState.type;
     }
 
-    // Only add status filter if explicitly set (not empty string)
-    if (filterState.status && filterState.status.trim() !== '') {
-      firestoreFilters.status = filterState.status;
-    }
+    // Browse pages only list published properties unless a status is explicitly chosen
+    firestoreFilters.status =
+      filterState.status && filterState.status.trim() !== '' ? filterState.status : 'published';
 
     if (filterState.city) {
       firestoreFilters.city = filterState.city;
@@ -332,97 +266,29 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
     handleApplyFilters();
   };
 
-  const handleLoadMore = () => {
-    // Client-side pagination: show next page of already filtered results
-    if (loadingMore || !hasMore || allProperties.length === 0) return;
-    
-    setLoadingMore(true);
-    
-    // Re-apply all filters and sorting to get full filtered set
-    let filtered = [...allProperties];
-    
-    // For rent mode, always pre-filter for rental properties
-    if (mode === 'rent') {
-      filtered = filtered.filter((p) => {
-        const propertyType = p.listingType || p.type || '';
-        return propertyType.toLowerCase() === 'rent';
-      });
-    }
-    
-    // Force type='rent' for rent mode internally
-    const effectiveFilters = mode === 'rent' 
-      ? { ...appliedFilters, type: 'rent' }
-      : appliedFilters;
-    
-    const firestoreFilters = buildFirestoreFilters(effectiveFilters);
-    
-    if (appliedSearchTerm.trim()) {
-      const searchLower = appliedSearchTerm.toLowerCase();
-      filtered = filtered.filter((p) => {
-        const title = (p.title || '').toLowerCase();
-        const description = (p.description || '').toLowerCase();
-        const city = (p.address?.city || p.city || '').toLowerCase();
-        return title.includes(searchLower) || description.includes(searchLower) || city.includes(searchLower);
-      });
-    }
-    
-    if (firestoreFilters.status) {
-      filtered = filtered.filter((p) => p.status === firestoreFilters.status);
-    }
-    if (firestoreFilters.type) {
-      filtered = filtered.filter((p) => {
-        const propertyType = p.listingType || p.type || '';
-        return propertyType.toLowerCase() === firestoreFilters.type.toLowerCase();
-      });
-    }
-    if (firestoreFilters.city) {
-      const cityLower = firestoreFilters.city.toLowerCase();
-      filtered = filtered.filter((p) => {
-        const propertyCity = p.address?.city?.toLowerCase() || p.city?.toLowerCase() || '';
-        return propertyCity.includes(cityLower);
-      });
-    }
-    if (typeof firestoreFilters.minPrice === 'number') {
-      filtered = filtered.filter((p) => (p.price || 0) >= firestoreFilters.minPrice);
-    }
-    if (typeof firestoreFilters.maxPrice === 'number') {
-      filtered = filtered.filter((p) => (p.price || 0) <= firestoreFilters.maxPrice);
-    }
-    if (typeof firestoreFilters.bedrooms === 'number') {
-      filtered = filtered.filter((p) => (p.bedrooms || 0) >= firestoreFilters.bedrooms);
-    }
-    if (typeof firestoreFilters.bathrooms === 'number') {
-      filtered = filtered.filter((p) => (p.bathrooms || 0) >= firestoreFilters.bathrooms);
-    }
-    if (firestoreFilters.furnished !== undefined && firestoreFilters.furnished !== null) {
-      filtered = filtered.filter((p) => Boolean(p.furnished) === Boolean(firestoreFilters.furnished));
-    }
-    if (firestoreFilters.parking !== undefined && firestoreFilters.parking !== null) {
-      filtered = filtered.filter((p) => Boolean(p.parking) === Boolean(firestoreFilters.parking));
-    }
-    
-    // Apply sorting
-    const sortOptions = getSortOptions();
-    if (sortOptions.sortBy === 'createdAt') {
-      filtered.sort((a, b) => {
-        const aTime = a.createdAt?.toMillis?.() || a.createdAt?.seconds || 0;
-        const bTime = b.createdAt?.toMillis?.() || b.createdAt?.seconds || 0;
-        return sortOptions.sortOrder === 'desc' ? bTime - aTime : aTime - bTime;
-      });
-    } else if (sortOptions.sortBy === 'price') {
-      filtered.sort((a, b) => {
-        const aPrice = a.price || 0;
-        const bPrice = b.price || 0;
-        return sortOptions.sortOrder === 'desc' ? bPrice - aPrice : aPrice - bPrice;
+  // Save the applied filters, search term and sort as a named search
+  const { currentUser } = useAuth();
+  const [saveModalOpen, setSaveModalOpen] = useState(false);
+
+  const handleLoadMore = async () => {
+    if (loadingMore || !hasMore || !cursor) return;
+
+    try {
+      setLoadingMore(true);
+      const page = await propertyService.getPage(buildFirestoreFilters(appliedFilters), {
+        ...getSortOptions(),
+        pageSize: ITEMS_PER_PAGE,
+        cursor,
       });
+      setProperties((prev) => [...prev, ...page.properties]);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more properties:', error);
+      toast.error('Failed to load more properties');
+    } finally {
+      setLoadingMore(false);
     }
-    
-    // Get next page
-    const nextPageCount = properties.length + ITEMS_PER_PAGE;
-    const nextPageFiltered = filtered.slice(0, nextPageCount);
-    setProperties(nextPageFiltered);
-    setHasMore(filtered.length > nextPageFiltered.length);
-    setLoadingMore(false);
   };
 
   if (loading) {
@@ -459,7 +325,7 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
         {/* Filters Sidebar */}
         <div className="lg:w-64 flex-shrink-0">
           <PropertyFilters
-            filters={filters}
+            filters={{ ...filters, keywords: appliedSearchTerm }}
             onFiltersChange={(newFilters) => {
               // Update filter state
               handleFiltersChange(newFilters);
@@ -483,6 +349,11 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
               }
               setAppliedFilters(convertedFilters);
               setHasMore(true);
+              // Keywords from the filter panel drive the same ranked search as the search bar
+              if (newFilters.keywords !== undefined) {
+                setSearchTerm(newFilters.keywords);
+                setAppliedSearchTerm(newFilters.keywords);
+              }
             }}
             isOpen={filtersOpen}
             onToggle={() => setFiltersOpen(!filtersOpen)}
@@ -500,6 +371,13 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
             </div>
 
             <div className="flex items-center space-x-4">
+              {currentUser && (
+                <Button variant="outline" size="sm" onClick={() => setSaveModalOpen(true)}>
+                  <BookmarkPlus className="w-4 h-4 mr-2" />
+                  Save Search
+                </Button>
+              )}
+
               {/* Sort Dropdown */}
               <div className="flex items-center space-x-2">
                 <SortAsc className="w-4 h-4 text-textSecondary" />
@@ -586,6 +464,13 @@ const BrowsePropertiesBase = ({ mode = 'all', title, description }) => {
           )}
         </div>
       </div>
+
+      <SaveSearchModal
+        isOpen={saveModalOpen}
+        onClose={() => setSaveModalOpen(false)}
+        filters={{ ...appliedFilters, keywords: appliedSearchTerm }}
+        sort={sortBy}
+      />
     </div>
   );
 };
@@ -5,7 +5,8 @@ import Button from '../common/Button';
 /**
  * PropertyFilters Component
  * Filter component specifically designed for properties (not products)
- * Supports: type, city, price range (PKR), bedrooms, bathrooms, furnished, parking
+ * Supports: keywords, type, city, price range (PKR), bedrooms, bathrooms, furnished, parking
+ * Keywords are matched by propertyService.search (typo-tolerant, ranked by relevance)
  * @param {Object} props
  * @param {Object} props.filters - Current filter values
  * @param {Function} props.onFiltersChange - Callback when filters change
@@ -16,6 +17,7 @@ import Button from '../common/Button';
 const PropertyFilters = ({ filters, onFiltersChange, isOpen, onToggle, hideTypeFilter = false }) => {
   // Initialize with property-specific defaults
   const defaultFilters = {
+    keywords: filters?.keywords || '',
     type: filters?.type || '',
     city: filters?.city || '',
     minPrice: filters?.minPrice ?? null,
@@ -39,6 +41,7 @@ const PropertyFilters = ({ filters, onFiltersChange, isOpen, onToggle, hideTypeF
 
   const clearFilters = () => {
     const resetFilters = {
+      keywords: '',
       type: '',
       city: '',
       minPrice: null,
@@ -53,6 +56,7 @@ const PropertyFilters = ({ filters, onFiltersChange, isOpen, onToggle, hideTypeF
   };
 
   const activeFilterCount = [
+    localFilters.keywords,
     localFilters.type,
     localFilters.city,
     localFilters.minPrice,
@@ -108,6 +112,18 @@ const PropertyFilters = ({ filters, onFiltersChange, isOpen, onToggle, hideTypeF
         </div>
 
         <div className="space-y-6">
+          {/* Keywords */}
+          <div>
+            <h3 className="text-sm font-semibold text-textMain mb-3">Keywords</h3>
+            <input
+              type="text"
+              value={localFilters.keywords || ''}
+              onChange={(e) => handleFilterChange('keywords', e.target.value)}
+              placeholder="e.g. furnished apartment lahore"
+              className="w-full px-3 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface text-textMain text-sm"
+            />
+          </div>
+
           {/* Property Type - Hidden if hideTypeFilter is true */}
           {!hideTypeFilter && (
             <div>
@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from '../../context/AuthContext';
+import savedSearchService from '../../services/savedSearchService';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+/**
+ * SaveSearchModal Component
+ * Names the current filters + sort and stores them as a saved search with an alert mode.
+ * Used by the browse pages and GlobalSearch.
+ *
+ * @param {boolean} isOpen - Whether the modal is visible
+ * @param {Function} onClose - Close handler
+ * @param {Object} filters - Filters to save (including `keywords`)
+ * @param {string} sort - Sort option to save
+ */
+const SaveSearchModal = ({ isOpen, onClose, filters, sort = 'newest' }) => {
+  const { currentUser } = useAuth();
+  const [name, setName] = useState('');
+  const [alertMode, setAlertMode] = useState('instant');
+  const [saving, setSaving] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!currentUser) {
+      toast.error('Please sign in to save searches');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await savedSearchService.create(currentUser.uid, { name, filters, sort, alertMode });
+      toast.success('Search saved. Manage it from My Account.');
+      setName('');
+      setAlertMode('instant');
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to save search');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="Save Search" size="sm">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div>
+          <label className="block text-sm font-medium text-textMain mb-2">Name</label>
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g. 2-bed rentals in Lahore"
+            required
+            className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface text-textMain"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-textMain mb-2">New listing alerts</label>
+          <select
+            value={alertMode}
+            onChange={(e) => setAlertMode(e.target.value)}
+            className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface text-textMain"
+          >
+            <option value="instant">Instantly</option>
+            <option value="daily">Daily digest</option>
+            <option value="off">No alerts</option>
+          </select>
+        </div>
+        <div className="flex justify-end gap-2">
+          <Button type="button" variant="outline" onClick={onClose}>
+            Cancel
+          </Button>
+          <Button type="submit" loading={saving} disabled={saving}>
+            Save
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default SaveSearchModal;
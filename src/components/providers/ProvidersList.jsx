@@ -2,14 +2,38 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, Link } from 'react-router-dom';
 import { collection, getDocs, query, where, onSnapshot, orderBy } from 'firebase/firestore';
 import { db } from '../../firebase';
-import { Building2, Wrench, Star, MapPin, Filter, Search, CheckCircle } from 'lucide-react';
+import { Building2, Wrench, Star, MapPin, Filter, Search, CheckCircle, Clock } from 'lucide-react';
 import Button from '../common/Button';
 import LoadingSpinner from '../common/LoadingSpinner';
+import LocationPicker from '../maps/LocationPicker';
 import toast from 'react-hot-toast';
 import { useAuth } from '../../context/AuthContext';
+import providerService from '../../services/providerService';
+import {
+  DEFAULT_RADIUS_KM,
+  PROVIDER_AVAILABILITY,
+  SEARCH_RADII_KM,
+  formatResponseTime,
+  getAvailability,
+  getProviderRating,
+  getProviderServices,
+  matchesProviderFilters,
+  rankProviders,
+} from '../../utils/providerSearch';
+
+const EMPTY_FILTERS = {
+  specialization: '',
+  minBudget: '',
+  maxBudget: '',
+  minRating: '',
+  minExperience: '',
+  availability: '',
+};
 
 /**
  * ProvidersList - Reusable component for displaying providers
+ * Picking a location searches providers within a radius of it (by geohash); results are filtered
+ * and ranked by rating, review count, response time and distance (see utils/providerSearch).
  * @param {string} type - "construction" or "renovation"
  * @param {string} title - Page title
  * @param {string} description - Page description
@@ -21,10 +45,14 @@ const ProvidersList = ({ type, title, description }) => {
   const [filteredProviders, setFilteredProviders] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
-  const [filters, setFilters] = useState({
-    city: '',
-    specialization: '',
-  });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [searchCenter, setSearchCenter] = useState(null);
+  const [radiusKm, setRadiusKm] = useState(DEFAULT_RADIUS_KM);
+  // null until a location is picked; then the providers within radiusKm of it
+  const [nearbyProviders, setNearbyProviders] = useState(null);
+  const [nearbyLoading, setNearbyLoading] = useState(false);
+  // Remounts the LocationPicker so clearing filters also clears its address
+  const [locationKey, setLocationKey] = useState(0);
 
   // Validate type prop
   const providerType = type === 'construction' ? 'construction' : 'renovation';
@@ -32,21 +60,8 @@ const ProvidersList = ({ type, title, description }) => {
   const Icon = providerType === 'construction' ? Building2 : Wrench;
   const providerLabel = providerType === 'construction' ? 'Constructor' : 'Renovator';
 
-  // Get unique cities and services for filters
-  const cities = [...new Set(providers.map((p) => p.location || p.city).filter(Boolean))].sort();
-  const services = [
-    ...new Set(
-      providers
-        .flatMap((p) => {
-          if (Array.isArray(p.servicesOffered)) return p.servicesOffered;
-          if (Array.isArray(p.specialization)) return p.specialization;
-          if (Array.isArray(p.expertise)) return p.expertise;
-          return [p.servicesOffered || p.specialization || p.expertise].filter(Boolean);
-        })
-        .filter(Boolean)
-        .map(s => typeof s === 'string' ? s : String(s))
-    ),
-  ].sort();
+  // Get unique services for the filter
+  const services = [...new Set(providers.flatMap(getProviderServices))].sort();
 
   useEffect(() => {
     if (!db) {
@@ -392,44 +407,50 @@ const ProvidersList = ({ type, title, description }) => {
     return () => unsubscribe();
   }, [providerType, collectionName, providerLabel]);
 
-  // Apply filters and search
+  // Nearby search - only for locations the user pinned (typed addresses have no real coordinates)
   useEffect(() => {
-    console.log(`🔍 DEBUG [${providerType}]: Filtering providers - Total:`, providers.length);
-    console.log(`🔍 DEBUG [${providerType}]: Active filters:`, { city: filters.city, specialization: filters.specialization, searchTerm });
-    
-    let filtered = [...providers];
+    if (!searchCenter?.pinned) {
+      setNearbyProviders(null);
+      return undefined;
+    }
 
-    // Apply location filter
-    if (filters.city) {
-      const beforeCount = filtered.length;
-      filtered = filtered.filter((p) => {
-        const location = (p.location || p.city || '').toLowerCase();
-        return location === filters.city.toLowerCase();
+    let active = true;
+    setNearbyLoading(true);
+    providerService
+      .searchNearby(providerType, searchCenter, radiusKm)
+      .then((results) => {
+        if (active) setNearbyProviders(results);
+      })
+      .catch((error) => {
+        if (active) {
+          toast.error(error.message || 'Failed to search nearby providers');
+          setNearbyProviders(null);
+        }
+      })
+      .finally(() => {
+        if (active) setNearbyLoading(false);
       });
-      console.log(`🔍 DEBUG [${providerType}]: After city filter (${filters.city}): ${filtered.length} of ${beforeCount}`);
-    }
+    return () => {
+      active = false;
+    };
+  }, [providerType, searchCenter, radiusKm]);
+
+  const baseProviders = nearbyProviders || providers;
+
+  // Apply filters and search, then rank
+  useEffect(() => {
+    let filtered = baseProviders.filter((p) => matchesProviderFilters(p, filters));
 
     // Apply specialization filter
     if (filters.specialization) {
-      const beforeCount = filtered.length;
-      filtered = filtered.filter((p) => {
-        const services = Array.isArray(p.servicesOffered)
-          ? p.servicesOffered
-          : Array.isArray(p.specialization)
-            ? p.specialization
-            : Array.isArray(p.expertise)
-              ? p.expertise
-              : [p.servicesOffered || p.specialization || p.expertise].filter(Boolean);
-        return services.some((service) =>
-          String(service)?.toLowerCase().includes(filters.specialization.toLowerCase())
-        );
-      });
-      console.log(`🔍 DEBUG [${providerType}]: After specialization filter (${filters.specialization}): ${filtered.length} of ${beforeCount}`);
+      const specialization = filters.specialization.toLowerCase();
+      filtered = filtered.filter((p) =>
+        getProviderServices(p).some((service) => service.toLowerCase().includes(specialization))
+      );
     }
 
     // Apply search term
     if (searchTerm.trim()) {
-      const beforeCount = filtered.length;
       const term = searchTerm.toLowerCase();
       filtered = filtered.filter((p) => {
         const name = p.name || p.fullName || '';
@@ -438,28 +459,26 @@ const ProvidersList = ({ type, title, description }) => {
         const nameMatch = name.toLowerCase().includes(term);
         const cityMatch = location.toLowerCase().includes(term);
         const companyMatch = companyName.toLowerCase().includes(term);
-        const services = Array.isArray(p.servicesOffered)
-          ? p.servicesOffered
-          : Array.isArray(p.specialization)
-            ? p.specialization
-            : Array.isArray(p.expertise)
-              ? p.expertise
-              : [];
-        const serviceMatch = services.some((s) => String(s).toLowerCase().includes(term));
+        const serviceMatch = getProviderServices(p).some((s) => s.toLowerCase().includes(term));
         return nameMatch || cityMatch || companyMatch || serviceMatch;
       });
-      console.log(`🔍 DEBUG [${providerType}]: After search filter (${searchTerm}): ${filtered.length} of ${beforeCount}`);
     }
 
-    console.log(`✅ FINAL [${providerType}]: Filtered providers count:`, filtered.length, 'of', providers.length);
-    console.log(`✅ DEBUG [${providerType}]: Filtered providers array:`, filtered);
-    if (filtered.length === 0 && providers.length > 0) {
-      console.warn(`⚠️ WARNING [${providerType}]: All ${providers.length} providers were filtered out!`);
-      console.warn(`⚠️ DEBUG [${providerType}]: Active filters:`, { city: filters.city, specialization: filters.specialization, searchTerm });
-      console.warn(`⚠️ DEBUG [${providerType}]: First provider data:`, providers[0]);
-    }
-    setFilteredProviders(filtered);
-  }, [providers, filters, searchTerm, providerType]);
+    setFilteredProviders(rankProviders(filtered, nearbyProviders ? radiusKm : null));
+  }, [baseProviders, nearbyProviders, filters, searchTerm, radiusKm]);
+
+  const hasActiveFilters =
+    Object.values(filters).some(Boolean) || !!searchTerm || !!searchCenter?.pinned;
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setSearchTerm('');
+    setSearchCenter(null);
+    setRadiusKm(DEFAULT_RADIUS_KM);
+    setLocationKey((key) => key + 1);
+  };
+
+  const updateFilter = (name) => (e) => setFilters((prev) => ({ ...prev, [name]: e.target.value }));
 
   const handleRequestService = (providerId) => {
     if (!user) {
@@ -518,27 +537,44 @@ const ProvidersList = ({ type, title, description }) => {
             </div>
           </div>
 
-          {/* Filter Options */}
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {/* Location */}
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div className="md:col-span-2">
+              <LocationPicker
+                key={locationKey}
+                location={searchCenter}
+                onLocationChange={setSearchCenter}
+                label="Near"
+                allowCurrentLocation
+              />
+            </div>
             <div>
               <label className="block text-sm font-medium text-textMain mb-2">
                 <MapPin className="w-4 h-4 inline mr-1" />
-                Filter by Location
+                Within
               </label>
               <select
-                value={filters.city}
-                onChange={(e) => setFilters((prev) => ({ ...prev, city: e.target.value }))}
-                className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface"
+                value={radiusKm}
+                onChange={(e) => setRadiusKm(Number(e.target.value))}
+                disabled={!searchCenter?.pinned}
+                className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface disabled:opacity-50"
               >
-                <option value="">All Locations</option>
-                {cities.map((city) => (
-                  <option key={city} value={city}>
-                    {city}
+                {SEARCH_RADII_KM.map((radius) => (
+                  <option key={radius} value={radius}>
+                    {radius} km
                   </option>
                 ))}
               </select>
+              {!searchCenter?.pinned && (
+                <p className="text-xs text-textSecondary mt-1">
+                  Use your current location to search by distance
+                </p>
+              )}
             </div>
+          </div>
 
+          {/* Filter Options */}
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             <div>
               <label className="block text-sm font-medium text-textMain mb-2">
                 <Filter className="w-4 h-4 inline mr-1" />
@@ -546,9 +582,7 @@ const ProvidersList = ({ type, title, description }) => {
               </label>
               <select
                 value={filters.specialization}
-                onChange={(e) =>
-                  setFilters((prev) => ({ ...prev, specialization: e.target.value }))
-                }
+                onChange={updateFilter('specialization')}
                 className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface"
               >
                 <option value="">All Services</option>
@@ -559,19 +593,88 @@ const ProvidersList = ({ type, title, description }) => {
                 ))}
               </select>
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-textMain mb-2">Budget (PKR)</label>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.minBudget}
+                  onChange={updateFilter('minBudget')}
+                  placeholder="Min"
+                  className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  value={filters.maxBudget}
+                  onChange={updateFilter('maxBudget')}
+                  placeholder="Max"
+                  className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-textMain mb-2">
+                <Star className="w-4 h-4 inline mr-1" />
+                Minimum Rating
+              </label>
+              <select
+                value={filters.minRating}
+                onChange={updateFilter('minRating')}
+                className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface"
+              >
+                <option value="">Any Rating</option>
+                {[4.5, 4, 3].map((rating) => (
+                  <option key={rating} value={rating}>
+                    {rating}+ stars
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-textMain mb-2">Experience</label>
+              <select
+                value={filters.minExperience}
+                onChange={updateFilter('minExperience')}
+                className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface"
+              >
+                <option value="">Any Experience</option>
+                {[1, 3, 5, 10].map((years) => (
+                  <option key={years} value={years}>
+                    {years}+ years
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-textMain mb-2">
+                <Clock className="w-4 h-4 inline mr-1" />
+                Availability
+              </label>
+              <select
+                value={filters.availability}
+                onChange={updateFilter('availability')}
+                className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface"
+              >
+                <option value="">Any Availability</option>
+                {Object.entries(PROVIDER_AVAILABILITY).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
 
           {/* Clear Filters */}
-          {(filters.city || filters.specialization || searchTerm) && (
+          {hasActiveFilters && (
             <div className="mt-4">
-              <Button
-                variant="outline"
-                size="sm"
-                onClick={() => {
-                  setFilters({ city: '', specialization: '' });
-                  setSearchTerm('');
-                }}
-              >
+              <Button variant="outline" size="sm" onClick={clearFilters}>
                 Clear Filters
               </Button>
             </div>
@@ -581,7 +684,11 @@ const ProvidersList = ({ type, title, description }) => {
         {/* Results Count */}
         <div className="mb-6">
           <p className="text-textSecondary">
-            Showing {filteredProviders.length} of {providers.length} providers
+            {nearbyLoading
+              ? 'Searching nearby providers...'
+              : nearbyProviders
+                ? `Showing ${filteredProviders.length} of ${nearbyProviders.length} providers within ${radiusKm} km`
+                : `Showing ${filteredProviders.length} of ${providers.length} providers`}
           </p>
         </div>
 
@@ -605,22 +712,16 @@ const ProvidersList = ({ type, title, description }) => {
             <Icon className="w-16 h-16 mx-auto text-muted mb-4" />
             <h3 className="text-xl font-semibold text-textMain mb-2">No Providers Match Your Filters</h3>
             <p className="text-textSecondary mb-6">
-              Try adjusting your filters or search criteria. ({providers.length} providers available)
+              Try adjusting your filters, search radius or search criteria. ({providers.length} providers available)
             </p>
-            <Button
-              variant="outline"
-              onClick={() => {
-                setFilters({ city: '', specialization: '' });
-                setSearchTerm('');
-              }}
-            >
+            <Button variant="outline" onClick={clearFilters}>
               Clear All Filters
             </Button>
           </div>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
             {filteredProviders.map((provider) => {
-              console.log(`🔍 RENDERING [${providerType}]: Provider ${provider.id} - ${provider.name}`);
+              const availability = getAvailability(provider);
               return (
               <div
                 key={provider.id}
@@ -663,8 +764,13 @@ const ProvidersList = ({ type, title, description }) => {
                   <div className="flex items-center mb-3">
                     <Star className="w-5 h-5 text-accent fill-current" />
                     <span className="ml-2 text-sm text-textSecondary">
-                      {formatRating(provider.rating)}
+                      {formatRating(getProviderRating(provider))}
                     </span>
+                    {provider.totalReviews > 0 && (
+                      <span className="ml-2 text-xs text-textSecondary">
+                        ({provider.totalReviews} reviews)
+                      </span>
+                    )}
                     {provider.totalProjects > 0 && (
                       <span className="ml-2 text-xs text-textSecondary">
                         ({provider.totalProjects} projects)
@@ -679,31 +785,46 @@ const ProvidersList = ({ type, title, description }) => {
                       {typeof provider.location === 'string'
                         ? provider.location
                         : provider.city || 'Location not provided'}
+                      {typeof provider.distanceKm === 'number' && ` · ${provider.distanceKm} km away`}
                     </p>
                   </div>
                   {provider.officeAddress && (
                     <p className="text-sm text-textSecondary mb-3">{provider.officeAddress}</p>
                   )}
 
+                  {/* Availability and response time */}
+                  <div className="flex flex-wrap items-center gap-2 mb-3 text-xs">
+                    <span
+                      className={`px-2 py-1 rounded-full font-medium ${
+                        availability === 'available'
+                          ? 'bg-green-100 text-green-800'
+                          : availability === 'limited'
+                            ? 'bg-yellow-100 text-yellow-800'
+                            : 'bg-red-100 text-red-800'
+                      }`}
+                    >
+                      {PROVIDER_AVAILABILITY[availability]}
+                    </span>
+                    {typeof provider.avgResponseHours === 'number' && (
+                      <span className="flex items-center text-textSecondary">
+                        <Clock className="w-3 h-3 mr-1" />
+                        {formatResponseTime(provider.avgResponseHours)}
+                      </span>
+                    )}
+                  </div>
+
                   {/* Services Offered */}
                   <div className="mb-4">
                     <p className="text-xs text-textSecondary mb-1">Services:</p>
                     <div className="flex flex-wrap gap-1">
-                      {(Array.isArray(provider.servicesOffered)
-                        ? provider.servicesOffered
-                        : Array.isArray(provider.specialization)
-                          ? provider.specialization
-                          : Array.isArray(provider.expertise)
-                            ? provider.expertise
-                            : [provider.servicesOffered || provider.specialization || provider.expertise].filter(Boolean)
-                      )
+                      {getProviderServices(provider)
                         .slice(0, 3)
                         .map((spec, index) => (
                           <span
                             key={index}
                             className="px-2 py-1 bg-primary/10 text-primary text-xs rounded-base"
                           >
-                            {typeof spec === 'string' ? spec : JSON.stringify(spec)}
+                            {spec}
                           </span>
                         ))}
                     </div>
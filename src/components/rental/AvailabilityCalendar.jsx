@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import { toDateKey } from '../../services/availabilityService';
+
+const WEEKDAYS = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
+
+/**
+ * AvailabilityCalendar Component
+ * Month view of a rental's booked and blocked days, with the tenant's selected range highlighted.
+ * Ranges are half-open, so a range's end date (move-out day) is shown as free.
+ *
+ * @param {Object} availability - { bookedRanges, blockedRanges } from availabilityService
+ * @param {Object} selectedRange - Optional { startDate, endDate } to highlight
+ */
+const AvailabilityCalendar = ({ availability, selectedRange = null }) => {
+  const [visibleMonth, setVisibleMonth] = useState(() => {
+    const today = new Date();
+    return new Date(today.getFullYear(), today.getMonth(), 1);
+  });
+
+  const todayKey = toDateKey(new Date());
+
+  const days = useMemo(() => {
+    const year = visibleMonth.getFullYear();
+    const month = visibleMonth.getMonth();
+    const daysInMonth = new Date(year, month + 1, 0).getDate();
+    const leadingBlanks = new Array(visibleMonth.getDay()).fill(null);
+    const monthDays = Array.from({ length: daysInMonth }, (_, i) => toDateKey(new Date(year, month, i + 1)));
+    return [...leadingBlanks, ...monthDays];
+  }, [visibleMonth]);
+
+  const inRange = (dateKey, range) => range.startDate <= dateKey && dateKey < range.endDate;
+
+  const getDayState = (dateKey) => {
+    if ((availability?.bookedRanges || []).some((r) => inRange(dateKey, r))) return 'booked';
+    if ((availability?.blockedRanges || []).some((r) => inRange(dateKey, r))) return 'blocked';
+    if (dateKey < todayKey) return 'past';
+    return 'free';
+  };
+
+  const dayClasses = {
+    booked: 'bg-red-100 text-red-600 line-through',
+    blocked: 'bg-muted text-textSecondary line-through',
+    past: 'text-textSecondary opacity-50',
+    free: 'text-textMain',
+  };
+
+  const isSelected = (dateKey) =>
+    selectedRange?.startDate &&
+    selectedRange?.endDate &&
+    selectedRange.startDate <= dateKey &&
+    dateKey < selectedRange.endDate;
+
+  const changeMonth = (offset) =>
+    setVisibleMonth((prev) => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
+
+  return (
+    <div className="border border-muted rounded-base p-3">
+      <div className="flex items-center justify-between mb-2">
+        <button
+          type="button"
+          onClick={() => changeMonth(-1)}
+          className="p-1 text-textSecondary hover:text-primary transition-colors"
+          aria-label="Previous month"
+        >
+          <ChevronLeft className="w-4 h-4" />
+        </button>
+        <span className="text-sm font-medium text-textMain">
+          {visibleMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+        </span>
+        <button
+          type="button"
+          onClick={() => changeMonth(1)}
+          className="p-1 text-textSecondary hover:text-primary transition-colors"
+          aria-label="Next month"
+        >
+          <ChevronRight className="w-4 h-4" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-7 gap-1 text-center text-xs">
+        {WEEKDAYS.map((weekday) => (
+          <span key={weekday} className="font-medium text-textSecondary py-1">
+            {weekday}
+          </span>
+        ))}
+        {days.map((dateKey, index) =>
+          dateKey ? (
+            <span
+              key={dateKey}
+              title={getDayState(dateKey) === 'free' ? dateKey : `${dateKey} (${getDayState(dateKey)})`}
+              className={`py-1 rounded ${
+                isSelected(dateKey) ? 'bg-primary text-white' : dayClasses[getDayState(dateKey)]
+              }`}
+            >
+              {Number(dateKey.slice(-2))}
+            </span>
+          ) : (
+            <span key={`blank-${index}`} />
+          )
+        )}
+      </div>
+
+      <div className="flex flex-wrap gap-3 mt-3 text-xs text-textSecondary">
+        <span className="flex items-center">
+          <span className="w-3 h-3 rounded bg-red-100 mr-1" /> Booked
+        </span>
+        <span className="flex items-center">
+          <span className="w-3 h-3 rounded bg-muted mr-1" /> Blocked
+        </span>
+        {selectedRange && (
+          <span className="flex items-center">
+            <span className="w-3 h-3 rounded bg-primary mr-1" /> Your dates
+          </span>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AvailabilityCalendar;
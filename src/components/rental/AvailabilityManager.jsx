@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { Calendar, Trash2, Lock } from 'lucide-react';
+import toast from 'react-hot-toast';
+import availabilityService, { addDays, toDateKey } from '../../services/availabilityService';
+import AvailabilityCalendar from './AvailabilityCalendar';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+/**
+ * AvailabilityManager Component
+ * Lets a rental owner block date ranges (maintenance, personal use) and see accepted bookings.
+ * Used in MyRentals and in AddRental's edit mode.
+ *
+ * @param {string} propertyId - Rental property ID
+ */
+const AvailabilityManager = ({ propertyId }) => {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [availability, setAvailability] = useState(null);
+  // `until` is the last blocked day (inclusive); it is stored as a half-open range
+  const [blockForm, setBlockForm] = useState({ from: '', until: '', note: '' });
+
+  useEffect(() => {
+    const loadAvailability = async () => {
+      try {
+        setLoading(true);
+        setAvailability(await availabilityService.getAvailability(propertyId));
+      } catch (error) {
+        console.error('Error loading availability:', error);
+        toast.error('Failed to load availability');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (propertyId) loadAvailability();
+  }, [propertyId]);
+
+  const handleBlock = async () => {
+    if (!blockForm.from || !blockForm.until) {
+      toast.error('Choose the first and last day to block');
+      return;
+    }
+    if (blockForm.until < blockForm.from) {
+      toast.error('The last blocked day cannot be before the first');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const block = await availabilityService.blockDates(propertyId, {
+        startDate: blockForm.from,
+        endDate: addDays(blockForm.until, 1),
+        note: blockForm.note,
+      });
+      setAvailability((prev) => ({ ...prev, blockedRanges: [...prev.blockedRanges, block] }));
+      setBlockForm({ from: '', until: '', note: '' });
+      toast.success('Dates blocked');
+    } catch (error) {
+      toast.error(error.message || 'Failed to block dates');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUnblock = async (blockId) => {
+    try {
+      await availabilityService.unblockDates(propertyId, blockId);
+      setAvailability((prev) => ({
+        ...prev,
+        blockedRanges: prev.blockedRanges.filter((r) => r.id !== blockId),
+      }));
+      toast.success('Dates unblocked');
+    } catch (error) {
+      toast.error(error.message || 'Failed to unblock dates');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  const todayKey = toDateKey(new Date());
+  const upcomingBookings = (availability?.bookedRanges || []).filter((r) => r.endDate > todayKey);
+
+  return (
+    <div className="space-y-4">
+      <AvailabilityCalendar availability={availability} />
+
+      {/* Not a <form>: this section is rendered inside AddRental's form */}
+      <div className="space-y-3">
+        <div className="grid grid-cols-2 gap-3">
+          <Input
+            label="Block from"
+            type="date"
+            value={blockForm.from}
+            onChange={(e) => setBlockForm({ ...blockForm, from: e.target.value })}
+            leftIcon={<Calendar className="w-4 h-4" />}
+            min={todayKey}
+          />
+          <Input
+            label="Until (inclusive)"
+            type="date"
+            value={blockForm.until}
+            onChange={(e) => setBlockForm({ ...blockForm, until: e.target.value })}
+            leftIcon={<Calendar className="w-4 h-4" />}
+            min={blockForm.from || todayKey}
+          />
+        </div>
+        <Input
+          label="Note (optional)"
+          value={blockForm.note}
+          onChange={(e) => setBlockForm({ ...blockForm, note: e.target.value })}
+          placeholder="e.g. Maintenance"
+        />
+        <Button type="button" size="sm" onClick={handleBlock} loading={saving} disabled={saving}>
+          <Lock className="w-4 h-4 mr-2" />
+          Block Dates
+        </Button>
+      </div>
+
+      {availability?.blockedRanges?.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-textMain mb-2">Blocked periods</h4>
+          <ul className="space-y-2">
+            {availability.blockedRanges.map((block) => (
+              <li
+                key={block.id}
+                className="flex items-center justify-between text-sm border border-muted rounded-base px-3 py-2"
+              >
+                <span className="text-textSecondary">
+                  {block.startDate} to {addDays(block.endDate, -1)}
+                  {block.note && ` · ${block.note}`}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => handleUnblock(block.id)}
+                  className="text-textSecondary hover:text-red-500 transition-colors"
+                  title="Unblock"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {upcomingBookings.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-textMain mb-2">Accepted bookings</h4>
+          <ul className="space-y-1 text-sm text-textSecondary">
+            {upcomingBookings.map((booking) => (
+              <li key={booking.requestId}>
+                {booking.startDate} to {booking.endDate} (move-out)
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityManager;
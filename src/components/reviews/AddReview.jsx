@@ -4,20 +4,33 @@ import reviewsService from '../../services/reviewsService';
 import { Star, Send, X } from 'lucide-react';
 import Button from '../common/Button';
 import Input from '../common/Input';
+import CategoryRatingsInput from './CategoryRatingsInput';
+import ReviewPhotosInput from './ReviewPhotosInput';
+import { getRatingCategories } from '../../utils/reviewRatings';
 import toast from 'react-hot-toast';
 
-const AddReview = ({ targetId, targetType = 'construction', onReviewAdded, existingReview }) => {
+const AddReview = ({
+  targetId,
+  targetType = 'construction',
+  projectId,
+  onReviewAdded,
+  existingReview,
+}) => {
   const { currentUser, userProfile } = useAuth();
   const [rating, setRating] = useState(0);
   const [hoveredRating, setHoveredRating] = useState(0);
+  const [categoryRatings, setCategoryRatings] = useState({});
   const [comment, setComment] = useState('');
+  const [photos, setPhotos] = useState([]);
   const [submitting, setSubmitting] = useState(false);
   const [errors, setErrors] = useState({});
 
   useEffect(() => {
     if (existingReview) {
       setRating(existingReview.rating || 0);
+      setCategoryRatings(existingReview.categoryRatings || {});
       setComment(existingReview.comment || '');
+      setPhotos(existingReview.photos || []);
     }
   }, [existingReview]);
 
@@ -42,6 +55,10 @@ const AddReview = ({ targetId, targetType = 'construction', onReviewAdded, exist
       newErrors.rating = 'Please select a rating';
     }
 
+    if (!getRatingCategories(targetType).every(({ id }) => categoryRatings[id] > 0)) {
+      newErrors.categoryRatings = 'Please rate each category';
+    }
+
     if (!comment.trim()) {
       newErrors.comment = 'Please write a review comment';
     } else if (comment.trim().length < 10) {
@@ -68,18 +85,35 @@ const AddReview = ({ targetId, targetType = 'construction', onReviewAdded, exist
     try {
       if (existingReview) {
         // Update existing review
-        await reviewsService.update(existingReview.id, rating, comment.trim());
+        await reviewsService.update(
+          existingReview.id,
+          rating,
+          comment.trim(),
+          categoryRatings,
+          photos
+        );
         toast.success('Review updated successfully!');
       } else {
-        // Create new review
-        await reviewsService.create(currentUser.uid, targetId, targetType, rating, comment.trim());
+        // Create new review for the completed project or booking
+        await reviewsService.create(
+          currentUser.uid,
+          targetId,
+          targetType,
+          rating,
+          comment.trim(),
+          projectId,
+          categoryRatings,
+          photos
+        );
         toast.success('Review submitted successfully!');
       }
 
       // Reset form
       if (!existingReview) {
         setRating(0);
+        setCategoryRatings({});
         setComment('');
+        setPhotos([]);
       }
 
       // Notify parent component
@@ -145,6 +179,27 @@ const AddReview = ({ targetId, targetType = 'construction', onReviewAdded, exist
           {errors.rating && <p className="mt-1 text-sm text-error">{errors.rating}</p>}
         </div>
 
+        {/* Category Ratings */}
+        <div>
+          <label className="block text-sm font-medium text-textSecondary mb-2">
+            Rate each aspect <span className="text-error">*</span>
+          </label>
+          <CategoryRatingsInput
+            targetType={targetType}
+            value={categoryRatings}
+            onChange={(value) => {
+              setCategoryRatings(value);
+              if (errors.categoryRatings) {
+                setErrors((prev) => ({ ...prev, categoryRatings: '' }));
+              }
+            }}
+            disabled={submitting}
+          />
+          {errors.categoryRatings && (
+            <p className="mt-1 text-sm text-error">{errors.categoryRatings}</p>
+          )}
+        </div>
+
         {/* Comment */}
         <div>
           <label className="block text-sm font-medium text-textSecondary mb-1">
@@ -166,6 +221,14 @@ const AddReview = ({ targetId, targetType = 'construction', onReviewAdded, exist
           {errors.comment && <p className="mt-1 text-sm text-error">{errors.comment}</p>}
         </div>
 
+        {/* Photos */}
+        <div>
+          <label className="block text-sm font-medium text-textSecondary mb-2">
+            Photos (optional)
+          </label>
+          <ReviewPhotosInput value={photos} onChange={setPhotos} disabled={submitting} />
+        </div>
+
         {/* Submit Button */}
         <div className="flex justify-end space-x-3">
           {existingReview && (
@@ -174,7 +237,9 @@ const AddReview = ({ targetId, targetType = 'construction', onReviewAdded, exist
               variant="ghost"
               onClick={() => {
                 setRating(existingReview.rating || 0);
+                setCategoryRatings(existingReview.categoryRatings || {});
                 setComment(existingReview.comment || '');
+                setPhotos(existingReview.photos || []);
                 setErrors({});
               }}
             >
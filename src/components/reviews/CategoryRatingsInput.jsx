@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { Star } from 'lucide-react';
+import { getRatingCategories } from '../../utils/reviewRatings';
+
+/**
+ * CategoryRatingsInput Component
+ *
+ * One row of 1-5 stars per rating category of the target type (quality, timeliness, ... for
+ * providers; accuracy, cleanliness, location for properties).
+ *
+ * @param {string} targetType - 'property', 'provider', 'construction', or 'renovation'
+ * @param {Object} value - { [categoryId]: number }
+ * @param {Function} onChange - Called with the updated { [categoryId]: number }
+ * @param {boolean} disabled - Disable input
+ */
+const CategoryRatingsInput = ({ targetType, value = {}, onChange, disabled = false }) => {
+  const [hovered, setHovered] = useState({ category: null, rating: 0 });
+
+  return (
+    <div className="space-y-2">
+      {getRatingCategories(targetType).map(({ id, label }) => {
+        const current = hovered.category === id ? hovered.rating : value[id] || 0;
+        return (
+          <div key={id} className="flex items-center justify-between gap-4">
+            <span className="text-sm text-textMain">{label}</span>
+            <div className="flex items-center gap-1" role="radiogroup" aria-label={label}>
+              {[1, 2, 3, 4, 5].map((star) => (
+                <button
+                  key={star}
+                  type="button"
+                  role="radio"
+                  aria-checked={value[id] === star}
+                  aria-label={`${label}: ${star} ${star === 1 ? 'star' : 'stars'}`}
+                  disabled={disabled}
+                  onClick={() => onChange({ ...value, [id]: star })}
+                  onMouseEnter={() => setHovered({ category: id, rating: star })}
+                  onMouseLeave={() => setHovered({ category: null, rating: 0 })}
+                  className="focus:outline-none disabled:cursor-not-allowed"
+                >
+                  <Star
+                    className={`w-5 h-5 transition-transform hover:scale-110 ${
+                      star <= current ? 'fill-accent text-accent' : 'fill-muted text-muted'
+                    }`}
+                  />
+                </button>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default CategoryRatingsInput;
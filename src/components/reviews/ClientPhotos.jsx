@@ -0,0 +1,55 @@
+import React, { useEffect, useState } from 'react';
+import { Camera } from 'lucide-react';
+import reviewsService from '../../services/reviewsService';
+import ReviewPhotoGallery from './ReviewPhotoGallery';
+
+// Enough to fill a few rows; the rest stay with their reviews below
+const MAX_PHOTOS = 18;
+
+/**
+ * ClientPhotos Component
+ *
+ * "Photos from clients" section of a provider detail page: photos attached to the provider's
+ * visible reviews, newest first. Renders nothing until a review has photos.
+ *
+ * @param {string} targetId - ID of the provider
+ * @param {string} targetType - 'provider', 'construction', or 'renovation'
+ */
+const ClientPhotos = ({ targetId, targetType }) => {
+  const [photos, setPhotos] = useState([]);
+
+  useEffect(() => {
+    let active = true;
+    reviewsService
+      .getClientPhotos(targetId, targetType)
+      .then((items) => {
+        if (active) setPhotos(items);
+      })
+      .catch((error) => console.error('Error loading client photos:', error));
+    return () => {
+      active = false;
+    };
+  }, [targetId, targetType]);
+
+  if (photos.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="bg-surface rounded-base shadow-md p-6 border border-muted mt-6">
+      <h3 className="flex items-center gap-2 text-xl font-display font-bold text-textMain mb-4">
+        <Camera className="w-5 h-5 text-primary" />
+        Photos from clients ({photos.length})
+      </h3>
+      <ReviewPhotoGallery
+        size="md"
+        photos={photos.slice(0, MAX_PHOTOS).map((photo) => ({
+          url: photo.url,
+          caption: `${photo.rating}★ · ${photo.comment}`,
+        }))}
+      />
+    </div>
+  );
+};
+
+export default ClientPhotos;
@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import { Star } from 'lucide-react';
+import reviewsService from '../../services/reviewsService';
+import { getRatingCategories } from '../../utils/reviewRatings';
+
+/**
+ * RatingSummary Component
+ *
+ * Average rating, 1-5 star histogram and per-category averages of a provider or property, from the
+ * summary the review functions maintain. Renders nothing until the target has reviews.
+ *
+ * @param {string} targetId - ID of the property or provider
+ * @param {string} targetType - 'property', 'provider', 'construction', or 'renovation'
+ */
+const RatingSummary = ({ targetId, targetType }) => {
+  const [summary, setSummary] = useState(null);
+
+  useEffect(
+    () => reviewsService.subscribeToSummary(targetId, targetType, setSummary),
+    [targetId, targetType]
+  );
+
+  if (!summary || !summary.count) {
+    return null;
+  }
+
+  const categories = getRatingCategories(targetType).filter(
+    ({ id }) => summary.categories?.[id]?.count > 0
+  );
+
+  return (
+    <div className="bg-surface rounded-base shadow-md p-6 border border-muted">
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        {/* Average */}
+        <div className="text-center md:text-left">
+          <div className="flex items-center justify-center md:justify-start gap-2 mb-1">
+            <span className="text-4xl font-bold text-textMain">{summary.average.toFixed(1)}</span>
+            <Star className="w-7 h-7 text-accent fill-current" />
+          </div>
+          <p className="text-sm text-textSecondary">
+            Based on {summary.count} {summary.count === 1 ? 'review' : 'reviews'}
+          </p>
+        </div>
+
+        {/* Histogram */}
+        <div className="space-y-1.5">
+          {[5, 4, 3, 2, 1].map((rating) => {
+            const count = summary.histogram?.[rating] || 0;
+            return (
+              <div key={rating} className="flex items-center gap-2 text-sm">
+                <span className="w-3 text-textSecondary">{rating}</span>
+                <Star className="w-3.5 h-3.5 text-accent fill-current" />
+                <div className="flex-1 bg-muted rounded-full h-2">
+                  <div
+                    className="bg-accent h-2 rounded-full transition-all"
+                    style={{ width: `${Math.round((count / summary.count) * 100)}%` }}
+                  />
+                </div>
+                <span className="w-8 text-right text-textSecondary">{count}</span>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Category averages */}
+        {categories.length > 0 && (
+          <div className="space-y-1.5">
+            {categories.map(({ id, label }) => {
+              const { average } = summary.categories[id];
+              return (
+                <div key={id} className="text-sm">
+                  <div className="flex justify-between text-textMain">
+                    <span>{label}</span>
+                    <span className="font-medium">{average.toFixed(1)}</span>
+                  </div>
+                  <div className="bg-muted rounded-full h-1.5 mt-0.5">
+                    <div
+                      className="bg-primary h-1.5 rounded-full"
+                      style={{ width: `${(average / 5) * 100}%` }}
+                    />
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RatingSummary;
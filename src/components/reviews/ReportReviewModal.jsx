@@ -0,0 +1,108 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import reviewsService, { MAX_REPORT_DETAILS_LENGTH } from '../../services/reviewsService';
+import { REPORT_REASONS } from '../../utils/reviewModeration';
+
+/**
+ * ReportReviewModal Component
+ *
+ * Lets a signed-in user report a review to the moderators for spam, abuse or a conflict of interest.
+ * Each user can report a review once.
+ *
+ * @param {Object} review - Review being reported, or null when closed
+ * @param {string} reporterId - Current user ID
+ * @param {Function} onClose - Close the modal
+ * @param {Function} onReported - Called with the review ID after a successful report
+ */
+const ReportReviewModal = ({ review, reporterId, onClose, onReported }) => {
+  const [reason, setReason] = useState('');
+  const [details, setDetails] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleClose = () => {
+    if (submitting) return;
+    setReason('');
+    setDetails('');
+    onClose();
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setSubmitting(true);
+      await reviewsService.report(review.id, reporterId, reason, details);
+      toast.success('Thanks, our moderators will take a look.');
+      onReported?.(review.id);
+      setReason('');
+      setDetails('');
+      onClose();
+    } catch (error) {
+      toast.error(error.message || 'Failed to report review');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={!!review} onClose={handleClose} title="Report Review" size="md">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <fieldset className="space-y-2">
+          <legend className="text-sm font-medium text-textMain mb-2">
+            Why are you reporting this review? <span className="text-error">*</span>
+          </legend>
+          {Object.entries(REPORT_REASONS).map(([id, label]) => (
+            <label
+              key={id}
+              className="flex items-center gap-2 text-sm text-textMain cursor-pointer"
+            >
+              <input
+                type="radio"
+                name="report-reason"
+                value={id}
+                checked={reason === id}
+                onChange={() => setReason(id)}
+                disabled={submitting}
+                className="text-primary focus:ring-primary"
+              />
+              {label}
+            </label>
+          ))}
+        </fieldset>
+
+        <div>
+          <label htmlFor="report-details" className="block text-sm font-medium text-textMain mb-2">
+            Details (optional)
+          </label>
+          <textarea
+            id="report-details"
+            value={details}
+            onChange={(e) => setDetails(e.target.value)}
+            maxLength={MAX_REPORT_DETAILS_LENGTH}
+            rows={3}
+            className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary resize-none"
+            placeholder="Anything that helps our moderators decide"
+            disabled={submitting}
+          />
+        </div>
+
+        <div className="flex gap-3 justify-end">
+          <Button type="button" variant="outline" onClick={handleClose} disabled={submitting}>
+            Cancel
+          </Button>
+          <Button
+            type="submit"
+            variant="danger"
+            loading={submitting}
+            disabled={!reason || submitting}
+          >
+            Report
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default ReportReviewModal;
@@ -3,6 +3,9 @@ import { Star } from 'lucide-react';
 import Button from './common/Button';
 import LoadingSpinner from './common/LoadingSpinner';
 import reviewsService from '../services/reviewsService';
+import CategoryRatingsInput from './CategoryRatingsInput';
+import ReviewPhotosInput from './ReviewPhotosInput';
+import { getRatingCategories } from '../../utils/reviewRatings';
 import toast from 'react-hot-toast';
 
 /**
@@ -14,6 +17,7 @@ import toast from 'react-hot-toast';
  * @param {string} targetId - ID of the property or provider being reviewed
  * @param {string} targetType - 'property', 'provider', 'construction', or 'renovation'
  * @param {string} authorId - ID of the user submitting the review (author)
+ * @param {string} projectId - Completed project or booking being reviewed (required for new reviews)
  * @param {Object} existingReview - Existing review object if editing (optional)
  * @param {Function} onSuccess - Callback when review is submitted successfully
  * @param {Function} onCancel - Callback when form is cancelled
@@ -22,13 +26,16 @@ const ReviewForm = ({
   targetId,
   targetType,
   authorId,
+  projectId,
   existingReview = null,
   onSuccess,
   onCancel,
 }) => {
   const [rating, setRating] = useState(existingReview?.rating || 0);
   const [hoveredRating, setHoveredRating] = useState(0);
+  const [categoryRatings, setCategoryRatings] = useState(existingReview?.categoryRatings || {});
   const [comment, setComment] = useState(existingReview?.comment || '');
+  const [photos, setPhotos] = useState(existingReview?.photos || []);
   const [submitting, setSubmitting] = useState(false);
   const [checkingReview, setCheckingReview] = useState(true);
   const [hasExistingReview, setHasExistingReview] = useState(false);
@@ -46,7 +53,9 @@ const ReviewForm = ({
         if (review) {
           setHasExistingReview(true);
           setRating(review.rating);
+          setCategoryRatings(review.categoryRatings || {});
           setComment(review.comment);
+          setPhotos(review.photos || []);
         }
       } catch (error) {
         console.error('Error checking existing review:', error);
@@ -75,6 +84,11 @@ const ReviewForm = ({
       return;
     }
 
+    if (!getRatingCategories(targetType).every(({ id }) => categoryRatings[id] > 0)) {
+      toast.error('Please rate each category.');
+      return;
+    }
+
     if (!comment.trim()) {
       toast.error('Please enter a comment.');
       return;
@@ -94,18 +108,29 @@ const ReviewForm = ({
           existingReview?.id ||
           (await reviewsService.getUserReview(authorId, targetId, targetType))?.id;
         if (reviewId) {
-          await reviewsService.update(reviewId, rating, comment);
+          await reviewsService.update(reviewId, rating, comment, categoryRatings, photos);
           toast.success('Review updated successfully!');
         }
       } else {
-        // Create new review (will update if duplicate exists)
-        await reviewsService.create(authorId, targetId, targetType, rating, comment);
+        // Create new review for the completed project (one review per project)
+        await reviewsService.create(
+          authorId,
+          targetId,
+          targetType,
+          rating,
+          comment,
+          projectId,
+          categoryRatings,
+          photos
+        );
         toast.success('Review submitted successfully!');
       }
 
       // Reset form
       setRating(0);
+      setCategoryRatings({});
       setComment('');
+      setPhotos([]);
       setHoveredRating(0);
       setHasExistingReview(true);
 
@@ -165,6 +190,19 @@ const ReviewForm = ({
         {renderStars()}
       </div>
 
+      {/* Category Ratings */}
+      <div>
+        <label className="block text-sm font-medium text-textSecondary mb-3">
+          Rate each aspect <span className="text-error">*</span>
+        </label>
+        <CategoryRatingsInput
+          targetType={targetType}
+          value={categoryRatings}
+          onChange={setCategoryRatings}
+          disabled={submitting}
+        />
+      </div>
+
       {/* Comment Textarea */}
       <div>
         <label className="block text-sm font-medium text-textSecondary mb-2">
@@ -181,6 +219,12 @@ const ReviewForm = ({
         <p className="mt-1 text-xs text-textSecondary">{comment.length} / 10 characters minimum</p>
       </div>
 
+      {/* Photos */}
+      <div>
+        <label className="block text-sm font-medium text-textSecondary mb-2">Photos (optional)</label>
+        <ReviewPhotosInput value={photos} onChange={setPhotos} disabled={submitting} />
+      </div>
+
       {/* Action Buttons */}
       <div className="flex gap-3">
         <Button
@@ -200,7 +244,7 @@ const ReviewForm = ({
 
       {(existingReview || hasExistingReview) && (
         <p className="text-sm text-accent bg-accent p-3 rounded-lg">
-          You're updating your existing review. This will replace your previous review.
+          You're updating your existing review. Earlier versions stay visible to admins.
         </p>
       )}
     </form>
@@ -0,0 +1,97 @@
+import React, { useEffect, useState } from 'react';
+import { Star } from 'lucide-react';
+import LoadingSpinner from '../common/LoadingSpinner';
+import reviewsService from '../../services/reviewsService';
+import ReviewPhotoGallery from './ReviewPhotoGallery';
+
+/**
+ * ReviewHistory Component
+ *
+ * Admin view of an edited review: the current version followed by every earlier version, as
+ * recorded by the onReviewUpdated function.
+ *
+ * @param {Object} review - Current review document
+ */
+const ReviewHistory = ({ review }) => {
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let active = true;
+    setLoading(true);
+    reviewsService
+      .getHistory(review.id)
+      .then((entries) => {
+        if (active) setHistory(entries);
+      })
+      .catch((err) => {
+        if (active) setError(err.message);
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+    return () => {
+      active = false;
+    };
+  }, [review.id]);
+
+  const formatDate = (timestamp) => {
+    if (!timestamp?.toDate) return 'Unknown date';
+    return timestamp.toDate().toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+  };
+
+  const renderVersion = (key, label, version) => (
+    <li key={key} className="p-3 bg-muted/30 rounded-base">
+      <div className="flex items-center justify-between mb-1">
+        <span className="text-xs font-medium text-textSecondary">{label}</span>
+        <span className="flex items-center gap-1 text-sm text-textMain">
+          {version.rating}
+          <Star className="w-3.5 h-3.5 text-accent fill-current" />
+        </span>
+      </div>
+      <p className="text-sm text-textMain whitespace-pre-wrap">{version.comment}</p>
+      <ReviewPhotoGallery photos={version.photos} />
+    </li>
+  );
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-error">{error}</p>;
+  }
+
+  return (
+    <ul className="space-y-3">
+      {renderVersion(
+        'current',
+        `Current · ${formatDate(review.updatedAt || review.createdAt)}`,
+        review
+      )}
+      {history.map((entry) =>
+        renderVersion(
+          entry.id,
+          `Replaced ${formatDate(entry.replacedAt)} · written ${formatDate(entry.writtenAt)}`,
+          entry
+        )
+      )}
+      {history.length === 0 && (
+        <li className="text-sm text-textSecondary">No earlier versions recorded.</li>
+      )}
+    </ul>
+  );
+};
+
+export default ReviewHistory;
@@ -3,8 +3,10 @@ import { useAuth } from '../../context/AuthContext';
 import reviewsService from '../../services/reviewsService';
 import { doc, getDoc } from 'firebase/firestore';
 import { db } from '../../firebase/firebase';
-import { Star, User, Calendar, MessageSquare } from 'lucide-react';
+import { Star, User, Calendar, MessageSquare, BadgeCheck } from 'lucide-react';
 import LoadingSpinner from '../common/LoadingSpinner';
+import ReviewResponse from './ReviewResponse';
+import ReviewPhotoGallery from './ReviewPhotoGallery';
 import toast from 'react-hot-toast';
 
 const ReviewList = ({ targetId, targetType = 'construction' }) => {
@@ -21,6 +23,7 @@ const ReviewList = ({ targetId, targetType = 'construction' }) => {
     1: 0,
   });
   const [reviewerNames, setReviewerNames] = useState({});
+  const [canRespond, setCanRespond] = useState(false);
 
   useEffect(() => {
     if (targetId) {
@@ -28,6 +31,15 @@ const ReviewList = ({ targetId, targetType = 'construction' }) => {
     }
   }, [targetId, targetType]);
 
+  // The reviewed provider/owner can respond to each review once
+  useEffect(() => {
+    if (!currentUser || !targetId) {
+      setCanRespond(false);
+      return;
+    }
+    reviewsService.isTargetOwner(currentUser.uid, targetId, targetType).then(setCanRespond);
+  }, [currentUser, targetId, targetType]);
+
   const loadReviews = async () => {
     try {
       setLoading(true);
@@ -192,8 +204,17 @@ const ReviewList = ({ targetId, targetType = 'construction' }) => {
                     <User className="w-5 h-5 text-primary" />
                   </div>
                   <div>
-                    <p className="font-semibold text-textMain">
+                    <p className="font-semibold text-textMain flex items-center gap-2">
                       {review.reviewerName || 'Anonymous User'}
+                      {review.verified && (
+                        <span
+                          className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-primary/10 text-primary"
+                          title="Reviewed after a completed project or booking"
+                        >
+                          <BadgeCheck className="w-3.5 h-3.5" />
+                          Verified
+                        </span>
+                      )}
                     </p>
                     <p className="text-xs text-textSecondary flex items-center">
                       <Calendar className="w-3 h-3 mr-1" />
@@ -206,6 +227,13 @@ const ReviewList = ({ targetId, targetType = 'construction' }) => {
               {review.comment && (
                 <p className="text-textSecondary leading-relaxed mt-3">{review.comment}</p>
               )}
+              <ReviewPhotoGallery photos={review.photos} />
+              <ReviewResponse
+                review={review}
+                currentUserId={currentUser?.uid}
+                canRespond={canRespond}
+                onResponded={loadReviews}
+              />
             </div>
           ))}
         </div>
@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+import toast from 'react-hot-toast';
+import {
+  CheckCircle,
+  ChevronDown,
+  ChevronUp,
+  EyeOff,
+  ShieldAlert,
+  Star,
+  Trash2,
+} from 'lucide-react';
+import Button from '../common/Button';
+import LoadingSpinner from '../common/LoadingSpinner';
+import reviewsService from '../../services/reviewsService';
+import { MODERATION_FLAGS, REPORT_REASONS } from '../../utils/reviewModeration';
+
+/**
+ * ReviewModerationQueue Component
+ *
+ * Admin queue of reviews held for moderation (reported by several users or caught by the content
+ * filter). Admins read the reports and approve, hide or delete each review; hiding and deleting
+ * need a reason, which is sent to the author.
+ *
+ * @param {Array<Object>} reviews - Reviews with moderationStatus 'pending'
+ * @param {Object} userNames - { [userId]: name }
+ */
+const ReviewModerationQueue = ({ reviews, userNames = {} }) => {
+  const [reasons, setReasons] = useState({});
+  const [reports, setReports] = useState({});
+  const [expandedId, setExpandedId] = useState(null);
+  const [processingId, setProcessingId] = useState(null);
+
+  const toggleReports = async (reviewId) => {
+    if (expandedId === reviewId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(reviewId);
+    if (reports[reviewId]) return;
+    try {
+      const entries = await reviewsService.getReports(reviewId);
+      setReports((prev) => ({ ...prev, [reviewId]: entries }));
+    } catch (error) {
+      toast.error(error.message);
+      setExpandedId(null);
+    }
+  };
+
+  const handleModerate = async (review, action) => {
+    const reason = (reasons[review.id] || '').trim();
+    if (action !== 'approve' && !reason) {
+      toast.error('Enter a reason; it is sent to the author.');
+      return;
+    }
+    try {
+      setProcessingId(review.id);
+      await reviewsService.moderate(review.id, action, reason);
+      toast.success(
+        { approve: 'Review approved', hide: 'Review hidden', delete: 'Review deleted' }[action]
+      );
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setProcessingId(null);
+    }
+  };
+
+  if (reviews.length === 0) {
+    return (
+      <div className="bg-surface rounded-lg border border-muted p-4 mb-6 flex items-center gap-2 text-sm text-textSecondary">
+        <CheckCircle className="w-4 h-4 text-primary" />
+        No reviews waiting for moderation.
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-surface rounded-lg shadow-sm border border-muted p-4 mb-6">
+      <h3 className="flex items-center gap-2 text-lg font-semibold text-textMain mb-4">
+        <ShieldAlert className="w-5 h-5 text-error" />
+        Moderation Queue ({reviews.length})
+      </h3>
+      <ul className="space-y-4">
+        {reviews.map((review) => {
+          const authorId = review.authorId || review.reviewerId;
+          const busy = processingId === review.id;
+          return (
+            <li key={review.id} className="border border-muted rounded-base p-4">
+              <div className="flex flex-wrap items-center gap-2 mb-2">
+                <span className="text-sm font-medium text-textMain">
+                  {userNames[authorId] || authorId?.substring(0, 8)}
+                </span>
+                <span className="flex items-center gap-1 text-sm text-textSecondary">
+                  {review.rating}
+                  <Star className="w-3.5 h-3.5 text-accent fill-current" />
+                </span>
+                {(review.moderationFlags || []).map((flag) => (
+                  <span
+                    key={flag}
+                    className="px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800"
+                  >
+                    {MODERATION_FLAGS[flag] || flag}
+                  </span>
+                ))}
+              </div>
+              <p className="text-sm text-textMain whitespace-pre-wrap mb-3">{review.comment}</p>
+
+              {review.reportCount > 0 && (
+                <button
+                  type="button"
+                  onClick={() => toggleReports(review.id)}
+                  className="flex items-center gap-1 text-xs font-medium text-primary mb-3"
+                >
+                  {review.reportCount} report{review.reportCount === 1 ? '' : 's'}
+                  {expandedId === review.id ? (
+                    <ChevronUp className="w-3.5 h-3.5" />
+                  ) : (
+                    <ChevronDown className="w-3.5 h-3.5" />
+                  )}
+                </button>
+              )}
+              {expandedId === review.id && (
+                <div className="mb-3">
+                  {!reports[review.id] ? (
+                    <LoadingSpinner size="sm" />
+                  ) : (
+                    <ul className="space-y-1">
+                      {reports[review.id].map((report) => (
+                        <li key={report.id} className="text-xs text-textSecondary">
+                          <span className="font-medium text-textMain">
+                            {REPORT_REASONS[report.reason] || report.reason}
+                          </span>
+                          {' · '}
+                          {userNames[report.reporterId] || report.reporterId?.substring(0, 8)}
+                          {report.details ? ` — ${report.details}` : ''}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              )}
+
+              <div className="flex flex-col md:flex-row gap-2">
+                <input
+                  type="text"
+                  value={reasons[review.id] || ''}
+                  onChange={(e) => setReasons((prev) => ({ ...prev, [review.id]: e.target.value }))}
+                  placeholder="Reason (required to hide or delete, sent to the author)"
+                  className="flex-1 px-3 py-1.5 text-sm border border-muted rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                  disabled={busy}
+                />
+                <div className="flex gap-2">
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleModerate(review, 'approve')}
+                    disabled={busy}
+                  >
+                    <CheckCircle className="w-4 h-4 mr-1" />
+                    Approve
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    onClick={() => handleModerate(review, 'hide')}
+                    disabled={busy}
+                  >
+                    <EyeOff className="w-4 h-4 mr-1" />
+                    Hide
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="danger"
+                    onClick={() => handleModerate(review, 'delete')}
+                    loading={busy}
+                    disabled={busy}
+                  >
+                    <Trash2 className="w-4 h-4 mr-1" />
+                    Delete
+                  </Button>
+                </div>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default ReviewModerationQueue;
@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { ChevronLeft, ChevronRight } from 'lucide-react';
+import Modal from '../common/Modal';
+
+/**
+ * ReviewPhotoGallery Component
+ *
+ * Thumbnails of the photos attached to a review (or collected from several reviews); clicking one
+ * opens it in a modal with previous/next buttons.
+ *
+ * @param {Array<string|{url: string, caption?: string}>} photos - Photo URLs, or items with a caption
+ * @param {string} size - 'sm' for review cards, 'md' for the client photos section
+ */
+const ReviewPhotoGallery = ({ photos = [], size = 'sm' }) => {
+  const [openIndex, setOpenIndex] = useState(null);
+  const items = photos.map((photo) => (typeof photo === 'string' ? { url: photo } : photo));
+
+  if (items.length === 0) return null;
+
+  const current = openIndex !== null ? items[openIndex] : null;
+  const step = (delta) => setOpenIndex((index) => (index + delta + items.length) % items.length);
+
+  return (
+    <>
+      <div
+        className={
+          size === 'sm'
+            ? 'flex flex-wrap gap-2 mt-3'
+            : 'grid grid-cols-3 sm:grid-cols-4 md:grid-cols-6 gap-2'
+        }
+      >
+        {items.map((item, index) => (
+          <button
+            key={`${item.url}-${index}`}
+            type="button"
+            onClick={() => setOpenIndex(index)}
+            className={`block rounded-base overflow-hidden bg-muted hover:opacity-90 ${
+              size === 'sm' ? 'w-20 h-20' : 'aspect-square'
+            }`}
+            title={item.caption || 'View photo'}
+          >
+            <img
+              src={item.url}
+              alt={item.caption || `Review photo ${index + 1}`}
+              loading="lazy"
+              className="w-full h-full object-cover"
+            />
+          </button>
+        ))}
+      </div>
+
+      <Modal
+        isOpen={current !== null}
+        onClose={() => setOpenIndex(null)}
+        title={items.length > 1 ? `Photo ${openIndex + 1} of ${items.length}` : 'Photo'}
+        size="lg"
+      >
+        {current && (
+          <div>
+            <div className="relative flex items-center justify-center bg-black/5 rounded-base">
+              <img
+                src={current.url}
+                alt={current.caption || 'Review photo'}
+                className="max-h-[70vh] w-auto object-contain rounded-base"
+              />
+              {items.length > 1 && (
+                <>
+                  <button
+                    type="button"
+                    onClick={() => step(-1)}
+                    className="absolute left-2 p-2 rounded-full bg-surface/80 hover:bg-surface shadow"
+                    aria-label="Previous photo"
+                  >
+                    <ChevronLeft className="w-5 h-5" />
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => step(1)}
+                    className="absolute right-2 p-2 rounded-full bg-surface/80 hover:bg-surface shadow"
+                    aria-label="Next photo"
+                  >
+                    <ChevronRight className="w-5 h-5" />
+                  </button>
+                </>
+              )}
+            </div>
+            {current.caption && (
+              <p className="mt-3 text-sm text-textSecondary whitespace-pre-wrap">
+                {current.caption}
+              </p>
+            )}
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default ReviewPhotoGallery;
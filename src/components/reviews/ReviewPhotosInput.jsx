@@ -0,0 +1,89 @@
+import React, { useEffect, useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { MAX_REVIEW_PHOTOS } from '../../services/reviewsService';
+
+/**
+ * ReviewPhotosInput Component
+ *
+ * Photo picker for review forms. The value mixes URLs of photos already on the review and newly
+ * picked Files; reviewsService uploads the Files when the review is saved.
+ *
+ * @param {Array<string|File>} value - Current photos, in display order
+ * @param {Function} onChange - Called with the new list
+ * @param {boolean} disabled - Disable while submitting
+ */
+const ReviewPhotosInput = ({ value, onChange, disabled = false }) => {
+  const [previews, setPreviews] = useState([]);
+
+  const photos = value || [];
+
+  useEffect(() => {
+    const urls = (value || []).map((photo) =>
+      typeof photo === 'string' ? photo : URL.createObjectURL(photo)
+    );
+    setPreviews(urls);
+    return () =>
+      urls.forEach((url, index) => {
+        if (typeof value[index] !== 'string') URL.revokeObjectURL(url);
+      });
+  }, [value]);
+
+  const handleFileSelect = (e) => {
+    const selected = Array.from(e.target.files || []).filter((file) =>
+      file.type.startsWith('image/')
+    );
+    if (photos.length + selected.length > MAX_REVIEW_PHOTOS) {
+      toast.error(`You can attach up to ${MAX_REVIEW_PHOTOS} photos`);
+    }
+    onChange([...photos, ...selected].slice(0, MAX_REVIEW_PHOTOS));
+    e.target.value = '';
+  };
+
+  return (
+    <div>
+      {photos.length < MAX_REVIEW_PHOTOS && (
+        <label
+          className={`flex items-center justify-center gap-2 px-4 py-3 border-2 border-dashed border-muted rounded-base text-sm text-textSecondary ${
+            disabled ? 'opacity-50' : 'cursor-pointer hover:border-primary'
+          }`}
+        >
+          <Upload className="w-4 h-4" />
+          Add photos ({photos.length}/{MAX_REVIEW_PHOTOS})
+          <input
+            type="file"
+            className="hidden"
+            multiple
+            accept="image/*"
+            onChange={handleFileSelect}
+            disabled={disabled}
+          />
+        </label>
+      )}
+      {previews.length > 0 && (
+        <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 mt-3">
+          {previews.map((preview, index) => (
+            <div key={preview} className="relative">
+              <img
+                src={preview}
+                alt={`Review photo ${index + 1}`}
+                className="w-full h-16 object-cover rounded-base"
+              />
+              <button
+                type="button"
+                onClick={() => onChange(photos.filter((_, i) => i !== index))}
+                disabled={disabled}
+                className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-0.5"
+                aria-label="Remove photo"
+              >
+                <X className="w-3 h-3" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewPhotosInput;
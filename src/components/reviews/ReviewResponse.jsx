@@ -0,0 +1,132 @@
+import React, { useState } from 'react';
+import { MessageSquareReply } from 'lucide-react';
+import Button from '../common/Button';
+import reviewsService, { MAX_RESPONSE_LENGTH } from '../../services/reviewsService';
+import toast from 'react-hot-toast';
+
+/**
+ * ReviewResponse Component
+ *
+ * Public response of the reviewed provider or property owner under a review. When canRespond is
+ * set (the current user owns the target), shows a form to post the response or edit it.
+ *
+ * @param {Object} review - Review document ({ id, response, targetType })
+ * @param {string} currentUserId - ID of the signed-in user
+ * @param {boolean} canRespond - Whether the current user is the reviewed provider/owner
+ * @param {Function} onResponded - Called after the response is saved (optional)
+ */
+const ReviewResponse = ({ review, currentUserId, canRespond = false, onResponded }) => {
+  const [editing, setEditing] = useState(false);
+  const [text, setText] = useState(review.response?.text || '');
+  const [saving, setSaving] = useState(false);
+
+  const responderLabel = review.targetType === 'property' ? 'owner' : 'provider';
+
+  const formatDate = (timestamp) => {
+    if (!timestamp?.toDate) return '';
+    return timestamp
+      .toDate()
+      .toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      setSaving(true);
+      await reviewsService.respond(review.id, currentUserId, text);
+      toast.success(review.response ? 'Response updated' : 'Response posted');
+      setEditing(false);
+      if (onResponded) {
+        onResponded();
+      }
+    } catch (error) {
+      console.error('Error saving review response:', error);
+      toast.error(error.message || 'Failed to save response');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (editing) {
+    return (
+      <form onSubmit={handleSave} className="mt-4 pl-4 border-l-2 border-primary space-y-2">
+        <label
+          htmlFor={`review-response-${review.id}`}
+          className="block text-sm font-medium text-textMain"
+        >
+          Your public response
+        </label>
+        <textarea
+          id={`review-response-${review.id}`}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={3}
+          maxLength={MAX_RESPONSE_LENGTH}
+          className="w-full px-3 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary resize-none"
+          placeholder="Thank the client or address their feedback..."
+          disabled={saving}
+        />
+        <div className="flex gap-2">
+          <Button type="submit" size="sm" loading={saving} disabled={saving || !text.trim()}>
+            {review.response ? 'Update Response' : 'Post Response'}
+          </Button>
+          <Button
+            type="button"
+            size="sm"
+            variant="ghost"
+            onClick={() => {
+              setEditing(false);
+              setText(review.response?.text || '');
+            }}
+            disabled={saving}
+          >
+            Cancel
+          </Button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!review.response?.text) {
+    return canRespond ? (
+      <button
+        type="button"
+        onClick={() => setEditing(true)}
+        className="mt-3 flex items-center gap-1 text-sm text-primary hover:underline"
+      >
+        <MessageSquareReply className="w-4 h-4" />
+        Respond publicly
+      </button>
+    ) : null;
+  }
+
+  return (
+    <div className="mt-4 pl-4 border-l-2 border-primary bg-muted/30 rounded-r-base py-3 pr-3">
+      <div className="flex items-center justify-between gap-2 mb-1">
+        <p className="text-sm font-semibold text-textMain">
+          Response from the {responderLabel}
+          {review.response.updatedAt && (
+            <span className="ml-2 font-normal text-xs text-textSecondary">
+              {formatDate(review.response.updatedAt)}
+            </span>
+          )}
+        </p>
+        {canRespond && (
+          <button
+            type="button"
+            onClick={() => {
+              setText(review.response.text);
+              setEditing(true);
+            }}
+            className="text-xs text-primary hover:underline"
+          >
+            Edit
+          </button>
+        )}
+      </div>
+      <p className="text-sm text-textMain whitespace-pre-wrap">{review.response.text}</p>
+    </div>
+  );
+};
+
+export default ReviewResponse;
@@ -0,0 +1,135 @@
+import React, { useEffect, useState } from 'react';
+import { Upload, X } from 'lucide-react';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import disputeService from '../../services/disputeService';
+import toast from 'react-hot-toast';
+
+const MAX_EVIDENCE = 5;
+
+/**
+ * DisputeForm Component
+ * Modal for opening a dispute on a project or booking: reason, details and up to five evidence
+ * images. The openDispute function moves the target to Disputed and notifies the other party.
+ */
+const DisputeForm = ({ isOpen, onClose, targetType, targetId, onOpened }) => {
+  const [reason, setReason] = useState('');
+  const [description, setDescription] = useState('');
+  const [files, setFiles] = useState([]);
+  const [previews, setPreviews] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const urls = files.map((file) => URL.createObjectURL(file));
+    setPreviews(urls);
+    return () => urls.forEach((url) => URL.revokeObjectURL(url));
+  }, [files]);
+
+  const handleClose = () => {
+    if (submitting) return;
+    setReason('');
+    setDescription('');
+    setFiles([]);
+    onClose();
+  };
+
+  const handleFileSelect = (e) => {
+    const selected = Array.from(e.target.files || []).filter((file) => file.type.startsWith('image/'));
+    if (files.length + selected.length > MAX_EVIDENCE) {
+      toast.error(`You can attach up to ${MAX_EVIDENCE} images`);
+    }
+    setFiles((prev) => [...prev, ...selected].slice(0, MAX_EVIDENCE));
+    e.target.value = '';
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason.trim()) {
+      toast.error('Please give a reason for the dispute');
+      return;
+    }
+    try {
+      setSubmitting(true);
+      await disputeService.openDispute({ targetType, targetId, reason, description }, files);
+      toast.success('Dispute opened. An admin will review it.');
+      setReason('');
+      setDescription('');
+      setFiles([]);
+      onClose();
+      onOpened?.();
+    } catch (error) {
+      toast.error(error.message || 'Failed to open dispute');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={handleClose} title="Raise Dispute" size="md">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <p className="text-sm text-textSecondary">
+          Payments are put on hold while the dispute is open. An admin reviews the project
+          history and your conversation before deciding.
+        </p>
+        <Input
+          label="Reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. Work not completed as agreed"
+          maxLength={120}
+          required
+        />
+        <div>
+          <label className="block text-sm font-medium text-textMain mb-2">Details</label>
+          <textarea
+            value={description}
+            onChange={(e) => setDescription(e.target.value)}
+            rows={4}
+            placeholder="What happened, and what outcome do you expect?"
+            className="w-full px-4 py-2 border border-borderColor rounded-lg bg-background text-textMain focus:outline-none focus:ring-2 focus:ring-primary"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-textMain mb-2">
+            Evidence ({files.length}/{MAX_EVIDENCE})
+          </label>
+          {files.length < MAX_EVIDENCE && (
+            <label className="flex items-center justify-center gap-2 px-4 py-3 border-2 border-dashed border-borderColor rounded-base cursor-pointer text-sm text-textSecondary hover:border-primary">
+              <Upload className="w-4 h-4" />
+              Add photos
+              <input type="file" className="hidden" multiple accept="image/*" onChange={handleFileSelect} />
+            </label>
+          )}
+          {previews.length > 0 && (
+            <div className="grid grid-cols-3 sm:grid-cols-5 gap-2 mt-3">
+              {previews.map((preview, index) => (
+                <div key={preview} className="relative">
+                  <img src={preview} alt={`Evidence ${index + 1}`} className="w-full h-16 object-cover rounded-base" />
+                  <button
+                    type="button"
+                    onClick={() => setFiles((prev) => prev.filter((_, i) => i !== index))}
+                    className="absolute top-1 right-1 bg-red-500 text-white rounded-full p-0.5"
+                    aria-label="Remove image"
+                  >
+                    <X className="w-3 h-3" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        <div className="flex gap-3 justify-end">
+          <Button type="button" variant="outline" onClick={handleClose} disabled={submitting}>
+            Back
+          </Button>
+          <Button type="submit" loading={submitting} disabled={submitting}>
+            Open Dispute
+          </Button>
+        </div>
+      </form>
+    </Modal>
+  );
+};
+
+export default DisputeForm;
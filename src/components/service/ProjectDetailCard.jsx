@@ -132,7 +132,8 @@ const ProjectDetailCard = ({ project, type = 'construction', onCancel }) => {
             'Project Cancelled',
             `A ${type} project has been cancelled by the client.`,
             'status-update',
-            type === 'construction' ? '/constructor/dashboard' : '/renovator/dashboard'
+            type === 'construction' ? '/constructor/dashboard' : '/renovator/dashboard',
+            'projectStatus'
           );
         } catch (notifError) {
           console.error('Error notifying provider:', notifError);
@@ -158,7 +159,13 @@ const ProjectDetailCard = ({ project, type = 'construction', onCancel }) => {
 
     try {
       const { findOrCreateConversation } = await import('../../utils/chatHelpers');
-      const chatId = await findOrCreateConversation(project.userId || project.clientId, project.providerId);
+      const clientId = project.userId || project.clientId;
+      const chatId = await findOrCreateConversation(clientId, project.providerId, {
+        type,
+        id: project.id,
+        title: project.projectType || project.serviceCategory || `${type === 'construction' ? 'Construction' : 'Renovation'} Project`,
+        clientId,
+      });
       navigate(`/chat?chatId=${chatId}`);
     } catch (error) {
       console.error('Error creating chat:', error);
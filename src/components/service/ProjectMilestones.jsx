@@ -0,0 +1,388 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { onSnapshot, orderBy, query } from 'firebase/firestore';
+import { db } from '../../firebase';
+import { CheckCircle, Clock, CreditCard, Edit, Flag, Plus, Receipt, Trash2 } from 'lucide-react';
+import Button from '../common/Button';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import milestoneService, {
+  DUE_CONDITIONS,
+  getMilestonesRef,
+  isMilestoneDue,
+  summarizeMilestones,
+} from '../../services/milestoneService';
+import { ROUTES } from '../../routes/routes';
+import toast from 'react-hot-toast';
+
+const EMPTY_FORM = { name: '', amount: '', dueCondition: 'upfront', dueDate: '', dueNote: '' };
+
+const STATUS_STYLES = {
+  proposed: 'text-accent bg-accent/20',
+  approved: 'text-primary bg-primary/20',
+  paid: 'text-green-600 bg-green-100',
+};
+
+const STATUS_LABELS = {
+  proposed: 'Awaiting approval',
+  approved: 'Approved',
+  paid: 'Paid',
+};
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat('en-PK', {
+    style: 'currency',
+    currency: 'PKR',
+    maximumFractionDigits: 0,
+  }).format(Number(amount) || 0);
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const describeDueCondition = (milestone) => {
+  if (milestone.dueCondition === 'on_date') return `Due ${formatDate(milestone.dueDate)}`;
+  if (milestone.dueCondition === 'custom') return milestone.dueNote;
+  return DUE_CONDITIONS[milestone.dueCondition] || 'No due condition';
+};
+
+/**
+ * ProjectMilestones Component
+ * Payment milestones for a construction/renovation project with progress, outstanding balance and
+ * payment history. Providers propose and edit milestones; clients approve and pay them.
+ */
+const ProjectMilestones = ({ projectType = 'construction', project, role = 'client' }) => {
+  const navigate = useNavigate();
+  const [milestones, setMilestones] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const isProvider = role === 'provider';
+
+  useEffect(() => {
+    if (!db || !project?.id) return undefined;
+
+    const milestonesQuery = query(getMilestonesRef(projectType, project.id), orderBy('order', 'asc'));
+    const unsubscribe = onSnapshot(
+      milestonesQuery,
+      (snapshot) => {
+        setMilestones(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+        setLoading(false);
+      },
+      (error) => {
+        console.error('Error loading milestones:', error);
+        setMilestones([]);
+        setLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [projectType, project?.id]);
+
+  const summary = summarizeMilestones(milestones, project?.budget);
+  const paymentHistory = milestones
+    .filter((milestone) => milestone.status === 'paid')
+    .sort((a, b) => (b.paidAt?.toMillis?.() || 0) - (a.paidAt?.toMillis?.() || 0));
+
+  const openForm = (milestone = null) => {
+    setEditingId(milestone?.id || null);
+    setFormData(
+      milestone
+        ? {
+            name: milestone.name,
+            amount: String(milestone.amount),
+            dueCondition: milestone.dueCondition,
+            dueDate: milestone.dueDate || '',
+            dueNote: milestone.dueNote || '',
+          }
+        : EMPTY_FORM
+    );
+    setShowForm(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      if (editingId) {
+        await milestoneService.update(projectType, project.id, editingId, formData);
+        toast.success('Milestone updated');
+      } else {
+        const nextOrder = milestones.reduce((max, milestone) => Math.max(max, milestone.order || 0), 0) + 1;
+        await milestoneService.create(projectType, project.id, { ...formData, order: nextOrder });
+        toast.success('Milestone added');
+      }
+      setShowForm(false);
+    } catch (error) {
+      toast.error(error.message || 'Failed to save milestone');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (milestone) => {
+    if (!window.confirm(`Remove milestone "${milestone.name}"?`)) return;
+    try {
+      setBusyId(milestone.id);
+      await milestoneService.delete(projectType, project.id, milestone.id);
+      toast.success('Milestone removed');
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove milestone');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleApprove = async (milestone) => {
+    try {
+      setBusyId(milestone.id);
+      await milestoneService.approve(projectType, project.id, milestone.id);
+      toast.success('Milestone approved');
+    } catch (error) {
+      toast.error(error.message || 'Failed to approve milestone');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePay = (milestone) => {
+    const params = new URLSearchParams({
+      targetType: projectType,
+      targetId: project.id,
+      milestoneId: milestone.id,
+      amount: String(milestone.amount),
+    });
+    navigate(`${ROUTES.PAYMENT_MOCK}?${params.toString()}`);
+  };
+
+  return (
+    <div className="bg-surface rounded-base shadow-md p-6 border border-muted">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-textMain flex items-center gap-2">
+          <Flag className="w-5 h-5" />
+          Payment Milestones
+        </h2>
+        {isProvider && project?.status !== 'Completed' && (
+          <Button size="sm" onClick={() => openForm()}>
+            <Plus className="w-4 h-4 mr-1" />
+            Add Milestone
+          </Button>
+        )}
+      </div>
+
+      {/* Progress */}
+      <div className="mb-6">
+        <div className="flex justify-between text-sm mb-2">
+          <span className="text-textSecondary">
+            {summary.paidCount} of {milestones.length} milestones paid
+          </span>
+          <span className="text-textMain font-medium">{summary.progress}%</span>
+        </div>
+        <div className="w-full h-2 bg-muted rounded-full overflow-hidden">
+          <div className="h-full bg-primary" style={{ width: `${summary.progress}%` }} />
+        </div>
+        <div className="grid grid-cols-3 gap-4 mt-4 text-sm">
+          <div>
+            <p className="text-textSecondary">Total</p>
+            <p className="text-textMain font-semibold">{formatAmount(summary.total)}</p>
+          </div>
+          <div>
+            <p className="text-textSecondary">Paid</p>
+            <p className="text-textMain font-semibold">{formatAmount(summary.paid)}</p>
+          </div>
+          <div>
+            <p className="text-textSecondary">Outstanding</p>
+            <p className="text-textMain font-semibold">{formatAmount(summary.outstanding)}</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Milestones */}
+      {loading ? (
+        <p className="text-textSecondary text-sm">Loading milestones...</p>
+      ) : milestones.length === 0 ? (
+        <p className="text-textSecondary text-sm">
+          {isProvider
+            ? 'No milestones yet. Split the project budget into milestones the client can pay.'
+            : 'The provider has not defined any payment milestones yet.'}
+        </p>
+      ) : (
+        <div className="space-y-3">
+          {milestones.map((milestone) => {
+            const due = milestone.status !== 'paid' && isMilestoneDue(milestone, project);
+            return (
+              <div
+                key={milestone.id}
+                className="border border-muted rounded-base p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3"
+              >
+                <div>
+                  <div className="flex items-center gap-2 mb-1">
+                    <span className="font-medium text-textMain">{milestone.name}</span>
+                    <span
+                      className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        STATUS_STYLES[milestone.status] || STATUS_STYLES.proposed
+                      }`}
+                    >
+                      {STATUS_LABELS[milestone.status] || milestone.status}
+                    </span>
+                    {due && (
+                      <span className="px-2 py-0.5 rounded-full text-xs font-medium text-red-600 bg-red-100">
+                        Due
+                      </span>
+                    )}
+                  </div>
+                  <p className="text-sm text-textSecondary flex items-center gap-1">
+                    <Clock className="w-3 h-3" />
+                    {describeDueCondition(milestone)}
+                  </p>
+                </div>
+
+                <div className="flex items-center gap-3">
+                  <span className="font-semibold text-textMain">{formatAmount(milestone.amount)}</span>
+                  {isProvider && milestone.status === 'proposed' && (
+                    <>
+                      <Button size="sm" variant="ghost" onClick={() => openForm(milestone)}>
+                        <Edit className="w-4 h-4" />
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => handleDelete(milestone)}
+                        disabled={busyId === milestone.id}
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </Button>
+                    </>
+                  )}
+                  {!isProvider && milestone.status === 'proposed' && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleApprove(milestone)}
+                      loading={busyId === milestone.id}
+                    >
+                      <CheckCircle className="w-4 h-4 mr-1" />
+                      Approve
+                    </Button>
+                  )}
+                  {!isProvider && milestone.status === 'approved' && project?.status === 'Disputed' && (
+                    <span className="text-xs text-textSecondary">Payment on hold (dispute)</span>
+                  )}
+                  {!isProvider && milestone.status === 'approved' && project?.status !== 'Disputed' && (
+                    <Button size="sm" onClick={() => handlePay(milestone)}>
+                      <CreditCard className="w-4 h-4 mr-1" />
+                      Pay
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Payment History */}
+      {paymentHistory.length > 0 && (
+        <div className="mt-6 pt-4 border-t border-muted">
+          <h3 className="text-sm font-semibold text-textMain mb-3 flex items-center gap-2">
+            <Receipt className="w-4 h-4" />
+            Payment History
+          </h3>
+          <div className="space-y-2">
+            {paymentHistory.map((milestone) => (
+              <div key={milestone.id} className="flex items-center justify-between text-sm">
+                <div>
+                  <p className="text-textMain">{milestone.name}</p>
+                  <p className="text-xs text-textSecondary">
+                    {formatDate(milestone.paidAt)}
+                    {milestone.transactionId && ` · Transaction ${milestone.transactionId.slice(0, 8)}`}
+                  </p>
+                </div>
+                <span className="font-medium text-green-600">{formatAmount(milestone.amount)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Add / Edit Milestone */}
+      <Modal
+        isOpen={showForm}
+        onClose={() => setShowForm(false)}
+        title={editingId ? 'Edit Milestone' : 'Add Milestone'}
+        size="md"
+      >
+        <div className="space-y-4">
+          <Input
+            label="Name"
+            name="name"
+            value={formData.name}
+            onChange={handleChange}
+            placeholder="e.g. Foundation complete"
+          />
+          <Input
+            label="Amount (PKR)"
+            type="number"
+            name="amount"
+            min="0"
+            value={formData.amount}
+            onChange={handleChange}
+          />
+          <div>
+            <label className="block text-sm font-medium text-textMain mb-2">Due</label>
+            <select
+              name="dueCondition"
+              value={formData.dueCondition}
+              onChange={handleChange}
+              className="w-full px-4 py-2 border border-muted rounded-lg bg-background text-textMain focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {Object.entries(DUE_CONDITIONS).map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+          </div>
+          {formData.dueCondition === 'on_date' && (
+            <Input
+              label="Due Date"
+              type="date"
+              name="dueDate"
+              value={formData.dueDate}
+              onChange={handleChange}
+            />
+          )}
+          {formData.dueCondition === 'custom' && (
+            <Input
+              label="Due When"
+              name="dueNote"
+              value={formData.dueNote}
+              onChange={handleChange}
+              placeholder="e.g. After roof inspection"
+            />
+          )}
+          <div className="flex gap-3 pt-2">
+            <Button variant="outline" onClick={() => setShowForm(false)} className="flex-1">
+              Cancel
+            </Button>
+            <Button onClick={handleSave} loading={saving} className="flex-1">
+              {editingId ? 'Save Changes' : 'Add Milestone'}
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default ProjectMilestones;
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { AlertTriangle, PauseCircle, XCircle } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import Button from '../common/Button';
+import Modal from '../common/Modal';
+import DisputeForm from './DisputeForm';
+import { canOpenDispute, getAllowedTransitions, normalizeStatus } from '../../utils/projectStatus';
+import { updateProjectStatus } from '../../utils/projectUpdates';
+import toast from 'react-hot-toast';
+
+const ACTIONS = {
+  Cancelled: { label: 'Cancel Request', icon: XCircle, prompt: 'Why are you cancelling?' },
+  'On Hold': { label: 'Put On Hold', icon: PauseCircle, prompt: 'Why is this on hold?' },
+};
+
+const TARGET_TYPES = {
+  constructionProjects: 'construction',
+  renovationProjects: 'renovation',
+  rentalRequests: 'rental',
+  buySellRequests: 'buySell',
+};
+
+/**
+ * ProjectStatusActions Component
+ * Cancel / hold / dispute buttons for a project or request, limited to the transitions the
+ * status state machine allows the viewer's role. Each change asks for a reason, which is logged
+ * in projectUpdates with the new status. Disputes go through DisputeForm instead, since only the
+ * openDispute function may move a project to Disputed.
+ */
+const ProjectStatusActions = ({ collectionName, project, role = 'client', onChange }) => {
+  const { currentUser } = useAuth();
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [showDispute, setShowDispute] = useState(false);
+
+  if (!project || !currentUser) return null;
+
+  const isDisputed = normalizeStatus(project.status) === 'Disputed';
+  const canDispute = role !== 'admin' && !project.activeDisputeId && canOpenDispute(collectionName, project.status);
+  const statuses = getAllowedTransitions(collectionName, project.status, role).filter(
+    (status) => ACTIONS[status]
+  );
+
+  if (isDisputed) {
+    return (
+      <div className="flex items-start gap-2 p-3 rounded-base bg-red-50 text-red-800 text-sm">
+        <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+        <span>A dispute is open. Payments are on hold until an admin resolves it.</span>
+      </div>
+    );
+  }
+  if (statuses.length === 0 && !canDispute) return null;
+
+  const closeModal = () => {
+    setPendingStatus(null);
+    setReason('');
+  };
+
+  const handleConfirm = async () => {
+    if (!reason.trim()) {
+      toast.error('Please give a reason');
+      return;
+    }
+    try {
+      setSaving(true);
+      const result = await updateProjectStatus(collectionName, project.id, pendingStatus, {
+        role,
+        updatedBy: currentUser.uid,
+        note: reason.trim(),
+      });
+      toast.success(`Status changed to ${result.status}`);
+      closeModal();
+      onChange?.(result.status);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update status');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <div className="flex flex-wrap gap-2">
+        {statuses.map((status) => {
+          const { label, icon: Icon } = ACTIONS[status];
+          return (
+            <Button key={status} size="sm" variant="outline" onClick={() => setPendingStatus(status)}>
+              <Icon className="w-4 h-4 mr-1" />
+              {label}
+            </Button>
+          );
+        })}
+        {canDispute && (
+          <Button size="sm" variant="outline" onClick={() => setShowDispute(true)}>
+            <AlertTriangle className="w-4 h-4 mr-1" />
+            Raise Dispute
+          </Button>
+        )}
+      </div>
+
+      <DisputeForm
+        isOpen={showDispute}
+        onClose={() => setShowDispute(false)}
+        targetType={TARGET_TYPES[collectionName]}
+        targetId={project.id}
+        onOpened={() => onChange?.('Disputed')}
+      />
+
+      <Modal
+        isOpen={!!pendingStatus}
+        onClose={closeModal}
+        title={pendingStatus ? ACTIONS[pendingStatus].label : ''}
+        size="md"
+      >
+        {pendingStatus && (
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-textMain mb-2">
+                {ACTIONS[pendingStatus].prompt}
+              </label>
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows={4}
+                className="w-full px-4 py-2 border border-borderColor rounded-lg bg-background text-textMain focus:outline-none focus:ring-2 focus:ring-primary"
+              />
+            </div>
+            <div className="flex gap-3 justify-end">
+              <Button variant="outline" onClick={closeModal} disabled={saving}>
+                Back
+              </Button>
+              <Button onClick={handleConfirm} loading={saving} disabled={saving}>
+                Confirm
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </>
+  );
+};
+
+export default ProjectStatusActions;
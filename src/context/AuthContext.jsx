@@ -2,6 +2,8 @@ import React, { createContext, useContext, useState, useEffect } from 'react';
 import { onAuthStateChanged } from 'firebase/auth';
 import { doc, getDoc, onSnapshot, query, collection, where } from 'firebase/firestore';
 import { auth, db } from '../firebase';
+import presenceService from '../services/presenceService';
+import pushService from '../services/pushService';
 import { getIdTokenResult } from 'firebase/auth';
 import {
   login,
@@ -192,6 +194,22 @@ export const AuthProvider = ({ children }) => {
     };
   }, [currentUser?.uid, db, loading]);
 
+  // Presence heartbeat (online / last seen) while signed in
+  useEffect(() => {
+    if (loading || !currentUser?.uid) {
+      return undefined;
+    }
+    return presenceService.startTracking(currentUser.uid);
+  }, [currentUser?.uid, loading]);
+
+  // Keep this device's push token current if the user turned push on here
+  useEffect(() => {
+    if (loading || !currentUser?.uid) {
+      return;
+    }
+    pushService.refresh(currentUser.uid);
+  }, [currentUser?.uid, loading]);
+
   // Listen to notifications for unread count
   // FIXED: Enhanced error handling and auth checks
   useEffect(() => {
@@ -429,6 +447,15 @@ export const AuthProvider = ({ children }) => {
     try {
       setLoading(true);
       setError(null);
+      if (currentUser?.uid) {
+        await presenceService.setOffline(currentUser.uid).catch((presenceError) => {
+          console.error('Error updating presence on logout:', presenceError);
+        });
+        // Stop pushes to this device for the signed-out user
+        await pushService.disable(currentUser.uid, { keepEnabled: true }).catch((pushError) => {
+          console.error('Error removing push token on logout:', pushError);
+        });
+      }
       const result = await logout();
 
       if (!result.success) {
@@ -13,7 +13,7 @@ import {
   getDocs,
 } from 'firebase/firestore';
 import { db } from '../firebase';
-import { uploadImage } from '../firebase/storageFunctions';
+import { uploadChatAttachments, getMessagePreview } from '../utils/chatAttachments';
 import { useAuth } from '../context/AuthContext';
 import notificationService from '../services/notificationService';
 
@@ -120,8 +120,9 @@ export function useChatMessages(chatId) {
   // Send message function
   // FIXED: Added auth check and proper error handling for blocked collections
   const sendMessage = useCallback(
-    async (text, attachments = []) => {
-      if (!chatId || !currentUser || !currentUser.uid || !db || !text.trim()) {
+    async (text, attachments = [], options = {}) => {
+      const messageText = (text || '').trim();
+      if (!chatId || !currentUser || !currentUser.uid || !db || (!messageText && attachments.length === 0)) {
         throw new Error('Missing required parameters or user not authenticated');
       }
 
@@ -129,26 +130,11 @@ export function useChatMessages(chatId) {
 
       try {
         // FIXED: chats collection is blocked by Firestore rules
-        // Upload attachments if any
-        const attachmentUrls = [];
-        if (attachments && attachments.length > 0) {
-          for (const file of attachments) {
-            try {
-              // Upload to Cloudinary using storageFunctions
-              const folder = `user_uploads/${currentUser.uid}/chats/${chatId}`;
-              const url = await uploadImage(file, folder);
-              attachmentUrls.push({
-                name: file.name,
-                url: url,
-                type: file.type,
-                size: file.size,
-              });
-            } catch (uploadError) {
-              console.error('Error uploading attachment:', uploadError);
-              // Continue with message even if attachment fails
-            }
-          }
-        }
+        // Upload attachments first; a failed upload fails the send so nothing is silently dropped
+        const attachmentUrls = attachments.length > 0
+          ? await uploadChatAttachments(attachments, chatId, currentUser.uid, options.onProgress)
+          : [];
+        const preview = getMessagePreview(messageText, attachmentUrls);
 
         // Step 1: Get chat document and verify currentUser is a participant
         const chatRef = doc(db, 'chats', chatId);
@@ -208,7 +194,7 @@ export function useChatMessages(chatId) {
           targetPath: `chats/${chatId}/messages`,
           senderName: senderName,
           senderRole: senderRole,
-          messagePreview: text.trim().substring(0, 50) + '...',
+          messagePreview: preview.substring(0, 50) + '...',
         });
 
         // Step 4: Add message to subcollection using addDoc (CREATE only) - includes senderName
@@ -218,8 +204,9 @@ export function useChatMessages(chatId) {
           senderName: senderName, // FIXED: Added senderName field
           senderRole: senderRole,
           receiverId: receiverId,
-          text: text.trim(),
+          text: messageText,
           attachments: attachmentUrls,
+          replyTo: options.replyTo || null,
           createdAt: serverTimestamp(),
           readBy: readBy,
         };
@@ -241,13 +228,13 @@ export function useChatMessages(chatId) {
         };
 
         await updateDoc(chatRef, {
-          lastMessage: text.trim().substring(0, 100),
+          lastMessage: preview.substring(0, 100),
           updatedAt: serverTimestamp(),
           unreadFor: unreadFor,
         });
 
-        // Send notification to receiver
-        if (receiverId) {
+        // Send notification to receiver, unless they muted this chat
+        if (receiverId && chatData?.mutedFor?.[receiverId] !== true) {
           try {
             // Get sender and receiver names for personalized notifications
             let senderName = 'Someone';
@@ -299,9 +286,10 @@ export function useChatMessages(chatId) {
               await notificationService.sendNotification(
                 receiverId,
                 'New Chat Message',
-                `${senderName}: ${text.trim().substring(0, 50)}${text.trim().length > 50 ? '...' : ''}`,
+                `${senderName}: ${preview.substring(0, 50)}${preview.length > 50 ? '...' : ''}`,
                 'info',
-                `/chat?chatId=${chatId}`
+                `/chat?chatId=${chatId}`,
+                'chat'
               );
             }
           } catch (notifError) {
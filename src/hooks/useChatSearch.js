@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import chatService from '../services/chatService';
+
+const SEARCH_DEBOUNCE_MS = 300;
+const MIN_SEARCH_LENGTH = 2;
+
+/**
+ * Hook to search message text across the user's chats as they type
+ * @param {Array} chats - The user's chats (with id)
+ * @param {string} term - Search term
+ * @returns {Object} - { messageResults, searching }
+ */
+export function useChatSearch(chats, term) {
+  const [messageResults, setMessageResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const chatIdsKey = chats.map((chat) => chat.id).join(',');
+
+  useEffect(() => {
+    const trimmed = (term || '').trim();
+    if (trimmed.length < MIN_SEARCH_LENGTH || !chatIdsKey) {
+      setMessageResults([]);
+      setSearching(false);
+      return;
+    }
+
+    let cancelled = false;
+    setSearching(true);
+    const timer = setTimeout(async () => {
+      try {
+        const results = await chatService.searchMessages(chatIdsKey.split(','), trimmed);
+        if (!cancelled) setMessageResults(results);
+      } catch (error) {
+        console.error('Error searching chats:', error);
+        if (!cancelled) setMessageResults([]);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [term, chatIdsKey]);
+
+  return { messageResults, searching };
+}
+
+export default useChatSearch;
@@ -0,0 +1,86 @@
+import { useState, useCallback, useEffect } from 'react';
+import { useAuth } from '../context/AuthContext';
+import chatService, { buildReplyTo } from '../services/chatService';
+import toast from 'react-hot-toast';
+
+/**
+ * Hook for acting on existing messages in a chat: reply, edit, delete for everyone and react
+ * @param {string} chatId - Chat document ID
+ * @returns {Object} - { replyingTo, startReply, cancelReply, editingId, startEdit, cancelEdit,
+ *   saveEdit, deleteMessage, toggleReaction }
+ */
+export function useMessageActions(chatId) {
+  const { currentUser } = useAuth();
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const uid = currentUser?.uid;
+
+  // Reply and edit state belong to one chat
+  useEffect(() => {
+    setReplyingTo(null);
+    setEditingId(null);
+  }, [chatId]);
+
+  const startReply = useCallback((message, senderName) => {
+    setEditingId(null);
+    setReplyingTo(buildReplyTo(message, senderName));
+  }, []);
+
+  const cancelReply = useCallback(() => setReplyingTo(null), []);
+
+  const startEdit = useCallback((message) => {
+    setReplyingTo(null);
+    setEditingId(message.id);
+  }, []);
+
+  const cancelEdit = useCallback(() => setEditingId(null), []);
+
+  const saveEdit = useCallback(
+    async (message, text) => {
+      try {
+        await chatService.editMessage(chatId, message, text, uid);
+        setEditingId(null);
+      } catch (error) {
+        toast.error(error.message || 'Failed to edit message');
+      }
+    },
+    [chatId, uid]
+  );
+
+  const deleteMessage = useCallback(
+    async (message) => {
+      if (!window.confirm('Delete this message for everyone?')) return;
+      try {
+        await chatService.deleteMessage(chatId, message, uid);
+      } catch (error) {
+        toast.error(error.message || 'Failed to delete message');
+      }
+    },
+    [chatId, uid]
+  );
+
+  const toggleReaction = useCallback(
+    async (message, emoji) => {
+      try {
+        await chatService.toggleReaction(chatId, message, emoji, uid);
+      } catch (error) {
+        toast.error(error.message || 'Failed to update reaction');
+      }
+    },
+    [chatId, uid]
+  );
+
+  return {
+    replyingTo,
+    startReply,
+    cancelReply,
+    editingId,
+    startEdit,
+    cancelEdit,
+    saveEdit,
+    deleteMessage,
+    toggleReaction,
+  };
+}
+
+export default useMessageActions;
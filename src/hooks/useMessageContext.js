@@ -0,0 +1,51 @@
+import { useState, useEffect, useCallback } from 'react';
+import chatService from '../services/chatService';
+import toast from 'react-hot-toast';
+
+/**
+ * Hook to load the messages around a specific message, for jumping to it from search
+ * @param {string} chatId - Chat document ID
+ * @param {string} messageId - Message to jump to (null for the live view)
+ * @returns {Object} - { contextMessages, hasNewer, loadingContext, exitContext }
+ *   contextMessages is null while showing the live view
+ */
+export function useMessageContext(chatId, messageId) {
+  const [contextMessages, setContextMessages] = useState(null);
+  const [hasNewer, setHasNewer] = useState(false);
+  const [loadingContext, setLoadingContext] = useState(false);
+
+  useEffect(() => {
+    setContextMessages(null);
+    setHasNewer(false);
+    if (!chatId || !messageId) return;
+
+    let cancelled = false;
+    setLoadingContext(true);
+    chatService
+      .getMessageContext(chatId, messageId)
+      .then((context) => {
+        if (cancelled) return;
+        setContextMessages(context.messages);
+        setHasNewer(context.hasNewer);
+      })
+      .catch((error) => {
+        if (!cancelled) toast.error(error.message || 'Failed to load message');
+      })
+      .finally(() => {
+        if (!cancelled) setLoadingContext(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [chatId, messageId]);
+
+  const exitContext = useCallback(() => {
+    setContextMessages(null);
+    setHasNewer(false);
+  }, []);
+
+  return { contextMessages, hasNewer, loadingContext, exitContext };
+}
+
+export default useMessageContext;
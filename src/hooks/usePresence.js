@@ -0,0 +1,33 @@
+import { useState, useEffect } from 'react';
+import presenceService, { describePresence } from '../services/presenceService';
+
+// Re-evaluate periodically so "Online" expires and "Last seen" ages without new snapshots
+const REFRESH_MS = 30 * 1000;
+
+/**
+ * Hook to watch another user's online / last-seen status
+ * @param {string} userId - User to watch
+ * @returns {Object} - { online, lastSeen, label }
+ */
+export function usePresence(userId) {
+  const [presence, setPresence] = useState(null);
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (!userId) {
+      setPresence(null);
+      return undefined;
+    }
+
+    const unsubscribe = presenceService.subscribe(userId, setPresence);
+    const intervalId = setInterval(() => setTick((tick) => tick + 1), REFRESH_MS);
+    return () => {
+      unsubscribe();
+      clearInterval(intervalId);
+    };
+  }, [userId]);
+
+  return describePresence(presence);
+}
+
+export default usePresence;
@@ -0,0 +1,75 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import presenceService, { TYPING_THROTTLE_MS, TYPING_TIMEOUT_MS } from '../services/presenceService';
+
+/**
+ * Hook for typing indicators in a chat
+ * notifyTyping() is safe to call on every keystroke: it writes at most once per TYPING_THROTTLE_MS
+ * and clears the flag after TYPING_TIMEOUT_MS without input.
+ * @param {string} chatId - Chat document ID
+ * @returns {Object} - { typingUserIds, notifyTyping, stopTyping }
+ */
+export function useTypingIndicator(chatId) {
+  const { currentUser } = useAuth();
+  const [typingEntries, setTypingEntries] = useState([]);
+  const [now, setNow] = useState(Date.now());
+  const lastWriteRef = useRef(0);
+  const idleTimeoutRef = useRef(null);
+  const uid = currentUser?.uid;
+
+  // Listen to the other participants' typing flags
+  useEffect(() => {
+    if (!chatId || !uid) {
+      setTypingEntries([]);
+      return undefined;
+    }
+    return presenceService.subscribeTyping(chatId, uid, setTypingEntries);
+  }, [chatId, uid]);
+
+  // A tab closed mid-typing never clears its flag, so expire entries on a timer
+  useEffect(() => {
+    if (typingEntries.length === 0) return undefined;
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, [typingEntries.length]);
+
+  const stopTyping = useCallback(() => {
+    if (idleTimeoutRef.current) {
+      clearTimeout(idleTimeoutRef.current);
+      idleTimeoutRef.current = null;
+    }
+    if (lastWriteRef.current && chatId && uid) {
+      lastWriteRef.current = 0;
+      presenceService.setTyping(chatId, uid, false).catch((error) => {
+        console.error('Error clearing typing status:', error);
+      });
+    }
+  }, [chatId, uid]);
+
+  const notifyTyping = useCallback(() => {
+    if (!chatId || !uid) return;
+
+    if (Date.now() - lastWriteRef.current >= TYPING_THROTTLE_MS) {
+      lastWriteRef.current = Date.now();
+      presenceService.setTyping(chatId, uid, true).catch((error) => {
+        console.error('Error updating typing status:', error);
+      });
+    }
+
+    if (idleTimeoutRef.current) {
+      clearTimeout(idleTimeoutRef.current);
+    }
+    idleTimeoutRef.current = setTimeout(stopTyping, TYPING_TIMEOUT_MS);
+  }, [chatId, uid, stopTyping]);
+
+  // Clear our flag when leaving the chat
+  useEffect(() => stopTyping, [stopTyping]);
+
+  const typingUserIds = typingEntries
+    .filter((entry) => now - entry.typingAt < TYPING_TIMEOUT_MS)
+    .map((entry) => entry.userId);
+
+  return { typingUserIds, notifyTyping, stopTyping };
+}
+
+export default useTypingIndicator;
@@ -31,6 +31,7 @@ import {
   Filter,
   Star,
   CreditCard,
+  AlertTriangle,
 } from 'lucide-react';
 import {
   collection,
@@ -54,11 +55,18 @@ import { useAuth } from '../context/AuthContext';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Button from '../components/common/Button';
 import Modal from '../components/common/Modal';
+import ReviewHistory from '../components/reviews/ReviewHistory';
+import ReviewModerationQueue from '../components/reviews/ReviewModerationQueue';
 import Input from '../components/common/Input';
 import notificationService from '../services/notificationService';
 import propertyService from '../services/propertyService';
 import reviewsService from '../services/reviewsService';
+import { MODERATION_STATUSES, isReviewVisible } from '../utils/reviewModeration';
 import transactionService from '../services/transactionService';
+import availabilityService from '../services/availabilityService';
+import disputeService, { DISPUTE_OUTCOMES } from '../services/disputeService';
+import { updateProjectStatus } from '../utils/projectUpdates';
+import { STATUS_MACHINES, canTransition, getAllowedTransitions, normalizeStatus } from '../utils/projectStatus';
 import toast from 'react-hot-toast';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { 
@@ -140,15 +148,27 @@ const AdminPanel = () => {
     type: '',
   });
   const [deleteNotificationModalOpen, setDeleteNotificationModalOpen] = useState(false);
+  const [broadcastForm, setBroadcastForm] = useState({
+    title: '',
+    message: '',
+    link: '',
+    segment: 'all',
+    city: '',
+    scheduledAt: '',
+  });
+  const [sendingBroadcast, setSendingBroadcast] = useState(false);
+  const [broadcasts, setBroadcasts] = useState([]);
   const [notificationToDelete, setNotificationToDelete] = useState(null);
   const [allReviews, setAllReviews] = useState([]);
   const [reviewsLoading, setReviewsLoading] = useState(true);
   const [reviewFilters, setReviewFilters] = useState({
     targetType: '',
     minRating: '',
+    moderationStatus: '',
   });
   const [deleteReviewModalOpen, setDeleteReviewModalOpen] = useState(false);
   const [reviewToDelete, setReviewToDelete] = useState(null);
+  const [reviewHistoryTarget, setReviewHistoryTarget] = useState(null);
   const [allTransactions, setAllTransactions] = useState([]);
   const [transactionsLoading, setTransactionsLoading] = useState(true);
   const [transactionFilters, setTransactionFilters] = useState({
@@ -156,6 +176,19 @@ const AdminPanel = () => {
     targetType: '',
     userId: '',
   });
+  const [disputes, setDisputes] = useState([]);
+  const [disputesLoading, setDisputesLoading] = useState(true);
+  const [disputeStatusFilter, setDisputeStatusFilter] = useState('open');
+  const [selectedDispute, setSelectedDispute] = useState(null);
+  const [disputeCase, setDisputeCase] = useState(null);
+  const [disputeCaseLoading, setDisputeCaseLoading] = useState(false);
+  const [resolutionForm, setResolutionForm] = useState({
+    outcome: 'close',
+    refundAmount: '',
+    finalStatus: '',
+    notes: '',
+  });
+  const [resolvingDispute, setResolvingDispute] = useState(false);
   const [migrationModalOpen, setMigrationModalOpen] = useState(false);
   const [migrationRunning, setMigrationRunning] = useState(false);
   const [migrationStats, setMigrationStats] = useState(null);
@@ -234,6 +267,54 @@ const AdminPanel = () => {
     return () => unsubscribe();
   }, [activeTab, db, userNames]);
 
+  // Fetch disputes when disputes tab is active
+  useEffect(() => {
+    if (activeTab !== 'disputes' || !db) return;
+
+    setDisputesLoading(true);
+    const disputesQuery = query(collection(db, 'disputes'), orderBy('createdAt', 'desc'));
+
+    const unsubscribe = onSnapshot(
+      disputesQuery,
+      async (snapshot) => {
+        const disputesData = snapshot.docs.map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+        }));
+        setDisputes(disputesData);
+        setDisputesLoading(false);
+
+        // Fetch party names
+        const partyIds = [...new Set(disputesData.flatMap((dispute) => dispute.participantIds || []))];
+        await Promise.all(
+          partyIds
+            .filter((userId) => userId && !userNames[userId])
+            .map(async (userId) => {
+              try {
+                const userDoc = await getDoc(doc(db, 'users', userId));
+                if (userDoc.exists()) {
+                  const userData = userDoc.data();
+                  setUserNames((prev) => ({
+                    ...prev,
+                    [userId]: userData.name || userData.displayName || 'Unknown',
+                  }));
+                }
+              } catch (error) {
+                console.error(`Error fetching user ${userId}:`, error);
+              }
+            })
+        );
+      },
+      (error) => {
+        console.error('Error fetching disputes:', error);
+        toast.error('Failed to load disputes');
+        setDisputesLoading(false);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [activeTab, db, userNames]);
+
   // Fetch reviews when reviews tab is active
   useEffect(() => {
     if (activeTab !== 'reviews' || !db) return;
@@ -250,20 +331,21 @@ const AdminPanel = () => {
         }));
         setAllReviews(reviewsData);
 
-        // Fetch reviewer names
+        // Fetch reviewer names (older reviews store the author as reviewerId)
         const namePromises = reviewsData.map(async (review) => {
-          if (review.reviewerId && !userNames[review.reviewerId]) {
+          const authorId = review.authorId || review.reviewerId;
+          if (authorId && !userNames[authorId]) {
             try {
-              const userDoc = await getDoc(doc(db, 'users', review.reviewerId));
+              const userDoc = await getDoc(doc(db, 'users', authorId));
               if (userDoc.exists()) {
                 const userData = userDoc.data();
                 setUserNames((prev) => ({
                   ...prev,
-                  [review.reviewerId]: userData.name || userData.displayName || 'Unknown',
+                  [authorId]: userData.name || userData.displayName || 'Unknown',
                 }));
               }
             } catch (error) {
-              console.error(`Error fetching user ${review.reviewerId}:`, error);
+              console.error(`Error fetching user ${authorId}:`, error);
             }
           }
         });
@@ -343,6 +425,7 @@ const AdminPanel = () => {
     { key: 'requests', label: 'Manage Requests', icon: FileText },
     { key: 'reviews', label: 'Manage Reviews', icon: Star },
     { key: 'transactions', label: 'Transactions', icon: CreditCard },
+    { key: 'disputes', label: 'Disputes', icon: AlertTriangle },
     { key: 'support-messages', label: 'Support Messages', icon: MessageSquare },
     { key: 'support-chats', label: 'Support Chats', icon: MessageCircle },
     { key: 'notifications', label: 'Send Notifications', icon: Bell },
@@ -1336,7 +1419,8 @@ const AdminPanel = () => {
         `Property ${action === 'suspended' ? 'Suspended' : 'Activated'}`,
         `Your property "${property.title}" has been ${action}.${action === 'suspended' ? ' It will no longer be visible to the public.' : ' It is now visible to the public.'}`,
         action === 'suspended' ? 'warning' : 'success',
-        `/properties/${property.id}`
+        `/properties/${property.id}`,
+        'propertyModeration'
       );
 
       toast.success(`Property ${action} successfully`);
@@ -1362,7 +1446,8 @@ const AdminPanel = () => {
         'Property Deleted',
         `Your property "${propertyToDelete.title}" has been deleted by an administrator.`,
         'error',
-        null
+        null,
+        'propertyModeration'
       );
 
       await deleteDoc(propertyRef);
@@ -1563,6 +1648,12 @@ const AdminPanel = () => {
                 officeAddress: request.officeAddress || '',
                 description: request.description || '',
                 portfolio: request.portfolio || [],
+                // Provider search fields (geohash is derived from coordinates by a Cloud Function)
+                coordinates: request.coordinates || null,
+                serviceAddress: request.serviceAddress || '',
+                minBudget: request.minBudget ?? null,
+                maxBudget: request.maxBudget ?? null,
+                availability: request.availability || 'available',
                 updatedAt: serverTimestamp(),
               };
               await setDoc(providerDocRef, newProviderData);
@@ -1633,11 +1724,22 @@ const AdminPanel = () => {
         return;
       }
 
-      // Original logic for other request types
-      await updateDoc(requestRef, {
-        status: newStatus,
-        updatedAt: serverTimestamp(),
-      });
+      // Original logic for other request types; projects and rental/buy-sell requests go through
+      // the status state machine, which also logs the change in projectUpdates
+      if (request.collection === 'rentalRequests' && normalizeStatus(newStatus) === 'Accepted') {
+        // Same overlap check as the owner's accept; released dates are handled by syncRentalAvailability
+        await availabilityService.confirmBooking(request.id, newStatus, 'admin');
+      } else if (STATUS_MACHINES[request.collection]) {
+        await updateProjectStatus(request.collection, request.id, newStatus, {
+          role: 'admin',
+          updatedBy: auth?.currentUser?.uid || 'admin',
+        });
+      } else {
+        await updateDoc(requestRef, {
+          status: newStatus,
+          updatedAt: serverTimestamp(),
+        });
+      }
 
       // Create notifications
       const statusMessages = {
@@ -1681,7 +1783,8 @@ const AdminPanel = () => {
           title,
           `Your ${request.requestType.toLowerCase()} request ${message}.`,
           'status-update',
-          link
+          link,
+          'projectStatus'
         );
       }
 
@@ -1692,7 +1795,8 @@ const AdminPanel = () => {
           `${request.requestType} Project Status Updated`,
           `A ${request.requestType.toLowerCase()} project assigned to you ${message}.`,
           'status-update',
-          request.requestType === 'Construction' ? '/constructor/dashboard' : '/renovator/dashboard'
+          request.requestType === 'Construction' ? '/constructor/dashboard' : '/renovator/dashboard',
+          'projectStatus'
         );
       }
 
@@ -1767,6 +1871,76 @@ const AdminPanel = () => {
     }
   }, [activeTab]);
 
+  // Broadcast history with delivery counts, kept live while a broadcast is being delivered
+  useEffect(() => {
+    if (activeTab !== 'manage-notifications' || !db) return;
+
+    const broadcastsQuery = query(collection(db, 'broadcasts'), orderBy('createdAt', 'desc'), limit(50));
+    const unsubscribe = onSnapshot(
+      broadcastsQuery,
+      (snapshot) => {
+        setBroadcasts(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })));
+      },
+      (error) => {
+        console.error('Error fetching broadcasts:', error);
+      }
+    );
+
+    return () => unsubscribe();
+  }, [activeTab]);
+
+  const resetBroadcastForm = () =>
+    setBroadcastForm({ title: '', message: '', link: '', segment: 'all', city: '', scheduledAt: '' });
+
+  // Send (or schedule) an announcement through the sendBroadcast Cloud Function
+  const handleSendBroadcast = async () => {
+    if (!broadcastForm.title.trim() || !broadcastForm.message.trim()) {
+      toast.error('Please fill in title and message');
+      return;
+    }
+    if (broadcastForm.segment === 'city' && !broadcastForm.city.trim()) {
+      toast.error('Please enter a city');
+      return;
+    }
+    if (broadcastForm.scheduledAt && new Date(broadcastForm.scheduledAt) <= new Date()) {
+      toast.error('Schedule time must be in the future');
+      return;
+    }
+
+    try {
+      setSendingBroadcast(true);
+      const result = await notificationService.broadcast(
+        broadcastForm.title.trim(),
+        broadcastForm.message.trim(),
+        {
+          segment: broadcastForm.segment,
+          city: broadcastForm.city.trim(),
+          link: broadcastForm.link.trim(),
+          scheduledAt: broadcastForm.scheduledAt || null,
+        }
+      );
+      toast.success(
+        result.status === 'scheduled'
+          ? 'Broadcast scheduled'
+          : `Broadcast delivered to ${result.deliveredCount} user${result.deliveredCount === 1 ? '' : 's'}`
+      );
+      resetBroadcastForm();
+    } catch (error) {
+      toast.error(error.message || 'Failed to send broadcast');
+    } finally {
+      setSendingBroadcast(false);
+    }
+  };
+
+  const handleCancelBroadcast = async (broadcastId) => {
+    try {
+      await notificationService.cancelBroadcast(broadcastId);
+      toast.success('Broadcast cancelled');
+    } catch (error) {
+      toast.error(error.message || 'Failed to cancel broadcast');
+    }
+  };
+
   const getFilteredNotifications = () => {
     let filtered = [...allNotifications];
 
@@ -2088,7 +2262,8 @@ const AdminPanel = () => {
         'New Support Chat Message',
         `You have a new message from support: "${newMessageText.trim().substring(0, 50)}${newMessageText.trim().length > 50 ? '...' : ''}"`,
         'admin',
-        '/chatbot'
+        '/chatbot',
+        'chat'
       );
 
       setNewMessageText('');
@@ -2189,6 +2364,51 @@ const AdminPanel = () => {
     }
   };
 
+  // Open a dispute's case file (timeline, chat, payments) for review
+  const openDisputeCase = async (dispute) => {
+    setSelectedDispute(dispute);
+    setDisputeCase(null);
+    setResolutionForm({ outcome: 'close', refundAmount: '', finalStatus: '', notes: '' });
+    try {
+      setDisputeCaseLoading(true);
+      setDisputeCase(await disputeService.getCase(dispute.id));
+    } catch (error) {
+      toast.error(error.message || 'Failed to load dispute');
+    } finally {
+      setDisputeCaseLoading(false);
+    }
+  };
+
+  const closeDisputeCase = () => {
+    if (resolvingDispute) return;
+    setSelectedDispute(null);
+    setDisputeCase(null);
+  };
+
+  // Record the admin's decision; the resolveDispute function moves the target out of Disputed
+  const handleResolveDispute = async () => {
+    if (!selectedDispute) return;
+    if (!resolutionForm.notes.trim()) {
+      toast.error('Please add resolution notes for both parties');
+      return;
+    }
+    try {
+      setResolvingDispute(true);
+      const result = await disputeService.resolveDispute(selectedDispute.id, resolutionForm);
+      toast.success(
+        result.refunded > 0
+          ? `Dispute resolved. ${result.refunded} refunded to the client's wallet.`
+          : `Dispute resolved. Status is now ${result.status}.`
+      );
+      setSelectedDispute(null);
+      setDisputeCase(null);
+    } catch (error) {
+      toast.error(error.message || 'Failed to resolve dispute');
+    } finally {
+      setResolvingDispute(false);
+    }
+  };
+
   // Render placeholder content based on active tab
   const renderTabContent = () => {
     if (activeTab === 'overview') {
@@ -3532,7 +3752,9 @@ const AdminPanel = () => {
                                   </Button>
                                 </>
                               ) : null}
-                              {(request.status === 'Approved' || request.status === 'Accepted') && (
+                              {(request.status === 'Approved' || request.status === 'Accepted') &&
+                                (!STATUS_MACHINES[request.collection] ||
+                                  canTransition(request.collection, request.status, 'In Progress', 'admin')) && (
                                 <Button
                                   size="sm"
                                   variant="outline"
@@ -4349,6 +4571,11 @@ const AdminPanel = () => {
         if (reviewFilters.minRating) {
           filtered = filtered.filter((r) => r.rating >= Number(reviewFilters.minRating));
         }
+        if (reviewFilters.moderationStatus) {
+          filtered = filtered.filter(
+            (r) => (r.moderationStatus || 'visible') === reviewFilters.moderationStatus
+          );
+        }
         return filtered;
       };
 
@@ -4386,14 +4613,17 @@ const AdminPanel = () => {
       };
 
       const filteredReviews = getFilteredReviews();
+      const pendingReviews = allReviews.filter((r) => r.moderationStatus === 'pending');
 
       return (
         <div className="p-6">
           <h2 className="text-2xl font-bold text-textMain mb-6">Manage Reviews</h2>
 
+          {!reviewsLoading && <ReviewModerationQueue reviews={pendingReviews} userNames={userNames} />}
+
           {/* Filters */}
             <div className="bg-surface rounded-lg shadow-sm border border-muted p-4 mb-6">
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
               <div>
                 <label className="block text-sm font-medium text-textSecondary mb-2">
                   <Filter className="w-4 h-4 inline mr-1" />
@@ -4408,6 +4638,7 @@ const AdminPanel = () => {
                 >
                   <option value="">All Types</option>
                   <option value="property">Property</option>
+                  <option value="provider">Provider</option>
                   <option value="construction">Construction</option>
                   <option value="renovation">Renovation</option>
                 </select>
@@ -4429,13 +4660,30 @@ const AdminPanel = () => {
                   <option value="5">5 Stars</option>
                 </select>
               </div>
+              <div>
+                <label className="block text-sm font-medium text-textSecondary mb-2">Moderation</label>
+                <select
+                  value={reviewFilters.moderationStatus}
+                  onChange={(e) =>
+                    setReviewFilters((prev) => ({ ...prev, moderationStatus: e.target.value }))
+                  }
+                  className="w-full px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                >
+                  <option value="">All Statuses</option>
+                  {Object.entries(MODERATION_STATUSES).map(([value, label]) => (
+                    <option key={value} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
             </div>
-            {(reviewFilters.targetType || reviewFilters.minRating) && (
+            {(reviewFilters.targetType || reviewFilters.minRating || reviewFilters.moderationStatus) && (
               <div className="mt-3">
                 <Button
                   size="sm"
                   variant="outline"
-                  onClick={() => setReviewFilters({ targetType: '', minRating: '' })}
+                  onClick={() => setReviewFilters({ targetType: '', minRating: '', moderationStatus: '' })}
                 >
                   Clear Filters
                 </Button>
@@ -4484,12 +4732,13 @@ const AdminPanel = () => {
                   </thead>
                   <tbody className="bg-surface divide-y divide-muted">
                     {filteredReviews.map((review) => {
-                      const reviewerName = userNames[review.reviewerId] || 'Loading...';
+                      const authorId = review.authorId || review.reviewerId;
+                      const reviewerName = userNames[authorId] || 'Loading...';
                       return (
                         <tr key={review.id} className="hover:bg-background">
                           <td className="px-6 py-4 whitespace-nowrap">
                             <div className="text-sm text-textMain">{reviewerName}</div>
-                            <div className="text-xs text-textSecondary">{review.reviewerId?.substring(0, 8)}...</div>
+                            <div className="text-xs text-textSecondary">{authorId?.substring(0, 8)}...</div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap">
                             <span
@@ -4528,11 +4777,45 @@ const AdminPanel = () => {
                             <div className="text-sm text-textMain max-w-xs truncate">
                               {review.comment}
                             </div>
+                            <div className="flex gap-2 mt-1">
+                              {review.verified && (
+                                <span className="text-xs font-medium text-primary">Verified</span>
+                              )}
+                              {review.editCount > 0 && (
+                                <span className="text-xs text-textSecondary">
+                                  Edited {review.editCount}×
+                                </span>
+                              )}
+                              {review.response?.text && (
+                                <span className="text-xs text-textSecondary">Has response</span>
+                              )}
+                              {review.moderationStatus && (
+                                <span
+                                  className={`text-xs font-medium ${
+                                    isReviewVisible(review) ? 'text-green-700' : 'text-error'
+                                  }`}
+                                  title={review.moderation?.reason || ''}
+                                >
+                                  {MODERATION_STATUSES[review.moderationStatus] || review.moderationStatus}
+                                </span>
+                              )}
+                            </div>
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-textSecondary">
                             {formatDate(review.createdAt)}
                           </td>
                           <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                            {review.editCount > 0 && (
+                              <Button
+                                size="sm"
+                                variant="ghost"
+                                onClick={() => setReviewHistoryTarget(review)}
+                                className="mr-2"
+                              >
+                                <Clock className="w-4 h-4 mr-1" />
+                                History
+                              </Button>
+                            )}
                             <Button
                               size="sm"
                               variant="outline"
@@ -4555,6 +4838,16 @@ const AdminPanel = () => {
             </div>
           )}
 
+          {/* Review Edit History Modal */}
+          <Modal
+            isOpen={!!reviewHistoryTarget}
+            onClose={() => setReviewHistoryTarget(null)}
+            title="Review Edit History"
+            size="md"
+          >
+            {reviewHistoryTarget && <ReviewHistory review={reviewHistoryTarget} />}
+          </Modal>
+
           {/* Delete Review Modal */}
           <Modal
             isOpen={deleteReviewModalOpen}
@@ -4820,6 +5113,293 @@ const AdminPanel = () => {
       );
     }
 
+    // Disputes tab
+    if (activeTab === 'disputes') {
+      const filteredDisputes = disputeStatusFilter
+        ? disputes.filter((dispute) => dispute.status === disputeStatusFilter)
+        : disputes;
+
+      return (
+        <div className="p-6">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-2xl font-bold text-textMain">Disputes</h2>
+            <select
+              value={disputeStatusFilter}
+              onChange={(e) => setDisputeStatusFilter(e.target.value)}
+              className="px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+            >
+              <option value="open">Open</option>
+              <option value="resolved">Resolved</option>
+              <option value="">All</option>
+            </select>
+          </div>
+
+          {disputesLoading ? (
+            <div className="flex justify-center py-12">
+              <LoadingSpinner size="lg" />
+            </div>
+          ) : filteredDisputes.length === 0 ? (
+            <div className="text-center py-12 text-textSecondary">No disputes found</div>
+          ) : (
+            <div className="space-y-3">
+              {filteredDisputes.map((dispute) => (
+                <div
+                  key={dispute.id}
+                  className="bg-surface rounded-lg border border-muted p-4 flex items-start justify-between gap-4"
+                >
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 mb-1">
+                      <span
+                        className={`px-2 py-1 text-xs font-medium rounded-full ${
+                          dispute.status === 'open' ? 'bg-error/20 text-error' : 'bg-primary/20 text-primary'
+                        }`}
+                      >
+                        {dispute.status}
+                      </span>
+                      <span className="px-2 py-1 text-xs font-medium rounded-full bg-muted text-textMain">
+                        {dispute.targetType}
+                      </span>
+                      <span className="text-xs text-textSecondary">
+                        {dispute.createdAt?.toDate?.().toLocaleString() || ''}
+                      </span>
+                    </div>
+                    <p className="font-medium text-textMain truncate">{dispute.reason}</p>
+                    <p className="text-sm text-textSecondary">
+                      Opened by {userNames[dispute.openedBy] || dispute.openedBy?.substring(0, 8)} ({dispute.openedByRole})
+                      {' · '}Client: {userNames[dispute.clientId] || dispute.clientId?.substring(0, 8)}
+                      {' · '}Provider: {userNames[dispute.providerUserId] || dispute.providerUserId?.substring(0, 8)}
+                    </p>
+                    {dispute.resolution && (
+                      <p className="text-sm text-textSecondary mt-1">
+                        Resolution: {DISPUTE_OUTCOMES[dispute.resolution.outcome] || dispute.resolution.outcome}
+                        {dispute.resolution.refundAmount > 0 && ` (refund ${dispute.resolution.refundAmount})`}
+                      </p>
+                    )}
+                  </div>
+                  <Button size="sm" variant="outline" onClick={() => openDisputeCase(dispute)}>
+                    <Eye className="w-4 h-4 mr-1" />
+                    Review
+                  </Button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      );
+    }
+
+    // Manage Notifications tab: segmented broadcasts and the notification log
+    if (activeTab === 'manage-notifications') {
+      const segmentLabels = {
+        all: 'All users',
+        constructors: 'Constructors',
+        renovators: 'Renovators',
+        owners: 'Owners with published listings',
+        city: 'Users in a city',
+      };
+      const broadcastStatusStyles = {
+        scheduled: 'bg-accent/20 text-accent',
+        sending: 'bg-primary/10 text-primary',
+        sent: 'bg-primary/20 text-primary',
+        failed: 'bg-error/20 text-error',
+        cancelled: 'bg-muted text-textSecondary',
+      };
+      const formatTime = (timestamp) => timestamp?.toDate?.().toLocaleString() || '—';
+      const filteredNotifications = getFilteredNotifications().slice(0, 100);
+
+      return (
+        <div className="p-6 space-y-8">
+          <h2 className="text-2xl font-bold text-textMain">Manage Notifications</h2>
+
+          {/* Broadcast composer */}
+          <div className="bg-surface rounded-lg shadow-sm border border-muted p-6 max-w-2xl">
+            <h3 className="text-lg font-semibold text-textMain mb-4">New Announcement</h3>
+            <form
+              onSubmit={(e) => {
+                e.preventDefault();
+                handleSendBroadcast();
+              }}
+              className="space-y-4"
+            >
+              <Input
+                label="Title *"
+                value={broadcastForm.title}
+                onChange={(e) => setBroadcastForm((prev) => ({ ...prev, title: e.target.value }))}
+                placeholder="Announcement title..."
+                required
+              />
+              <div>
+                <label className="block text-sm font-medium text-textSecondary mb-2">Message *</label>
+                <textarea
+                  value={broadcastForm.message}
+                  onChange={(e) => setBroadcastForm((prev) => ({ ...prev, message: e.target.value }))}
+                  rows={4}
+                  className="w-full px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary focus:border-primary resize-none"
+                  placeholder="Announcement message..."
+                  required
+                />
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-textSecondary mb-2">Audience *</label>
+                  <select
+                    value={broadcastForm.segment}
+                    onChange={(e) => setBroadcastForm((prev) => ({ ...prev, segment: e.target.value }))}
+                    className="w-full px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+                  >
+                    {Object.entries(segmentLabels).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                {broadcastForm.segment === 'city' && (
+                  <Input
+                    label="City *"
+                    value={broadcastForm.city}
+                    onChange={(e) => setBroadcastForm((prev) => ({ ...prev, city: e.target.value }))}
+                    placeholder="e.g. Lahore"
+                  />
+                )}
+                <Input
+                  label="Link (optional)"
+                  value={broadcastForm.link}
+                  onChange={(e) => setBroadcastForm((prev) => ({ ...prev, link: e.target.value }))}
+                  placeholder="/properties"
+                />
+                <Input
+                  label="Schedule for (optional)"
+                  type="datetime-local"
+                  value={broadcastForm.scheduledAt}
+                  onChange={(e) => setBroadcastForm((prev) => ({ ...prev, scheduledAt: e.target.value }))}
+                />
+              </div>
+              <div className="flex gap-3">
+                <Button
+                  type="submit"
+                  loading={sendingBroadcast}
+                  disabled={sendingBroadcast || !broadcastForm.title.trim() || !broadcastForm.message.trim()}
+                >
+                  <Bell className="w-4 h-4 mr-2" />
+                  {broadcastForm.scheduledAt ? 'Schedule' : 'Send Now'}
+                </Button>
+                <Button type="button" variant="outline" onClick={resetBroadcastForm} disabled={sendingBroadcast}>
+                  Clear
+                </Button>
+              </div>
+            </form>
+          </div>
+
+          {/* Broadcast history */}
+          <div>
+            <h3 className="text-lg font-semibold text-textMain mb-3">Broadcasts</h3>
+            {broadcasts.length === 0 ? (
+              <p className="text-sm text-textSecondary">No broadcasts yet</p>
+            ) : (
+              <div className="overflow-x-auto border border-muted rounded-lg">
+                <table className="min-w-full divide-y divide-muted text-sm">
+                  <thead className="bg-background">
+                    <tr>
+                      <th className="px-4 py-2 text-left font-medium text-textSecondary">Title</th>
+                      <th className="px-4 py-2 text-left font-medium text-textSecondary">Audience</th>
+                      <th className="px-4 py-2 text-left font-medium text-textSecondary">Status</th>
+                      <th className="px-4 py-2 text-left font-medium text-textSecondary">Delivered</th>
+                      <th className="px-4 py-2 text-left font-medium text-textSecondary">When</th>
+                      <th className="px-4 py-2" />
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-muted">
+                    {broadcasts.map((broadcast) => (
+                      <tr key={broadcast.id}>
+                        <td className="px-4 py-2 text-textMain">{broadcast.title}</td>
+                        <td className="px-4 py-2 text-textSecondary">
+                          {segmentLabels[broadcast.segment] || broadcast.segment}
+                          {broadcast.city ? ` (${broadcast.city})` : ''}
+                        </td>
+                        <td className="px-4 py-2">
+                          <span
+                            className={`px-2 py-1 text-xs font-medium rounded-full ${
+                              broadcastStatusStyles[broadcast.status] || 'bg-muted text-textMain'
+                            }`}
+                          >
+                            {broadcast.status}
+                          </span>
+                        </td>
+                        <td className="px-4 py-2 text-textMain">
+                          {broadcast.recipientCount == null
+                            ? '—'
+                            : `${broadcast.deliveredCount || 0} / ${broadcast.recipientCount}`}
+                        </td>
+                        <td className="px-4 py-2 text-textSecondary">
+                          {broadcast.status === 'scheduled'
+                            ? formatTime(broadcast.scheduledAt)
+                            : formatTime(broadcast.sentAt || broadcast.createdAt)}
+                        </td>
+                        <td className="px-4 py-2 text-right">
+                          {broadcast.status === 'scheduled' && (
+                            <Button size="sm" variant="outline" onClick={() => handleCancelBroadcast(broadcast.id)}>
+                              Cancel
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          {/* Notification log */}
+          <div>
+            <h3 className="text-lg font-semibold text-textMain mb-3">Recent Notifications</h3>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4 max-w-2xl">
+              <Input
+                placeholder="Filter by user UID..."
+                value={notificationFilters.userId}
+                onChange={(e) => setNotificationFilters((prev) => ({ ...prev, userId: e.target.value }))}
+              />
+              <select
+                value={notificationFilters.type}
+                onChange={(e) => setNotificationFilters((prev) => ({ ...prev, type: e.target.value }))}
+                className="w-full px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
+              >
+                <option value="">All Types</option>
+                {[...new Set(allNotifications.map((n) => n.type).filter(Boolean))].map((type) => (
+                  <option key={type} value={type}>
+                    {type}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {allNotificationsLoading ? (
+              <div className="flex justify-center py-8">
+                <LoadingSpinner size="lg" />
+              </div>
+            ) : filteredNotifications.length === 0 ? (
+              <p className="text-sm text-textSecondary">No notifications found</p>
+            ) : (
+              <ul className="divide-y divide-muted border border-muted rounded-lg">
+                {filteredNotifications.map((notification) => (
+                  <li key={notification.id} className="px-4 py-3 text-sm">
+                    <div className="flex justify-between gap-4">
+                      <span className="font-medium text-textMain">{notification.title}</span>
+                      <span className="text-textSecondary whitespace-nowrap">{formatTime(notification.createdAt)}</span>
+                    </div>
+                    <p className="text-textSecondary">{notification.message}</p>
+                    <p className="text-xs text-textSecondary mt-1">
+                      {notification.type} · {notification.userId} · {notification.read ? 'read' : 'unread'}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      );
+    }
+
     // Notifications Sender tab
     if (activeTab === 'notifications') {
       return (
@@ -4956,6 +5536,207 @@ const AdminPanel = () => {
     );
   };
 
+  // Dispute case modal: evidence, status timeline, payments, chat and the resolution form
+  const renderDisputeModal = () => {
+    const formatCaseTime = (millis) => (millis ? new Date(millis).toLocaleString() : '');
+    const finalStatusOptions = selectedDispute
+      ? getAllowedTransitions(selectedDispute.targetCollection, 'Disputed', 'admin')
+      : [];
+    const isOpenDispute = selectedDispute?.status === 'open';
+
+    return (
+      <Modal
+        isOpen={!!selectedDispute}
+        onClose={closeDisputeCase}
+        title={selectedDispute ? `Dispute: ${selectedDispute.reason}` : 'Dispute'}
+        size="xl"
+      >
+        {disputeCaseLoading || !disputeCase ? (
+          <div className="flex justify-center py-12">
+            <LoadingSpinner size="lg" />
+          </div>
+        ) : (
+          <div className="space-y-6 max-h-[70vh] overflow-y-auto">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+              <div>
+                <p className="text-textSecondary">Target</p>
+                <p className="text-textMain">
+                  {disputeCase.dispute.targetType} · {disputeCase.target?.status || 'deleted'} ·{' '}
+                  {disputeCase.dispute.targetId}
+                </p>
+              </div>
+              <div>
+                <p className="text-textSecondary">Paid so far</p>
+                <p className="text-textMain">{disputeCase.paidTotal} PKR</p>
+              </div>
+              <div className="md:col-span-2">
+                <p className="text-textSecondary">
+                  Opened by {userNames[disputeCase.dispute.openedBy] || disputeCase.dispute.openedBy} (
+                  {disputeCase.dispute.openedByRole}) on {formatCaseTime(disputeCase.dispute.createdAt)}
+                </p>
+                {disputeCase.dispute.description && (
+                  <p className="text-textMain mt-1 whitespace-pre-wrap">{disputeCase.dispute.description}</p>
+                )}
+              </div>
+            </div>
+
+            {disputeCase.dispute.evidence?.length > 0 && (
+              <div>
+                <h3 className="font-semibold text-textMain mb-2">Evidence</h3>
+                <div className="grid grid-cols-3 md:grid-cols-5 gap-2">
+                  {disputeCase.dispute.evidence.map((url) => (
+                    <a key={url} href={url} target="_blank" rel="noopener noreferrer">
+                      <img src={url} alt="Evidence" className="w-full h-20 object-cover rounded" />
+                    </a>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            <div>
+              <h3 className="font-semibold text-textMain mb-2">Status Timeline</h3>
+              {disputeCase.updates.length === 0 ? (
+                <p className="text-sm text-textSecondary">No updates recorded</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {disputeCase.updates.map((update) => (
+                    <li key={update.id} className="border-l-2 border-muted pl-3">
+                      <span className="font-medium text-textMain">
+                        {update.previousStatus ? `${update.previousStatus} → ` : ''}
+                        {update.status}
+                      </span>
+                      <span className="text-textSecondary"> · {formatCaseTime(update.createdAt)}</span>
+                      {update.note && <p className="text-textSecondary">{update.note}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-textMain mb-2">Payments</h3>
+              {disputeCase.transactions.length === 0 ? (
+                <p className="text-sm text-textSecondary">No payments</p>
+              ) : (
+                <ul className="space-y-1 text-sm">
+                  {disputeCase.transactions.map((transaction) => (
+                    <li key={transaction.id} className="flex justify-between">
+                      <span className="text-textMain">
+                        {transaction.amount} {transaction.currency || 'PKR'} · {transaction.paymentMethod}
+                      </span>
+                      <span className="text-textSecondary">
+                        {transaction.status} · {formatCaseTime(transaction.createdAt)}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div>
+              <h3 className="font-semibold text-textMain mb-2">Chat History</h3>
+              {disputeCase.messages.length === 0 ? (
+                <p className="text-sm text-textSecondary">The parties have not chatted</p>
+              ) : (
+                <div className="space-y-2 max-h-64 overflow-y-auto bg-background rounded-lg p-3">
+                  {disputeCase.messages.map((message) => (
+                    <div key={message.id} className="text-sm">
+                      <span className="font-medium text-textMain">
+                        {userNames[message.senderId] ||
+                          (message.senderId === disputeCase.dispute.clientId ? 'Client' : 'Provider')}
+                        :
+                      </span>{' '}
+                      <span className="text-textMain">{message.text}</span>
+                      <span className="text-xs text-textSecondary ml-2">{formatCaseTime(message.createdAt)}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {isOpenDispute ? (
+              <div className="border-t border-muted pt-4 space-y-3">
+                <h3 className="font-semibold text-textMain">Resolution</h3>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-sm font-medium text-textSecondary mb-1">Outcome</label>
+                    <select
+                      value={resolutionForm.outcome}
+                      onChange={(e) => setResolutionForm((prev) => ({ ...prev, outcome: e.target.value }))}
+                      className="w-full px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary"
+                    >
+                      {Object.entries(DISPUTE_OUTCOMES).map(([value, label]) => (
+                        <option key={value} value={value}>
+                          {label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-textSecondary mb-1">New status</label>
+                    <select
+                      value={resolutionForm.finalStatus}
+                      onChange={(e) => setResolutionForm((prev) => ({ ...prev, finalStatus: e.target.value }))}
+                      className="w-full px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary"
+                    >
+                      <option value="">Default for outcome</option>
+                      {finalStatusOptions.map((status) => (
+                        <option key={status} value={status}>
+                          {status}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                {resolutionForm.outcome === 'partial_payout' && (
+                  <Input
+                    label={`Refund to client (max ${disputeCase.paidTotal})`}
+                    type="number"
+                    min="0"
+                    max={disputeCase.paidTotal}
+                    value={resolutionForm.refundAmount}
+                    onChange={(e) => setResolutionForm((prev) => ({ ...prev, refundAmount: e.target.value }))}
+                  />
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-textSecondary mb-1">Notes</label>
+                  <textarea
+                    value={resolutionForm.notes}
+                    onChange={(e) => setResolutionForm((prev) => ({ ...prev, notes: e.target.value }))}
+                    rows={3}
+                    placeholder="Shared with both parties in the project timeline"
+                    className="w-full px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary"
+                  />
+                </div>
+                <div className="flex justify-end gap-3">
+                  <Button variant="outline" onClick={closeDisputeCase} disabled={resolvingDispute}>
+                    Close
+                  </Button>
+                  <Button onClick={handleResolveDispute} loading={resolvingDispute} disabled={resolvingDispute}>
+                    Resolve Dispute
+                  </Button>
+                </div>
+              </div>
+            ) : (
+              selectedDispute?.resolution && (
+                <div className="border-t border-muted pt-4 text-sm">
+                  <h3 className="font-semibold text-textMain mb-1">Resolution</h3>
+                  <p className="text-textMain">
+                    {DISPUTE_OUTCOMES[selectedDispute.resolution.outcome]} · refunded{' '}
+                    {selectedDispute.resolution.refundAmount} · status {selectedDispute.resolution.finalStatus}
+                  </p>
+                  {selectedDispute.resolution.notes && (
+                    <p className="text-textSecondary mt-1">{selectedDispute.resolution.notes}</p>
+                  )}
+                </div>
+              )
+            )}
+          </div>
+        )}
+      </Modal>
+    );
+  };
+
   // Image Migration Modal
   const renderMigrationModal = () => {
     return (
@@ -5152,6 +5933,9 @@ const AdminPanel = () => {
         
         {/* Image Migration Modal */}
         {renderMigrationModal()}
+
+        {/* Dispute Case Modal */}
+        {renderDisputeModal()}
       </div>
     </div>
   );
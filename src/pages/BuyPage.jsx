@@ -18,6 +18,10 @@ const BuyPage = () => {
   const [searchParams] = useSearchParams();
   const [properties, setProperties] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [cursor, setCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [activeFilters, setActiveFilters] = useState({});
   const [searchTerm, setSearchTerm] = useState(searchParams.get('search') || '');
   const [showFilters, setShowFilters] = useState(false);
   const [filters, setFilters] = useState({
@@ -42,55 +46,94 @@ const BuyPage = () => {
     fetchProperties({});
   }, []);
 
-  // Fetch properties from Firestore with filters
-  const fetchProperties = async (appliedFilters = {}) => {
-    try {
-      setLoading(true);
+  const PAGE_SIZE = 12;
 
-      // Build Firestore filters object
-      const firestoreFilters = {
-        type: 'sale',
-        status: 'published',
-        ...appliedFilters,
-      };
+  // Build the propertyService filter object from the filter panel state
+  const buildFirestoreFilters = (appliedFilters = {}) => {
+    const firestoreFilters = {
+      type: 'sale',
+      status: 'published',
+    };
 
-      // Add price filters if provided
-      if (appliedFilters.minPrice && appliedFilters.minPrice !== '') {
-        firestoreFilters.minPrice = Number(appliedFilters.minPrice);
-      }
-      if (appliedFilters.maxPrice && appliedFilters.maxPrice !== '') {
-        firestoreFilters.maxPrice = Number(appliedFilters.maxPrice);
-      }
+    // Add price filters if provided
+    if (appliedFilters.minPrice && appliedFilters.minPrice !== '') {
+      firestoreFilters.minPrice = Number(appliedFilters.minPrice);
+    }
+    if (appliedFilters.maxPrice && appliedFilters.maxPrice !== '') {
+      firestoreFilters.maxPrice = Number(appliedFilters.maxPrice);
+    }
 
-      // Add city filter if provided
-      if (appliedFilters.city && appliedFilters.city.trim() !== '') {
-        firestoreFilters.city = appliedFilters.city.trim();
-      }
+    // Add city filter if provided
+    if (appliedFilters.city && appliedFilters.city.trim() !== '') {
+      firestoreFilters.city = appliedFilters.city.trim();
+    }
 
-      // Add property type filter if provided (category field)
-      if (appliedFilters.propertyType && appliedFilters.propertyType !== '') {
-        firestoreFilters.category = appliedFilters.propertyType;
-      }
+    // Add property type filter if provided (category field)
+    if (appliedFilters.propertyType && appliedFilters.propertyType !== '') {
+      firestoreFilters.category = appliedFilters.propertyType;
+    }
+
+    return firestoreFilters;
+  };
 
-      const sortOptions = { sortBy: 'createdAt', sortOrder: 'desc' };
+  // Fetch the first page of properties from Firestore with filters
+  const fetchProperties = async (appliedFilters = {}) => {
+    try {
+      setLoading(true);
+
+      const firestoreFilters = buildFirestoreFilters(appliedFilters);
+      setActiveFilters(firestoreFilters);
 
-      let propertiesData;
       if (searchTerm.trim()) {
-        propertiesData = await propertyService.search(searchTerm, firestoreFilters);
-      } else {
-        propertiesData = await propertyService.getAll(firestoreFilters, sortOptions);
+        const propertiesData = await propertyService.search(searchTerm, firestoreFilters);
+        setProperties(propertiesData || []);
+        setCursor(null);
+        setHasMore(false);
+        return;
       }
 
-      setProperties(propertiesData || []);
+      const page = await propertyService.getPage(firestoreFilters, {
+        sortBy: 'createdAt',
+        sortOrder: 'desc',
+        pageSize: PAGE_SIZE,
+      });
+      setProperties(page.properties);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
     } catch (error) {
       console.error('Error fetching sale properties:', error);
       toast.error(`Failed to load properties for sale: ${error.message || 'Unknown error'}`);
       setProperties([]);
+      setCursor(null);
+      setHasMore(false);
     } finally {
       setLoading(false);
     }
   };
 
+  // Append the next page after the current cursor
+  const handleLoadMore = async () => {
+    if (loadingMore || !hasMore || !cursor) return;
+
+    try {
+      setLoadingMore(true);
+      const page = await propertyService.getPage(activeFilters, {
+        sortBy: 'createdAt',
+        sortOrder: 'desc',
+        pageSize: PAGE_SIZE,
+        cursor,
+      });
+      setProperties((prev) => [...prev, ...page.properties]);
+      setCursor(page.cursor);
+      setHasMore(page.hasMore);
+    } catch (error) {
+      console.error('Error loading more sale properties:', error);
+      toast.error('Failed to load more properties');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
   // Handle Apply Filters button click
   const handleApplyFilters = () => {
     fetchProperties(filters);
@@ -262,6 +305,18 @@ const BuyPage = () => {
                 <PropertyCard key={property.id} property={property} />
               ))}
             </div>
+            {hasMore && (
+              <div className="mt-8 text-center">
+                <Button
+                  onClick={handleLoadMore}
+                  loading={loadingMore}
+                  variant="outline"
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? 'Loading...' : 'Load More Properties'}
+                </Button>
+              </div>
+            )}
           </>
         ) : (
           <div className="text-center py-16 bg-surface rounded-lg shadow-lg">
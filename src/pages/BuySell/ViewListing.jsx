@@ -126,7 +126,12 @@ const ViewListing = () => {
     }
 
     try {
-      const chatId = await findOrCreateConversation(currentUser.uid, listing.ownerId);
+      const chatId = await findOrCreateConversation(currentUser.uid, listing.ownerId, {
+        type: 'property',
+        id: listing.id,
+        title: listing.title,
+        clientId: currentUser.uid,
+      });
       navigate(`/chat?chatId=${chatId}`);
     } catch (error) {
       console.error('Error starting chat:', error);
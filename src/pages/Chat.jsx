@@ -14,14 +14,24 @@ import {
 } from 'firebase/firestore';
 import { db, auth } from '../firebase';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import ChatAttachment from '../components/chat/ChatAttachment';
+import ChatComposer from '../components/chat/ChatComposer';
+import { scrollToMessage } from '../components/chat/ChatMessage';
+import MessageActions from '../components/chat/MessageActions';
+import MessageReactions from '../components/chat/MessageReactions';
+import MessageText from '../components/chat/MessageText';
+import ReplyQuote from '../components/chat/ReplyQuote';
+import { useMessageActions } from '../hooks/useMessageActions';
+import { uploadChatAttachments, getMessagePreview } from '../utils/chatAttachments';
 
 const Chat = () => {
   const { user } = useAuth();
   const [conversations, setConversations] = useState([]);
   const [selectedConversation, setSelectedConversation] = useState(null);
   const [messages, setMessages] = useState([]);
-  const [newMessage, setNewMessage] = useState('');
   const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(false);
+  const messageActions = useMessageActions(selectedConversation?.id);
 
   useEffect(() => {
     // FIXED: Check auth and handle blocked collection gracefully
@@ -172,21 +182,22 @@ const Chat = () => {
     }
   }, [selectedConversation, db, auth]);
 
-  const sendMessage = async (e) => {
-    e.preventDefault();
+  // Called by ChatComposer with the typed text and any picked images/PDFs
+  const sendMessage = async (text, files = [], options = {}) => {
+    const messageText = (text || '').trim();
     // Check auth and required fields
-    if (!newMessage.trim() || !selectedConversation || !user || !user.uid || !db || !auth?.currentUser) {
+    if ((!messageText && files.length === 0) || !selectedConversation || !user || !user.uid || !db || !auth?.currentUser) {
       return;
     }
 
+    setSending(true);
     try {
       // Step 1: Verify user is a participant in the chat
       const chatRef = doc(db, 'chats', selectedConversation.id);
       const chatDoc = await getDoc(chatRef);
       
       if (!chatDoc.exists()) {
-        alert('Chat not found');
-        return;
+        throw new Error('Chat not found');
       }
 
       const chatData = chatDoc.data();
@@ -194,10 +205,14 @@ const Chat = () => {
       
       // Verify user.uid is in participants array
       if (!participants.includes(user.uid)) {
-        alert('You are not a participant in this chat');
-        return;
+        throw new Error('You are not a participant in this chat');
       }
 
+      const attachments = files.length > 0
+        ? await uploadChatAttachments(files, selectedConversation.id, user.uid, options.onProgress)
+        : [];
+      const preview = getMessagePreview(messageText, attachments);
+
       // Step 2: Get sender role and name from user document
       let senderRole = 'user';
       let senderName = user.displayName || user.email || 'User';
@@ -238,7 +253,7 @@ const Chat = () => {
         targetPath: `chats/${selectedConversation.id}/messages`,
         senderName: senderName,
         senderRole: senderRole,
-        messagePreview: newMessage.substring(0, 50) + '...',
+        messagePreview: preview.substring(0, 50) + '...',
       });
 
       // Step 4: Create message using addDoc (CREATE only) - includes senderName
@@ -246,7 +261,10 @@ const Chat = () => {
         senderId: user.uid,
         senderName: senderName, // FIXED: Added senderName field
         senderRole: senderRole,
-        text: newMessage,
+        receiverId: participants.find((participantId) => participantId !== user.uid) || null,
+        text: messageText,
+        attachments,
+        replyTo: options.replyTo || null,
         createdAt: serverTimestamp(),
         readBy: readBy,
       };
@@ -261,21 +279,18 @@ const Chat = () => {
 
       // Step 3: Update chat document with lastMessage and updatedAt
       await updateDoc(chatRef, {
-        lastMessage: newMessage.trim(),
+        lastMessage: preview.substring(0, 100),
         updatedAt: serverTimestamp(),
       });
-
-      setNewMessage('');
     } catch (error) {
       console.error('Error sending message:', error);
-      // Handle errors
+      // ChatComposer shows the error and keeps the draft
       if (error.code === 'permission-denied') {
-        console.error('Permission denied sending message:', error);
-        alert('Failed to send message. Please check your permissions.');
-      } else {
-        console.error('Error sending message:', error);
-        alert(error.message || 'Failed to send message. Please try again.');
+        throw new Error('Failed to send message. Please check your permissions.');
       }
+      throw error;
+    } finally {
+      setSending(false);
     }
   };
 
@@ -329,77 +344,110 @@ const Chat = () => {
                     {messages.map((message) => {
                       const isOwn = message.senderId === user?.uid;
                       return (
-                        <div
-                          key={message.id}
-                          className={`flex ${isOwn ? 'justify-end' : 'justify-start'} mb-2`}
-                        >
+                        <div key={message.id}>
                           <div
-                            className={`max-w-[70%] rounded-lg px-4 py-2 ${
-                              isOwn
-                                ? 'bg-primary text-white rounded-br-none'
-                                : 'bg-muted text-textMain rounded-bl-none'
-                            }`}
+                            id={`message-${message.id}`}
+                            className={`group flex items-start ${isOwn ? 'justify-end' : 'justify-start'} mb-2`}
                           >
-                            {/* FIXED: Sender label - use senderName if available, fallback to userNames or role */}
-                            <div className="flex items-center gap-2 mb-1">
-                              {isOwn ? (
-                                <p className="text-xs font-semibold opacity-90">You</p>
-                              ) : (
-                                <div className="flex items-center gap-2">
-                                  <p className="text-xs font-semibold opacity-75">
-                                    {message.senderName || 
-                                     userNames[message.senderId] || 
-                                     (message.senderRole === 'contractor' ? 'Contractor' :
-                                      message.senderRole === 'renovator' ? 'Renovator' :
-                                      message.senderRole === 'admin' ? 'Admin' : 'User')}
-                                  </p>
-                                  {message.senderRole && message.senderRole !== 'user' && (
-                                    <span className="text-xs px-1.5 py-0.5 bg-primary/20 text-primary rounded">
-                                      {message.senderRole === 'contractor' ? 'Contractor' :
-                                       message.senderRole === 'renovator' ? 'Renovator' :
-                                       message.senderRole === 'admin' ? 'Admin' : message.senderRole}
-                                    </span>
-                                  )}
+                            <div
+                              className={`max-w-[70%] rounded-lg px-4 py-2 ${
+                                isOwn
+                                  ? 'bg-primary text-white rounded-br-none'
+                                  : 'bg-muted text-textMain rounded-bl-none'
+                              }`}
+                            >
+                              {/* FIXED: Sender label - use senderName if available, fallback to userNames or role */}
+                              <div className="flex items-center gap-2 mb-1">
+                                {isOwn ? (
+                                  <p className="text-xs font-semibold opacity-90">You</p>
+                                ) : (
+                                  <div className="flex items-center gap-2">
+                                    <p className="text-xs font-semibold opacity-75">
+                                      {message.senderName || 
+                                       userNames[message.senderId] || 
+                                       (message.senderRole === 'contractor' ? 'Contractor' :
+                                        message.senderRole === 'renovator' ? 'Renovator' :
+                                        message.senderRole === 'admin' ? 'Admin' : 'User')}
+                                    </p>
+                                    {message.senderRole && message.senderRole !== 'user' && (
+                                      <span className="text-xs px-1.5 py-0.5 bg-primary/20 text-primary rounded">
+                                        {message.senderRole === 'contractor' ? 'Contractor' :
+                                         message.senderRole === 'renovator' ? 'Renovator' :
+                                         message.senderRole === 'admin' ? 'Admin' : message.senderRole}
+                                      </span>
+                                    )}
+                                  </div>
+                                )}
+                              </div>
+                              
+                              {/* Quoted message */}
+                              {!message.deleted && message.replyTo && (
+                                <div className="mb-2">
+                                  <ReplyQuote
+                                    replyTo={message.replyTo}
+                                    isOwn={isOwn}
+                                    onClick={() => scrollToMessage(message.replyTo.messageId)}
+                                  />
                                 </div>
                               )}
+
+                              {/* Message text */}
+                              <MessageText
+                                message={message}
+                                isOwn={isOwn}
+                                editing={messageActions.editingId === message.id}
+                                onSaveEdit={messageActions.saveEdit}
+                                onCancelEdit={messageActions.cancelEdit}
+                                className={isOwn ? 'text-white' : 'text-textMain'}
+                              />
+
+                              {/* Attachments */}
+                              {!message.deleted && message.attachments?.length > 0 && (
+                                <div className={`space-y-2 ${message.text ? 'mt-2' : ''}`}>
+                                  {message.attachments.map((attachment, attachmentIndex) => (
+                                    <ChatAttachment key={attachment.url || attachmentIndex} attachment={attachment} isOwn={isOwn} />
+                                  ))}
+                                </div>
+                              )}
+                              
+                              {/* Timestamp */}
+                              <div className="flex items-center justify-end mt-1">
+                                <span className={`text-xs ${isOwn ? 'opacity-80' : 'opacity-60'}`}>
+                                  {message.createdAt?.toDate?.()?.toLocaleTimeString('en-US', { 
+                                    hour: 'numeric', 
+                                    minute: '2-digit' 
+                                  }) || 'Just now'}
+                                </span>
+                              </div>
                             </div>
-                            
-                            {/* Message text */}
-                            <p className={`text-sm whitespace-pre-wrap break-words ${isOwn ? 'text-white' : 'text-textMain'}`}>
-                              {message.text}
-                            </p>
-                            
-                            {/* Timestamp */}
-                            <div className="flex items-center justify-end mt-1">
-                              <span className={`text-xs ${isOwn ? 'opacity-80' : 'opacity-60'}`}>
-                                {message.createdAt?.toDate?.()?.toLocaleTimeString('en-US', { 
-                                  hour: 'numeric', 
-                                  minute: '2-digit' 
-                                }) || 'Just now'}
-                              </span>
-                            </div>
+
+                            <MessageActions
+                              message={message}
+                              isOwn={isOwn}
+                              currentUserId={user?.uid}
+                              onReply={messageActions.startReply}
+                              onReact={messageActions.toggleReaction}
+                              onEdit={messageActions.startEdit}
+                              onDelete={messageActions.deleteMessage}
+                            />
                           </div>
+                          <MessageReactions
+                            reactions={message.reactions}
+                            currentUserId={user?.uid}
+                            isOwn={isOwn}
+                            onToggle={(emoji) => messageActions.toggleReaction(message, emoji)}
+                          />
                         </div>
                       );
                     })}
                   </div>
-                  <form onSubmit={sendMessage} className="border-t border-muted p-4 bg-surface">
-                    <div className="flex gap-2">
-                      <input
-                        type="text"
-                        value={newMessage}
-                        onChange={(e) => setNewMessage(e.target.value)}
-                        placeholder="Type a message..."
-                        className="flex-1 px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary bg-surface text-textMain"
-                      />
-                      <button
-                        type="submit"
-                        className="px-6 py-2 bg-primary text-white rounded-base hover:bg-primaryDark transition-colors"
-                      >
-                        Send
-                      </button>
-                    </div>
-                  </form>
+                  <ChatComposer
+                    onSend={sendMessage}
+                    replyTo={messageActions.replyingTo}
+                    onCancelReply={messageActions.cancelReply}
+                    sending={sending}
+                    placeholder="Type a message..."
+                  />
                 </>
               ) : (
                 <div className="flex-1 flex items-center justify-center text-textSecondary">
@@ -85,9 +85,10 @@ const ChatPage = () => {
     }
   };
 
-  const handleSelectConversation = async (chatId) => {
+  // messageId is set when a message search result was picked
+  const handleSelectConversation = async (chatId, messageId = null) => {
     setSelectedChatId(chatId);
-    navigate(`/chat?chatId=${chatId}`);
+    navigate(`/chat?chatId=${chatId}${messageId ? `&messageId=${messageId}` : ''}`);
     await loadChatInfo(chatId);
     setViewMode('chat');
   };
@@ -189,7 +190,11 @@ const ChatPage = () => {
                 </div>
 
                 {/* Messages */}
-                <MessageBox chatId={selectedChatId} otherParticipantId={otherParticipantId} />
+                <MessageBox
+                  chatId={selectedChatId}
+                  otherParticipantId={otherParticipantId}
+                  focusMessageId={searchParams.get('messageId')}
+                />
               </>
             ) : (
               <div className="flex items-center justify-center h-full bg-surface">
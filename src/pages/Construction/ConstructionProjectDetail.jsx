@@ -6,6 +6,8 @@ import { db } from '../../firebase';
 import { Building2, Calendar, DollarSign, MapPin, Clock, CheckCircle, XCircle, AlertCircle, ArrowLeft, MessageSquare } from 'lucide-react';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import ProjectMilestones from '../../components/service/ProjectMilestones';
+import ProjectStatusActions from '../../components/service/ProjectStatusActions';
 import toast from 'react-hot-toast';
 // Chat helper imported dynamically in handleStartChat
 
@@ -108,7 +110,12 @@ const ConstructionProjectDetail = () => {
       // CRITICAL: Find or create chat between current user and provider
       // This queries for existing chats first, then creates if needed
       const { findOrCreateConversation } = await import('../../utils/chatHelpers');
-      const chatId = await findOrCreateConversation(currentUser.uid, providerUserId);
+      const chatId = await findOrCreateConversation(currentUser.uid, providerUserId, {
+        type: 'construction',
+        id: project.id,
+        title: project.projectType || 'Construction Project',
+        clientId: currentUser.uid,
+      });
       
       // Navigate to chat using chatId
       navigate(`/chat?chatId=${chatId}`);
@@ -147,6 +154,8 @@ const ConstructionProjectDetail = () => {
       Completed: 'text-green-600 bg-green-100',
       Rejected: 'text-red-600 bg-red-100',
       Cancelled: 'text-gray-600 bg-gray-100',
+      'On Hold': 'text-orange-600 bg-orange-100',
+      Disputed: 'text-orange-600 bg-orange-100',
     };
     return statusMap[status] || 'text-gray-600 bg-gray-100';
   };
@@ -204,6 +213,9 @@ const ConstructionProjectDetail = () => {
                 )}
                 {project.status || 'Pending'}
               </span>
+              <div className="mt-3">
+                <ProjectStatusActions collectionName="constructionProjects" project={project} role="client" />
+              </div>
             </div>
             <p className="text-sm text-textSecondary">
               Project ID: {project.id.slice(0, 8)}
@@ -258,6 +270,11 @@ const ConstructionProjectDetail = () => {
           )}
         </div>
 
+        {/* Payment Milestones */}
+        <div className="mb-6">
+          <ProjectMilestones projectType="construction" project={project} role="client" />
+        </div>
+
         {/* Project Updates */}
         {updates.length > 0 && (
           <div className="bg-surface rounded-base shadow-md p-6 border border-muted">
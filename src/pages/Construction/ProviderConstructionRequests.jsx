@@ -1,10 +1,11 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
-import { collection, query, where, onSnapshot, updateDoc, doc, orderBy, getDoc, serverTimestamp } from 'firebase/firestore';
+import { collection, query, where, onSnapshot, doc, orderBy, getDoc, serverTimestamp } from 'firebase/firestore';
 import { db } from '../../firebase';
 import notificationService from '../../services/notificationService';
 import { findOrCreateConversation } from '../../utils/chatHelpers';
+import { updateProjectStatus } from '../../utils/projectUpdates';
 import {
   Hammer,
   Calendar,
@@ -186,31 +187,15 @@ const ProviderConstructionRequests = () => {
 
     setProcessing(true);
     try {
-      const requestRef = doc(db, 'constructionProjects', actionModal.request.id);
-      
       if (actionModal.action === 'accept') {
-        // Accept request - assign provider and update status
-        await updateDoc(requestRef, {
-          providerId: currentUser.uid,
-          status: 'Accepted',
-          updatedAt: serverTimestamp(),
-          acceptedAt: serverTimestamp(),
+        // Accept request - assign provider and update status (logged in projectUpdates)
+        await updateProjectStatus('constructionProjects', actionModal.request.id, 'Accepted', {
+          role: 'provider',
+          updatedBy: currentUser.uid,
+          note: 'Provider accepted the request',
+          extraFields: { providerId: currentUser.uid, acceptedAt: serverTimestamp() },
         });
 
-        // Add update log
-        try {
-          const { addProjectUpdate } = await import('../../utils/projectUpdates');
-          await addProjectUpdate(
-            'constructionProjects',
-            actionModal.request.id,
-            'Accepted',
-            currentUser.uid,
-            'Provider accepted the request'
-          );
-        } catch (updateError) {
-          console.error('Error adding update log:', updateError);
-        }
-
         // Notify client
         await notificationService.create(
           actionModal.request.userId || actionModal.request.clientId,
@@ -223,26 +208,13 @@ const ProviderConstructionRequests = () => {
         toast.success('Request accepted successfully!');
       } else if (actionModal.action === 'reject') {
         // Reject request - just update status (don't assign provider)
-        await updateDoc(requestRef, {
-          status: 'Rejected',
-          updatedAt: serverTimestamp(),
-          rejectedAt: serverTimestamp(),
+        await updateProjectStatus('constructionProjects', actionModal.request.id, 'Rejected', {
+          role: 'provider',
+          updatedBy: currentUser.uid,
+          note: 'Provider declined the request',
+          extraFields: { rejectedAt: serverTimestamp() },
         });
 
-        // Add update log
-        try {
-          const { addProjectUpdate } = await import('../../utils/projectUpdates');
-          await addProjectUpdate(
-            'constructionProjects',
-            actionModal.request.id,
-            'Rejected',
-            currentUser.uid,
-            'Provider declined the request'
-          );
-        } catch (updateError) {
-          console.error('Error adding update log:', updateError);
-        }
-
         // Notify client
         await notificationService.create(
           actionModal.request.userId || actionModal.request.clientId,
@@ -258,7 +230,7 @@ const ProviderConstructionRequests = () => {
       setActionModal({ isOpen: false, request: null, action: '' });
     } catch (error) {
       console.error('Error processing request:', error);
-      toast.error('Failed to process request');
+      toast.error(error.message || 'Failed to process request');
     } finally {
       setProcessing(false);
     }
@@ -272,7 +244,12 @@ const ProviderConstructionRequests = () => {
     }
 
     try {
-      const chatId = await findOrCreateConversation(currentUser.uid, clientId);
+      const chatId = await findOrCreateConversation(currentUser.uid, clientId, {
+        type: 'construction',
+        id: request.id,
+        title: request.projectType || 'Construction Project',
+        clientId,
+      });
       navigate(`/chat?chatId=${chatId}`);
     } catch (error) {
       console.error('Error starting chat:', error);
@@ -6,6 +6,8 @@ import { Star, Phone, Mail, MapPin, ArrowLeft, Building2, AlertCircle, MessageSq
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import ReviewsAndRatings from './ReviewsAndRatings';
+import RatingSummary from '../components/reviews/RatingSummary';
+import ClientPhotos from '../components/reviews/ClientPhotos';
 import toast from 'react-hot-toast';
 import { motion } from 'framer-motion';
 import { formatAddress, safeText } from '../utils/formatHelpers';
@@ -502,6 +504,8 @@ const ConstructionProviderDetail = () => {
         {/* Reviews & Ratings Section */}
         {id && (
           <div className="mt-8">
+            <RatingSummary targetId={id} targetType="construction" />
+            <ClientPhotos targetId={id} targetType="construction" />
             <ReviewsAndRatings key={id} targetId={id} targetType="construction" />
           </div>
         )}
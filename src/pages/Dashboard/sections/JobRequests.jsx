@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../../context/AuthContext';
+import { ClipboardList, ExternalLink, XCircle } from 'lucide-react';
+import quoteService from '../../../services/quoteService';
+import Button from '../../../components/common/Button';
+import LoadingSpinner from '../../../components/common/LoadingSpinner';
+import { ROUTES, buildRoute } from '../../../routes/routes';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  open: 'bg-primary/10 text-primary',
+  awarded: 'bg-green-100 text-green-600',
+  closed: 'bg-gray-100 text-gray-600',
+};
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat('en-PK', {
+    style: 'currency',
+    currency: 'PKR',
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+/**
+ * JobRequests Component
+ * Lists the client's open job posts in My Account Dashboard with their quote counts
+ * Links to the quote comparison page, or to the project once a quote has been accepted
+ */
+const JobRequests = () => {
+  const { currentUser } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [jobRequests, setJobRequests] = useState([]);
+
+  useEffect(() => {
+    const loadJobRequests = async () => {
+      if (!currentUser) return;
+      try {
+        setLoading(true);
+        setJobRequests(await quoteService.getByClient(currentUser.uid));
+      } catch (error) {
+        console.error('Error loading job requests:', error);
+        toast.error('Failed to load job posts');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadJobRequests();
+  }, [currentUser]);
+
+  const handleClose = async (jobRequestId) => {
+    if (!window.confirm('Close this job post? Providers will no longer be able to quote.')) return;
+    try {
+      await quoteService.closeJobRequest(jobRequestId);
+      setJobRequests((prev) =>
+        prev.map((job) => (job.id === jobRequestId ? { ...job, status: 'closed' } : job))
+      );
+      toast.success('Job post closed');
+    } catch (error) {
+      toast.error(error.message || 'Failed to close job post');
+    }
+  };
+
+  const getProjectLink = (job) =>
+    job.projectType === 'renovation'
+      ? buildRoute(ROUTES.RENOVATION_PROJECT_DETAIL, { id: job.projectId })
+      : buildRoute(ROUTES.CONSTRUCTION_PROJECT_DETAIL, { id: job.projectId });
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-6">
+        <h2 className="text-2xl font-bold text-textMain">Job Posts &amp; Quotes</h2>
+        <div className="flex gap-2">
+          <Link to={`${ROUTES.REQUEST_CONSTRUCTION}?mode=open`}>
+            <Button size="sm" variant="outline">Post Construction Job</Button>
+          </Link>
+          <Link to={`${ROUTES.REQUEST_RENOVATION}?mode=open`}>
+            <Button size="sm" variant="outline">Post Renovation Job</Button>
+          </Link>
+        </div>
+      </div>
+
+      {jobRequests.length === 0 ? (
+        <div className="text-center py-12">
+          <ClipboardList className="w-16 h-16 text-textSecondary mx-auto mb-4" />
+          <p className="text-textSecondary">
+            You have not posted any jobs yet. Post a job to get itemized quotes from several providers
+            and compare them side by side.
+          </p>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {jobRequests.map((job) => (
+            <div key={job.id} className="border border-borderColor rounded-lg p-4">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div>
+                  <div className="flex items-center gap-2 mb-1">
+                    <h3 className="font-semibold text-textMain capitalize">{job.projectType} job</h3>
+                    <span
+                      className={`px-2 py-1 text-xs rounded-full capitalize ${
+                        STATUS_STYLES[job.status] || STATUS_STYLES.closed
+                      }`}
+                    >
+                      {job.status}
+                    </span>
+                  </div>
+                  <p className="text-sm text-textSecondary line-clamp-2">{job.description}</p>
+                  <p className="text-xs text-textSecondary mt-1">
+                    Budget {formatAmount(job.budget)} · {job.timeline} · {job.quoteCount || 0} quote
+                    {job.quoteCount === 1 ? '' : 's'}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  {job.status === 'awarded' && job.projectId ? (
+                    <Link to={getProjectLink(job)}>
+                      <Button size="sm">
+                        <ExternalLink className="w-4 h-4 mr-1" />
+                        View Project
+                      </Button>
+                    </Link>
+                  ) : (
+                    <Link to={buildRoute(ROUTES.JOB_REQUEST_QUOTES, { id: job.id })}>
+                      <Button size="sm" variant="outline">
+                        Compare Quotes
+                      </Button>
+                    </Link>
+                  )}
+                  {job.status === 'open' && (
+                    <Button size="sm" variant="ghost" onClick={() => handleClose(job.id)}>
+                      <XCircle className="w-4 h-4 text-red-600" />
+                    </Button>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JobRequests;
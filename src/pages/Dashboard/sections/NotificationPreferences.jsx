@@ -0,0 +1,190 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '../../../context/AuthContext';
+import userService from '../../../services/userService';
+import pushService from '../../../services/pushService';
+import Button from '../../../components/common/Button';
+import LoadingSpinner from '../../../components/common/LoadingSpinner';
+import {
+  DIGEST_CATEGORIES,
+  DIGEST_FREQUENCIES,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+} from '../../../utils/notificationPrefs';
+import toast from 'react-hot-toast';
+
+/**
+ * NotificationPreferences Component
+ * Category × channel matrix in My Account settings. Each change is saved right away.
+ * Push also needs to be turned on per device (browser permission + FCM token, see pushService).
+ * Emails of the low-priority categories can be batched into a daily or weekly digest.
+ */
+const NotificationPreferences = () => {
+  const { currentUser } = useAuth();
+  const [prefs, setPrefs] = useState(null);
+  const [savingKey, setSavingKey] = useState(null);
+  const [pushSupported, setPushSupported] = useState(false);
+  const [pushEnabled, setPushEnabled] = useState(false);
+  const [pushBusy, setPushBusy] = useState(false);
+  const [digest, setDigest] = useState('off');
+  const [savingDigest, setSavingDigest] = useState(false);
+
+  useEffect(() => {
+    if (!currentUser?.uid) return;
+    userService
+      .getNotificationPrefs(currentUser.uid)
+      .then(setPrefs)
+      .catch((error) => toast.error(error.message || 'Failed to load notification preferences'));
+    userService
+      .getNotificationDigest(currentUser.uid)
+      .then(setDigest)
+      .catch((error) => console.error('Error loading digest setting:', error));
+  }, [currentUser?.uid]);
+
+  useEffect(() => {
+    if (!currentUser?.uid) return;
+    pushService.isSupported().then((supported) => {
+      setPushSupported(supported);
+      setPushEnabled(supported && pushService.isEnabled(currentUser.uid));
+    });
+  }, [currentUser?.uid]);
+
+  const handlePushToggle = async () => {
+    try {
+      setPushBusy(true);
+      if (pushEnabled) {
+        await pushService.disable(currentUser.uid);
+        setPushEnabled(false);
+        toast.success('Push notifications turned off for this device');
+      } else {
+        await pushService.enable(currentUser.uid);
+        setPushEnabled(true);
+        toast.success('Push notifications turned on for this device');
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to update push notifications');
+    } finally {
+      setPushBusy(false);
+    }
+  };
+
+  const handleDigestChange = async (frequency) => {
+    try {
+      setSavingDigest(true);
+      await userService.updateNotificationDigest(currentUser.uid, frequency);
+      setDigest(frequency);
+    } catch (error) {
+      toast.error(error.message || 'Failed to update digest setting');
+    } finally {
+      setSavingDigest(false);
+    }
+  };
+
+  const handleToggle = async (category, channel) => {
+    const next = { ...prefs[category], [channel]: !prefs[category][channel] };
+    const key = `${category}.${channel}`;
+    try {
+      setSavingKey(key);
+      await userService.updateNotificationPrefs(currentUser.uid, { [category]: next });
+      setPrefs((current) => ({ ...current, [category]: next }));
+    } catch (error) {
+      toast.error(error.message || 'Failed to update notification preferences');
+    } finally {
+      setSavingKey(null);
+    }
+  };
+
+  if (!prefs) {
+    return (
+      <div className="flex justify-center py-6">
+        <LoadingSpinner size="md" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <p className="text-sm text-textSecondary mb-4">
+        Choose how we notify you. Payment, wallet and dispute notices are always sent.
+      </p>
+      {pushSupported && (
+        <div className="flex items-center justify-between gap-4 p-3 mb-4 bg-background border border-muted rounded-base">
+          <div>
+            <p className="text-sm font-medium text-textMain">Push on this device</p>
+            <p className="text-xs text-textSecondary">
+              {pushEnabled
+                ? 'This browser shows Aptify notifications even when the app is closed.'
+                : pushService.getPermission() === 'denied'
+                  ? 'Notifications are blocked for this site. Allow them in your browser settings first.'
+                  : 'Get notified in this browser even when Aptify is closed.'}
+            </p>
+          </div>
+          <Button
+            size="sm"
+            variant={pushEnabled ? 'outline' : 'primary'}
+            onClick={handlePushToggle}
+            loading={pushBusy}
+            disabled={pushBusy || (!pushEnabled && pushService.getPermission() === 'denied')}
+          >
+            {pushEnabled ? 'Turn off' : 'Turn on'}
+          </Button>
+        </div>
+      )}
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-textSecondary">
+              <th className="py-2 pr-4 font-medium">Category</th>
+              {Object.entries(NOTIFICATION_CHANNELS).map(([channel, label]) => (
+                <th key={channel} className="py-2 px-3 font-medium text-center">
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-borderColor">
+            {Object.entries(NOTIFICATION_CATEGORIES).map(([category, { label, description }]) => (
+              <tr key={category}>
+                <td className="py-3 pr-4">
+                  <p className="font-medium text-textMain">{label}</p>
+                  <p className="text-xs text-textSecondary">{description}</p>
+                </td>
+                {Object.entries(NOTIFICATION_CHANNELS).map(([channel, channelLabel]) => (
+                  <td key={channel} className="py-3 px-3 text-center">
+                    <input
+                      type="checkbox"
+                      checked={prefs[category][channel]}
+                      onChange={() => handleToggle(category, channel)}
+                      disabled={savingKey === `${category}.${channel}`}
+                      aria-label={`${label}: ${channelLabel}`}
+                      className="w-4 h-4 rounded border-muted text-primary focus:ring-primary"
+                    />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 mt-4 pt-4 border-t border-borderColor">
+        <label htmlFor="notification-digest" className="text-sm text-textMain">
+          Emails about {DIGEST_CATEGORIES.map((category) => NOTIFICATION_CATEGORIES[category].label.toLowerCase()).join(', ')}
+        </label>
+        <select
+          id="notification-digest"
+          value={digest}
+          onChange={(e) => handleDigestChange(e.target.value)}
+          disabled={savingDigest}
+          className="px-3 py-2 text-sm border border-muted rounded-base bg-surface focus:border-primary focus:ring-primary"
+        >
+          {Object.entries(DIGEST_FREQUENCIES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationPreferences;
@@ -29,10 +29,19 @@ import {
   FileText,
   Image as ImageIcon,
   Users,
+  Clock,
 } from 'lucide-react';
 import Button from '../../../components/common/Button';
 import LoadingSpinner from '../../../components/common/LoadingSpinner';
+import LocationPicker from '../../../components/maps/LocationPicker';
 import toast from 'react-hot-toast';
+import {
+  PROVIDER_AVAILABILITY,
+  buildDiscoveryFields,
+  getAvailability,
+  toServiceLocation,
+  validateBudgetRange,
+} from '../../../utils/providerSearch';
 
 /**
  * RegisterAsConstructor Component
@@ -60,6 +69,10 @@ const RegisterAsConstructor = () => {
     description: '',
     officeAddress: '',
     city: '',
+    serviceLocation: null,
+    minBudget: '',
+    maxBudget: '',
+    availability: 'available',
     teamSize: '',
   });
 
@@ -122,6 +135,10 @@ const RegisterAsConstructor = () => {
             description: data.description || '',
             officeAddress: data.officeAddress || '',
             city: data.city || '',
+            serviceLocation: toServiceLocation(data),
+            minBudget: data.minBudget ?? '',
+            maxBudget: data.maxBudget ?? '',
+            availability: getAvailability(data),
             teamSize: data.teamSize?.toString() || '',
           });
           setPortfolioImages(data.portfolio || []);
@@ -324,6 +341,11 @@ const RegisterAsConstructor = () => {
       newErrors.officeAddress = 'Office address is required';
     }
 
+    const budgetError = validateBudgetRange(formData);
+    if (budgetError) {
+      newErrors.budget = budgetError;
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -386,6 +408,7 @@ const RegisterAsConstructor = () => {
         description: formData.description?.trim() || '',
         officeAddress: formData.officeAddress.trim(),
         city: formData.city.trim(),
+        ...buildDiscoveryFields(formData),
         teamSize: formData.teamSize ? Number(formData.teamSize) : null,
         portfolioImages: allPortfolioImages,
         licenseFiles: allLicenseFiles,
@@ -430,6 +453,11 @@ const RegisterAsConstructor = () => {
         constructionServices: registrationData.constructionServices || [],
         officeAddress: registrationData.officeAddress,
         city: registrationData.city,
+        coordinates: registrationData.coordinates,
+        serviceAddress: registrationData.serviceAddress,
+        minBudget: registrationData.minBudget,
+        maxBudget: registrationData.maxBudget,
+        availability: registrationData.availability,
         teamSize: registrationData.teamSize || null,
         status: existingRequest?.data()?.status || 'pending',
         createdAt: existingRequest?.data()?.createdAt || serverTimestamp(),
@@ -488,6 +516,12 @@ const RegisterAsConstructor = () => {
         description: registrationData.description || '',
         portfolio: allPortfolioImages,
         licenseFiles: allLicenseFiles,
+        // Discovery fields - the geohash is added by the onConstructionProviderWritten function
+        coordinates: registrationData.coordinates,
+        serviceAddress: registrationData.serviceAddress,
+        minBudget: registrationData.minBudget,
+        maxBudget: registrationData.maxBudget,
+        availability: registrationData.availability,
         updatedAt: serverTimestamp(),
       };
 
@@ -563,6 +597,10 @@ const RegisterAsConstructor = () => {
         description: '',
         officeAddress: '',
         city: '',
+        serviceLocation: null,
+        minBudget: '',
+        maxBudget: '',
+        availability: 'available',
         teamSize: '',
       });
       setPortfolioImages([]);
@@ -823,7 +861,7 @@ const RegisterAsConstructor = () => {
         <div className="bg-surface rounded-lg border border-borderColor p-6">
           <h3 className="text-lg font-semibold text-textMain mb-4 flex items-center gap-2">
             <MapPin className="w-5 h-5" />
-            Location
+            Location & Availability
           </h3>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             <div>
@@ -863,6 +901,72 @@ const RegisterAsConstructor = () => {
                 <p className="mt-1 text-sm text-error">{errors.city}</p>
               )}
             </div>
+
+            <div className="md:col-span-2">
+              <LocationPicker
+                location={formData.serviceLocation}
+                onLocationChange={(location) =>
+                  setFormData((prev) => ({ ...prev, serviceLocation: location }))
+                }
+                label="Service Location"
+                allowCurrentLocation
+              />
+              <p className="mt-1 text-xs text-textSecondary">
+                {formData.serviceLocation?.pinned
+                  ? 'Location pinned - clients nearby will find you in provider search.'
+                  : 'Pin your location so clients nearby can find you in provider search.'}
+              </p>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-textMain mb-2">
+                Typical Project Budget (PKR)
+              </label>
+              <div className="grid grid-cols-2 gap-4">
+                <input
+                  type="number"
+                  min="0"
+                  name="minBudget"
+                  value={formData.minBudget}
+                  onChange={handleInputChange}
+                  className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary bg-background text-textMain ${
+                    errors.budget ? 'border-error' : 'border-borderColor'
+                  }`}
+                  placeholder="Minimum"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  name="maxBudget"
+                  value={formData.maxBudget}
+                  onChange={handleInputChange}
+                  className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary bg-background text-textMain ${
+                    errors.budget ? 'border-error' : 'border-borderColor'
+                  }`}
+                  placeholder="Maximum"
+                />
+              </div>
+              {errors.budget && <p className="mt-1 text-sm text-error">{errors.budget}</p>}
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-textMain mb-2">
+                <Clock className="w-4 h-4 inline mr-1" />
+                Availability
+              </label>
+              <select
+                name="availability"
+                value={formData.availability}
+                onChange={handleInputChange}
+                className="w-full px-4 py-2 border border-borderColor rounded-lg focus:ring-2 focus:ring-primary focus:border-primary bg-background text-textMain"
+              >
+                {Object.entries(PROVIDER_AVAILABILITY).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
           </div>
         </div>
 
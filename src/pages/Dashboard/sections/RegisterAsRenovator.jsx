@@ -32,7 +32,15 @@ import {
 } from 'lucide-react';
 import Button from '../../../components/common/Button';
 import LoadingSpinner from '../../../components/common/LoadingSpinner';
+import LocationPicker from '../../../components/maps/LocationPicker';
 import toast from 'react-hot-toast';
+import {
+  PROVIDER_AVAILABILITY,
+  buildDiscoveryFields,
+  getAvailability,
+  toServiceLocation,
+  validateBudgetRange,
+} from '../../../utils/providerSearch';
 
 /**
  * RegisterAsRenovator Component
@@ -60,7 +68,10 @@ const RegisterAsRenovator = () => {
     description: '',
     officeAddress: '',
     city: '',
-    availability: '',
+    serviceLocation: null,
+    minBudget: '',
+    maxBudget: '',
+    availability: 'available',
     workingHours: '',
   });
 
@@ -119,7 +130,10 @@ const RegisterAsRenovator = () => {
             description: data.description || '',
             officeAddress: data.officeAddress || '',
             city: data.city || '',
-            availability: data.availability || '',
+            serviceLocation: toServiceLocation(data),
+            minBudget: data.minBudget ?? '',
+            maxBudget: data.maxBudget ?? '',
+            availability: getAvailability(data),
             workingHours: data.workingHours || '',
           });
           setPortfolioImages(data.portfolio || []);
@@ -256,6 +270,11 @@ const RegisterAsRenovator = () => {
       newErrors.officeAddress = 'Office address is required';
     }
 
+    const budgetError = validateBudgetRange(formData);
+    if (budgetError) {
+      newErrors.budget = budgetError;
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -311,7 +330,7 @@ const RegisterAsRenovator = () => {
         description: formData.description?.trim() || '',
         officeAddress: formData.officeAddress.trim(),
         city: formData.city.trim(),
-        availability: formData.availability?.trim() || '',
+        ...buildDiscoveryFields(formData),
         workingHours: formData.workingHours?.trim() || '',
         portfolioImages: allPortfolioImages,
         userId: currentUser.uid,
@@ -354,7 +373,11 @@ const RegisterAsRenovator = () => {
         serviceCategories: registrationData.serviceCategories || [],
         officeAddress: registrationData.officeAddress,
         city: registrationData.city,
-        availability: registrationData.availability || '',
+        coordinates: registrationData.coordinates,
+        serviceAddress: registrationData.serviceAddress,
+        minBudget: registrationData.minBudget,
+        maxBudget: registrationData.maxBudget,
+        availability: registrationData.availability,
         workingHours: registrationData.workingHours || '',
         status: existingRequest?.data()?.status || 'pending',
         createdAt: existingRequest?.data()?.createdAt || serverTimestamp(),
@@ -412,6 +435,13 @@ const RegisterAsRenovator = () => {
         officeAddress: registrationData.officeAddress,
         description: registrationData.description || '',
         portfolio: allPortfolioImages,
+        // Discovery fields - the geohash is added by the onRenovatorWritten function
+        coordinates: registrationData.coordinates,
+        serviceAddress: registrationData.serviceAddress,
+        minBudget: registrationData.minBudget,
+        maxBudget: registrationData.maxBudget,
+        availability: registrationData.availability,
+        workingHours: registrationData.workingHours || '',
         updatedAt: serverTimestamp(),
       };
 
@@ -477,7 +507,10 @@ const RegisterAsRenovator = () => {
         description: '',
         officeAddress: '',
         city: '',
-        availability: '',
+        serviceLocation: null,
+        minBudget: '',
+        maxBudget: '',
+        availability: 'available',
         workingHours: '',
       });
       setPortfolioImages([]);
@@ -760,14 +793,18 @@ const RegisterAsRenovator = () => {
                 <Clock className="w-4 h-4 inline mr-1" />
                 Availability
               </label>
-              <input
-                type="text"
+              <select
                 name="availability"
                 value={formData.availability}
                 onChange={handleInputChange}
                 className="w-full px-4 py-2 border border-borderColor rounded-lg focus:ring-2 focus:ring-primary focus:border-primary bg-background text-textMain"
-                placeholder="Available / Not Available"
-              />
+              >
+                {Object.entries(PROVIDER_AVAILABILITY).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
             </div>
 
             <div>
@@ -784,6 +821,53 @@ const RegisterAsRenovator = () => {
                 placeholder="9:00 AM - 6:00 PM"
               />
             </div>
+
+            <div className="md:col-span-2">
+              <LocationPicker
+                location={formData.serviceLocation}
+                onLocationChange={(location) =>
+                  setFormData((prev) => ({ ...prev, serviceLocation: location }))
+                }
+                label="Service Location"
+                allowCurrentLocation
+              />
+              <p className="mt-1 text-xs text-textSecondary">
+                {formData.serviceLocation?.pinned
+                  ? 'Location pinned - clients nearby will find you in provider search.'
+                  : 'Pin your location so clients nearby can find you in provider search.'}
+              </p>
+            </div>
+
+            <div className="md:col-span-2">
+              <label className="block text-sm font-medium text-textMain mb-2">
+                Typical Project Budget (PKR)
+              </label>
+              <div className="grid grid-cols-2 gap-4">
+                <input
+                  type="number"
+                  min="0"
+                  name="minBudget"
+                  value={formData.minBudget}
+                  onChange={handleInputChange}
+                  className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary bg-background text-textMain ${
+                    errors.budget ? 'border-error' : 'border-borderColor'
+                  }`}
+                  placeholder="Minimum"
+                />
+                <input
+                  type="number"
+                  min="0"
+                  name="maxBudget"
+                  value={formData.maxBudget}
+                  onChange={handleInputChange}
+                  className={`w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-primary focus:border-primary bg-background text-textMain ${
+                    errors.budget ? 'border-error' : 'border-borderColor'
+                  }`}
+                  placeholder="Maximum"
+                />
+              </div>
+              {errors.budget && <p className="mt-1 text-sm text-error">{errors.budget}</p>}
+            </div>
           </div>
         </div>
 
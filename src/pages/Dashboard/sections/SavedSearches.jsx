@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../../context/AuthContext';
+import { Search, Edit2, Trash2, Save, X, ExternalLink } from 'lucide-react';
+import savedSearchService from '../../../services/savedSearchService';
+import Button from '../../../components/common/Button';
+import LoadingSpinner from '../../../components/common/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const ALERT_MODE_LABELS = {
+  instant: 'Instant alerts',
+  daily: 'Daily digest',
+  off: 'No alerts',
+};
+
+/**
+ * Short human-readable summary of a saved search's filters
+ * @param {Object} filters - Saved search filters
+ * @returns {string}
+ */
+const describeFilters = (filters = {}) => {
+  const parts = [];
+  if (filters.keywords) parts.push(`"${filters.keywords}"`);
+  if (filters.type) parts.push(filters.type === 'rent' ? 'For rent' : 'For sale');
+  if (filters.city) parts.push(filters.city);
+  if (filters.minPrice || filters.maxPrice) {
+    parts.push(`PKR ${filters.minPrice || 0} - ${filters.maxPrice || 'any'}`);
+  }
+  if (filters.bedrooms) parts.push(`${filters.bedrooms}+ beds`);
+  if (filters.bathrooms) parts.push(`${filters.bathrooms}+ baths`);
+  if (filters.furnished) parts.push('Furnished');
+  if (filters.parking) parts.push('Parking');
+  return parts.length ? parts.join(' · ') : 'All properties';
+};
+
+/**
+ * SavedSearches Component
+ * Lists the user's saved property searches in My Account Dashboard
+ * Supports renaming, changing the alert mode, re-running and deleting a search
+ */
+const SavedSearches = () => {
+  const { currentUser } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [savedSearches, setSavedSearches] = useState([]);
+  const [editingId, setEditingId] = useState(null);
+  const [editForm, setEditForm] = useState({ name: '', alertMode: 'instant' });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    const loadSavedSearches = async () => {
+      if (!currentUser) return;
+      try {
+        setLoading(true);
+        setSavedSearches(await savedSearchService.getByUser(currentUser.uid));
+      } catch (error) {
+        console.error('Error loading saved searches:', error);
+        toast.error('Failed to load saved searches');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSavedSearches();
+  }, [currentUser]);
+
+  const startEditing = (savedSearch) => {
+    setEditingId(savedSearch.id);
+    setEditForm({ name: savedSearch.name, alertMode: savedSearch.alertMode || 'instant' });
+  };
+
+  const handleSave = async (searchId) => {
+    try {
+      setSaving(true);
+      await savedSearchService.update(searchId, editForm);
+      setSavedSearches((prev) =>
+        prev.map((s) =>
+          s.id === searchId
+            ? { ...s, name: editForm.name.trim(), alertMode: editForm.alertMode }
+            : s
+        )
+      );
+      setEditingId(null);
+      toast.success('Saved search updated');
+    } catch (error) {
+      toast.error(error.message || 'Failed to update saved search');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (searchId) => {
+    if (!window.confirm('Delete this saved search?')) return;
+    try {
+      await savedSearchService.delete(searchId);
+      setSavedSearches((prev) => prev.filter((s) => s.id !== searchId));
+      toast.success('Saved search deleted');
+    } catch (error) {
+      toast.error(error.message || 'Failed to delete saved search');
+    }
+  };
+
+  const getRunLink = (savedSearch) => {
+    const basePath = savedSearch.filters?.type === 'rent' ? '/browse-rentals' : '/properties';
+    const params = savedSearchService.toSearchParams(savedSearch);
+    return params ? `${basePath}?${params}` : basePath;
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-textMain mb-6">Saved Searches</h2>
+
+      {savedSearches.length === 0 ? (
+        <div className="text-center py-12">
+          <Search className="w-16 h-16 text-textSecondary mx-auto mb-4" />
+          <p className="text-textSecondary mb-4">
+            You have no saved searches yet. Use &quot;Save Search&quot; while browsing properties to
+            get alerts for new listings.
+          </p>
+          <Link to="/properties">
+            <Button>Browse Properties</Button>
+          </Link>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {savedSearches.map((savedSearch) => (
+            <div key={savedSearch.id} className="border border-borderColor rounded-lg p-4">
+              {editingId === savedSearch.id ? (
+                <div className="space-y-3">
+                  <input
+                    type="text"
+                    value={editForm.name}
+                    onChange={(e) => setEditForm((prev) => ({ ...prev, name: e.target.value }))}
+                    className="w-full px-4 py-2 border border-borderColor rounded-lg focus:ring-2 focus:ring-primary focus:border-primary bg-surface text-textMain"
+                  />
+                  <select
+                    value={editForm.alertMode}
+                    onChange={(e) => setEditForm((prev) => ({ ...prev, alertMode: e.target.value }))}
+                    className="w-full px-4 py-2 border border-borderColor rounded-lg focus:ring-2 focus:ring-primary focus:border-primary bg-surface text-textMain"
+                  >
+                    {Object.entries(ALERT_MODE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>
+                        {label}
+                      </option>
+                    ))}
+                  </select>
+                  <div className="flex gap-2">
+                    <Button
+                      size="sm"
+                      onClick={() => handleSave(savedSearch.id)}
+                      loading={saving}
+                      disabled={saving}
+                    >
+                      <Save className="w-4 h-4 mr-1" />
+                      Save
+                    </Button>
+                    <Button size="sm" variant="outline" onClick={() => setEditingId(null)}>
+                      <X className="w-4 h-4 mr-1" />
+                      Cancel
+                    </Button>
+                  </div>
+                </div>
+              ) : (
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                  <div>
+                    <h3 className="font-semibold text-textMain">{savedSearch.name}</h3>
+                    <p className="text-sm text-textSecondary">{describeFilters(savedSearch.filters)}</p>
+                    <span className="inline-block mt-2 px-2 py-1 text-xs rounded-full bg-primary/10 text-primary">
+                      {ALERT_MODE_LABELS[savedSearch.alertMode] || ALERT_MODE_LABELS.instant}
+                    </span>
+                  </div>
+                  <div className="flex gap-2">
+                    <Link to={getRunLink(savedSearch)}>
+                      <Button size="sm" variant="outline">
+                        <ExternalLink className="w-4 h-4 mr-1" />
+                        Run
+                      </Button>
+                    </Link>
+                    <Button size="sm" variant="ghost" onClick={() => startEditing(savedSearch)}>
+                      <Edit2 className="w-4 h-4" />
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => handleDelete(savedSearch.id)}>
+                      <Trash2 className="w-4 h-4 text-red-600" />
+                    </Button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SavedSearches;
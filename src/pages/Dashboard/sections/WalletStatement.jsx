@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../../context/AuthContext';
+import { Wallet, Plus, ArrowDownLeft, ArrowUpRight } from 'lucide-react';
+import walletService from '../../../services/walletService';
+import Button from '../../../components/common/Button';
+import LoadingSpinner from '../../../components/common/LoadingSpinner';
+import { ROUTES } from '../../../routes/routes';
+import toast from 'react-hot-toast';
+
+const REASON_LABELS = {
+  topup: 'Top-up',
+  payment: 'Payment',
+  refund: 'Refund',
+  dispute_refund: 'Dispute refund',
+};
+
+/**
+ * WalletStatement Component
+ * Shows the wallet balance and the ledger of credits/debits in My Account Dashboard
+ */
+const WalletStatement = () => {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [loading, setLoading] = useState(true);
+  const [balance, setBalance] = useState(0);
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    const loadWallet = async () => {
+      if (!currentUser) return;
+      try {
+        setLoading(true);
+        const [walletBalance, statement] = await Promise.all([
+          walletService.getBalance(currentUser.uid),
+          walletService.getStatement(currentUser.uid),
+        ]);
+        setBalance(walletBalance);
+        setEntries(statement);
+      } catch (error) {
+        console.error('Error loading wallet:', error);
+        toast.error('Failed to load wallet');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadWallet();
+  }, [currentUser]);
+
+  const formatAmount = (amount) =>
+    new Intl.NumberFormat('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }).format(
+      amount || 0
+    );
+
+  const formatDate = (timestamp) => {
+    if (!timestamp) return 'N/A';
+    const date = timestamp.toDate ? timestamp.toDate() : new Date(timestamp);
+    return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+  };
+
+  const handleTopUp = () => {
+    navigate(`${ROUTES.PAYMENT_MOCK}?targetType=wallet&targetId=${currentUser.uid}`);
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center py-12">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <h2 className="text-2xl font-bold text-textMain mb-6">Wallet</h2>
+
+      <div className="border border-borderColor rounded-lg p-6 mb-6 flex items-center justify-between">
+        <div className="flex items-center">
+          <Wallet className="w-10 h-10 text-primary mr-4" />
+          <div>
+            <p className="text-sm text-textSecondary">Current Balance</p>
+            <p className="text-3xl font-bold text-textMain">{formatAmount(balance)}</p>
+          </div>
+        </div>
+        <Button onClick={handleTopUp}>
+          <Plus className="w-4 h-4 mr-2" />
+          Top Up
+        </Button>
+      </div>
+
+      <h3 className="text-lg font-semibold text-textMain mb-4">Statement</h3>
+      {entries.length === 0 ? (
+        <p className="text-textSecondary text-center py-8">No wallet activity yet</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-borderColor text-left text-textSecondary">
+                <th className="py-2 pr-4">Date</th>
+                <th className="py-2 pr-4">Description</th>
+                <th className="py-2 pr-4">Type</th>
+                <th className="py-2 pr-4 text-right">Amount</th>
+                <th className="py-2 text-right">Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id} className="border-b border-borderColor">
+                  <td className="py-2 pr-4 text-textSecondary">{formatDate(entry.createdAt)}</td>
+                  <td className="py-2 pr-4 text-textMain">{entry.description}</td>
+                  <td className="py-2 pr-4 text-textSecondary">
+                    {REASON_LABELS[entry.reason] || entry.reason}
+                  </td>
+                  <td
+                    className={`py-2 pr-4 text-right font-medium ${
+                      entry.type === 'credit' ? 'text-primary' : 'text-red-600'
+                    }`}
+                  >
+                    <span className="inline-flex items-center">
+                      {entry.type === 'credit' ? (
+                        <ArrowDownLeft className="w-3 h-3 mr-1" />
+                      ) : (
+                        <ArrowUpRight className="w-3 h-3 mr-1" />
+                      )}
+                      {entry.type === 'credit' ? '+' : '-'}
+                      {formatAmount(entry.amount)}
+                    </span>
+                  </td>
+                  <td className="py-2 text-right text-textMain">{formatAmount(entry.balanceAfter)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WalletStatement;
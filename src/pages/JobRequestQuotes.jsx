@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { ArrowLeft, CheckCircle, Clock, ClipboardList, TrendingDown } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import quoteService from '../services/quoteService';
+import Button from '../components/common/Button';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import Modal from '../components/common/Modal';
+import { ROUTES, buildRoute } from '../routes/routes';
+import toast from 'react-hot-toast';
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat('en-PK', {
+    style: 'currency',
+    currency: 'PKR',
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+/**
+ * JobRequestQuotes Page
+ * Client view of an open job post: compares the providers' itemized quotes side by side and
+ * accepts one, which creates the construction/renovation project
+ */
+const JobRequestQuotes = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [jobRequest, setJobRequest] = useState(null);
+  const [quotes, setQuotes] = useState([]);
+  const [quoteToAccept, setQuoteToAccept] = useState(null);
+  const [accepting, setAccepting] = useState(false);
+
+  useEffect(() => {
+    const loadQuotes = async () => {
+      if (!currentUser || !id) return;
+      try {
+        setLoading(true);
+        const job = await quoteService.getJobRequest(id);
+        if (!job || job.userId !== currentUser.uid) {
+          toast.error('Job post not found');
+          navigate(ROUTES.ACCOUNT);
+          return;
+        }
+        setJobRequest(job);
+        setQuotes(await quoteService.getQuotes(id));
+      } catch (error) {
+        console.error('Error loading quotes:', error);
+        toast.error('Failed to load quotes');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadQuotes();
+  }, [id, currentUser, navigate]);
+
+  const getProjectLink = (projectId) =>
+    jobRequest.projectType === 'renovation'
+      ? buildRoute(ROUTES.RENOVATION_PROJECT_DETAIL, { id: projectId })
+      : buildRoute(ROUTES.CONSTRUCTION_PROJECT_DETAIL, { id: projectId });
+
+  const handleAccept = async () => {
+    if (!quoteToAccept) return;
+    try {
+      setAccepting(true);
+      const { projectId } = await quoteService.acceptQuote(id, quoteToAccept.id);
+      toast.success('Quote accepted! Your project has been created.');
+      navigate(getProjectLink(projectId));
+    } catch (error) {
+      toast.error(error.message || 'Failed to accept quote');
+    } finally {
+      setAccepting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-background">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (!jobRequest) {
+    return null;
+  }
+
+  const lowestTotal = quotes.length ? Math.min(...quotes.map((quote) => quote.total || 0)) : null;
+  const isOpen = jobRequest.status === 'open';
+
+  return (
+    <div className="min-h-screen bg-background py-8 px-4 sm:px-6 lg:px-8">
+      <div className="max-w-7xl mx-auto">
+        <Button variant="ghost" onClick={() => navigate(ROUTES.ACCOUNT)} className="mb-6 flex items-center">
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to My Account
+        </Button>
+
+        {/* Job Summary */}
+        <div className="bg-surface rounded-base shadow-md p-6 border border-muted mb-6">
+          <h1 className="text-2xl font-display font-bold text-textMain mb-2 capitalize">
+            {jobRequest.projectType} Job - Quotes
+          </h1>
+          <p className="text-textMain mb-3">{jobRequest.description}</p>
+          <p className="text-sm text-textSecondary">
+            Your budget: {formatAmount(jobRequest.budget)} · Timeline: {jobRequest.timeline} · Status:{' '}
+            <span className="capitalize">{jobRequest.status}</span>
+          </p>
+          {jobRequest.status === 'awarded' && jobRequest.projectId && (
+            <Button className="mt-4" onClick={() => navigate(getProjectLink(jobRequest.projectId))}>
+              View Project
+            </Button>
+          )}
+        </div>
+
+        {quotes.length === 0 ? (
+          <div className="bg-surface rounded-base shadow-md p-12 border border-muted text-center">
+            <ClipboardList className="w-16 h-16 text-textSecondary mx-auto mb-4" />
+            <p className="text-textSecondary">
+              No quotes yet. Approved providers have been notified and their quotes will appear here.
+            </p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto pb-2">
+            <div className="flex gap-4 min-w-max">
+              {quotes.map((quote) => (
+                <div
+                  key={quote.id}
+                  className={`w-80 bg-surface rounded-base shadow-md border p-5 flex flex-col ${
+                    quote.status === 'accepted' ? 'border-primary' : 'border-muted'
+                  }`}
+                >
+                  <div className="mb-4">
+                    <h2 className="text-lg font-semibold text-textMain">{quote.providerName}</h2>
+                    <p className="text-2xl font-bold text-textMain mt-1">{formatAmount(quote.total)}</p>
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {quote.total === lowestTotal && quotes.length > 1 && (
+                        <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-600">
+                          <TrendingDown className="w-3 h-3 mr-1" />
+                          Lowest
+                        </span>
+                      )}
+                      {quote.status !== 'submitted' && (
+                        <span className="px-2 py-0.5 rounded-full text-xs bg-primary/10 text-primary capitalize">
+                          {quote.status}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-textSecondary mt-2 flex items-center gap-1">
+                      <Clock className="w-4 h-4" />
+                      {quote.timeline}
+                    </p>
+                  </div>
+
+                  <div className="border-t border-muted pt-3 mb-4">
+                    <h3 className="text-sm font-medium text-textSecondary mb-2">Cost Breakdown</h3>
+                    <ul className="space-y-1">
+                      {(quote.lineItems || []).map((item, index) => (
+                        <li key={index} className="flex justify-between text-sm">
+                          <span className="text-textMain">{item.description}</span>
+                          <span className="text-textMain">{formatAmount(item.amount)}</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+
+                  {quote.notes && (
+                    <div className="border-t border-muted pt-3 mb-4">
+                      <h3 className="text-sm font-medium text-textSecondary mb-1">Notes</h3>
+                      <p className="text-sm text-textMain whitespace-pre-wrap">{quote.notes}</p>
+                    </div>
+                  )}
+
+                  {isOpen && quote.status === 'submitted' && (
+                    <Button className="mt-auto" fullWidth onClick={() => setQuoteToAccept(quote)}>
+                      <CheckCircle className="w-4 h-4 mr-2" />
+                      Accept Quote
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Accept Confirmation */}
+      <Modal
+        isOpen={!!quoteToAccept}
+        onClose={() => setQuoteToAccept(null)}
+        title="Accept Quote"
+        size="md"
+      >
+        {quoteToAccept && (
+          <div className="space-y-4">
+            <p className="text-textSecondary">
+              Accept the quote from <strong>{quoteToAccept.providerName}</strong> for{' '}
+              <strong>{formatAmount(quoteToAccept.total)}</strong>? A project will be created with this
+              provider and the other quotes will be declined.
+            </p>
+            <div className="flex gap-3 justify-end">
+              <Button variant="outline" onClick={() => setQuoteToAccept(null)} disabled={accepting}>
+                Cancel
+              </Button>
+              <Button onClick={handleAccept} loading={accepting} disabled={accepting}>
+                Accept &amp; Create Project
+              </Button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default JobRequestQuotes;
@@ -21,11 +21,14 @@ import {
   Trash2,
   Wrench,
   Hammer,
+  Wallet,
+  ClipboardList,
 } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import userService from '../services/userService';
 import { getSafeAvatarUrl, isValidImageUrl } from '../utils/avatarHelpers';
 import propertyService from '../services/propertyService';
+import presenceService from '../services/presenceService';
 import {
   collection,
   query,
@@ -44,6 +47,10 @@ import Modal from '../components/common/Modal';
 // FIXED: Imports preserved - components handle blocked collections gracefully
 import RegisterAsRenovator from './Dashboard/sections/RegisterAsRenovator';
 import RegisterAsConstructor from './Dashboard/sections/RegisterAsConstructor';
+import SavedSearches from './Dashboard/sections/SavedSearches';
+import WalletStatement from './Dashboard/sections/WalletStatement';
+import JobRequests from './Dashboard/sections/JobRequests';
+import NotificationPreferences from './Dashboard/sections/NotificationPreferences';
 
 /**
  * MyAccount Component
@@ -75,6 +82,8 @@ const MyAccount = () => {
   const [reviewsLoading, setReviewsLoading] = useState(false);
   const [chats, setChats] = useState([]);
   const [chatsLoading, setChatsLoading] = useState(false);
+  const [showLastSeen, setShowLastSeen] = useState(true);
+  const [savingLastSeen, setSavingLastSeen] = useState(false);
   
   // Provider approval status
   const [providerStatus, setProviderStatus] = useState({
@@ -95,9 +104,12 @@ const MyAccount = () => {
   const tabs = [
     { key: 'profile', label: 'Profile', icon: User },
     { key: 'properties', label: 'My Listings', icon: Home },
+    { key: 'saved-searches', label: 'Saved Searches', icon: Search },
     { key: 'my-projects', label: 'My Projects', icon: Building2 },
+    { key: 'job-requests', label: 'Job Posts & Quotes', icon: ClipboardList },
     { key: 'requests', label: 'Service Requests', icon: Calendar },
     { key: 'reviews', label: 'My Reviews', icon: Star },
+    { key: 'wallet', label: 'Wallet', icon: Wallet },
     { key: 'messages', label: 'Messages', icon: MessageCircle },
     // Show dashboard only if role matches AND isApprovedProvider is true
     ...(currentUserRole === 'renovator' && isApprovedProvider
@@ -420,6 +432,31 @@ const MyAccount = () => {
     }
   }, [currentUser?.uid, activeTab, db]);
 
+  // Load the last-seen privacy setting
+  useEffect(() => {
+    if (!currentUser?.uid || activeTab !== 'settings') {
+      return;
+    }
+    presenceService
+      .getShowLastSeen(currentUser.uid)
+      .then(setShowLastSeen)
+      .catch((error) => console.error('Error loading privacy settings:', error));
+  }, [currentUser?.uid, activeTab]);
+
+  const handleToggleLastSeen = async () => {
+    const next = !showLastSeen;
+    try {
+      setSavingLastSeen(true);
+      await presenceService.setShowLastSeen(currentUser.uid, next);
+      setShowLastSeen(next);
+      toast.success(next ? 'Others can now see when you were last online' : 'Your last seen is now hidden');
+    } catch (error) {
+      toast.error(error.message || 'Failed to update privacy setting');
+    } finally {
+      setSavingLastSeen(false);
+    }
+  };
+
   // Fetch chats
   // FIXED: Wrapped in try/catch to handle blocked collection gracefully
   useEffect(() => {
@@ -1030,6 +1067,21 @@ const MyAccount = () => {
                   </div>
                 )}
 
+                {/* Wallet Tab */}
+                {activeTab === 'wallet' && (
+                  <WalletStatement />
+                )}
+
+                {/* Job Posts Tab */}
+                {activeTab === 'job-requests' && (
+                  <JobRequests />
+                )}
+
+                {/* Saved Searches Tab */}
+                {activeTab === 'saved-searches' && (
+                  <SavedSearches />
+                )}
+
                 {/* Register as Renovator Tab */}
                 {activeTab === 'register-renovator' && (
                   <RegisterAsRenovator />
@@ -1047,20 +1099,8 @@ const MyAccount = () => {
 
                     <div className="space-y-6">
                       <div className="border border-borderColor rounded-lg p-6">
-                        <h3 className="text-lg font-semibold text-textMain mb-4">Account Settings</h3>
-                        <div className="space-y-4">
-                          <div>
-                            <label className="block text-sm font-medium text-textMain mb-2">
-                              Email Notifications
-                            </label>
-                            <p className="text-sm text-textSecondary mb-2">
-                              Receive email updates about your properties and requests
-                            </p>
-                            <Button variant="outline" size="sm">
-                              Enable Notifications
-                            </Button>
-                          </div>
-                        </div>
+                        <h3 className="text-lg font-semibold text-textMain mb-4">Notifications</h3>
+                        <NotificationPreferences />
                       </div>
 
                       <div className="border border-borderColor rounded-lg p-6">
@@ -1074,6 +1114,34 @@ const MyAccount = () => {
                               Control who can see your profile information
                             </p>
                           </div>
+                          <div className="flex items-start justify-between gap-4">
+                            <div>
+                              <label htmlFor="show-last-seen" className="block text-sm font-medium text-textMain mb-1">
+                                Show Last Seen
+                              </label>
+                              <p className="text-sm text-textSecondary">
+                                Let people you chat with see when you were last online. You still appear as
+                                online while using the app.
+                              </p>
+                            </div>
+                            <button
+                              id="show-last-seen"
+                              type="button"
+                              role="switch"
+                              aria-checked={showLastSeen}
+                              onClick={handleToggleLastSeen}
+                              disabled={savingLastSeen}
+                              className={`relative inline-flex h-6 w-11 flex-shrink-0 rounded-full transition-colors disabled:opacity-50 ${
+                                showLastSeen ? 'bg-primary' : 'bg-muted'
+                              }`}
+                            >
+                              <span
+                                className={`inline-block h-5 w-5 mt-0.5 rounded-full bg-white shadow transition-transform ${
+                                  showLastSeen ? 'translate-x-5' : 'translate-x-0.5'
+                                }`}
+                              />
+                            </button>
+                          </div>
                         </div>
                       </div>
 
@@ -7,6 +7,8 @@ import notificationService from '../services/notificationService';
 import {
   Bell,
   Check,
+  ChevronDown,
+  ChevronUp,
   Trash2,
   X,
   AlertCircle,
@@ -18,10 +20,19 @@ import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import toast from 'react-hot-toast';
 import Modal from '../components/common/Modal';
+import NotificationFilterTabs from '../components/notification/NotificationFilterTabs';
+import {
+  countUnreadByFilter,
+  describeGroup,
+  groupNotifications,
+  matchesFilter,
+} from '../utils/notificationGroups';
 
 /**
  * NotificationsPage Component
  * Full notifications page with all management features
+ * Notifications are filtered by category tab and grouped by thread (see utils/notificationGroups);
+ * a group expands to show its individual notifications.
  */
 const NotificationsPage = () => {
   const { user: contextUser } = useAuth();
@@ -33,6 +44,8 @@ const NotificationsPage = () => {
   const [deletingId, setDeletingId] = useState(null);
   const [showClearAllModal, setShowClearAllModal] = useState(false);
   const [clearingAll, setClearingAll] = useState(false);
+  const [filter, setFilter] = useState('all');
+  const [expandedKey, setExpandedKey] = useState(null);
 
   // Setup real-time listener
   // FIXED: Enhanced auth checks and error handling
@@ -131,6 +144,34 @@ const NotificationsPage = () => {
     }
   };
 
+  const handleMarkGroupAsRead = async (group) => {
+    try {
+      setMarkingAsRead(group.key);
+      await Promise.all(
+        group.items.filter((n) => !n.read).map((n) => notificationService.markAsRead(n.id))
+      );
+      toast.success(group.unreadCount === 1 ? 'Notification marked as read' : 'Notifications marked as read');
+    } catch (error) {
+      console.error('Error marking notifications as read:', error);
+      toast.error('Failed to mark notifications as read');
+    } finally {
+      setMarkingAsRead(null);
+    }
+  };
+
+  const handleDeleteGroup = async (group) => {
+    try {
+      setDeletingId(group.key);
+      await Promise.all(group.items.map((n) => notificationService.delete(n.id)));
+      toast.success(group.items.length === 1 ? 'Notification deleted' : 'Notifications deleted');
+    } catch (error) {
+      console.error('Error deleting notifications:', error);
+      toast.error('Failed to delete notifications');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
   const handleDelete = async (notificationId) => {
     try {
       setDeletingId(notificationId);
@@ -213,6 +254,8 @@ const NotificationsPage = () => {
   };
 
   const unreadCount = notifications.filter((n) => !n.read).length;
+  const unreadByFilter = countUnreadByFilter(notifications);
+  const groups = groupNotifications(notifications.filter((n) => matchesFilter(n, filter)));
 
   if (!currentUser) {
     return (
@@ -275,6 +318,9 @@ const NotificationsPage = () => {
               </div>
             )}
           </div>
+          {notifications.length > 0 && (
+            <NotificationFilterTabs value={filter} onChange={setFilter} counts={unreadByFilter} />
+          )}
         </div>
 
         {/* Notifications List */}
@@ -286,71 +332,128 @@ const NotificationsPage = () => {
           </div>
         ) : (
           <div className="space-y-4">
-            {notifications.map((notification) => (
-              <div
-                key={notification.id}
-                className={`bg-surface rounded-base shadow-md p-6 border-l-4 transition-all ${
-                  !notification.read
-                    ? `${getTypeColor(notification.type)} border-l-4`
-                    : 'border-muted'
-                }`}
-              >
-                <div className="flex items-start gap-4">
-                  {/* Icon */}
-                  <div className="flex-shrink-0 mt-1">{getTypeIcon(notification.type)}</div>
+            {groups.length === 0 && (
+              <div className="bg-surface rounded-base shadow-md p-8 text-center text-textSecondary">
+                No notifications in this category.
+              </div>
+            )}
+            {groups.map((group) => {
+              const notification = group.latest;
+              const { title, message } = describeGroup(group);
+              const expanded = expandedKey === group.key;
+              return (
+                <div
+                  key={group.key}
+                  className={`bg-surface rounded-base shadow-md p-6 border-l-4 transition-all ${
+                    group.unreadCount > 0
+                      ? `${getTypeColor(notification.type)} border-l-4`
+                      : 'border-muted'
+                  }`}
+                >
+                  <div className="flex items-start gap-4">
+                    {/* Icon */}
+                    <div className="flex-shrink-0 mt-1">{getTypeIcon(notification.type)}</div>
 
-                  {/* Content */}
-                  <div
-                    className="flex-1 cursor-pointer"
-                    onClick={() => handleNotificationClick(notification)}
-                  >
-                    <div className="flex items-start justify-between mb-2">
-                      <div className="flex-1">
-                        <div className="flex items-center gap-2 mb-1">
-                          <h3 className="font-semibold text-textMain">
-                            {notification.title || 'Notification'}
-                          </h3>
-                          {!notification.read && (
-                            <span className="w-2 h-2 bg-primary rounded-full"></span>
-                          )}
-                          {notification.isBroadcast && (
-                            <span className="px-2 py-0.5 text-xs font-medium bg-primary text-primary rounded">
-                              Broadcast
-                            </span>
-                          )}
+                    {/* Content */}
+                    <div
+                      className="flex-1 cursor-pointer"
+                      onClick={() => handleNotificationClick(notification)}
+                    >
+                      <div className="flex items-start justify-between mb-2">
+                        <div className="flex-1">
+                          <div className="flex items-center gap-2 mb-1">
+                            <h3 className="font-semibold text-textMain">{title}</h3>
+                            {group.unreadCount > 0 && (
+                              <span className="w-2 h-2 bg-primary rounded-full"></span>
+                            )}
+                            {notification.isBroadcast && (
+                              <span className="px-2 py-0.5 text-xs font-medium bg-primary text-primary rounded">
+                                Broadcast
+                              </span>
+                            )}
+                          </div>
+                          <p className="text-textMain leading-relaxed">{message}</p>
+                          <p className="text-sm text-textSecondary mt-2">
+                            {formatDate(notification.createdAt)}
+                          </p>
                         </div>
-                        <p className="text-textMain leading-relaxed">{notification.message}</p>
-                        <p className="text-sm text-textSecondary mt-2">
-                          {formatDate(notification.createdAt)}
-                        </p>
                       </div>
                     </div>
-                  </div>
 
-                  {/* Actions */}
-                  <div className="flex items-start gap-2 flex-shrink-0">
-                    {!notification.read && (
+                    {/* Actions */}
+                    <div className="flex items-start gap-2 flex-shrink-0">
+                      {group.unreadCount > 0 && (
+                        <button
+                          onClick={() => handleMarkGroupAsRead(group)}
+                          disabled={markingAsRead === group.key}
+                          className="p-2 text-primary hover:bg-primary rounded-lg transition-colors disabled:opacity-50"
+                          title="Mark as read"
+                        >
+                          <Check className="w-4 h-4" />
+                        </button>
+                      )}
                       <button
-                        onClick={() => handleMarkAsRead(notification.id)}
-                        disabled={markingAsRead === notification.id}
-                        className="p-2 text-primary hover:bg-primary rounded-lg transition-colors disabled:opacity-50"
-                        title="Mark as read"
+                        onClick={() => handleDeleteGroup(group)}
+                        disabled={deletingId === group.key}
+                        className="p-2 text-error hover:bg-error rounded-lg transition-colors disabled:opacity-50"
+                        title={group.items.length === 1 ? 'Delete notification' : 'Delete all in this group'}
                       >
-                        <Check className="w-4 h-4" />
+                        <Trash2 className="w-4 h-4" />
                       </button>
-                    )}
-                    <button
-                      onClick={() => handleDelete(notification.id)}
-                      disabled={deletingId === notification.id}
-                      className="p-2 text-error hover:bg-error rounded-lg transition-colors disabled:opacity-50"
-                      title="Delete notification"
-                    >
-                      <Trash2 className="w-4 h-4" />
-                    </button>
+                    </div>
                   </div>
+
+                  {group.items.length > 1 && (
+                    <div className="mt-3 pl-9">
+                      <button
+                        onClick={() => setExpandedKey(expanded ? null : group.key)}
+                        className="flex items-center gap-1 text-sm text-primary hover:underline"
+                      >
+                        {expanded ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />}
+                        {expanded ? 'Hide' : `Show all ${group.items.length}`}
+                      </button>
+                      {expanded && (
+                        <ul className="mt-2 divide-y divide-muted border-t border-muted">
+                          {group.items.map((item) => (
+                            <li key={item.id} className="flex items-start justify-between gap-3 py-2">
+                              <div
+                                className="min-w-0 cursor-pointer"
+                                onClick={() => handleNotificationClick(item)}
+                              >
+                                <p className={`text-sm ${item.read ? 'text-textSecondary' : 'text-textMain font-medium'}`}>
+                                  {item.message}
+                                </p>
+                                <p className="text-xs text-textSecondary">{formatDate(item.createdAt)}</p>
+                              </div>
+                              <div className="flex gap-1 flex-shrink-0">
+                                {!item.read && (
+                                  <button
+                                    onClick={() => handleMarkAsRead(item.id)}
+                                    disabled={markingAsRead === item.id}
+                                    className="p-1 text-primary disabled:opacity-50"
+                                    title="Mark as read"
+                                  >
+                                    <Check className="w-3.5 h-3.5" />
+                                  </button>
+                                )}
+                                <button
+                                  onClick={() => handleDelete(item.id)}
+                                  disabled={deletingId === item.id}
+                                  className="p-1 text-error disabled:opacity-50"
+                                  title="Delete notification"
+                                >
+                                  <X className="w-3.5 h-3.5" />
+                                </button>
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
                 </div>
-              </div>
-            ))}
+              );
+            })}
           </div>
         )}
       </div>
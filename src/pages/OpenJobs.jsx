@@ -0,0 +1,309 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../firebase';
+import { ArrowLeft, ClipboardList, Clock, DollarSign, Plus, Send, Trash2 } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+import quoteService, { getQuoteTotal } from '../services/quoteService';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import Modal from '../components/common/Modal';
+import toast from 'react-hot-toast';
+
+const EMPTY_LINE = { description: '', amount: '' };
+
+const formatAmount = (amount) =>
+  new Intl.NumberFormat('en-PK', {
+    style: 'currency',
+    currency: 'PKR',
+    maximumFractionDigits: 0,
+  }).format(amount || 0);
+
+const formatDate = (value) => {
+  if (!value) return '';
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+/**
+ * OpenJobs Page
+ * Open construction/renovation job posts for approved providers, who answer them with itemized
+ * quotes (cost lines, timeline, notes). A provider can revise or withdraw a quote until the client
+ * accepts one.
+ */
+const OpenJobs = ({ projectType = 'construction' }) => {
+  const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const [loading, setLoading] = useState(true);
+  const [providerProfile, setProviderProfile] = useState(null);
+  const [jobs, setJobs] = useState([]);
+  const [myQuotes, setMyQuotes] = useState({});
+  const [activeJob, setActiveJob] = useState(null);
+  const [quoteForm, setQuoteForm] = useState({ lineItems: [EMPTY_LINE], timeline: '', notes: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  const serviceType = projectType === 'renovation' ? 'Renovation' : 'Construction';
+  const dashboardPath = projectType === 'renovation' ? '/renovator/dashboard' : '/constructor/dashboard';
+
+  useEffect(() => {
+    const loadJobs = async () => {
+      if (!currentUser || !db) return;
+      try {
+        setLoading(true);
+
+        // Quotes are sent under the provider's approved profile for this service type
+        const profilesSnapshot = await getDocs(
+          query(collection(db, 'serviceProviders'), where('userId', '==', currentUser.uid))
+        );
+        const profileDoc = profilesSnapshot.docs.find(
+          (doc) => (doc.data().serviceType || '').toLowerCase() === projectType
+        );
+        const profile = profileDoc ? { id: profileDoc.id, ...profileDoc.data() } : null;
+        setProviderProfile(profile);
+        if (!profile || !(profile.isApproved === true || profile.approved === true)) {
+          return;
+        }
+
+        const openJobs = (await quoteService.getOpenJobs(projectType)).filter(
+          (job) => job.userId !== currentUser.uid
+        );
+        setJobs(openJobs);
+
+        const quotes = await Promise.all(
+          openJobs.map((job) => quoteService.getMyQuote(job.id, currentUser.uid))
+        );
+        setMyQuotes(
+          openJobs.reduce((acc, job, index) => {
+            if (quotes[index]) acc[job.id] = quotes[index];
+            return acc;
+          }, {})
+        );
+      } catch (error) {
+        console.error('Error loading open jobs:', error);
+        toast.error('Failed to load open jobs');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadJobs();
+  }, [currentUser, projectType]);
+
+  const openQuoteForm = (job) => {
+    const existing = myQuotes[job.id];
+    setQuoteForm(
+      existing && existing.status === 'submitted'
+        ? {
+            lineItems: existing.lineItems.map((item) => ({ ...item, amount: String(item.amount) })),
+            timeline: existing.timeline,
+            notes: existing.notes || '',
+          }
+        : { lineItems: [EMPTY_LINE], timeline: job.timeline || '', notes: '' }
+    );
+    setActiveJob(job);
+  };
+
+  const updateLine = (index, field, value) => {
+    setQuoteForm((prev) => ({
+      ...prev,
+      lineItems: prev.lineItems.map((item, i) => (i === index ? { ...item, [field]: value } : item)),
+    }));
+  };
+
+  const addLine = () => {
+    setQuoteForm((prev) => ({ ...prev, lineItems: [...prev.lineItems, EMPTY_LINE] }));
+  };
+
+  const removeLine = (index) => {
+    setQuoteForm((prev) => ({
+      ...prev,
+      lineItems: prev.lineItems.filter((_, i) => i !== index),
+    }));
+  };
+
+  const handleSubmitQuote = async () => {
+    try {
+      setSubmitting(true);
+      await quoteService.submitQuote(
+        activeJob.id,
+        { userId: currentUser.uid, profileId: providerProfile.id, name: providerProfile.name },
+        quoteForm
+      );
+      const quote = await quoteService.getMyQuote(activeJob.id, currentUser.uid);
+      setMyQuotes((prev) => ({ ...prev, [activeJob.id]: quote }));
+      setActiveJob(null);
+      toast.success('Quote sent to the client');
+    } catch (error) {
+      toast.error(error.message || 'Failed to submit quote');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleWithdraw = async (job) => {
+    if (!window.confirm('Withdraw your quote for this job?')) return;
+    try {
+      await quoteService.withdrawQuote(job.id, currentUser.uid);
+      setMyQuotes((prev) => ({ ...prev, [job.id]: { ...prev[job.id], status: 'withdrawn' } }));
+      toast.success('Quote withdrawn');
+    } catch (error) {
+      toast.error(error.message || 'Failed to withdraw quote');
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-background">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  const isApproved = providerProfile && (providerProfile.isApproved === true || providerProfile.approved === true);
+
+  return (
+    <div className="min-h-screen bg-background">
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <Button variant="outline" onClick={() => navigate(dashboardPath)} className="mb-4 flex items-center">
+          <ArrowLeft className="w-4 h-4 mr-2" />
+          Back to Dashboard
+        </Button>
+        <div className="mb-8">
+          <h1 className="text-3xl font-bold text-textMain mb-2">Open {serviceType} Jobs</h1>
+          <p className="text-textSecondary">
+            Clients looking for quotes. Send an itemized quote; the client compares quotes and picks one.
+          </p>
+        </div>
+
+        {!isApproved ? (
+          <div className="bg-surface rounded-lg border border-borderColor p-8 text-center">
+            <p className="text-textSecondary">
+              Only approved {serviceType.toLowerCase()} providers can quote on open jobs.
+            </p>
+          </div>
+        ) : jobs.length === 0 ? (
+          <div className="bg-surface rounded-lg border border-borderColor p-12 text-center">
+            <ClipboardList className="w-16 h-16 text-textSecondary mx-auto mb-4" />
+            <p className="text-textSecondary">No open jobs right now. You will be notified when a client posts one.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {jobs.map((job) => {
+              const myQuote = myQuotes[job.id];
+              const hasActiveQuote = myQuote && myQuote.status === 'submitted';
+              return (
+                <div key={job.id} className="bg-surface rounded-lg border border-borderColor p-6">
+                  <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+                    <div className="flex-1">
+                      <p className="text-textMain whitespace-pre-wrap mb-3">{job.description}</p>
+                      <div className="flex flex-wrap gap-4 text-sm text-textSecondary">
+                        <span className="flex items-center gap-1">
+                          <DollarSign className="w-4 h-4" />
+                          Budget {formatAmount(job.budget)}
+                        </span>
+                        <span className="flex items-center gap-1">
+                          <Clock className="w-4 h-4" />
+                          {job.timeline}
+                        </span>
+                        <span>Posted {formatDate(job.createdAt)}</span>
+                        <span>
+                          {job.quoteCount || 0} quote{job.quoteCount === 1 ? '' : 's'}
+                        </span>
+                      </div>
+                      {hasActiveQuote && (
+                        <p className="text-sm text-primary mt-3">
+                          Your quote: {formatAmount(myQuote.total)} · {myQuote.timeline}
+                        </p>
+                      )}
+                    </div>
+                    <div className="flex gap-2">
+                      <Button size="sm" onClick={() => openQuoteForm(job)}>
+                        <Send className="w-4 h-4 mr-1" />
+                        {hasActiveQuote ? 'Revise Quote' : 'Submit Quote'}
+                      </Button>
+                      {hasActiveQuote && (
+                        <Button size="sm" variant="outline" onClick={() => handleWithdraw(job)}>
+                          Withdraw
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Quote Form */}
+      <Modal isOpen={!!activeJob} onClose={() => setActiveJob(null)} title="Your Quote" size="lg">
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-textMain mb-2">Cost Breakdown</label>
+            <div className="space-y-2">
+              {quoteForm.lineItems.map((item, index) => (
+                <div key={index} className="flex gap-2 items-start">
+                  <div className="flex-1">
+                    <Input
+                      value={item.description}
+                      onChange={(e) => updateLine(index, 'description', e.target.value)}
+                      placeholder="e.g. Materials, Labour, Permits"
+                    />
+                  </div>
+                  <div className="w-36">
+                    <Input
+                      type="number"
+                      min="0"
+                      value={item.amount}
+                      onChange={(e) => updateLine(index, 'amount', e.target.value)}
+                      placeholder="Amount"
+                    />
+                  </div>
+                  {quoteForm.lineItems.length > 1 && (
+                    <Button size="sm" variant="ghost" onClick={() => removeLine(index)}>
+                      <Trash2 className="w-4 h-4" />
+                    </Button>
+                  )}
+                </div>
+              ))}
+            </div>
+            <Button size="sm" variant="ghost" onClick={addLine} className="mt-2">
+              <Plus className="w-4 h-4 mr-1" />
+              Add Cost Line
+            </Button>
+            <p className="text-right font-semibold text-textMain">
+              Total: {formatAmount(getQuoteTotal(quoteForm.lineItems))}
+            </p>
+          </div>
+          <Input
+            label="Timeline"
+            value={quoteForm.timeline}
+            onChange={(e) => setQuoteForm((prev) => ({ ...prev, timeline: e.target.value }))}
+            placeholder="e.g. 4 months"
+          />
+          <div>
+            <label className="block text-sm font-medium text-textMain mb-2">Notes</label>
+            <textarea
+              value={quoteForm.notes}
+              onChange={(e) => setQuoteForm((prev) => ({ ...prev, notes: e.target.value }))}
+              rows={4}
+              className="w-full px-4 py-2 border border-borderColor rounded-lg bg-background text-textMain focus:outline-none focus:ring-2 focus:ring-primary"
+              placeholder="What is included, exclusions, payment terms..."
+            />
+          </div>
+          <div className="flex gap-3 justify-end">
+            <Button variant="outline" onClick={() => setActiveJob(null)} disabled={submitting}>
+              Cancel
+            </Button>
+            <Button onClick={handleSubmitQuote} loading={submitting} disabled={submitting}>
+              Send Quote
+            </Button>
+          </div>
+        </div>
+      </Modal>
+    </div>
+  );
+};
+
+export default OpenJobs;
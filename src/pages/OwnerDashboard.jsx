@@ -4,11 +4,14 @@ import { useNavigate } from 'react-router-dom';
 import rentalRequestService from '../services/rentalRequestService';
 import buySellRequestService from '../services/buySellRequestService';
 import propertyService from '../services/propertyService';
-import { Calendar, DollarSign, CheckCircle, XCircle, Clock, Home } from 'lucide-react';
+import { Calendar, DollarSign, CheckCircle, XCircle, Clock, Home, AlertTriangle, MessageSquare } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Button from '../components/common/Button';
 import Modal from '../components/common/Modal';
+import DisputeForm from '../components/service/DisputeForm';
+import { canOpenDispute } from '../utils/projectStatus';
+import { findOrCreateConversation } from '../utils/chatHelpers';
 
 const OwnerDashboard = () => {
   const { user, currentUserRole } = useAuth();
@@ -19,6 +22,7 @@ const OwnerDashboard = () => {
   const [properties, setProperties] = useState([]);
   const [activeTab, setActiveTab] = useState('rental'); // 'rental' or 'buySell'
   const [selectedRequest, setSelectedRequest] = useState(null);
+  const [disputeRequest, setDisputeRequest] = useState(null);
   const [showActionModal, setShowActionModal] = useState(false);
   const [actionType, setActionType] = useState(''); // 'accept' or 'reject'
   const [processing, setProcessing] = useState(false);
@@ -77,6 +81,31 @@ const OwnerDashboard = () => {
     fetchData();
   }, [user, navigate]);
 
+  // Rental requests get their own chat; purchase offers share the listing's chat with the buyer
+  const handleMessageRequester = async (request) => {
+    try {
+      const context =
+        activeTab === 'rental'
+          ? {
+              type: 'rental',
+              id: request.id,
+              title: request.property?.title ? `Booking: ${request.property.title}` : 'Rental Request',
+              clientId: request.userId,
+            }
+          : {
+              type: 'property',
+              id: request.propertyId,
+              title: request.property?.title || 'Property',
+              clientId: request.userId,
+            };
+      const chatId = await findOrCreateConversation(user.uid, request.userId, context);
+      navigate(`/chats?chatId=${chatId}`);
+    } catch (error) {
+      console.error('Error starting chat:', error);
+      toast.error('Failed to start chat');
+    }
+  };
+
   const handleAction = async (request, type) => {
     setSelectedRequest(request);
     setActionType(type);
@@ -142,7 +171,8 @@ const OwnerDashboard = () => {
       setSelectedRequest(null);
     } catch (error) {
       console.error('Error processing request:', error);
-      toast.error('Failed to process request');
+      // Surfaces date conflicts from the transactional availability check
+      toast.error(error.message || 'Failed to process request');
     } finally {
       setProcessing(false);
     }
@@ -171,6 +201,7 @@ const OwnerDashboard = () => {
       Pending: 'bg-accent text-accent',
       Accepted: 'bg-primary/20 text-primary',
       Rejected: 'bg-error/20 text-error',
+      Disputed: 'bg-error/20 text-error',
     };
     return badges[status] || 'bg-muted text-textMain';
   };
@@ -301,6 +332,19 @@ const OwnerDashboard = () => {
                       </Button>
                     </div>
                   )}
+                  {request.userId && (
+                    <Button variant="outline" size="sm" onClick={() => handleMessageRequester(request)}>
+                      <MessageSquare className="w-4 h-4 mr-2" />
+                      Message {activeTab === 'rental' ? 'Tenant' : 'Buyer'}
+                    </Button>
+                  )}
+                  {!request.activeDisputeId &&
+                    canOpenDispute(activeTab === 'rental' ? 'rentalRequests' : 'buySellRequests', request.status) && (
+                      <Button variant="outline" size="sm" onClick={() => setDisputeRequest(request)}>
+                        <AlertTriangle className="w-4 h-4 mr-2" />
+                        Raise Dispute
+                      </Button>
+                    )}
                 </div>
               </div>
             ))}
@@ -349,6 +393,20 @@ const OwnerDashboard = () => {
           </div>
         </div>
       </Modal>
+
+      <DisputeForm
+        isOpen={!!disputeRequest}
+        onClose={() => setDisputeRequest(null)}
+        targetType={activeTab}
+        targetId={disputeRequest?.id}
+        onOpened={() => {
+          const setRequests = activeTab === 'rental' ? setRentalRequests : setBuySellRequests;
+          const disputedId = disputeRequest?.id;
+          setRequests((prev) =>
+            prev.map((request) => (request.id === disputedId ? { ...request, status: 'Disputed' } : request))
+          );
+        }}
+      />
     </div>
   );
 };
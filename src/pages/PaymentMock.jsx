@@ -2,16 +2,23 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { CreditCard, CheckCircle, XCircle, Loader, DollarSign, AlertCircle } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
-import transactionService from '../services/transactionService';
+import paymentService from '../services/paymentService';
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Modal from '../components/common/Modal';
 import Input from '../components/common/Input';
 import toast from 'react-hot-toast';
 
+const FAILURE_MESSAGES = {
+  card_declined: 'Your card was declined.',
+  insufficient_funds: 'Your card has insufficient funds.',
+  invalid_number: 'The card number is invalid.',
+};
+
 /**
  * PaymentMock Page
- * Mock payment processing page for testing transactions
+ * Test checkout page: payments go through the configured payment gateway and the result is
+ * taken from the transaction once the gateway callback has settled it
  */
 const PaymentMock = () => {
   const navigate = useNavigate();
@@ -23,13 +30,13 @@ const PaymentMock = () => {
   const [showSuccessModal, setShowSuccessModal] = useState(false);
   const [showFailedModal, setShowFailedModal] = useState(false);
   const [transactionId, setTransactionId] = useState(null);
-  const [manualMode, setManualMode] = useState(false);
-  const [manualSuccess, setManualSuccess] = useState(true);
+  const [failureReason, setFailureReason] = useState(null);
 
   // Get params from URL
   const amount = searchParams.get('amount');
   const targetType = searchParams.get('targetType');
   const targetId = searchParams.get('targetId');
+  const milestoneId = searchParams.get('milestoneId');
   const currency = searchParams.get('currency') || 'PKR';
 
   const [formData, setFormData] = useState({
@@ -52,6 +59,13 @@ const PaymentMock = () => {
     }
   }, [user, navigate]);
 
+  // Wallet top-ups always target the signed-in user's own wallet
+  useEffect(() => {
+    if (formData.targetType === 'wallet' && user && formData.targetId !== user.uid) {
+      setFormData((prev) => ({ ...prev, targetId: user.uid }));
+    }
+  }, [formData.targetType, formData.targetId, user]);
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
@@ -95,7 +109,7 @@ const PaymentMock = () => {
     return Object.keys(newErrors).length === 0;
   };
 
-  const simulatePayment = async () => {
+  const processPayment = async () => {
     if (!validateForm()) {
       toast.error('Please fix the errors in the form');
       return;
@@ -103,49 +117,35 @@ const PaymentMock = () => {
 
     setProcessing(true);
     setPaymentStatus('processing');
+    setFailureReason(null);
 
     try {
-      // Create pending transaction
-      const txId = await transactionService.create(
-        user.uid,
-        formData.targetType,
-        formData.targetId,
-        Number(formData.amount),
-        formData.currency,
-        'pending'
-      );
-
-      setTransactionId(txId);
-
-      // Simulate payment processing delay (2-4 seconds)
-      const delay = 2000 + Math.random() * 2000;
-      await new Promise((resolve) => setTimeout(resolve, delay));
-
-      // Determine success/failure
-      let success;
-      if (manualMode) {
-        success = manualSuccess;
-      } else {
-        // 80% success rate for random mode
-        success = Math.random() > 0.2;
-      }
-
-      if (success) {
-        // Update transaction to success
-        await transactionService.updateStatus(txId, 'success');
-
-        // Update related request status
-        await transactionService.updateRequestStatusOnPayment(
-          formData.targetType,
-          formData.targetId
-        );
-
+      // Server creates the pending transaction and the gateway intent
+      const intent = await paymentService.createIntent({
+        targetType: formData.targetType,
+        targetId: formData.targetId,
+        milestoneId,
+        amount: Number(formData.amount),
+        currency: formData.currency,
+      });
+      setTransactionId(intent.transactionId);
+
+      await paymentService.confirm(intent.transactionId, {
+        number: formData.cardNumber,
+        name: formData.cardName,
+        expiry: formData.expiryDate,
+        cvc: formData.cvv,
+      });
+
+      // The gateway callback settles the transaction and updates the paid request/wallet
+      const transaction = await paymentService.waitForSettlement(intent.transactionId);
+
+      if (transaction.status === 'success') {
         setPaymentStatus('success');
         setShowSuccessModal(true);
         toast.success('Payment processed successfully!');
       } else {
-        // Update transaction to failed
-        await transactionService.updateStatus(txId, 'failed');
+        setFailureReason(transaction.failureReason || null);
         setPaymentStatus('failed');
         setShowFailedModal(true);
         toast.error('Payment failed. Please try again.');
@@ -164,6 +164,7 @@ const PaymentMock = () => {
     setPaymentStatus(null);
     setShowFailedModal(false);
     setTransactionId(null);
+    setFailureReason(null);
   };
 
   const handleSuccessClose = () => {
@@ -185,43 +186,30 @@ const PaymentMock = () => {
         <div className="mb-8">
           <h1 className="text-3xl font-display font-bold text-textMain mb-2">Mock Payment</h1>
           <p className="text-lg text-textSecondary">
-            Simulate a payment transaction for testing purposes
+            Test a payment against the configured payment gateway
           </p>
         </div>
 
         <div className="bg-surface rounded-lg shadow-lg p-6 sm:p-8">
-          {/* Payment Mode Toggle */}
+          {/* Test Cards */}
           <div className="mb-6 p-4 bg-background rounded-lg">
-            <div className="flex items-center justify-between mb-3">
-              <label className="flex items-center gap-2 cursor-pointer">
-                <input
-                  type="checkbox"
-                  checked={manualMode}
-                  onChange={(e) => setManualMode(e.target.checked)}
-                  className="w-4 h-4 text-primary border-muted rounded focus:ring-primary"
-                />
-                <span className="text-sm font-medium text-textMain">Manual Mode</span>
-              </label>
-            </div>
-            {manualMode && (
-              <div className="mt-3">
-                <label className="flex items-center gap-2 cursor-pointer">
-                  <input
-                    type="checkbox"
-                    checked={manualSuccess}
-                    onChange={(e) => setManualSuccess(e.target.checked)}
-                    className="w-4 h-4 text-primary border-muted rounded focus:ring-primary"
-                  />
-                  <span className="text-sm text-textMain">
-                    Force Success (uncheck for failure)
-                  </span>
-                </label>
-              </div>
-            )}
+            <p className="text-sm font-medium text-textMain mb-2 flex items-center gap-2">
+              <AlertCircle className="w-4 h-4" />
+              Test cards
+            </p>
+            <ul className="text-xs text-textSecondary space-y-1">
+              <li>
+                <code>4242 4242 4242 4242</code> - payment succeeds
+              </li>
+              <li>
+                <code>4000 0000 0000 0002</code> - card declined
+              </li>
+              <li>
+                <code>4000 0000 0000 9995</code> - insufficient funds
+              </li>
+            </ul>
             <p className="text-xs text-textSecondary mt-2">
-              {manualMode
-                ? 'Manual mode: You control success/failure'
-                : 'Random mode: 80% success rate'}
+              Any expiry date and CVV are accepted.
             </p>
           </div>
 
@@ -242,14 +230,14 @@ const PaymentMock = () => {
                   min="0"
                   step="0.01"
                   error={errors.amount}
-                  disabled={processing}
+                  disabled={processing || !!milestoneId}
                   className="flex-1"
                 />
                 <select
                   name="currency"
                   value={formData.currency}
                   onChange={handleChange}
-                  disabled={processing}
+                  disabled={processing || !!milestoneId}
                   className="ml-2 px-4 py-2 border border-muted rounded-lg focus:ring-2 focus:ring-primary focus:border-primary"
                 >
                   <option value="PKR">PKR</option>
@@ -257,6 +245,11 @@ const PaymentMock = () => {
                   <option value="EUR">EUR</option>
                 </select>
               </div>
+              {milestoneId && (
+                <p className="mt-1 text-xs text-textSecondary">
+                  Milestone payment - the amount is set by the approved milestone.
+                </p>
+              )}
             </div>
 
             <div className="grid grid-cols-2 gap-4">
@@ -279,6 +272,7 @@ const PaymentMock = () => {
                   <option value="rental">Rental</option>
                   <option value="buySell">Buy/Sell</option>
                   <option value="property">Property</option>
+                  <option value="wallet">Wallet Top-up</option>
                 </select>
                 {errors.targetType && (
                   <p className="mt-1 text-sm text-error">{errors.targetType}</p>
@@ -296,7 +290,7 @@ const PaymentMock = () => {
                   onChange={handleChange}
                   placeholder="Request/Property ID"
                   error={errors.targetId}
-                  disabled={processing || !!targetId}
+                  disabled={processing || !!targetId || formData.targetType === 'wallet'}
                 />
               </div>
             </div>
@@ -379,7 +373,9 @@ const PaymentMock = () => {
             {processing && (
               <div className="bg-primary border border-primary rounded-lg p-4 flex items-center gap-3">
                 <Loader className="w-5 h-5 text-primary animate-spin" />
-                <p className="text-primary font-medium">Processing payment...</p>
+                <p className="text-primary font-medium">
+                  {transactionId ? 'Waiting for payment confirmation...' : 'Processing payment...'}
+                </p>
               </div>
             )}
 
@@ -395,7 +391,7 @@ const PaymentMock = () => {
                 Cancel
               </Button>
               <Button
-                onClick={simulatePayment}
+                onClick={processPayment}
                 disabled={processing}
                 loading={processing}
                 className="flex-1 bg-primary hover:bg-primary text-white"
@@ -433,7 +429,9 @@ const PaymentMock = () => {
             </p>
           )}
           <p className="text-sm text-textSecondary">
-            The related request has been updated to reflect the payment.
+            {formData.targetType === 'wallet'
+              ? 'The amount has been added to your wallet balance.'
+              : 'The related request has been updated to reflect the payment.'}
           </p>
           <Button onClick={handleSuccessClose} className="w-full">
             Go to My Account
@@ -455,7 +453,8 @@ const PaymentMock = () => {
             </div>
           </div>
           <p className="text-textMain">
-            Your payment could not be processed. Please check your payment details and try again.
+            {FAILURE_MESSAGES[failureReason] || 'Your payment could not be processed.'} Please check
+            your payment details and try again.
           </p>
           {transactionId && (
             <p className="text-sm text-textSecondary">
@@ -11,6 +11,7 @@ import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Button from '../components/common/Button';
 import ReviewsAndRatings from './ReviewsAndRatings';
+import RatingSummary from '../components/reviews/RatingSummary';
 import PropertyCard from '../components/property/PropertyCard';
 import Modal from '../components/common/Modal';
 import Input from '../components/common/Input';
@@ -75,6 +76,7 @@ const PropertyDetailPage = () => {
           try {
             const similar = await propertyService.getAll(
               {
+                status: 'published',
                 type: propertyData.type,
                 city: propertyData.address?.city,
               },
@@ -567,7 +569,12 @@ const PropertyDetailPage = () => {
                           }
                           try {
                             const { findOrCreateConversation } = await import('../utils/chatHelpers');
-                            const chatId = await findOrCreateConversation(user.uid, property.ownerId);
+                            const chatId = await findOrCreateConversation(user.uid, property.ownerId, {
+                              type: 'property',
+                              id,
+                              title: property.title,
+                              clientId: user.uid,
+                            });
                             navigate(`/chat?chatId=${chatId}`);
                           } catch (error) {
                             console.error('Error creating chat:', error);
@@ -649,6 +656,7 @@ const PropertyDetailPage = () => {
         {/* Reviews & Ratings Section */}
         {id && (
           <div className="mt-12">
+            <RatingSummary targetId={id} targetType="property" />
             <ReviewsAndRatings key={id} targetId={id} targetType="property" />
           </div>
         )}
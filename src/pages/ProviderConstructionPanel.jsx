@@ -5,16 +5,16 @@ import {
   query,
   where,
   onSnapshot,
-  updateDoc,
   doc,
   getDoc,
-  serverTimestamp,
 } from 'firebase/firestore';
 import { db, auth } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import { Building2, Calendar, DollarSign, MapPin, User, FileText, AlertCircle } from 'lucide-react';
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
+import { updateProjectStatus } from '../utils/projectUpdates';
+import { getAllowedTransitions, normalizeStatus } from '../utils/projectStatus';
 import toast from 'react-hot-toast';
 
 /**
@@ -348,30 +348,18 @@ const ProviderConstructionPanel = () => {
 
   /**
    * Get available status options based on current status
-   * Status flow: Pending → In Progress → Completed
+   * Current status first, then the transitions the status state machine allows a provider
    * @param {string} currentStatus - Current project status
    * @returns {Array<string>} - Available status options
    */
   const getAvailableStatuses = (currentStatus) => {
-    const status = currentStatus?.toLowerCase();
-
-    switch (status) {
-      case 'pending':
-        return ['Pending', 'In Progress'];
-      case 'in progress':
-      case 'inprogress':
-        return ['In Progress', 'Completed'];
-      case 'completed':
-        return ['Completed'];
-      default:
-        return ['Pending', 'In Progress', 'Completed'];
-    }
+    const status = normalizeStatus(currentStatus) || 'Pending';
+    return [status, ...getAllowedTransitions('constructionProjects', status, 'provider')];
   };
 
   /**
    * Handle status update
-   * Updates the project document in Firestore with new status and updatedAt timestamp
-   * Uses updateDoc() and serverTimestamp()
+   * Goes through updateProjectStatus(), which checks the transition and logs it in projectUpdates
    * @param {string} projectId - Project document ID
    * @param {string} newStatus - New status value
    */
@@ -379,11 +367,9 @@ const ProviderConstructionPanel = () => {
     try {
       setUpdatingStatus((prev) => ({ ...prev, [projectId]: true }));
 
-      // Update project document in Firestore
-      const projectRef = doc(db, 'constructionProjects', projectId);
-      await updateDoc(projectRef, {
-        status: newStatus,
-        updatedAt: serverTimestamp(),
+      await updateProjectStatus('constructionProjects', projectId, newStatus, {
+        role: 'provider',
+        updatedBy: currentUser.uid,
       });
 
       // Show success toast confirming update
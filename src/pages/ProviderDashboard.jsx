@@ -22,6 +22,7 @@ import { collection, query, where, getDocs, orderBy, limit } from 'firebase/fire
 import { db } from '../firebase';
 import { updateDocById } from '../firebase/firestoreFunctions';
 import reviewsService from '../services/reviewsService';
+import { PUBLIC_MODERATION_STATUSES } from '../utils/reviewModeration';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Button from '../components/common/Button';
@@ -216,6 +217,7 @@ const ProviderDashboard = () => {
       const reviewsQuery = query(
         collection(db, 'reviews'),
         where('targetId', '==', currentUser.uid),
+        where('moderationStatus', 'in', PUBLIC_MODERATION_STATUSES),
         orderBy('createdAt', 'desc'),
         limit(5)
       );
@@ -233,6 +235,7 @@ const ProviderDashboard = () => {
           const fallbackQuery = query(
             collection(db, 'reviews'),
             where('targetId', '==', currentUser.uid),
+            where('moderationStatus', 'in', PUBLIC_MODERATION_STATUSES),
             limit(10)
           );
           const fallbackSnapshot = await getDocs(fallbackQuery);
@@ -5,15 +5,14 @@ import {
   query,
   where,
   onSnapshot,
-  updateDoc,
   doc,
   getDoc,
-  addDoc,
-  serverTimestamp,
 } from 'firebase/firestore';
 import { db, auth } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import notificationService from '../services/notificationService';
+import { updateProjectStatus } from '../utils/projectUpdates';
+import { getAllowedTransitions, normalizeStatus } from '../utils/projectStatus';
 import {
   Wrench,
   Calendar,
@@ -367,31 +366,22 @@ const ProviderRenovationPanel = () => {
 
   /**
    * Get available status options based on current status
-   * Status flow: Pending → In Progress → Completed
+   * Current status first, then the transitions the status state machine allows a provider
+   * (accept/reject have their own buttons)
    * @param {string} currentStatus - Current project status
    * @returns {Array<string>} - Available status options
    */
   const getAvailableStatuses = (currentStatus) => {
-    const status = currentStatus?.toLowerCase();
-
-    switch (status) {
-      case 'pending':
-      case 'assigned':
-        return ['Pending', 'In Progress'];
-      case 'in progress':
-      case 'inprogress':
-        return ['In Progress', 'Completed'];
-      case 'completed':
-        return ['Completed'];
-      default:
-        return ['Pending', 'In Progress', 'Completed'];
-    }
+    const status = normalizeStatus(currentStatus) || 'Pending';
+    const transitions = getAllowedTransitions('renovationProjects', status, 'provider').filter(
+      (next) => next !== 'Accepted' && next !== 'Rejected'
+    );
+    return [status, ...transitions];
   };
 
   /**
    * Handle accepting a renovation request
-   * Sets providerId to currentUser.uid and status to "In Progress"
-   * Uses updateDoc() with serverTimestamp()
+   * Sets providerId to currentUser.uid and status to "Accepted"
    * @param {string} projectId - Project document ID
    */
   const handleAcceptRequest = async (projectId) => {
@@ -402,21 +392,12 @@ const ProviderRenovationPanel = () => {
     try {
       setAcceptingId(projectId);
 
-      // Update project document in Firestore
       const projectRef = doc(db, 'renovationProjects', projectId);
-      await updateDoc(projectRef, {
-        providerId: currentUser.uid,
-        status: 'Accepted',
-        updatedAt: serverTimestamp(),
-      });
-
-      // Create project update
-      const updatesRef = collection(db, 'renovationProjects', projectId, 'projectUpdates');
-      await addDoc(updatesRef, {
-        status: 'Accepted',
+      await updateProjectStatus('renovationProjects', projectId, 'Accepted', {
+        role: 'provider',
         updatedBy: currentUser.uid,
         note: 'Request accepted by provider',
-        createdAt: serverTimestamp(),
+        extraFields: { providerId: currentUser.uid },
       });
 
       // Get project to find client
@@ -452,7 +433,6 @@ const ProviderRenovationPanel = () => {
   /**
    * Handle rejecting a renovation request
    * Sets status to "Rejected" (providerId remains unset)
-   * Uses updateDoc() with serverTimestamp()
    * @param {string} projectId - Project document ID
    */
   const handleRejectRequest = async (projectId) => {
@@ -463,20 +443,11 @@ const ProviderRenovationPanel = () => {
     try {
       setRejectingId(projectId);
 
-      // Update project document in Firestore
       const projectRef = doc(db, 'renovationProjects', projectId);
-      await updateDoc(projectRef, {
-        status: 'Rejected',
-        updatedAt: serverTimestamp(),
-      });
-
-      // Create project update
-      const updatesRef = collection(db, 'renovationProjects', projectId, 'projectUpdates');
-      await addDoc(updatesRef, {
-        status: 'Rejected',
+      await updateProjectStatus('renovationProjects', projectId, 'Rejected', {
+        role: 'provider',
         updatedBy: currentUser.uid,
         note: 'Request rejected by provider',
-        createdAt: serverTimestamp(),
       });
 
       // Get project to find client
@@ -511,8 +482,7 @@ const ProviderRenovationPanel = () => {
 
   /**
    * Handle status update
-   * Updates the project document in Firestore with new status and updatedAt timestamp
-   * Uses updateDoc() and serverTimestamp()
+   * Goes through updateProjectStatus(), which checks the transition and logs it in projectUpdates
    * @param {string} projectId - Project document ID
    * @param {string} newStatus - New status value
    */
@@ -520,20 +490,11 @@ const ProviderRenovationPanel = () => {
     try {
       setUpdatingStatus((prev) => ({ ...prev, [projectId]: true }));
 
-      // Update project document in Firestore
       const projectRef = doc(db, 'renovationProjects', projectId);
-      await updateDoc(projectRef, {
-        status: newStatus,
-        updatedAt: serverTimestamp(),
-      });
-
-      // Create project update
-      const updatesRef = collection(db, 'renovationProjects', projectId, 'projectUpdates');
-      await addDoc(updatesRef, {
-        status: newStatus,
+      await updateProjectStatus('renovationProjects', projectId, newStatus, {
+        role: 'provider',
         updatedBy: currentUser.uid,
         note: `Status updated to ${newStatus}`,
-        createdAt: serverTimestamp(),
       });
 
       // Get project to find client
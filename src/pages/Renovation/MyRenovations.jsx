@@ -113,7 +113,12 @@ const MyRenovations = () => {
     }
 
     try {
-      const chatId = await findOrCreateConversation(currentUser.uid, request.providerId);
+      const chatId = await findOrCreateConversation(currentUser.uid, request.providerId, {
+        type: 'renovation',
+        id: request.id,
+        title: request.serviceCategory || 'Renovation Project',
+        clientId: currentUser.uid,
+      });
       navigate(`/chat?chatId=${chatId}`);
     } catch (error) {
       console.error('Error starting chat:', error);
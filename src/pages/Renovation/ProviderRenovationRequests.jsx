@@ -15,6 +15,8 @@ import {
 import { db } from '../../firebase';
 import notificationService from '../../services/notificationService';
 import { findOrCreateConversation } from '../../utils/chatHelpers';
+import { updateProjectStatus } from '../../utils/projectUpdates';
+import { normalizeStatus } from '../../utils/projectStatus';
 import reviewsService from '../../services/reviewsService';
 import {
   Wrench,
@@ -214,70 +216,43 @@ const ProviderRenovationRequests = () => {
 
     setProcessing(true);
     try {
-      const requestRef = doc(db, 'renovationProjects', actionModal.request.id);
-      
       if (actionModal.action === 'accept') {
-        // Accept request - assign provider and update status
-        await updateDoc(requestRef, {
-          providerId: currentUser.uid,
-          status: 'Accepted',
-          updatedAt: serverTimestamp(),
-          acceptedAt: serverTimestamp(),
+        // Accept request - assign provider and update status (logged in projectUpdates)
+        await updateProjectStatus('renovationProjects', actionModal.request.id, 'Accepted', {
+          role: 'provider',
+          updatedBy: currentUser.uid,
+          note: 'Provider accepted the request',
+          extraFields: { providerId: currentUser.uid, acceptedAt: serverTimestamp() },
         });
 
-        // Add update log
-        try {
-          const { addProjectUpdate } = await import('../../utils/projectUpdates');
-          await addProjectUpdate(
-            'renovationProjects',
-            actionModal.request.id,
-            'Accepted',
-            currentUser.uid,
-            'Provider accepted the request'
-          );
-        } catch (updateError) {
-          console.error('Error adding update log:', updateError);
-        }
-
         // Notify client
         await notificationService.create(
           actionModal.request.userId || actionModal.request.clientId,
           'Renovation Request Accepted',
           `Your renovation request has been accepted by a provider.`,
           'success',
-          `/renovation/my-renovations/${actionModal.request.id}`
+          `/renovation/my-renovations/${actionModal.request.id}`,
+          'projectStatus'
         );
 
         toast.success('Request accepted successfully!');
       } else if (actionModal.action === 'reject') {
         // Reject request - just update status (don't assign provider)
-        await updateDoc(requestRef, {
-          status: 'Rejected',
-          updatedAt: serverTimestamp(),
-          rejectedAt: serverTimestamp(),
+        await updateProjectStatus('renovationProjects', actionModal.request.id, 'Rejected', {
+          role: 'provider',
+          updatedBy: currentUser.uid,
+          note: 'Provider declined the request',
+          extraFields: { rejectedAt: serverTimestamp() },
         });
 
-        // Add update log
-        try {
-          const { addProjectUpdate } = await import('../../utils/projectUpdates');
-          await addProjectUpdate(
-            'renovationProjects',
-            actionModal.request.id,
-            'Rejected',
-            currentUser.uid,
-            'Provider declined the request'
-          );
-        } catch (updateError) {
-          console.error('Error adding update log:', updateError);
-        }
-
         // Notify client
         await notificationService.create(
           actionModal.request.userId || actionModal.request.clientId,
           'Renovation Request Update',
           `A provider has declined your renovation request.`,
           'info',
-          `/renovation/my-renovations/${actionModal.request.id}`
+          `/renovation/my-renovations/${actionModal.request.id}`,
+          'projectStatus'
         );
 
         toast.success('Request declined');
@@ -286,7 +261,7 @@ const ProviderRenovationRequests = () => {
       setActionModal({ isOpen: false, request: null, action: '' });
     } catch (error) {
       console.error('Error processing request:', error);
-      toast.error('Failed to process request');
+      toast.error(error.message || 'Failed to process request');
     } finally {
       setProcessing(false);
     }
@@ -314,7 +289,8 @@ const ProviderRenovationRequests = () => {
         'Quote Received',
         `A provider has submitted a quote for your renovation request: $${parseFloat(quoteAmount).toFixed(2)}`,
         'info',
-        `/renovation/my-renovations/${quoteModal.request.id}`
+        `/renovation/my-renovations/${quoteModal.request.id}`,
+        'projectStatus'
       );
 
       toast.success('Quote submitted successfully!');
@@ -337,18 +313,26 @@ const ProviderRenovationRequests = () => {
     setProcessing(true);
     try {
       const requestRef = doc(db, 'renovationProjects', progressModal.request.id);
-      const newStatus = progressModal.request.status === 'Accepted' ? 'In Progress' : progressModal.request.status;
-      
-      await updateDoc(requestRef, {
-        status: newStatus,
-        progressNotes: [...(progressModal.request.progressNotes || []), {
-          note: progressNote.trim(),
+      const progressNotes = [...(progressModal.request.progressNotes || []), {
+        note: progressNote.trim(),
+        updatedBy: currentUser.uid,
+        updatedAt: serverTimestamp(),
+      }];
+
+      // The first progress update on an accepted project starts the work
+      if (normalizeStatus(progressModal.request.status) === 'Accepted') {
+        await updateProjectStatus('renovationProjects', progressModal.request.id, 'In Progress', {
+          role: 'provider',
           updatedBy: currentUser.uid,
+          note: progressNote.trim(),
+          extraFields: { progressNotes, inProgressAt: serverTimestamp() },
+        });
+      } else {
+        await updateDoc(requestRef, {
+          progressNotes,
           updatedAt: serverTimestamp(),
-        }],
-        updatedAt: serverTimestamp(),
-        inProgressAt: progressModal.request.status === 'Accepted' ? serverTimestamp() : progressModal.request.inProgressAt,
-      });
+        });
+      }
 
       // Notify client
       await notificationService.create(
@@ -356,7 +340,8 @@ const ProviderRenovationRequests = () => {
         'Progress Update',
         `Your renovation project has been updated: ${progressNote.trim().substring(0, 50)}...`,
         'info',
-        `/renovation/my-renovations/${progressModal.request.id}`
+        `/renovation/my-renovations/${progressModal.request.id}`,
+        'projectStatus'
       );
 
       toast.success('Progress updated successfully!');
@@ -364,7 +349,7 @@ const ProviderRenovationRequests = () => {
       setProgressNote('');
     } catch (error) {
       console.error('Error updating progress:', error);
-      toast.error('Failed to update progress');
+      toast.error(error.message || 'Failed to update progress');
     } finally {
       setProcessing(false);
     }
@@ -375,11 +360,11 @@ const ProviderRenovationRequests = () => {
 
     setProcessing(true);
     try {
-      const requestRef = doc(db, 'renovationProjects', request.id);
-      await updateDoc(requestRef, {
-        status: 'Completed',
-        completedAt: serverTimestamp(),
-        updatedAt: serverTimestamp(),
+      await updateProjectStatus('renovationProjects', request.id, 'Completed', {
+        role: 'provider',
+        updatedBy: currentUser.uid,
+        note: 'Project marked as completed',
+        extraFields: { completedAt: serverTimestamp() },
       });
 
       // Notify client
@@ -388,13 +373,14 @@ const ProviderRenovationRequests = () => {
         'Project Completed',
         `Your renovation project has been marked as completed!`,
         'success',
-        `/renovation/my-renovations/${request.id}`
+        `/renovation/my-renovations/${request.id}`,
+        'projectStatus'
       );
 
       toast.success('Project marked as completed!');
     } catch (error) {
       console.error('Error marking project as completed:', error);
-      toast.error('Failed to mark project as completed');
+      toast.error(error.message || 'Failed to mark project as completed');
     } finally {
       setProcessing(false);
     }
@@ -408,7 +394,12 @@ const ProviderRenovationRequests = () => {
     }
 
     try {
-      const chatId = await findOrCreateConversation(currentUser.uid, clientId);
+      const chatId = await findOrCreateConversation(currentUser.uid, clientId, {
+        type: 'renovation',
+        id: request.id,
+        title: request.serviceCategory || 'Renovation Project',
+        clientId,
+      });
       navigate(`/chat?chatId=${chatId}`);
     } catch (error) {
       console.error('Error starting chat:', error);
@@ -212,7 +212,8 @@ const RequestRenovation = () => {
           'Renovation Request Submitted',
           `Your renovation request has been submitted. Providers will review it soon.`,
           'success',
-          `/renovation/my-renovations/${projectId}`
+          `/renovation/my-renovations/${projectId}`,
+          'projectStatus'
         ).catch((err) => console.error('Error sending user notification:', err)),
 
         // Notify providers - run in parallel (fire and forget)
@@ -231,7 +232,8 @@ const RequestRenovation = () => {
                 'New Renovation Request',
                 `A new renovation project request has been submitted: ${formData.serviceCategory}`,
                 'service-request',
-                `/renovation/provider-requests/${projectId}`
+                `/renovation/provider-requests/${projectId}`,
+                'projectStatus'
               ).catch((err) => console.error(`Error notifying provider ${providerId}:`, err));
             });
 
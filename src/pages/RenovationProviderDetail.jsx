@@ -6,6 +6,8 @@ import { Star, Phone, Mail, MapPin, ArrowLeft, Wrench, AlertCircle, MessageSquar
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import ReviewsAndRatings from './ReviewsAndRatings';
+import RatingSummary from '../components/reviews/RatingSummary';
+import ClientPhotos from '../components/reviews/ClientPhotos';
 import toast from 'react-hot-toast';
 import { motion } from 'framer-motion';
 import { formatAddress, safeText } from '../utils/formatHelpers';
@@ -509,6 +511,8 @@ const RenovationProviderDetail = () => {
         {/* Reviews & Ratings Section */}
         {id && (
           <div className="mt-8">
+            <RatingSummary targetId={id} targetType="renovation" />
+            <ClientPhotos targetId={id} targetType="renovation" />
             <ReviewsAndRatings key={id} targetId={id} targetType="renovation" />
           </div>
         )}
@@ -10,6 +10,7 @@ import { MapPin, DollarSign, Home, FileText, Image as ImageIcon, X, Upload } fro
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
 import LocationPicker from '../../components/maps/LocationPicker';
+import AvailabilityManager from '../../components/rental/AvailabilityManager';
 import toast from 'react-hot-toast';
 
 const AddRental = () => {
@@ -638,6 +639,18 @@ const AddRental = () => {
               </div>
             </div>
 
+            {/* Availability */}
+            <div>
+              <h2 className="text-xl font-semibold text-textMain mb-4">Availability</h2>
+              {isEditMode ? (
+                <AvailabilityManager propertyId={id} />
+              ) : (
+                <p className="text-sm text-textSecondary">
+                  Once your rental is listed you can block dates here or from My Rentals.
+                </p>
+              )}
+            </div>
+
             {/* Submit Button */}
             <div className="flex justify-end space-x-4 pt-4">
               <Button
@@ -5,6 +5,9 @@ import propertyService from '../../services/propertyService';
 import rentalRequestService from '../../services/rentalRequestService';
 import notificationService from '../../services/notificationService';
 import transactionService from '../../services/transactionService';
+import walletService from '../../services/walletService';
+import availabilityService, { findConflict } from '../../services/availabilityService';
+import AvailabilityCalendar from '../../components/rental/AvailabilityCalendar';
 import { Calendar, DollarSign, MapPin, Home, Bed, Bath, Square, Car, CheckCircle, XCircle, ArrowLeft } from 'lucide-react';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
@@ -14,7 +17,7 @@ import toast from 'react-hot-toast';
 const BookRental = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { currentUser, userProfile } = useAuth();
+  const { currentUser } = useAuth();
 
   const [loading, setLoading] = useState(true);
   const [submitting, setSubmitting] = useState(false);
@@ -27,13 +30,15 @@ const BookRental = () => {
   const [errors, setErrors] = useState({});
   const [walletBalance, setWalletBalance] = useState(0);
   const [useWallet, setUseWallet] = useState(false);
+  const [availability, setAvailability] = useState(null);
 
   useEffect(() => {
     if (id) {
       loadProperty();
+      loadAvailability();
       loadWalletBalance();
     }
-  }, [id]);
+  }, [id, currentUser?.uid]);
 
   const loadProperty = async () => {
     try {
@@ -62,14 +67,19 @@ const BookRental = () => {
     }
   };
 
+  const loadAvailability = async () => {
+    try {
+      setAvailability(await availabilityService.getAvailability(id));
+    } catch (error) {
+      // Booking still works; the overlap check runs again on submit and on approval
+      console.error('Error loading availability:', error);
+    }
+  };
+
   const loadWalletBalance = async () => {
+    if (!currentUser) return;
     try {
-      if (userProfile?.walletBalance !== undefined) {
-        setWalletBalance(userProfile.walletBalance);
-      } else {
-        // Try to get from user profile
-        setWalletBalance(0);
-      }
+      setWalletBalance(await walletService.getBalance(currentUser.uid));
     } catch (error) {
       console.error('Error loading wallet balance:', error);
     }
@@ -96,6 +106,14 @@ const BookRental = () => {
       const endDate = new Date(formData.endDate);
       if (endDate <= startDate) {
         newErrors.endDate = 'End date must be after start date';
+      } else if (availability) {
+        const conflict = findConflict(availability, {
+          startDate: formData.startDate,
+          endDate: formData.endDate,
+        });
+        if (conflict) {
+          newErrors.endDate = `These dates overlap a ${conflict.kind} period (${conflict.startDate} to ${conflict.endDate})`;
+        }
       }
     }
 
@@ -175,23 +193,31 @@ const BookRental = () => {
       }
 
       // Deduct from wallet if enabled
+      // Refunded automatically if the owner rejects or the booking is cancelled
       if (useWallet && walletBalance >= totalCost) {
+        let walletTransactionId = null;
         try {
-          await transactionService.create(
+          walletTransactionId = await transactionService.create(
             currentUser.uid,
             'rental',
             requestId,
             totalCost,
             'USD',
-            'pending'
+            'pending',
+            'wallet'
           );
-          
-          // Update wallet balance in user profile
-          // This would typically be done through a service
+          // Debits the wallet and marks the transaction successful
+          await walletService.pay(currentUser.uid, {
+            transactionId: walletTransactionId,
+            description: `Rental booking for "${property.title}"`,
+          });
           toast.success(`$${totalCost.toFixed(2)} deducted from wallet`);
         } catch (walletError) {
           console.error('Error processing wallet payment:', walletError);
-          toast.error('Failed to process wallet payment');
+          if (walletTransactionId) {
+            await transactionService.updateStatus(walletTransactionId, 'failed').catch(() => {});
+          }
+          toast.error(walletError.message || 'Failed to process wallet payment');
         }
       }
 
@@ -202,7 +228,8 @@ const BookRental = () => {
           'New Rental Request',
           `${currentUser.displayName || currentUser.email} has requested to rent "${property.title}"`,
           'service-request',
-          `/rental-requests/${requestId}`
+          `/rental-requests/${requestId}`,
+          'projectStatus'
         );
       } catch (notifError) {
         console.error('Error sending notification:', notifError);
@@ -321,6 +348,15 @@ const BookRental = () => {
               <h2 className="text-xl font-semibold text-textMain mb-4">Book This Property</h2>
 
               <form onSubmit={handleSubmit} className="space-y-4">
+                <AvailabilityCalendar
+                  availability={availability}
+                  selectedRange={
+                    formData.startDate && formData.endDate
+                      ? { startDate: formData.startDate, endDate: formData.endDate }
+                      : null
+                  }
+                />
+
                 <Input
                   label="Start Date"
                   type="date"
@@ -4,12 +4,13 @@ import { useAuth } from '../../context/AuthContext';
 import { collection, query, where, onSnapshot, deleteDoc, doc, updateDoc } from 'firebase/firestore';
 import { db } from '../../firebase';
 import propertyService from '../../services/propertyService';
-import { Plus, Edit2, Trash2, Eye, MapPin, DollarSign, Home, ToggleLeft, ToggleRight } from 'lucide-react';
+import { Plus, Edit2, Trash2, Eye, MapPin, DollarSign, Home, ToggleLeft, ToggleRight, CalendarDays } from 'lucide-react';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import { GridSkeleton, PropertyCardSkeleton } from '../../components/common/SkeletonLoader';
 import { EmptyProperties } from '../../components/common/EmptyState';
 import Modal from '../../components/common/Modal';
+import AvailabilityManager from '../../components/rental/AvailabilityManager';
 import toast from 'react-hot-toast';
 import { handleFirestoreError } from '../../utils/firestoreHelpers';
 
@@ -21,6 +22,7 @@ const MyRentals = () => {
   const [rentals, setRentals] = useState([]);
   const [deleteModal, setDeleteModal] = useState({ isOpen: false, rentalId: null, rentalTitle: '' });
   const [updating, setUpdating] = useState({});
+  const [calendarModal, setCalendarModal] = useState({ isOpen: false, rentalId: null, rentalTitle: '' });
 
   useEffect(() => {
     if (authLoading) return; // Wait for auth to finish loading
@@ -228,6 +230,19 @@ const MyRentals = () => {
                     </div>
 
                     <div className="flex items-center space-x-2">
+                      <button
+                        onClick={() =>
+                          setCalendarModal({
+                            isOpen: true,
+                            rentalId: rental.id,
+                            rentalTitle: rental.title,
+                          })
+                        }
+                        className="p-2 text-textSecondary hover:text-primary transition-colors"
+                        title="Availability"
+                      >
+                        <CalendarDays className="w-5 h-5" />
+                      </button>
                       <Link
                         to={`/rental/${rental.id}`}
                         className="p-2 text-textSecondary hover:text-primary transition-colors"
@@ -263,6 +278,15 @@ const MyRentals = () => {
           </div>
         )}
 
+        {/* Availability Calendar Modal */}
+        <Modal
+          isOpen={calendarModal.isOpen}
+          onClose={() => setCalendarModal({ isOpen: false, rentalId: null, rentalTitle: '' })}
+          title={`Availability - ${calendarModal.rentalTitle}`}
+        >
+          {calendarModal.rentalId && <AvailabilityManager propertyId={calendarModal.rentalId} />}
+        </Modal>
+
         {/* Delete Confirmation Modal */}
         <Modal
           isOpen={deleteModal.isOpen}
@@ -4,9 +4,12 @@ import { useAuth } from '../../context/AuthContext';
 import { doc, getDoc, onSnapshot } from 'firebase/firestore';
 import { db } from '../../firebase';
 import propertyService from '../../services/propertyService';
-import { Calendar, MapPin, DollarSign, Clock, CheckCircle, XCircle, AlertCircle, ArrowLeft, User } from 'lucide-react';
+import { Calendar, MapPin, DollarSign, Clock, CheckCircle, XCircle, AlertCircle, AlertTriangle, ArrowLeft, User, MessageSquare } from 'lucide-react';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
+import DisputeForm from '../../components/service/DisputeForm';
+import { canOpenDispute } from '../../utils/projectStatus';
+import { findOrCreateConversation } from '../../utils/chatHelpers';
 import toast from 'react-hot-toast';
 
 const ViewBooking = () => {
@@ -17,6 +20,8 @@ const ViewBooking = () => {
   const [loading, setLoading] = useState(true);
   const [booking, setBooking] = useState(null);
   const [property, setProperty] = useState(null);
+  const [showDisputeForm, setShowDisputeForm] = useState(false);
+  const [startingChat, setStartingChat] = useState(false);
 
   useEffect(() => {
     if (id) {
@@ -88,6 +93,25 @@ const ViewBooking = () => {
     });
   };
 
+  // Chat with the owner about this booking (separate from other chats with the same owner)
+  const handleMessageOwner = async () => {
+    try {
+      setStartingChat(true);
+      const chatId = await findOrCreateConversation(currentUser.uid, property.ownerId, {
+        type: 'rental',
+        id: booking.id,
+        title: property.title ? `Booking: ${property.title}` : 'Rental Request',
+        clientId: booking.userId || currentUser.uid,
+      });
+      navigate(`/chats?chatId=${chatId}`);
+    } catch (error) {
+      console.error('Error starting chat:', error);
+      toast.error('Failed to start chat');
+    } finally {
+      setStartingChat(false);
+    }
+  };
+
   const formatPrice = (price) => {
     if (!price) return 'N/A';
     return new Intl.NumberFormat('en-US', {
@@ -104,6 +128,7 @@ const ViewBooking = () => {
       Rejected: 'text-red-600 bg-red-100',
       Completed: 'text-primary bg-primary/20',
       Cancelled: 'text-gray-600 bg-gray-100',
+      Disputed: 'text-red-600 bg-red-100',
     };
     return statusMap[status] || 'text-gray-600 bg-gray-100';
   };
@@ -222,11 +247,32 @@ const ViewBooking = () => {
                 {booking.status}
               </span>
             </div>
-            <p className="text-sm text-textSecondary">
-              Request ID: {booking.id.slice(0, 8)}
-            </p>
+            <div className="text-right space-y-2">
+              <p className="text-sm text-textSecondary">
+                Request ID: {booking.id.slice(0, 8)}
+              </p>
+              {property?.ownerId && property.ownerId !== currentUser?.uid && (
+                <Button variant="outline" size="sm" onClick={handleMessageOwner} loading={startingChat} disabled={startingChat}>
+                  <MessageSquare className="w-4 h-4 mr-1" />
+                  Message Owner
+                </Button>
+              )}
+              {!booking.activeDisputeId && canOpenDispute('rentalRequests', booking.status) && (
+                <Button variant="outline" size="sm" onClick={() => setShowDisputeForm(true)}>
+                  <AlertTriangle className="w-4 h-4 mr-1" />
+                  Raise Dispute
+                </Button>
+              )}
+            </div>
           </div>
 
+          {booking.status === 'Disputed' && (
+            <div className="flex items-start gap-2 p-3 mb-4 rounded-base bg-red-50 text-red-800 text-sm">
+              <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+              <span>A dispute is open. Payments are on hold until an admin resolves it.</span>
+            </div>
+          )}
+
           {/* Property Info */}
           {property && (
             <div className="border-t border-muted pt-4 mt-4">
@@ -347,6 +393,13 @@ const ViewBooking = () => {
           </div>
         </div>
       </div>
+
+      <DisputeForm
+        isOpen={showDisputeForm}
+        onClose={() => setShowDisputeForm(false)}
+        targetType="rental"
+        targetId={booking.id}
+      />
     </div>
   );
 };
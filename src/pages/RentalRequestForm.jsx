@@ -63,7 +63,8 @@ const RentalRequestForm = ({ propertyId, propertyTitle, onSuccess, onCancel }) =
             'New Rental Request',
             `You have received a new rental request for "${propertyTitle || 'your property'}".`,
             'service-request',
-            `/properties/${propertyId}`
+            `/properties/${propertyId}`,
+            'projectStatus'
           );
         } catch (notifError) {
           console.error('Error notifying owner:', notifError);
@@ -83,7 +84,8 @@ const RentalRequestForm = ({ propertyId, propertyTitle, onSuccess, onCancel }) =
         'Rental Request Submitted',
         `Your rental request for "${propertyTitle || 'the property'}" has been submitted. The owner will review it soon.`,
         'service-request',
-        '/account'
+        '/account',
+        'projectStatus'
       );
     },
     onSuccess: () => {
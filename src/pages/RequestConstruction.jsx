@@ -4,6 +4,7 @@ import { collection, addDoc, getDocs, query, where, serverTimestamp } from 'fire
 import { db, auth } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import notificationService from '../services/notificationService';
+import quoteService from '../services/quoteService';
 import useSubmitForm from '../hooks/useSubmitForm';
 import { useSubmitSuccess } from '../hooks/useNotifyAndRedirect';
 import { Building2, DollarSign, Calendar, FileText, AlertCircle, CheckCircle } from 'lucide-react';
@@ -14,7 +15,8 @@ import toast from 'react-hot-toast';
 
 /**
  * RequestConstruction.jsx
- * Form to request construction service from a provider
+ * Form to request construction service from a provider, or to post an open job that every approved
+ * construction provider can quote on
  */
 const RequestConstruction = () => {
   const navigate = useNavigate();
@@ -23,6 +25,7 @@ const RequestConstruction = () => {
   const currentUser = auth?.currentUser || contextUser;
 
   const [formData, setFormData] = useState({
+    requestMode: searchParams.get('mode') === 'open' ? 'open' : 'direct',
     providerId: '',
     budget: '',
     timeline: '',
@@ -50,6 +53,17 @@ const RequestConstruction = () => {
     showSuccess,
   } = useSubmitForm('constructionProjects', {
     submitFunction: async (data, user) => {
+      if (data.requestMode === 'open') {
+        const jobRequestId = await quoteService.createJobRequest(user.uid, {
+          projectType: 'construction',
+          description: data.description,
+          budget: data.budget,
+          timeline: data.timeline,
+        });
+        handleSubmitSuccess();
+        return jobRequestId;
+      }
+
       const selectedProvider = providers.find((p) => p.id === data.providerId);
 
       const projectData = {
@@ -103,7 +117,10 @@ const RequestConstruction = () => {
     },
     successMessage: 'Construction request submitted successfully!',
     notificationTitle: 'Construction Request Submitted',
-    notificationMessage: 'Your construction request has been submitted successfully. The provider will review and respond soon.',
+    notificationMessage:
+      formData.requestMode === 'open'
+        ? 'Your construction job has been posted. Approved providers will send you quotes.'
+        : 'Your construction request has been submitted successfully. The provider will review and respond soon.',
     notificationType: 'service-request',
     redirectPath: null, // Handled by useSubmitSuccess
   });
@@ -164,7 +181,7 @@ const RequestConstruction = () => {
   const validateForm = () => {
     const newErrors = {};
 
-    if (!formData.providerId) {
+    if (formData.requestMode === 'direct' && !formData.providerId) {
       newErrors.providerId = 'Please select a provider';
     }
 
@@ -234,34 +251,66 @@ const RequestConstruction = () => {
 
         <div className="bg-surface rounded-base shadow-md p-6 sm:p-8">
           <form onSubmit={handleSubmit} className="space-y-6">
-            {/* Provider Selection */}
+            {/* Request Mode */}
             <div>
-              <label htmlFor="providerId" className="block text-sm font-medium text-textSecondary mb-2">
-                <Building2 className="w-4 h-4 inline mr-1" />
-                Select Provider <span className="text-error">*</span>
-              </label>
-              <select
-                id="providerId"
-                name="providerId"
-                value={formData.providerId}
-                onChange={handleChange}
-                className={`w-full px-4 py-2 border rounded-base focus:ring-2 focus:ring-primary focus:border-primary ${
-                  errors.providerId ? 'border-error' : 'border-muted'
-                }`}
-                disabled={loading}
-              >
-                <option value="">-- Select a provider --</option>
-                {providers.map((provider) => (
-                  <option key={provider.id} value={provider.id}>
-                    {provider.name} {provider.city ? `- ${provider.city}` : ''}
-                  </option>
+              <span className="block text-sm font-medium text-textSecondary mb-2">How do you want to hire?</span>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {[
+                  { value: 'direct', label: 'Choose a provider', hint: 'Send the request to one provider' },
+                  { value: 'open', label: 'Get quotes', hint: 'Approved providers send itemized quotes' },
+                ].map((option) => (
+                  <label
+                    key={option.value}
+                    className={`p-3 border rounded-base cursor-pointer ${
+                      formData.requestMode === option.value ? 'border-primary bg-primary/10' : 'border-muted'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="requestMode"
+                      value={option.value}
+                      checked={formData.requestMode === option.value}
+                      onChange={handleChange}
+                      className="mr-2"
+                      disabled={loading}
+                    />
+                    <span className="text-sm font-medium text-textMain">{option.label}</span>
+                    <p className="text-xs text-textSecondary mt-1 ml-5">{option.hint}</p>
+                  </label>
                 ))}
-              </select>
-              {errors.providerId && (
-                <p className="mt-1 text-sm text-error">{errors.providerId}</p>
-              )}
+              </div>
             </div>
 
+            {/* Provider Selection */}
+            {formData.requestMode === 'direct' && (
+              <div>
+                <label htmlFor="providerId" className="block text-sm font-medium text-textSecondary mb-2">
+                  <Building2 className="w-4 h-4 inline mr-1" />
+                  Select Provider <span className="text-error">*</span>
+                </label>
+                <select
+                  id="providerId"
+                  name="providerId"
+                  value={formData.providerId}
+                  onChange={handleChange}
+                  className={`w-full px-4 py-2 border rounded-base focus:ring-2 focus:ring-primary focus:border-primary ${
+                    errors.providerId ? 'border-error' : 'border-muted'
+                  }`}
+                  disabled={loading}
+                >
+                  <option value="">-- Select a provider --</option>
+                  {providers.map((provider) => (
+                    <option key={provider.id} value={provider.id}>
+                      {provider.name} {provider.city ? `- ${provider.city}` : ''}
+                    </option>
+                  ))}
+                </select>
+                {errors.providerId && (
+                  <p className="mt-1 text-sm text-error">{errors.providerId}</p>
+                )}
+              </div>
+            )}
+
             {/* Budget */}
             <div>
               <label htmlFor="budget" className="block text-sm font-medium text-textSecondary mb-2">
@@ -358,12 +407,16 @@ const RequestConstruction = () => {
           >
             <div className="space-y-4">
               <p className="text-textSecondary">
-                Are you sure you want to submit this construction request? The provider will be notified.
+                {formData.requestMode === 'open'
+                  ? `Are you sure you want to post this construction job? All approved construction providers will be invited to quote.`
+                  : 'Are you sure you want to submit this construction request? The provider will be notified.'}
               </p>
               <div className="bg-background p-4 rounded-lg">
                 <p className="text-sm text-textSecondary">
                   <strong>Provider:</strong>{' '}
-                  {providers.find((p) => p.id === formData.providerId)?.name || 'N/A'}
+                  {formData.requestMode === 'open'
+                    ? 'Open to all approved providers'
+                    : providers.find((p) => p.id === formData.providerId)?.name || 'N/A'}
                 </p>
                 <p className="text-sm text-textSecondary">
                   <strong>Budget:</strong>{' '}
@@ -401,7 +454,9 @@ const RequestConstruction = () => {
                 </div>
               </div>
               <p className="text-textSecondary">
-                Your construction request has been submitted successfully! The provider will review and respond soon.
+                {formData.requestMode === 'open'
+                  ? 'Your construction job has been posted! You will be notified as providers send quotes.'
+                  : 'Your construction request has been submitted successfully! The provider will review and respond soon.'}
               </p>
               <p className="text-sm text-textSecondary">
                 Redirecting to your account...
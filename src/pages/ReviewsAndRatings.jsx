@@ -11,18 +11,49 @@ import {
 import { auth, db } from '../firebase';
 import { useAuth } from '../context/AuthContext';
 import reviewsService from '../services/reviewsService';
-import { Star, MessageSquare, User, Calendar, AlertCircle, CheckCircle, Trash2 } from 'lucide-react';
+import {
+  Star,
+  MessageSquare,
+  User,
+  Calendar,
+  AlertCircle,
+  CheckCircle,
+  Trash2,
+  BadgeCheck,
+  Pencil,
+  History,
+  Flag,
+  EyeOff,
+} from 'lucide-react';
 import Button from '../components/common/Button';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import toast from 'react-hot-toast';
 import { motion } from 'framer-motion';
 import Modal from '../components/common/Modal';
+import ReviewResponse from '../components/reviews/ReviewResponse';
+import ReviewHistory from '../components/reviews/ReviewHistory';
+import CategoryRatingsInput from '../components/reviews/CategoryRatingsInput';
+import ReviewPhotosInput from '../components/reviews/ReviewPhotosInput';
+import ReviewPhotoGallery from '../components/reviews/ReviewPhotoGallery';
+import ReportReviewModal from '../components/reviews/ReportReviewModal';
+import { getRatingCategories } from '../utils/reviewRatings';
+import {
+  MODERATION_STATUSES,
+  PUBLIC_MODERATION_STATUSES,
+  isReviewVisible,
+} from '../utils/reviewModeration';
 
 /**
  * ReviewsAndRatings Component
  *
  * Implements the Reviews & Ratings module for Aptify.
  * Supports: Properties, Construction Providers, Renovation Providers
+ * Only clients with a completed project/booking can review (one review per project, marked
+ * verified); the provider/owner can respond publicly and admins can see a review's edit history.
+ * Other users can report a review; reviews held for moderation are only shown to their author
+ * and to admins.
+ * The rating summary (average, histogram, category averages) is shown by RatingSummary on the
+ * detail pages.
  *
  * @param {string} targetId - The ID of the property or service provider being reviewed
  * @param {string} targetType - 'property', 'construction', or 'renovation'
@@ -39,16 +70,32 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
   const [hasReviewed, setHasReviewed] = useState(false);
+  const [ownReview, setOwnReview] = useState(null);
   const [checkingReview, setCheckingReview] = useState(true);
   const [deletingReviewId, setDeletingReviewId] = useState(null);
   const [showDeleteModal, setShowDeleteModal] = useState(false);
   const [reviewToDelete, setReviewToDelete] = useState(null);
+  const [reviewableProjects, setReviewableProjects] = useState([]);
+  const [isTargetOwner, setIsTargetOwner] = useState(false);
+  const [editingReview, setEditingReview] = useState(null);
+  const [historyReview, setHistoryReview] = useState(null);
+  const [reportReview, setReportReview] = useState(null);
+  const [reportedIds, setReportedIds] = useState([]);
+
+  // Reviews of providers are stored as 'provider'; older ones may still use 'construction'/'renovation'
+  const storedTargetTypes =
+    targetType === 'construction' || targetType === 'renovation' ? ['provider', targetType] : [targetType];
 
   // Form state
   const [formData, setFormData] = useState({
     rating: 0,
+    categoryRatings: {},
     comment: '',
+    photos: [],
+    projectId: '',
   });
+  const ratingCategories = getRatingCategories(targetType);
+  const hasAllCategoryRatings = ratingCategories.every(({ id }) => formData.categoryRatings[id] > 0);
   const [hoveredRating, setHoveredRating] = useState(0);
 
   /**
@@ -76,33 +123,53 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
   };
 
   /**
-   * Check if current user has already reviewed this item
+   * Check which completed projects the current user can still review, whether they reviewed
+   * this item before, and whether they own it (and may respond to reviews)
    */
-  useEffect(() => {
-    const checkExistingReview = async () => {
-      if (!currentUser || !targetId) {
-        setCheckingReview(false);
-        return;
-      }
+  const checkEligibility = async () => {
+    if (!currentUser || !targetId) {
+      setCheckingReview(false);
+      return;
+    }
 
-      try {
-        const existingReview = await reviewsService.getUserReview(
-          currentUser.uid,
-          targetId,
-          targetType
-        );
-        setHasReviewed(!!existingReview);
-      } catch (error) {
-        console.error('Error checking existing review:', error);
-        setHasReviewed(false);
-      } finally {
-        setCheckingReview(false);
-      }
-    };
+    try {
+      const [existingReview, projects, owner] = await Promise.all([
+        reviewsService.getUserReview(currentUser.uid, targetId, targetType),
+        reviewsService.getReviewableProjects(currentUser.uid, targetId, targetType),
+        reviewsService.isTargetOwner(currentUser.uid, targetId, targetType),
+      ]);
+      setHasReviewed(!!existingReview);
+      setOwnReview(existingReview);
+      setReviewableProjects(projects);
+      setIsTargetOwner(owner);
+      setFormData((prev) => ({ ...prev, projectId: projects[0]?.id || '' }));
+    } catch (error) {
+      console.error('Error checking existing review:', error);
+      setHasReviewed(false);
+    } finally {
+      setCheckingReview(false);
+    }
+  };
 
-    checkExistingReview();
+  useEffect(() => {
+    checkEligibility();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentUser, targetId, targetType]);
 
+  const canWriteReview = !!currentUser && (reviewableProjects.length > 0 || !!editingReview);
+
+  const isOwnReview = (review) =>
+    !!currentUser && (review.authorId || review.reviewerId) === currentUser.uid;
+  // The list query only returns publicly visible reviews (unless admin); the author still sees
+  // their own review while it is held for moderation
+  const heldOwnReview =
+    ownReview && !isReviewVisible(ownReview) && !reviews.some((review) => review.id === ownReview.id)
+      ? { ...ownReview, reviewerName: currentUser?.displayName || userNames[ownReview.authorId] }
+      : null;
+  const shownReviews = (heldOwnReview ? [heldOwnReview, ...reviews] : reviews).filter(
+    (review) => isReviewVisible(review) || isOwnReview(review) || isAdmin
+  );
+
   /**
    * Fetch reviews from Firestore with real-time updates
    */
@@ -120,6 +187,11 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
     let unsubscribe = null;
     let isMounted = true;
 
+    // Reviews held for moderation are only readable by their author and admins
+    const moderationFilter = isAdmin
+      ? []
+      : [where('moderationStatus', 'in', PUBLIC_MODERATION_STATUSES)];
+
     const setupListener = () => {
       try {
         const reviewsRef = collection(db, 'reviews');
@@ -128,7 +200,8 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
         const q = query(
           reviewsRef,
           where('targetId', '==', targetId),
-          where('targetType', '==', targetType),
+          where('targetType', 'in', storedTargetTypes),
+          ...moderationFilter,
           orderBy('createdAt', 'desc')
         );
 
@@ -184,7 +257,8 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
               const fallbackQuery = query(
                 reviewsRef,
                 where('targetId', '==', targetId),
-                where('targetType', '==', targetType)
+                where('targetType', 'in', storedTargetTypes),
+                ...moderationFilter
               );
 
               if (unsubscribe) {
@@ -267,21 +341,13 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
       }
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [targetId, targetType]);
-
-  /**
-   * Calculate average rating
-   */
-  const averageRating =
-    reviews.length > 0
-      ? (reviews.reduce((sum, review) => sum + (review.rating || 0), 0) / reviews.length).toFixed(1)
-      : 0;
+  }, [targetId, targetType, isAdmin]);
 
   /**
    * Handle rating click
    */
   const handleRatingClick = (rating) => {
-    if (!currentUser || hasReviewed) return;
+    if (!canWriteReview) return;
     setFormData((prev) => ({ ...prev, rating }));
   };
 
@@ -304,8 +370,8 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
       return;
     }
 
-    if (hasReviewed) {
-      toast.error('You have already reviewed this item.');
+    if (!editingReview && !formData.projectId) {
+      toast.error('Select the completed project or booking you are reviewing.');
       return;
     }
 
@@ -315,6 +381,11 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
       return;
     }
 
+    if (!hasAllCategoryRatings) {
+      toast.error('Please rate each category.');
+      return;
+    }
+
     if (!formData.comment.trim()) {
       toast.error('Please enter a comment.');
       return;
@@ -328,23 +399,40 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
     try {
       setSubmitting(true);
 
-      await reviewsService.create(
-        currentUser.uid,
-        targetId,
-        targetType,
-        formData.rating,
-        formData.comment
-      );
+      if (editingReview) {
+        await reviewsService.update(
+          editingReview.id,
+          formData.rating,
+          formData.comment,
+          formData.categoryRatings,
+          formData.photos
+        );
+        toast.success('Review updated successfully!');
+      } else {
+        await reviewsService.create(
+          currentUser.uid,
+          targetId,
+          targetType,
+          formData.rating,
+          formData.comment,
+          formData.projectId,
+          formData.categoryRatings,
+          formData.photos
+        );
+        toast.success('Review submitted successfully!');
+      }
 
       // Reset form
       setFormData({
         rating: 0,
+        categoryRatings: {},
         comment: '',
+        photos: [],
+        projectId: '',
       });
       setHoveredRating(0);
-      setHasReviewed(true);
-
-      toast.success('Review submitted successfully!');
+      setEditingReview(null);
+      await checkEligibility();
     } catch (error) {
       console.error('Error submitting review:', error);
       toast.error(error.message || 'Failed to submit review. Please try again.');
@@ -353,6 +441,32 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
     }
   };
 
+  /**
+   * Edit one of the current user's reviews in the form above the list
+   */
+  const handleEditClick = (review) => {
+    setEditingReview(review);
+    setFormData({
+      rating: review.rating || 0,
+      categoryRatings: review.categoryRatings || {},
+      comment: review.comment || '',
+      photos: review.photos || [],
+      projectId: review.projectId || '',
+    });
+    setTimeout(scrollToForm, 0);
+  };
+
+  const cancelEdit = () => {
+    setEditingReview(null);
+    setFormData({
+      rating: 0,
+      categoryRatings: {},
+      comment: '',
+      photos: [],
+      projectId: reviewableProjects[0]?.id || '',
+    });
+  };
+
   /**
    * Handle delete review
    */
@@ -367,6 +481,7 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
     try {
       setDeletingReviewId(reviewToDelete.id);
       await reviewsService.delete(reviewToDelete.id);
+      setOwnReview((prev) => (prev?.id === reviewToDelete.id ? null : prev));
       toast.success('Review deleted successfully');
       setShowDeleteModal(false);
       setReviewToDelete(null);
@@ -412,7 +527,7 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
               key={star}
               className={`${size} ${
                 isFilled ? 'fill-accent text-accent' : 'fill-muted text-muted'
-              } ${interactive && !hasReviewed ? 'cursor-pointer hover:scale-110 transition-transform' : ''}`}
+              } ${interactive && canWriteReview ? 'cursor-pointer hover:scale-110 transition-transform' : ''}`}
               onClick={() => interactive && handleRatingClick(star)}
               onMouseEnter={() => interactive && setHoveredRating(star)}
               onMouseLeave={() => interactive && setHoveredRating(0)}
@@ -459,38 +574,8 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
 
   return (
     <div className="py-8">
-      {/* Average Rating Section */}
-      <div className="bg-gradient-to-r from-accent/10 to-accent/5 rounded-base p-6 mb-8 border border-muted">
-        <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
-          <div className="flex items-center gap-4">
-            <div className="bg-accent rounded-full p-4">
-              <Star className="w-8 h-8 text-white fill-white" />
-            </div>
-            <div>
-              <div className="flex items-center gap-2 mb-1">
-                <span className="text-3xl font-bold text-textMain">{averageRating}</span>
-                <div className="flex items-center">
-                  {renderStars(parseFloat(averageRating), false, 'w-6 h-6')}
-                </div>
-              </div>
-              <p className="text-sm text-textSecondary">
-                Based on {reviews.length} {reviews.length === 1 ? 'review' : 'reviews'}
-              </p>
-            </div>
-          </div>
-          {reviews.length === 0 && currentUser && !hasReviewed && (
-            <Button
-              onClick={scrollToForm}
-              className="bg-accent hover:bg-accent text-white border-accent"
-            >
-              Be the First to Review
-            </Button>
-          )}
-        </div>
-      </div>
-
       {/* Review Form Section */}
-      {currentUser && !hasReviewed && (
+      {canWriteReview && (
         <motion.div
           id="review-form"
           initial={{ opacity: 0, y: 20 }}
@@ -500,7 +585,9 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
         >
           <div className="flex items-center gap-3 mb-6">
             <MessageSquare className="w-6 h-6 text-primary" />
-            <h3 className="text-xl font-display font-bold text-textMain">Write a Review</h3>
+            <h3 className="text-xl font-display font-bold text-textMain">
+              {editingReview ? 'Edit Your Review' : 'Write a Review'}
+            </h3>
           </div>
 
           {checkingReview ? (
@@ -510,6 +597,31 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
             </div>
           ) : (
             <form onSubmit={handleSubmit} className="space-y-6">
+              {/* Project / booking being reviewed */}
+              {!editingReview && (
+                <div>
+                  <label htmlFor="review-project" className="block text-sm font-medium text-textMain mb-2">
+                    Completed project or booking <span className="text-error">*</span>
+                  </label>
+                  <select
+                    id="review-project"
+                    name="projectId"
+                    value={formData.projectId}
+                    onChange={handleChange}
+                    className="w-full px-4 py-2 border border-muted rounded-base focus:ring-2 focus:ring-primary focus:border-primary"
+                    disabled={submitting}
+                  >
+                    {reviewableProjects.map((project) => (
+                      <option key={project.id} value={project.id}>
+                        {project.label}
+                        {project.completedAt ? ` · ${formatDate(project.completedAt)}` : ''}
+                        {project.title ? ` · ${project.title.substring(0, 40)}` : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
               {/* Rating Selection */}
               <div>
                 <label className="block text-sm font-medium text-textMain mb-3">
@@ -525,6 +637,19 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
                 </div>
               </div>
 
+              {/* Category Ratings */}
+              <div>
+                <label className="block text-sm font-medium text-textMain mb-3">
+                  Rate each aspect <span className="text-error">*</span>
+                </label>
+                <CategoryRatingsInput
+                  targetType={targetType}
+                  value={formData.categoryRatings}
+                  onChange={(categoryRatings) => setFormData((prev) => ({ ...prev, categoryRatings }))}
+                  disabled={submitting}
+                />
+              </div>
+
               {/* Comment Textarea */}
               <div>
                 <label className="block text-sm font-medium text-textMain mb-2">
@@ -544,35 +669,63 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
                 </p>
               </div>
 
+              {/* Photos */}
+              <div>
+                <label className="block text-sm font-medium text-textMain mb-2">Photos (optional)</label>
+                <ReviewPhotosInput
+                  value={formData.photos}
+                  onChange={(photos) => setFormData((prev) => ({ ...prev, photos }))}
+                  disabled={submitting}
+                />
+              </div>
+
               {/* Submit Button */}
               <Button
                 type="submit"
                 disabled={
-                  submitting || formData.rating === 0 || formData.comment.trim().length < 10
+                  submitting ||
+                  formData.rating === 0 ||
+                  !hasAllCategoryRatings ||
+                  formData.comment.trim().length < 10
                 }
                 className="bg-primary hover:bg-primaryDark text-white border-primary"
                 loading={submitting}
               >
-                {submitting ? 'Submitting...' : 'Submit Review'}
+                {submitting ? 'Submitting...' : editingReview ? 'Update Review' : 'Submit Review'}
               </Button>
+              {editingReview && (
+                <Button type="button" variant="outline" onClick={cancelEdit} disabled={submitting} className="ml-3">
+                  Cancel
+                </Button>
+              )}
             </form>
           )}
         </motion.div>
       )}
 
       {/* Already Reviewed Message */}
-      {currentUser && hasReviewed && (
+      {currentUser && hasReviewed && !canWriteReview && !checkingReview && (
         <div className="bg-accent border border-accent rounded-lg p-4 mb-8 flex items-start">
           <CheckCircle className="w-5 h-5 text-accent mr-3 flex-shrink-0 mt-0.5" />
           <div>
             <p className="font-semibold text-accent mb-1">You've already reviewed this item</p>
             <p className="text-sm text-accent">
-              Thank you for your feedback! You can only submit one review per {targetType}.
+              Thank you for your feedback! You can review again after your next completed{' '}
+              {targetType === 'property' ? 'booking' : 'project'}.
             </p>
           </div>
         </div>
       )}
 
+      {/* Not Eligible Message */}
+      {currentUser && !hasReviewed && !canWriteReview && !isTargetOwner && !checkingReview && (
+        <div className="bg-muted/30 border border-muted rounded-base p-4 mb-8 text-center">
+          <p className="text-textSecondary">
+            Reviews are open to clients with a completed {targetType === 'property' ? 'booking' : 'project'}.
+          </p>
+        </div>
+      )}
+
       {/* Not Logged In Message */}
       {!currentUser && (
         <div className="bg-muted/30 border border-muted rounded-base p-4 mb-8 text-center">
@@ -589,10 +742,10 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
       {/* Reviews List Section */}
       <div>
         <h3 className="text-2xl font-display font-bold text-textMain mb-6">
-          Reviews ({reviews.length})
+          Reviews ({reviews.filter(isReviewVisible).length})
         </h3>
 
-        {reviews.length === 0 ? (
+        {shownReviews.length === 0 ? (
           <motion.div
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
@@ -602,7 +755,7 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
             <MessageSquare className="w-16 h-16 text-muted mx-auto mb-4" />
             <h4 className="text-xl font-semibold text-textMain mb-2">No reviews yet</h4>
             <p className="text-textSecondary mb-6">Be the first to share your experience!</p>
-            {currentUser && !hasReviewed && (
+            {canWriteReview && (
               <Button
                 onClick={scrollToForm}
                 className="bg-primary hover:bg-primaryDark text-white border-primary"
@@ -613,7 +766,7 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
           </motion.div>
         ) : (
           <div className="space-y-4">
-            {reviews.map((review, index) => (
+            {shownReviews.map((review, index) => (
               <motion.div
                 key={review.id}
                 initial={{ opacity: 0, y: 20 }}
@@ -627,8 +780,29 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
                       <User className="w-5 h-5 text-accent" />
                     </div>
                     <div className="flex-1">
-                      <p className="font-semibold text-textMain">
+                      <p className="font-semibold text-textMain flex items-center gap-2 flex-wrap">
                         {review.reviewerName || 'Anonymous User'}
+                        {review.verified && (
+                          <span
+                            className="inline-flex items-center gap-1 px-2 py-0.5 text-xs font-medium rounded-full bg-primary/10 text-primary"
+                            title={`Reviewed after a completed ${targetType === 'property' ? 'booking' : 'project'}`}
+                          >
+                            <BadgeCheck className="w-3.5 h-3.5" />
+                            Verified {targetType === 'property' ? 'booking' : 'client'}
+                          </span>
+                        )}
+                        {review.editCount > 0 && (
+                          <span className="text-xs font-normal text-textSecondary">(edited)</span>
+                        )}
+                        {isAdmin && review.moderationStatus && (
+                          <span
+                            className={`px-2 py-0.5 text-xs font-medium rounded-full ${
+                              isReviewVisible(review) ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                            }`}
+                          >
+                            {MODERATION_STATUSES[review.moderationStatus] || review.moderationStatus}
+                          </span>
+                        )}
                       </p>
                       <div className="flex items-center gap-2 mt-1">
                         {renderStars(review.rating || 0, false, 'w-4 h-4')}
@@ -643,6 +817,35 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
                       <Calendar className="w-4 h-4" />
                       <span>{formatDate(review.createdAt)}</span>
                     </div>
+                    {currentUser && !isOwnReview(review) && (
+                      <button
+                        onClick={() => setReportReview(review)}
+                        disabled={reportedIds.includes(review.id)}
+                        className="p-2 text-textSecondary hover:text-error hover:bg-error/10 rounded-base transition-colors disabled:opacity-50"
+                        title={reportedIds.includes(review.id) ? 'You reported this review' : 'Report review'}
+                      >
+                        <Flag className="w-4 h-4" />
+                      </button>
+                    )}
+                    {isOwnReview(review) && (
+                      <button
+                        onClick={() => handleEditClick(review)}
+                        className="p-2 text-primary hover:bg-primary/10 rounded-base transition-colors"
+                        title="Edit your review"
+                      >
+                        <Pencil className="w-4 h-4" />
+                      </button>
+                    )}
+                    {/* Admin: edit history */}
+                    {isAdmin && review.editCount > 0 && (
+                      <button
+                        onClick={() => setHistoryReview(review)}
+                        className="p-2 text-textSecondary hover:bg-muted rounded-base transition-colors"
+                        title="View edit history (Admin only)"
+                      >
+                        <History className="w-4 h-4" />
+                      </button>
+                    )}
                     {/* Admin Delete Button */}
                     {isAdmin && (
                       <button
@@ -656,13 +859,57 @@ const ReviewsAndRatings = ({ targetId, targetType = 'property' }) => {
                     )}
                   </div>
                 </div>
+                {!isReviewVisible(review) && isOwnReview(review) && (
+                  <div className="flex items-start gap-2 mb-3 p-3 rounded-base bg-muted/30 text-sm text-textSecondary">
+                    <EyeOff className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    <span>
+                      {review.moderationStatus === 'hidden'
+                        ? `Only you can see this review: it was hidden by our moderators${
+                            review.moderation?.reason ? ` (${review.moderation.reason})` : ''
+                          }.`
+                        : 'Only you can see this review while our moderators check it.'}
+                    </span>
+                  </div>
+                )}
+                {review.categoryRatings && (
+                  <div className="flex flex-wrap gap-x-4 gap-y-1 mb-3 text-sm text-textSecondary">
+                    {ratingCategories
+                      .filter(({ id }) => review.categoryRatings[id])
+                      .map(({ id, label }) => (
+                        <span key={id} className="flex items-center gap-1">
+                          {label}
+                          <span className="font-medium text-textMain">{review.categoryRatings[id]}</span>
+                          <Star className="w-3.5 h-3.5 text-accent fill-current" />
+                        </span>
+                      ))}
+                  </div>
+                )}
                 <p className="text-textMain leading-relaxed whitespace-pre-wrap">{review.comment}</p>
+                <ReviewPhotoGallery photos={review.photos} />
+                <ReviewResponse
+                  key={`${review.id}-${review.response?.updatedAt?.seconds || 0}`}
+                  review={review}
+                  currentUserId={currentUser?.uid}
+                  canRespond={isTargetOwner}
+                />
               </motion.div>
             ))}
           </div>
         )}
       </div>
 
+      <ReportReviewModal
+        review={reportReview}
+        reporterId={currentUser?.uid}
+        onClose={() => setReportReview(null)}
+        onReported={(reviewId) => setReportedIds((prev) => [...prev, reviewId])}
+      />
+
+      {/* Edit History Modal (admin) */}
+      <Modal isOpen={!!historyReview} onClose={() => setHistoryReview(null)} title="Review Edit History" size="md">
+        {historyReview && <ReviewHistory review={historyReview} />}
+      </Modal>
+
       {/* Delete Confirmation Modal */}
       <Modal
         isOpen={showDeleteModal}
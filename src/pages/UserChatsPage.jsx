@@ -1,13 +1,23 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
-import { MessageSquare, Send, Paperclip, X, Search } from 'lucide-react';
+import { MessageSquare, Search, Images, Pin, BellOff, Archive, ArrowLeft } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import useChatList from '../hooks/useChatList';
 import { useChatMessages } from '../hooks/useChatMessages';
-import ChatMessage from '../components/chat/ChatMessage';
+import ChatMessage, { scrollToMessage } from '../components/chat/ChatMessage';
+import ChatComposer from '../components/chat/ChatComposer';
+import SharedMediaGallery from '../components/chat/SharedMediaGallery';
+import PresenceStatus from '../components/chat/PresenceStatus';
+import ChatContextCard from '../components/chat/ChatContextCard';
+import TypingIndicator from '../components/chat/TypingIndicator';
+import ConversationMenu from '../components/chat/ConversationMenu';
+import MessageSearchResults from '../components/chat/MessageSearchResults';
+import { getConversationState, sortConversations } from '../services/chatService';
+import { useChatSearch } from '../hooks/useChatSearch';
+import { useTypingIndicator } from '../hooks/useTypingIndicator';
+import { useMessageActions } from '../hooks/useMessageActions';
 import LoadingSpinner from '../components/common/LoadingSpinner';
 import Button from '../components/common/Button';
-import toast from 'react-hot-toast';
 
 /**
  * UserChatsPage Component
@@ -19,13 +29,16 @@ const UserChatsPage = () => {
   const [searchParams, setSearchParams] = useSearchParams();
   const { chats, loading: chatsLoading } = useChatList();
   const [selectedChatId, setSelectedChatId] = useState(searchParams.get('chatId') || null);
-  const [messageText, setMessageText] = useState('');
-  const [selectedFiles, setSelectedFiles] = useState([]);
   const [searchTerm, setSearchTerm] = useState('');
+  const [showMedia, setShowMedia] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+  const [focusMessageId, setFocusMessageId] = useState(null);
   const messagesEndRef = useRef(null);
-  const fileInputRef = useRef(null);
 
   const { messages, loading: messagesLoading, sendMessage, sending } = useChatMessages(selectedChatId);
+  const { typingUserIds, notifyTyping, stopTyping } = useTypingIndicator(selectedChatId);
+  const messageActions = useMessageActions(selectedChatId);
+  const { messageResults, searching } = useChatSearch(chats, searchTerm);
 
   // Update URL when chat is selected
   useEffect(() => {
@@ -36,67 +49,42 @@ const UserChatsPage = () => {
     }
   }, [selectedChatId, setSearchParams]);
 
-  // Auto-scroll to bottom on new messages
+  // Auto-scroll to bottom on new messages, or to the message picked from search once it is loaded
   useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [messages]);
-
-  // Handle chat selection
-  const handleChatSelect = (chatId) => {
-    setSelectedChatId(chatId);
-  };
-
-  // Handle file selection
-  const handleFileSelect = (e) => {
-    const files = Array.from(e.target.files);
-    if (files.length > 5) {
-      toast.error('Maximum 5 files allowed');
-      return;
-    }
-
-    // Check file sizes (max 10MB each)
-    const oversizedFiles = files.filter((file) => file.size > 10 * 1024 * 1024);
-    if (oversizedFiles.length > 0) {
-      toast.error('File size must be less than 10MB');
+    if (focusMessageId && messages.some((message) => message.id === focusMessageId)) {
+      scrollToMessage(focusMessageId);
+      setFocusMessageId(null);
       return;
     }
+    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages, focusMessageId]);
 
-    setSelectedFiles((prev) => [...prev, ...files]);
-    if (fileInputRef.current) {
-      fileInputRef.current.value = '';
-    }
-  };
-
-  // Remove selected file
-  const removeFile = (index) => {
-    setSelectedFiles((prev) => prev.filter((_, i) => i !== index));
+  // Handle chat selection; messageId is set for message search results
+  const handleChatSelect = (chatId, messageId = null) => {
+    setSelectedChatId(chatId);
+    setFocusMessageId(messageId);
   };
 
-  // Handle send message
-  const handleSendMessage = async (e) => {
-    e.preventDefault();
-    if (!messageText.trim() && selectedFiles.length === 0) {
-      return;
-    }
-
+  // Handle send message; ChatComposer shows upload progress and errors
+  const handleSendMessage = async (text, files, options) => {
     if (!selectedChatId) {
-      toast.error('Please select a chat');
-      return;
-    }
-
-    try {
-      await sendMessage(messageText || 'Sent an attachment', selectedFiles);
-      setMessageText('');
-      setSelectedFiles([]);
-    } catch (error) {
-      console.error('Error sending message:', error);
-      toast.error('Failed to send message. Please try again.');
+      throw new Error('Please select a chat');
     }
+    await sendMessage(text, files, options);
   };
 
-  // Filter chats by search term
-  const filteredChats = chats.filter((chat) =>
-    chat.otherParticipantName?.toLowerCase().includes(searchTerm.toLowerCase())
+  const selectedChat = chats.find((c) => c.id === selectedChatId);
+
+  // Filter chats by search term (across archived chats too), otherwise by the archived view
+  const term = searchTerm.trim().toLowerCase();
+  const archivedCount = chats.filter((chat) => getConversationState(chat, user?.uid).archived).length;
+  const filteredChats = sortConversations(
+    chats.filter((chat) =>
+      term
+        ? chat.otherParticipantName?.toLowerCase().includes(term)
+        : getConversationState(chat, user?.uid).archived === showArchived
+    ),
+    user?.uid
   );
 
   if (!user) {
@@ -116,12 +104,36 @@ const UserChatsPage = () => {
       <div className="w-full md:w-80 lg:w-96 bg-surface border-r border-muted flex flex-col">
         {/* Header */}
         <div className="p-4 border-b border-muted">
-          <h2 className="text-xl font-bold text-textMain mb-4">Messages</h2>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="flex items-center gap-2 text-xl font-bold text-textMain">
+              {showArchived && !term && (
+                <button
+                  type="button"
+                  onClick={() => setShowArchived(false)}
+                  className="text-textSecondary hover:text-textMain"
+                  aria-label="Back to chats"
+                >
+                  <ArrowLeft className="w-5 h-5" />
+                </button>
+              )}
+              {showArchived && !term ? 'Archived' : 'Messages'}
+            </h2>
+            {!showArchived && !term && archivedCount > 0 && (
+              <button
+                type="button"
+                onClick={() => setShowArchived(true)}
+                className="flex items-center gap-1 text-sm text-textSecondary hover:text-textMain"
+              >
+                <Archive className="w-4 h-4" />
+                Archived ({archivedCount})
+              </button>
+            )}
+          </div>
           <div className="relative">
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-textSecondary" />
             <input
               type="text"
-              placeholder="Search chats..."
+              placeholder="Search people and messages..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
               className="w-full pl-10 pr-4 py-2 border border-muted rounded-base focus:border-primary focus:ring-primary"
@@ -135,42 +147,68 @@ const UserChatsPage = () => {
             <div className="flex items-center justify-center py-12">
               <LoadingSpinner size="md" />
             </div>
-          ) : filteredChats.length === 0 ? (
+          ) : filteredChats.length === 0 && (!term || (!searching && messageResults.length === 0)) ? (
             <div className="p-8 text-center text-textSecondary">
               <MessageSquare className="w-12 h-12 mx-auto mb-3 text-muted" />
-              <p>{searchTerm ? 'No chats found' : 'No chats yet'}</p>
+              <p>{term ? 'No chats found' : showArchived ? 'No archived chats' : 'No chats yet'}</p>
               <p className="text-sm mt-2">
-                {searchTerm ? 'Try a different search term' : 'Start a conversation to see chats here'}
+                {term ? 'Try a different search term' : 'Start a conversation to see chats here'}
               </p>
             </div>
           ) : (
-            <div className="divide-y divide-muted">
-              {filteredChats.map((chat) => (
-                <button
-                  key={chat.id}
-                  onClick={() => handleChatSelect(chat.id)}
-                  className={`w-full p-4 text-left hover:bg-background transition-colors ${
-                    selectedChatId === chat.id ? 'bg-background border-l-4 border-primary' : ''
-                  }`}
-                >
-                  <div className="flex items-center justify-between">
-                    <div className="flex-1 min-w-0">
-                      <h3 className="font-semibold text-textMain truncate">
-                        {chat.otherParticipantName}
-                      </h3>
-                      <p className="text-sm text-textSecondary truncate mt-1">
-                        {chat.lastMessage || 'No messages yet'}
-                      </p>
+            <>
+              <div className="divide-y divide-muted">
+                {filteredChats.map((chat) => {
+                  const { muted, pinned } = getConversationState(chat, user.uid);
+                  return (
+                    <div key={chat.id} className="relative group">
+                      <button
+                        onClick={() => handleChatSelect(chat.id)}
+                        className={`w-full p-4 pr-10 text-left hover:bg-background transition-colors ${
+                          selectedChatId === chat.id ? 'bg-background border-l-4 border-primary' : ''
+                        }`}
+                      >
+                        <div className="flex items-center justify-between">
+                          <div className="flex-1 min-w-0">
+                            <h3 className="font-semibold text-textMain truncate flex items-center gap-2">
+                              <span className="truncate">{chat.otherParticipantName}</span>
+                              <PresenceStatus userId={chat.otherParticipantId} variant="dot" className="flex-shrink-0" />
+                              {pinned && <Pin className="w-3.5 h-3.5 text-textSecondary flex-shrink-0" aria-label="Pinned" />}
+                              {muted && <BellOff className="w-3.5 h-3.5 text-textSecondary flex-shrink-0" aria-label="Muted" />}
+                            </h3>
+                            {chat.context?.title && (
+                              <p className="text-xs text-primary truncate">{chat.context.title}</p>
+                            )}
+                            <p className="text-sm text-textSecondary truncate mt-1">
+                              {chat.lastMessage || 'No messages yet'}
+                            </p>
+                          </div>
+                          {chat.unreadCount > 0 && (
+                            <span className="ml-2 bg-primary text-white text-xs font-bold rounded-full w-5 h-5 flex items-center justify-center flex-shrink-0">
+                              {chat.unreadCount}
+                            </span>
+                          )}
+                        </div>
+                      </button>
+                      <ConversationMenu
+                        chat={chat}
+                        currentUserId={user.uid}
+                        className="absolute top-3 right-2 opacity-0 group-hover:opacity-100 focus-within:opacity-100"
+                      />
                     </div>
-                    {chat.unreadCount > 0 && (
-                      <span className="ml-2 bg-primary text-white text-xs font-bold rounded-full w-5 h-5 flex items-center justify-center flex-shrink-0">
-                        {chat.unreadCount}
-                      </span>
-                    )}
-                  </div>
-                </button>
-              ))}
-            </div>
+                  );
+                })}
+              </div>
+              {term && (
+                <MessageSearchResults
+                  results={messageResults}
+                  term={searchTerm}
+                  searching={searching}
+                  getChatName={(chatId) => chats.find((chat) => chat.id === chatId)?.otherParticipantName || 'Chat'}
+                  onSelect={handleChatSelect}
+                />
+              )}
+            </>
           )}
         </div>
       </div>
@@ -179,6 +217,24 @@ const UserChatsPage = () => {
       <div className="flex-1 flex flex-col">
         {selectedChatId ? (
           <>
+            {/* Chat Header */}
+            <div className="px-4 py-3 bg-surface border-b border-muted flex items-center justify-between">
+              <div className="min-w-0">
+                <h3 className="font-semibold text-textMain truncate">{selectedChat?.otherParticipantName || 'Chat'}</h3>
+                <PresenceStatus userId={selectedChat?.otherParticipantId} />
+              </div>
+              <button
+                type="button"
+                onClick={() => setShowMedia(true)}
+                className="flex items-center gap-2 text-sm text-textSecondary hover:text-primary transition-colors"
+              >
+                <Images className="w-4 h-4" />
+                Shared media
+              </button>
+            </div>
+
+            <ChatContextCard context={selectedChat?.context} currentUserId={user.uid} />
+
             {/* Messages Area */}
             <div className="flex-1 overflow-y-auto p-4 bg-background">
               {messagesLoading ? (
@@ -201,7 +257,9 @@ const UserChatsPage = () => {
                         key={message.id}
                         message={message}
                         isOwn={isOwn}
-                        senderName={!isOwn ? chats.find((c) => c.id === selectedChatId)?.otherParticipantName : null}
+                        senderName={!isOwn ? selectedChat?.otherParticipantName : null}
+                        currentUserId={user.uid}
+                        actions={messageActions}
                       />
                     );
                   })}
@@ -210,65 +268,28 @@ const UserChatsPage = () => {
               )}
             </div>
 
+            <TypingIndicator
+              typingUserIds={typingUserIds}
+              names={{ [selectedChat?.otherParticipantId]: selectedChat?.otherParticipantName }}
+              className="px-4 py-1 bg-background"
+            />
+
             {/* Message Input */}
-            <div className="p-4 bg-surface border-t border-muted">
-              {/* Selected Files Preview */}
-              {selectedFiles.length > 0 && (
-                <div className="mb-2 flex flex-wrap gap-2">
-                  {selectedFiles.map((file, index) => (
-                    <div
-                      key={index}
-                      className="flex items-center gap-2 bg-muted rounded-base px-3 py-2 text-sm"
-                    >
-                      <Paperclip className="w-4 h-4 text-textSecondary" />
-                      <span className="text-textMain truncate max-w-xs">{file.name}</span>
-                      <button
-                        onClick={() => removeFile(index)}
-                        className="text-textSecondary hover:text-error"
-                      >
-                        <X className="w-4 h-4" />
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              )}
+            <ChatComposer
+              onSend={handleSendMessage}
+              onTyping={notifyTyping}
+              onStopTyping={stopTyping}
+              replyTo={messageActions.replyingTo}
+              onCancelReply={messageActions.cancelReply}
+              sending={sending}
+            />
 
-              <form onSubmit={handleSendMessage} className="flex gap-2">
-                <input
-                  type="file"
-                  ref={fileInputRef}
-                  onChange={handleFileSelect}
-                  multiple
-                  className="hidden"
-                  accept="image/*,application/pdf,.doc,.docx"
-                />
-                <button
-                  type="button"
-                  onClick={() => fileInputRef.current?.click()}
-                  className="p-2 text-textSecondary hover:text-textMain transition-colors"
-                  title="Attach file"
-                >
-                  <Paperclip className="w-5 h-5" />
-                </button>
-                <textarea
-                  value={messageText}
-                  onChange={(e) => setMessageText(e.target.value)}
-                  onKeyDown={(e) => {
-                    if (e.key === 'Enter' && !e.shiftKey) {
-                      e.preventDefault();
-                      handleSendMessage(e);
-                    }
-                  }}
-                  rows={2}
-                  className="flex-1 px-4 py-2 border border-muted rounded-base focus:border-primary focus:ring-primary resize-none"
-                  placeholder="Type your message..."
-                  disabled={sending}
-                />
-                <Button type="submit" loading={sending} disabled={sending || (!messageText.trim() && selectedFiles.length === 0)}>
-                  <Send className="w-4 h-4" />
-                </Button>
-              </form>
-            </div>
+            <SharedMediaGallery
+              isOpen={showMedia}
+              onClose={() => setShowMedia(false)}
+              messages={messages}
+              currentUserId={user.uid}
+            />
           </>
         ) : (
           <div className="flex-1 flex items-center justify-center bg-background">
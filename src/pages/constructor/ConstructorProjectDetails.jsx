@@ -3,7 +3,6 @@ import { useParams, useNavigate } from 'react-router-dom';
 import {
   doc,
   getDoc,
-  updateDoc,
   collection,
   query,
   onSnapshot,
@@ -26,12 +25,17 @@ import {
   ArrowLeft,
   Edit,
   Save,
+  AlertTriangle,
 } from 'lucide-react';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ProjectTimeline from '../../components/constructor/ProjectTimeline';
+import ProjectMilestones from '../../components/service/ProjectMilestones';
 import ProjectStatusBadge from '../../components/constructor/ProjectStatusBadge';
+import DisputeForm from '../../components/service/DisputeForm';
 import { findOrCreateConversation } from '../../utils/chatHelpers';
+import { updateProjectStatus } from '../../utils/projectUpdates';
+import { canOpenDispute, getAllowedTransitions } from '../../utils/projectStatus';
 import notificationService from '../../services/notificationService';
 import toast from 'react-hot-toast';
 
@@ -51,6 +55,7 @@ const ConstructorProjectDetails = () => {
   const [client, setClient] = useState(null);
   const [updates, setUpdates] = useState([]);
   const [updatingStatus, setUpdatingStatus] = useState(false);
+  const [showDisputeForm, setShowDisputeForm] = useState(false);
   const [addingUpdate, setAddingUpdate] = useState(false);
   const [showAddUpdate, setShowAddUpdate] = useState(false);
   const [newUpdateNote, setNewUpdateNote] = useState('');
@@ -237,20 +242,11 @@ const ConstructorProjectDetails = () => {
 
     try {
       setUpdatingStatus(true);
-      const projectRef = doc(db, 'constructionProjects', projectId);
-      await updateDoc(projectRef, {
-        status: newStatus,
-        updatedAt: serverTimestamp(),
-      });
-
-      // Add project update
-      const updatesRef = collection(db, 'constructionProjects', projectId, 'projectUpdates');
-      await addDoc(updatesRef, {
-        projectId,
-        status: newStatus,
+      // Validated by the status state machine; also logs the change in projectUpdates
+      await updateProjectStatus('constructionProjects', projectId, newStatus, {
+        role: 'provider',
         updatedBy: currentUser.uid,
         note: `Status updated to ${newStatus}`,
-        createdAt: serverTimestamp(),
       });
 
       // Notify client about status update
@@ -271,7 +267,7 @@ const ConstructorProjectDetails = () => {
       toast.success(`Status updated to ${newStatus}`);
     } catch (error) {
       console.error('Error updating status:', error);
-      toast.error('Failed to update status');
+      toast.error(error.message || 'Failed to update status');
     } finally {
       setUpdatingStatus(false);
     }
@@ -379,7 +375,12 @@ const ConstructorProjectDetails = () => {
 
     try {
       setStartingChat(true);
-      const chatId = await findOrCreateConversation(currentUser.uid, clientId);
+      const chatId = await findOrCreateConversation(currentUser.uid, clientId, {
+        type: 'construction',
+        id: project.id,
+        title: project.projectType || 'Construction Project',
+        clientId,
+      });
       navigate(`/chat?chatId=${chatId}`);
     } catch (error) {
       console.error('Error starting chat:', error);
@@ -423,19 +424,7 @@ const ConstructorProjectDetails = () => {
   // Get available status transitions
   const getAvailableStatuses = () => {
     if (!project) return [];
-    const currentStatus = project.status?.toLowerCase() || '';
-
-    switch (currentStatus) {
-      case 'pending':
-        return ['In Progress'];
-      case 'in progress':
-      case 'inprogress':
-        return ['Completed'];
-      case 'completed':
-        return []; // Locked
-      default:
-        return ['In Progress', 'Completed'];
-    }
+    return getAllowedTransitions('constructionProjects', project.status, 'provider');
   };
 
   if (authLoading || loading) {
@@ -560,6 +549,9 @@ const ConstructorProjectDetails = () => {
               </div>
             </div>
 
+            {/* Payment Milestones */}
+            <ProjectMilestones projectType="construction" project={project} role="provider" />
+
             {/* Property Information */}
             {property && (
               <div className="bg-surface rounded-lg border border-borderColor p-6">
@@ -767,11 +759,36 @@ const ConstructorProjectDetails = () => {
                     Status cannot be changed from {project.status}
                   </p>
                 )}
+
+                {project.status === 'Disputed' && (
+                  <p className="flex items-start gap-2 text-sm text-red-700">
+                    <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    A dispute is open. Payments are on hold until an admin resolves it.
+                  </p>
+                )}
+
+                {!project.activeDisputeId && canOpenDispute('constructionProjects', project.status) && (
+                  <Button
+                    variant="outline"
+                    onClick={() => setShowDisputeForm(true)}
+                    className="w-full flex items-center justify-center gap-2"
+                  >
+                    <AlertTriangle className="w-4 h-4" />
+                    Raise Dispute
+                  </Button>
+                )}
               </div>
             </div>
           </div>
         </div>
       </div>
+
+      <DisputeForm
+        isOpen={showDisputeForm}
+        onClose={() => setShowDisputeForm(false)}
+        targetType="construction"
+        targetId={project.id}
+      />
     </div>
   );
 };
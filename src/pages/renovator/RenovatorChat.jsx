@@ -4,6 +4,7 @@ import { useAuth } from '../../context/AuthContext';
 import { getOrCreateChat } from '../../utils/chatHelpers';
 import ConversationList from '../../components/Chat/ConversationList';
 import MessageBox from '../../components/Chat/MessageBox';
+import PresenceStatus from '../../components/chat/PresenceStatus';
 import { ArrowLeft, User } from 'lucide-react';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
@@ -90,9 +91,10 @@ const RenovatorChat = () => {
     }
   };
 
-  const handleSelectConversation = async (chatId) => {
+  // messageId is set when a message search result was picked
+  const handleSelectConversation = async (chatId, messageId = null) => {
     setSelectedChatId(chatId);
-    navigate(`/renovator/chat?chatId=${chatId}`);
+    navigate(`/renovator/chat?chatId=${chatId}${messageId ? `&messageId=${messageId}` : ''}`);
     await loadChatInfo(chatId);
     setViewMode('chat');
   };
@@ -159,18 +161,26 @@ const RenovatorChat = () => {
                 {/* Chat Header */}
                 <div className="bg-surface border-b border-muted px-4 py-3 flex items-center justify-between">
                   <div className="flex items-center space-x-3">
-                    <div className="w-10 h-10 rounded-full bg-primary/20 flex items-center justify-center">
+                    <div className="relative w-10 h-10 rounded-full bg-primary/20 flex items-center justify-center">
                       <User className="w-5 h-5 text-primary" />
+                      <PresenceStatus userId={otherParticipantId} variant="dot" className="absolute bottom-0 right-0" />
                     </div>
                     <div>
                       <p className="font-semibold text-textMain">{otherParticipantName}</p>
-                      <p className="text-xs text-textSecondary">Customer</p>
+                      <p className="text-xs text-textSecondary">
+                        Customer
+                        <PresenceStatus userId={otherParticipantId} className="before:content-['·'] before:mx-1" />
+                      </p>
                     </div>
                   </div>
                 </div>
 
                 {/* Messages */}
-                <MessageBox chatId={selectedChatId} otherParticipantId={otherParticipantId} />
+                <MessageBox
+                  chatId={selectedChatId}
+                  otherParticipantId={otherParticipantId}
+                  focusMessageId={searchParams.get('messageId')}
+                />
               </>
             ) : (
               <div className="flex items-center justify-center h-full bg-surface">
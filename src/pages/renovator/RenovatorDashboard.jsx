@@ -276,6 +276,13 @@ const RenovatorDashboard = () => {
               <Building2 className="w-4 h-4" />
               My Renovation Projects
             </Link>
+            <Link
+              to="/renovator/open-jobs"
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-surface text-textMain hover:bg-muted border border-borderColor transition-colors"
+            >
+              <FileText className="w-4 h-4" />
+              Open Jobs
+            </Link>
             <Link
               to="/renovator/profile"
               className="flex items-center gap-2 px-4 py-2 rounded-lg bg-surface text-textMain hover:bg-muted border border-borderColor transition-colors"
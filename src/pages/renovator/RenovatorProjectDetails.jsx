@@ -3,7 +3,6 @@ import { useParams, useNavigate } from 'react-router-dom';
 import {
   doc,
   getDoc,
-  updateDoc,
   collection,
   query,
   onSnapshot,
@@ -31,12 +30,17 @@ import {
   XCircle,
   Image as ImageIcon,
   PlayCircle,
+  AlertTriangle,
 } from 'lucide-react';
 import Button from '../../components/common/Button';
 import LoadingSpinner from '../../components/common/LoadingSpinner';
 import ProjectTimeline from '../../components/constructor/ProjectTimeline';
+import ProjectMilestones from '../../components/service/ProjectMilestones';
 import ProjectStatusBadge from '../../components/constructor/ProjectStatusBadge';
+import DisputeForm from '../../components/service/DisputeForm';
 import { findOrCreateConversation } from '../../utils/chatHelpers';
+import { updateProjectStatus } from '../../utils/projectUpdates';
+import { canOpenDispute, canTransition, getAllowedTransitions } from '../../utils/projectStatus';
 import notificationService from '../../services/notificationService';
 import { uploadMultipleImages } from '../../firebase/storageFunctions';
 import toast from 'react-hot-toast';
@@ -57,6 +61,7 @@ const RenovatorProjectDetails = () => {
   const [client, setClient] = useState(null);
   const [updates, setUpdates] = useState([]);
   const [updatingStatus, setUpdatingStatus] = useState(false);
+  const [showDisputeForm, setShowDisputeForm] = useState(false);
   const [addingUpdate, setAddingUpdate] = useState(false);
   const [showAddUpdate, setShowAddUpdate] = useState(false);
   const [showRejectModal, setShowRejectModal] = useState(false);
@@ -238,21 +243,12 @@ const RenovatorProjectDetails = () => {
 
     try {
       setUpdatingStatus(true);
-      const projectRef = doc(db, 'renovationProjects', projectId);
-      await updateDoc(projectRef, {
-        status: newStatus,
-        updatedAt: serverTimestamp(),
-        ...(reason && { rejectReason: reason }),
-      });
-
-      // Add project update
-      const updatesRef = collection(db, 'renovationProjects', projectId, 'projectUpdates');
-      await addDoc(updatesRef, {
-        projectId,
-        status: newStatus,
+      // Validated by the status state machine; also logs the change in projectUpdates
+      await updateProjectStatus('renovationProjects', projectId, newStatus, {
+        role: 'provider',
         updatedBy: currentUser.uid,
         note: reason || `Status updated to ${newStatus}`,
-        createdAt: serverTimestamp(),
+        extraFields: reason ? { rejectReason: reason } : {},
       });
 
       // Notify client about status update
@@ -276,7 +272,7 @@ const RenovatorProjectDetails = () => {
       setRejectReason('');
     } catch (error) {
       console.error('Error updating status:', error);
-      toast.error('Failed to update status');
+      toast.error(error.message || 'Failed to update status');
     } finally {
       setUpdatingStatus(false);
     }
@@ -398,7 +394,12 @@ const RenovatorProjectDetails = () => {
 
     try {
       setStartingChat(true);
-      const chatId = await findOrCreateConversation(currentUser.uid, clientId);
+      const chatId = await findOrCreateConversation(currentUser.uid, clientId, {
+        type: 'renovation',
+        id: project.id,
+        title: project.serviceCategory || project.projectType || 'Renovation Project',
+        clientId,
+      });
       navigate(`/chat?chatId=${chatId}`);
     } catch (error) {
       console.error('Error starting chat:', error);
@@ -439,25 +440,12 @@ const RenovatorProjectDetails = () => {
     }).format(amount);
   };
 
-  // Get available status transitions
+  // Get available status transitions (rejection has its own button, which asks for a reason)
   const getAvailableStatuses = () => {
     if (!project) return [];
-    const currentStatus = project.status?.toLowerCase() || '';
-
-    switch (currentStatus) {
-      case 'pending':
-        return ['In Progress'];
-      case 'in progress':
-      case 'inprogress':
-        return ['Completed'];
-      case 'completed':
-        return []; // Locked
-      case 'rejected':
-      case 'cancelled':
-        return []; // Locked
-      default:
-        return ['In Progress', 'Completed'];
-    }
+    return getAllowedTransitions('renovationProjects', project.status, 'provider').filter(
+      (status) => status !== 'Rejected'
+    );
   };
 
   if (authLoading || loading) {
@@ -609,6 +597,9 @@ const RenovatorProjectDetails = () => {
               </div>
             )}
 
+            {/* Payment Milestones */}
+            <ProjectMilestones projectType="renovation" project={project} role="provider" />
+
             {/* Property Information */}
             {property && (
               <div className="bg-surface rounded-lg border border-borderColor p-6">
@@ -817,7 +808,7 @@ const RenovatorProjectDetails = () => {
                   </div>
                 )}
 
-                {project.status?.toLowerCase() === 'pending' && (
+                {canTransition('renovationProjects', project.status, 'Rejected', 'provider') && (
                   <Button
                     onClick={() => setShowRejectModal(true)}
                     disabled={updatingStatus}
@@ -835,6 +826,24 @@ const RenovatorProjectDetails = () => {
                     Status cannot be changed from {project.status}
                   </p>
                 )}
+
+                {project.status === 'Disputed' && (
+                  <p className="flex items-start gap-2 text-sm text-red-700">
+                    <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                    A dispute is open. Payments are on hold until an admin resolves it.
+                  </p>
+                )}
+
+                {!project.activeDisputeId && canOpenDispute('renovationProjects', project.status) && (
+                  <Button
+                    variant="outline"
+                    onClick={() => setShowDisputeForm(true)}
+                    className="w-full flex items-center justify-center gap-2"
+                  >
+                    <AlertTriangle className="w-4 h-4" />
+                    Raise Dispute
+                  </Button>
+                )}
               </div>
             </div>
           </div>
@@ -878,6 +887,13 @@ const RenovatorProjectDetails = () => {
           </div>
         </div>
       )}
+
+      <DisputeForm
+        isOpen={showDisputeForm}
+        onClose={() => setShowDisputeForm(false)}
+        targetType="renovation"
+        targetId={project.id}
+      />
     </div>
   );
 };
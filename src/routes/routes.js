@@ -68,6 +68,7 @@ export const ROUTES = {
   // Authenticated Routes
   DASHBOARD: '/dashboard',
   MY_PROJECTS: '/my-projects',
+  JOB_REQUEST_QUOTES: '/job-requests/:id',
   ACCOUNT: '/account',
   OWNER_DASHBOARD: '/owner-dashboard',
   PAYMENT_MOCK: '/payment-mock',
@@ -89,6 +90,7 @@ export const ROUTES = {
   CONSTRUCTOR_PROJECTS: '/constructor/projects',
   CONSTRUCTOR_PROJECT_DETAIL: '/constructor/projects/:id',
   CONSTRUCTOR_PROFILE: '/constructor/profile',
+  CONSTRUCTOR_OPEN_JOBS: '/constructor/open-jobs',
   
   // Renovator Routes
   RENOVATOR_DASHBOARD: '/renovator/dashboard',
@@ -99,6 +101,7 @@ export const ROUTES = {
   RENOVATOR_CHAT: '/renovator/chat',
   RENOVATOR_NOTIFICATIONS: '/renovator/notifications',
   RENOVATOR_PORTFOLIO: '/renovator/portfolio',
+  RENOVATOR_OPEN_JOBS: '/renovator/open-jobs',
   
   // 404
   NOT_FOUND: '*',
@@ -0,0 +1,359 @@
+import { doc, getDoc, runTransaction, serverTimestamp } from 'firebase/firestore';
+import { db, auth } from '../firebase';
+import { addProjectUpdate } from '../utils/projectUpdates';
+import { assertTransition, normalizeStatus } from '../utils/projectStatus';
+
+const AVAILABILITY_COLLECTION = 'propertyAvailability';
+const RENTAL_REQUESTS_COLLECTION = 'rentalRequests';
+const PROPERTIES_COLLECTION = 'properties';
+
+// Rental request statuses that hold the property's dates (legacy 'Approved' included)
+export const BOOKED_STATUSES = ['Accepted', 'Approved', 'Paid', 'On Hold', 'Disputed'];
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Format a date as a local 'YYYY-MM-DD' key (the format used by date inputs and stored ranges)
+ * @param {Date} date - Date to format
+ * @returns {string}
+ */
+export const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+/**
+ * Shift a 'YYYY-MM-DD' key by a number of days
+ * @param {string} dateKey - Date key
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string}
+ */
+export const addDays = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  return toDateKey(new Date(year, month - 1, day + days));
+};
+
+/**
+ * Whether two date ranges overlap. Ranges are half-open: `endDate` is the move-out day and is free
+ * for the next booking to start on.
+ * @param {{startDate: string, endDate: string}} a - First range
+ * @param {{startDate: string, endDate: string}} b - Second range
+ * @returns {boolean}
+ */
+export const rangesOverlap = (a, b) => a.startDate < b.endDate && b.startDate < a.endDate;
+
+/**
+ * Find the first booked or blocked range that overlaps the requested one
+ * @param {Object} availability - { bookedRanges, blockedRanges }
+ * @param {{startDate: string, endDate: string}} range - Requested range
+ * @param {string} ignoreRequestId - Booking to skip (when re-confirming the same request)
+ * @returns {Object|null} - Conflicting range with a `kind` of 'booked' or 'blocked', or null
+ */
+export const findConflict = (availability, range, ignoreRequestId = null) => {
+  const booked = (availability.bookedRanges || [])
+    .filter((r) => r.requestId !== ignoreRequestId)
+    .map((r) => ({ ...r, kind: 'booked' }));
+  const blocked = (availability.blockedRanges || []).map((r) => ({ ...r, kind: 'blocked' }));
+
+  return [...booked, ...blocked].find((r) => rangesOverlap(r, range)) || null;
+};
+
+/**
+ * Validate a date range and return it normalized
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Move-out day (YYYY-MM-DD), after startDate
+ * @returns {{startDate: string, endDate: string}}
+ */
+const toRange = (startDate, endDate) => {
+  if (!DATE_KEY_PATTERN.test(startDate || '') || !DATE_KEY_PATTERN.test(endDate || '')) {
+    throw new Error('Dates must be in YYYY-MM-DD format');
+  }
+  if (endDate <= startDate) {
+    throw new Error('End date must be after start date');
+  }
+  return { startDate, endDate };
+};
+
+const emptyAvailability = (propertyId) => ({
+  propertyId,
+  bookedRanges: [],
+  blockedRanges: [],
+});
+
+/**
+ * Availability Service
+ * Keeps one `propertyAvailability/{propertyId}` document per rental with the date ranges held by
+ * accepted bookings and the ranges the owner has blocked. Accepting a booking goes through a
+ * transaction on that document, so two approvals for overlapping dates cannot both commit. Every
+ * other change to the document is a transaction too, so it cannot drop a range booked meanwhile.
+ * The syncRentalAvailability function also releases the dates of bookings that end on any path
+ * (admin changes, dispute resolutions).
+ */
+class AvailabilityService {
+  /**
+   * Get booked and blocked ranges for a property
+   * @param {string} propertyId - Property document ID
+   * @returns {Promise<Object>} - { propertyId, bookedRanges, blockedRanges }
+   */
+  async getAvailability(propertyId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      if (!propertyId) throw new Error('Property ID is required');
+
+      const availabilitySnap = await getDoc(doc(db, AVAILABILITY_COLLECTION, propertyId));
+      if (!availabilitySnap.exists()) {
+        return emptyAvailability(propertyId);
+      }
+
+      return { ...emptyAvailability(propertyId), ...availabilitySnap.data() };
+    } catch (error) {
+      console.error('Error fetching property availability:', error);
+      throw new Error(error.message || 'Failed to fetch property availability');
+    }
+  }
+
+  /**
+   * Check whether a date range is free for booking
+   * @param {string} propertyId - Property document ID
+   * @param {string} startDate - Move-in day (YYYY-MM-DD)
+   * @param {string} endDate - Move-out day (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} - Conflicting range, or null when available
+   */
+  async checkAvailability(propertyId, startDate, endDate) {
+    const availability = await this.getAvailability(propertyId);
+    return findConflict(availability, toRange(startDate, endDate));
+  }
+
+  /**
+   * Block a date range on the owner's property
+   * @param {string} propertyId - Property document ID
+   * @param {Object} blockData - { startDate, endDate, note }
+   * @returns {Promise<Object>} - The stored blocked range
+   */
+  async blockDates(propertyId, blockData) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const range = toRange(blockData.startDate, blockData.endDate);
+      const block = {
+        id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+        ...range,
+        note: (blockData.note || '').trim(),
+      };
+
+      await runTransaction(db, async (transaction) => {
+        const propertyRef = doc(db, PROPERTIES_COLLECTION, propertyId);
+        const availabilityRef = doc(db, AVAILABILITY_COLLECTION, propertyId);
+        const [propertySnap, availabilitySnap] = await Promise.all([
+          transaction.get(propertyRef),
+          transaction.get(availabilityRef),
+        ]);
+
+        this.assertOwner(propertySnap);
+
+        const availability = availabilitySnap.exists()
+          ? { ...emptyAvailability(propertyId), ...availabilitySnap.data() }
+          : emptyAvailability(propertyId);
+        const conflict = findConflict({ bookedRanges: availability.bookedRanges }, range);
+        if (conflict) {
+          throw new Error(
+            `These dates overlap an accepted booking (${conflict.startDate} to ${conflict.endDate})`
+          );
+        }
+
+        transaction.set(
+          availabilityRef,
+          {
+            propertyId,
+            ownerId: propertySnap.data().ownerId,
+            bookedRanges: availability.bookedRanges,
+            blockedRanges: [...availability.blockedRanges, block],
+            updatedAt: serverTimestamp(),
+          },
+          { merge: true }
+        );
+      });
+
+      return block;
+    } catch (error) {
+      console.error('Error blocking dates:', error);
+      throw new Error(error.message || 'Failed to block dates');
+    }
+  }
+
+  /**
+   * Remove a blocked range
+   * @param {string} propertyId - Property document ID
+   * @param {string} blockId - Blocked range ID
+   * @returns {Promise<void>}
+   */
+  async unblockDates(propertyId, blockId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      await runTransaction(db, async (transaction) => {
+        const availabilityRef = doc(db, AVAILABILITY_COLLECTION, propertyId);
+        const availabilitySnap = await transaction.get(availabilityRef);
+        if (!availabilitySnap.exists()) return;
+
+        transaction.update(availabilityRef, {
+          blockedRanges: (availabilitySnap.data().blockedRanges || []).filter(
+            (r) => r.id !== blockId
+          ),
+          updatedAt: serverTimestamp(),
+        });
+      });
+    } catch (error) {
+      console.error('Error unblocking dates:', error);
+      throw new Error(error.message || 'Failed to unblock dates');
+    }
+  }
+
+  /**
+   * Accept a rental request, holding its dates. Runs as a transaction over the request and the
+   * availability document and fails if the dates overlap another accepted booking or a block.
+   * @param {string} requestId - Rental request document ID
+   * @param {string} status - Accepted status to write (defaults to 'Accepted')
+   * @param {string} role - 'provider' (the property owner) or 'admin'
+   * @returns {Promise<Object>} - The accepted request data
+   */
+  async confirmBooking(requestId, status = 'Accepted', role = 'provider') {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      return await runTransaction(db, async (transaction) => {
+        const requestRef = doc(db, RENTAL_REQUESTS_COLLECTION, requestId);
+        const requestSnap = await transaction.get(requestRef);
+        if (!requestSnap.exists()) {
+          throw new Error('Rental request not found');
+        }
+
+        const request = requestSnap.data();
+        const nextStatus = assertTransition(
+          RENTAL_REQUESTS_COLLECTION,
+          request.status,
+          status,
+          role
+        );
+        const propertyRef = doc(db, PROPERTIES_COLLECTION, request.propertyId);
+        const availabilityRef = doc(db, AVAILABILITY_COLLECTION, request.propertyId);
+        const [propertySnap, availabilitySnap] = await Promise.all([
+          transaction.get(propertyRef),
+          transaction.get(availabilityRef),
+        ]);
+
+        // Admins are checked by the rules on propertyAvailability
+        if (role === 'admin') {
+          if (!propertySnap.exists()) throw new Error('Property not found');
+        } else {
+          this.assertOwner(propertySnap);
+        }
+
+        const range = toRange(request.startDate, request.endDate);
+        const availability = availabilitySnap.exists()
+          ? { ...emptyAvailability(request.propertyId), ...availabilitySnap.data() }
+          : emptyAvailability(request.propertyId);
+
+        const conflict = findConflict(availability, range, requestId);
+        if (conflict) {
+          throw new Error(
+            conflict.kind === 'booked'
+              ? `These dates overlap another accepted booking (${conflict.startDate} to ${conflict.endDate})`
+              : `These dates fall in a blocked period (${conflict.startDate} to ${conflict.endDate})`
+          );
+        }
+
+        const updateId = await addProjectUpdate(
+          RENTAL_REQUESTS_COLLECTION,
+          requestId,
+          nextStatus,
+          auth.currentUser.uid,
+          role === 'admin' ? 'Booking accepted by admin' : 'Booking accepted by owner',
+          { batch: transaction, previousStatus: normalizeStatus(request.status) || request.status }
+        );
+        transaction.update(requestRef, {
+          status: nextStatus,
+          statusUpdateId: updateId,
+          updatedAt: serverTimestamp(),
+        });
+        transaction.set(
+          availabilityRef,
+          {
+            propertyId: request.propertyId,
+            ownerId: propertySnap.data().ownerId,
+            bookedRanges: [
+              ...availability.bookedRanges.filter((r) => r.requestId !== requestId),
+              { requestId, ...range },
+            ],
+            blockedRanges: availability.blockedRanges,
+            updatedAt: serverTimestamp(),
+          },
+          { merge: true }
+        );
+
+        return { id: requestId, ...request, status: nextStatus };
+      });
+    } catch (error) {
+      console.error('Error confirming booking:', error);
+      throw new Error(error.message || 'Failed to confirm booking');
+    }
+  }
+
+  /**
+   * Free the dates held by a booking (after it is rejected or cancelled)
+   * @param {string} propertyId - Property document ID
+   * @param {string} requestId - Rental request document ID
+   * @returns {Promise<void>}
+   */
+  async releaseBooking(propertyId, requestId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      await runTransaction(db, async (transaction) => {
+        const availabilityRef = doc(db, AVAILABILITY_COLLECTION, propertyId);
+        const availabilitySnap = await transaction.get(availabilityRef);
+        const bookedRanges = availabilitySnap.exists()
+          ? availabilitySnap.data().bookedRanges || []
+          : [];
+        if (!bookedRanges.some((r) => r.requestId === requestId)) return;
+
+        transaction.update(availabilityRef, {
+          bookedRanges: bookedRanges.filter((r) => r.requestId !== requestId),
+          updatedAt: serverTimestamp(),
+        });
+      });
+    } catch (error) {
+      console.error('Error releasing booking:', error);
+      throw new Error(error.message || 'Failed to release booking');
+    }
+  }
+
+  /**
+   * Throw unless the signed-in user owns the property
+   * @param {DocumentSnapshot} propertySnap - Property snapshot
+   */
+  assertOwner(propertySnap) {
+    if (!propertySnap.exists()) {
+      throw new Error('Property not found');
+    }
+    if (propertySnap.data().ownerId !== auth?.currentUser?.uid) {
+      throw new Error('Permission denied: Only the property owner can manage its availability');
+    }
+  }
+}
+
+export const availabilityService = new AvailabilityService();
+export default availabilityService;
@@ -4,7 +4,6 @@ import {
   getDoc,
   getDocs,
   addDoc,
-  updateDoc,
   deleteDoc,
   query,
   where,
@@ -12,8 +11,10 @@ import {
   serverTimestamp,
 } from 'firebase/firestore';
 import propertyService from './propertyService';
-import { db } from '../firebase';
+import { db, auth } from '../firebase';
 import notificationService from './notificationService';
+import { updateProjectStatus } from '../utils/projectUpdates';
+import { normalizeStatus } from '../utils/projectStatus';
 
 const BUY_SELL_REQUESTS_COLLECTION = 'buySellRequests';
 
@@ -168,40 +169,46 @@ class BuySellRequestService {
 
   /**
    * Update request status
+   * Transitions follow the status state machine (utils/projectStatus) and are logged in projectUpdates.
    * @param {string} requestId - Request document ID
-   * @param {string} status - New status: 'Accepted', 'Rejected', 'Pending'
+   * @param {string} status - New status, e.g. 'Accepted', 'Rejected', 'Completed', 'Cancelled'
    * @param {string} propertyTitle - Property title for notification
    * @param {string} userId - User ID to notify
+   * @param {string} role - Caller's role on the request: 'provider' (property owner), 'client' or 'admin'
    * @returns {Promise<void>}
    */
-  async updateStatus(requestId, status, propertyTitle, userId) {
+  async updateStatus(requestId, status, propertyTitle, userId, role = 'provider') {
     try {
       if (!db) {
         throw new Error('Firestore database is not initialized');
       }
+      if (!auth?.currentUser) {
+        throw new Error('You must be signed in to update a request');
+      }
 
-      const requestRef = doc(db, BUY_SELL_REQUESTS_COLLECTION, requestId);
-      await updateDoc(requestRef, {
-        status,
-        updatedAt: serverTimestamp(),
+      await updateProjectStatus(BUY_SELL_REQUESTS_COLLECTION, requestId, status, {
+        role,
+        updatedBy: auth.currentUser.uid,
       });
 
       // Notify user
-      if (status === 'Accepted') {
+      if (normalizeStatus(status) === 'Accepted') {
         await notificationService.create(
           userId,
           'Purchase Offer Accepted',
           `Your purchase offer for "${propertyTitle}" has been accepted!`,
           'success',
-          `/account`
+          `/account`,
+          'projectStatus'
         );
-      } else if (status === 'Rejected') {
+      } else if (normalizeStatus(status) === 'Rejected') {
         await notificationService.create(
           userId,
           'Purchase Offer Rejected',
           `Your purchase offer for "${propertyTitle}" has been rejected.`,
           'info',
-          `/account`
+          `/account`,
+          'projectStatus'
         );
       }
     } catch (error) {
@@ -0,0 +1,316 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  orderBy,
+  limit,
+  limitToLast,
+  startAfter,
+  endBefore,
+  updateDoc,
+  deleteField,
+  serverTimestamp,
+  where,
+} from 'firebase/firestore';
+import { db } from '../firebase';
+import { getMessageQueryPrefix, matchesMessageSearch } from '../utils/messageSearch';
+
+// Keep in sync with isOwnEdit() in firestore.rules
+export const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// Keep in sync with isOwnReaction() in firestore.rules
+export const MESSAGE_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Per-user conversation states, stored on the chat document as { [userId]: boolean } like unreadFor
+export const CONVERSATION_STATE_FIELDS = {
+  archived: 'archivedFor',
+  muted: 'mutedFor',
+  pinned: 'pinnedFor',
+};
+
+/**
+ * A user's archive/mute/pin state for a conversation
+ * @param {Object} chat - Chat document data
+ * @param {string} userId - Current user ID
+ * @returns {{ archived: boolean, muted: boolean, pinned: boolean }}
+ */
+export const getConversationState = (chat, userId) => ({
+  archived: chat?.archivedFor?.[userId] === true,
+  muted: chat?.mutedFor?.[userId] === true,
+  pinned: chat?.pinnedFor?.[userId] === true,
+});
+
+/**
+ * Sort conversations pinned first, then by most recent activity
+ * @param {Array} chats - Chat documents with id
+ * @param {string} userId - Current user ID
+ * @returns {Array}
+ */
+export const sortConversations = (chats, userId) => {
+  const time = (chat) => (chat.updatedAt || chat.lastMessageAt)?.toMillis?.() || 0;
+  return [...chats].sort((a, b) => {
+    const pinnedDiff = Number(b.pinnedFor?.[userId] === true) - Number(a.pinnedFor?.[userId] === true);
+    return pinnedDiff || time(b) - time(a);
+  });
+};
+
+/**
+ * Whether a user may still edit a message
+ * @param {Object} message - Message data
+ * @param {string} userId - Current user ID
+ * @returns {boolean}
+ */
+export const canEditMessage = (message, userId) => {
+  const sentAt = message?.createdAt?.toMillis?.();
+  return (
+    !!message &&
+    message.senderId === userId &&
+    !message.deleted &&
+    !!sentAt &&
+    Date.now() - sentAt < MESSAGE_EDIT_WINDOW_MS
+  );
+};
+
+/**
+ * The quoted part of a message stored on replies
+ * @param {Object} message - Message being replied to
+ * @param {string} senderName - Display name of its sender
+ * @returns {{ messageId: string, senderId: string, senderName: string, text: string }}
+ */
+export const buildReplyTo = (message, senderName) => {
+  const attachmentCount = message.attachments?.length || 0;
+  const text = (message.text || '').trim() || (attachmentCount > 0 ? 'Attachment' : '');
+  return {
+    messageId: message.id,
+    senderId: message.senderId,
+    senderName: senderName || message.senderName || 'User',
+    text: text.slice(0, 140),
+  };
+};
+
+/**
+ * Count reactions by emoji
+ * @param {Object} reactions - { [userId]: emoji }
+ * @returns {Array<{ emoji: string, count: number, userIds: Array<string> }>}
+ */
+export const summarizeReactions = (reactions = {}) =>
+  MESSAGE_REACTIONS.map((emoji) => {
+    const userIds = Object.keys(reactions || {}).filter((userId) => reactions[userId] === emoji);
+    return { emoji, count: userIds.length, userIds };
+  }).filter((reaction) => reaction.count > 0);
+
+/**
+ * Chat Service
+ * Per-user conversation states (archive, mute, pin), message search and jump-to-message context, and
+ * changes to existing messages: edit (sender, within MESSAGE_EDIT_WINDOW_MS), delete for everyone
+ * (sender; leaves a tombstone) and per-user emoji reactions. firestore.rules enforces the same limits.
+ */
+class ChatService {
+  /**
+   * Archive, mute or pin a conversation (or undo it) for the current user only
+   * @param {string} chatId - Chat document ID
+   * @param {string} userId - Current user ID
+   * @param {string} state - 'archived', 'muted' or 'pinned'
+   * @param {boolean} value - New value
+   * @returns {Promise<void>}
+   */
+  async setConversationState(chatId, userId, state, value) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      const field = CONVERSATION_STATE_FIELDS[state];
+      if (!field) {
+        throw new Error(`Unknown conversation state: ${state}`);
+      }
+
+      await updateDoc(doc(db, 'chats', chatId), {
+        [`${field}.${userId}`]: value,
+      });
+    } catch (error) {
+      console.error('Error updating conversation state:', error);
+      throw new Error(error.message || 'Failed to update conversation');
+    }
+  }
+
+  /**
+   * Search message text across the given chats for messages with words starting with each word of
+   * the term. Each chat is queried on the searchPrefixes index kept by the onChatMessageWritten
+   * function, so only matching messages are downloaded.
+   * @param {Array<string>} chatIds - Chats to search (the user's own)
+   * @param {string} term - Search term
+   * @param {Object} options - { perChatLimit, maxResults }
+   * @returns {Promise<Array<{ chatId: string, message: Object }>>} - Newest first
+   */
+  async searchMessages(chatIds, term, { perChatLimit = 20, maxResults = 50 } = {}) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      const prefix = getMessageQueryPrefix(term);
+      if (!prefix || chatIds.length === 0) {
+        return [];
+      }
+
+      const perChat = await Promise.all(
+        chatIds.map(async (chatId) => {
+          const snapshot = await getDocs(
+            query(
+              collection(db, 'chats', chatId, 'messages'),
+              where('searchPrefixes', 'array-contains', prefix),
+              orderBy('createdAt', 'desc'),
+              limit(perChatLimit)
+            )
+          );
+          return snapshot.docs
+            .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+            .filter((message) => !message.deleted && matchesMessageSearch(message.text, term))
+            .map((message) => ({ chatId, message }));
+        })
+      );
+
+      return perChat
+        .flat()
+        .sort((a, b) => (b.message.createdAt?.toMillis?.() || 0) - (a.message.createdAt?.toMillis?.() || 0))
+        .slice(0, maxResults);
+    } catch (error) {
+      console.error('Error searching messages:', error);
+      throw new Error(error.message || 'Failed to search messages');
+    }
+  }
+
+  /**
+   * Load a message together with the messages sent just before and after it
+   * @param {string} chatId - Chat document ID
+   * @param {string} messageId - Message to center on
+   * @param {number} size - Messages to load on each side
+   * @returns {Promise<{ messages: Array, hasNewer: boolean }>} - Oldest first
+   */
+  async getMessageContext(chatId, messageId, size = 20) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const messagesRef = collection(db, 'chats', chatId, 'messages');
+      const target = await getDoc(doc(messagesRef, messageId));
+      if (!target.exists()) {
+        throw new Error('Message not found');
+      }
+
+      const [beforeSnapshot, afterSnapshot] = await Promise.all([
+        getDocs(query(messagesRef, orderBy('createdAt', 'asc'), endBefore(target), limitToLast(size))),
+        getDocs(query(messagesRef, orderBy('createdAt', 'asc'), startAfter(target), limit(size + 1))),
+      ]);
+      const toMessage = (docSnap) => ({ id: docSnap.id, ...docSnap.data() });
+
+      return {
+        messages: [
+          ...beforeSnapshot.docs.map(toMessage),
+          toMessage(target),
+          ...afterSnapshot.docs.slice(0, size).map(toMessage),
+        ],
+        hasNewer: afterSnapshot.size > size,
+      };
+    } catch (error) {
+      console.error('Error loading message context:', error);
+      throw new Error(error.message || 'Failed to load message');
+    }
+  }
+
+  /**
+   * Edit the text of one of the current user's messages
+   * @param {string} chatId - Chat document ID
+   * @param {Object} message - Message being edited
+   * @param {string} text - New text
+   * @param {string} userId - Current user ID
+   * @returns {Promise<void>}
+   */
+  async editMessage(chatId, message, text, userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      if (!canEditMessage(message, userId)) {
+        throw new Error('Messages can only be edited for 15 minutes after sending');
+      }
+      const newText = (text || '').trim();
+      if (!newText) {
+        throw new Error('Message cannot be empty');
+      }
+      if (newText === message.text) {
+        return;
+      }
+
+      await updateDoc(doc(db, 'chats', chatId, 'messages', message.id), {
+        text: newText,
+        editedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error editing message:', error);
+      throw new Error(error.message || 'Failed to edit message');
+    }
+  }
+
+  /**
+   * Delete one of the current user's messages for everyone, leaving a tombstone
+   * @param {string} chatId - Chat document ID
+   * @param {Object} message - Message being deleted
+   * @param {string} userId - Current user ID
+   * @returns {Promise<void>}
+   */
+  async deleteMessage(chatId, message, userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      if (message.senderId !== userId) {
+        throw new Error('You can only delete your own messages');
+      }
+
+      await updateDoc(doc(db, 'chats', chatId, 'messages', message.id), {
+        deleted: true,
+        deletedAt: serverTimestamp(),
+        text: '',
+        attachments: [],
+        replyTo: null,
+        reactions: {},
+      });
+    } catch (error) {
+      console.error('Error deleting message:', error);
+      throw new Error(error.message || 'Failed to delete message');
+    }
+  }
+
+  /**
+   * Set the current user's reaction, or clear it when they pick the same emoji again
+   * @param {string} chatId - Chat document ID
+   * @param {Object} message - Message reacted to
+   * @param {string} emoji - One of MESSAGE_REACTIONS
+   * @param {string} userId - Current user ID
+   * @returns {Promise<void>}
+   */
+  async toggleReaction(chatId, message, emoji, userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      if (!MESSAGE_REACTIONS.includes(emoji)) {
+        throw new Error('Unsupported reaction');
+      }
+
+      const current = message.reactions?.[userId];
+      await updateDoc(doc(db, 'chats', chatId, 'messages', message.id), {
+        [`reactions.${userId}`]: current === emoji ? deleteField() : emoji,
+      });
+    } catch (error) {
+      console.error('Error updating reaction:', error);
+      throw new Error(error.message || 'Failed to update reaction');
+    }
+  }
+}
+
+export const chatService = new ChatService();
+export default chatService;
@@ -0,0 +1,188 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+} from 'firebase/firestore';
+import { db, auth } from '../firebase';
+import { functions, httpsCallable } from '../firebase/index';
+import { uploadMultipleImages } from '../firebase/storageFunctions';
+
+const DISPUTES_COLLECTION = 'disputes';
+
+export const DISPUTE_OUTCOMES = {
+  refund: 'Full refund to client',
+  partial_payout: 'Partial refund, rest paid to provider',
+  close: 'Close without refund',
+};
+
+/**
+ * Dispute Service
+ * Either party of a project or booking can open a dispute, which moves it to `Disputed` and holds
+ * its payments. Opening and resolving run in Cloud Functions (`openDispute`, `resolveDispute`);
+ * dispute documents are read-only here.
+ */
+class DisputeService {
+  /**
+   * Open a dispute (client or provider)
+   * @param {Object} disputeData - { targetType, targetId, reason, description }
+   * @param {Array<File>} evidenceFiles - Optional evidence images
+   * @returns {Promise<string>} - Dispute document ID
+   */
+  async openDispute(disputeData, evidenceFiles = []) {
+    try {
+      if (!functions) {
+        throw new Error('Firebase Functions is not initialized');
+      }
+      if (!auth?.currentUser) {
+        throw new Error('Please log in to open a dispute');
+      }
+      if (!disputeData.reason?.trim()) {
+        throw new Error('Please give a reason for the dispute');
+      }
+
+      const evidence = await uploadMultipleImages(
+        evidenceFiles,
+        `disputes/${disputeData.targetType}/${disputeData.targetId}`
+      );
+      const result = await httpsCallable(functions, 'openDispute')({
+        targetType: disputeData.targetType,
+        targetId: disputeData.targetId,
+        reason: disputeData.reason.trim(),
+        description: (disputeData.description || '').trim(),
+        evidence,
+      });
+      return result.data.disputeId;
+    } catch (error) {
+      console.error('Error opening dispute:', error);
+      throw new Error(error.message || 'Failed to open dispute');
+    }
+  }
+
+  /**
+   * Get a dispute by ID
+   * @param {string} disputeId - Dispute document ID
+   * @returns {Promise<Object|null>}
+   */
+  async getById(disputeId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const snapshot = await getDoc(doc(db, DISPUTES_COLLECTION, disputeId));
+      return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+    } catch (error) {
+      console.error('Error getting dispute:', error);
+      throw new Error(error.message || 'Failed to get dispute');
+    }
+  }
+
+  /**
+   * Get the caller's disputes for one project or booking, newest first
+   * @param {string} targetType - 'construction', 'renovation', 'rental' or 'buySell'
+   * @param {string} targetId - Target document ID
+   * @param {string} userId - Current user ID (a party to the dispute)
+   * @returns {Promise<Array>}
+   */
+  async getByTarget(targetType, targetId, userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const q = query(
+        collection(db, DISPUTES_COLLECTION),
+        where('targetType', '==', targetType),
+        where('targetId', '==', targetId),
+        where('participantIds', 'array-contains', userId)
+      );
+      const snapshot = await getDocs(q);
+      return snapshot.docs
+        .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+        .sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+    } catch (error) {
+      console.error('Error getting disputes for target:', error);
+      throw new Error(error.message || 'Failed to get disputes');
+    }
+  }
+
+  /**
+   * Get all disputes (admin), newest first
+   * @param {number} maxResults - Maximum number of disputes
+   * @returns {Promise<Array>}
+   */
+  async getAll(maxResults = 100) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const q = query(
+        collection(db, DISPUTES_COLLECTION),
+        orderBy('createdAt', 'desc'),
+        limit(maxResults)
+      );
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+    } catch (error) {
+      console.error('Error getting disputes:', error);
+      throw new Error(error.message || 'Failed to get disputes');
+    }
+  }
+
+  /**
+   * Load a dispute case file (admin): dispute, target, status timeline, payments and chat history
+   * @param {string} disputeId - Dispute document ID
+   * @returns {Promise<Object>}
+   */
+  async getCase(disputeId) {
+    try {
+      if (!functions) {
+        throw new Error('Firebase Functions is not initialized');
+      }
+
+      const result = await httpsCallable(functions, 'getDisputeCase')({ disputeId });
+      return result.data;
+    } catch (error) {
+      console.error('Error loading dispute case:', error);
+      throw new Error(error.message || 'Failed to load dispute');
+    }
+  }
+
+  /**
+   * Resolve a dispute (admin)
+   * @param {string} disputeId - Dispute document ID
+   * @param {Object} resolution - { outcome, refundAmount, finalStatus, notes }
+   * @returns {Promise<{disputeId: string, refunded: number, status: string}>}
+   */
+  async resolveDispute(disputeId, resolution) {
+    try {
+      if (!functions) {
+        throw new Error('Firebase Functions is not initialized');
+      }
+      if (!DISPUTE_OUTCOMES[resolution.outcome]) {
+        throw new Error('Choose an outcome');
+      }
+
+      const result = await httpsCallable(functions, 'resolveDispute')({
+        disputeId,
+        outcome: resolution.outcome,
+        refundAmount: Number(resolution.refundAmount) || 0,
+        finalStatus: resolution.finalStatus || null,
+        notes: (resolution.notes || '').trim(),
+      });
+      return result.data;
+    } catch (error) {
+      console.error('Error resolving dispute:', error);
+      throw new Error(error.message || 'Failed to resolve dispute');
+    }
+  }
+}
+
+export const disputeService = new DisputeService();
+export default disputeService;
@@ -0,0 +1,232 @@
+import {
+  collection,
+  doc,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db, auth } from '../firebase';
+
+export const PROJECT_COLLECTIONS = {
+  construction: 'constructionProjects',
+  renovation: 'renovationProjects',
+};
+
+export const DUE_CONDITIONS = {
+  upfront: 'Upfront',
+  on_start: 'When work starts',
+  on_completion: 'On completion',
+  on_date: 'By a date',
+  custom: 'Other',
+};
+
+/**
+ * Reference to a project's milestones subcollection
+ * @param {string} projectType - 'construction' or 'renovation'
+ * @param {string} projectId - Project document ID
+ * @returns {CollectionReference}
+ */
+export const getMilestonesRef = (projectType, projectId) => {
+  const collectionName = PROJECT_COLLECTIONS[projectType];
+  if (!collectionName) {
+    throw new Error(`Unknown project type: ${projectType}`);
+  }
+  return collection(db, collectionName, projectId, 'milestones');
+};
+
+/**
+ * Whether a milestone's due condition has been reached
+ * @param {Object} milestone - Milestone data
+ * @param {Object} project - Project data
+ * @returns {boolean}
+ */
+export const isMilestoneDue = (milestone, project) => {
+  const status = (project?.status || '').toLowerCase();
+  switch (milestone.dueCondition) {
+    case 'upfront':
+      return true;
+    case 'on_start':
+      return ['in progress', 'inprogress', 'completed'].includes(status);
+    case 'on_completion':
+      return status === 'completed';
+    case 'on_date':
+      return !!milestone.dueDate && milestone.dueDate <= new Date().toISOString().slice(0, 10);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Totals for a project's milestones
+ * @param {Array} milestones - Milestone list
+ * @param {number} budget - Project budget, used when it exceeds the scheduled total
+ * @returns {{total: number, paid: number, outstanding: number, paidCount: number, progress: number}}
+ */
+export const summarizeMilestones = (milestones, budget = 0) => {
+  const scheduled = milestones.reduce((sum, milestone) => sum + (Number(milestone.amount) || 0), 0);
+  const paidMilestones = milestones.filter((milestone) => milestone.status === 'paid');
+  const paid = paidMilestones.reduce((sum, milestone) => sum + (Number(milestone.amount) || 0), 0);
+  const total = Math.max(scheduled, Number(budget) || 0);
+
+  return {
+    total,
+    paid,
+    outstanding: Math.max(total - paid, 0),
+    paidCount: paidMilestones.length,
+    progress: total > 0 ? Math.round((paid / total) * 100) : 0,
+  };
+};
+
+/**
+ * Check and normalize milestone fields entered by a provider
+ * @param {Object} milestoneData - { name, amount, dueCondition, dueDate, dueNote }
+ * @returns {Object}
+ */
+const normalizeMilestone = (milestoneData) => {
+  const name = (milestoneData.name || '').trim();
+  const amount = Math.round(Number(milestoneData.amount) * 100) / 100;
+  const dueCondition = milestoneData.dueCondition;
+
+  if (!name) {
+    throw new Error('Milestone name is required');
+  }
+  if (!amount || amount <= 0) {
+    throw new Error('Milestone amount must be greater than 0');
+  }
+  if (!DUE_CONDITIONS[dueCondition]) {
+    throw new Error('Please choose when the milestone is due');
+  }
+  if (dueCondition === 'on_date' && !milestoneData.dueDate) {
+    throw new Error('Please choose a due date');
+  }
+  if (dueCondition === 'custom' && !(milestoneData.dueNote || '').trim()) {
+    throw new Error('Please describe when the milestone is due');
+  }
+
+  return {
+    name,
+    amount,
+    dueCondition,
+    dueDate: dueCondition === 'on_date' ? milestoneData.dueDate : null,
+    dueNote: (milestoneData.dueNote || '').trim(),
+  };
+};
+
+/**
+ * Milestone Service
+ * Payment milestones for construction and renovation projects, stored in the project's
+ * `milestones` subcollection. Providers propose milestones, clients approve them, and an approved
+ * milestone is paid through the card payment flow; the payment Cloud Functions mark it `paid` once
+ * the gateway confirms the payment.
+ */
+class MilestoneService {
+  /**
+   * Propose a milestone (provider)
+   * @param {string} projectType - 'construction' or 'renovation'
+   * @param {string} projectId - Project document ID
+   * @param {Object} milestoneData - { name, amount, dueCondition, dueDate, dueNote, order }
+   * @returns {Promise<string>} - Milestone document ID
+   */
+  async create(projectType, projectId, milestoneData) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      if (!auth?.currentUser) {
+        throw new Error('You must be logged in to add milestones');
+      }
+
+      const docRef = await addDoc(getMilestonesRef(projectType, projectId), {
+        ...normalizeMilestone(milestoneData),
+        projectId,
+        projectType,
+        order: Number(milestoneData.order) || 0,
+        status: 'proposed',
+        createdBy: auth.currentUser.uid,
+        transactionId: null,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      return docRef.id;
+    } catch (error) {
+      console.error('Error creating milestone:', error);
+      throw new Error(error.message || 'Failed to add milestone');
+    }
+  }
+
+  /**
+   * Edit a milestone that the client has not approved yet (provider)
+   * @param {string} projectType - 'construction' or 'renovation'
+   * @param {string} projectId - Project document ID
+   * @param {string} milestoneId - Milestone document ID
+   * @param {Object} milestoneData - { name, amount, dueCondition, dueDate, dueNote }
+   * @returns {Promise<void>}
+   */
+  async update(projectType, projectId, milestoneId, milestoneData) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      await updateDoc(doc(getMilestonesRef(projectType, projectId), milestoneId), {
+        ...normalizeMilestone(milestoneData),
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error updating milestone:', error);
+      throw new Error(error.message || 'Failed to update milestone');
+    }
+  }
+
+  /**
+   * Remove a milestone that the client has not approved yet (provider)
+   * @param {string} projectType - 'construction' or 'renovation'
+   * @param {string} projectId - Project document ID
+   * @param {string} milestoneId - Milestone document ID
+   * @returns {Promise<void>}
+   */
+  async delete(projectType, projectId, milestoneId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      await deleteDoc(doc(getMilestonesRef(projectType, projectId), milestoneId));
+    } catch (error) {
+      console.error('Error deleting milestone:', error);
+      throw new Error(error.message || 'Failed to delete milestone');
+    }
+  }
+
+  /**
+   * Approve a proposed milestone so it can be paid (client)
+   * @param {string} projectType - 'construction' or 'renovation'
+   * @param {string} projectId - Project document ID
+   * @param {string} milestoneId - Milestone document ID
+   * @returns {Promise<void>}
+   */
+  async approve(projectType, projectId, milestoneId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      if (!auth?.currentUser) {
+        throw new Error('You must be logged in to approve milestones');
+      }
+
+      await updateDoc(doc(getMilestonesRef(projectType, projectId), milestoneId), {
+        status: 'approved',
+        approvedBy: auth.currentUser.uid,
+        approvedAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error approving milestone:', error);
+      throw new Error(error.message || 'Failed to approve milestone');
+    }
+  }
+}
+
+export const milestoneService = new MilestoneService();
+export default milestoneService;
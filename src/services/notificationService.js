@@ -7,10 +7,13 @@ import {
   updateDoc,
   deleteDoc,
   doc,
+  getDoc,
   writeBatch,
   serverTimestamp,
 } from 'firebase/firestore';
 import { db, auth } from '../firebase'; // AUTO-FIXED: Added auth import for rule compliance
+import { functions, httpsCallable } from '../firebase/index';
+import { resolveNotificationPrefs, isChannelEnabled } from '../utils/notificationPrefs';
 
 const NOTIFICATIONS_COLLECTION = 'notifications';
 
@@ -28,9 +31,12 @@ class NotificationService {
    * @param {string} message - Notification message
    * @param {string} type - Notification type: 'service-request', 'admin', 'system', 'status-update', 'info', 'success', 'warning', 'error'
    * @param {string} link - Optional link URL
-   * @returns {Promise<string>} - Notification document ID
+   * @param {string} category - Preference category (see utils/notificationPrefs); omit for notices
+   *   that are always delivered
+   * @returns {Promise<string|null>} - Notification document ID, or null if the recipient turned the
+   *   category's in-app notifications off
    */
-  async create(userId, title, message, type = 'info', link = null) {
+  async create(userId, title, message, type = 'info', link = null, category = null) {
     try {
       // AUTO-FIXED: Check authentication per Firestore rules
       if (!auth || !auth.currentUser) {
@@ -45,11 +51,20 @@ class NotificationService {
         throw new Error('userId, title, and message are required');
       }
 
+      if (category) {
+        const userDoc = await getDoc(doc(db, 'users', userId));
+        const prefs = resolveNotificationPrefs(userDoc.exists() ? userDoc.data().notificationPrefs : null);
+        if (!isChannelEnabled(prefs, category, 'inApp')) {
+          return null;
+        }
+      }
+
       const notificationData = {
         userId,
         title,
         message,
         type,
+        category,
         read: false,
         link,
         createdAt: serverTimestamp(),
@@ -70,42 +85,65 @@ class NotificationService {
    * @param {string} message - Notification message
    * @param {string} type - Notification type
    * @param {string} link - Optional link URL
-   * @returns {Promise<string>} - Notification document ID
+   * @param {string} category - Preference category
+   * @returns {Promise<string|null>} - Notification document ID
    */
-  async sendNotification(userId, title, message, type = 'info', link = null) {
-    return this.create(userId, title, message, type, link);
+  async sendNotification(userId, title, message, type = 'info', link = null, category = null) {
+    return this.create(userId, title, message, type, link, category);
   }
 
   /**
-   * Broadcast notification to all users (admin only)
-   * AUTO-FIXED: Disabled - violates Firestore rules (users collection is owner-only)
+   * Broadcast an announcement to a segment of users (admin only)
+   * Delivery runs in the `sendBroadcast` Cloud Function, which can read every user and writes the
+   * notifications in batches. A future `scheduledAt` stores the broadcast for later delivery.
    * @param {string} title - Notification title
    * @param {string} message - Notification message
-   * @param {string} type - Notification type
-   * @param {string} link - Optional link URL
-   * @returns {Promise<void>}
+   * @param {Object} options - { segment: 'all' | 'constructors' | 'renovators' | 'owners' | 'city', city, link, scheduledAt }
+   * @returns {Promise<{broadcastId: string, status: string, deliveredCount: number}>}
    */
-  async broadcast(title, message, type = 'info', link = null) {
+  async broadcast(title, message, options = {}) {
     try {
-      if (!db) {
-        throw new Error('Firestore database is not initialized');
+      if (!functions) {
+        throw new Error('Firebase Functions is not initialized');
       }
 
       if (!title || !message) {
         throw new Error('title and message are required');
       }
 
-      // AUTO-FIXED: Broadcast requires reading all users, which is not allowed by current Firestore rules
-      // This function will fail with permission denied
-      // For now, we'll return an error message
-      console.warn('Broadcast notifications are not supported with current Firestore rules');
-      throw new Error('Broadcast notifications require admin access. Please use create() to send individual notifications.');
+      const result = await httpsCallable(functions, 'sendBroadcast')({
+        title,
+        message,
+        segment: options.segment || 'all',
+        city: options.city || null,
+        link: options.link || null,
+        scheduledAt: options.scheduledAt ? new Date(options.scheduledAt).toISOString() : null,
+      });
+      return result.data;
     } catch (error) {
       console.error('Error broadcasting notification:', error);
       throw new Error(error.message || 'Failed to broadcast notification');
     }
   }
 
+  /**
+   * Cancel a scheduled broadcast (admin only)
+   * @param {string} broadcastId - Broadcast document ID
+   * @returns {Promise<void>}
+   */
+  async cancelBroadcast(broadcastId) {
+    try {
+      if (!functions) {
+        throw new Error('Firebase Functions is not initialized');
+      }
+
+      await httpsCallable(functions, 'cancelBroadcast')({ broadcastId });
+    } catch (error) {
+      console.error('Error cancelling broadcast:', error);
+      throw new Error(error.message || 'Failed to cancel broadcast');
+    }
+  }
+
   /**
    * Mark notification as read
    * AUTO-FIXED: Requires authentication per Firestore rules
@@ -318,7 +356,8 @@ class NotificationService {
         'Property Approved',
         `Your property "${propertyTitle}" has been approved and is now live!`,
         'success',
-        `/properties/${propertyId}`
+        `/properties/${propertyId}`,
+        'propertyModeration'
       );
     } catch (error) {
       console.error('Error notifying user about property approval:', error);
@@ -348,7 +387,8 @@ class NotificationService {
         'New Construction Request Assigned',
         `You have been assigned a new ${projectType} project. Budget: ${budgetFormatted}`,
         'service-request',
-        `/constructor/projects/${projectId}`
+        `/constructor/projects/${projectId}`,
+        'projectStatus'
       );
     } catch (error) {
       console.error('Error notifying provider about new request:', error);
@@ -371,7 +411,8 @@ class NotificationService {
         'New Message from Client',
         `${clientName} sent you a message`,
         'info',
-        `/chat?chatId=${chatId}`
+        `/chat?chatId=${chatId}`,
+        'chat'
       );
     } catch (error) {
       console.error('Error notifying provider about new message:', error);
@@ -421,7 +462,8 @@ class NotificationService {
         'Project Status Updated',
         `Your ${projectType} project status has been updated to: ${newStatus}`,
         'status-update',
-        link
+        link,
+        'projectStatus'
       );
     } catch (error) {
       console.error('Error notifying client about status update:', error);
@@ -449,7 +491,8 @@ class NotificationService {
         'New Project Update',
         `Your ${projectType} project has a new update from the provider`,
         'info',
-        link
+        link,
+        'projectStatus'
       );
     } catch (error) {
       console.error('Error notifying client about new update:', error);
@@ -472,7 +515,8 @@ class NotificationService {
         'New Message from Provider',
         `${providerName} sent you a message`,
         'info',
-        `/chat?chatId=${chatId}`
+        `/chat?chatId=${chatId}`,
+        'chat'
       );
     } catch (error) {
       console.error('Error notifying client about new message:', error);
@@ -0,0 +1,111 @@
+import { doc, onSnapshot } from 'firebase/firestore';
+import { db } from '../firebase';
+import { functions, httpsCallable } from '../firebase/index';
+
+const SETTLEMENT_TIMEOUT_MS = 60000;
+
+/**
+ * Call a payment Cloud Function, unwrapping its result
+ * @param {string} name - Callable function name
+ * @param {Object} payload - Request data
+ * @returns {Promise<Object>}
+ */
+const callPaymentFunction = async (name, payload) => {
+  if (!functions) {
+    throw new Error('Firebase Functions is not initialized');
+  }
+  const result = await httpsCallable(functions, name)(payload);
+  return result.data;
+};
+
+/**
+ * Payment Service
+ * Card payments go through the payment gateway configured for the Cloud Functions (the in-process
+ * mock by default, or the local stand-in gateway). The client creates an intent, confirms it with
+ * card details and then waits for the gateway's callback to settle the `transactions` document -
+ * it never marks a payment successful itself.
+ */
+class PaymentService {
+  /**
+   * Create a pending transaction and a gateway payment intent
+   * @param {Object} paymentData - { targetType, targetId, amount, currency }
+   * @returns {Promise<{transactionId: string, clientSecret: string}>}
+   */
+  async createIntent(paymentData) {
+    try {
+      return await callPaymentFunction('createPaymentIntent', paymentData);
+    } catch (error) {
+      console.error('Error creating payment intent:', error);
+      throw new Error(error.message || 'Failed to start payment');
+    }
+  }
+
+  /**
+   * Confirm a payment intent with card details
+   * @param {string} transactionId - Transaction created by createIntent
+   * @param {Object} card - { number, name, expiry, cvc }
+   * @returns {Promise<{transactionId: string, status: string}>} - Status may still be 'pending'
+   */
+  async confirm(transactionId, card) {
+    try {
+      return await callPaymentFunction('confirmPayment', { transactionId, card });
+    } catch (error) {
+      console.error('Error confirming payment:', error);
+      throw new Error(error.message || 'Failed to confirm payment');
+    }
+  }
+
+  /**
+   * Refund a successful card payment (admin only)
+   * @param {string} transactionId - Transaction document ID
+   * @returns {Promise<{transactionId: string, refundId: string, status: string}>}
+   */
+  async refund(transactionId) {
+    try {
+      return await callPaymentFunction('refundPayment', { transactionId });
+    } catch (error) {
+      console.error('Error refunding payment:', error);
+      throw new Error(error.message || 'Failed to refund payment');
+    }
+  }
+
+  /**
+   * Wait until the gateway callback settles a transaction
+   * @param {string} transactionId - Transaction document ID
+   * @param {number} timeoutMs - How long to wait before giving up
+   * @returns {Promise<Object>} - Settled transaction ({ id, status, failureReason, ... })
+   */
+  waitForSettlement(transactionId, timeoutMs = SETTLEMENT_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      if (!db) {
+        reject(new Error('Firestore database is not initialized'));
+        return;
+      }
+
+      let unsubscribe = () => {};
+      const timer = setTimeout(() => {
+        unsubscribe();
+        reject(new Error('Payment is still processing. Check your transactions later.'));
+      }, timeoutMs);
+
+      unsubscribe = onSnapshot(
+        doc(db, 'transactions', transactionId),
+        (snapshot) => {
+          const transaction = snapshot.data();
+          if (transaction && transaction.status !== 'pending') {
+            clearTimeout(timer);
+            unsubscribe();
+            resolve({ id: snapshot.id, ...transaction });
+          }
+        },
+        (error) => {
+          clearTimeout(timer);
+          reject(new Error(error.message || 'Failed to track payment'));
+        }
+      );
+    });
+  }
+}
+
+export const paymentService = new PaymentService();
+export default paymentService;
@@ -0,0 +1,285 @@
+import {
+  doc,
+  getDoc,
+  setDoc,
+  deleteDoc,
+  collection,
+  onSnapshot,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db, auth } from '../firebase';
+
+const PRESENCE_COLLECTION = 'presence';
+const HEARTBEATS_COLLECTION = 'presenceHeartbeats';
+
+// Firestore has no disconnect hook, so "online" means a heartbeat within the last ONLINE_WINDOW_MS.
+// Users who hide their last seen publish no heartbeat time; the expireHiddenPresence function marks
+// them offline once their private heartbeat stops (functions/presence.js uses the same window).
+export const HEARTBEAT_INTERVAL_MS = 60 * 1000;
+export const ONLINE_WINDOW_MS = 2.5 * 60 * 1000;
+
+// Typing writes at most once per TYPING_THROTTLE_MS; a typing flag older than TYPING_TIMEOUT_MS is ignored
+export const TYPING_THROTTLE_MS = 3000;
+export const TYPING_TIMEOUT_MS = 6000;
+
+const toMillis = (value) => value?.toMillis?.() ?? (typeof value === 'number' ? value : null);
+
+/**
+ * Describe a presence document for display
+ * @param {Object|null} presence - presence/{uid} data
+ * @returns {{ online: boolean, lastSeen: (Date|null), label: string }}
+ */
+export const describePresence = (presence) => {
+  if (!presence) {
+    return { online: false, lastSeen: null, label: '' };
+  }
+
+  if (presence.showLastSeen === false) {
+    return presence.state === 'online'
+      ? { online: true, lastSeen: null, label: 'Online' }
+      : { online: false, lastSeen: null, label: '' };
+  }
+
+  const lastActive = toMillis(presence.lastActiveAt);
+  const online = presence.state === 'online' && !!lastActive && Date.now() - lastActive < ONLINE_WINDOW_MS;
+  if (online) {
+    return { online: true, lastSeen: null, label: 'Online' };
+  }
+
+  const lastSeenMillis = toMillis(presence.lastSeenAt) || lastActive;
+  if (!lastSeenMillis) {
+    return { online: false, lastSeen: null, label: '' };
+  }
+
+  const lastSeen = new Date(lastSeenMillis);
+  const minutes = Math.floor((Date.now() - lastSeenMillis) / 60000);
+  let label;
+  if (minutes < 1) label = 'Last seen just now';
+  else if (minutes < 60) label = `Last seen ${minutes}m ago`;
+  else if (minutes < 24 * 60) label = `Last seen ${Math.floor(minutes / 60)}h ago`;
+  else label = `Last seen ${lastSeen.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}`;
+
+  return { online: false, lastSeen, label };
+};
+
+/**
+ * Presence Service
+ * Online / last-seen status in `presence/{uid}` and per-chat typing flags in `chats/{chatId}/typing/{uid}`.
+ * Users who hide their last seen keep showing as online, but no activity time is stored on their public
+ * presence document: their heartbeat goes to the owner-only `presenceHeartbeats/{uid}`.
+ */
+class PresenceService {
+  constructor() {
+    this.showLastSeen = true;
+  }
+
+  /**
+   * Mark the user online and keep refreshing the heartbeat while the tab is visible
+   * @param {string} userId - Current user ID
+   * @returns {Function} - Stop tracking (marks the user offline)
+   */
+  startTracking(userId) {
+    if (!db || !userId) {
+      return () => {};
+    }
+
+    let intervalId = null;
+
+    const beat = () => this.setOnline(userId).catch((error) => console.error('Error updating presence:', error));
+    const start = () => {
+      if (intervalId) return;
+      beat();
+      intervalId = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+    };
+    const stop = () => {
+      if (intervalId) {
+        clearInterval(intervalId);
+        intervalId = null;
+      }
+      // After sign-out the write would be rejected; logout marks the user offline beforehand
+      if (auth?.currentUser?.uid === userId) {
+        this.setOffline(userId).catch((error) => console.error('Error updating presence:', error));
+      }
+    };
+    const handleVisibility = () => (document.visibilityState === 'visible' ? start() : stop());
+
+    // Load the privacy setting before the first write so it is never overwritten
+    this.getShowLastSeen(userId)
+      .catch(() => true)
+      .finally(() => {
+        if (document.visibilityState === 'visible') start();
+      });
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('pagehide', stop);
+
+    return () => {
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('pagehide', stop);
+      stop();
+    };
+  }
+
+  /**
+   * Write an online heartbeat (privately when the user hides their last seen)
+   * @param {string} userId - Current user ID
+   * @returns {Promise<void>}
+   */
+  async setOnline(userId) {
+    if (!this.showLastSeen) {
+      await setDoc(doc(db, HEARTBEATS_COLLECTION, userId), { lastActiveAt: serverTimestamp() });
+    }
+    await setDoc(
+      doc(db, PRESENCE_COLLECTION, userId),
+      {
+        state: 'online',
+        lastActiveAt: this.showLastSeen ? serverTimestamp() : null,
+        showLastSeen: this.showLastSeen,
+      },
+      { merge: true }
+    );
+  }
+
+  /**
+   * Mark the user offline, recording the last-seen time unless they hide it
+   * @param {string} userId - Current user ID
+   * @returns {Promise<void>}
+   */
+  async setOffline(userId) {
+    await setDoc(
+      doc(db, PRESENCE_COLLECTION, userId),
+      {
+        state: 'offline',
+        lastSeenAt: this.showLastSeen ? serverTimestamp() : null,
+        lastActiveAt: this.showLastSeen ? serverTimestamp() : null,
+        showLastSeen: this.showLastSeen,
+      },
+      { merge: true }
+    );
+  }
+
+  /**
+   * Read the user's last-seen privacy setting
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>}
+   */
+  async getShowLastSeen(userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const snapshot = await getDoc(doc(db, PRESENCE_COLLECTION, userId));
+      this.showLastSeen = snapshot.exists() ? snapshot.data().showLastSeen !== false : true;
+      return this.showLastSeen;
+    } catch (error) {
+      console.error('Error getting last seen setting:', error);
+      throw new Error(error.message || 'Failed to get last seen setting');
+    }
+  }
+
+  /**
+   * Show or hide the user's last-seen time from other users
+   * @param {string} userId - Current user ID
+   * @param {boolean} showLastSeen - Whether others may see when the user was last online
+   * @returns {Promise<void>}
+   */
+  async setShowLastSeen(userId, showLastSeen) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      this.showLastSeen = !!showLastSeen;
+      if (!this.showLastSeen) {
+        // Keeps the user online until the next heartbeat, which is then stored only privately
+        await setDoc(doc(db, HEARTBEATS_COLLECTION, userId), { lastActiveAt: serverTimestamp() });
+      }
+      await setDoc(
+        doc(db, PRESENCE_COLLECTION, userId),
+        {
+          showLastSeen: this.showLastSeen,
+          // Drop any stored activity time when hiding it
+          ...(this.showLastSeen ? {} : { lastSeenAt: null, lastActiveAt: null }),
+        },
+        { merge: true }
+      );
+    } catch (error) {
+      console.error('Error updating last seen setting:', error);
+      throw new Error(error.message || 'Failed to update last seen setting');
+    }
+  }
+
+  /**
+   * Listen to one user's presence
+   * @param {string} userId - User to watch
+   * @param {Function} callback - Called with the presence data, or null
+   * @returns {Function} - Unsubscribe
+   */
+  subscribe(userId, callback) {
+    if (!db || !userId) {
+      callback(null);
+      return () => {};
+    }
+
+    return onSnapshot(
+      doc(db, PRESENCE_COLLECTION, userId),
+      (snapshot) => callback(snapshot.exists() ? snapshot.data() : null),
+      (error) => {
+        console.error('Error listening to presence:', error);
+        callback(null);
+      }
+    );
+  }
+
+  /**
+   * Set or clear the user's typing flag in a chat
+   * @param {string} chatId - Chat document ID
+   * @param {string} userId - Current user ID
+   * @param {boolean} isTyping - Whether the user is typing
+   * @returns {Promise<void>}
+   */
+  async setTyping(chatId, userId, isTyping) {
+    if (!db || !chatId || !userId) return;
+
+    const typingRef = doc(db, 'chats', chatId, 'typing', userId);
+    if (isTyping) {
+      await setDoc(typingRef, { userId, typingAt: serverTimestamp() });
+    } else {
+      await deleteDoc(typingRef);
+    }
+  }
+
+  /**
+   * Listen to who else is typing in a chat
+   * @param {string} chatId - Chat document ID
+   * @param {string} currentUserId - Excluded from the result
+   * @param {Function} callback - Called with [{ userId, typingAt (millis) }]; callers drop entries
+   *   older than TYPING_TIMEOUT_MS, since a closed tab never clears its flag
+   * @returns {Function} - Unsubscribe
+   */
+  subscribeTyping(chatId, currentUserId, callback) {
+    if (!db || !chatId) {
+      callback([]);
+      return () => {};
+    }
+
+    return onSnapshot(
+      collection(db, 'chats', chatId, 'typing'),
+      (snapshot) => {
+        callback(
+          snapshot.docs
+            .filter((docSnap) => docSnap.id !== currentUserId)
+            // Pending server timestamps read as null locally; treat those as "now"
+            .map((docSnap) => ({ userId: docSnap.id, typingAt: toMillis(docSnap.data().typingAt) ?? Date.now() }))
+        );
+      },
+      (error) => {
+        console.error('Error listening to typing status:', error);
+        callback([]);
+      }
+    );
+  }
+}
+
+export const presenceService = new PresenceService();
+export default presenceService;
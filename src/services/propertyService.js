@@ -16,6 +16,13 @@ import {
 } from 'firebase/firestore';
 import { db } from '../firebase';
 import { uploadMultipleImages, deleteImage } from '../firebase/storageFunctions';
+import {
+  MAX_QUERY_GRAMS,
+  buildQueryGrams,
+  rankProperties,
+  scoreProperty,
+  tokenize,
+} from '../utils/searchIndex';
 
 // Safety check for Firebase services
 const checkFirebaseServices = () => {
@@ -35,6 +42,168 @@ const checkFirebaseServices = () => {
 const PROPERTIES_COLLECTION = 'properties';
 const PROPERTY_TYPES = ['sale', 'rent', 'renovation', 'buy', 'sell'];
 const PROPERTY_STATUSES = ['draft', 'pending', 'published', 'sold', 'rented', 'archived'];
+const DEFAULT_PAGE_SIZE = 12;
+const SEARCH_PAGE_SIZE = 100;
+const MAX_SEARCH_CANDIDATES = 1000;
+const MAX_SEARCH_RESULTS = 200;
+const MAX_BATCH_SIZE = 60;
+const MAX_BATCHES_PER_PAGE = 5;
+
+// Older listings may have no status, listingType or cityKey. Until
+// scripts/backfill-property-fields.cjs has filled them in (then set
+// VITE_PROPERTY_FIELDS_BACKFILLED=true), those filters run client-side with the legacy rules.
+// The sort still runs in Firestore in both modes, so listings without createdAt (or without price,
+// when sorting by price) are left out of browse results until the backfill gives them one.
+const LEGACY_PROPERTY_FIELDS = import.meta.env.VITE_PROPERTY_FIELDS_BACKFILLED !== 'true';
+
+/**
+ * Normalize a city name into the lowercase key stored on property documents
+ * @param {string} city - City name as entered
+ * @returns {string|null} - Lowercased, trimmed city or null
+ */
+export const toCityKey = (city) => {
+  if (typeof city !== 'string' || !city.trim()) return null;
+  return city.trim().toLowerCase().replace(/\s+/g, ' ');
+};
+
+/**
+ * Firestore equality constraints for status/type/owner/featured/city filters
+ * With LEGACY_PROPERTY_FIELDS the status, type and city filters are returned as residual filters
+ * instead, since a missing field never matches an equality filter.
+ * @param {Object} filters - Filter criteria
+ * @returns {{constraints: Array, residual: Object}} - where() constraints and residual filters
+ */
+const buildEqualityConstraints = (filters = {}) => {
+  const constraints = [];
+  const residual = {};
+  if (filters.ownerId) constraints.push(where('ownerId', '==', filters.ownerId));
+  if (filters.featured !== undefined) {
+    constraints.push(where('featured', '==', Boolean(filters.featured)));
+  }
+
+  const type = filters.type ? filters.type.toLowerCase() : null;
+  const cityKey = toCityKey(filters.city);
+  if (LEGACY_PROPERTY_FIELDS) {
+    if (filters.status) residual.status = filters.status;
+    if (type) residual.type = type;
+    if (cityKey) residual.city = cityKey;
+    return { constraints, residual };
+  }
+
+  if (filters.status) constraints.push(where('status', '==', filters.status));
+  if (type) constraints.push(where('listingType', '==', type));
+  if (cityKey) constraints.push(where('cityKey', '==', cityKey));
+  return { constraints, residual };
+};
+
+/**
+ * Split filters into Firestore query constraints and filters applied client-side per batch
+ * @param {Object} filters - Filter criteria
+ * @param {Object} options - Sort options
+ * @returns {{constraints: Array, residual: Object}}
+ */
+const buildPropertyQuery = (filters = {}, options = {}) => {
+  const { constraints, residual } = buildEqualityConstraints(filters);
+  const sortBy = options.sortBy === 'price' ? 'price' : 'createdAt';
+  const sortOrder = options.sortOrder === 'asc' ? 'asc' : 'desc';
+
+  const hasMinPrice = typeof filters.minPrice === 'number';
+  const hasMaxPrice = typeof filters.maxPrice === 'number';
+  if (sortBy === 'price') {
+    if (hasMinPrice) constraints.push(where('price', '>=', filters.minPrice));
+    if (hasMaxPrice) constraints.push(where('price', '<=', filters.maxPrice));
+  } else {
+    if (hasMinPrice) residual.minPrice = filters.minPrice;
+    if (hasMaxPrice) residual.maxPrice = filters.maxPrice;
+  }
+  constraints.push(orderBy(sortBy, sortOrder));
+
+  ['minBedrooms', 'minBathrooms', 'minArea'].forEach((key) => {
+    if (typeof filters[key] === 'number') residual[key] = filters[key];
+  });
+  ['furnished', 'parking'].forEach((key) => {
+    if (filters[key] !== undefined && filters[key] !== null) residual[key] = Boolean(filters[key]);
+  });
+
+  return { constraints, residual };
+};
+
+/**
+ * Check a property against the filters Firestore could not apply
+ * @param {Object} property - Property data
+ * @param {Object} residual - Residual filters from buildPropertyQuery
+ * @returns {boolean}
+ */
+const matchesResidualFilters = (property, residual) => {
+  // Legacy rules: a missing status counts as published (see getPage), listingType wins over type
+  // and the city matches as a substring
+  if (residual.status !== undefined && property.status !== residual.status) return false;
+  if (
+    residual.type !== undefined &&
+    (property.listingType || property.type || '').toLowerCase() !== residual.type
+  ) {
+    return false;
+  }
+  if (
+    residual.city !== undefined &&
+    !(toCityKey(property.address?.city || property.city) || '').includes(residual.city)
+  ) {
+    return false;
+  }
+  if (residual.minPrice !== undefined && (property.price || 0) < residual.minPrice) return false;
+  if (residual.maxPrice !== undefined && (property.price || 0) > residual.maxPrice) return false;
+  if (residual.minBedrooms !== undefined && (property.bedrooms || 0) < residual.minBedrooms) {
+    return false;
+  }
+  if (residual.minBathrooms !== undefined && (property.bathrooms || 0) < residual.minBathrooms) {
+    return false;
+  }
+  if (residual.minArea !== undefined && (property.areaSqFt || 0) < residual.minArea) return false;
+  if (residual.furnished !== undefined && Boolean(property.furnished) !== residual.furnished) {
+    return false;
+  }
+  if (residual.parking !== undefined && Boolean(property.parking) !== residual.parking) {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Page through the properties matching a search index constraint, keeping the ones that pass the
+ * residual filters and score above zero, until `wanted` matches are collected or the candidates
+ * (up to MAX_SEARCH_CANDIDATES reads) run out
+ * @param {Array} constraints - Equality constraints plus one array-contains-any constraint
+ * @param {Array<string>} queryTokens - Tokenized search query
+ * @param {Object} residual - Residual filters from buildPropertyQuery
+ * @param {Map} matches - Matching properties by ID, filled in place (shared between passes)
+ * @param {number} wanted - Number of matches to stop at
+ * @returns {Promise<void>}
+ */
+const collectSearchMatches = async (constraints, queryTokens, residual, matches, wanted) => {
+  let lastDoc = null;
+  let read = 0;
+
+  while (matches.size < wanted && read < MAX_SEARCH_CANDIDATES) {
+    const pageConstraints = [...constraints, limit(SEARCH_PAGE_SIZE)];
+    if (lastDoc) pageConstraints.push(startAfter(lastDoc));
+    const snapshot = await getDocs(
+      query(collection(db, PROPERTIES_COLLECTION), ...pageConstraints)
+    );
+
+    snapshot.docs.forEach((docSnap) => {
+      if (matches.has(docSnap.id)) return;
+      const data = docSnap.data();
+      const property = { id: docSnap.id, ...data, status: data.status || 'published' };
+      if (matchesResidualFilters(property, residual) && scoreProperty(property, queryTokens) > 0) {
+        matches.set(docSnap.id, property);
+      }
+    });
+
+    read += snapshot.size;
+    if (snapshot.size < SEARCH_PAGE_SIZE) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+};
 
 // In-memory cache for storage path to download URL conversions (read-time normalization)
 const storagePathToUrlCache = new Map();
@@ -260,6 +429,8 @@ class PropertyService {
           country: propertyData.address.country || propertyData.country || 'Pakistan',
           postalCode: propertyData.address.postalCode || propertyData.postalCode || null,
         },
+        // Lowercased city used by getPage equality filters
+        cityKey: toCityKey(propertyData.address.city || propertyData.city),
         // FIXED: Store location as object with lat, lng, address (not GeoPoint for compatibility)
         location: propertyData.location ? {
           lat: propertyData.location.lat,
@@ -349,18 +520,67 @@ class PropertyService {
   }
 
   /**
-   * Get all properties with optional filters
-   * @param {Object} filters - Filter options
-   * @param {Object} options - Query options (sortBy, limit, startAfter)
-   * @returns {Promise<Array>} - Array of properties
+   * Fetch one page of properties
+   *
+   * Equality filters (status, type, city, owner, featured) and the sort order are pushed into
+   * the Firestore query. The price range is pushed too when sorting by price; Firestore requires
+   * the first orderBy to be on the range field, so with any other sort it is applied to each
+   * fetched batch instead, along with bedrooms/bathrooms/area/furnished/parking. Every combination
+   * used by the browse pages has a composite index in firestore.indexes.json. Status, type and city
+   * also run per batch until the legacy fields are backfilled (LEGACY_PROPERTY_FIELDS).
+   *
+   * @param {Object} filters - Filter criteria
+   * @param {Object} options - { sortBy: 'createdAt'|'price', sortOrder, pageSize, cursor }
+   * @returns {Promise<{properties: Array, cursor: Object|null, hasMore: boolean}>}
    */
+  async getPage(filters = {}, options = {}) {
+    checkFirebaseServices();
+
+    const pageSize = options.pageSize || options.limit || DEFAULT_PAGE_SIZE;
+    const { constraints, residual } = buildPropertyQuery(filters, options);
+    const hasResidual = Object.keys(residual).length > 0;
+    // Over-fetch when some filters run client-side so a page is usually filled in one round trip
+    const batchSize = hasResidual ? Math.min(pageSize * 3, MAX_BATCH_SIZE) : pageSize;
+
+    const properties = [];
+    let cursor = options.cursor || null;
+    let exhausted = false;
+    let batches = 0;
+
+    while (properties.length < pageSize && !exhausted && batches < MAX_BATCHES_PER_PAGE) {
+      const batchConstraints = cursor
+        ? [...constraints, startAfter(cursor), limit(batchSize)]
+        : [...constraints, limit(batchSize)];
+      const snapshot = await getDocs(
+        query(collection(db, PROPERTIES_COLLECTION), ...batchConstraints)
+      );
+      batches += 1;
+      exhausted = snapshot.docs.length < batchSize;
+
+      for (const docSnap of snapshot.docs) {
+        cursor = docSnap;
+        const data = docSnap.data();
+        const property = { id: docSnap.id, ...data, status: data.status || 'published' };
+        if (!matchesResidualFilters(property, residual)) continue;
+        properties.push(property);
+        if (properties.length === pageSize) {
+          // Stop at the last returned document so the next page resumes right after it
+          exhausted = exhausted && docSnap.id === snapshot.docs[snapshot.docs.length - 1].id;
+          break;
+        }
+      }
+    }
+
+    const normalized = await Promise.all(properties.map((p) => normalizePropertyImages(p)));
+    return { properties: normalized, cursor, hasMore: !exhausted };
+  }
+
   /**
-   * Fetch all properties with simple Firestore query, then apply filters/sorting client-side
-   * This approach eliminates all Firestore index requirements
-   * 
-   * @param {Object} filters - Filter criteria (applied client-side)
-   * @param {Object} options - Sort and limit options (applied client-side)
-   * @returns {Promise<Array>} - Array of filtered and sorted properties
+   * Get all properties with optional filters
+   * Returns a single page when options.limit is set, otherwise walks every page.
+   * @param {Object} filters - Filter options (see getPage)
+   * @param {Object} options - Query options (sortBy, sortOrder, limit, startAfter)
+   * @returns {Promise<Array>} - Array of properties
    */
   async getAll(filters = {}, options = {}) {
     try {
@@ -369,107 +589,33 @@ class PropertyService {
         return [];
       }
 
-      // SIMPLE QUERY: Fetch all properties without any filters or orderBy
-      // This eliminates all Firestore index requirements
-      const q = query(collection(db, PROPERTIES_COLLECTION));
-      
-      const snapshot = await getDocs(q);
-      
-      // Normalize all properties
-      let results = await Promise.all(
-        snapshot.docs.map(async (doc) => {
-          const data = doc.data();
-          const property = {
-            id: doc.id,
-            ...data,
-            status: data.status || 'published',
-          };
-          return await normalizePropertyImages(property);
-        })
-      );
-
-      // APPLY ALL FILTERS CLIENT-SIDE
-      if (filters.status) {
-        results = results.filter((p) => p.status === filters.status);
-      }
-
-      if (filters.type) {
-        results = results.filter((p) => {
-          const propertyType = p.listingType || p.type || '';
-          return propertyType.toLowerCase() === filters.type.toLowerCase();
-        });
-      }
-
-      if (filters.city && filters.city.trim()) {
-        const cityLower = filters.city.toLowerCase();
-        results = results.filter((p) => {
-          const propertyCity = p.address?.city?.toLowerCase() || p.city?.toLowerCase() || '';
-          return propertyCity.includes(cityLower);
-        });
-      }
-
-      if (filters.ownerId) {
-        results = results.filter((p) => p.ownerId === filters.ownerId);
-      }
-
-      if (typeof filters.minPrice === 'number') {
-        results = results.filter((p) => (p.price || 0) >= filters.minPrice);
-      }
-
-      if (typeof filters.maxPrice === 'number') {
-        results = results.filter((p) => (p.price || 0) <= filters.maxPrice);
-      }
-
-      if (typeof filters.minBedrooms === 'number') {
-        results = results.filter((p) => (p.bedrooms || 0) >= filters.minBedrooms);
-      }
-
-      if (typeof filters.minBathrooms === 'number') {
-        results = results.filter((p) => (p.bathrooms || 0) >= filters.minBathrooms);
-      }
-
-      if (typeof filters.minArea === 'number') {
-        results = results.filter((p) => (p.areaSqFt || 0) >= filters.minArea);
-      }
-
-      if (filters.furnished !== undefined && filters.furnished !== null) {
-        results = results.filter((p) => Boolean(p.furnished) === Boolean(filters.furnished));
-      }
-
-      if (filters.parking !== undefined && filters.parking !== null) {
-        results = results.filter((p) => Boolean(p.parking) === Boolean(filters.parking));
-      }
-
-      if (filters.featured !== undefined) {
-        results = results.filter((p) => Boolean(p.featured) === Boolean(filters.featured));
-      }
-
-      // APPLY SORTING CLIENT-SIDE
-      const sortBy = options.sortBy || 'createdAt';
-      const sortOrder = options.sortOrder || 'desc';
-
-      if (sortBy === 'createdAt') {
-        results.sort((a, b) => {
-          const aTime = a.createdAt?.toMillis?.() || a.createdAt?.seconds || 0;
-          const bTime = b.createdAt?.toMillis?.() || b.createdAt?.seconds || 0;
-          return sortOrder === 'desc' ? bTime - aTime : aTime - bTime;
-        });
-      } else if (sortBy === 'price') {
-        results.sort((a, b) => {
-          const aPrice = a.price || 0;
-          const bPrice = b.price || 0;
-          return sortOrder === 'desc' ? bPrice - aPrice : aPrice - bPrice;
+      if (options.limit) {
+        const page = await this.getPage(filters, {
+          ...options,
+          pageSize: options.limit,
+          cursor: options.startAfter || null,
         });
+        return page.properties;
       }
 
-      // APPLY LIMIT CLIENT-SIDE
-      if (options.limit) {
-        results = results.slice(0, options.limit);
+      let results = [];
+      let cursor = options.startAfter || null;
+      let hasMore = true;
+      while (hasMore) {
+        const page = await this.getPage(filters, { ...options, pageSize: MAX_BATCH_SIZE, cursor });
+        results = results.concat(page.properties);
+        cursor = page.cursor;
+        hasMore = page.hasMore;
       }
-
       return results;
     } catch (error) {
       console.error('❌ ERROR in getAll:', error);
+      // A missing index means a filter combination is broken for everyone - surface it instead of
+      // showing an empty list
+      if (error.code === 'failed-precondition') {
+        console.error('📇 MISSING INDEX - Deploy firestore.indexes.json:', error.message);
+        throw new Error(error.message || 'Failed to fetch properties: missing Firestore index');
+      }
       // Return empty array instead of throwing to prevent app crash
       if (error.code === 'permission-denied') {
         console.error('🔒 PERMISSION DENIED - Check Firestore security rules!');
@@ -536,6 +682,12 @@ class PropertyService {
           ...propertySnap.data().address,
           ...updates.address,
         };
+        updateData.cityKey = toCityKey(updateData.address.city);
+      }
+
+      // Keep listingType, which getPage filters on, in step with the type
+      if (updates.type || updates.listingType) {
+        updateData.listingType = String(updates.listingType || updates.type).toLowerCase();
       }
 
       // Handle price updates
@@ -685,34 +837,63 @@ class PropertyService {
 
   /**
    * Search properties by text
+   * Candidates come from the index maintained by the onPropertyWritten Cloud Function: exact word
+   * matches (searchTokens) first, since they rank highest, then typo-tolerant trigram matches
+   * (searchGrams), paging through both until enough candidates pass the ranking. The matches are
+   * ranked with the field-weighted scoring from utils/searchIndex.
    * @param {string} searchTerm - Search term
-   * @param {Object} filters - Additional filters
-   * @returns {Promise<Array>} - Array of matching properties
+   * @param {Object} filters - Additional filters (same shape as getPage)
+   * @param {Object} options - { limit } maximum number of ranked results
+   * @returns {Promise<Array>} - Matching properties, most relevant first, with `searchScore`
    */
-  async search(searchTerm, filters = {}) {
+  async search(searchTerm, filters = {}, options = {}) {
     try {
       if (!searchTerm || searchTerm.trim().length === 0) {
-        return this.getAll(filters);
-      }
-
-      const term = searchTerm.toLowerCase().trim();
-      const properties = await this.getAll(filters);
-
-      return properties.filter((property) => {
-        const searchableText = [
-          property.title,
-          property.description,
-          property.address?.city,
-          property.address?.state,
-          property.address?.line1,
-          property.type,
-        ]
-          .filter(Boolean)
-          .join(' ')
-          .toLowerCase();
-
-        return searchableText.includes(term);
-      });
+        return this.getAll(filters, options);
+      }
+
+      checkFirebaseServices();
+
+      const queryTokens = tokenize(searchTerm);
+      const grams = buildQueryGrams(queryTokens);
+      if (grams.length === 0) {
+        return this.getAll(filters, options);
+      }
+
+      // Price and the remaining filters cannot be combined with array-contains-any server-side
+      const { residual } = buildPropertyQuery(filters);
+      const { constraints: equalityConstraints } = buildEqualityConstraints(filters);
+      const wanted = options.limit || MAX_SEARCH_RESULTS;
+      const matches = new Map();
+
+      await collectSearchMatches(
+        [
+          ...equalityConstraints,
+          where(
+            'searchTokens',
+            'array-contains-any',
+            [...new Set(queryTokens)].slice(0, MAX_QUERY_GRAMS)
+          ),
+        ],
+        queryTokens,
+        residual,
+        matches,
+        wanted
+      );
+      await collectSearchMatches(
+        [...equalityConstraints, where('searchGrams', 'array-contains-any', grams)],
+        queryTokens,
+        residual,
+        matches,
+        wanted
+      );
+
+      let ranked = rankProperties([...matches.values()], searchTerm);
+      if (options.limit) {
+        ranked = ranked.slice(0, options.limit);
+      }
+
+      return Promise.all(ranked.map((property) => normalizePropertyImages(property)));
     } catch (error) {
       console.error('Error searching properties:', error);
       throw new Error(error.message || 'Failed to search properties');
@@ -0,0 +1,77 @@
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { db } from '../firebase';
+import { distanceKm, getGeohashPrefixes, isValidPoint } from '../utils/geo';
+
+export const PROVIDER_COLLECTIONS = {
+  construction: 'constructionProviders',
+  renovation: 'renovators',
+};
+
+/**
+ * Provider Service
+ * Location-based lookups over constructionProviders and renovators. Each provider's `geohash` is
+ * written from their pinned coordinates by the onConstructionProviderWritten / onRenovatorWritten
+ * functions; providers who never pinned a location have none and only appear in unfiltered lists.
+ */
+class ProviderService {
+  /**
+   * Active providers within a radius of a point, nearest first
+   * @param {string} providerType - 'construction' or 'renovation'
+   * @param {{ lat: number, lng: number }} center - Centre of the search
+   * @param {number} radiusKm - Radius in kilometres
+   * @returns {Promise<Array>} - Providers with a distanceKm field
+   */
+  async searchNearby(providerType, center, radiusKm) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      if (!isValidPoint(center)) {
+        throw new Error('Please choose a location to search around');
+      }
+
+      const providersRef = collection(
+        db,
+        PROVIDER_COLLECTIONS[providerType] || PROVIDER_COLLECTIONS.renovation
+      );
+      const snapshots = await Promise.all(
+        getGeohashPrefixes(center, radiusKm).map((prefix) =>
+          getDocs(
+            query(
+              providersRef,
+              where('geohash', '>=', prefix),
+              where('geohash', '<=', `${prefix}~`)
+            )
+          )
+        )
+      );
+
+      const providers = new Map();
+      snapshots.forEach((snapshot) => {
+        snapshot.docs.forEach((providerDoc) => {
+          const data = providerDoc.data();
+          if (data.isActive !== true && data.isActive !== 'true') return;
+          if (!isValidPoint(data.coordinates)) return;
+
+          const distance = distanceKm(center, data.coordinates);
+          if (distance <= radiusKm) {
+            providers.set(providerDoc.id, {
+              id: providerDoc.id,
+              ...data,
+              isActive: true,
+              distanceKm: Math.round(distance * 10) / 10,
+            });
+          }
+        });
+      });
+
+      return [...providers.values()].sort((a, b) => a.distanceKm - b.distanceKm);
+    } catch (error) {
+      console.error('Error searching nearby providers:', error);
+      throw new Error(error.message || 'Failed to search nearby providers');
+    }
+  }
+}
+
+export const providerService = new ProviderService();
+export default providerService;
@@ -0,0 +1,171 @@
+import { isSupported, getMessaging, getToken, deleteToken } from 'firebase/messaging';
+import { doc, setDoc, updateDoc, deleteField, serverTimestamp } from 'firebase/firestore';
+import app, { db } from '../firebase';
+
+const USERS_COLLECTION = 'users';
+const PUSH_TOKENS_COLLECTION = 'pushTokens';
+const SERVICE_WORKER_PATH = '/firebase-messaging-sw.js';
+const VAPID_KEY = import.meta.env.VITE_FIREBASE_VAPID_KEY;
+
+// A random ID per browser, so each device keeps its own token under pushTokens/{uid}.devices
+const DEVICE_ID_KEY = 'aptify_push_device_id';
+const enabledKey = (userId) => `aptify_push_enabled_${userId}`;
+
+const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+  if (!deviceId) {
+    deviceId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+  }
+  return deviceId;
+};
+
+/**
+ * Push Service
+ * Browser push through Firebase Cloud Messaging. The FCM token of each device is stored on
+ * pushTokens/{uid}.devices.{deviceId}, which only its owner can read or write (user profiles are
+ * public); the onNotificationCreated function sends to every stored token (if the user's
+ * preferences allow push) and removes tokens FCM reports as invalid.
+ * public/firebase-messaging-sw.js shows the pushes and opens the notification link on click.
+ */
+class PushService {
+  /**
+   * Whether this browser can receive push and a VAPID key is configured
+   * @returns {Promise<boolean>}
+   */
+  async isSupported() {
+    if (!VAPID_KEY || typeof window === 'undefined' || !('serviceWorker' in navigator) || !('Notification' in window)) {
+      return false;
+    }
+    return isSupported().catch(() => false);
+  }
+
+  /**
+   * Browser notification permission: 'default', 'granted' or 'denied'
+   * @returns {string}
+   */
+  getPermission() {
+    return typeof Notification === 'undefined' ? 'denied' : Notification.permission;
+  }
+
+  /**
+   * Whether the user turned push on for this device
+   * @param {string} userId - Current user ID
+   * @returns {boolean}
+   */
+  isEnabled(userId) {
+    return !!userId && localStorage.getItem(enabledKey(userId)) === 'true' && this.getPermission() === 'granted';
+  }
+
+  /**
+   * Register the service worker and get this device's FCM token
+   * @returns {Promise<string>}
+   */
+  async getDeviceToken() {
+    const { apiKey, projectId, messagingSenderId, appId } = app.options;
+    const params = new URLSearchParams({ apiKey, projectId, messagingSenderId, appId });
+    const registration = await navigator.serviceWorker.register(`${SERVICE_WORKER_PATH}?${params.toString()}`);
+    return getToken(getMessaging(app), { vapidKey: VAPID_KEY, serviceWorkerRegistration: registration });
+  }
+
+  /**
+   * Save this device's token
+   * @param {string} userId - Current user ID
+   * @param {string} token - FCM token
+   * @returns {Promise<void>}
+   */
+  async saveToken(userId, token) {
+    await setDoc(
+      doc(db, PUSH_TOKENS_COLLECTION, userId),
+      {
+        userId,
+        devices: {
+          [getDeviceId()]: {
+            token,
+            userAgent: navigator.userAgent.substring(0, 200),
+            updatedAt: serverTimestamp(),
+          },
+        },
+      },
+      { merge: true }
+    );
+
+    // Tokens used to be kept on the (publicly readable) profile; drop them from there
+    await updateDoc(doc(db, USERS_COLLECTION, userId), { pushTokens: deleteField() }).catch(
+      (error) => console.warn('Could not remove legacy push tokens:', error)
+    );
+  }
+
+  /**
+   * Ask for permission and turn push on for this device
+   * @param {string} userId - Current user ID
+   * @returns {Promise<void>}
+   */
+  async enable(userId) {
+    try {
+      if (!(await this.isSupported())) {
+        throw new Error('Push notifications are not supported in this browser');
+      }
+
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        throw new Error('Notifications are blocked. Allow them for this site in your browser settings.');
+      }
+
+      const token = await this.getDeviceToken();
+      await this.saveToken(userId, token);
+      localStorage.setItem(enabledKey(userId), 'true');
+    } catch (error) {
+      console.error('Error enabling push notifications:', error);
+      throw new Error(error.message || 'Failed to enable push notifications');
+    }
+  }
+
+  /**
+   * Re-register the token after sign-in; tokens rotate, so this keeps the stored one current
+   * Does nothing unless the user turned push on for this device earlier.
+   * @param {string} userId - Current user ID
+   * @returns {Promise<void>}
+   */
+  async refresh(userId) {
+    try {
+      if (!this.isEnabled(userId) || !(await this.isSupported())) {
+        return;
+      }
+      const token = await this.getDeviceToken();
+      await this.saveToken(userId, token);
+    } catch (error) {
+      console.error('Error refreshing push token:', error);
+    }
+  }
+
+  /**
+   * Delete this device's token and stop storing it
+   * @param {string} userId - Current user ID
+   * @param {Object} options - { keepEnabled: true } on logout, so push comes back when the same user signs in again
+   * @returns {Promise<void>}
+   */
+  async disable(userId, { keepEnabled = false } = {}) {
+    try {
+      if (!keepEnabled) {
+        localStorage.removeItem(enabledKey(userId));
+      }
+      if (await this.isSupported()) {
+        await deleteToken(getMessaging(app)).catch((error) => {
+          console.warn('Could not delete FCM token:', error);
+        });
+      }
+      await setDoc(
+        doc(db, PUSH_TOKENS_COLLECTION, userId),
+        { devices: { [getDeviceId()]: deleteField() } },
+        { merge: true }
+      );
+    } catch (error) {
+      console.error('Error disabling push notifications:', error);
+      throw new Error(error.message || 'Failed to disable push notifications');
+    }
+  }
+}
+
+export const pushService = new PushService();
+export default pushService;
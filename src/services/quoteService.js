@@ -0,0 +1,320 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  setDoc,
+  updateDoc,
+  query,
+  where,
+  orderBy,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db, auth } from '../firebase';
+import { functions, httpsCallable } from '../firebase/index';
+
+const JOB_REQUESTS_COLLECTION = 'jobRequests';
+const PROJECT_TYPES = ['construction', 'renovation'];
+
+/**
+ * Check and normalize quote cost lines
+ * @param {Array} lineItems - [{ description, amount }]
+ * @returns {Array<{description: string, amount: number}>}
+ */
+const normalizeLineItems = (lineItems = []) => {
+  const items = lineItems
+    .map((item) => ({
+      description: (item.description || '').trim(),
+      amount: Math.round(Number(item.amount) * 100) / 100,
+    }))
+    .filter((item) => item.description || item.amount);
+
+  if (items.length === 0) {
+    throw new Error('Add at least one cost line');
+  }
+  items.forEach((item) => {
+    if (!item.description) {
+      throw new Error('Every cost line needs a description');
+    }
+    if (!item.amount || item.amount <= 0) {
+      throw new Error(`Enter an amount for "${item.description}"`);
+    }
+  });
+  return items;
+};
+
+/**
+ * Total of a quote's cost lines
+ * @param {Array} lineItems - [{ description, amount }]
+ * @returns {number}
+ */
+export const getQuoteTotal = (lineItems = []) =>
+  Math.round(lineItems.reduce((sum, item) => sum + (Number(item.amount) || 0), 0) * 100) / 100;
+
+/**
+ * Quote Service
+ * Open job requests: a client posts a construction/renovation job to every approved provider of
+ * that type instead of one provider, providers answer with itemized quotes, and the client accepts
+ * one. Acceptance runs in the `acceptQuote` Cloud Function, which creates the project document.
+ */
+class QuoteService {
+  /**
+   * Post an open job request (client)
+   * @param {string} userId - Client user ID (must match authenticated user)
+   * @param {Object} jobData - { projectType, description, budget, timeline, location }
+   * @returns {Promise<string>} - Job request document ID
+   */
+  async createJobRequest(userId, jobData) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      if (!userId || !auth?.currentUser || auth.currentUser.uid !== userId) {
+        throw new Error('Permission denied: You can only post jobs for yourself');
+      }
+      if (!PROJECT_TYPES.includes(jobData.projectType)) {
+        throw new Error('Project type must be construction or renovation');
+      }
+
+      const docRef = await addDoc(collection(db, JOB_REQUESTS_COLLECTION), {
+        userId,
+        clientId: userId,
+        projectType: jobData.projectType,
+        description: (jobData.description || '').trim(),
+        budget: Number(jobData.budget) || 0,
+        timeline: (jobData.timeline || '').trim(),
+        location: (jobData.location || '').trim() || null,
+        status: 'open',
+        quoteCount: 0,
+        acceptedQuoteId: null,
+        projectId: null,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+      return docRef.id;
+    } catch (error) {
+      console.error('Error creating job request:', error);
+      throw new Error(error.message || 'Failed to post job request');
+    }
+  }
+
+  /**
+   * Get a job request by ID
+   * @param {string} jobRequestId - Job request document ID
+   * @returns {Promise<Object|null>}
+   */
+  async getJobRequest(jobRequestId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const snapshot = await getDoc(doc(db, JOB_REQUESTS_COLLECTION, jobRequestId));
+      return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+    } catch (error) {
+      console.error('Error getting job request:', error);
+      throw new Error(error.message || 'Failed to get job request');
+    }
+  }
+
+  /**
+   * Get the job requests a client has posted
+   * @param {string} userId - Client user ID
+   * @returns {Promise<Array>}
+   */
+  async getByClient(userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const jobsQuery = query(
+        collection(db, JOB_REQUESTS_COLLECTION),
+        where('userId', '==', userId),
+        orderBy('createdAt', 'desc')
+      );
+      const snapshot = await getDocs(jobsQuery);
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting job requests:', error);
+      throw new Error(error.message || 'Failed to get job requests');
+    }
+  }
+
+  /**
+   * Get open job requests of one type (providers)
+   * @param {string} projectType - 'construction' or 'renovation'
+   * @returns {Promise<Array>}
+   */
+  async getOpenJobs(projectType) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const jobsQuery = query(
+        collection(db, JOB_REQUESTS_COLLECTION),
+        where('projectType', '==', projectType),
+        where('status', '==', 'open'),
+        orderBy('createdAt', 'desc')
+      );
+      const snapshot = await getDocs(jobsQuery);
+      return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    } catch (error) {
+      console.error('Error getting open jobs:', error);
+      throw new Error(error.message || 'Failed to get open jobs');
+    }
+  }
+
+  /**
+   * Close an open job request without accepting a quote (client)
+   * @param {string} jobRequestId - Job request document ID
+   * @returns {Promise<void>}
+   */
+  async closeJobRequest(jobRequestId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      await updateDoc(doc(db, JOB_REQUESTS_COLLECTION, jobRequestId), {
+        status: 'closed',
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error closing job request:', error);
+      throw new Error(error.message || 'Failed to close job request');
+    }
+  }
+
+  /**
+   * Get all quotes for a job request (client)
+   * @param {string} jobRequestId - Job request document ID
+   * @returns {Promise<Array>} - Quotes, cheapest first
+   */
+  async getQuotes(jobRequestId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const snapshot = await getDocs(collection(db, JOB_REQUESTS_COLLECTION, jobRequestId, 'quotes'));
+      return snapshot.docs
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+        .filter((quote) => quote.status !== 'withdrawn')
+        .sort((a, b) => (a.total || 0) - (b.total || 0));
+    } catch (error) {
+      console.error('Error getting quotes:', error);
+      throw new Error(error.message || 'Failed to get quotes');
+    }
+  }
+
+  /**
+   * Get the signed-in provider's own quote for a job request
+   * @param {string} jobRequestId - Job request document ID
+   * @param {string} providerId - Provider user ID
+   * @returns {Promise<Object|null>}
+   */
+  async getMyQuote(jobRequestId, providerId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const snapshot = await getDoc(doc(db, JOB_REQUESTS_COLLECTION, jobRequestId, 'quotes', providerId));
+      return snapshot.exists() ? { id: snapshot.id, ...snapshot.data() } : null;
+    } catch (error) {
+      console.error('Error getting quote:', error);
+      throw new Error(error.message || 'Failed to get quote');
+    }
+  }
+
+  /**
+   * Submit or revise a quote (provider). One quote per provider per job.
+   * @param {string} jobRequestId - Job request document ID
+   * @param {Object} provider - { userId, profileId, name } of the quoting provider
+   * @param {Object} quoteData - { lineItems: [{ description, amount }], timeline, notes }
+   * @returns {Promise<void>}
+   */
+  async submitQuote(jobRequestId, provider, quoteData) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+      if (!provider?.userId || !auth?.currentUser || auth.currentUser.uid !== provider.userId) {
+        throw new Error('Permission denied: You can only quote as yourself');
+      }
+
+      const lineItems = normalizeLineItems(quoteData.lineItems);
+      const timeline = (quoteData.timeline || '').trim();
+      if (!timeline) {
+        throw new Error('Please enter a timeline');
+      }
+
+      const quoteRef = doc(db, JOB_REQUESTS_COLLECTION, jobRequestId, 'quotes', provider.userId);
+      const existing = await getDoc(quoteRef);
+
+      await setDoc(quoteRef, {
+        providerId: provider.userId,
+        providerProfileId: provider.profileId || null,
+        providerName: provider.name || 'Provider',
+        lineItems,
+        total: getQuoteTotal(lineItems),
+        timeline,
+        notes: (quoteData.notes || '').trim(),
+        status: 'submitted',
+        createdAt: existing.exists() ? existing.data().createdAt : serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error submitting quote:', error);
+      throw new Error(error.message || 'Failed to submit quote');
+    }
+  }
+
+  /**
+   * Withdraw a submitted quote (provider)
+   * @param {string} jobRequestId - Job request document ID
+   * @param {string} providerId - Provider user ID
+   * @returns {Promise<void>}
+   */
+  async withdrawQuote(jobRequestId, providerId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      await updateDoc(doc(db, JOB_REQUESTS_COLLECTION, jobRequestId, 'quotes', providerId), {
+        status: 'withdrawn',
+        updatedAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error withdrawing quote:', error);
+      throw new Error(error.message || 'Failed to withdraw quote');
+    }
+  }
+
+  /**
+   * Accept a quote (client); creates the construction/renovation project
+   * @param {string} jobRequestId - Job request document ID
+   * @param {string} quoteId - Quote document ID
+   * @returns {Promise<{projectId: string}>}
+   */
+  async acceptQuote(jobRequestId, quoteId) {
+    try {
+      if (!functions) {
+        throw new Error('Firebase Functions is not initialized');
+      }
+
+      const result = await httpsCallable(functions, 'acceptQuote')({ jobRequestId, quoteId });
+      return result.data;
+    } catch (error) {
+      console.error('Error accepting quote:', error);
+      throw new Error(error.message || 'Failed to accept quote');
+    }
+  }
+}
+
+export const quoteService = new QuoteService();
+export default quoteService;
@@ -4,7 +4,6 @@ import {
   getDoc,
   getDocs,
   addDoc,
-  updateDoc,
   deleteDoc,
   query,
   where,
@@ -12,8 +11,11 @@ import {
   serverTimestamp,
 } from 'firebase/firestore';
 import propertyService from './propertyService';
-import { db } from '../firebase';
+import { db, auth } from '../firebase';
 import notificationService from './notificationService';
+import availabilityService, { BOOKED_STATUSES } from './availabilityService';
+import { updateProjectStatus } from '../utils/projectUpdates';
+import { normalizeStatus } from '../utils/projectStatus';
 
 const RENTAL_REQUESTS_COLLECTION = 'rentalRequests';
 
@@ -33,6 +35,18 @@ class RentalRequestService {
         throw new Error('Firestore database is not initialized');
       }
 
+      // Refuse dates already held by an accepted booking or blocked by the owner
+      const conflict = await availabilityService.checkAvailability(
+        requestData.propertyId,
+        requestData.startDate,
+        requestData.endDate
+      );
+      if (conflict) {
+        throw new Error(
+          `The property is not available from ${conflict.startDate} to ${conflict.endDate}. Please choose other dates.`
+        );
+      }
+
       const request = {
         userId: requestData.userId,
         propertyId: requestData.propertyId,
@@ -173,40 +187,62 @@ class RentalRequestService {
 
   /**
    * Update request status
+   * Accepting holds the request's dates in the property's availability; moving an accepted
+   * request to a status that no longer holds them releases them. Transitions follow the status
+   * state machine (utils/projectStatus) and are logged in projectUpdates.
    * @param {string} requestId - Request document ID
-   * @param {string} status - New status: 'Accepted', 'Rejected', 'Pending'
+   * @param {string} status - New status, e.g. 'Accepted', 'Rejected', 'Completed', 'Cancelled'
    * @param {string} propertyTitle - Property title for notification
    * @param {string} userId - User ID to notify
+   * @param {string} role - Caller's role on the request: 'provider' (property owner), 'client' or 'admin'
    * @returns {Promise<void>}
    */
-  async updateStatus(requestId, status, propertyTitle, userId) {
+  async updateStatus(requestId, status, propertyTitle, userId, role = 'provider') {
     try {
       if (!db) {
         throw new Error('Firestore database is not initialized');
       }
+      if (!auth?.currentUser) {
+        throw new Error('You must be signed in to update a request');
+      }
 
-      const requestRef = doc(db, RENTAL_REQUESTS_COLLECTION, requestId);
-      await updateDoc(requestRef, {
-        status,
-        updatedAt: serverTimestamp(),
-      });
+      if (normalizeStatus(status) === 'Accepted' && (role === 'provider' || role === 'admin')) {
+        // Transactional overlap check: fails if another approval already took these dates
+        await availabilityService.confirmBooking(requestId, 'Accepted', role);
+      } else {
+        const requestSnap = await getDoc(doc(db, RENTAL_REQUESTS_COLLECTION, requestId));
+        const { status: newStatus } = await updateProjectStatus(RENTAL_REQUESTS_COLLECTION, requestId, status, {
+          role,
+          updatedBy: auth.currentUser.uid,
+        });
+
+        if (
+          requestSnap.exists() &&
+          BOOKED_STATUSES.includes(requestSnap.data().status) &&
+          !BOOKED_STATUSES.includes(newStatus)
+        ) {
+          await availabilityService.releaseBooking(requestSnap.data().propertyId, requestId);
+        }
+      }
 
       // Notify user
-      if (status === 'Accepted') {
+      if (normalizeStatus(status) === 'Accepted') {
         await notificationService.create(
           userId,
           'Rental Request Accepted',
           `Your rental request for "${propertyTitle}" has been accepted!`,
           'success',
-          `/account`
+          `/account`,
+          'projectStatus'
         );
-      } else if (status === 'Rejected') {
+      } else if (normalizeStatus(status) === 'Rejected') {
         await notificationService.create(
           userId,
           'Rental Request Rejected',
           `Your rental request for "${propertyTitle}" has been rejected.`,
           'info',
-          `/account`
+          `/account`,
+          'projectStatus'
         );
       }
     } catch (error) {
@@ -227,7 +263,12 @@ class RentalRequestService {
       }
 
       const requestRef = doc(db, RENTAL_REQUESTS_COLLECTION, requestId);
+      const requestSnap = await getDoc(requestRef);
       await deleteDoc(requestRef);
+
+      if (requestSnap.exists() && BOOKED_STATUSES.includes(requestSnap.data().status)) {
+        await availabilityService.releaseBooking(requestSnap.data().propertyId, requestId);
+      }
     } catch (error) {
       console.error('Error deleting rental request:', error);
       throw new Error(error.message || 'Failed to delete rental request');
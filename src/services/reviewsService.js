@@ -2,20 +2,73 @@ import {
   collection,
   query,
   where,
-  addDoc,
   getDocs,
   getDoc,
   deleteDoc,
   doc,
   orderBy,
   serverTimestamp,
+  setDoc,
   updateDoc,
+  increment,
+  onSnapshot,
 } from 'firebase/firestore';
 import { db } from '../firebase';
+import { functions, httpsCallable } from '../firebase/index';
+import { uploadMultipleToCloudinary } from '../utils/cloudinaryUpload';
+import { normalizeReviewTargetType, validateCategoryRatings } from '../utils/reviewRatings';
+import { PUBLIC_MODERATION_STATUSES, REPORT_REASONS, isReviewVisible } from '../utils/reviewModeration';
+
+/**
+ * Completed projects and bookings that let their client review the provider or property.
+ * Keep in sync with the reviews rules in firestore.rules.
+ */
+export const REVIEW_SOURCES = {
+  construction: { collection: 'constructionProjects', targetType: 'provider', label: 'Construction project' },
+  renovation: { collection: 'renovationProjects', targetType: 'provider', label: 'Renovation project' },
+  rental: { collection: 'rentalRequests', targetType: 'property', label: 'Rental booking' },
+  buySell: { collection: 'buySellRequests', targetType: 'property', label: 'Purchase' },
+};
+
+export const MAX_RESPONSE_LENGTH = 1000;
+export const MAX_REPORT_DETAILS_LENGTH = 500;
+// Keep in sync with hasValidRating in firestore.rules
+export const MAX_REVIEW_PHOTOS = 5;
+
+// Older documents store the status in other casings ('completed', 'COMPLETED')
+const isCompleted = (status) => String(status || '').toLowerCase() === 'completed';
+
+/**
+ * Upload the new photos of a review and return the full list of photo URLs
+ * @param {Array<string|File>} photos - URLs of photos to keep and Files to upload, in display order
+ * @param {string} reviewId - Review document ID (Cloudinary folder)
+ * @returns {Promise<Array<string>>}
+ */
+const resolvePhotos = async (photos, reviewId) => {
+  const list = (photos || []).filter(Boolean);
+  if (list.length > MAX_REVIEW_PHOTOS) {
+    throw new Error(`You can attach up to ${MAX_REVIEW_PHOTOS} photos`);
+  }
+
+  const files = list.filter((photo) => typeof photo !== 'string');
+  const uploaded = await uploadMultipleToCloudinary(files, `reviews/${reviewId}`);
+  let next = 0;
+  return list
+    .map((photo) => (typeof photo === 'string' ? photo : uploaded[next++]))
+    .filter(Boolean);
+};
 
 /**
  * Reviews Service
  * Handles all review and rating operations
+ *
+ * Only the client of a completed project or booking can review the provider or property, once per
+ * project: the review document ID is the project ID and the review is marked verified. Edits keep
+ * the previous versions in reviews/{id}/history (written by the onReviewUpdated function, read by
+ * admins), and the reviewed provider or owner can post one public response.
+ *
+ * Average, histogram and category averages are maintained by the review functions in
+ * reviewSummaries/{targetType}_{targetId} (see subscribeToSummary).
  */
 class ReviewsService {
   /**
@@ -25,14 +78,21 @@ class ReviewsService {
    * @param {string} targetType - 'property' or 'provider' (maps 'construction'/'renovation' to 'provider')
    * @param {number} rating - Rating from 1-5
    * @param {string} comment - Review text
-   * @returns {Promise<string>} - Review document ID
+   * @param {string} projectId - Completed project or booking being reviewed (from getReviewableProjects)
+   * @param {Object} categoryRatings - { [categoryId]: 1-5 } for the target type (utils/reviewRatings.js)
+   * @param {Array<File>} photos - Optional photos of the result (up to MAX_REVIEW_PHOTOS)
+   * @returns {Promise<string>} - Review document ID (the project ID)
    */
-  async create(authorId, targetId, targetType, rating, comment) {
+  async create(authorId, targetId, targetType, rating, comment, projectId, categoryRatings, photos = []) {
     try {
       if (!authorId || !targetId || !targetType || !rating || !comment) {
         throw new Error('All fields are required');
       }
 
+      if (!projectId) {
+        throw new Error('You can review a provider or property after a completed project or booking');
+      }
+
       if (rating < 1 || rating > 5) {
         throw new Error('Rating must be between 1 and 5');
       }
@@ -43,29 +103,36 @@ class ReviewsService {
 
       // Map construction/renovation to provider for reviews collection
       const normalizedTargetType = targetType === 'construction' || targetType === 'renovation' ? 'provider' : targetType;
+      const validatedCategoryRatings = validateCategoryRatings(categoryRatings, normalizedTargetType);
 
-      // Check for duplicate review - if exists, update it instead
-      const existingReview = await this.getUserReview(authorId, targetId, normalizedTargetType);
-      if (existingReview) {
-        // Update existing review instead of creating new one
-        return await this.update(existingReview.id, rating, comment);
+      // Also rejects projects that were already reviewed
+      const reviewableProjects = await this.getReviewableProjects(authorId, targetId, normalizedTargetType);
+      const project = reviewableProjects.find((p) => p.id === projectId);
+      if (!project) {
+        throw new Error('This project is not completed or has already been reviewed');
       }
 
+      const photoUrls = await resolvePhotos(photos, projectId);
+
       const reviewData = {
         authorId,
         targetId,
         targetType: normalizedTargetType,
         rating: Number(rating),
+        categoryRatings: validatedCategoryRatings,
         comment: comment.trim(),
+        photos: photoUrls,
+        projectId,
+        projectType: project.projectType,
+        verified: true,
+        editCount: 0,
+        moderationStatus: 'visible',
         createdAt: serverTimestamp(),
       };
 
-      const docRef = await addDoc(collection(db, 'reviews'), reviewData);
-      
-      // Recalculate and update average rating for the target
-      await this.updateAverageRating(targetId, normalizedTargetType);
-      
-      return docRef.id;
+      await setDoc(doc(db, 'reviews', projectId), reviewData);
+
+      return projectId;
     } catch (error) {
       console.error('Error creating review:', error);
       throw new Error(error.message || 'Failed to create review');
@@ -73,7 +140,66 @@ class ReviewsService {
   }
 
   /**
-   * Get all reviews for a target
+   * Completed projects/bookings of a user with a target that have not been reviewed yet
+   * @param {string} authorId - User ID (client of the project or booking)
+   * @param {string} targetId - ID of property or service provider
+   * @param {string} targetType - 'property', 'provider', 'construction', or 'renovation' (maps to 'provider')
+   * @returns {Promise<Array>} - [{ id, projectType, label, title, completedAt }]
+   */
+  async getReviewableProjects(authorId, targetId, targetType) {
+    try {
+      if (!authorId || !targetId || !targetType) {
+        return [];
+      }
+
+      const normalizedTargetType = normalizeReviewTargetType(targetType);
+
+      // Projects store the provider's user ID, or (older ones) the serviceProviders document ID
+      let providerUserId = null;
+      if (normalizedTargetType === 'provider') {
+        const providerDoc = await getDoc(doc(db, 'serviceProviders', targetId));
+        providerUserId = providerDoc.exists() ? providerDoc.data().userId || null : null;
+      }
+
+      const isForTarget = (data) =>
+        normalizedTargetType === 'provider'
+          ? data.providerId === targetId || (!!providerUserId && data.providerId === providerUserId)
+          : data.propertyId === targetId;
+
+      const sources = Object.entries(REVIEW_SOURCES).filter(
+        ([, source]) => source.targetType === normalizedTargetType
+      );
+      const results = await Promise.all(
+        sources.map(async ([projectType, source]) => {
+          const snapshot = await getDocs(
+            query(collection(db, source.collection), where('userId', '==', authorId))
+          );
+          return snapshot.docs
+            .filter((projectDoc) => isCompleted(projectDoc.data().status) && isForTarget(projectDoc.data()))
+            .map((projectDoc) => {
+              const data = projectDoc.data();
+              return {
+                id: projectDoc.id,
+                projectType,
+                label: source.label,
+                title: data.title || data.propertyTitle || data.details || data.description || '',
+                completedAt: data.updatedAt || data.createdAt || null,
+              };
+            });
+        })
+      );
+
+      const projects = results.flat();
+      const reviewDocs = await Promise.all(projects.map((p) => getDoc(doc(db, 'reviews', p.id))));
+      return projects.filter((_, index) => !reviewDocs[index].exists());
+    } catch (error) {
+      console.error('Error fetching reviewable projects:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Get the publicly visible reviews for a target (reviews held for moderation are left out)
    * @param {string} targetId - ID of property or service provider
    * @param {string} targetType - 'property', 'provider', 'construction', or 'renovation' (maps to 'provider')
    * @returns {Promise<Array>} - Array of review documents
@@ -91,14 +217,17 @@ class ReviewsService {
         collection(db, 'reviews'),
         where('targetId', '==', targetId),
         where('targetType', '==', normalizedTargetType),
+        where('moderationStatus', 'in', PUBLIC_MODERATION_STATUSES),
         orderBy('createdAt', 'desc')
       );
 
       const snapshot = await getDocs(reviewsQuery);
-      return snapshot.docs.map((doc) => ({
-        id: doc.id,
-        ...doc.data(),
-      }));
+      return snapshot.docs
+        .map((doc) => ({
+          id: doc.id,
+          ...doc.data(),
+        }))
+        .filter(isReviewVisible);
     } catch (error) {
       // If index error, try without orderBy
       if (error.code === 'failed-precondition' || error.message?.includes('index')) {
@@ -109,14 +238,17 @@ class ReviewsService {
           const reviewsQuery = query(
             collection(db, 'reviews'),
             where('targetId', '==', targetId),
-            where('targetType', '==', normalizedTargetType)
+            where('targetType', '==', normalizedTargetType),
+            where('moderationStatus', 'in', PUBLIC_MODERATION_STATUSES)
           );
 
           const snapshot = await getDocs(reviewsQuery);
-          const reviews = snapshot.docs.map((doc) => ({
-            id: doc.id,
-            ...doc.data(),
-          }));
+          const reviews = snapshot.docs
+            .map((doc) => ({
+              id: doc.id,
+              ...doc.data(),
+            }))
+            .filter(isReviewVisible);
 
           // Sort client-side by createdAt
           reviews.sort((a, b) => {
@@ -136,6 +268,25 @@ class ReviewsService {
     }
   }
 
+  /**
+   * Photos from the visible reviews of a target, newest review first
+   * @param {string} targetId - ID of property or service provider
+   * @param {string} targetType - 'property', 'provider', 'construction', or 'renovation' (maps to 'provider')
+   * @returns {Promise<Array>} - [{ url, reviewId, rating, comment, createdAt }]
+   */
+  async getClientPhotos(targetId, targetType) {
+    const reviews = await this.getByTarget(targetId, targetType);
+    return reviews.flatMap((review) =>
+      (review.photos || []).map((url) => ({
+        url,
+        reviewId: review.id,
+        rating: review.rating,
+        comment: review.comment,
+        createdAt: review.createdAt,
+      }))
+    );
+  }
+
   /**
    * Get user's review for a target
    * @param {string} authorId - User ID (author)
@@ -179,24 +330,8 @@ class ReviewsService {
         throw new Error('Review ID is required');
       }
 
-      // Get review data before deleting to know which target to update
-      const reviewRef = doc(db, 'reviews', reviewId);
-      const reviewDoc = await getDoc(reviewRef);
-      let targetId = null;
-      let targetType = null;
-
-      if (reviewDoc.exists()) {
-        const reviewData = reviewDoc.data();
-        targetId = reviewData.targetId;
-        targetType = reviewData.targetType;
-      }
-
-      await deleteDoc(reviewRef);
-
-      // Recalculate and update average rating for the target
-      if (targetId && targetType) {
-        await this.updateAverageRating(targetId, targetType);
-      }
+      // The onReviewDeleted function updates the target's rating summary
+      await deleteDoc(doc(db, 'reviews', reviewId));
     } catch (error) {
       console.error('Error deleting review:', error);
       throw new Error(error.message || 'Failed to delete review');
@@ -208,9 +343,12 @@ class ReviewsService {
    * @param {string} reviewId - Review document ID
    * @param {number} rating - Updated rating (1-5)
    * @param {string} comment - Updated comment
+   * @param {Object} categoryRatings - Updated category ratings (optional for older reviews without them)
+   * @param {Array<string|File>} photos - Optional: URLs of photos to keep and new Files, in display order;
+   *   leaves the photos unchanged when omitted
    * @returns {Promise<void>}
    */
-  async update(reviewId, rating, comment) {
+  async update(reviewId, rating, comment, categoryRatings, photos) {
     try {
       if (!reviewId) {
         throw new Error('Review ID is required');
@@ -232,23 +370,199 @@ class ReviewsService {
       }
 
       const reviewData = reviewDoc.data();
-      const targetId = reviewData.targetId;
-      const targetType = reviewData.targetType; // Already normalized in collection
-
-      await updateDoc(reviewRef, {
+      const updates = {
         rating: Number(rating),
         comment: comment.trim(),
+        editCount: increment(1),
         updatedAt: serverTimestamp(),
-      });
+      };
+      if (categoryRatings) {
+        updates.categoryRatings = validateCategoryRatings(categoryRatings, reviewData.targetType);
+      }
+      if (photos) {
+        updates.photos = await resolvePhotos(photos, reviewId);
+      }
 
-      // Recalculate and update average rating for the target
-      await this.updateAverageRating(targetId, targetType);
+      // The onReviewUpdated function keeps the previous version in the review's history and
+      // updates the target's rating summary
+      await updateDoc(reviewRef, updates);
     } catch (error) {
       console.error('Error updating review:', error);
       throw new Error(error.message || 'Failed to update review');
     }
   }
 
+  /**
+   * Whether a user is the reviewed provider or property owner
+   * @param {string} userId - User ID
+   * @param {string} targetId - ID of property or service provider
+   * @param {string} targetType - 'property', 'provider', 'construction', or 'renovation' (maps to 'provider')
+   * @returns {Promise<boolean>}
+   */
+  async isTargetOwner(userId, targetId, targetType) {
+    try {
+      if (!userId || !targetId) return false;
+
+      if (normalizeReviewTargetType(targetType) === 'property') {
+        const propertyDoc = await getDoc(doc(db, 'properties', targetId));
+        return propertyDoc.exists() && propertyDoc.data().ownerId === userId;
+      }
+
+      const providerDoc = await getDoc(doc(db, 'serviceProviders', targetId));
+      return providerDoc.exists() && (providerDoc.data().userId === userId || targetId === userId);
+    } catch (error) {
+      console.error('Error checking review target owner:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Post or edit the public response of the reviewed provider/owner (one per review)
+   * @param {string} reviewId - Review document ID
+   * @param {string} responderId - User ID of the provider or property owner
+   * @param {string} text - Response text
+   * @returns {Promise<void>}
+   */
+  async respond(reviewId, responderId, text) {
+    try {
+      if (!reviewId || !responderId) {
+        throw new Error('Review ID and responder are required');
+      }
+
+      const trimmed = (text || '').trim();
+      if (!trimmed) {
+        throw new Error('Response cannot be empty');
+      }
+      if (trimmed.length > MAX_RESPONSE_LENGTH) {
+        throw new Error(`Response must be at most ${MAX_RESPONSE_LENGTH} characters`);
+      }
+
+      const reviewRef = doc(db, 'reviews', reviewId);
+      const reviewDoc = await getDoc(reviewRef);
+      if (!reviewDoc.exists()) {
+        throw new Error('Review not found');
+      }
+
+      const reviewData = reviewDoc.data();
+      if (!(await this.isTargetOwner(responderId, reviewData.targetId, reviewData.targetType))) {
+        throw new Error('Only the reviewed provider or owner can respond to this review');
+      }
+
+      await updateDoc(reviewRef, {
+        response: {
+          text: trimmed,
+          authorId: responderId,
+          createdAt: reviewData.response?.createdAt || serverTimestamp(),
+          updatedAt: serverTimestamp(),
+        },
+      });
+    } catch (error) {
+      console.error('Error responding to review:', error);
+      throw new Error(error.message || 'Failed to respond to review');
+    }
+  }
+
+  /**
+   * Previous versions of an edited review, newest first (admins only)
+   * @param {string} reviewId - Review document ID
+   * @returns {Promise<Array>} - [{ id, rating, comment, writtenAt, replacedAt }]
+   */
+  async getHistory(reviewId) {
+    try {
+      const historyQuery = query(
+        collection(db, 'reviews', reviewId, 'history'),
+        orderBy('replacedAt', 'desc')
+      );
+      const snapshot = await getDocs(historyQuery);
+      return snapshot.docs.map((entry) => ({
+        id: entry.id,
+        ...entry.data(),
+      }));
+    } catch (error) {
+      console.error('Error fetching review history:', error);
+      throw new Error(error.message || 'Failed to fetch review history');
+    }
+  }
+
+  /**
+   * Report a review to the moderators (once per user)
+   * The onReviewReported function hides the review pending moderation once enough users reported it.
+   * @param {string} reviewId - Review document ID
+   * @param {string} reporterId - Current user ID
+   * @param {string} reason - Key of REPORT_REASONS
+   * @param {string} details - Optional explanation
+   * @returns {Promise<void>}
+   */
+  async report(reviewId, reporterId, reason, details = '') {
+    try {
+      if (!reviewId || !reporterId) {
+        throw new Error('Review ID and reporter are required');
+      }
+      if (!REPORT_REASONS[reason]) {
+        throw new Error('Please choose a reason for the report');
+      }
+
+      const trimmed = (details || '').trim();
+      if (trimmed.length > MAX_REPORT_DETAILS_LENGTH) {
+        throw new Error(`Details must be at most ${MAX_REPORT_DETAILS_LENGTH} characters`);
+      }
+
+      const reportRef = doc(db, 'reviews', reviewId, 'reports', reporterId);
+      // Reports cannot be read back by the reporter, so an existing one shows up as a denied write
+      await setDoc(reportRef, {
+        reason,
+        details: trimmed,
+        reporterId,
+        createdAt: serverTimestamp(),
+      });
+    } catch (error) {
+      console.error('Error reporting review:', error);
+      if (error.code === 'permission-denied') {
+        throw new Error('You have already reported this review');
+      }
+      throw new Error(error.message || 'Failed to report review');
+    }
+  }
+
+  /**
+   * Reports filed against a review, newest first (admins only)
+   * @param {string} reviewId - Review document ID
+   * @returns {Promise<Array>} - [{ id, reason, details, reporterId, createdAt }]
+   */
+  async getReports(reviewId) {
+    try {
+      const reportsQuery = query(
+        collection(db, 'reviews', reviewId, 'reports'),
+        orderBy('createdAt', 'desc')
+      );
+      const snapshot = await getDocs(reportsQuery);
+      return snapshot.docs.map((entry) => ({
+        id: entry.id,
+        ...entry.data(),
+      }));
+    } catch (error) {
+      console.error('Error fetching review reports:', error);
+      throw new Error(error.message || 'Failed to fetch review reports');
+    }
+  }
+
+  /**
+   * Approve, hide or delete a review (admins only); the author is notified with the reason
+   * @param {string} reviewId - Review document ID
+   * @param {string} action - 'approve', 'hide' or 'delete'
+   * @param {string} reason - Required to hide or delete
+   * @returns {Promise<void>}
+   */
+  async moderate(reviewId, action, reason = '') {
+    try {
+      const moderateReview = httpsCallable(functions, 'moderateReview');
+      await moderateReview({ reviewId, action, reason: reason.trim() });
+    } catch (error) {
+      console.error('Error moderating review:', error);
+      throw new Error(error.message || 'Failed to moderate review');
+    }
+  }
+
   /**
    * Calculate average rating for a target
    * @param {string} targetId - ID of property or service provider
@@ -276,40 +590,26 @@ class ReviewsService {
   }
 
   /**
-   * Update average rating for a target (property or service provider)
+   * Listen to the rating summary of a target, kept up to date by the review functions
    * @param {string} targetId - ID of property or service provider
-   * @param {string} targetType - 'property' or 'provider' (normalized)
-   * @returns {Promise<void>}
+   * @param {string} targetType - 'property', 'provider', 'construction', or 'renovation' (maps to 'provider')
+   * @param {Function} callback - Called with { count, average, histogram, categories }, or null without reviews
+   * @returns {Function} - Unsubscribe
    */
-  async updateAverageRating(targetId, targetType) {
-    try {
-      if (!targetId || !targetType) {
-        throw new Error('targetId and targetType are required');
-      }
-
-      // Calculate average rating (using normalized targetType)
-      const { average, count } = await this.getAverageRating(targetId, targetType);
+  subscribeToSummary(targetId, targetType, callback) {
+    if (!db || !targetId || !targetType) {
+      callback(null);
+      return () => {};
+    }
 
-      // Update the target document based on type
-      if (targetType === 'property') {
-        const propertyRef = doc(db, 'properties', targetId);
-        await updateDoc(propertyRef, {
-          averageRating: average,
-          totalReviews: count,
-          updatedAt: serverTimestamp(),
-        });
-      } else if (targetType === 'provider') {
-        const providerRef = doc(db, 'serviceProviders', targetId);
-        await updateDoc(providerRef, {
-          averageRating: average,
-          totalReviews: count,
-          updatedAt: serverTimestamp(),
-        });
+    return onSnapshot(
+      doc(db, 'reviewSummaries', `${normalizeReviewTargetType(targetType)}_${targetId}`),
+      (snapshot) => callback(snapshot.exists() ? snapshot.data() : null),
+      (error) => {
+        console.error('Error listening to rating summary:', error);
+        callback(null);
       }
-    } catch (error) {
-      console.error('Error updating average rating:', error);
-      // Don't throw error - this is a background update
-    }
+    );
   }
 }
 
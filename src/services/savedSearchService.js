@@ -0,0 +1,232 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  updateDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  serverTimestamp,
+} from 'firebase/firestore';
+import { db, auth } from '../firebase';
+import { toCityKey } from './propertyService';
+
+const SAVED_SEARCHES_COLLECTION = 'savedSearches';
+const ALERT_MODES = ['instant', 'daily', 'off'];
+const SORT_OPTIONS = ['newest', 'oldest', 'price-low', 'price-high'];
+const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * Keep only the filter fields a saved search understands, with consistent types
+ * @param {Object} filters - Filters from PropertyFilters / GlobalSearch
+ * @returns {Object} - Normalized filters
+ */
+const normalizeFilters = (filters = {}) => {
+  const toNumberOrNull = (value) =>
+    value === null || value === undefined || value === '' ? null : Number(value);
+  const toBooleanOrNull = (value) => (value === null || value === undefined ? null : Boolean(value));
+
+  return {
+    keywords: (filters.keywords || '').trim(),
+    type: (filters.type || '').toLowerCase(),
+    city: (filters.city || '').trim(),
+    minPrice: toNumberOrNull(filters.minPrice),
+    maxPrice: toNumberOrNull(filters.maxPrice),
+    bedrooms: toNumberOrNull(filters.bedrooms),
+    bathrooms: toNumberOrNull(filters.bathrooms),
+    furnished: toBooleanOrNull(filters.furnished),
+    parking: toBooleanOrNull(filters.parking),
+  };
+};
+
+/**
+ * Saved Search Service
+ * Stores named property searches (filters + sort) per user. New listings are matched against
+ * them by the matchSavedSearches Cloud Function, which notifies instantly or in a daily digest.
+ */
+class SavedSearchService {
+  /**
+   * Save a named search for the signed-in user
+   * @param {string} userId - Owner user ID (must match authenticated user)
+   * @param {Object} searchData - { name, filters, sort, alertMode }
+   * @returns {Promise<string>} - Saved search document ID
+   */
+  async create(userId, searchData) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      if (!userId || !auth?.currentUser || auth.currentUser.uid !== userId) {
+        throw new Error('Permission denied: You can only save searches to your own account');
+      }
+
+      const name = (searchData.name || '').trim();
+      if (!name) {
+        throw new Error('Please give this search a name');
+      }
+
+      const existing = await this.getByUser(userId);
+      if (existing.length >= MAX_SAVED_SEARCHES) {
+        throw new Error(`You can save up to ${MAX_SAVED_SEARCHES} searches`);
+      }
+
+      const filters = normalizeFilters(searchData.filters);
+      const alertMode = ALERT_MODES.includes(searchData.alertMode) ? searchData.alertMode : 'instant';
+
+      const docRef = await addDoc(collection(db, SAVED_SEARCHES_COLLECTION), {
+        userId,
+        name,
+        filters,
+        sort: SORT_OPTIONS.includes(searchData.sort) ? searchData.sort : 'newest',
+        alertMode,
+        alertsEnabled: alertMode !== 'off',
+        // Lowercased city so the Cloud Function can narrow candidate searches per listing
+        cityKey: toCityKey(filters.city),
+        pendingMatches: [],
+        lastNotifiedAt: null,
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+
+      return docRef.id;
+    } catch (error) {
+      console.error('Error saving search:', error);
+      throw new Error(error.message || 'Failed to save search');
+    }
+  }
+
+  /**
+   * Get all saved searches for a user, newest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - Saved searches
+   */
+  async getByUser(userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      if (!userId) throw new Error('User ID is required');
+
+      const snapshot = await getDocs(
+        query(
+          collection(db, SAVED_SEARCHES_COLLECTION),
+          where('userId', '==', userId),
+          orderBy('createdAt', 'desc')
+        )
+      );
+
+      return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+    } catch (error) {
+      console.error('Error fetching saved searches:', error);
+      throw new Error(error.message || 'Failed to fetch saved searches');
+    }
+  }
+
+  /**
+   * Update a saved search (name, filters, sort or alert mode)
+   * @param {string} searchId - Saved search document ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<void>}
+   */
+  async update(searchId, updates) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      if (!searchId) throw new Error('Saved search ID is required');
+
+      const searchRef = doc(db, SAVED_SEARCHES_COLLECTION, searchId);
+      const searchSnap = await getDoc(searchRef);
+      if (!searchSnap.exists()) {
+        throw new Error('Saved search not found');
+      }
+      if (searchSnap.data().userId !== auth?.currentUser?.uid) {
+        throw new Error('Permission denied: You can only edit your own saved searches');
+      }
+
+      const updateData = { updatedAt: serverTimestamp() };
+
+      if (updates.name !== undefined) {
+        const name = updates.name.trim();
+        if (!name) throw new Error('Please give this search a name');
+        updateData.name = name;
+      }
+
+      if (updates.filters !== undefined) {
+        updateData.filters = normalizeFilters(updates.filters);
+        updateData.cityKey = toCityKey(updateData.filters.city);
+      }
+
+      if (updates.sort !== undefined && SORT_OPTIONS.includes(updates.sort)) {
+        updateData.sort = updates.sort;
+      }
+
+      if (updates.alertMode !== undefined) {
+        if (!ALERT_MODES.includes(updates.alertMode)) {
+          throw new Error(`Alert mode must be one of: ${ALERT_MODES.join(', ')}`);
+        }
+        updateData.alertMode = updates.alertMode;
+        updateData.alertsEnabled = updates.alertMode !== 'off';
+        // Switching away from the digest drops matches that were waiting for it
+        if (updates.alertMode !== 'daily') updateData.pendingMatches = [];
+      }
+
+      await updateDoc(searchRef, updateData);
+    } catch (error) {
+      console.error('Error updating saved search:', error);
+      throw new Error(error.message || 'Failed to update saved search');
+    }
+  }
+
+  /**
+   * Delete a saved search
+   * @param {string} searchId - Saved search document ID
+   * @returns {Promise<void>}
+   */
+  async delete(searchId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      if (!searchId) throw new Error('Saved search ID is required');
+
+      await deleteDoc(doc(db, SAVED_SEARCHES_COLLECTION, searchId));
+    } catch (error) {
+      console.error('Error deleting saved search:', error);
+      throw new Error(error.message || 'Failed to delete saved search');
+    }
+  }
+
+  /**
+   * Build browse-page URL params that re-apply a saved search
+   * @param {Object} savedSearch - Saved search document
+   * @returns {string} - Query string without the leading "?"
+   */
+  toSearchParams(savedSearch) {
+    const params = new URLSearchParams();
+    const filters = savedSearch?.filters || {};
+
+    if (filters.keywords) params.set('search', filters.keywords);
+    if (filters.type) params.set('type', filters.type);
+    if (filters.city) params.set('city', filters.city);
+    ['minPrice', 'maxPrice', 'bedrooms', 'bathrooms'].forEach((key) => {
+      if (filters[key] !== null && filters[key] !== undefined) params.set(key, String(filters[key]));
+    });
+    ['furnished', 'parking'].forEach((key) => {
+      if (filters[key] !== null && filters[key] !== undefined) params.set(key, String(filters[key]));
+    });
+    if (savedSearch?.sort) params.set('sort', savedSearch.sort);
+
+    return params.toString();
+  }
+}
+
+export const savedSearchService = new SavedSearchService();
+export default savedSearchService;
@@ -15,19 +15,23 @@ import { db } from '../firebase';
 /**
  * Transaction Service
  * Handles payment transactions and logging
+ * Card payments are created and settled by the payment Cloud Functions (see paymentService);
+ * create records a pending wallet payment, which the payWithWallet function settles against the
+ * wallet ledger; updateStatus can only mark one failed.
  */
 class TransactionService {
   /**
    * Create a new transaction
    * @param {string} userId - User ID making the payment
-   * @param {string} targetType - Type of target: 'construction', 'renovation', 'rental', 'buySell', 'property'
+   * @param {string} targetType - Type of target: 'construction', 'renovation', 'rental', 'buySell', 'property', 'wallet' (top-up)
    * @param {string} targetId - ID of the target document
    * @param {number} amount - Payment amount
    * @param {string} currency - Currency code (default: 'PKR')
    * @param {string} status - Transaction status: 'pending', 'success', 'failed'
+   * @param {string} paymentMethod - How it is paid: 'card' or 'wallet'
    * @returns {Promise<string>} - Transaction document ID
    */
-  async create(userId, targetType, targetId, amount, currency = 'PKR', status = 'pending') {
+  async create(userId, targetType, targetId, amount, currency = 'PKR', status = 'pending', paymentMethod = 'card') {
     try {
       if (!db) {
         throw new Error('Firestore database is not initialized');
@@ -48,6 +52,7 @@ class TransactionService {
         amount: Number(amount),
         currency,
         status,
+        paymentMethod,
         createdAt: serverTimestamp(),
         updatedAt: serverTimestamp(),
       };
@@ -63,7 +68,7 @@ class TransactionService {
   /**
    * Update transaction status
    * @param {string} transactionId - Transaction document ID
-   * @param {string} status - New status: 'pending', 'success', 'failed'
+   * @param {string} status - New status: 'pending', 'success', 'failed', 'refunded'
    * @returns {Promise<void>}
    */
   async updateStatus(transactionId, status) {
@@ -76,7 +81,7 @@ class TransactionService {
         throw new Error('transactionId and status are required');
       }
 
-      const validStatuses = ['pending', 'success', 'failed'];
+      const validStatuses = ['pending', 'success', 'failed', 'refunded'];
       if (!validStatuses.includes(status)) {
         throw new Error(`Status must be one of: ${validStatuses.join(', ')}`);
       }
@@ -173,74 +178,6 @@ class TransactionService {
       throw new Error(error.message || 'Failed to get transactions');
     }
   }
-
-  /**
-   * Update related request status after successful payment
-   * @param {string} targetType - Type of target
-   * @param {string} targetId - ID of target document
-   * @returns {Promise<void>}
-   */
-  async updateRequestStatusOnPayment(targetType, targetId) {
-    try {
-      if (!db) {
-        throw new Error('Firestore database is not initialized');
-      }
-
-      const collectionMap = {
-        construction: 'constructionProjects',
-        renovation: 'renovationProjects',
-        rental: 'rentalRequests',
-        buySell: 'buySellRequests',
-      };
-
-      const collectionName = collectionMap[targetType];
-      if (!collectionName) {
-        console.warn(`Unknown target type: ${targetType}`);
-        return;
-      }
-
-      const requestRef = doc(db, collectionName, targetId);
-      const requestDoc = await getDoc(requestRef);
-
-      if (!requestDoc.exists()) {
-        console.warn(`Request not found: ${targetId} in ${collectionName}`);
-        return;
-      }
-
-      const requestData = requestDoc.data();
-      const currentStatus = requestData.status;
-
-      // Update status based on request type
-      let newStatus;
-      if (targetType === 'construction' || targetType === 'renovation') {
-        // For construction/renovation, set to 'Confirmed' if pending, or keep current if already accepted
-        newStatus = currentStatus === 'Pending' ? 'Confirmed' : currentStatus;
-      } else if (targetType === 'rental' || targetType === 'buySell') {
-        // For rental/buySell, set to 'Paid' if accepted, or 'Confirmed' if pending
-        if (currentStatus === 'Accepted') {
-          newStatus = 'Paid';
-        } else if (currentStatus === 'Pending') {
-          newStatus = 'Confirmed';
-        } else {
-          newStatus = currentStatus;
-        }
-      } else {
-        // For other types, just set to 'Confirmed'
-        newStatus = 'Confirmed';
-      }
-
-      // Only update if status changed
-      if (newStatus !== currentStatus) {
-        await updateDoc(requestRef, {
-          status: newStatus,
-          updatedAt: serverTimestamp(),
-        });
-      }
-    } catch (error) {
-      console.error('Error updating request status on payment:', error);
-      // Don't throw - this is a side effect
-    }
-  }
 }
 
 const transactionService = new TransactionService();
@@ -1,5 +1,6 @@
-import { doc, getDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
+import { doc, getDoc, setDoc, updateDoc, serverTimestamp } from 'firebase/firestore';
 import { db, auth } from '../firebase';
+import { resolveDigestFrequency, resolveNotificationPrefs } from '../utils/notificationPrefs';
 import { uploadImage, deleteImage as deleteImageFromStorage } from '../firebase/storageFunctions';
 
 // Use userProfiles collection per Firestore rules (owner-only access)
@@ -242,20 +243,96 @@ class UserService {
   }
 
   /**
-   * Update user notification preferences
+   * Get user notification preferences, with defaults filled in
    * @param {string} userId - User document ID
-   * @param {Object} preferences - Notification preferences object
+   * @returns {Promise<Object>} - { [category]: { inApp, email, push } } (see utils/notificationPrefs)
+   */
+  async getNotificationPrefs(userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const userSnap = await getDoc(doc(db, USERS_COLLECTION, userId));
+      return resolveNotificationPrefs(userSnap.exists() ? userSnap.data().notificationPrefs : null);
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      throw new Error(error.message || 'Failed to fetch notification preferences');
+    }
+  }
+
+  /**
+   * Update user notification preferences
+   * Always stored on users/{uid}, where the Cloud Functions' createNotification reads them.
+   * @param {string} userId - User document ID (must match authenticated user)
+   * @param {Object} preferences - Partial matrix, e.g. { chat: { email: false } }; merged into the stored one
    * @returns {Promise<void>}
    */
   async updateNotificationPrefs(userId, preferences) {
     try {
-      await this.updateProfile(userId, { notificationPrefs: preferences });
+      if (!auth || !auth.currentUser || auth.currentUser.uid !== userId) {
+        throw new Error('Permission denied: You can only update your own preferences');
+      }
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      await setDoc(
+        doc(db, USERS_COLLECTION, userId),
+        { notificationPrefs: preferences, updatedAt: serverTimestamp() },
+        { merge: true }
+      );
     } catch (error) {
       console.error('Error updating notification preferences:', error);
       throw new Error(error.message || 'Failed to update notification preferences');
     }
   }
 
+  /**
+   * Get how often low-priority notification emails are sent
+   * @param {string} userId - User document ID
+   * @returns {Promise<string>} - 'off' (right away), 'daily' or 'weekly'
+   */
+  async getNotificationDigest(userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      const userSnap = await getDoc(doc(db, USERS_COLLECTION, userId));
+      return resolveDigestFrequency(userSnap.exists() ? userSnap.data().notificationDigest : null);
+    } catch (error) {
+      console.error('Error fetching notification digest setting:', error);
+      throw new Error(error.message || 'Failed to fetch notification digest setting');
+    }
+  }
+
+  /**
+   * Set how often low-priority notification emails are sent
+   * @param {string} userId - User document ID (must match authenticated user)
+   * @param {string} frequency - 'off', 'daily' or 'weekly'
+   * @returns {Promise<void>}
+   */
+  async updateNotificationDigest(userId, frequency) {
+    try {
+      if (!auth || !auth.currentUser || auth.currentUser.uid !== userId) {
+        throw new Error('Permission denied: You can only update your own preferences');
+      }
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      await setDoc(
+        doc(db, USERS_COLLECTION, userId),
+        { notificationDigest: resolveDigestFrequency(frequency), updatedAt: serverTimestamp() },
+        { merge: true }
+      );
+    } catch (error) {
+      console.error('Error updating notification digest setting:', error);
+      throw new Error(error.message || 'Failed to update notification digest setting');
+    }
+  }
+
   /**
    * Update user bio
    * @param {string} userId - User document ID
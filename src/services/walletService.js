@@ -0,0 +1,111 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+} from 'firebase/firestore';
+import { db, auth } from '../firebase';
+import { functions, httpsCallable } from '../firebase/index';
+
+const WALLETS_COLLECTION = 'wallets';
+const WALLET_LEDGER_COLLECTION = 'walletLedger';
+const DEFAULT_STATEMENT_LIMIT = 50;
+
+/**
+ * Wallet Service
+ * The balance lives in `wallets/{userId}` and every change to it is recorded as an append-only
+ * entry in `walletLedger`. Each entry is written in the same Firestore transaction as the balance,
+ * carries the resulting `balanceAfter`, and points at the `transactions` record it settles.
+ * Ledger entry IDs are derived from the transaction ID, so the same payment cannot be applied twice.
+ * Both collections are read-only here and written by Cloud Functions only (functions/wallet.js):
+ * debits through the payWithWallet callable, top-ups when the payment gateway confirms the card
+ * payment, and refunds for rejected/cancelled bookings by `refundWalletPayments`.
+ */
+class WalletService {
+  /**
+   * Get the current wallet balance
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} - Balance (0 when the user has no wallet yet)
+   */
+  async getBalance(userId) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      if (!userId) throw new Error('User ID is required');
+
+      const walletSnap = await getDoc(doc(db, WALLETS_COLLECTION, userId));
+      return walletSnap.exists() ? walletSnap.data().balance || 0 : 0;
+    } catch (error) {
+      console.error('Error fetching wallet balance:', error);
+      throw new Error(error.message || 'Failed to fetch wallet balance');
+    }
+  }
+
+  /**
+   * Pay a pending wallet transaction from the wallet
+   * The payWithWallet function writes the debit, the new balance and the transaction's `success`
+   * status together; the amount and target are taken from the transaction document.
+   * @param {string} userId - Wallet owner (must be the signed-in user)
+   * @param {Object} payment - { transactionId, description }
+   * @returns {Promise<Object>} - { entryId, amount, balanceAfter }
+   */
+  async pay(userId, payment) {
+    try {
+      if (!userId || !auth?.currentUser || auth.currentUser.uid !== userId) {
+        throw new Error('Permission denied: You can only use your own wallet');
+      }
+      if (!payment.transactionId) {
+        throw new Error('Wallet payments must reference a transaction');
+      }
+
+      const payWithWallet = httpsCallable(functions, 'payWithWallet');
+      const result = await payWithWallet({
+        transactionId: payment.transactionId,
+        description: payment.description || '',
+      });
+      return result.data;
+    } catch (error) {
+      console.error('Error paying from wallet:', error);
+      throw new Error(error.message || 'Failed to pay from wallet');
+    }
+  }
+
+  /**
+   * Get the wallet statement (ledger entries), newest first
+   * @param {string} userId - User ID
+   * @param {number} maxEntries - Maximum entries to return
+   * @returns {Promise<Array>} - Ledger entries
+   */
+  async getStatement(userId, maxEntries = DEFAULT_STATEMENT_LIMIT) {
+    try {
+      if (!db) {
+        throw new Error('Firestore database is not initialized');
+      }
+
+      if (!userId) throw new Error('User ID is required');
+
+      const snapshot = await getDocs(
+        query(
+          collection(db, WALLET_LEDGER_COLLECTION),
+          where('userId', '==', userId),
+          orderBy('createdAt', 'desc'),
+          limit(maxEntries)
+        )
+      );
+
+      return snapshot.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }));
+    } catch (error) {
+      console.error('Error fetching wallet statement:', error);
+      throw new Error(error.message || 'Failed to fetch wallet statement');
+    }
+  }
+}
+
+export const walletService = new WalletService();
+export default walletService;
@@ -0,0 +1,122 @@
+/**
+ * Chat Attachment Helpers
+ * Validation, upload and preview text for images and PDFs sent in chats.
+ * Files are stored on Cloudinary; messages keep { name, url, type, size } per attachment.
+ */
+
+import { uploadToCloudinary } from './cloudinaryUpload';
+
+export const CHAT_ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'];
+export const CHAT_ATTACHMENT_ACCEPT = CHAT_ATTACHMENT_TYPES.join(',');
+export const MAX_CHAT_ATTACHMENT_SIZE = 10 * 1024 * 1024; // 10MB
+export const MAX_CHAT_ATTACHMENTS = 5;
+
+export const isImageAttachment = (attachment) => !!attachment?.type?.startsWith('image/');
+
+/**
+ * Format a byte count for display (e.g. "1.2 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string}
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Split picked files into accepted files and error messages
+ * @param {Array<File>} files - Newly picked or dropped files
+ * @param {number} existingCount - Files already queued for this message
+ * @returns {{ accepted: Array<File>, errors: Array<string> }}
+ */
+export const validateChatAttachments = (files, existingCount = 0) => {
+  const accepted = [];
+  const errors = [];
+
+  Array.from(files || []).forEach((file) => {
+    if (!CHAT_ATTACHMENT_TYPES.includes(file.type)) {
+      errors.push(`${file.name}: only images and PDFs can be attached`);
+    } else if (file.size > MAX_CHAT_ATTACHMENT_SIZE) {
+      errors.push(`${file.name}: larger than ${formatFileSize(MAX_CHAT_ATTACHMENT_SIZE)}`);
+    } else if (existingCount + accepted.length >= MAX_CHAT_ATTACHMENTS) {
+      errors.push(`You can attach up to ${MAX_CHAT_ATTACHMENTS} files per message`);
+    } else {
+      accepted.push(file);
+    }
+  });
+
+  return { accepted, errors: [...new Set(errors)] };
+};
+
+/**
+ * Upload chat attachments one after another, reporting overall progress
+ * @param {Array<File>} files - Validated files
+ * @param {string} chatId - Chat document ID
+ * @param {string} userId - Sender UID
+ * @param {Function} onProgress - Optional, called with overall percentage (0-100)
+ * @returns {Promise<Array<{name: string, url: string, type: string, size: number}>>}
+ */
+export const uploadChatAttachments = async (files, chatId, userId, onProgress = null) => {
+  const { accepted, errors } = validateChatAttachments(files);
+  if (errors.length > 0) {
+    throw new Error(errors[0]);
+  }
+
+  const folder = `user_uploads/${userId}/chats/${chatId}`;
+  const totalBytes = accepted.reduce((sum, file) => sum + file.size, 0) || 1;
+  let uploadedBytes = 0;
+  const attachments = [];
+
+  for (const file of accepted) {
+    const url = await uploadToCloudinary(file, folder, {
+      // PDFs go through the 'auto' endpoint so Cloudinary keeps them downloadable as documents
+      resourceType: file.type.startsWith('image/') ? 'image' : 'auto',
+      onProgress: onProgress
+        ? (percent) => onProgress(Math.round(((uploadedBytes + (file.size * percent) / 100) / totalBytes) * 100))
+        : null,
+    });
+    uploadedBytes += file.size;
+    attachments.push({ name: file.name, url, type: file.type, size: file.size });
+  }
+
+  return attachments;
+};
+
+/**
+ * Short description of a message for chat lists and notifications.
+ * Attachment-only messages read "Photo", "3 photos", "invoice.pdf" or "2 files".
+ * @param {string} text - Message text
+ * @param {Array} attachments - Message attachments
+ * @returns {string}
+ */
+export const getMessagePreview = (text, attachments = []) => {
+  const trimmed = (text || '').trim();
+  if (trimmed) return trimmed;
+  if (!attachments?.length) return '';
+
+  if (attachments.every(isImageAttachment)) {
+    return attachments.length === 1 ? 'Photo' : `${attachments.length} photos`;
+  }
+  return attachments.length === 1 ? attachments[0].name || 'File' : `${attachments.length} files`;
+};
+
+/**
+ * All attachments in a chat, newest first, for the shared media gallery
+ * @param {Array} messages - Chat messages
+ * @returns {Array<Object>} - Attachments with messageId, senderId and createdAt
+ */
+export const getSharedMedia = (messages) =>
+  (messages || [])
+    .flatMap((message) =>
+      (message.attachments || [])
+        .filter((attachment) => attachment?.url)
+        .map((attachment) => ({
+          ...attachment,
+          messageId: message.id,
+          senderId: message.senderId,
+          createdAt: message.createdAt,
+        }))
+    )
+    .reverse();
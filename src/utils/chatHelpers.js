@@ -31,14 +31,58 @@ async function getUserDetails(userId) {
 }
 
 /**
- * Find or create a chat between two users
+ * Chat contexts: what a conversation is about. Chats without a context are the pair's general chat.
+ * link(id, isClient) returns the entity page for the viewer (clients and providers have different routes).
+ */
+export const CHAT_CONTEXT_TYPES = {
+  property: {
+    label: 'Property',
+    link: (id) => `/properties/${id}`,
+  },
+  construction: {
+    label: 'Construction Project',
+    link: (id, isClient) => (isClient ? `/construction/project/${id}` : `/constructor/projects/${id}`),
+  },
+  renovation: {
+    label: 'Renovation Project',
+    link: (id, isClient) => (isClient ? `/renovation/my-renovations/${id}` : `/renovator/project/${id}`),
+  },
+  rental: {
+    label: 'Rental Request',
+    link: (id, isClient) => (isClient ? `/rental/booking/${id}` : '/owner-dashboard'),
+  },
+};
+
+/**
+ * Key identifying a chat's context, used for lookup and filtering ('general' when none)
+ * @param {Object|null} context - { type, id }
+ * @returns {string}
+ */
+export const getChatContextKey = (context) => (context?.type && context?.id ? `${context.type}:${context.id}` : 'general');
+
+/**
+ * Link from a chat back to its context entity
+ * @param {Object|null} context - Chat context { type, id, clientId }
+ * @param {string} viewerUid - Current user's UID
+ * @returns {string|null}
+ */
+export const getChatContextLink = (context, viewerUid) => {
+  const contextType = CHAT_CONTEXT_TYPES[context?.type];
+  if (!contextType || !context.id) return null;
+  return contextType.link(context.id, !context.clientId || context.clientId === viewerUid);
+};
+
+/**
+ * Find or create a chat between two users, optionally scoped to a context
  * Queries for existing chats in 'chats' collection where both users are participants
  * Creates new chat if none exists
  * @param {string} currentUid - Current user's UID
  * @param {string} otherUid - Other participant's UID (provider UID)
+ * @param {Object} context - Optional { type: 'property'|'construction'|'renovation'|'rental', id, title, clientId };
+ *   without it the pair's general (unscoped) chat is used
  * @returns {Promise<string>} - Chat document ID from 'chats' collection
  */
-export async function findOrCreateConversation(currentUid, otherUid) {
+export async function findOrCreateConversation(currentUid, otherUid, context = null) {
   if (!db) {
     throw new Error('Firestore database is not initialized');
   }
@@ -51,6 +95,11 @@ export async function findOrCreateConversation(currentUid, otherUid) {
     throw new Error('Cannot create chat with yourself');
   }
 
+  if (context && (!CHAT_CONTEXT_TYPES[context.type] || !context.id)) {
+    throw new Error('Invalid chat context');
+  }
+  const contextKey = getChatContextKey(context);
+
   try {
     // Step 1: Query 'chats' collection where current user is a participant
     const chatsQuery = query(
@@ -60,14 +109,19 @@ export async function findOrCreateConversation(currentUid, otherUid) {
 
     const snapshot = await getDocs(chatsQuery);
     
-    // Step 2: Filter to find chat with both participants
+    // Step 2: Filter to find chat with both participants and the same context
     let existingChat = null;
     snapshot.forEach((docSnap) => {
       const data = docSnap.data();
       const participants = data.participants || [];
       
       // Check if both users are in the participants array
-      if (participants.includes(currentUid) && participants.includes(otherUid) && participants.length === 2) {
+      if (
+        participants.includes(currentUid) &&
+        participants.includes(otherUid) &&
+        participants.length === 2 &&
+        (data.contextKey || 'general') === contextKey
+      ) {
         existingChat = {
           id: docSnap.id,
           ...data,
@@ -107,6 +161,7 @@ export async function findOrCreateConversation(currentUid, otherUid) {
     console.log('🔵 [Chat Creation] Preparing to create chat:', {
       currentUid: currentUid,
       otherUid: otherUid,
+      contextKey: contextKey,
       targetPath: 'chats',
       participantDetails: participantDetails,
     });
@@ -114,6 +169,15 @@ export async function findOrCreateConversation(currentUid, otherUid) {
     const chatData = {
       participants: participants,
       participantDetails: participantDetails, // FIXED: Store participant details with name and role
+      contextKey: contextKey,
+      context: context
+        ? {
+            type: context.type,
+            id: context.id,
+            title: (context.title || CHAT_CONTEXT_TYPES[context.type].label).slice(0, 120),
+            clientId: context.clientId || null,
+          }
+        : null,
       lastMessage: '',
       updatedAt: serverTimestamp(),
       createdAt: serverTimestamp(),
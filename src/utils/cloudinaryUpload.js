@@ -17,12 +17,44 @@
  */
 
 /**
- * Upload a single image file to Cloudinary
- * @param {File|Blob} file - The image file to upload
+ * POST the upload form with XMLHttpRequest so upload progress can be reported
+ * (fetch has no upload progress events). Resolves to a fetch-like { ok, status, statusText, json }.
+ * @param {string} url - Cloudinary upload endpoint
+ * @param {FormData} formData - Upload form
+ * @param {Function} onProgress - Called with a percentage (0-100)
+ * @returns {Promise<Object>}
+ */
+const postWithProgress = (url, formData, onProgress) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open('POST', url);
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(Math.round((event.loaded / event.total) * 100));
+      }
+    };
+    xhr.onload = () => {
+      resolve({
+        ok: xhr.status >= 200 && xhr.status < 300,
+        status: xhr.status,
+        statusText: xhr.statusText,
+        json: async () => JSON.parse(xhr.responseText),
+      });
+    };
+    xhr.onerror = () => reject(new Error('Network error during upload'));
+    xhr.send(formData);
+  });
+
+/**
+ * Upload a single file to Cloudinary
+ * @param {File|Blob} file - The file to upload (an image unless options.resourceType says otherwise)
  * @param {string} folder - Optional folder path in Cloudinary (e.g., 'properties', 'users/profile')
- * @returns {Promise<string>} - Secure URL of the uploaded image
+ * @param {Object} options - Optional { onProgress(percent), resourceType: 'image' | 'raw' | 'auto' }
+ * @returns {Promise<string>} - Secure URL of the uploaded file
  */
-export const uploadToCloudinary = async (file, folder = null) => {
+export const uploadToCloudinary = async (file, folder = null, options = {}) => {
+  const { onProgress = null, resourceType = 'image' } = options;
+
   try {
     if (!file) {
       throw new Error('No file provided');
@@ -63,13 +95,13 @@ export const uploadToCloudinary = async (file, folder = null) => {
     }
 
     // Upload to Cloudinary
-    const response = await fetch(
-      `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`,
-      {
-        method: 'POST',
-        body: formData,
-      }
-    );
+    const uploadUrl = `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/upload`;
+    const response = onProgress
+      ? await postWithProgress(uploadUrl, formData, onProgress)
+      : await fetch(uploadUrl, {
+          method: 'POST',
+          body: formData,
+        });
 
     if (import.meta.env.DEV) {
       console.log('[Cloudinary] Upload response status', {
@@ -102,6 +134,7 @@ export const uploadToCloudinary = async (file, folder = null) => {
       });
     }
 
+    onProgress?.(100);
     return data.secure_url;
   } catch (error) {
     console.error('Error uploading image to Cloudinary:', error);
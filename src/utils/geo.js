@@ -0,0 +1,125 @@
+/**
+ * Geohash and distance helpers
+ *
+ * Providers store a `geohash` of their pinned coordinates (written by the onConstructionProviderWritten
+ * / onRenovatorWritten functions). A nearby search queries the geohash cell around the chosen point
+ * and its eight neighbours by prefix, then keeps the providers within the radius by exact distance.
+ *
+ * encodeGeohash must match functions/providerSearch.js - keep both in sync.
+ */
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Encode coordinates as a geohash
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {number} precision - Number of characters
+ * @returns {string}
+ */
+export const encodeGeohash = (lat, lng, precision = 9) => {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+    bits <<= 1;
+    if (value >= mid) {
+      bits |= 1;
+      range[0] = mid;
+    } else {
+      range[1] = mid;
+    }
+    evenBit = !evenBit;
+    bitCount += 1;
+    if (bitCount === 5) {
+      hash += GEOHASH_BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+  return hash;
+};
+
+/**
+ * Whether a value is a { lat, lng } pair of valid coordinates
+ * @param {Object} point - Candidate point
+ * @returns {boolean}
+ */
+export const isValidPoint = (point) =>
+  !!point &&
+  Number.isFinite(point.lat) &&
+  Number.isFinite(point.lng) &&
+  Math.abs(point.lat) <= 90 &&
+  Math.abs(point.lng) <= 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {{ lat: number, lng: number }} a - First point
+ * @param {{ lat: number, lng: number }} b - Second point
+ * @returns {number} - Kilometres
+ */
+export const distanceKm = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Size of a geohash cell at a latitude
+ * @param {number} precision - Geohash length
+ * @param {number} lat - Latitude
+ * @returns {{ latDeg: number, lngDeg: number, heightKm: number, widthKm: number }}
+ */
+const cellSize = (precision, lat) => {
+  const bits = precision * 5;
+  const latDeg = 180 / 2 ** Math.floor(bits / 2);
+  const lngDeg = 360 / 2 ** Math.ceil(bits / 2);
+  return {
+    latDeg,
+    lngDeg,
+    heightKm: latDeg * KM_PER_DEGREE,
+    widthKm: lngDeg * KM_PER_DEGREE * Math.cos((lat * Math.PI) / 180),
+  };
+};
+
+/**
+ * Geohash prefixes whose cells cover a circle: the longest precision whose cells are at least as
+ * large as the radius, for the centre cell and its eight neighbours
+ * @param {{ lat: number, lng: number }} center - Centre of the search
+ * @param {number} radiusKm - Radius
+ * @returns {Array<string>} - Query each with geohash >= prefix and < prefix + '~'
+ */
+export const getGeohashPrefixes = (center, radiusKm) => {
+  let precision = 1;
+  for (let candidate = 9; candidate >= 1; candidate -= 1) {
+    const { heightKm, widthKm } = cellSize(candidate, center.lat);
+    if (Math.min(heightKm, widthKm) >= radiusKm) {
+      precision = candidate;
+      break;
+    }
+  }
+
+  const { latDeg, lngDeg } = cellSize(precision, center.lat);
+  const prefixes = new Set();
+  [-1, 0, 1].forEach((dy) => {
+    [-1, 0, 1].forEach((dx) => {
+      const lat = Math.max(-90, Math.min(90, center.lat + dy * latDeg));
+      const lng = ((center.lng + dx * lngDeg + 540) % 360) - 180;
+      prefixes.add(encodeGeohash(lat, lng, precision));
+    });
+  });
+  return [...prefixes];
+};
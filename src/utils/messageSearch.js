@@ -0,0 +1,44 @@
+/**
+ * Chat message search helpers
+ *
+ * The Cloud Function `onChatMessageWritten` (functions/messageSearch.js) stores the prefixes of
+ * every word of a message in `searchPrefixes`. A search queries one prefix of the term with
+ * array-contains and checks the rest of the term on the returned messages. Prefix lengths must
+ * match functions/messageSearch.js - keep both files in sync.
+ */
+
+import { normalizeSearchText } from './searchIndex';
+
+export const MIN_PREFIX_LENGTH = 2;
+export const MAX_PREFIX_LENGTH = 15;
+
+const getSearchWords = (text) =>
+  normalizeSearchText(text)
+    .split(' ')
+    .filter((word) => word.length >= MIN_PREFIX_LENGTH);
+
+/**
+ * Prefix to query for a search term: its longest word, cut to the indexed length
+ * @param {string} term - Search term
+ * @returns {string|null} - null when no word is long enough to be indexed
+ */
+export const getMessageQueryPrefix = (term) => {
+  const longest = getSearchWords(term).reduce(
+    (best, word) => (word.length > best.length ? word : best),
+    ''
+  );
+  return longest ? longest.slice(0, MAX_PREFIX_LENGTH) : null;
+};
+
+/**
+ * Whether every word of a search term starts a word of the message text
+ * @param {string} text - Message text
+ * @param {string} term - Search term
+ * @returns {boolean}
+ */
+export const matchesMessageSearch = (text, term) => {
+  const messageWords = normalizeSearchText(text).split(' ');
+  return getSearchWords(term).every((word) =>
+    messageWords.some((messageWord) => messageWord.startsWith(word))
+  );
+};
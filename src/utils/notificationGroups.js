@@ -0,0 +1,114 @@
+/**
+ * Notification grouping and filtering
+ *
+ * Notifications about the same thread or entity (one chat, one project, one provider's reviews) are
+ * shown as one group: "5 new messages from Ali". The Cloud Functions set groupKey and actorName;
+ * older and client-created notifications are grouped by chat ID or category + link instead.
+ */
+import { NOTIFICATION_CATEGORIES } from './notificationPrefs';
+
+export const NOTIFICATION_FILTERS = [
+  { id: 'all', label: 'All' },
+  ...Object.entries(NOTIFICATION_CATEGORIES).map(([id, { shortLabel }]) => ({
+    id,
+    label: shortLabel,
+  })),
+  { id: 'other', label: 'Other' },
+];
+
+const toMillis = (value) => value?.toMillis?.() ?? (value?.seconds ? value.seconds * 1000 : 0);
+
+/**
+ * Whether a notification is shown under a filter tab
+ * @param {Object} notification - Notification document
+ * @param {string} filter - Filter id from NOTIFICATION_FILTERS; 'other' is payments, wallet, disputes, ...
+ * @returns {boolean}
+ */
+export const matchesFilter = (notification, filter) => {
+  if (filter === 'all') return true;
+  if (filter === 'other') return !NOTIFICATION_CATEGORIES[notification.category];
+  return notification.category === filter;
+};
+
+/**
+ * Thread/entity key of a notification
+ * @param {Object} notification - Notification document
+ * @returns {string}
+ */
+export const getGroupKey = (notification) => {
+  if (notification.groupKey) return notification.groupKey;
+  const chatId = notification.link?.match(/[?&]chatId=([^&]+)/)?.[1];
+  if (chatId) return `chat:${chatId}`;
+  if (notification.link)
+    return `${notification.category || notification.type || 'info'}|${notification.link}`;
+  return notification.id;
+};
+
+/**
+ * Group notifications by thread, newest group first
+ * @param {Array<Object>} notifications - Notifications, newest first
+ * @returns {Array<{ key: string, latest: Object, items: Array<Object>, unreadCount: number }>}
+ */
+export const groupNotifications = (notifications) => {
+  const groups = new Map();
+  notifications.forEach((notification) => {
+    const key = getGroupKey(notification);
+    if (!groups.has(key)) {
+      groups.set(key, { key, items: [] });
+    }
+    groups.get(key).items.push(notification);
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const items = [...group.items].sort((a, b) => toMillis(b.createdAt) - toMillis(a.createdAt));
+      return {
+        key: group.key,
+        latest: items[0],
+        items,
+        unreadCount: items.filter((notification) => !notification.read).length,
+      };
+    })
+    .sort((a, b) => toMillis(b.latest.createdAt) - toMillis(a.latest.createdAt));
+};
+
+/**
+ * Title and message to show for a group
+ * @param {Object} group - Group from groupNotifications
+ * @returns {{ title: string, message: string }}
+ */
+export const describeGroup = ({ latest, items, unreadCount }) => {
+  const title = latest.title || 'Notification';
+  if (items.length === 1) {
+    return { title, message: latest.message };
+  }
+
+  const count = unreadCount || items.length;
+  const fresh = unreadCount > 0 ? 'new ' : '';
+  if (latest.category === 'chat' || getGroupKey(latest).startsWith('chat:')) {
+    const actor = latest.actorName || latest.message?.match(/^([^:]{1,40}):\s/)?.[1];
+    return {
+      title: `${count} ${fresh}message${count === 1 ? '' : 's'}${actor ? ` from ${actor}` : ''}`,
+      message: latest.message,
+    };
+  }
+  return {
+    title: `${title} (${count} ${fresh}update${count === 1 ? '' : 's'})`,
+    message: latest.message,
+  };
+};
+
+/**
+ * Unread count per filter tab
+ * @param {Array<Object>} notifications - Notifications
+ * @returns {Object} - { [filterId]: number }
+ */
+export const countUnreadByFilter = (notifications) => {
+  const counts = {};
+  NOTIFICATION_FILTERS.forEach(({ id }) => {
+    counts[id] = notifications.filter(
+      (notification) => !notification.read && matchesFilter(notification, id)
+    ).length;
+  });
+  return counts;
+};
@@ -0,0 +1,106 @@
+/**
+ * Notification Preferences
+ *
+ * Users choose, per notification category, which channels may notify them. The matrix is stored on
+ * the user document as notificationPrefs = { [category]: { inApp, email, push } }; missing entries
+ * fall back to DEFAULT_NOTIFICATION_PREFS. Notifications without a category (payments, wallet,
+ * disputes, account) are always delivered.
+ *
+ * Emails of the low-priority DIGEST_CATEGORIES can instead be batched into a daily or weekly digest,
+ * stored as notificationDigest = 'off' | 'daily' | 'weekly' on the user document.
+ *
+ * Keep in sync with functions/notificationPrefs.js, which enforces the same matrix in createNotification.
+ */
+
+export const NOTIFICATION_CATEGORIES = {
+  chat: {
+    shortLabel: 'Chat',
+    label: 'Chat messages',
+    description: 'New messages from clients, providers, owners and support',
+  },
+  projectStatus: {
+    shortLabel: 'Projects',
+    label: 'Projects & requests',
+    description: 'New requests, quotes and status changes on your projects and bookings',
+  },
+  reviews: {
+    shortLabel: 'Reviews',
+    label: 'Reviews',
+    description: 'Reviews of your services and replies to your reviews',
+  },
+  propertyModeration: {
+    shortLabel: 'Listings',
+    label: 'Property listings',
+    description: 'Approval and moderation of the properties you list',
+  },
+  savedSearches: {
+    shortLabel: 'Searches',
+    label: 'Saved searches',
+    description: 'New listings that match your saved searches',
+  },
+  marketing: {
+    shortLabel: 'News',
+    label: 'News & offers',
+    description: 'Announcements and promotions from the platform',
+  },
+};
+
+export const NOTIFICATION_CHANNELS = {
+  inApp: 'In-app',
+  email: 'Email',
+  push: 'Push',
+};
+
+export const DIGEST_CATEGORIES = ['reviews', 'propertyModeration', 'marketing'];
+
+export const DIGEST_FREQUENCIES = {
+  off: 'Send each email right away',
+  daily: 'Daily digest',
+  weekly: 'Weekly digest',
+};
+
+export const DEFAULT_NOTIFICATION_PREFS = {
+  chat: { inApp: true, email: true, push: true },
+  projectStatus: { inApp: true, email: true, push: true },
+  reviews: { inApp: true, email: true, push: true },
+  propertyModeration: { inApp: true, email: true, push: true },
+  savedSearches: { inApp: true, email: true, push: true },
+  marketing: { inApp: true, email: false, push: false },
+};
+
+/**
+ * Complete preference matrix from what is stored on the user document
+ * @param {Object} stored - users/{uid}.notificationPrefs (may be missing or partial)
+ * @returns {Object} - { [category]: { inApp, email, push } }
+ */
+export const resolveNotificationPrefs = (stored) => {
+  const prefs = {};
+  Object.keys(DEFAULT_NOTIFICATION_PREFS).forEach((category) => {
+    const saved = stored && typeof stored[category] === 'object' ? stored[category] : {};
+    prefs[category] = {};
+    Object.keys(NOTIFICATION_CHANNELS).forEach((channel) => {
+      prefs[category][channel] =
+        typeof saved?.[channel] === 'boolean' ? saved[channel] : DEFAULT_NOTIFICATION_PREFS[category][channel];
+    });
+  });
+  return prefs;
+};
+
+/**
+ * Whether a channel may deliver a notification of this category
+ * @param {Object} prefs - Resolved preference matrix
+ * @param {string|null} category - Notification category; uncategorized notifications always go out
+ * @param {string} channel - 'inApp', 'email' or 'push'
+ * @returns {boolean}
+ */
+export const isChannelEnabled = (prefs, category, channel) => {
+  if (!category || !NOTIFICATION_CATEGORIES[category]) return true;
+  return prefs?.[category]?.[channel] !== false;
+};
+
+/**
+ * Digest frequency from what is stored on the user document
+ * @param {*} stored - users/{uid}.notificationDigest
+ * @returns {string} - 'off', 'daily' or 'weekly'
+ */
+export const resolveDigestFrequency = (stored) => (DIGEST_FREQUENCIES[stored] ? stored : 'off');
@@ -0,0 +1,226 @@
+/**
+ * Project / Request Status State Machine
+ *
+ * One status model for constructionProjects, renovationProjects, rentalRequests and
+ * buySellRequests. Each transition lists the roles allowed to make it:
+ * - client:   the user who made the request (userId / clientId)
+ * - provider: the assigned provider for projects, the property owner for rentals and buy/sell
+ * - admin:    platform admins
+ * - system:   Cloud Functions (payment settlement, disputes). Either party opens a dispute through
+ *             the openDispute function, never by writing 'Disputed' directly.
+ *
+ * Keep in sync with functions/projectStatus.js and the status rules in firestore.rules.
+ */
+
+export const STATUS = {
+  PENDING: 'Pending',
+  CONFIRMED: 'Confirmed',
+  ACCEPTED: 'Accepted',
+  PAID: 'Paid',
+  IN_PROGRESS: 'In Progress',
+  ON_HOLD: 'On Hold',
+  COMPLETED: 'Completed',
+  REJECTED: 'Rejected',
+  CANCELLED: 'Cancelled',
+  DISPUTED: 'Disputed',
+};
+
+export const STATUS_ROLES = ['client', 'provider', 'admin', 'system'];
+
+// Construction and renovation projects
+const PROJECT_TRANSITIONS = {
+  Pending: {
+    Confirmed: ['system'],
+    Accepted: ['provider', 'admin'],
+    'In Progress': ['provider', 'admin'],
+    Rejected: ['provider', 'admin'],
+    Cancelled: ['client', 'admin'],
+  },
+  Confirmed: {
+    Accepted: ['provider', 'admin'],
+    'In Progress': ['provider', 'admin'],
+    Rejected: ['provider', 'admin'],
+    Cancelled: ['client', 'admin'],
+  },
+  Accepted: {
+    'In Progress': ['provider', 'admin'],
+    'On Hold': ['provider', 'admin'],
+    Cancelled: ['client', 'provider', 'admin'],
+  },
+  'In Progress': {
+    'On Hold': ['provider', 'admin'],
+    Completed: ['provider', 'admin'],
+    Disputed: ['system'],
+    Cancelled: ['admin'],
+  },
+  'On Hold': {
+    'In Progress': ['provider', 'admin'],
+    Disputed: ['system'],
+    Cancelled: ['client', 'provider', 'admin'],
+  },
+  Completed: {
+    Disputed: ['system'],
+  },
+  Disputed: {
+    'In Progress': ['admin'],
+    'On Hold': ['admin'],
+    Completed: ['admin'],
+    Cancelled: ['admin'],
+  },
+  Rejected: {},
+  Cancelled: {},
+};
+
+// Rental and buy/sell requests
+const REQUEST_TRANSITIONS = {
+  Pending: {
+    Confirmed: ['system'],
+    Accepted: ['provider', 'admin'],
+    Rejected: ['provider', 'admin'],
+    Cancelled: ['client', 'admin'],
+  },
+  Confirmed: {
+    Accepted: ['provider', 'admin'],
+    Rejected: ['provider', 'admin'],
+    Cancelled: ['client', 'admin'],
+  },
+  Accepted: {
+    Paid: ['system'],
+    'On Hold': ['provider', 'admin'],
+    Completed: ['provider', 'admin'],
+    Disputed: ['system'],
+    Cancelled: ['client', 'provider', 'admin'],
+  },
+  Paid: {
+    Completed: ['provider', 'admin'],
+    Disputed: ['system'],
+    Cancelled: ['admin'],
+  },
+  'On Hold': {
+    Accepted: ['provider', 'admin'],
+    Disputed: ['system'],
+    Cancelled: ['client', 'provider', 'admin'],
+  },
+  Completed: {
+    Disputed: ['system'],
+  },
+  Disputed: {
+    Accepted: ['admin'],
+    Completed: ['admin'],
+    Cancelled: ['admin'],
+  },
+  Rejected: {},
+  Cancelled: {},
+};
+
+export const STATUS_MACHINES = {
+  constructionProjects: PROJECT_TRANSITIONS,
+  renovationProjects: PROJECT_TRANSITIONS,
+  rentalRequests: REQUEST_TRANSITIONS,
+  buySellRequests: REQUEST_TRANSITIONS,
+};
+
+// Older documents use lower case and a few spellings for the same status
+const STATUS_ALIASES = {
+  pending: STATUS.PENDING,
+  confirmed: STATUS.CONFIRMED,
+  accepted: STATUS.ACCEPTED,
+  approved: STATUS.ACCEPTED,
+  paid: STATUS.PAID,
+  'in progress': STATUS.IN_PROGRESS,
+  inprogress: STATUS.IN_PROGRESS,
+  'on hold': STATUS.ON_HOLD,
+  onhold: STATUS.ON_HOLD,
+  completed: STATUS.COMPLETED,
+  rejected: STATUS.REJECTED,
+  cancelled: STATUS.CANCELLED,
+  canceled: STATUS.CANCELLED,
+  disputed: STATUS.DISPUTED,
+};
+
+/**
+ * Map any stored status spelling ('pending', 'in-progress', 'Approved') to its canonical form
+ * @param {string} status - Stored status
+ * @returns {string|null} - Canonical status, or null if unknown
+ */
+export function normalizeStatus(status) {
+  if (!status || typeof status !== 'string') return null;
+  const key = status.trim().toLowerCase().replace(/[-_]+/g, ' ');
+  return STATUS_ALIASES[key] || null;
+}
+
+/**
+ * Get the status machine for a collection
+ * @param {string} collectionName - Project/request collection name
+ * @returns {Object}
+ */
+function getMachine(collectionName) {
+  const machine = STATUS_MACHINES[collectionName];
+  if (!machine) {
+    throw new Error(`No status machine for collection: ${collectionName}`);
+  }
+  return machine;
+}
+
+/**
+ * Statuses a role may move a document to from its current status
+ * @param {string} collectionName - Project/request collection name
+ * @param {string} currentStatus - Current (possibly legacy) status
+ * @param {string} role - 'client', 'provider', 'admin' or 'system'
+ * @returns {Array<string>}
+ */
+export function getAllowedTransitions(collectionName, currentStatus, role) {
+  const from = normalizeStatus(currentStatus) || STATUS.PENDING;
+  const targets = getMachine(collectionName)[from] || {};
+  return Object.keys(targets).filter((to) => targets[to].includes(role));
+}
+
+/**
+ * Check a single transition
+ * @param {string} collectionName - Project/request collection name
+ * @param {string} currentStatus - Current (possibly legacy) status
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - 'client', 'provider', 'admin' or 'system'
+ * @returns {boolean}
+ */
+export function canTransition(collectionName, currentStatus, nextStatus, role) {
+  const to = normalizeStatus(nextStatus);
+  return !!to && getAllowedTransitions(collectionName, currentStatus, role).includes(to);
+}
+
+/**
+ * Throw if a transition is not allowed
+ * @param {string} collectionName - Project/request collection name
+ * @param {string} currentStatus - Current (possibly legacy) status
+ * @param {string} nextStatus - Requested status
+ * @param {string} role - 'client', 'provider', 'admin' or 'system'
+ * @returns {string} - Canonical next status
+ */
+export function assertTransition(collectionName, currentStatus, nextStatus, role) {
+  if (!canTransition(collectionName, currentStatus, nextStatus, role)) {
+    const from = normalizeStatus(currentStatus) || currentStatus || 'no status';
+    throw new Error(`Cannot change status from "${from}" to "${nextStatus}"`);
+  }
+  return normalizeStatus(nextStatus);
+}
+
+/**
+ * Whether no further transitions are possible
+ * @param {string} collectionName - Project/request collection name
+ * @param {string} status - Current (possibly legacy) status
+ * @returns {boolean}
+ */
+export function isFinalStatus(collectionName, status) {
+  const from = normalizeStatus(status);
+  return !!from && Object.keys(getMachine(collectionName)[from] || {}).length === 0;
+}
+
+/**
+ * Whether a dispute can be opened from the current status
+ * @param {string} collectionName - Project/request collection name
+ * @param {string} status - Current (possibly legacy) status
+ * @returns {boolean}
+ */
+export function canOpenDispute(collectionName, status) {
+  return canTransition(collectionName, status, STATUS.DISPUTED, 'system');
+}
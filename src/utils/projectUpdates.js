@@ -1,5 +1,6 @@
-import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
+import { collection, doc, getDoc, addDoc, writeBatch, serverTimestamp } from 'firebase/firestore';
 import { db } from '../firebase';
+import { assertTransition, normalizeStatus } from './projectStatus';
 
 /**
  * Add an update log to a project's updates subcollection
@@ -8,9 +9,10 @@ import { db } from '../firebase';
  * @param {string} status - New status
  * @param {string} updatedBy - User UID who made the update
  * @param {string} note - Optional note/comment
+ * @param {Object} options - Optional { batch, previousStatus }; with a write batch or transaction the log is only queued on it
  * @returns {Promise<string>} - Update document ID
  */
-export async function addProjectUpdate(collectionName, projectId, status, updatedBy, note = '') {
+export async function addProjectUpdate(collectionName, projectId, status, updatedBy, note = '', options = {}) {
   try {
     if (!db) {
       throw new Error('Firestore database is not initialized');
@@ -27,6 +29,15 @@ export async function addProjectUpdate(collectionName, projectId, status, update
       note: note.trim(),
       createdAt: serverTimestamp(),
     };
+    if (options.previousStatus) {
+      updateData.previousStatus = options.previousStatus;
+    }
+
+    if (options.batch) {
+      const updateRef = doc(collection(db, collectionName, projectId, 'projectUpdates'));
+      options.batch.set(updateRef, updateData);
+      return updateRef.id;
+    }
 
     const updateRef = await addDoc(
       collection(db, collectionName, projectId, 'projectUpdates'),
@@ -40,5 +51,57 @@ export async function addProjectUpdate(collectionName, projectId, status, update
   }
 }
 
+/**
+ * Move a project/request to a new status through the status state machine.
+ * The status change and its projectUpdates entry are written in one batch; Firestore rules reject
+ * a status change whose `statusUpdateId` does not point at the matching log entry.
+ * @param {string} collectionName - Collection name ('constructionProjects', 'renovationProjects', 'rentalRequests', 'buySellRequests')
+ * @param {string} projectId - Project document ID
+ * @param {string} status - Requested status
+ * @param {Object} options - { role, updatedBy, note, extraFields }
+ * @returns {Promise<{status: string, previousStatus: string, updateId: string}>}
+ */
+export async function updateProjectStatus(collectionName, projectId, status, options = {}) {
+  try {
+    if (!db) {
+      throw new Error('Firestore database is not initialized');
+    }
 
+    const { role, updatedBy, note, extraFields = {} } = options;
+    if (!role || !updatedBy) {
+      throw new Error('role and updatedBy are required');
+    }
+
+    const projectRef = doc(db, collectionName, projectId);
+    const projectSnap = await getDoc(projectRef);
+    if (!projectSnap.exists()) {
+      throw new Error('Project not found');
+    }
+
+    const currentStatus = projectSnap.data().status;
+    const nextStatus = assertTransition(collectionName, currentStatus, status, role);
+    const previousStatus = normalizeStatus(currentStatus) || currentStatus || 'Pending';
+
+    const batch = writeBatch(db);
+    const updateId = await addProjectUpdate(
+      collectionName,
+      projectId,
+      nextStatus,
+      updatedBy,
+      note || `Status changed from ${previousStatus} to ${nextStatus}`,
+      { batch, previousStatus }
+    );
+    batch.update(projectRef, {
+      ...extraFields,
+      status: nextStatus,
+      statusUpdateId: updateId,
+      updatedAt: serverTimestamp(),
+    });
+    await batch.commit();
 
+    return { status: nextStatus, previousStatus, updateId };
+  } catch (error) {
+    console.error('Error updating project status:', error);
+    throw new Error(error.message || 'Failed to update status');
+  }
+}
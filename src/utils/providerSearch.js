@@ -0,0 +1,196 @@
+/**
+ * Provider discovery filters and ranking
+ *
+ * Used by ProvidersList for constructionProviders and renovators. Providers register their
+ * coordinates, budget range and availability (RegisterAsConstructor / RegisterAsRenovator); rating,
+ * review count and avgResponseHours are kept up to date by Cloud Functions.
+ */
+
+export const PROVIDER_AVAILABILITY = {
+  available: 'Taking new projects',
+  limited: 'Limited availability',
+  unavailable: 'Not taking projects',
+};
+
+export const SEARCH_RADII_KM = [5, 10, 25, 50, 100];
+export const DEFAULT_RADIUS_KM = 25;
+
+// Share of each signal in the ranking score; they add up to 1
+export const RANKING_WEIGHTS = {
+  rating: 0.4,
+  reviews: 0.2,
+  responseTime: 0.15,
+  distance: 0.25,
+};
+
+// Review count and response time at which those signals stop improving the score
+const REVIEWS_FOR_FULL_SCORE = 50;
+const SLOWEST_RESPONSE_HOURS = 72;
+
+const toNumberOrNull = (value) =>
+  value === null || value === undefined || value === '' || Number.isNaN(Number(value))
+    ? null
+    : Number(value);
+
+/**
+ * Availability key of a provider; older renovator documents store free text
+ * @param {Object} provider - Provider document
+ * @returns {string} - A PROVIDER_AVAILABILITY key
+ */
+export const getAvailability = (provider) => {
+  const value = String(provider.availability || '').trim();
+  if (PROVIDER_AVAILABILITY[value]) return value;
+  if (!value) return 'available';
+  if (/not|unavailable|busy|closed/i.test(value)) return 'unavailable';
+  if (/limited|weekend|part/i.test(value)) return 'limited';
+  return 'available';
+};
+
+/**
+ * Services a provider offers, from whichever field their document uses
+ * @param {Object} provider - Provider document
+ * @returns {Array<string>}
+ */
+export const getProviderServices = (provider) => {
+  const list = [provider.servicesOffered, provider.specialization, provider.expertise].find(
+    Array.isArray
+  );
+  const services = list || [
+    provider.servicesOffered || provider.specialization || provider.expertise,
+  ];
+  return services.filter(Boolean).map(String);
+};
+
+export const getProviderRating = (provider) =>
+  Number(provider.averageRating ?? provider.rating) || 0;
+
+export const getProviderExperience = (provider) =>
+  Number(provider.experience || provider.experienceYears) || 0;
+
+/**
+ * LocationPicker value for a provider's stored service location
+ * @param {Object} data - Provider document or registration request
+ * @returns {Object|null}
+ */
+export const toServiceLocation = (data) =>
+  data.coordinates
+    ? { ...data.coordinates, address: data.serviceAddress || '', pinned: true }
+    : null;
+
+/**
+ * Discovery fields a registration form writes to the provider document and request
+ * Coordinates are only stored when the provider pinned a location, not for a typed address.
+ * @param {Object} formData - { serviceLocation, minBudget, maxBudget, availability }
+ * @returns {Object} - { coordinates, serviceAddress, minBudget, maxBudget, availability }
+ */
+export const buildDiscoveryFields = (formData) => {
+  const location = formData.serviceLocation;
+  return {
+    coordinates: location?.pinned ? { lat: location.lat, lng: location.lng } : null,
+    serviceAddress: location?.pinned ? location.address || '' : '',
+    minBudget: toNumberOrNull(formData.minBudget),
+    maxBudget: toNumberOrNull(formData.maxBudget),
+    availability: PROVIDER_AVAILABILITY[formData.availability]
+      ? formData.availability
+      : 'available',
+  };
+};
+
+/**
+ * Validation error for a registration form's budget range, or null
+ * @param {Object} formData - { minBudget, maxBudget }
+ * @returns {string|null}
+ */
+export const validateBudgetRange = (formData) => {
+  const minBudget = toNumberOrNull(formData.minBudget);
+  const maxBudget = toNumberOrNull(formData.maxBudget);
+  if ((minBudget !== null && minBudget < 0) || (maxBudget !== null && maxBudget < 0)) {
+    return 'Budget cannot be negative';
+  }
+  if (minBudget !== null && maxBudget !== null && maxBudget < minBudget) {
+    return 'Maximum budget must be at least the minimum';
+  }
+  return null;
+};
+
+/**
+ * Whether a provider passes the budget, rating, experience and availability filters
+ * A budget filter keeps providers whose range overlaps it; providers without a range are kept.
+ * @param {Object} provider - Provider document
+ * @param {Object} filters - { minBudget, maxBudget, minRating, minExperience, availability }
+ * @returns {boolean}
+ */
+export const matchesProviderFilters = (provider, filters) => {
+  const minBudget = toNumberOrNull(filters.minBudget);
+  const maxBudget = toNumberOrNull(filters.maxBudget);
+  const providerMin = toNumberOrNull(provider.minBudget);
+  const providerMax = toNumberOrNull(provider.maxBudget);
+
+  if (maxBudget !== null && providerMin !== null && providerMin > maxBudget) return false;
+  if (minBudget !== null && providerMax !== null && providerMax < minBudget) return false;
+
+  const minRating = toNumberOrNull(filters.minRating);
+  if (minRating !== null && getProviderRating(provider) < minRating) return false;
+
+  const minExperience = toNumberOrNull(filters.minExperience);
+  if (minExperience !== null && getProviderExperience(provider) < minExperience) return false;
+
+  if (filters.availability && getAvailability(provider) !== filters.availability) return false;
+
+  return true;
+};
+
+/**
+ * Ranking score between 0 and 1
+ * Unknown response times score as the midpoint; distance only counts in a nearby search, relative
+ * to its radius.
+ * @param {Object} provider - Provider document, with distanceKm when searched by location
+ * @param {number|null} radiusKm - Radius of the nearby search, or null
+ * @returns {number}
+ */
+export const scoreProvider = (provider, radiusKm = null) => {
+  const rating = getProviderRating(provider) / 5;
+  const reviews = Math.min(
+    1,
+    Math.log1p(Number(provider.totalReviews) || 0) / Math.log1p(REVIEWS_FOR_FULL_SCORE)
+  );
+  const hours = toNumberOrNull(provider.avgResponseHours);
+  const responseTime =
+    hours === null ? 0.5 : 1 - Math.min(hours, SLOWEST_RESPONSE_HOURS) / SLOWEST_RESPONSE_HOURS;
+
+  const scores = { rating, reviews, responseTime };
+  const weights = { ...RANKING_WEIGHTS };
+  if (radiusKm && typeof provider.distanceKm === 'number') {
+    scores.distance = 1 - Math.min(provider.distanceKm, radiusKm) / radiusKm;
+  } else {
+    delete weights.distance;
+  }
+
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+  return (
+    Object.keys(weights).reduce((sum, key) => sum + weights[key] * scores[key], 0) / totalWeight
+  );
+};
+
+/**
+ * Providers sorted best first
+ * @param {Array<Object>} providers - Provider documents
+ * @param {number|null} radiusKm - Radius of the nearby search, or null
+ * @returns {Array<Object>}
+ */
+export const rankProviders = (providers, radiusKm = null) =>
+  providers
+    .map((provider) => ({ provider, score: scoreProvider(provider, radiusKm) }))
+    .sort((a, b) => b.score - a.score)
+    .map(({ provider }) => provider);
+
+/**
+ * Short label for a provider's average response time
+ * @param {number} hours - avgResponseHours
+ * @returns {string}
+ */
+export const formatResponseTime = (hours) => {
+  if (hours < 1) return 'Responds within an hour';
+  if (hours < 24) return `Responds in ~${Math.round(hours)} h`;
+  return `Responds in ~${Math.round(hours / 24)} d`;
+};
@@ -0,0 +1,41 @@
+/**
+ * Review Moderation
+ *
+ * Users report reviews for one of REPORT_REASONS. Reviews reported by several users, or whose
+ * comment contains profanity or contact details, are hidden pending moderation
+ * (moderationStatus 'pending') until an admin approves, hides or deletes them.
+ *
+ * Reviews held for moderation ('pending' or 'hidden') can only be read by their author and admins
+ * (firestore.rules), so public queries must filter on PUBLIC_MODERATION_STATUSES.
+ *
+ * Keep in sync with functions/reviewModeration.js and the reviews rules in firestore.rules.
+ */
+
+export const REPORT_REASONS = {
+  spam: 'Spam or advertising',
+  abuse: 'Abusive or offensive',
+  conflictOfInterest: 'Conflict of interest (competitor, owner, relative...)',
+};
+
+export const MODERATION_FLAGS = {
+  reports: 'Reported by users',
+  profanity: 'Profanity',
+  contactInfo: 'Contact details or links',
+};
+
+export const MODERATION_STATUSES = {
+  visible: 'Visible',
+  pending: 'Pending moderation',
+  approved: 'Approved',
+  hidden: 'Hidden',
+};
+
+// Statuses anyone may read; new reviews are created 'visible'
+export const PUBLIC_MODERATION_STATUSES = ['visible', 'approved'];
+
+/**
+ * Whether a review is shown publicly and counted in the rating summary
+ * @param {Object} review - Review document
+ * @returns {boolean}
+ */
+export const isReviewVisible = (review) => !['pending', 'hidden'].includes(review.moderationStatus);
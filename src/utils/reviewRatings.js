@@ -0,0 +1,58 @@
+/**
+ * Review Rating Categories
+ *
+ * Besides the overall star rating, reviews rate a few aspects of the provider or property, stored
+ * on the review as categoryRatings = { [categoryId]: 1-5 }. The onReviewCreated / onReviewUpdated /
+ * onReviewDeleted functions aggregate them into reviewSummaries/{targetType}_{targetId}.
+ *
+ * Keep in sync with RATING_CATEGORIES in functions/reviewSummaries.js.
+ */
+
+export const RATING_CATEGORIES = {
+  provider: [
+    { id: 'quality', label: 'Quality of work' },
+    { id: 'timeliness', label: 'Timeliness' },
+    { id: 'communication', label: 'Communication' },
+    { id: 'value', label: 'Value for money' },
+  ],
+  property: [
+    { id: 'accuracy', label: 'Accuracy of listing' },
+    { id: 'cleanliness', label: 'Cleanliness' },
+    { id: 'location', label: 'Location' },
+  ],
+};
+
+/**
+ * Normalize a review target type ('construction' / 'renovation' reviews are stored as 'provider')
+ * @param {string} targetType - 'property', 'provider', 'construction' or 'renovation'
+ * @returns {string} - 'provider' or 'property'
+ */
+export const normalizeReviewTargetType = (targetType) =>
+  targetType === 'construction' || targetType === 'renovation' ? 'provider' : targetType;
+
+/**
+ * Rating categories for a target type
+ * @param {string} targetType - 'property', 'provider', 'construction' or 'renovation'
+ * @returns {Array<{ id: string, label: string }>}
+ */
+export const getRatingCategories = (targetType) =>
+  RATING_CATEGORIES[normalizeReviewTargetType(targetType)] || [];
+
+/**
+ * Validate category ratings for a target type
+ * @param {Object} categoryRatings - { [categoryId]: number }
+ * @param {string} targetType - Review target type
+ * @returns {Object} - Ratings as numbers, only the target type's categories
+ * @throws {Error} - If a category is missing or out of range
+ */
+export const validateCategoryRatings = (categoryRatings, targetType) => {
+  const validated = {};
+  getRatingCategories(targetType).forEach(({ id, label }) => {
+    const value = Number(categoryRatings?.[id]);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      throw new Error(`Please rate ${label.toLowerCase()} (1-5 stars)`);
+    }
+    validated[id] = value;
+  });
+  return validated;
+};
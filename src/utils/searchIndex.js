@@ -0,0 +1,208 @@
+/**
+ * Search Index Helpers
+ *
+ * Tokenization, n-gram generation and fuzzy ranking for property search.
+ * The Cloud Function `onPropertyWritten` (functions/searchIndex.js) builds the stored
+ * `searchTokens` / `searchGrams` arrays with the same normalization rules - keep both files in sync
+ * and bump SEARCH_INDEX_VERSION in both when the rules change.
+ */
+
+export const SEARCH_INDEX_VERSION = 1;
+
+// Firestore allows at most 30 values in an array-contains-any clause
+export const MAX_QUERY_GRAMS = 30;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'at', 'by', 'for', 'from', 'in', 'near', 'of', 'on', 'or', 'the', 'to', 'with',
+]);
+
+/**
+ * Relative weight of each property field when ranking results
+ */
+export const SEARCH_FIELD_WEIGHTS = {
+  title: 3,
+  city: 2.5,
+  area: 1.5,
+  type: 1.5,
+  amenities: 1,
+  description: 1,
+};
+
+/**
+ * Lowercase, strip accents and punctuation
+ * @param {string} text - Raw text
+ * @returns {string} - Normalized text
+ */
+export const normalizeSearchText = (text) => {
+  if (text == null) return '';
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+};
+
+/**
+ * Reduce simple plurals so "apartments" and "apartment" share a token
+ * @param {string} token - Normalized token
+ * @returns {string}
+ */
+const stemToken = (token) => {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss')) return token.slice(0, -1);
+  return token;
+};
+
+/**
+ * Split text into normalized, stemmed tokens without stop words
+ * @param {string} text - Raw text
+ * @returns {Array<string>}
+ */
+export const tokenize = (text) =>
+  normalizeSearchText(text)
+    .split(' ')
+    .filter((token) => token && !STOP_WORDS.has(token))
+    .map(stemToken);
+
+/**
+ * Character trigrams of a token (short tokens are kept whole)
+ * @param {string} token - Normalized token
+ * @returns {Array<string>}
+ */
+export const tokenGrams = (token) => {
+  if (token.length <= 3) return [token];
+  const grams = [];
+  for (let i = 0; i <= token.length - 3; i += 1) {
+    grams.push(token.slice(i, i + 3));
+  }
+  return grams;
+};
+
+/**
+ * Pick up to MAX_QUERY_GRAMS trigrams for a query, round-robin across tokens so every
+ * query word contributes candidates even when one word is very long
+ * @param {Array<string>} tokens - Query tokens
+ * @returns {Array<string>}
+ */
+export const buildQueryGrams = (tokens) => {
+  const perToken = tokens.map((token) => tokenGrams(token));
+  const grams = new Set();
+  let index = 0;
+  while (grams.size < MAX_QUERY_GRAMS && perToken.some((list) => index < list.length)) {
+    perToken.forEach((list) => {
+      if (index < list.length && grams.size < MAX_QUERY_GRAMS) grams.add(list[index]);
+    });
+    index += 1;
+  }
+  return [...grams];
+};
+
+/**
+ * Optimal string alignment distance, abandoned early once it exceeds maxDistance
+ * @param {string} a - First token
+ * @param {string} b - Second token
+ * @param {number} maxDistance - Largest distance of interest
+ * @returns {number} - Distance, or maxDistance + 1 when further apart
+ */
+const editDistance = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    prevPrev = prev;
+    prev = current;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Similarity between a query token and a document token (0 = no match, 1 = exact)
+ * @param {string} queryToken - Token from the search query
+ * @param {string} docToken - Token from the document
+ * @returns {number}
+ */
+export const tokenSimilarity = (queryToken, docToken) => {
+  if (queryToken === docToken) return 1;
+  if (queryToken.length >= 3 && docToken.startsWith(queryToken)) return 0.9;
+
+  const allowed = queryToken.length <= 4 ? 1 : queryToken.length <= 8 ? 2 : 3;
+  const distance = editDistance(queryToken, docToken, allowed);
+  if (distance > allowed) return 0;
+  return 0.8 * (1 - distance / (allowed + 1));
+};
+
+/**
+ * Tokenize the searchable fields of a property, grouped by weighted field
+ * @param {Object} property - Property data
+ * @returns {Object<string, Array<string>>}
+ */
+export const getPropertySearchFields = (property = {}) => {
+  const address = property.address && typeof property.address === 'object' ? property.address : {};
+  return {
+    title: tokenize(property.title),
+    city: tokenize(address.city || property.city),
+    area: tokenize([address.line1, address.line2, address.state].filter(Boolean).join(' ')),
+    type: tokenize([property.type, property.listingType, property.category].filter(Boolean).join(' ')),
+    amenities: tokenize(Array.isArray(property.amenities) ? property.amenities.join(' ') : ''),
+    description: tokenize(property.description),
+  };
+};
+
+/**
+ * Score a property against query tokens using field weights and fuzzy matching
+ * @param {Object} property - Property data
+ * @param {Array<string>} queryTokens - Tokenized query
+ * @returns {number} - Relevance score (0 when fewer than half of the query words match)
+ */
+export const scoreProperty = (property, queryTokens) => {
+  if (!queryTokens.length) return 0;
+  const fields = getPropertySearchFields(property);
+
+  let total = 0;
+  let matched = 0;
+  queryTokens.forEach((queryToken) => {
+    let best = 0;
+    Object.entries(fields).forEach(([field, tokens]) => {
+      const weight = SEARCH_FIELD_WEIGHTS[field] || 1;
+      tokens.forEach((docToken) => {
+        const similarity = tokenSimilarity(queryToken, docToken);
+        if (similarity > 0) best = Math.max(best, similarity * weight);
+      });
+    });
+    if (best > 0) matched += 1;
+    total += best;
+  });
+
+  if (matched * 2 < queryTokens.length) return 0;
+  return total * (matched / queryTokens.length);
+};
+
+/**
+ * Rank properties by relevance, dropping non-matches; ties favour newer listings
+ * @param {Array<Object>} properties - Candidate properties
+ * @param {string} searchTerm - Raw search query
+ * @returns {Array<Object>} - Matching properties with a `searchScore`, best first
+ */
+export const rankProperties = (properties, searchTerm) => {
+  const queryTokens = tokenize(searchTerm);
+  const createdAtMillis = (p) => p.createdAt?.toMillis?.() || (p.createdAt?.seconds || 0) * 1000;
+
+  return properties
+    .map((property) => ({ ...property, searchScore: scoreProperty(property, queryTokens) }))
+    .filter((property) => property.searchScore > 0)
+    .sort((a, b) => b.searchScore - a.searchScore || createdAtMillis(b) - createdAtMillis(a));
+};
@@ -44,7 +44,7 @@ export const sendBookingUpdateNotification = async (
 
     const link = getBookingLink(bookingType, bookingId);
 
-    return await notificationService.create(userId, title, message, 'status-update', link);
+    return await notificationService.create(userId, title, message, 'status-update', link, 'projectStatus');
   } catch (error) {
     console.error('Error sending booking update notification:', error);
     throw error;
@@ -70,7 +70,7 @@ export const sendChatNotification = async (
       ? `${senderName}: ${messagePreview.substring(0, 50)}${messagePreview.length > 50 ? '...' : ''}`
       : `${senderName} sent you a message`;
 
-    return await notificationService.create(userId, title, message, 'info', `/chat?chatId=${chatId}`);
+    return await notificationService.create(userId, title, message, 'info', `/chat?chatId=${chatId}`, 'chat');
   } catch (error) {
     console.error('Error sending chat notification:', error);
     throw error;
@@ -165,7 +165,7 @@ export const sendPropertyStatusNotification = async (
 
     const link = `/properties/${propertyId}`;
 
-    return await notificationService.create(userId, title, message, 'status-update', link);
+    return await notificationService.create(userId, title, message, 'status-update', link, 'propertyModeration');
   } catch (error) {
     console.error('Error sending property status notification:', error);
     throw error;
@@ -0,0 +1,93 @@
+import { createRequire } from 'module';
+import { describe, expect, it, vi } from 'vitest';
+import {
+  BOOKED_STATUSES,
+  addDays,
+  findConflict,
+  rangesOverlap,
+} from '../src/services/availabilityService';
+
+// The service module connects to Firestore on import; only its pure helpers are tested here
+vi.mock('../src/firebase', () => ({ db: null, auth: null }));
+
+const require = createRequire(import.meta.url);
+const server = require('../functions/availability');
+
+const range = (startDate, endDate, extra = {}) => ({ startDate, endDate, ...extra });
+
+describe('rangesOverlap', () => {
+  it('detects ranges that share at least one night', () => {
+    expect(
+      rangesOverlap(range('2026-05-01', '2026-05-05'), range('2026-05-04', '2026-05-08'))
+    ).toBe(true);
+    expect(
+      rangesOverlap(range('2026-05-01', '2026-05-10'), range('2026-05-03', '2026-05-04'))
+    ).toBe(true);
+    expect(
+      rangesOverlap(range('2026-05-03', '2026-05-04'), range('2026-05-01', '2026-05-10'))
+    ).toBe(true);
+  });
+
+  it('treats the end date as free, so a booking may start on the previous move-out day', () => {
+    expect(
+      rangesOverlap(range('2026-05-01', '2026-05-05'), range('2026-05-05', '2026-05-08'))
+    ).toBe(false);
+    expect(
+      rangesOverlap(range('2026-05-05', '2026-05-08'), range('2026-05-01', '2026-05-05'))
+    ).toBe(false);
+  });
+
+  it('keeps apart ranges with a gap between them', () => {
+    expect(
+      rangesOverlap(range('2026-05-01', '2026-05-03'), range('2026-05-06', '2026-05-08'))
+    ).toBe(false);
+  });
+
+  it('compares across month and year boundaries', () => {
+    expect(
+      rangesOverlap(range('2026-12-28', '2027-01-03'), range('2027-01-02', '2027-01-05'))
+    ).toBe(true);
+    expect(
+      rangesOverlap(
+        range('2026-12-28', addDays('2026-12-31', 1)),
+        range('2027-01-01', '2027-01-05')
+      )
+    ).toBe(false);
+  });
+});
+
+describe('findConflict', () => {
+  const availability = {
+    bookedRanges: [range('2026-06-01', '2026-06-05', { requestId: 'r1' })],
+    blockedRanges: [range('2026-06-10', '2026-06-12', { reason: 'Maintenance' })],
+  };
+
+  it('returns null when the range is free', () => {
+    expect(findConflict(availability, range('2026-06-05', '2026-06-10'))).toBeNull();
+    expect(findConflict({}, range('2026-06-01', '2026-06-05'))).toBeNull();
+  });
+
+  it('returns the overlapping booking or block with its kind', () => {
+    expect(findConflict(availability, range('2026-06-04', '2026-06-06'))).toMatchObject({
+      requestId: 'r1',
+      kind: 'booked',
+    });
+    expect(findConflict(availability, range('2026-06-11', '2026-06-15'))).toMatchObject({
+      reason: 'Maintenance',
+      kind: 'blocked',
+    });
+  });
+
+  it('skips the booking being re-confirmed but not blocks', () => {
+    expect(findConflict(availability, range('2026-06-01', '2026-06-05'), 'r1')).toBeNull();
+    expect(findConflict(availability, range('2026-06-01', '2026-06-11'), 'r1')).toMatchObject({
+      kind: 'blocked',
+    });
+  });
+});
+
+describe('functions/availability', () => {
+  it('holds dates for the same statuses as the app', () => {
+    expect(server.BOOKED_STATUSES).toEqual(BOOKED_STATUSES);
+  });
+});
@@ -0,0 +1,66 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+import { distanceKm, encodeGeohash, getGeohashPrefixes } from '../src/utils/geo';
+
+const require = createRequire(import.meta.url);
+const server = require('../functions/providerSearch');
+
+describe('encodeGeohash', () => {
+  it('encodes known points', () => {
+    expect(encodeGeohash(42.6, -5.6, 5)).toBe('ezs42');
+    expect(encodeGeohash(57.64911, 10.40744, 11)).toBe('u4pruydqqvj');
+    expect(encodeGeohash(0, 0)).toBe('s00000000');
+  });
+
+  it('matches the Cloud Functions copy, default precision included', () => {
+    const points = [
+      [0, 0],
+      [90, 180],
+      [-90, -180],
+      [45, -180],
+      [-33.8688, 151.2093],
+      [40.7128, -74.006],
+      [51.5074, -0.1278],
+      [31.5204, 74.3587],
+      [-0.0000001, 0.0000001],
+    ];
+    for (let lat = -90; lat <= 90; lat += 7.5) {
+      for (let lng = -180; lng <= 180; lng += 11.25) {
+        points.push([lat, lng]);
+      }
+    }
+
+    points.forEach(([lat, lng]) => {
+      expect(encodeGeohash(lat, lng)).toBe(server.encodeGeohash(lat, lng));
+      [1, 5, 12].forEach((precision) => {
+        expect(encodeGeohash(lat, lng, precision)).toBe(server.encodeGeohash(lat, lng, precision));
+      });
+    });
+  });
+});
+
+describe('getGeohashPrefixes', () => {
+  it('covers providers within the radius, across the antimeridian too', () => {
+    [
+      { lat: 40.7128, lng: -74.006 },
+      { lat: -33.8688, lng: 151.2093 },
+      { lat: 10, lng: 179.99 },
+    ].forEach((center) => {
+      [1, 10, 50].forEach((radiusKm) => {
+        const prefixes = getGeohashPrefixes(center, radiusKm);
+        for (let angle = 0; angle < 360; angle += 45) {
+          const rad = (angle * Math.PI) / 180;
+          const dLat = (0.99 * radiusKm * Math.cos(rad)) / 111.32;
+          const dLng =
+            (0.99 * radiusKm * Math.sin(rad)) / (111.32 * Math.cos((center.lat * Math.PI) / 180));
+          const point = { lat: center.lat + dLat, lng: ((center.lng + dLng + 540) % 360) - 180 };
+          expect(distanceKm(center, point)).toBeLessThanOrEqual(radiusKm);
+
+          // The hash providers store is what functions/providerSearch.js writes
+          const geohash = server.encodeGeohash(point.lat, point.lng);
+          expect(prefixes.some((prefix) => geohash.startsWith(prefix))).toBe(true);
+        }
+      });
+    });
+  });
+});
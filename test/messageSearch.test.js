@@ -0,0 +1,48 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+import {
+  MAX_PREFIX_LENGTH,
+  MIN_PREFIX_LENGTH,
+  getMessageQueryPrefix,
+  matchesMessageSearch,
+} from '../src/utils/messageSearch';
+
+const require = createRequire(import.meta.url);
+const server = require('../functions/messageSearch');
+
+describe('chat message search', () => {
+  it('uses the same prefix lengths as the Cloud Functions copy', () => {
+    expect(server.MIN_PREFIX_LENGTH).toBe(MIN_PREFIX_LENGTH);
+    expect(server.MAX_PREFIX_LENGTH).toBe(MAX_PREFIX_LENGTH);
+  });
+
+  it('indexes every word prefix of the message', () => {
+    expect(server.buildMessageSearchPrefixes('Hi, Café!')).toEqual(['ca', 'caf', 'cafe', 'hi']);
+    expect(server.buildMessageSearchPrefixes('')).toEqual([]);
+  });
+
+  it('finds a message through the prefix the client queries', () => {
+    const text = 'The plumber arrives on Thursday at 10';
+    const prefixes = server.buildMessageSearchPrefixes(text);
+    ['plumb', 'THURSDAY', 'arrives plumber', 'thu at'].forEach((term) => {
+      expect(matchesMessageSearch(text, term)).toBe(true);
+      expect(prefixes).toContain(getMessageQueryPrefix(term));
+    });
+  });
+
+  it('queries the longest word, cut to the indexed length', () => {
+    expect(getMessageQueryPrefix('a to internationalization')).toBe('internationaliz');
+    expect(getMessageQueryPrefix('a')).toBeNull();
+  });
+
+  it('requires every word of the term to start a word of the message', () => {
+    expect(matchesMessageSearch('See you on Monday', 'mon see')).toBe(true);
+    expect(matchesMessageSearch('See you on Monday', 'day')).toBe(false);
+  });
+
+  it('detects an outdated stored index', () => {
+    const prefixes = server.buildMessageSearchPrefixes('hello');
+    expect(server.isMessageSearchIndexCurrent({ searchPrefixes: prefixes }, prefixes)).toBe(true);
+    expect(server.isMessageSearchIndexCurrent({}, prefixes)).toBe(false);
+  });
+});
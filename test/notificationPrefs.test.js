@@ -0,0 +1,57 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+import {
+  DIGEST_CATEGORIES,
+  DIGEST_FREQUENCIES,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_CHANNELS,
+  isChannelEnabled,
+  resolveDigestFrequency,
+  resolveNotificationPrefs,
+} from '../src/utils/notificationPrefs';
+
+const require = createRequire(import.meta.url);
+const server = require('../functions/notificationPrefs');
+
+describe('notification preferences', () => {
+  it('list the same categories, channels and digest settings as the Cloud Functions copy', () => {
+    expect(server.NOTIFICATION_CATEGORIES).toEqual(Object.keys(NOTIFICATION_CATEGORIES));
+    expect(server.NOTIFICATION_CHANNELS).toEqual(Object.keys(NOTIFICATION_CHANNELS));
+    expect(server.DIGEST_CATEGORIES).toEqual(DIGEST_CATEGORIES);
+    expect(server.DIGEST_FREQUENCIES).toEqual(Object.keys(DIGEST_FREQUENCIES));
+  });
+
+  it('resolve stored preferences the same way as the Cloud Functions copy', () => {
+    [
+      null,
+      {},
+      { chat: { email: false } },
+      { marketing: { email: true, push: 'yes' }, unknown: { inApp: false } },
+      { reviews: null },
+    ].forEach((stored) => {
+      expect(server.resolveNotificationPrefs(stored)).toEqual(resolveNotificationPrefs(stored));
+    });
+  });
+
+  it('fill missing entries from the defaults', () => {
+    const prefs = resolveNotificationPrefs({ chat: { email: false } });
+    expect(prefs.chat).toEqual({ inApp: true, email: false, push: true });
+    expect(prefs.marketing).toEqual({ inApp: true, email: false, push: false });
+  });
+
+  it('always deliver uncategorized notifications', () => {
+    const prefs = resolveNotificationPrefs({ chat: { push: false } });
+    expect(isChannelEnabled(prefs, 'chat', 'push')).toBe(false);
+    expect(isChannelEnabled(prefs, null, 'push')).toBe(true);
+    expect(isChannelEnabled(prefs, 'payments', 'push')).toBe(true);
+    expect(server.isChannelEnabled(prefs, 'chat', 'push')).toBe(false);
+    expect(server.isChannelEnabled(prefs, 'payments', 'push')).toBe(true);
+  });
+
+  it('fall back to no digest for unknown frequencies', () => {
+    ['daily', 'weekly', 'off', 'hourly', undefined].forEach((stored) => {
+      expect(server.resolveDigestFrequency(stored)).toBe(resolveDigestFrequency(stored));
+    });
+    expect(resolveDigestFrequency('hourly')).toBe('off');
+  });
+});
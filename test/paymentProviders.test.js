@@ -0,0 +1,44 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { evaluateTestCard, signPayload, verifySignature } = require('../functions/paymentProviders');
+
+const SECRET = 'test-webhook-secret';
+const payload = JSON.stringify({ type: 'payment.succeeded', intentId: 'pi_123', amount: 5000 });
+
+describe('webhook signatures', () => {
+  it('accept a payload signed with the shared secret', () => {
+    expect(verifySignature(payload, signPayload(payload, SECRET), SECRET)).toBe(true);
+    expect(verifySignature(Buffer.from(payload), signPayload(payload, SECRET), SECRET)).toBe(true);
+  });
+
+  it('reject a tampered payload or a different secret', () => {
+    const signature = signPayload(payload, SECRET);
+    expect(verifySignature(payload.replace('5000', '1'), signature, SECRET)).toBe(false);
+    expect(verifySignature(payload, signature, 'other-secret')).toBe(false);
+    expect(verifySignature(payload, signPayload(payload, 'other-secret'), SECRET)).toBe(false);
+  });
+
+  it('reject missing or malformed signatures', () => {
+    expect(verifySignature(payload, '', SECRET)).toBe(false);
+    expect(verifySignature(payload, undefined, SECRET)).toBe(false);
+    expect(verifySignature(payload, 'not-hex', SECRET)).toBe(false);
+    expect(verifySignature(payload, signPayload(payload, SECRET).slice(0, 10), SECRET)).toBe(false);
+    expect(verifySignature(payload, signPayload(payload, SECRET), '')).toBe(false);
+  });
+});
+
+describe('test cards', () => {
+  it('decide outcomes from the card number', () => {
+    expect(evaluateTestCard('4242 4242 4242 4242').approved).toBe(true);
+    expect(evaluateTestCard('4000 0000 0000 0002')).toEqual({
+      approved: false,
+      reason: 'card_declined',
+    });
+    expect(evaluateTestCard('4242 4242 4242 4241')).toEqual({
+      approved: false,
+      reason: 'invalid_number',
+    });
+  });
+});
@@ -0,0 +1,151 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+import {
+  STATUS,
+  STATUS_MACHINES,
+  STATUS_ROLES,
+  assertTransition,
+  canOpenDispute,
+  canTransition,
+  getAllowedTransitions,
+  isFinalStatus,
+  normalizeStatus,
+} from '../src/utils/projectStatus';
+
+const require = createRequire(import.meta.url);
+const server = require('../functions/projectStatus');
+
+const COLLECTIONS = Object.keys(STATUS_MACHINES);
+const STATUSES = Object.values(STATUS);
+
+describe('status transition tables', () => {
+  it('match between the client and the Cloud Functions copy', () => {
+    expect(server.STATUS_MACHINES).toEqual(STATUS_MACHINES);
+  });
+
+  it('only use known statuses and roles, with a row for every target', () => {
+    COLLECTIONS.forEach((collectionName) => {
+      const machine = STATUS_MACHINES[collectionName];
+      Object.keys(machine).forEach((from) => expect(STATUSES).toContain(from));
+      Object.values(machine).forEach((targets) => {
+        Object.entries(targets).forEach(([to, roles]) => {
+          expect(machine).toHaveProperty([to]);
+          expect(roles.length).toBeGreaterThan(0);
+          roles.forEach((role) => expect(STATUS_ROLES).toContain(role));
+        });
+      });
+    });
+  });
+
+  it('leave disputes to the system role', () => {
+    COLLECTIONS.forEach((collectionName) => {
+      Object.values(STATUS_MACHINES[collectionName]).forEach((targets) => {
+        if (targets[STATUS.DISPUTED]) {
+          expect(targets[STATUS.DISPUTED]).toEqual(['system']);
+        }
+      });
+    });
+  });
+
+  it('make Rejected and Cancelled final', () => {
+    COLLECTIONS.forEach((collectionName) => {
+      expect(isFinalStatus(collectionName, STATUS.REJECTED)).toBe(true);
+      expect(isFinalStatus(collectionName, STATUS.CANCELLED)).toBe(true);
+      expect(isFinalStatus(collectionName, STATUS.PENDING)).toBe(false);
+    });
+  });
+});
+
+describe('normalizeStatus', () => {
+  it('maps legacy spellings to the canonical status', () => {
+    expect(normalizeStatus('pending')).toBe(STATUS.PENDING);
+    expect(normalizeStatus('in-progress')).toBe(STATUS.IN_PROGRESS);
+    expect(normalizeStatus('IN_PROGRESS')).toBe(STATUS.IN_PROGRESS);
+    expect(normalizeStatus(' On Hold ')).toBe(STATUS.ON_HOLD);
+    expect(normalizeStatus('Approved')).toBe(STATUS.ACCEPTED);
+    expect(normalizeStatus('canceled')).toBe(STATUS.CANCELLED);
+  });
+
+  it('returns null for unknown values', () => {
+    expect(normalizeStatus('archived')).toBeNull();
+    expect(normalizeStatus('')).toBeNull();
+    expect(normalizeStatus(null)).toBeNull();
+    expect(normalizeStatus(3)).toBeNull();
+  });
+
+  it('agrees with the Cloud Functions copy', () => {
+    const samples = [
+      'pending',
+      'in-progress',
+      'on_hold',
+      'Approved',
+      'canceled',
+      'DISPUTED',
+      'archived',
+      '',
+    ];
+    samples.forEach((status) => {
+      expect(server.normalizeStatus(status)).toBe(normalizeStatus(status));
+    });
+  });
+});
+
+describe('canTransition', () => {
+  it('allows the transitions listed for a role', () => {
+    expect(canTransition('constructionProjects', 'Pending', 'Accepted', 'provider')).toBe(true);
+    expect(canTransition('renovationProjects', 'pending', 'cancelled', 'client')).toBe(true);
+    expect(canTransition('rentalRequests', 'Disputed', 'Completed', 'admin')).toBe(true);
+  });
+
+  it('denies transitions of other roles and unlisted transitions', () => {
+    expect(canTransition('constructionProjects', 'Pending', 'Accepted', 'client')).toBe(false);
+    expect(canTransition('constructionProjects', 'Pending', 'Disputed', 'client')).toBe(false);
+    expect(canTransition('constructionProjects', 'Completed', 'Pending', 'admin')).toBe(false);
+    expect(canTransition('buySellRequests', 'Cancelled', 'Pending', 'admin')).toBe(false);
+    expect(canTransition('constructionProjects', 'Pending', 'archived', 'admin')).toBe(false);
+  });
+
+  it('treats a missing status as Pending', () => {
+    expect(getAllowedTransitions('constructionProjects', undefined, 'client')).toEqual(
+      getAllowedTransitions('constructionProjects', STATUS.PENDING, 'client')
+    );
+  });
+
+  it('only opens disputes from statuses that allow them', () => {
+    expect(canOpenDispute('constructionProjects', STATUS.PENDING)).toBe(false);
+    expect(canOpenDispute('constructionProjects', STATUS.COMPLETED)).toBe(true);
+  });
+
+  it('agrees with the Cloud Functions copy for every status, target and role', () => {
+    COLLECTIONS.forEach((collectionName) => {
+      [undefined, ...STATUSES].forEach((from) => {
+        STATUSES.forEach((to) => {
+          STATUS_ROLES.forEach((role) => {
+            expect(server.canTransition(collectionName, from, to, role)).toBe(
+              canTransition(collectionName, from, to, role)
+            );
+          });
+        });
+      });
+    });
+  });
+
+  it('is false on the server for collections without a machine', () => {
+    expect(server.canTransition('properties', 'Pending', 'Accepted', 'admin')).toBe(false);
+    expect(() => canTransition('properties', 'Pending', 'Accepted', 'admin')).toThrow();
+  });
+});
+
+describe('assertTransition', () => {
+  it('returns the canonical next status', () => {
+    expect(assertTransition('constructionProjects', 'pending', 'in-progress', 'provider')).toBe(
+      STATUS.IN_PROGRESS
+    );
+  });
+
+  it('throws on a denied transition', () => {
+    expect(() =>
+      assertTransition('constructionProjects', 'Completed', 'Pending', 'client')
+    ).toThrow('Cannot change status from "Completed" to "Pending"');
+  });
+});
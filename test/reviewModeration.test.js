@@ -0,0 +1,135 @@
+import { createRequire } from 'module';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { MODERATION_FLAGS, REPORT_REASONS, isReviewVisible } from '../src/utils/reviewModeration';
+
+const require = createRequire(import.meta.url);
+const admin = require('../functions/node_modules/firebase-admin');
+const server = require('../functions/reviewModeration');
+
+describe('checkReviewContent', () => {
+  it('passes clean comments, harsh criticism included', () => {
+    expect(server.checkReviewContent('Great work, finished on time.')).toEqual([]);
+    expect(server.checkReviewContent('Terrible service, felt like a scam.')).toEqual([]);
+    expect(server.checkReviewContent('')).toEqual([]);
+    expect(server.checkReviewContent(undefined)).toEqual([]);
+  });
+
+  it('flags profanity as whole words only', () => {
+    expect(server.checkReviewContent('What an IDIOT')).toEqual(['profanity']);
+    expect(
+      server.checkReviewContent('Found a dickens novel and a shiitake in the kitchen')
+    ).toEqual([]);
+  });
+
+  it('flags emails, phone numbers, links and messenger handles', () => {
+    [
+      'Mail me at john.doe@example.com',
+      'Call +1 (555) 123-4567 instead',
+      'Cheaper at https://example.com/deal',
+      'See www.example.com',
+      'Ping me on WhatsApp',
+    ].forEach((comment) => {
+      expect(server.checkReviewContent(comment)).toEqual(['contactInfo']);
+    });
+    expect(server.checkReviewContent('Paid 1200 for 3 rooms in 2 weeks')).toEqual([]);
+  });
+
+  it('reports both flags together', () => {
+    expect(server.checkReviewContent('shit job, email me at a@b.co')).toEqual([
+      'profanity',
+      'contactInfo',
+    ]);
+  });
+});
+
+describe('recordReport', () => {
+  const firestore = admin.firestore;
+  let review;
+  let updates;
+
+  beforeEach(() => {
+    updates = null;
+    const fakeDb = {
+      collection: () => ({ doc: (id) => ({ id }) }),
+      runTransaction: (fn) =>
+        fn({
+          get: async () => ({ exists: review !== null, data: () => review }),
+          update: (ref, data) => {
+            updates = data;
+          },
+        }),
+    };
+    // recordReport only needs the Firestore handle; FieldValue stays the real one. admin.firestore
+    // is a getter on the namespace prototype, so shadow it with an own property.
+    Object.defineProperty(admin, 'firestore', {
+      value: Object.assign(() => fakeDb, { FieldValue: firestore.FieldValue }),
+      configurable: true,
+    });
+  });
+
+  afterEach(() => {
+    delete admin.firestore;
+  });
+
+  it('counts reports below the threshold without hiding the review', async () => {
+    review = { moderationStatus: 'visible', reportCount: server.REPORT_THRESHOLD - 2 };
+    await expect(server.recordReport('r1')).resolves.toEqual({
+      reportCount: server.REPORT_THRESHOLD - 1,
+      flagged: false,
+    });
+    expect(updates).toEqual({ reportCount: server.REPORT_THRESHOLD - 1 });
+  });
+
+  it('hides the review pending moderation on the report that reaches the threshold', async () => {
+    review = { moderationStatus: 'visible', reportCount: server.REPORT_THRESHOLD - 1 };
+    await expect(server.recordReport('r1')).resolves.toEqual({
+      reportCount: server.REPORT_THRESHOLD,
+      flagged: true,
+    });
+    expect(updates).toMatchObject({
+      reportCount: server.REPORT_THRESHOLD,
+      moderationStatus: 'pending',
+    });
+    expect(updates).toHaveProperty('moderationFlags');
+    expect(updates).toHaveProperty('flaggedAt');
+  });
+
+  it('starts counting from zero on reviews without a reportCount', async () => {
+    review = {};
+    await expect(server.recordReport('r1')).resolves.toEqual({ reportCount: 1, flagged: false });
+  });
+
+  it('does not flag again a review that is already held or hidden', async () => {
+    for (const moderationStatus of ['pending', 'hidden']) {
+      review = { moderationStatus, reportCount: server.REPORT_THRESHOLD + 4 };
+      await expect(server.recordReport('r1')).resolves.toEqual({
+        reportCount: server.REPORT_THRESHOLD + 5,
+        flagged: false,
+      });
+      expect(updates).toEqual({ reportCount: server.REPORT_THRESHOLD + 5 });
+    }
+  });
+
+  it('flags an approved review again once new reports reach the threshold', async () => {
+    review = { moderationStatus: 'approved', reportCount: server.REPORT_THRESHOLD - 1 };
+    await expect(server.recordReport('r1')).resolves.toMatchObject({ flagged: true });
+  });
+
+  it('ignores reports on deleted reviews', async () => {
+    review = null;
+    await expect(server.recordReport('r1')).resolves.toEqual({ reportCount: 0, flagged: false });
+    expect(updates).toBeNull();
+  });
+});
+
+describe('review moderation', () => {
+  it('uses the same reasons, flags and visibility check as the Cloud Functions copy', () => {
+    expect(server.REPORT_REASONS).toEqual(Object.keys(REPORT_REASONS));
+    expect(Object.keys(MODERATION_FLAGS)).toEqual(['reports', 'profanity', 'contactInfo']);
+    ['visible', 'approved', 'pending', 'hidden', undefined].forEach((moderationStatus) => {
+      expect(isReviewVisible({ moderationStatus })).toBe(
+        server.isReviewVisible({ moderationStatus })
+      );
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+
+const require = createRequire(import.meta.url);
+const { isNewlyPublished, matchesSavedSearch } = require('../functions/savedSearches');
+
+const property = {
+  title: 'Sunny apartment with balcony',
+  type: 'Rent',
+  address: { city: 'Lisbon' },
+  price: 1200,
+  bedrooms: 2,
+  bathrooms: 1,
+  furnished: true,
+  parking: false,
+  status: 'published',
+};
+
+const search = (filters) => ({ filters });
+
+describe('saved search matching', () => {
+  it('matches when no filter is set', () => {
+    expect(matchesSavedSearch(property, {})).toBe(true);
+  });
+
+  it('checks type and city', () => {
+    expect(matchesSavedSearch(property, search({ type: 'rent', city: ' lisbon ' }))).toBe(true);
+    expect(matchesSavedSearch(property, search({ type: 'sale' }))).toBe(false);
+    expect(matchesSavedSearch(property, search({ city: 'Porto' }))).toBe(false);
+  });
+
+  it('takes the type from listingType, like the browse filters', () => {
+    const listing = { ...property, type: 'Apartment', listingType: 'rent' };
+    expect(matchesSavedSearch(listing, search({ type: 'rent' }))).toBe(true);
+    expect(matchesSavedSearch(listing, search({ type: 'apartment' }))).toBe(false);
+  });
+
+  it('checks price and room ranges', () => {
+    expect(
+      matchesSavedSearch(property, search({ minPrice: 1000, maxPrice: 1200, bedrooms: 2 }))
+    ).toBe(true);
+    expect(matchesSavedSearch(property, search({ maxPrice: 1000 }))).toBe(false);
+    expect(matchesSavedSearch(property, search({ bedrooms: 3 }))).toBe(false);
+    expect(matchesSavedSearch(property, search({ minPrice: '', bathrooms: null }))).toBe(true);
+  });
+
+  it('checks furnished and parking', () => {
+    expect(matchesSavedSearch(property, search({ furnished: true, parking: false }))).toBe(true);
+    expect(matchesSavedSearch(property, search({ parking: true }))).toBe(false);
+  });
+
+  it('matches keywords exactly or by prefix', () => {
+    expect(matchesSavedSearch(property, search({ keywords: 'balconies' }))).toBe(true);
+    expect(matchesSavedSearch(property, search({ keywords: 'sun apartment' }))).toBe(true);
+    expect(matchesSavedSearch(property, search({ keywords: 'garden' }))).toBe(false);
+  });
+
+  it('uses the stored search tokens when present', () => {
+    const indexed = { ...property, searchTokens: ['loft'] };
+    expect(matchesSavedSearch(indexed, search({ keywords: 'loft' }))).toBe(true);
+    expect(matchesSavedSearch(indexed, search({ keywords: 'balcony' }))).toBe(false);
+  });
+});
+
+describe('isNewlyPublished', () => {
+  it('is true only on the write that publishes the property', () => {
+    expect(isNewlyPublished(null, property)).toBe(true);
+    expect(isNewlyPublished({ status: 'pending' }, property)).toBe(true);
+    expect(isNewlyPublished(property, property)).toBe(false);
+    expect(isNewlyPublished(property, { status: 'pending' })).toBe(false);
+    expect(isNewlyPublished(property, null)).toBe(false);
+  });
+});
@@ -0,0 +1,76 @@
+import { createRequire } from 'module';
+import { describe, expect, it } from 'vitest';
+import {
+  SEARCH_INDEX_VERSION,
+  buildQueryGrams,
+  normalizeSearchText,
+  rankProperties,
+  tokenize,
+} from '../src/utils/searchIndex';
+
+const require = createRequire(import.meta.url);
+const server = require('../functions/searchIndex');
+
+const SAMPLES = [
+  'Bright 2-bedroom Apartments in Zürich',
+  'Villa with the SEA view, near São Paulo!',
+  'Studio & parking — Downtown',
+  'cities of the properties',
+  '',
+];
+
+describe('search tokens', () => {
+  it('normalize accents, case and punctuation', () => {
+    expect(normalizeSearchText('  Café-Crème, Zürich! ')).toBe('cafe creme zurich');
+    expect(normalizeSearchText(null)).toBe('');
+  });
+
+  it('drop stop words and reduce plurals', () => {
+    expect(tokenize('The apartments in cities')).toEqual(['apartment', 'city']);
+  });
+
+  it('agree with the Cloud Functions copy', () => {
+    expect(server.SEARCH_INDEX_VERSION).toBe(SEARCH_INDEX_VERSION);
+    SAMPLES.forEach((text) => {
+      expect(server.normalizeSearchText(text)).toBe(normalizeSearchText(text));
+      expect(server.tokenize(text)).toEqual(tokenize(text));
+    });
+  });
+});
+
+describe('property search index', () => {
+  const property = {
+    title: 'Bright apartments near the park',
+    address: { city: 'New  York', line1: '5th Avenue' },
+    type: 'Rent',
+    amenities: ['parking', 'balcony'],
+    description: 'Quiet neighbourhood',
+  };
+
+  it('indexes every query gram of the indexed words', () => {
+    const index = server.buildPropertySearchIndex(property);
+    buildQueryGrams(tokenize('apartment avenue parking')).forEach((gram) => {
+      expect(index.searchGrams).toContain(gram);
+    });
+    expect(index.searchTokens).toContain('apartment');
+    expect(index.cityKey).toBe('new york');
+  });
+
+  it('is current only when nothing changed', () => {
+    const index = server.buildPropertySearchIndex(property);
+    expect(server.isSearchIndexCurrent({ ...property, ...index }, index)).toBe(true);
+    expect(server.isSearchIndexCurrent(property, index)).toBe(false);
+  });
+
+  it('ranks typo matches below exact matches', () => {
+    const ranked = rankProperties(
+      [
+        { id: 'typo', title: 'Apartmnet downtown' },
+        { id: 'exact', title: 'Apartment downtown' },
+        { id: 'other', title: 'Villa by the sea' },
+      ],
+      'apartment'
+    );
+    expect(ranked.map((p) => p.id)).toEqual(['exact', 'typo']);
+  });
+});